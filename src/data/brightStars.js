@@ -0,0 +1,50 @@
+/**
+ * Bright naked-eye stars for the observer sky dome — enough to recognise
+ * Orion, the Plough and Cassiopeia and to orient against the planets.
+ * Positions J2000 (RA in hours, Dec in degrees), visual magnitude, colour hint.
+ */
+
+export const BRIGHT_STARS = [
+  { name: 'Sirius', ra: 6.752, dec: -16.72, mag: -1.46, color: 0xcad8ff },
+  { name: 'Canopus', ra: 6.399, dec: -52.70, mag: -0.74, color: 0xf4f1ff },
+  { name: 'Arcturus', ra: 14.261, dec: 19.18, mag: -0.05, color: 0xffd2a1 },
+  { name: 'Vega', ra: 18.616, dec: 38.78, mag: 0.03, color: 0xcad8ff },
+  { name: 'Capella', ra: 5.278, dec: 46.00, mag: 0.08, color: 0xfff1c8 },
+  { name: 'Rigel', ra: 5.242, dec: -8.20, mag: 0.13, color: 0xbfd0ff },
+  { name: 'Procyon', ra: 7.655, dec: 5.22, mag: 0.34, color: 0xfff6e8 },
+  { name: 'Achernar', ra: 1.629, dec: -57.24, mag: 0.46, color: 0xbfd0ff },
+  { name: 'Betelgeuse', ra: 5.919, dec: 7.41, mag: 0.50, color: 0xffb070 },
+  { name: 'Hadar', ra: 14.064, dec: -60.37, mag: 0.61, color: 0xbfd0ff },
+  { name: 'Altair', ra: 19.846, dec: 8.87, mag: 0.76, color: 0xf4f1ff },
+  { name: 'Acrux', ra: 12.443, dec: -63.10, mag: 0.76, color: 0xbfd0ff },
+  { name: 'Aldebaran', ra: 4.599, dec: 16.51, mag: 0.86, color: 0xffc080 },
+  { name: 'Antares', ra: 16.490, dec: -26.43, mag: 0.96, color: 0xff9a60 },
+  { name: 'Spica', ra: 13.420, dec: -11.16, mag: 0.97, color: 0xbfd0ff },
+  { name: 'Pollux', ra: 7.755, dec: 28.03, mag: 1.14, color: 0xffd7a0 },
+  { name: 'Fomalhaut', ra: 22.961, dec: -29.62, mag: 1.16, color: 0xf4f1ff },
+  { name: 'Deneb', ra: 20.690, dec: 45.28, mag: 1.25, color: 0xf4f1ff },
+  { name: 'Mimosa', ra: 12.795, dec: -59.69, mag: 1.25, color: 0xbfd0ff },
+  { name: 'Regulus', ra: 10.140, dec: 11.97, mag: 1.35, color: 0xd8e2ff },
+  { name: 'Adhara', ra: 6.977, dec: -28.97, mag: 1.50, color: 0xbfd0ff },
+  { name: 'Castor', ra: 7.577, dec: 31.89, mag: 1.58, color: 0xf4f1ff },
+  { name: 'Shaula', ra: 17.560, dec: -37.10, mag: 1.62, color: 0xbfd0ff },
+  { name: 'Bellatrix', ra: 5.419, dec: 6.35, mag: 1.64, color: 0xbfd0ff },
+  { name: 'Elnath', ra: 5.438, dec: 28.61, mag: 1.65, color: 0xd8e2ff },
+  { name: 'Alnilam', ra: 5.604, dec: -1.20, mag: 1.69, color: 0xbfd0ff },
+  { name: 'Alnitak', ra: 5.679, dec: -1.94, mag: 1.77, color: 0xbfd0ff },
+  { name: 'Alioth', ra: 12.900, dec: 55.96, mag: 1.77, color: 0xf4f1ff },
+  { name: 'Dubhe', ra: 11.062, dec: 61.75, mag: 1.79, color: 0xffd7a0 },
+  { name: 'Alkaid', ra: 13.792, dec: 49.31, mag: 1.86, color: 0xbfd0ff },
+  { name: 'Polaris', ra: 2.530, dec: 89.26, mag: 1.98, color: 0xfff1c8 },
+  { name: 'Saiph', ra: 5.796, dec: -9.67, mag: 2.09, color: 0xbfd0ff },
+  { name: 'Mintaka', ra: 5.533, dec: -0.30, mag: 2.23, color: 0xbfd0ff },
+  { name: 'Mizar', ra: 13.399, dec: 54.93, mag: 2.23, color: 0xf4f1ff },
+  { name: 'Schedar', ra: 0.675, dec: 56.54, mag: 2.24, color: 0xffd2a1 },
+  { name: 'Caph', ra: 0.153, dec: 59.15, mag: 2.28, color: 0xfff6e8 },
+  { name: 'Merak', ra: 11.031, dec: 56.38, mag: 2.37, color: 0xf4f1ff },
+  { name: 'Phecda', ra: 11.897, dec: 53.69, mag: 2.44, color: 0xf4f1ff },
+  { name: 'Navi', ra: 0.945, dec: 60.72, mag: 2.47, color: 0xbfd0ff },
+  { name: 'Ruchbah', ra: 1.430, dec: 60.24, mag: 2.68, color: 0xf4f1ff },
+  { name: 'Megrez', ra: 12.257, dec: 57.03, mag: 3.31, color: 0xf4f1ff },
+  { name: 'Segin', ra: 1.907, dec: 63.67, mag: 3.37, color: 0xbfd0ff },
+];
@@ -0,0 +1,80 @@
+/**
+ * Comet and interstellar object presets for the "Add asteroid or comet" panel.
+ * Osculating heliocentric elements (J2000 ecliptic) near each perihelion,
+ * from the JPL Small-Body Database. Angles in degrees, q in AU, epoch and
+ * tp (perihelion time) as Julian Days TDB.
+ */
+
+export const COMET_PRESETS = [
+  {
+    name: '1P/Halley',
+    designation: '1P',
+    kind: 'comet',
+    epoch: 2446466.5,
+    q: 0.574851,
+    e: 0.967920,
+    i: 162.1877,
+    node: 59.3960,
+    peri: 111.8657,
+    tp: 2446470.9589,
+    H: null,
+    G: null,
+  },
+  {
+    name: 'C/1995 O1 (Hale-Bopp)',
+    designation: 'C/1995 O1',
+    kind: 'comet',
+    epoch: 2450539.5,
+    q: 0.914142,
+    e: 0.995086,
+    i: 89.4300,
+    node: 282.4707,
+    peri: 130.5880,
+    tp: 2450539.6361,
+    H: null,
+    G: null,
+  },
+  {
+    name: '67P/Churyumov–Gerasimenko',
+    designation: '67P',
+    kind: 'comet',
+    epoch: 2459520.5,
+    q: 1.2106,
+    e: 0.6498,
+    i: 3.871,
+    node: 36.33,
+    peri: 22.15,
+    tp: 2459520.8,
+    H: null,
+    G: null,
+  },
+  {
+    // No coma was ever seen, so it is shown as an asteroid
+    name: '1I/ʻOumuamua',
+    designation: '1I',
+    kind: 'asteroid',
+    epoch: 2458080.5,
+    q: 0.255916,
+    e: 1.201133,
+    i: 122.7417,
+    node: 24.5969,
+    peri: 241.8105,
+    tp: 2458006.0073,
+    H: 22.1,
+    G: 0.15,
+  },
+  {
+    name: '2I/Borisov',
+    designation: '2I',
+    kind: 'comet',
+    epoch: 2458826.5,
+    q: 2.00652,
+    e: 3.35653,
+    i: 44.0526,
+    node: 308.1484,
+    peri: 209.1246,
+    tp: 2458826.0479,
+    H: null,
+    G: null,
+  },
+];
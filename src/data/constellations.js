@@ -0,0 +1,100 @@
+/**
+ * Constellation lookup for the sky planner.
+ *
+ * Approximate by design: near the ecliptic we use the longitudes where the
+ * ecliptic crosses the IAU boundaries (J2000), elsewhere the nearest
+ * constellation centre. Good enough to point binoculars, not to settle a
+ * boundary dispute. Constellations are named by their IAU abbreviations;
+ * the UI tables carry the names (`constellation.Ori`).
+ */
+
+/** Ecliptic longitude (J2000, deg) where the ecliptic enters each constellation */
+const ECLIPTIC_SEGMENTS = [
+  { start: 29.1, abbr: 'Ari' },
+  { start: 53.5, abbr: 'Tau' },
+  { start: 90.4, abbr: 'Gem' },
+  { start: 118.3, abbr: 'Cnc' },
+  { start: 138.2, abbr: 'Leo' },
+  { start: 174.2, abbr: 'Vir' },
+  { start: 218.0, abbr: 'Lib' },
+  { start: 241.1, abbr: 'Sco' },
+  { start: 247.7, abbr: 'Oph' },
+  { start: 266.3, abbr: 'Sgr' },
+  { start: 299.7, abbr: 'Cap' },
+  { start: 327.9, abbr: 'Aqr' },
+  { start: 351.6, abbr: 'Psc' },
+];
+
+/** Bodies within this ecliptic latitude (deg) use the ecliptic segment table */
+const ECLIPTIC_BAND = 6;
+
+/** Approximate constellation centres: [IAU abbreviation, RA (hours), Dec (deg)] */
+const CONSTELLATION_CENTRES = [
+  ['And', 0.8, 37], ['Ant', 10.3, -32], ['Aps', 16.1, -75],
+  ['Aqr', 22.3, -11], ['Aql', 19.7, 3], ['Ara', 17.4, -56],
+  ['Ari', 2.6, 21], ['Aur', 6.0, 42], ['Boo', 14.7, 31],
+  ['Cae', 4.7, -38], ['Cam', 8.9, 69], ['Cnc', 8.6, 20],
+  ['CVn', 13.1, 40], ['CMa', 6.8, -22], ['CMi', 7.6, 6],
+  ['Cap', 21.0, -18], ['Car', 8.7, -63], ['Cas', 1.3, 62],
+  ['Cen', 13.1, -47], ['Cep', 22.0, 71], ['Cet', 1.7, -7],
+  ['Cha', 10.7, -79], ['Cir', 14.6, -63], ['Col', 5.9, -35],
+  ['Com', 12.8, 23], ['CrA', 18.6, -41], ['CrB', 15.8, 33],
+  ['Crv', 12.4, -18], ['Crt', 11.4, -16], ['Cru', 12.4, -60],
+  ['Cyg', 20.6, 45], ['Del', 20.7, 12], ['Dor', 5.2, -59],
+  ['Dra', 15.1, 67], ['Equ', 21.2, 8], ['Eri', 3.3, -29],
+  ['For', 2.8, -32], ['Gem', 7.1, 23], ['Gru', 22.5, -47],
+  ['Her', 17.4, 27], ['Hor', 3.3, -53], ['Hya', 11.6, -14],
+  ['Hyi', 2.3, -70], ['Ind', 22.0, -60], ['Lac', 22.5, 46],
+  ['Leo', 10.7, 14], ['LMi', 10.2, 33], ['Lep', 5.6, -19],
+  ['Lib', 15.2, -15], ['Lup', 15.2, -43], ['Lyn', 8.0, 48],
+  ['Lyr', 18.9, 37], ['Men', 5.4, -77], ['Mic', 21.0, -36],
+  ['Mon', 7.1, 0], ['Mus', 12.6, -70], ['Nor', 15.9, -52],
+  ['Oct', 23.0, -82], ['Oph', 17.4, -8], ['Ori', 5.6, 6],
+  ['Pav', 19.6, -65], ['Peg', 22.7, 20], ['Per', 3.2, 45],
+  ['Phe', 0.9, -48], ['Pic', 5.7, -53], ['Psc', 0.5, 14],
+  ['PsA', 22.3, -31], ['Pup', 7.3, -31], ['Pyx', 8.95, -27],
+  ['Ret', 3.9, -60], ['Sge', 19.65, 19], ['Sgr', 19.1, -28],
+  ['Sco', 16.9, -27], ['Scl', 0.4, -32], ['Sct', 18.7, -10],
+  ['Ser', 15.8, 10], ['Ser', 18.3, -5], ['Sex', 10.3, -2],
+  ['Tau', 4.7, 15], ['Tel', 19.3, -52], ['Tri', 2.2, 32],
+  ['TrA', 16.1, -65], ['Tuc', 23.8, -66], ['UMa', 11.3, 51],
+  ['UMi', 15.0, 78], ['Vel', 9.6, -47], ['Vir', 13.4, -4],
+  ['Vol', 7.8, -69], ['Vul', 20.2, 24],
+];
+
+const DEG = Math.PI / 180;
+
+/**
+ * Find the constellation a sky position falls in.
+ * @param {number} raDeg - right ascension (J2000, deg)
+ * @param {number} decDeg - declination (J2000, deg)
+ * @param {number} eclipticLon - ecliptic longitude (J2000, deg)
+ * @param {number} eclipticLat - ecliptic latitude (J2000, deg)
+ * @returns {string} IAU abbreviation, e.g. 'Ori'
+ */
+export function getConstellation(raDeg, decDeg, eclipticLon, eclipticLat) {
+  if (Math.abs(eclipticLat) <= ECLIPTIC_BAND) {
+    const lon = ((eclipticLon % 360) + 360) % 360;
+    let abbr = ECLIPTIC_SEGMENTS[ECLIPTIC_SEGMENTS.length - 1].abbr; // wraps through 0°
+    for (const seg of ECLIPTIC_SEGMENTS) {
+      if (lon >= seg.start) abbr = seg.abbr;
+    }
+    return abbr;
+  }
+
+  const ra = raDeg * DEG;
+  const dec = decDeg * DEG;
+  let best = CONSTELLATION_CENTRES[0][0];
+  let bestCos = -2;
+  for (const [abbr, raH, cDec] of CONSTELLATION_CENTRES) {
+    const cRa = raH * 15 * DEG;
+    const cd = cDec * DEG;
+    // Cosine of the angular separation — larger is closer
+    const cosSep = Math.sin(dec) * Math.sin(cd) + Math.cos(dec) * Math.cos(cd) * Math.cos(ra - cRa);
+    if (cosSep > bestCos) {
+      bestCos = cosSep;
+      best = abbr;
+    }
+  }
+  return best;
+}
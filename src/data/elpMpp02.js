@@ -0,0 +1,1955 @@
+/**
+ * ELP/MPP02 lunar theory (Chapront & Francou 2002), fitted to DE405:
+ * the Moon's geocentric longitude, latitude and distance. Truncated to
+ * terms whose amplitude over 1800–2300 reaches 0.003″ (or the same angle
+ * in distance), which keeps positions within 0.1″ of the full series.
+ *
+ * W1 is the mean longitude polynomial (radians, T in Julian centuries of
+ * TDB from J2000). L and B (arcseconds) and R (km) are lists of flat
+ * [A, φ0, φ1, φ2, φ3, φ4, …] terms, one list per power of T:
+ * value = Σα T^α Σ A·sin(φ0 + φ1·T + φ2·T² + φ3·T³ + φ4·T⁴).
+ * The result is referred to the mean ecliptic of date and the J2000
+ * departure point; rotate it with the P, Q precession series for J2000.
+ * Source: IMCCE ELP/MPP02 as packaged in astronomia (MIT).
+ */
+export const ELP_MPP02 = {
+  W1: [3.81034409083, 8399.68473007, -0.0000331895204255, 3.11024944911e-8, -2.03282376489e-10],
+  L: [
+    [
+      22639.58566, 2.35555455039, 8328.69142462, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      4586.43827488, 1.75819374075, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      2369.91392858, 4.11374829113, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      769.025703699, 4.71110910077, 16657.3828492, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      666.417535552, 3.09846696573, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      411.595748175, 0.114217833224, 16866.932315, -0.000128012330753, -1.06904325567e-8, -5.88563808867e-11,
+      211.655548214, 5.68582449754, -1114.62855927, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      205.435949808, 1.8013194286, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      191.956194895, 0.186117534341, 23871.4457146, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      164.72861721, 4.15687397899, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      147.321381844, 0.742912415346, -7700.38946941, -0.000154956289255, -2.5010248204e-7, 1.18154427037e-9,
+      124.988118369, 2.05687414557, 7771.37714499, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      109.380361966, 5.45402151612, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+      55.1770597002, 0.857937804319, -1324.178025, 0.0000618291546291, 7.28081550762e-8, -3.49162813135e-10,
+      45.0996103073, 2.46977238361, 25195.6237396, 0.0000242800770094, 2.40028441598e-7, -1.29484037951e-9,
+      39.5333019706, 5.38292937075, -8538.24089036, 0.000280304738515, 2.61409306711e-7, -1.17712761773e-9,
+      38.4298340651, 5.87194203188, 22756.8171553, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      36.1238130733, 0.783478343981, 24986.0742739, 0.000456877223287, 7.52156622464e-7, -3.70795199586e-9,
+      30.7725744695, 3.51638748149, 14428.1257307, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      28.3971003878, 4.85666070648, 7842.36482057, -0.000221139465379, -1.87984759521e-7, 7.73525076347e-10,
+      24.3582280235, 0.929029949687, 16171.0562452, -0.0000688470576167, 6.27341146337e-8, -4.62458922274e-10,
+      18.5847066313, 5.98450490236, -557.314279633, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      17.9544673045, 5.1553411113, 8399.6791002, -0.0000357554695548, 3.16752533739e-8, -2.58449325263e-10,
+      14.5302776287, 0.229243222197, 23243.1437594, 0.0000887731131314, 3.1222020456e-7, -1.58956346439e-9,
+      14.3796970949, 2.54167208473, 32200.1371392, 0.000238401639401, 5.63555470829e-7, -2.87998719126e-9,
+      14.2514575732, 1.05170457483, -2.30119994141, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      13.8990595112, 1.94431127509, 31085.50858, -0.000132366352248, 1.24235445039e-7, -8.16038388044e-10,
+      13.1940631738, 3.33026994715, -9443.31998389, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      9.67905654719, 4.67054317214, -16029.080894, -0.000307248697018, -5.00821356195e-7, 2.41752826899e-9,
+      9.36586369718, 1.87241157397, 24080.9951803, -0.000346487914639, -1.99291584192e-7, 7.69108423712e-10,
+      8.60553157597, 5.7289501854, -1742.93051448, -0.000368104110156, -4.39936417904e-7, 2.11838853147e-9,
+      8.45309808091, 4.41242869595, 16100.0685696, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      8.05017225015, 4.19999966685, 14286.1503796, -0.000060855413138, 6.08849382912e-8, -2.99139737518e-10,
+      7.63015513482, 1.52639075933, 17285.6848045, 0.000301920934032, 5.02054140423e-7, -2.52640772549e-9,
+      7.44749513576, 3.05534127788, 1256.60391043, -0.00000532776298582, 1.23278422833e-9, -1.08879456504e-10,
+      7.37120098732, 1.84444511646, 5957.45895493, -0.0002131478209, -1.89833935863e-7, 9.36844261102e-10,
+      7.06299, 0.959137400071, 33.7570471241, -0.000030816644951, -3.64477107694e-8, 1.73854186046e-10,
+      6.38314922992, 0.0718997011164, 7004.51339962, 0.000214121562391, 3.23527029231e-7, -1.58514681176e-9,
+      5.74160727265, 4.22796612436, 32409.686605, -0.000194195506877, 5.14272899628e-8, -4.66875574908e-10,
+      4.37400941499, 5.91506771974, 22128.5152001, -0.000281994878517, -1.2709982123e-7, 4.74385338829e-10,
+      3.99761342969, 4.825326934, 33524.3151642, 0.000176572484772, 4.90747315753e-7, -2.53082437813e-9,
+      3.20968757027, 3.81506788631, 14985.4400103, -0.000251567171948, -1.57542290375e-7, 6.23955207588e-10,
+      2.91454030539, 3.28458450007, 24499.7476698, 0.0000834453501456, 3.13452988788e-7, -1.69844292089e-9,
+      2.73188889911, 3.55951316935, 13799.8237755, -0.000434287286279, -3.77818695384e-7, 1.71036933745e-9,
+      2.56794587677, 0.69978672749, -7072.0875142, -0.000157620170748, -2.49486089926e-7, 1.12710454212e-9,
+      2.52119889886, 4.81353501862, 8470.66677579, -0.000223803346872, -1.87368367407e-7, 7.19085348095e-10,
+      2.48888703706, 5.64269880968, -486.326604051, -0.000373431873141, -4.38703633676e-7, 2.00950907497e-9,
+      2.14607418783, 0.901063492176, -1952.47998022, 0.000064493036122, 7.2191762962e-8, -2.94723084883e-10,
+      1.97772697098, 4.29986582547, 39414.2000046, 0.0000199260555147, 3.74954319194e-7, -2.05202238666e-9,
+      1.93368239846, 3.13903289437, 33314.7656985, 0.000609169631049, 0.00000100287549662, -4.94393599448e-9,
+      1.87076471922, 1.98743696294, 30457.2066247, -0.000129702470755, 1.23619052925e-7, -7.61598659792e-10,
+      1.75296588709, 3.62895035197, -8886.00570426, -0.000337676403587, -4.7037888705e-7, 2.26795840023e-9,
+      1.43716242466, 3.95640477005, -695.876069787, 0.0000591652731362, 7.34245471904e-8, -4.03602541387e-10,
+      1.37257010998, 4.59689126755, -209.549465736, 0.000432597146278, 5.12128180866e-7, -2.41311161635e-9,
+      1.26181614388, 1.22771035451, 16728.3705248, 0.000116536938208, 2.82394127529e-7, -1.49443332388e-9,
+      1.22412393542, 1.45951333593, 6656.74858573, -0.00040385957971, -4.0826116453e-7, 1.85993920621e-9,
+      1.18682566466, 1.16083293111, 6099.43430609, -0.000589243575535, -6.27921177425e-7, 2.89191360782e-9,
+      1.17700124693, 2.58479777258, 31571.835184, 0.000241065520894, 5.62939078715e-7, -2.82554746301e-9,
+      1.16168666513, 5.41089582826, 9585.29533505, 0.000146964644777, 2.51951658383e-7, -1.34486345512e-9,
+      1.14299484174, 0.926516679257, 8364.73984103, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      1.07769288854, 2.79978656091, 70.9876755815, -0.000188047877317, -2.19043620781e-7, 9.77534673358e-10,
+      1.05949596857, 4.89722663511, 40528.8285639, 0.000390694047163, 8.14274344983e-7, -4.11597118988e-9,
+      0.990215377759, 0.300335367565, 40738.3780296, -0.0000419030991145, 3.02146164118e-7, -1.70285957353e-9,
+      0.948276052471, 0.974715396766, -17772.0114085, -0.000675352807173, -9.40757774099e-7, 4.53591680046e-9,
+      0.876109018329, 1.86918270968, -0.352315958075, 0, 0, 0,
+      0.821631740794, 4.56443848317, 393.020969693, 0, 0, 0,
+      0.788348081674, 3.40726070192, 8326.39022468, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.75167634593, 0.272368910054, 22614.8418042, 0.0000914369946243, 3.11603812446e-7, -1.53512373614e-9,
+      0.739566292041, 4.44545640295, 8330.99262456, 0, 0, 0,
+      0.6693787015, 2.31498862175, -24357.7723187, -0.00045954110478, -7.5154023035e-7, 3.65351226761e-9,
+      0.643749351858, 2.88436055595, 8393.12577444, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.638837428099, 1.175404116, 575.338487834, 0, 0, 0,
+      0.635208141753, 2.68722369043, 23385.1191106, -0.000287322641503, -1.25867037001e-7, 3.65505882325e-10,
+      0.583992229462, 0.484797939161, 24428.7599942, 0.000271493227463, 5.32496609569e-7, -2.67597759425e-9,
+      0.583309957474, 5.08424896593, -9095.55516999, 0.0000949207426911, 4.17492938164e-8, -1.45153216124e-10,
+      0.571562433696, 1.34695046545, 29970.8800207, -0.000503134343896, -3.15084580751e-7, 1.24791041518e-9,
+      0.564946979869, 4.53083038635, 0.328632374773, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.560642112373, 5.57160666432, -17981.5608742, -0.000242755660896, -4.28629593233e-7, 2.12280518411e-9,
+      0.556920029824, 2.09999983342, 7143.07518978, -0.000030427706569, 3.04424691456e-8, -1.49569868759e-10,
+      0.545922640872, 3.88194530971, 25614.3762291, 0.000454213341794, 7.52773014578e-7, -3.76239172411e-9,
+      0.535712377231, 5.80004233076, 15752.3037557, -0.000498780322401, -4.50010458346e-7, 2.00509242233e-9,
+      0.4933, 4.88676239728, -8294.9343775, -0.000183109052713, -2.87166584924e-7, 1.40983818467e-9,
+      0.49141, 3.31468619087, 8362.44847175, 0.000121475762811, 2.14271163385e-7, -1.06212981257e-9,
+      0.478404714035, 3.37339563501, -10071.6219391, -0.000520396517918, -6.90655292059e-7, 3.35437253009e-9,
+      0.453793558883, 2.4274542515, 15333.2048242, 0.000366413970154, 5.74245903386e-7, -2.82113081038e-9,
+      0.44531067486, 3.64209373556, 8311.77074382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.426217696818, 1.91553726183, 23452.6932251, -0.000343824033146, -1.99907976306e-7, 8.23548151964e-10,
+      0.420325481381, 0.228435666449, 33733.86463, -0.000256024661506, -2.13808651133e-8, -1.17712761773e-10,
+      0.413397913524, 3.21268479896, 17495.2342702, -0.000130676212246, -1.00740404425e-8, -1.13296109138e-10,
+      0.404227249093, 3.02902978311, 23314.131435, -0.0000992747641858, 9.31765837793e-8, -6.12028791033e-10,
+      0.39451145761, 3.70250501583, 38299.5714453, -0.000350841936134, -6.43657065961e-8, 1.19264165553e-11,
+      0.382129699826, 4.27109181221, 31781.3846498, -0.000191531625384, 5.08108978487e-8, -4.12435846657e-10,
+      0.374510343232, 0.115025388973, 6376.21144441, 0.000216785443884, 3.22910637117e-7, -1.5307070835e-9,
+      0.3606, 5.43826172608, 16833.1752679, -0.000097195685802, 2.57572782127e-8, -2.32710566933e-10,
+      0.357577880866, 0.331669140047, 15056.4276859, -0.000439615049265, -3.76585911156e-7, 1.60148988095e-9,
+      0.349648297774, 0.444232010526, -8257.70374904, -0.000340340285079, -4.69762494935e-7, 2.21351867198e-9,
+      0.34352576251, 5.80340953434, 157.73435434, 0, 0, 0,
+      0.339792696676, 4.2431253547, 13657.8484243, -0.0000581915316451, 6.0268546177e-8, -2.44700009266e-10,
+      0.328655867242, 0.897696177205, 41853.0065889, 0.000328864892534, 7.41466189907e-7, -3.76680837675e-9,
+      0.324601105017, 1.18224193071, -39.8149018979, 0, 0, 0,
+      0.308718010001, 5.95819340759, 21500.2132449, -0.000279330997024, -1.27716213344e-7, 5.28825067081e-10,
+      0.301556822064, 2.84887486285, 786.041939386, 0, 0, 0,
+      0.301554236504, 0.628694582122, -24567.3217844, -0.0000269439585023, -2.39412049484e-7, 1.24040065126e-9,
+      0.300855409032, 2.61613154507, 5889.88484036, -0.000156646429257, -1.15792996559e-7, 4.78801991464e-10,
+      0.294199336395, 5.77207587325, -2371.23246969, -0.000365440228663, -4.40552810018e-7, 2.17282825972e-9,
+      0.292551508436, 5.27458122224, 21642.1885961, -0.000655426751658, -5.65803454905e-7, 2.4838944138e-9,
+      0.29022053823, 5.64013905046, 32828.4390944, 0.000235737757908, 5.64171862943e-7, -2.93442691951e-9,
+      0.289100022432, 5.04277824082, 31713.8105352, -0.000135030233741, 1.24851837153e-7, -8.70478116295e-10,
+      0.2852151592, 0.694806032169, -33.7814274552, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.282874574433, 1.28595627755, -16.9206808076, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.282500538042, 4.34299151333, 38785.8980494, 0.0000225899370076, 3.7433792708e-7, -1.99758265841e-9,
+      0.2737605064, 0.630349544867, 15613.7419656, -0.000254231053441, -1.56925898261e-7, 5.69515479336e-10,
+      0.263366245353, 5.56823934934, 25823.9256948, 0.0000216161955165, 2.40644833712e-7, -1.34928010776e-9,
+      0.254285723351, 2.17109197879, 24638.30946, -0.000161103918815, 2.03684287031e-8, -2.62865977898e-10,
+      0.253035679495, 2.91481194989, 6447.19911999, 0.0000287375665672, 1.03867016336e-7, -5.53172410146e-10,
+      0.249882505055, 2.45798046824, 141.975351163, -0.000376095754634, -4.38087241561e-7, 1.95506934672e-9,
+      0.246943210337, 1.88757080432, 5329.15699972, -0.000210483939407, -1.90450327978e-7, 9.91283989354e-10,
+      0.24515729712, 1.7119760584, 36.0484164036, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.23140200584, 3.85819357417, 14357.1380551, -0.000248903290455, -1.5815868249e-7, 6.7839493584e-10,
+      0.226643044933, 0.446036271374, 2.62983231618, 0, 0, 0,
+      0.218531118723, 0.372235068682, 47742.8914292, 0.000172218463277, 6.25673193348e-7, -3.28800638528e-9,
+      0.211090350994, 3.71542472715, 6638.72437752, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.201337051996, 5.9861598651, 39623.7494703, -0.000412671090763, -1.37173861672e-7, 3.6108922969e-10,
+      0.194462670608, 3.66220159363, 588.492683148, 0, 0, 0,
+      0.193096467606, 4.62741748428, -15400.7789388, -0.00030991257851, -5.00204964081e-7, 2.36308854074e-9,
+      0.185747037262, 0.885904261831, 16799.3582004, -0.0000715109391097, 6.33505067478e-8, -5.16898650525e-10,
+      0.184630964804, 5.45702667662, 1150.67697567, 0, 0, 0,
+      0.182537586859, 3.18955682682, 7178.01444895, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.181083468394, 4.20537063241, 8328.33910867, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.181057215844, 3.64734007288, 8329.04374058, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.179026982621, 4.78556856111, -9652.86944962, -0.0000904632531332, -1.77910719078e-7, 8.86821185486e-10,
+      0.176234395474, 3.2871442593, -8815.01802867, -0.000525724280904, -6.8942250783e-7, 3.24549307359e-9,
+      0.175111734039, 0.961047911556, 550.755324033, 0, 0, 0,
+      0.169767641819, 3.63060531472, 31295.0580457, -0.000564963498525, -3.87892735827e-7, 1.59707322831e-9,
+      0.167069597967, 2.80990899317, 7211.76166542, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.164920754073, 6.06990108632, 14967.4158021, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.164430678416, 5.16545382736, 15540.45309, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.164235771865, 5.80827925573, 522.369390623, 0, 0, 0,
+      0.163059204497, 6.20363758632, 15545.0554899, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.16083728625, 2.04902577057, 6428.02092597, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.157798944375, 3.60263885721, 13171.5218203, -0.000431623404787, -3.78435087499e-7, 1.7648090657e-9,
+      0.15712074734, 3.84808368327, 7216.3640653, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.153793118949, 0.932677199302, 7935.67045493, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.152259067746, 2.0305626508, 29828.9046695, -0.000127038589262, 1.23002660811e-7, -7.0715893154e-10,
+      0.151303131627, 2.75603627287, -0.711345466876, 0, 0, 0,
+      0.149894752293, 2.98590409525, 23942.4333902, -0.000101938645679, 9.37929758934e-8, -6.66468519284e-10,
+      0.14360786178, 4.3215747392, 7753.35293679, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.13698478143, 3.64886229375, 7213.7105494, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.1368613049, 3.00914632991, 7214.41518132, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.136355269103, 6.02763059022, -1185.61623485, -0.000182720114331, -2.20276405009e-7, 1.08641412986e-9,
+      0.136002765454, 4.60354500367, 8000.10480474, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.13427285125, 4.40363532044, 14756.7123506, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.131240680324, 0.335825353927, 6821.04189567, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.128120627113, 1.27339580159, -17214.6971289, -0.000489968811349, -7.21097761204e-7, 3.50394239885e-9,
+      0.127462429655, 0.636896061646, 8721.71239432, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.126160481727, 6.05805956622, 46628.2628699, -0.000198549528372, 1.86353167559e-7, -1.22405758207e-9,
+      0.125181996315, 1.22697922539, 7149.62851554, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.123858365908, 2.65588991795, 49067.0694542, 0.000110389308648, 5.52865038272e-7, -2.93884357215e-9,
+      0.120725866322, 4.45555438381, 15471.7666144, 0.000121864701193, 2.811613433e-7, -1.38555386738e-9,
+      0.111000888554, 5.49458744475, 41643.4571231, 0.000761462038812, 0.00000125359437077, -6.1799199931e-9,
+      0.110067025871, 3.52882411368, 8904.02991246, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.106296772511, 4.871855834, -18.0489434559, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.104996952792, 3.87370430891, -4.93103225759, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.104049485161, 3.79302752212, -6.55895559913, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.101348872672, 3.01221559002, 1884.90586564, -0.00000799164447873, 1.84917634249e-9, -1.63319184755e-10,
+      0.0998168183414, 1.20395861896, 5471.13235088, -0.000586579694042, -6.28537569539e-7, 2.94635333607e-9,
+      0.0992855492807, 2.69136600352, 15149.7333203, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.09642, 0.0130175393411, 15508.9972429, -0.0000353665311729, 9.85654332889e-8, -5.81873380068e-10,
+      0.0951922869368, 0.469894446441, 7230.98354617, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0931970867766, 4.94035232297, 39900.5266086, 0.000393357928656, 8.13657952869e-7, -4.06153146163e-9,
+      0.0920469455722, 3.58326490489, 25057.0619495, 0.00026882934597, 5.33113001683e-7, -2.7304173225e-9,
+      0.0917852887306, 2.7811770724, -79.6298037958, 0, 0, 0,
+      0.0915388560431, 3.21605211393, -26310.2522989, -0.000395048068658, -6.79348467388e-7, 3.35878918273e-9,
+      0.0909169999395, 2.58399021684, 42062.5560546, -0.000103732253744, 2.29338009041e-7, -1.35369676039e-9,
+      0.0903270518296, 1.3900761533, 29342.5780655, -0.000500470462403, -3.15700972865e-7, 1.30235014343e-9,
+      0.0897319664747, 5.9958163323, 15542.401974, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0896374897039, 5.3733343589, 15543.1066059, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.08909543471, 5.71853187722, 6063.38588969, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0863304133, 5.60212744366, 52.9690972112, 0, 0, 0,
+      0.0849987529975, 2.05852910831, 47952.4408949, -0.000260378683001, 1.13545012482e-7, -8.7489476893e-10,
+      0.0847155494442, 3.17036666685, 7632.81535484, 0.000211457680899, 3.24143421345e-7, -1.63958654001e-9,
+      0.0840349869456, 1.78925343821, 14392.0773143, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0831072150246, 1.50263902378, 6028.44663051, -0.000401195698217, -4.08877556644e-7, 1.91437893446e-9,
+      0.0828156495054, 2.19821102931, -7909.93893515, 0.000277640857022, 2.62025698825e-7, -1.23156734599e-9,
+      0.0827761271044, 0.491568364378, -77.5522610121, 0, 0, 0,
+      0.0823989449571, 4.30746808918, 8786.14674413, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0804857583872, 3.99872290216, 9166.54284557, -0.000282968620008, -2.60792914597e-7, 1.12268788948e-9,
+      0.0801873326047, 5.26871153753, -25405.1732053, 0.000408317069268, 2.72099739268e-7, -1.11827123685e-9,
+      0.0776505696099, 0.969595878322, 48857.5199885, 0.000542986454925, 0.00000106499321914, -5.3519551885e-9,
+      0.0767555464763, 3.42237355093, 8315.57351343, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.075177394616, 0.743719971095, -18191.11034, 0.000189841485382, 8.34985876329e-8, -2.90306432248e-10,
+      0.0750061611382, 2.98424913251, -16238.6303598, 0.00012534844926, 1.13068246708e-8, 4.41665263491e-12,
+      0.07372619197, 0.343461055422, 40110.0760744, -0.0000392392176216, 3.01529772003e-7, -1.64841984528e-9,
+      0.0720733007609, 3.67138592933, 64.4343498139, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0714176158933, 3.74563070369, 37671.2694901, -0.000348178054641, -6.49820987103e-8, 6.63661448071e-11,
+      0.0686640034913, 3.28221257986, 16693.4312657, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0685005509493, 4.90234615356, -26100.7028331, -0.000827645214935, -0.00000119147664825, 5.77190079908e-9,
+      0.0683140285364, 2.66207901379, 8329.40277009, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0683030771832, 5.19060793112, 8327.98007916, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.067536848533, 3.98434050295, 16833.1508875, -0.0000970977534384, 2.57136449814e-8, -2.33437787454e-10,
+      0.0674164689144, 4.9708785397, 24709.2971356, -0.000349151796132, -1.98675192078e-7, 7.1466869546e-10,
+      0.0671329241864, 3.22324282147, 8346.71563283, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0660090053033, 4.18564799225, 22547.2676896, 0.000147938386268, 3.8564475175e-7, -1.99316600578e-9,
+      0.06569, 5.07288464401, 15576.5113371, -0.0000969998210748, 2.56700117501e-8, -2.34165007976e-10,
+      0.0654065592426, 1.04324778291, 33037.9885602, -0.00019685938837, 5.2043682077e-8, -5.2131530316e-10,
+      0.0652001321323, 6.14751385345, 8322.13246902, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0651254287553, 1.48326507147, 17913.9867597, 0.000299257052539, 5.02670532538e-7, -2.58084745374e-9,
+      0.0650674369949, 3.07215547097, 22685.8294798, -0.0000966108826928, 9.25601916651e-8, -5.57589062781e-10,
+      0.06456, 3.94063991855, 7180.30581823, -0.000187658938935, -1.52153440866e-7, 6.54110618553e-10,
+      0.0643855111483, 2.62792346044, 30943.5332288, 0.000243729402387, 5.62322686601e-7, -2.77110773476e-9,
+      0.0640906264606, 3.45618316051, 8288.87652273, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0636880091326, 6.26946288462, 6.03347444275, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0632401444103, 4.39958487255, 8368.50632652, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0631342732179, 0.944189180032, -2580.78193543, 0.000067156917615, 7.15753708479e-8, -2.40283356632e-10,
+      0.061805954665, 5.35135957882, 7056.32851102, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0614501506201, 3.05709169073, 8294.90999717, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.0610268134709, 1.68710159538, -10281.1714048, -0.0000877993716403, -1.78527111193e-7, 9.41260913737e-10,
+      0.0608300703727, 4.62907344626, -8362.47285208, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.0605518140297, 5.99850836015, 8170.95707028, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.059471106048, 1.06549994264, -13.1179111983, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0590389689208, 1.25304844026, 6625.57018221, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0584492727191, 0.302162962204, -0.507958639117, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0575431011588, 4.30315664414, 7161.09376815, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0573999686733, 1.75953572335, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0572502460519, 5.57326162706, 22199.5028757, -0.000470042755834, -3.46143442011e-7, 1.45192001219e-9,
+      0.0568392452162, 0.669260510756, 8119.14195889, 0.00058488955404, 7.62847055021e-7, -3.64909561498e-9,
+      0.0561583454196, 2.64484772161, 7542.64948524, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0555438442626, 1.85177596799, 8486.42577896, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0535563134757, 5.76281521222, 16655.0816493, 0.000456877223287, 7.52156622464e-7, -3.70795199586e-9,
+      0.0527338082823, 2.29092732468, 7267.03196257, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0527173233204, 4.68698273847, 12.619238418, 0.0000618291546291, 7.28081550762e-8, -3.49162813135e-10,
+      0.0516473814449, 4.55632533891, -32896.013209, -0.000179236366265, -4.90130923638e-7, 2.47638464988e-9,
+      0.0516429748943, 5.03169884843, 1097.70787846, 0, 0, 0,
+      0.0514144237547, 0.656661039633, -6443.78555898, -0.000160284052241, -2.48869697812e-7, 1.07266481387e-9,
+      0.0509578008364, 2.92196652436, 7789.40135319, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0506983212913, 1.11514748403, 40042.5019598, 0.0000172621740218, 3.75570711308e-7, -2.10646211492e-9,
+      0.0505838431384, 5.20352571296, 9114.73336401, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.05035, 3.08270333596, 8504.48384324, -0.000249488093564, -2.24961595942e-7, 1.00327343169e-9,
+      0.0502456524404, 0.517825091777, 16659.6840492, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.04963, 2.71734248546, 7247.81991248, -0.000249292228837, -2.25048862405e-7, 1.00181899064e-9,
+      0.04746, 1.81707834598, -1290.42097788, 0.0000310125096782, 3.63604443068e-8, -1.75308627089e-10,
+      0.0470185770377, 6.24261937855, -32686.4637433, -0.000611833512542, -0.0000010022591045, 4.88949626623e-9,
+      0.0466882262621, 5.05736662617, 548.67778125, 0, 0, 0,
+      0.0465886526669, 3.94521327386, 6663.30754132, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0463207117031, 2.55036858723, 1572.08387877, 0, 0, 0,
+      0.0461325456053, 3.61379430216, 14954.2616068, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0456295914832, 5.28770699677, 6691.69347474, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0447853650779, 1.47948824092, -235.286615353, 0, 0, 0,
+      0.0444993219103, 4.52664652918, 32967.0008846, -0.00000881151105256, 2.71087302858e-7, -1.49884997652e-9,
+      0.0444201915943, 5.38714409272, -1671.9428389, -0.000556151987473, -6.58980038685e-7, 3.09592320483e-9,
+      0.0434153758041, 1.11069599338, 1179.06290908, 0, 0, 0,
+      0.0433778010506, 1.64060859255, 34152.6171194, 0.000173908603279, 4.91363707867e-7, -2.58526410638e-9,
+      0.0430368516179, 5.28471817487, 6514.77323456, -0.0000277638250761, 2.98260770314e-8, -9.51301405073e-11,
+      0.042767434723, 0.905112024102, 15.7324839993, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.0427122465449, 1.08559418877, 8351.23332976, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0421907506664, 1.83914406531, 7740.19874148, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0421880058944, 1.42624657994, 15385.0199356, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0418885911819, 1.41638764807, 7285.05054094, -0.000406523461203, -4.07644772416e-7, 1.80549947796e-9,
+      0.0407402290682, 2.84035248955, 32757.4514189, 0.000423785635225, 7.83215483724e-7, -3.91196159287e-9,
+      0.0405167690874, 6.03270044084, 8275.72232741, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.040475158015, 1.79798224239, 8381.66052183, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0401193657407, 1.15661820914, -766.863745369, 0.000247213150453, 2.92468167971e-7, -1.38113721474e-9,
+      0.0401186355086, 3.22759362093, 254.431439676, 0, 0, 0,
+      0.0396771072123, 1.97062276985, 9027.98105542, -0.0000384193510477, 3.22916454881e-8, -3.12889053514e-10,
+      0.0395663939663, 4.53321344173, 7777.93610059, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0394688073226, 6.2374998601, 33943.0676537, 0.000606505749556, 0.00000100349188873, -4.99837572273e-9,
+      0.0390015037651, 5.08945058072, 8326.06159231, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0389987631011, 5.3177069101, 21013.8866409, -0.000652762870166, -5.6641984702e-7, 2.53833414205e-9,
+      0.0389879389606, 0.887025307016, 606.977677068, 0, 0, 0,
+      0.0389416182597, 2.76310581313, 8331.32125694, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0386914685315, 4.41556776838, 7211.43303304, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0383971661257, 2.24216808472, 7216.69269767, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.03838, 1.51063079475, 25161.8666925, 0.0000550967219603, 2.76476152367e-7, -1.46869456555e-9,
+      0.0378262484451, 5.97266969095, 7806.322034, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0377059524043, 5.730947859, 9179.16771382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0367119338927, 0.0185318573407, 14991.9989659, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.03638, 1.91828771558, 67.5140942481, -0.000061633289902, -7.28954215388e-8, 3.47708372092e-10,
+      0.0358680738665, 5.26955894452, 25266.6114152, -0.000163767800308, 2.09848208172e-8, -3.17305706149e-10,
+      0.0355531896624, 0.675697625792, 16328.7962294, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0354684026573, 3.00746782859, 7174.24796346, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0351375361955, 0.288543452191, 15684.7296411, -0.000442278930758, -3.75969519042e-7, 1.54705015269e-9,
+      0.0348181060182, 1.95920451327, -15.4191111397, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.034772973458, 1.35966361083, 15020.3848994, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0342894396059, 1.29711242843, 7371.7972197, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.03401, 2.53120802142, -16623.6258021, -0.000335401460476, -5.37885459079e-7, 2.64582218329e-9,
+      0.0334084009332, 1.52857429656, 9479.36840029, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0333595739108, 4.78300880189, 23661.8962489, 0.000518706377916, 8.2496477754e-7, -4.057114809e-9,
+      0.0331332284445, 5.62720838878, 8311.41842786, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0330380991048, 3.97256966753, 1965.10484846, 0, 0, 0,
+      0.0330219739995, 0.457945067239, 15489.7851928, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.032996433488, 0.31549459791, 21986.539849, 0.0000941008761172, 3.10987420332e-7, -1.48068400789e-9,
+      0.03279, 5.67024056673, 16691.1398964, 0.000273768170574, 4.6499003754e-7, -2.2981138112e-9,
+      0.0327389555425, 0.415360756538, 47114.589474, 0.00017488234477, 6.25056801234e-7, -3.23356665703e-9,
+      0.032667317511, 6.02331014773, 8917.18410777, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0326117840565, 5.80505837857, 2.0775427837, 0, 0, 0,
+      0.0324216063383, 3.89686320238, 75.2510610707, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0319278993976, 3.66904792262, 7253.87776726, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0318654722087, 4.68359396025, -0.22365715771, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.03171446736, 5.99814273299, 16640.4621684, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0315391006584, 0.966218053534, 8328.36279225, 0, 0, 0,
+      0.0312900147011, 0.603232726035, 8329.020057, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0310272620213, 5.27527670993, 16118.0927778, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0302443493642, 5.23943022207, 16721.8171991, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0297895320349, 0.559257399499, -1881.49230463, -0.000123554841195, -1.46851857819e-7, 6.82811588475e-10,
+      0.0297158222212, 1.00689408484, 8157.83915908, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0294890998827, 1.01784108462, -18400.3133637, -0.00067268892568, -9.41374166213e-7, 4.59035652871e-9,
+      0.0293381622407, 4.33565742251, 15.999508224, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0291198506189, 3.31799301048, 8879.44674866, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0288880695393, 1.8893439306, 8851.06081525, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.028868533323, 2.47057993936, 14704.902869, 0.000369077851647, 5.73629511271e-7, -2.76669108212e-9,
+      0.0284231495512, 4.47308682774, 15595.7233872, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0281105488903, 1.16592267249, 16864.631115, 0.0000242800770094, 2.40028441598e-7, -1.29484037951e-9,
+      0.0281082346055, 2.20410566665, 16869.2335149, -0.000280304738515, -2.61409306711e-7, 1.17712761773e-9,
+      0.0280385746092, 5.61473235217, -18609.8628295, -0.000240091779403, -4.29245985347e-7, 2.17724491236e-9,
+      0.0268191628911, 1.11770724325, 6727.73626131, -0.000591907457028, -6.27304785311e-7, 2.83747387957e-9,
+      0.0267686378366, 1.4121729261, 418.752489478, 0.000429933264785, 5.1274457298e-7, -2.46755134461e-9,
+      0.0267591733651, 1.71250829367, 41157.1305191, 0.00038803016567, 8.14890737098e-7, -4.17041091814e-9,
+      0.0260709800984, 5.36799274558, 15.5420282884, 0, 0, 0,
+      0.0260197154034, 3.25325072759, 50181.6980135, 0.000481157300296, 9.92185064062e-7, -5.00279237537e-9,
+      0.025858913856, 1.89125633264, 315.468708681, 0, 0, 0,
+      0.0254022152781, 0.959087699961, 19.187669756, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0251682347935, 4.72586851517, 62.1331498724, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0251047807549, 5.33217229502, 15502.9393881, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0250991621461, 6.10118525408, 45999.9609147, -0.000195885646879, 1.85736775444e-7, -1.16961785381e-9,
+      0.024288759393, 4.78476100536, 837.85142095, -0.000435261027771, -5.11511788752e-7, 2.3586718881e-9,
+      0.0241083016226, 4.38611720119, 38157.5960942, 0.0000252538185005, 3.73721534965e-7, -1.94314293016e-9,
+      0.0241065594626, 0.500711598122, 15540.1244577, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0239096238186, 1.83009344186, 14218.576265, -0.0000043540214947, 1.34925877596e-7, -7.57182007157e-10,
+      0.0238661196922, 4.58452260029, 15545.3841223, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0237896145484, 2.72869441555, -17424.2465946, -0.0000573716650713, -2.08969580338e-7, 1.0908307825e-9,
+      0.0234879221822, 3.9132790822, -67.5741145733, 0.0000565013916433, 7.40409393045e-8, -4.58042269639e-10,
+      0.0233530770714, 4.00892774685, 18.0242082018, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.0231286990351, 5.27098379622, 469.400293412, 0, 0, 0,
+      0.0230379527451, 2.29260270953, 7136.51060435, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0230076194605, 6.07195963574, 15582.5691919, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0229592622225, 4.37186276732, -16586.3951737, -0.000492632692842, -7.2048136909e-7, 3.4495026706e-9,
+      0.0229277972689, 3.07877071785, 80.1820933283, 0, 0, 0,
+      0.0228888063585, 2.65925723292, 5261.58288514, -0.000153982547764, -1.16409388673e-7, 5.33241719716e-10,
+      0.0228501140684, 2.13042880943, 54956.9542946, -0.0000462571206092, 4.37072041713e-7, -2.46004158069e-9,
+      0.0228244185918, 5.58079449451, 8550.86012878, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.022728827028, 6.02928555296, 38995.4475151, -0.00041000720927, -1.37790253786e-7, 4.15528957942e-10,
+      0.0226057357439, 5.39467403414, 2358.12581816, 0, 0, 0,
+      0.0224392443081, 5.34145864564, 32271.1248148, 0.0000503537620837, 3.44511850048e-7, -1.90245251791e-9,
+      0.0219241373901, 2.39524090245, 15935.7752597, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0217084656346, 2.64409800258, 24013.4210658, -0.000289986522996, -1.25250644887e-7, 3.11066154074e-10,
+      0.0216783979673, 1.96879602901, 8940.07832886, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0216427571743, 3.6355420782, 15700.4886443, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0215689015028, 5.84316801862, 15124.0018005, -0.000496116440909, -4.50626850461e-7, 2.05953215058e-9,
+      0.0214901469865, 2.72778961907, 56071.5828538, 0.000324510871039, 8.76392067503e-7, -4.52399038391e-9,
+      0.0212732539501, 0.869953829974, 9572.18868352, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0202166926916, 3.27174548266, -17.2729967657, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0200927155459, 4.62553285055, 214.616537778, 0, 0, 0,
+      0.0200854828594, 5.98249657965, 8391.04823165, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0199953280687, 1.23782316225, 23869.1445147, 0.000238401639401, 5.63555470829e-7, -2.87998719126e-9,
+      0.0199293449624, 1.9866294072, 40947.9274953, -0.000474500245392, -2.09982016748e-7, 7.10252042825e-10,
+      0.0194789516529, 2.95793763774, 5818.89716478, 0.0000314014480601, 1.03250624222e-7, -4.98732681894e-10,
+      0.0194721926251, 2.27602576929, 23873.7469145, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0192198517657, 4.38562283775, 7291.61512637, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0187634982867, 0.3758878754, 8428.01821949, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0187490219192, 5.7145985108, 6518.18679557, -0.00015931031075, -1.15176604445e-7, 4.24362263212e-10,
+      0.0186723385027, 5.42293712758, 21.3299079779, 0, 0, 0,
+      0.0184411081849, 2.22763636827, 14445.0464115, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0182916490375, 3.22088496339, 0.966402401064, -0.000401682568963, -4.75724103328e-7, 2.23853020979e-9,
+      0.0181894469004, 0.931589708909, -17143.7094533, -0.000678016688666, -9.40141381985e-7, 4.48147707221e-9,
+      0.0181846083147, 1.29542593112, 7736.43225598, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0181583655703, 4.31421750007, 31153.0826945, -0.000188867743891, 5.01945057345e-8, -3.57996118405e-10,
+      0.0181307242297, 6.15368425061, 6116.3549869, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0180865611646, 3.8481336302, 46.4006658731, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.017958046806, 5.36777014041, 10213.5972903, 0.000144300763284, 2.52568050497e-7, -1.39930318338e-9,
+      0.0178097564814, 4.4140836587, 56281.1323196, -0.000108086275238, 3.64263886637e-7, -2.11087876755e-9,
+      0.0176531007405, 5.10025839985, 8249.06162083, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0174081207291, 6.00131909545, 20871.9112897, -0.000276667115531, -1.28332605458e-7, 5.83264795332e-10,
+      0.0172463545948, 6.0132625605, 627.596239579, 0, 0, 0,
+      0.0170728808897, 3.41617389987, 628.307585046, 0, 0, 0,
+      0.0170616111827, 2.75603518521, 8408.32122842, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0170445404351, 3.52069347547, 7214.05615181, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0170444774175, 3.13729231786, 7214.06957891, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0168600794906, 3.21770707667, 13870.8114511, -0.000622335163597, -5.96862316165e-7, 2.68790401081e-9,
+      0.0167719453397, 1.86981785977, 22.5419051322, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0167341549515, 4.19164508084, -119.444705694, 0, 0, 0,
+      0.0164385309313, 0.158151076829, 5747.90948919, 0.000219449325377, 3.22294245003e-7, -1.47626735525e-9,
+      0.0163746162503, 6.01718916139, 14339.1082171, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0160491764432, 3.3988023333, 41366.6799848, -0.0000445669806074, 3.02762556232e-7, -1.75729930178e-9,
+      0.0159797589318, 6.09872273558, 16309.6180354, -0.000313396326577, -2.30350445452e-7, 9.73118020723e-10,
+      0.0158900093894, 4.11562513282, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0158743603408, 1.34097077184, 1203.64607288, 0, 0, 0,
+      0.0154459746819, 0.534018072379, 2751.14678785, 0, 0, 0,
+      0.0154389375658, 3.41652132287, -10699.9238943, -0.000517732636425, -6.91271684173e-7, 3.40881225834e-9,
+      0.0154086291746, 1.95866294968, 22824.3912699, -0.000341160151653, -2.0052436842e-7, 8.77987880216e-10,
+      0.0153292216861, 3.67373100257, 30666.7560905, -0.000562299617032, -3.88509127941e-7, 1.65151295656e-9,
+      0.0153094863511, 3.65241116606, 6010.41679248, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0151389651031, 2.2718629339, -23729.4703634, -0.000462204986273, -7.50923838236e-7, 3.59907253936e-9,
+      0.0149849362627, 2.93775005984, 14363.6913809, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.01492, 1.07335662956, 16900.6893621, -0.000158828975704, -4.71381433261e-8, 1.14997805159e-10,
+      0.0148295139368, 0.527923627017, 23800.458039, 0.000274157108956, 5.31880217455e-7, -2.621537866e-9,
+      0.0148154135452, 0.585438451207, 6034.99995628, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0146906750262, 2.74556885955, 8251.13916361, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.014592019601, 5.13053232725, -8.86015554054, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0145445352805, 2.40412839694, 882.739024721, 0, 0, 0,
+      0.0145089378957, 4.61128195567, 1021.32855474, 0, 0, 0,
+      0.0145004948633, 2.14109802352, 23296.1072268, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0144416472093, 0.693001496941, 7227.18077656, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0143755259842, 1.69714171112, 7213.35151989, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0143567911518, 5.545090646, 15506.7058736, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0142893029628, 4.95984576287, 7214.77421083, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0142743356949, 6.15021970118, 6665.38508411, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0142678844421, 1.63689621648, -8.63649838283, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.0142534126423, 4.6404524637, 15465.202029, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0141073599156, 0.182947221604, 508.862879352, 0, 0, 0,
+      0.0139610148026, 5.11698918666, 8406.24368564, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0137600864056, 2.91902667185, 13313.4971715, -0.000807719159421, -8.1652232906e-7, 3.71987841242e-9,
+      0.0137195460839, 4.34218395758, 49276.6189199, -0.00032220783763, 4.07368574062e-8, -5.25731955795e-10,
+      0.0135001268882, 1.64563087027, 30528.1943003, -0.000317750348072, -9.54245678559e-8, 2.15936013566e-10,
+      0.0134290851767, 3.24145881222, 25128.049625, 0.0000807814686527, 3.14069380903e-7, -1.75288264915e-9,
+      0.0134019612605, 4.45217531376, 14128.4047656, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0133198408498, 5.01144446834, 57395.7608788, 0.00026268171641, 8.03583912427e-7, -4.17482757077e-9,
+      0.0133080506738, 4.28625104256, 13029.5464691, -0.0000555276501522, 5.96521540629e-8, -1.90260281015e-10,
+      0.0131415029784, 5.43235485124, 7802.55554851, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0131020934127, 3.21175209265, 8258.8016466, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0130999754453, 3.74263653782, 8417.70893824, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0130023102761, 2.29255986977, 9965.20965321, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0129695926541, 4.93954476722, 50391.2474792, 0.0000485601540187, 4.80056883196e-7, -2.58968075901e-9,
+      0.0128669973458, 4.59599307003, 7134.43306156, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0128195802496, 4.44541743118, 30599.1819759, -0.000505798225389, -3.14468188637e-7, 1.19347068692e-9,
+      0.0128093070204, 5.12737465379, -9723.85712521, 0.000097584624184, 4.11329017023e-8, -9.07134878724e-11,
+      0.0125924934651, 0.0381347885345, 7607.08383505, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.01234, 2.36857418412, 23837.6886675, 0.000116925876589, 3.49284307444e-7, -1.81785737869e-9,
+      0.0122979494039, 5.16327720937, 4.40922717026, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0122968825569, 0.27778581239, 16657.0305333, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0122955022356, 6.00285687545, 16657.7351652, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0122765885832, 2.68475157466, 15578.8027064, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.0122569972092, 1.32702810437, -11.4899878567, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0121961072876, 3.47988868047, 8164.39811468, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0121498165132, 3.92928571954, 31852.3723253, -0.000379579502701, -1.68232722932e-7, 5.65098826701e-10,
+      0.0120937608556, 4.00845794151, 6607.08518829, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0119933276422, 5.72802546599, 8359.86982814, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0119619523626, 2.09746513054, 5799.71334093, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0119410925005, 4.24838084503, 7220.62182096, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0118206880587, 5.87959035547, -139.719621878, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0118191547768, 3.90131926203, 13728.8360999, -0.000246239408962, -1.58775074604e-7, 7.32834664092e-10,
+      0.0114187642883, 5.20857936698, 14912.145505, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0113369049804, 6.24737308648, 14916.7479049, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0112662425351, 3.99251244774, 8320.05492624, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.011233065299, 0.474783548225, 23085.4037752, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0111638989891, 1.92709479086, -628.659901004, 0, 0, 0,
+      0.0111394253285, 2.10165479617, 47324.1389397, -0.000257714801508, 1.12928620368e-7, -8.20455040678e-10,
+      0.011003741194, 6.02657876972, 174.80163588, 0, 0, 0,
+      0.0109552049895, 2.2304599739, 14994.0765087, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0109289507311, 4.9882682108, 585.64776909, 0, 0, 0,
+      0.0109213004107, 3.91416024958, -8322.65795018, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.010898434934, 2.34208358739, 8334.72489907, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.0108679629689, 1.90115798807, 627.955269087, 0, 0, 0,
+      0.010814548003, 1.66015559556, 6959.63142568, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0107698825531, 0.860497563542, -34638.9437235, -0.00054734047642, -9.30067341542e-7, 4.59477318135e-9,
+      0.0106804727764, 0.48729580219, 15620.306551, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0106483828362, 1.95649082379, 3144.16775754, 0, 0, 0,
+      0.0106396427123, 0.517786674388, 38927.8734005, -0.000353505817627, -6.37493144819e-8, -4.25133116965e-11,
+      0.0106198336966, 5.27036650027, 14775.8905446, 0.00018102997433, 3.54585890491e-7, -1.78915640877e-9,
+      0.0105226211973, 1.84858032093, 294.246341574, 0, 0, 0,
+      0.0103680900898, 5.04018130007, 23907.494131, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.0102530920194, 3.28825725913, 16264.3618796, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0102356342127, 2.07680463658, 7293.69266915, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0102262218154, 3.08531840998, -2.14223822182, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0101646253047, 2.90726726167, -10.8167112569, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      0.010069497923, 2.69901560581, 48438.767499, 0.000113053190141, 5.52248646158e-7, -2.8844038439e-9,
+      0.00993281174531, 0.447657749038, 7780.01364337, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00988211159305, 2.56012303415, 281.687281226, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00979986517763, 0.258017235457, 30875.9591142, 0.00030023079403, 6.36363625905e-7, -3.2291500044e-9,
+      0.00978946169662, 0.891398984504, 7196.03865716, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00970894193636, 2.07368833866, 29200.6027143, -0.000124374707769, 1.22386268697e-7, -6.52719203288e-10,
+      0.00964896883409, 5.81520156111, -2999.53442491, -0.00036277634717, -4.41169202132e-7, 2.22726798797e-9,
+      0.00957600882684, 3.68958709428, 6585.40296435, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00956692547873, 4.94446347177, 17507.8591384, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00955006436367, 5.20102655838, -25543.3885535, -0.000642261219111, -9.71816635359e-7, 4.73992639747e-9,
+      0.00954153477618, 0.0799528274345, 14935.7766129, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00950177940409, 3.79617912183, 842.924122824, 0, 0, 0,
+      0.00947818417918, 3.03332972996, 6586.10759627, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00944777739404, 0.392706994042, 16082.0443614, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00943934637741, 0.10242591785, -8186.71607346, -0.000528388162397, -6.88806115716e-7, 3.19105334534e-9,
+      0.00936181030558, 5.21391262031, -8345.61210543, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      0.00933988156295, 1.27505076433, 22966.3666211, -0.000717255906288, -6.38611609982e-7, 2.83305722693e-9,
+      0.00933828552763, 2.73344506078, 14521.4257352, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00932506244726, 1.28464345397, 139.685410885, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00931606492138, 5.04690110575, 23478.4247449, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00926511039905, 3.98543512994, 8563.97803998, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00922030101065, 2.52080486346, -0.205715226021, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00914, 1.14525161829, 23905.2027617, 0.0000552925866875, 2.76388885905e-7, -1.4701490066e-9,
+      0.00913157315455, 3.52252445076, 17114.8381688, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00899644200623, 6.03952492916, 14914.094389, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0089722870519, 5.39861998903, 15525.8336092, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.00894031256416, 2.26705866543, 359.239542238, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0089139888595, 5.39771231994, 14914.7990209, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0089095191827, 6.01327891562, 7075.5010752, 0.0000260736850743, 1.0448340845e-7, -6.07612138398e-10,
+      0.00888954857931, 5.52592121724, 15961.5067795, 0.000363750088661, 5.748622955e-7, -2.87557053863e-9,
+      0.00886733795908, 1.36101585137, -1689.9670471, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00886, 1.03104530423, 7038.27044675, 0.00018330491744, 2.87079318461e-7, -1.41129262571e-9,
+      0.00880200243477, 2.06257503264, 23871.0933986, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00879934415709, 2.99247728566, 17050.4038189, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00879445883151, 1.45132257989, 23871.7980306, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00878395509573, 3.58231898309, 15478.3199402, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00877154555879, 0.378867956498, 6192.73431062, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00874043998872, 1.51171686573, 16131.2469731, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00873858154701, 3.87632747232, 8093.40480927, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00873773871658, 0.655997320992, 15463.1244862, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00873095031107, 2.71755739302, 1414.34952443, 0, 0, 0,
+      0.00872214376014, 3.69045032612, 16065.1236806, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00866004228089, 5.46069875658, 45513.6343107, -0.00056931752002, -2.52966858231e-7, 8.39891221154e-10,
+      0.00864746355389, 6.08472311423, 6756.60754585, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00862862676673, 4.60979372415, 7721.71374756, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00860039960754, 5.49284704378, 15542.7610035, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00860032888387, 5.87624207798, 15542.7475764, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00857223525467, 1.87135417227, 13763.7697293, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00849971803527, 4.67135072789, -26519.8017646, 0.0000375490776198, -1.67220286522e-7, 9.45677566372e-10,
+      0.00849832894494, 0.0688404147415, 8307.36151665, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00849797701193, 0.0840277719961, 17900.8801081, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00849469266955, 0.141757494518, 1726.0154635, 0, 0, 0,
+      0.00848938888301, 4.32617732024, 17356.67248, 0.000113873056715, 2.83010519643e-7, -1.54887305214e-9,
+      0.00848592885743, 1.49995486625, 8350.0213326, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00843589918271, 2.27633476767, 8074.25998495, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00840004619599, 3.10514420619, 37184.9428861, -0.000721609927782, -5.03685732386e-7, 2.07587521977e-9,
+      0.00836943658989, 3.0380614357, 7191.52096023, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00835941496963, 1.43320184116, 28714.2761103, -0.00049780658091, -3.16317364979e-7, 1.35678987168e-9,
+      0.00828971163133, 3.71502759663, 10358.2306229, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00828053594106, 3.36780741356, 8235.3914201, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00818851498825, 0.299031077078, 708.489678374, 0, 0, 0,
+      0.00818110260179, 0.700976363315, 8943.88109847, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00817, 0.913270159643, 24047.2381332, -0.000315671269688, -1.62843873422e-7, 5.95254237666e-10,
+      0.00814809963221, 1.10809264196, 9426.39930308, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.008137079388, 3.23696717574, 6549.70686391, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00811882270481, 1.93069649217, 4700.8550445, -0.000207820057915, -1.91066720092e-7, 1.04572371761e-9,
+      0.00811647279777, 0.434855930313, 105.938194422, 0, 0, 0,
+      0.00808959902224, 4.14086575385, -5.90005408523, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00791388935859, 2.37489925634, -1.73096847724, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00790886073851, 1.13872369273, 8877.36920587, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00781117182459, 0.207752407184, 1.09588086749, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00775440153154, 1.57667066143, 8504.4594629, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.00767962660642, 5.88332968076, 17232.7213371, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0076476703025, 4.64244966394, 15607.1886398, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.00758224282306, 4.90579927853, 9900.7753034, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00754919592226, 3.64576454506, 12543.2198651, -0.000428959523294, -3.79051479613e-7, 1.81924879395e-9,
+      0.00754346774148, 5.57371043992, 8583.1228643, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0074850898517, 2.85303598704, 6583.45408037, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00747666008666, 3.46802591991, 9507.7543337, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00744442088323, 2.3322694934, -8316.07218621, -0.0000904632531332, -1.77910719078e-7, 8.86821185486e-10,
+      0.00743947595351, 3.78875639155, 37042.9675349, -0.000345514173148, -6.55984908244e-8, 1.20805873059e-10,
+      0.00742676118106, 3.37898794115, 3537.18872724, 0, 0, 0,
+      0.00739397596074, 3.3102004094, -1290.39659755, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00737365621846, 4.01564900427, 15288.3228503, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00736850684663, 0.760226710858, 8341.31066304, 0.000214121562391, 3.23527029231e-7, -1.58514681176e-9,
+      0.00731961790715, 4.22877368011, 21918.9657344, 0.000150602267761, 3.85028359636e-7, -1.93872627753e-9,
+      0.00729977757804, 1.01272156618, 48229.2180333, 0.000545650336418, 0.00000106437682702, -5.29751546025e-9,
+      0.00728295735764, 0.0571685519218, 25161.8423122, 0.0000551946543239, 2.76432519136e-7, -1.46942178607e-9,
+      0.00728249448371, 4.90219405806, 1213.95535414, 0, 0, 0,
+      0.0072808655277, 1.05327576476, 7247.84429281, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.00720603812254, 0.182479735156, 681.276682257, 0, 0, 0,
+      0.00710406828634, 1.50658441443, 18293.9010778, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00703894553467, 5.80067882225, 5435.07830464, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00703672354355, 3.89134838175, 6588.05648025, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0069795098885, 4.8138645426, 8293.74653561, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00694041829659, 5.97753596943, -1900.67049865, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0069397621854, 3.67207603983, -9514.30765947, -0.000335012522094, -4.70995279164e-7, 2.32239812848e-9,
+      0.00692977090773, 5.61638731492, 21571.2009205, -0.000467378874341, -3.46759834125e-7, 1.50635974044e-9,
+      0.00690189768567, 4.46251804803, 15622.3840938, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00690044282605, 3.05513478436, 6919.81652378, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00678978129671, 5.93881945528, 33385.7533741, 0.000421121753732, 7.83831875838e-7, -3.96640132112e-9,
+      0.00677967175823, 1.14643106945, 134.986733982, 0, 0, 0,
+      0.0067494436995, 4.16576772612, 8364.02849556, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00673023902815, 4.60722752186, 1044.73878125, 0, 0, 0,
+      0.00667978996992, 3.47070203441, 48371.1933844, 0.000169554581784, 6.26289585463e-7, -3.34244611354e-9,
+      0.00665963675017, 5.01481178331, 13590.2743098, -0.00000169014000179, 1.34309485482e-7, -7.02742278905e-10,
+      0.00665325086563, 0.63407386402, 7378.3561753, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0066500631037, 1.56695668796, 49972.1485477, 0.000913754446574, 0.00000150431324493, -7.41590399172e-9,
+      0.00661990853275, 0.260576994679, -2438.80658427, -0.000308938837019, -3.66511870714e-7, 1.71478599008e-9,
+      0.00660891801375, 4.76544333245, 7231.33586212, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00658965974804, 1.34192818773, 33595.3028398, -0.0000114753925455, 2.71703694972e-7, -1.55328970477e-9,
+      0.00658580137852, 5.32603155869, -0.812045639897, 0.000158926908068, 4.70945100948e-8, -1.15725025681e-10,
+      0.00656719582306, 3.24196505678, 8935.66910169, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00655464670277, 0.894189064183, 7307.36286988, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00654875514525, 5.00152298613, 7468.49430503, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00653941700542, 1.55772453181, -8396.2655392, -0.000095791016119, -1.7667793485e-7, 7.77941728982e-10,
+      0.00652045790289, 2.72409753354, 15542.4256576, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00651338836999, 2.3617890096, 15543.0829224, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00650150696136, 0.940132594143, 13816.7388265, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00646, 0.0561434017305, 14880.6952876, -0.0000327026496799, 9.79490411748e-8, -5.27433651816e-10,
+      0.00635459484286, 0.791632301343, 8365.45118649, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00635016287776, 0.991158662159, 8096.80189008, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00630681501194, 1.19506490029, -82.4832932697, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00627314788108, 0.368154462845, 7213.73423298, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00622980236882, 5.34401840486, -1043.64088368, -0.000558815868966, -6.58363646571e-7, 3.04148347658e-9,
+      0.00622969403746, 2.20077078853, -41224.7046336, -0.000331528774027, -7.40849797793e-7, 3.7123686485e-9,
+      0.00622189279267, 0.00652264935051, 7214.39149773, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00602184376331, 4.82478523389, 15508.9728625, -0.0000352685988093, 9.85218000576e-8, -5.82600600589e-10,
+      0.00595267327244, 5.15172297734, 6586.46662578, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0059437972209, 4.78780841722, 0.359029508801, 0, 0, 0,
+      0.00594293177195, 1.27858997862, 6521.3209305, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00592548308989, 2.51695438657, -8346.74036808, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00591559247826, 1.64115111625, 8887.10923165, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00585213131723, 5.8280236044, 6744.66257195, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0058358368037, 5.962487499, 8326.61388184, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00583344233676, 1.04310769014, 7235.39277334, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00582932863494, 1.8902333597, 8330.76896741, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00582674090901, 5.60792939719, 7192.73295738, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00580687990479, 6.22930117174, 8323.76039237, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00576424429515, 0.714931836909, 23935.8800644, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.00574078217643, 2.92910806929, 18686.9220475, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00573939969063, 2.6060505609, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      0.00570998347808, 2.24674513496, -328.586619879, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00568004667216, 3.32515042871, 57186.2114131, 0.000695278862688, 0.00000131571209329, -6.58793918713e-9,
+      0.0055996157196, 1.24708430682, 4842.83039567, -0.000583915812549, -6.29153961653e-7, 3.00079306432e-9,
+      0.00558605517397, 5.0826542933, 28.3859334103, 0, 0, 0,
+      0.00555391464392, 5.77947608966, 16644.264938, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00554184162899, 3.9583637016, 55.3569301863, 0, 0, 0,
+      0.00554122594739, 5.63922392879, -8292.64300822, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      0.00552739186939, 4.83884004435, 5488.04740186, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00549108892122, 1.60019374006, 8253.44036355, 0, 0, 0,
+      0.00547077201315, 1.89928121545, -36.0826273966, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.00546473836637, 0.0446286324313, 10293.7962731, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00542663943395, 3.11948259233, 7384.9151309, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00542104670902, 5.13746571315, 10751.2515926, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00539992441829, 0.599015772385, 41295.6923092, 0.00014348089671, 5.21806177012e-7, -2.73483397514e-9,
+      0.00537963412722, 4.98347801083, 39272.2246534, 0.000396021810149, 8.13041560755e-7, -4.00709173338e-9,
+      0.0053523915999, 5.8090361937, 7213.96481378, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00535152059757, 0.848948170939, 7214.16091693, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00535021996189, 5.39143853467, 7211.98532257, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00534586279602, 5.19898054899, 803.109220926, 0, 0, 0,
+      0.00531972642171, 1.26662033841, 7216.14040814, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00525973974009, 3.99616314294, 42481.3085441, 0.000326201011041, 7.42082582021e-7, -3.821248105e-9,
+      0.00524424440254, 4.13732107492, 22720.7687389, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0052424800204, 4.80148387272, 3930.20969693, 0, 0, 0,
+      0.00520923063912, 4.37415756003, 8333.10065179, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00518953234658, 3.1695591111, 18123.5362254, -0.000133340093739, -9.45764832835e-9, -1.6773583739e-10,
+      0.00517961528422, 3.11528115882, 22057.5275245, -0.0000939470011999, 9.1943799551e-8, -5.03149334529e-10,
+      0.00514953925362, 4.92775285185, 25337.5990908, -0.000351815677625, -1.98058799963e-7, 6.60228967209e-10,
+      0.00514624905391, 3.60878330539, 8013.22271594, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00513355999115, 3.45040926275, 7698.08263964, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00511254640937, 4.26350571782, -1507.64952896, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00508993387857, 1.46116829867, 46837.8123357, -0.000631146674649, -3.25775013307e-7, 1.18905403429e-9,
+      0.00508517234431, 5.75289633548, -12.4515194773, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00508221506633, 0.255536162918, 6999.44632758, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00504816879314, 2.55139789788, 95.1718320843, 0, 0, 0,
+      0.00503456061168, 1.62302466888, 8333.62245688, 0, 0, 0,
+      0.00502968639132, 0.747295024275, 8271.60352596, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00502733933476, 5.63764077252, 25022.1226903, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00501384624135, 0.15553384117, 8313.14939634, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0049905181184, 2.05799921031, 7771.37714499, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00497986176062, 1.41348051993, 8344.23345291, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00497004667466, 2.54679160317, -34429.3942578, -0.000979937622698, -0.00000144219552241, 7.0078847977e-9,
+      0.00495104543896, 5.44273535831, -1.94888398334, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0048603936553, 0.213720055196, 8322.79137054, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00485775019865, 5.35156908132, 1778.98456071, 0, 0, 0,
+      0.00483, 5.11601068093, 14948.2093819, -0.0000943359395819, 2.5053619636e-8, -1.79725279724e-10,
+      0.00482223624309, 0.137669381065, -13.5065112714, 0, 0, 0,
+      0.00481625361096, 4.48973008901, 7702.68503952, 0, 0, 0,
+      0.00479, 3.2688245355, 32375.9295578, -0.000163378861926, 8.78750007322e-8, -6.40729760954e-10,
+      0.00477984455288, 2.08986288079, 22270.4905513, -0.000658090633151, -5.65187062791e-7, 2.42945468554e-9,
+      0.00477618392952, 2.45335315082, 0.354603449818, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.00476984762251, 2.17355449729, 54328.6523394, -0.0000435932391163, 4.36455649599e-7, -2.40560185243e-9,
+      0.0047663151064, 1.58623202493, 469.047977454, 0, 0, 0,
+      0.00476145234856, 0.532513890838, 7762.74064661, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00474984244171, 4.744097836, 31156.4962555, -0.000320414229565, -9.48081757417e-8, 1.61496285314e-10,
+      0.00473773821243, 4.50826567806, 6532.7861831, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00472957680647, 0.585568894265, -23939.0198292, -0.0000296078399952, -2.3879565737e-7, 1.185960923e-9,
+      0.00466994334434, 0.302895126787, 7423.61233109, -0.000651072730164, -7.00729332501e-7, 3.24107642095e-9,
+      0.00465036903437, 3.52147719195, 25193.3225397, 0.000176572484772, 4.90747315753e-7, -2.53082437813e-9,
+      0.00464516813452, 5.10577564532, 16093.509614, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00464504142683, 5.41081571911, 15248.5079484, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00464333487222, 5.01755360786, 16658.0941947, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00463841389355, 1.26280187226, 16656.6715038, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00463365553188, 1.30817896214, -1114.98087522, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00462618601941, 0.638646417577, -1114.27624331, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00461642082725, 1.12670415866, 8406.68831152, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0046100000033, 0.900251163842, 8538.24089036, -0.000280304738515, -2.61409306711e-7, 1.17712761773e-9,
+      0.00460343378026, 5.57851219992, 16675.4070574, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      0.00460230354268, 1.57819899452, 13970.6704112, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0045882135933, 0.191090891966, 7859.29113121, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00455373279855, 3.57771654788, 1216.80026819, 0, 0, 0,
+      0.00455285800529, 4.55966683819, 25197.9249395, -0.000128012330753, -1.06904325567e-8, -5.88563808867e-11,
+      0.00455001940931, 1.53306799979, 53842.3257353, -0.000417025112258, -2.24798407657e-9, -3.96092777466e-10,
+      0.00454442054873, 3.64030038063, 14325.9540218, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00453750373975, 4.35157075337, 19079.9430172, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00453730810462, 4.5938872609, 7125.04535174, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0045271007134, 3.08516315914, 7445.9523999, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00452604236313, 4.2315861439, 8993.04742607, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00450819165401, 3.59759060934, 7508.30920693, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00450691369087, 5.36306935393, 1.10352739421, -0.000556151987473, -6.58980038685e-7, 3.09592320483e-9,
+      0.00446106857953, 1.47053278863, 23854.5250338, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.00445581570373, 0.496194505838, 8398.52126848, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.00445100461038, 2.41402697297, 6331.32384064, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00443946976532, 5.88365121324, 48.7018658146, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.00443155006806, 1.5339657016, 22181.4786675, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.00443007579783, 5.59976898862, 7180.2814379, -0.000187561006572, -1.52197074097e-7, 6.53383398031e-10,
+      0.00442508528295, 3.6889392896, 752.260511931, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0044161281293, 2.21966217788, 16650.8238936, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      0.00441173768007, 3.04399123067, 7197.14218455, -0.000589243575535, -6.27921177425e-7, 2.89191360782e-9,
+      0.00440196859585, 0.711914029747, 6602.67596112, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00438995442699, 0.859592767065, 38856.885725, -0.00016545794031, 1.55294306299e-7, -1.02004798505e-9,
+      0.00438272454422, 4.72781480473, 6705.19998601, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00436942503811, 4.24503259176, 8644.1601333, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00433961435389, 1.73022728324, -10909.4733601, -0.0000851354901474, -1.79143503307e-7, 9.95700641989e-10,
+      0.00433734673822, 5.50555229396, 5641.97898659, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0043344604709, 1.90029064407, 15073.3539966, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00433246202958, 5.81359740041, 16617.5679473, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00432622543432, 3.10859198882, 7769.07594505, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      0.00431574537973, 0.473694481806, 16697.1977511, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00431172372398, 4.1467583295, 7773.67834493, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.00431003370498, 5.8745017911, -10557.9485432, -0.000893828391059, -0.00000112935892573, 5.36388160506e-9,
+      0.00428891858096, 3.47028043219, 7250.11128176, -0.000589243575535, -6.27921177425e-7, 2.89191360782e-9,
+      0.00428629592944, 2.1474019189, 9336.90206816, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00427697470574, 1.21260712507, 14915.1580504, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00426940695673, 2.50209773172, -11.9976107435, -0.000280304738515, -2.61409306711e-7, 1.17712761773e-9,
+      0.00426453866965, 4.887418806, -8309.50375487, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.00426012662724, 5.41327355866, 16623.6014218, 0.000335499392839, 5.37841825847e-7, -2.64654940381e-9,
+      0.00425654993676, 5.01717610584, 8222.7532302, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00424962103301, 2.82243256981, 8434.62961905, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0042354678726, 3.31539883436, 8347.87909438, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.0042349664265, 0.892610203393, 7283.95264338, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00422893909117, 1.28114449491, 5997.26259717, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00418575460344, 1.3496471411, 8798.09171804, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0041789998104, 2.93404109793, 7764.81818939, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0041595528113, 4.58429179643, -14772.4769836, -0.000312576460003, -4.99588571967e-7, 2.30864881249e-9,
+      0.00415008450582, 1.59886021907, -470.573230705, 0, 0, 0,
+      0.00414624384571, 2.96342720126, 6898.59415668, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0041440269631, 4.45061795487, 8312.48208928, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00412280042025, 5.78008030435, 7198.52083707, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00411224524731, 2.43733330564, 8248.5093313, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00410242269205, 2.06957949206, 16499.6484949, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00409510455928, 0.881417520378, 8114.07488685, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00408515515976, 3.36848022236, 16486.5305837, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00406882310273, 0.629137814088, 14861.4776077, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0040655404354, 5.61513682179, 6270.28657163, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00406513066533, 0.640467935712, 22754.5159554, -0.000132366352248, 1.24235445039e-7, -8.16038388044e-10,
+      0.00405937263951, 1.43122089678, -8335.25038022, -0.000337676403587, -4.7037888705e-7, 2.26795840023e-9,
+      0.00403535114363, 5.9745613546, 23282.9530315, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00403118854538, 4.75989830546, 14660.0152653, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00403001068141, 2.27303445011, -16691.1642767, -0.00027367023821, -4.65033670771e-7, 2.29738659067e-9,
+      0.0040298304214, 0.495802180876, -24.2728736095, 0, 0, 0,
+      0.00402367885454, 4.3873356199, 1176.9853663, 0, 0, 0,
+      0.0040103196478, 3.39849307456, -0.148417057214, 0, 0, 0,
+      0.00398971846547, 1.54576471164, 5400.1446753, -0.000398531816725, -4.09493948758e-7, 1.96881866271e-9,
+      0.0039834820382, 3.78484421104, 23713.7113603, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00396830030445, 0.876697042862, 7229.60489365, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00396495869624, 3.40781229952, 247.905853771, 0.0000618291546291, 7.28081550762e-8, -3.49162813135e-10,
+      0.00396206850519, 1.67864589406, 22759.1183553, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.00395986698183, 2.87334122477, 47256.5648252, -0.000201213409864, 1.86969559673e-7, -1.27849731032e-9,
+      0.00395285113626, 2.85716826574, -504.35465816, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00393884027412, 2.04160027628, 6585.75528031, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00393649046952, 5.41324185776, 8408.87351795, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00391987184759, 2.38854328561, 22827.8048309, -0.000472706637327, -3.45527049896e-7, 1.39748028394e-9,
+      0.00391962138949, 3.36316400268, 15564.084198, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00389474430716, 5.23094751292, 1729.81823311, 0, 0, 0,
+      0.00389005020052, 4.59854623029, 39971.5142842, 0.000205310051339, 5.94614332089e-7, -3.08399678827e-9,
+      0.00387, 3.86873707584, 175.792418612, -0.000401780501327, -4.75680470097e-7, 2.23925743031e-9,
+      0.00387, 4.84363828022, -7666.63242229, -0.000185772934206, -2.8655019281e-7, 1.35539845641e-9,
+      0.00386847730713, 1.70999768362, 15521.424382, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00384653180386, 4.82509877226, 6991.8941612, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00382624186045, 3.36402803988, -2265.30553493, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00382531010713, 4.21619869675, 630.937417362, 0, 0, 0,
+      0.00381206396421, 0.222632089431, 8954.69780973, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00379950236439, 0.661093317408, -863.594200398, 0, 0, 0,
+      0.00377966590663, 0.386586743278, 39481.7741192, -0.0000365753361287, 3.00913379889e-7, -1.59398011703e-9,
+      0.00377423758543, 4.205647811, 16815.1172036, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00377354599211, 1.8351844894, 24983.7730739, 0.000609169631049, 0.00000100287549662, -4.94393599448e-9,
+      0.00376869059683, 1.46679897138, 10686.8172428, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00376474556395, 2.38777402682, 8056.98698818, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00375013795831, 6.22400053642, 4323.23066662, 0, 0, 0,
+      0.00374994758848, 0.00165496274528, 40181.06375, -0.000227287094939, 8.24861512226e-8, -6.70885171919e-10,
+      0.00374263926208, 0.684689252074, 8543.3079624, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00374201333834, 5.60492205845, -159.259607592, 0, 0, 0,
+      0.00371876380672, 0.798695003419, 8390.8245745, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00370417555733, 0.626428709727, 8311.05939835, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00368974732449, 4.21617420898, 7356.03821652, -0.00059457133852, -6.26688393197e-7, 2.78303415131e-9,
+      0.00368691070579, 2.14827027702, 3.80276960933, 0, 0, 0,
+      0.00367561456451, 1.06214716184, 15797.1857297, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00365959920357, 4.99872559837, 15871.3409099, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00364982039937, 3.25917780178, -26938.5542541, -0.000392384187165, -6.79964859502e-7, 3.41322891098e-9,
+      0.00364976121446, 5.9677531276, 9021.43335948, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00364944498162, 1.38401703893, 17268.7697535, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00364702458789, 4.27161298292, 7700.03152362, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00363994932331, 4.37432528581, 13103.9477057, -0.000375122013143, -3.04394148194e-7, 1.30676679606e-9,
+      0.00361326754561, 4.63758640698, 6505.57318698, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00360974741085, 0.40110632267, -7629.40179383, -0.000343004166572, -4.69146102821e-7, 2.15907894373e-9,
+      0.00360501605951, 0.276677657728, 11144.2725623, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00359231656033, 3.83569787855, 1336.79726342, 0, 0, 0,
+      0.00358994931747, 3.81672284906, 55166.5037603, -0.000478854266887, -7.50561391528e-8, -4.69299643314e-11,
+      0.00358809831045, 6.27915219373, 6000.10751122, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00357909817512, 2.16973124677, 7700.38383958, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00357372819146, 3.62701036912, 7700.73615554, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00357196465571, 1.26011435161, 8959.30020961, 0, 0, 0,
+      0.00357003427725, 1.27460948365, 17443.4247886, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00354967866822, 6.08271609824, -15610.3284046, 0.000122684567767, 1.1923216785e-8, -5.00230756169e-11,
+      0.00354040561564, 2.87338181583, 24988.3754738, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00353995669859, 3.02481506114, 16447.8333835, 0.000737181961802, 0.00000101356592918, -4.8850796136e-9,
+      0.0035399468521, 2.35120703145, 14328.7989358, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00353691536317, 5.77398485687, 19472.9639869, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00352982089492, 2.80144152366, 40252.0514255, -0.000415334972256, -1.36557469558e-7, 3.06649501439e-10,
+      0.00345982433843, 5.52848097646, -17353.258919, -0.000245419542388, -4.28013201119e-7, 2.06836545585e-9,
+      0.00345890938622, 1.34680451018, 24446.7842024, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00343988869224, 0.41455320079, 57605.3103446, -0.000169915429867, 2.91455731561e-7, -1.76171595442e-9,
+      0.00343973067405, 6.15827871947, 21970.775216, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.00342745735169, 1.06727134718, 95.5599738778, 0, 0, 0,
+      0.00342163520063, 1.78153117791, 7133.88077203, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00342, 4.23932835189, 7737.62009787, -0.00000227494311093, 6.75065720292e-8, -3.77863783057e-10,
+      0.00340976487603, 3.83881962186, 26242.6781843, 0.000451549460301, 7.53389406692e-7, -3.81683145237e-9,
+      0.00340742367856, 2.61147360535, 15328.1377522, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00339647372987, 0.123854618088, 7428.67940314, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0033953292841, 3.65585249554, 8034.44508305, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00338970932371, 1.68012031257, 14598.9779963, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0033893039512, 3.26075052146, 8344.42390862, -0.0000970977534384, 2.57136449814e-8, -2.33437787454e-10,
+      0.00337595241117, 1.45897333416, 15540.6767472, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00336974943537, 4.80396894073, 16879.5515534, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00336801253426, 5.75761778166, 7701.09518504, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00335989543778, 2.77091530693, 55443.2808986, 0.000327174752532, 8.75775675389e-7, -4.46955065565e-9,
+      0.00335183004564, 3.62713211647, 15544.8318328, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00334994714124, 4.67300569063, 13661.2619853, -0.000189738017319, -8.47341352992e-8, 2.74792394453e-10,
+      0.00333575033203, 3.37151355355, 123.952926885, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00333470710796, 6.07913660802, -31.4802275138, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.00332640216305, 2.37415559664, 23320.6903906, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00331990322342, 3.88706482816, -41015.1551679, -0.000764125920305, -0.00000125297797866, 6.12548026485e-9,
+      0.00331, 3.8661851706, 33490.5581171, 0.000207389129723, 5.27195026522e-7, -2.70467856417e-9,
+      0.00330345400921, 0.804483591483, 15033.8914106, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00329985523753, 5.42771002135, 31014.5209044, 0.0000556815250695, 3.4327906582e-7, -1.7935730614e-9,
+      0.00329058297243, 2.45559873626, -34.9448890094, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.00327751383547, 3.03069253019, 24657.487654, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00326369864594, 0.225883778054, 8209.24671893, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00325489433138, 2.65771877476, 8328.18346598, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      0.00325489433138, 4.22979498116, -8329.19938326, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.00324387459085, 3.03268211171, 668.122486943, 0, 0, 0,
+      0.00324002073572, 0.749589655808, 28856.2514614, -0.000873902335545, -7.54404606541e-7, 3.3118592184e-9,
+      0.00320624630186, 2.82334660825, 15559.6749708, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00318001554835, 4.48598335982, 63285.6457192, 0.000106035287153, 6.87790915868e-7, -3.69602557931e-9,
+      0.00317177762255, 2.07864748683, 8956.2876642, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00316381303635, 5.57619238099, -1.12826264827, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00316, 3.87238740449, 1256.61517009, 0, 0, 0,
+      0.00315243994021, 6.18476319188, -28.8503951976, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.00313104717857, 3.98007260022, 674.708250919, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00311978768053, 5.36083259795, 20385.5846856, -0.000650098988673, -5.67036239134e-7, 2.5927738703e-9,
+      0.00311931022344, 4.37179297759, 14914.4467049, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0031081893636, 3.7220865474, 23349.076324, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00310279207977, 1.34807352254, 8448.13613032, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00310253315691, 6.18753219255, 6628.41509627, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00309886777629, 4.65662355994, 8301.46146256, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00309844252729, 3.2283934434, 9515.4168167, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00308681652588, 5.32150389814, 15227.2855813, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00307530774679, 5.56518863389, -76.4412434109, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00305504372243, 5.06835769335, -2.3029349388, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00304397173805, 4.50274451922, 7151.70605833, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0030386338645, 0.0788694321866, 14.9204383594, -0.0000904632531332, -1.77910719078e-7, 8.86821185486e-10,
+      0.00301616162989, 5.12694491924, -145.115115922, 0.0000618291546291, 7.28081550762e-8, -3.49162813135e-10,
+      0.00300697693599, 0.516132390812, -625.677752729, 0, 0, 0,
+      0.00300117566904, 0.942892215969, 8310.64248117, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+    ],
+    [
+      1.6768, 6.24005961932, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      0.51642, 4.94291208219, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      0.41383, 1.0152813254, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      0.37115, 5.54027289183, 7700.38946941, 0.000154956289255, 2.5010248204e-7, -1.18154427037e-9,
+      0.2756, 2.31242886253, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+      0.245986305198, 5.79610526814, -2.30119994141, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.07118, 1.71506805289, 7842.36482057, -0.000221139465379, -1.87984759521e-7, 7.73525076347e-10,
+      0.06128, 4.07062260328, 16171.0562452, -0.0000688470576167, 6.27341146337e-8, -4.62458922274e-10,
+      0.04516, 2.01374845771, 8399.6791002, -0.0000357554695548, 3.16752533739e-8, -2.58449325263e-10,
+      0.04048, 1.05840701326, 14286.1503796, -0.000060855413138, 6.08849382912e-8, -2.99139737518e-10,
+      0.03747, 6.19693393147, 1256.60391043, -0.00000532776298582, 1.23278422833e-9, -1.08879456504e-10,
+      0.03707, 4.98603777005, 5957.45895493, -0.0002131478209, -1.89833935863e-7, 9.36844261102e-10,
+      0.03649, 3.37083587579, 23243.1437594, 0.0000887731131314, 3.1222020456e-7, -1.58956346439e-9,
+      0.02438, 1.61264213504, 16029.080894, 0.000307248697018, 5.00821356195e-7, -2.41752826899e-9,
+      0.02165, 2.58735753181, -1742.93051448, -0.000368104110156, -4.39936417904e-7, 2.11838853147e-9,
+      0.01923, 4.66798341292, 17285.6848045, 0.000301920934032, 5.02054140423e-7, -2.52640772549e-9,
+      0.0169191002908, 2.85101867804, 0.328632374773, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0136092975756, 1.86849125363, 8326.39022468, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.01293, 5.58339857969, 7072.0875142, 0.000157620170748, 2.49486089926e-7, -1.12710454212e-9,
+      0.0127635118562, 5.98421097025, 8330.99262456, 0, 0, 0,
+      0.0127, 1.67194236503, 8470.66677579, -0.000223803346872, -1.87368367407e-7, 7.19085348095e-10,
+      0.01097, 2.77347506615, 22128.5152001, -0.000281994878517, -1.2709982123e-7, 4.74385338829e-10,
+      0.0108770732846, 4.11559542277, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00834535990484, 1.76058551502, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00734, 0.142991846484, 24499.7476698, 0.0000834453501456, 3.13452988788e-7, -1.69844292089e-9,
+      0.00686, 0.41792051576, 13799.8237755, -0.000434287286279, -3.77818695384e-7, 1.71036933745e-9,
+      0.00631, 2.50110615609, -486.326604051, -0.000373431873141, -4.38703633676e-7, 2.00950907497e-9,
+      0.00585, 2.26930317467, 9585.29533505, 0.000146964644777, 2.51951658383e-7, -1.34486345512e-9,
+      0.00566198078487, 5.64393723455, 8328.33910867, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00566110685382, 2.20877251492, 8329.04374058, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00539, 4.04265614577, -1952.47998022, 0.000064493036122, 7.2191762962e-8, -2.94723084883e-10,
+      0.00509372520621, 4.44932315738, -0.711345466876, 0, 0, 0,
+      0.00469, 5.12902961653, 30457.2066247, -0.000129702470755, 1.23619052925e-7, -7.61598659792e-10,
+      0.00387235755557, 2.34964476124, -0.352315958075, 0, 0, 0,
+      0.00378, 3.41396156364, 22614.8418042, 0.0000914369946243, 3.11603812446e-7, -1.53512373614e-9,
+      0.00362, 0.814812116463, -695.876069787, 0.0000591652731362, 7.34245471904e-8, -4.03602541387e-10,
+      0.00317, 4.3693030081, 16728.3705248, 0.000116536938208, 2.82394127529e-7, -1.49443332388e-9,
+      0.0030265170196, 1.36002570646, 157.73435434, 0, 0, 0,
+      0.003, 4.10074645976, 33.7570471241, -0.000030816644951, -3.64477107694e-8, 1.73854186046e-10,
+      0.00295, 5.72639042617, 31571.835184, 0.000241065520894, 5.62939078715e-7, -2.82554746301e-9,
+      0.00289253198545, 1.27097715863, 7211.76166542, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00284677803807, 3.62651952696, 15540.45309, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0028320556956, 4.22235405323, 2.62983231618, 0, 0, 0,
+      0.00282299308553, 1.45938745399, 15545.0554899, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0027755230992, 2.8046300939, -39.8149018979, 0, 0, 0,
+      0.00272006410519, 5.38700969674, 7216.3640653, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0027, 5.9413792145, 70.9876755815, -0.000188047877317, -2.19043620781e-7, 9.77534673358e-10,
+      0.00256, 1.10153270111, 13657.8484243, -0.0000581915316451, 6.0268546177e-8, -2.44700009266e-10,
+      0.00243502694062, 0.923149518799, -0.22365715771, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00239511590606, 4.52898552117, 8311.77074382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00239013651192, 2.43905374131, -33.7814274552, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.0021566458249, 3.88087324218, 15.999508224, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00186, 5.02916345791, 5329.15699972, -0.000210483939407, -1.90450327978e-7, 9.91283989354e-10,
+      0.00169, 3.96819668543, 24357.7723187, 0.00045954110478, 7.5154023035e-7, -3.65351226761e-9,
+      0.00161134513605, 1.08444586875, 8329.40277009, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0016108183402, 0.484950596402, 8327.98007916, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0016, 5.82881634402, 23385.1191106, -0.000287322641503, -1.25867037001e-7, 3.65505882325e-10,
+      0.00156197389632, 2.83028950441, 550.755324033, 0, 0, 0,
+      0.00155, 2.816600754, 21500.2132449, -0.000279330997024, -1.27716213344e-7, 5.28825067081e-10,
+      0.00152162394359, 2.17311908231, -16.9206808076, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00150460839241, 4.28290063884, -79.6298037958, 0, 0, 0,
+      0.00150105677233, 0.581829508269, 15.5420282884, 0, 0, 0,
+      0.00148, 2.63048321966, -2371.23246969, -0.000365440228663, -4.40552810018e-7, 2.17282825972e-9,
+      0.00141261739847, 2.34150506386, 8328.69142462, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00141, 5.24159248701, 7143.07518978, -0.000030427706569, 3.04424691456e-8, -1.49569868759e-10,
+      0.00138, 0.740352656124, 25614.3762291, 0.000454213341794, 7.52773014578e-7, -3.76239172411e-9,
+      0.00129, 0.186117534341, 23871.4457146, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00126, 5.59957312183, 141.975351163, -0.000376095754634, -4.38087241561e-7, 1.95506934672e-9,
+      0.0012413671623, 1.2970221281, 522.369390623, 0, 0, 0,
+      0.0012, 0.23180298142, -10071.6219391, -0.000520396517918, -6.90655292059e-7, 3.35437253009e-9,
+      0.00117806299448, 0.353693779485, -15.4191111397, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00107, 5.05712991542, 23452.6932251, -0.000343824033146, -1.99907976306e-7, 8.23548151964e-10,
+      0.00104, 0.0710921453679, 17495.2342702, -0.000130676212246, -1.00740404425e-8, -1.13296109138e-10,
+      0.00102701336437, 3.01223834411, -18.0489434559, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00101837230587, 0.920811695365, 15542.401974, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00101746187766, 4.1650752741, 15543.1066059, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+    ],
+    [
+      0.00487, 6.24005961932, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      0.0022800067089, 4.2453946815, -2.30119994141, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0015, 4.94291208219, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      0.0012, 1.0152813254, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      0.00108, 5.54027289183, 7700.38946941, 0.000154956289255, 2.5010248204e-7, -1.18154427037e-9,
+      0.0008, 2.31242886253, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+    ],
+  ],
+  B: [
+    [
+      18461.24038, 1.62790524341, 8433.46615749, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      1010.16715612, 3.98345979379, 16762.1575821, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      999.693663155, 0.72764930698, -104.774732868, 0.000216298573139, 2.56064090433e-7, -1.20655580818e-9,
+      623.652485305, 2.48584304773, 7109.28813249, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      199.483761112, 3.38609898415, 15647.5290228, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      166.574116514, 0.13028849734, -1219.40329213, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      117.260696619, 5.74165353454, 23976.2204475, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      61.9119502596, 0.0558290370011, 25090.8490067, 0.000240578650148, 4.96092532031e-7, -2.50139618768e-9,
+      33.3572029731, 4.84139759811, 15437.9795571, 0.000150115397015, 3.18181812953e-7, -1.6145750022e-9,
+      31.7596708284, 3.08320385737, 8223.91669176, 0.000368590980901, 5.06782964588e-7, -2.4425398068e-9,
+      29.5766006749, 2.52896873558, 6480.98617728, 4.86870745558e-7, 6.68465466837e-8, -3.24151275327e-10,
+      15.5662654116, 4.05791925413, -9548.09471676, -0.000306761826272, -4.33974809511e-7, 2.09337699366e-9,
+      15.121554334, 1.81402277775, 32304.9118721, 0.000022103066262, 3.07491380396e-7, -1.67343138309e-9,
+      12.0941512829, 5.58431001346, 7737.5900877, -0.00000484089224026, 6.8079330912e-8, -4.3303073183e-10,
+      8.86814265306, 3.42922467201, 15019.2270676, -0.00027981786777, -1.94562760028e-7, 8.52976342407e-10,
+      8.04504, 0.668763829079, 8399.70911037, -0.0000331895204255, 3.11024944911e-8, -2.03282376489e-10,
+      7.95855423351, 5.7847792224, 23347.9184923, -0.000127525460007, 5.6156114127e-8, -3.83007656213e-10,
+      7.43455506112, 0.173414185196, -1847.70524735, -0.000151805537017, -1.83872327471e-7, 9.11832723294e-10,
+      6.73143628663, 5.39819247912, -16133.8556269, -0.0000909501238788, -2.44757265762e-7, 1.21097246081e-9,
+      6.57957503743, 4.24403678847, 14323.3509978, -0.000220652594634, -1.21138212837e-7, 4.4937380102e-10,
+      6.46007215053, 4.72637220914, 9061.76811271, -0.0000666700468694, -4.72882416417e-9, -8.38679186951e-11,
+      6.29647761861, 1.74212307663, 25300.3984725, -0.000192018496129, -1.6035648835e-8, -8.828457133e-11,
+      5.63235377567, 2.37081765875, 733.076688082, -0.000218962454632, -2.55447698319e-7, 1.15211607993e-9,
+      5.36839616126, 3.68477938897, 16204.8433025, -0.0000970977534384, 2.57136449814e-8, -2.33437787454e-10,
+      5.31127841456, 0.798741452348, 17390.4595373, 0.0000856223608929, 2.4599004999e-7, -1.31985191732e-9,
+      5.07591793422, 3.82611627271, 523.527222346, 0.000213634691646, 2.56680482547e-7, -1.26099553643e-9,
+      4.83961434882, 1.47056172233, -7805.16420228, 0.0000613422838836, 5.9616083925e-9, -2.50115378084e-11,
+      4.80574020375, 0.42896890216, -662.089012501, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      3.98405448019, 2.41138358739, 33419.5404314, 0.00039287105791, 7.46811406186e-7, -3.73738018631e-9,
+      3.67446195223, 0.316406031681, 22652.0424225, -0.0000683601868712, 1.29580661317e-7, -7.866101976e-10,
+      2.99848146221, 1.21666196811, 31190.2833128, -0.000348664925386, -1.31828645394e-7, 3.90517420134e-10,
+      2.79864145183, 3.75502412735, -16971.7070479, 0.000344310903892, 2.6675452299e-7, -1.14769942729e-9,
+      2.41387736819, 5.1442927249, 22861.5918882, -0.000500957333149, -3.82547519549e-7, 1.62650141875e-9,
+      2.18631329306, 5.51321786809, -9757.64418249, 0.000125835320006, 7.81533713545e-8, -3.19734622692e-10,
+      2.14616916179, 0.913766841321, 23766.6709817, 0.000302407804777, 5.68900687107e-7, -2.85055900082e-9,
+      1.76598317488, 4.88452328597, 14809.6776019, 0.000152779278508, 3.17565420838e-7, -1.56013527395e-9,
+      1.62442115044, 4.17213708736, 7318.83759823, -0.000434774157025, -4.44665242068e-7, 2.03452061278e-9,
+      1.58130357667, 5.43875840775, 16552.6081164, 0.000520883388663, 7.57501838742e-7, -3.67852380542e-9,
+      1.51975277151, 4.16957732813, 40633.6032967, 0.000174395474024, 5.5821025455e-7, -2.90941538171e-9,
+      1.51563411963, 1.70236470375, -17876.7861414, -0.000459054234034, -6.84693683666e-7, 3.32936099228e-9,
+      1.51020923447, 5.49772962265, 8399.68473004, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      1.31782230879, 0.201380642708, 16275.8309781, -0.000285145630756, -1.93329975799e-7, 7.44096885904e-10,
+      1.26427390633, 2.55693519309, 24604.5224027, -0.000132853222993, 5.73888983553e-8, -4.91887112717e-10,
+      1.19187234242, 3.57221651849, 39518.9747375, -0.000196372517624, 1.18890228761e-7, -8.45466578487e-10,
+      1.13461098463, 1.8571484656, 31676.6099169, 0.0000247669477549, 3.06874988282e-7, -1.61899165483e-9,
+      1.08578097724, 2.57209442344, 5852.68422206, 0.00000315075223847, 6.62301545695e-8, -2.69711547075e-10,
+      1.01938524478, 4.09767762702, 33629.0898971, -0.0000397260883671, 2.3468322532e-7, -1.32426856995e-9,
+      0.822714072806, 1.65667925667, 16066.2815123, 0.000147451515522, 3.18798205067e-7, -1.66901473045e-9,
+      0.804223789617, 3.52743586789, -33.7870572866, 0.0000282506958217, 3.70204696523e-8, -2.29021134819e-10,
+      0.802593874923, 0.500061047528, 16833.1452577, -0.0000997616349313, 2.63300370956e-8, -2.87877515706e-10,
+      0.793186637298, 3.04263792873, -24462.5470515, -0.000243242531641, -4.95476139917e-7, 2.44695645943e-9,
+      0.79101527987, 3.22875546307, -591.101336919, -0.000157133300003, -1.82639543243e-7, 8.0295326679e-10,
+      0.667405644966, 6.04033393936, 24533.5347271, 0.0000551946543239, 2.76432519136e-7, -1.46942178607e-9,
+      0.650222580585, 4.10104494199, -10176.396672, -0.000304097944779, -4.34591201626e-7, 2.14781672191e-9,
+      0.638813141934, 3.15429600273, 25719.150962, 0.000237914768655, 4.96708924145e-7, -2.55583591594e-9,
+      0.633706606274, 1.88848223809, 5994.65957323, -0.000372945002396, -3.71857086992e-7, 1.68535779964e-9,
+      0.630520433864, 3.71779301456, 8435.76735743, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.630271906833, 2.67961003368, 8431.16495755, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.595774030472, 4.28716247633, 13695.0490426, -0.000217988713141, -1.21754604951e-7, 5.03813529272e-10,
+      0.588925891299, 2.78452345255, 7666.60241212, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.473377161279, 2.67196058207, 30980.7338471, 0.0000839322208911, 3.80299535472e-7, -2.02259419622e-9,
+      0.45586, 1.68679002318, -71.0176857441, 0.000185481928188, 2.19616379664e-7, -1.03270162213e-9,
+      0.429887281072, 4.35659965895, -8990.78043712, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.41571, 3.0243180304, 16728.400535, 0.000119102887337, 2.81821368646e-7, -1.43926637511e-9,
+      0.414941515566, 0.359531719537, 22023.7404673, -0.0000656963053783, 1.28964269203e-7, -7.32170469348e-10,
+      0.383498735862, 5.82790491025, 22719.616537, -0.000124861578515, 5.55397220129e-8, -3.28567927962e-10,
+      0.351827066451, 4.54271719329, 14880.6652775, -0.0000352685988093, 9.85218000576e-8, -5.82600600589e-10,
+      0.338805421078, 1.25978765596, 30561.9813576, -0.000346001043894, -1.32445037508e-7, 4.44957148386e-10,
+      0.329061975591, 3.15766331771, -18086.3356071, -0.0000264570877567, -1.725655028e-7, 9.16249375929e-10,
+      0.32622, 2.58704403974, 8467.22320462, -0.0000948228103275, -4.17929270477e-8, 1.44425995603e-10,
+      0.314714700391, 3.47235035987, 14390.9251124, -0.000277153986277, -1.95179152142e-7, 9.07416070659e-10,
+      0.312906794537, 6.1816708231, 8852.21864697, 0.000365927099408, 5.07399356702e-7, -2.49697953505e-9,
+      0.305167930016, 2.18716264291, 6551.97385286, -0.000187561006572, -1.52197074097e-7, 6.53383398031e-10,
+      0.301277287119, 0.0152631083668, -7595.61473654, -0.000371254862394, -5.06166572473e-7, 2.38810007855e-9,
+      0.29855, 3.44498428752, 7143.04517961, -0.0000329936556983, 3.10152280285e-8, -2.04736817533e-10,
+      0.29115289843, 4.72717976489, -1428.95275787, 0.000278127727768, 3.28872245509e-7, -1.55571862131e-9,
+      0.268628395288, 0.216539873053, -2476.00720256, -0.000149141655524, -1.84488719585e-7, 9.66272451546e-10,
+      0.263249394112, 4.76693813777, 41748.231856, 0.000545163465673, 9.9753028034e-7, -4.97336418493e-9,
+      0.254078978268, 4.95817519056, -1009.8538264, -0.000587066564787, -6.95384116223e-7, 3.2705046114e-9,
+      0.244834097326, 3.50031681738, 32514.4613378, -0.000410494080016, -2.0463680047e-7, 7.39680233269e-10,
+      0.237009820816, 4.91248974348, 32933.2138273, 0.0000194391847691, 3.0810777251e-7, -1.72787111134e-9,
+      0.213751028275, 5.18741841276, 22233.289933, -0.000498293451656, -3.83163911663e-7, 1.68094114701e-9,
+      0.212588894635, 5.92777106888, 47847.6661621, -0.0000440801098618, 3.69609102915e-7, -2.08145057711e-9,
+      0.205928724688, 5.44297312972, 23418.9061678, -0.000315573337325, -1.62887506654e-7, 5.94527017145e-10,
+      0.171902451918, 1.05931844703, 14951.6529531, -0.000223316476126, -1.20521820723e-7, 3.94934072769e-10,
+      0.157903142838, 3.61534220635, 38890.6727822, -0.000193708636131, 1.18273836647e-7, -7.91026850235e-10,
+      0.146419518725, 3.26932139171, 32095.3624064, 0.00045470021254, 8.19619561262e-7, -4.08654299944e-9,
+      0.144526459319, 5.85587136777, 40843.1527625, -0.000258201672253, 4.60820736845e-8, -4.96303765352e-10,
+      0.139278884024, 4.47081749218, 7876.15187786, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.137949564224, 0.241946571342, 48962.2947213, 0.000326687881787, 8.08929128705e-7, -4.14539938033e-9,
+      0.134138986653, 5.5411843256, 8365.89204292, -0.00000750477373317, 6.86957230262e-8, -4.87470460082e-10,
+      0.133809697385, 5.62999546054, -26205.477566, -0.000611346641797, -9.35412557821e-7, 4.5653449909e-9,
+      0.130347015069, 2.96898602414, -8643.01562323, 0.000496603311654, 5.17473397144e-7, -2.38368342591e-9,
+      0.128964616672, 0.956892529177, 23138.3690265, 0.00030507168627, 5.68284294993e-7, -2.79611927257e-9,
+      0.123864840722, 4.21270301599, 40005.3013415, 0.000177059355517, 5.57593862436e-7, -2.85497565345e-9,
+      0.1178673206, 0.170046870226, 41957.7813217, 0.000112566319395, 4.85402099474e-7, -2.56025256857e-9,
+      0.113340895192, 5.35506679126, -15505.5536717, -0.0000936140053717, -2.44140873648e-7, 1.15653273256e-9,
+      0.113290880555, 0.158254954851, 16904.1329333, -0.000287809512248, -1.92713583685e-7, 6.89657157652e-10,
+      0.113074961522, 3.41487299741, 23280.3443777, -0.0000710240683641, 1.30197053432e-7, -8.41049925852e-10,
+      0.109639434372, 2.00104510857, -17319.4718617, -0.00027367023821, -4.65033670771e-7, 2.29738659067e-9,
+      0.105341516766, 3.18562977522, 37.2006182949, -0.000159797181495, -1.82023151128e-7, 7.48513538539e-10,
+      0.101755582594, 2.85561559791, 25161.8366823, 0.000052530772831, 2.7704891125e-7, -1.52386151433e-9,
+      0.0951023564727, 2.3276919709, 1361.3786433, -0.000221626336125, -2.54831306205e-7, 1.09767635167e-9,
+      0.0940294349781, 2.07459977243, 29866.1052878, -0.000286835770757, -5.90204903178e-8, 4.13546069986e-11,
+      0.0915697687803, 1.51112765096, 24881.299541, 0.000673175796426, 0.0000010082207129, -4.91450780404e-9,
+      0.0881444725237, 5.55634355595, -10385.9461377, 0.000128499201499, 7.75369792404e-8, -2.6529489444e-10,
+      0.085017127085, 0.0000270387094439, 70.993305413, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.0835, 2.42695791889, 15613.7719757, -0.000251665104312, -1.57498657144e-7, 6.2468242811e-10,
+      0.0809595910853, 6.00223052922, 21537.4138632, -0.00043912817852, -3.09739364472e-7, 1.27733860562e-9,
+      0.08043, 3.43197966362, -8365.95206324, 0.00000237287547452, -6.75502052605e-8, 3.77136562535e-10,
+      0.0799129253387, 1.57103205647, 16728.3761547, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      0.0791266925603, 4.01479356628, -8919.79276154, -0.000309425707765, -4.33358417397e-7, 2.03893726541e-9,
+      0.0784595640516, 5.25685559538, -452.539546764, -0.000401682568963, -4.75724103328e-7, 2.23853020979e-9,
+      0.0747869732964, 0.687083378345, -32791.2384761, -0.000395534939403, -7.46195014071e-7, 3.68294045805e-9,
+      0.07333, 1.08942991167, -1185.64624501, -0.000185286063461, -2.19703646126e-7, 1.03124718109e-9,
+      0.0696620630446, 5.03516526065, 16759.8563822, 0.000240578650148, 4.96092532031e-7, -2.50139618768e-9,
+      0.0691444549976, 4.92764897383, 14181.3756467, 0.000155443160001, 3.16949028724e-7, -1.5056955457e-9,
+      0.0675009230342, 6.07335444769, 16764.4587821, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.0666351166713, 0.0318496795719, 8446.08539591, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0656084993401, 1.14476226699, 24185.7699132, -0.000562786487778, -4.55355674625e-7, 1.97566423189e-9,
+      0.0638296929747, 2.11270318257, 32862.2261517, 0.000207487062086, 5.27151393291e-7, -2.7054057847e-9,
+      0.0628273652406, 4.01223380705, 24394.972937, 0.000299743923284, 5.69517079221e-7, -2.90499872907e-9,
+      0.0625683936494, 3.34378085205, 5785.11010749, 0.0000596521438818, 1.40271093874e-7, -7.27753816714e-10,
+      0.0620773782996, 4.21526277521, 6690.53564301, -0.000432110275532, -4.45281634182e-7, 2.08896034103e-9,
+      0.0618650212622, 3.78299058486, 1151.82917756, 0.000210970810153, 2.57296874661e-7, -1.31543526468e-9,
+      0.0617575014299, 5.50985055312, 34047.8423866, 0.000390207176418, 7.474277983e-7, -3.79181991456e-9,
+      0.0596297356183, 2.97485570885, 38404.3461782, -0.000567140509273, -3.20429797029e-7, 1.21848222473e-9,
+      0.058475324967, 1.90027415346, 31048.3079617, 0.0000274308292478, 3.06258596168e-7, -1.56455192658e-9,
+      0.0572853767963, 4.68324652128, 9690.07006792, -0.0000693339283623, -4.11243205001e-9, -1.38307646947e-10,
+      0.0568575630548, 2.71508626992, 30352.4318919, 0.0000865961023841, 3.79683143358e-7, -1.96815446797e-9,
+      0.0558975232147, 1.28609915073, 8504.45383307, -0.000252054042694, -2.24388837059e-7, 9.48106482915e-10,
+      0.0550355785071, 0.755615764491, 18018.7614925, 0.0000829584794, 2.46606442105e-7, -1.37429164557e-9,
+      0.055017765707, 1.7454903916, -18505.0880966, -0.000456390352541, -6.8531007578e-7, 3.38380072054e-9,
+      0.0545665805535, 2.32849952665, -9129.34222728, 0.000123171438513, 7.87697634687e-8, -3.74174350944e-10,
+      0.0542877212067, 0.987418745911, 7947.13955344, -0.000437438038518, -4.44048849954e-7, 1.98008088452e-9,
+      0.052507790558, 1.93160792594, 5366.35761801, -0.000370281120903, -3.72473479106e-7, 1.73979752789e-9,
+      0.0521942916837, 5.58175761483, -68.7263164646, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.0509678002326, 4.31512893384, 31818.585268, -0.000351328806879, -1.3121225328e-7, 3.36077691882e-10,
+      0.0507004305141, 2.55442533796, 16798.2059985, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.0496783957672, 1.22427964554, 8293.74653561, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0485197427958, 3.08741857933, 15090.2147432, -0.000467865745087, -4.13606380808e-7, 1.83051101577e-9,
+      0.0483397961229, 5.02751513245, 39309.4252717, 0.000236224628653, 6.31018409627e-7, -3.25857819484e-9,
+      0.04638, 4.78251194568, 23942.4634003, -0.0000993726965493, 9.32202170106e-8, -6.11301570511e-10,
+      0.045980652489, 4.92145748103, 7143.06955995, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0421697923322, 5.33041025924, 46733.0376028, -0.00041484810151, -6.97109228744e-8, -1.75017738881e-11,
+      0.0421419643807, 0.47146513491, 8288.35104157, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.03978, 4.94259457587, 16795.9146292, 0.0000574695974349, 2.08925947107e-7, -1.09155800302e-9,
+      0.0394097877966, 6.1147933997, -1776.71757177, -0.000339853414334, -4.02915948252e-7, 1.88936739665e-9,
+      0.0388526771989, 1.61404705073, 8439.49963193, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0371247114417, 5.47603665775, 8479.86682336, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0367397718591, 4.43015432281, 38194.7967125, -0.000134543362995, 1.91698383837e-7, -1.19462939162e-9,
+      0.0364656757804, 2.6152201113, 5224.38226685, 0.00000581463373138, 6.56137624554e-8, -2.15271818823e-10,
+      0.0363598023893, 5.14007800293, 15995.2938367, 0.000335499392839, 5.37841825847e-7, -2.64654940381e-9,
+      0.03610976202, 0.615086436501, 23209.3567021, 0.000117023808953, 3.49240674212e-7, -1.81858459921e-9,
+      0.0348291849445, 2.58748560723, 8452.65382725, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0346485011494, 5.88299041828, 8294.90436734, 0.000180543103584, 2.87739343807e-7, -1.46500513344e-9,
+      0.0346172181764, 4.33028816419, 13066.7470874, -0.000215324831648, -1.22370997066e-7, 5.58253257524e-10,
+      0.0343584520627, 1.35799885185, 15508.9672327, -0.0000379324803022, 9.91381921718e-8, -6.37040328841e-10,
+      0.0322591680718, 3.45634372253, -17529.0213275, 0.000158926908068, 4.70945100948e-8, -1.15725025681e-10,
+      0.031418700508, 0.984858986688, 41261.9052519, 0.000171731592531, 5.58826646665e-7, -2.96385510996e-9,
+      0.0311798846302, 0.619301158468, 30075.6547536, -0.000719432917035, -5.71148671184e-7, 2.45446622335e-9,
+      0.0309474180556, 1.25653167783, -40.3403830543, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.0304505196952, 4.44201313504, 6533.94964466, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0303792918435, 1.92824061097, 49171.8441871, -0.000105909264491, 2.96800947839e-7, -1.73228776397e-9,
+      0.0300887305889, 5.97089675674, 47219.3642069, -0.0000414162283689, 3.68992710801e-7, -2.02701084886e-9,
+      0.0295687420508, 1.95957438345, 23489.8938434, -0.000503621214642, -3.81931127434e-7, 1.5720616905e-9,
+      0.0289876411767, 0.402657407394, 21395.438512, -0.0000630324238854, 1.28347877089e-7, -6.77730741097e-10,
+      0.0288368710316, 4.187874866, 8715.15343872, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0286432684905, 4.51225791877, 16826.5919319, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.0283999900574, 1.51534237293, 31747.5975925, -0.000163280929562, 8.78313675009e-8, -6.41456981476e-10,
+      0.028279898472, 2.00014031209, 56176.3575867, 0.000108212297901, 6.2032797707e-7, -3.31743457573e-9,
+      0.0273469171056, 3.8950108837, 8792.70569973, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0257188351408, 4.58584288115, 14252.3633223, -0.0000326047173164, 9.79054079435e-8, -5.28160872338e-10,
+      0.0254888972518, 0.387498177048, 40147.2766927, -0.000199036399117, 1.19506620875e-7, -8.99906306739e-10,
+      0.0249789692534, 6.15866189423, 8433.79478987, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.0249776961345, 0.23874201078, 8433.13752512, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.024959940628, 2.60262064017, -9338.54525102, -0.00073935897255, -9.46102990377e-7, 4.50648861002e-9,
+      0.0241890163901, 2.25404006631, 17180.9100716, 0.000518219507171, 7.58118230856e-7, -3.73296353367e-9,
+      0.02404, 5.37987205719, 25057.0919596, 0.000271395295099, 5.325402428e-7, -2.67525037373e-9,
+      0.0237980959934, 1.30291334382, 29933.6794024, -0.000343337162401, -1.33061429622e-7, 4.99396876637e-10,
+      0.0236490352081, 3.94289386516, -15924.3061612, -0.000523547270156, -7.56885446628e-7, 3.62408407717e-9,
+      0.0235957561639, 5.0356218798, 8681.37201126, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0233752910414, 4.36777099612, 7108.93581653, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0233619997153, 3.7455641322, 7109.64044845, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0228481994492, 4.14417062985, -10804.6986272, -0.000301434063286, -4.3520759374e-7, 2.20225645017e-9,
+      0.0224669028215, 2.77583183443, 6323.2461931, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0219534244698, 4.79435508949, 8259.96510816, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0218118589862, 3.53754756882, 7106.98693255, 0.000150115397015, 3.18181812953e-7, -1.6145750022e-9,
+      0.021778154529, 4.57573085556, 7111.58933243, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.0217399086845, 2.78873817451, 14532.9004636, -0.000653249740911, -6.33266393703e-7, 2.86248541738e-9,
+      0.0210390787756, 2.23028833076, 5923.67189764, -0.000184897125079, -1.52813466211e-7, 7.07823126283e-10,
+      0.0208290987916, 2.25825478827, 24047.2081231, -0.000318237218817, -1.6227111454e-7, 5.40087288893e-10,
+      0.0204495304116, 0.802108767318, -26415.0270317, -0.000178749495519, -4.23284376955e-7, 2.15223337455e-9,
+      0.0201246975418, 5.26997221379, 16745.2369013, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.0201191224666, 2.8276491404, 7038.30045691, 0.00018587086657, 2.86506559579e-7, -1.35612567694e-9,
+      0.0200547268558, 1.06346442251, 6716.2671628, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0199918366236, 5.3310226013, 7895.33007188, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0191412979231, 2.01401875333, -121.695413676, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.0182891912228, 3.72790507683, 15576.5413473, -0.0000944338719455, 2.50972528673e-8, -1.78998059202e-10,
+      0.01817926359, 1.65923901589, -17248.4841862, -0.000461718115527, -6.84077291552e-7, 3.27492126403e-9,
+      0.0180085715877, 1.42743603447, -7176.86224706, 0.0000586784023907, 6.57800050666e-9, -7.94512660602e-11,
+      0.0176799882711, 0.839307380982, 50076.9232806, 0.000697455873435, 0.00000124824915449, -6.20934818355e-9,
+      0.01744, 4.04234596983, 8257.67373888, 0.00033777433595, 4.70335253818e-7, -2.26868562075e-9,
+      0.0169192734418, 5.7704275478, 31609.0358023, 0.0000812683393982, 3.80915927586e-7, -2.07703392447e-9,
+      0.0167992860136, 2.07213725393, 175.76240845, -0.000404346450456, -4.75107711214e-7, 2.18409048154e-9,
+      0.0166889798915, 4.77030545275, -2057.25471308, 0.000280791609261, 3.28255853395e-7, -1.50127889306e-9,
+      0.0164911273395, 0.972236434395, 15613.7475954, -0.000251567171948, -1.57542290375e-7, 6.23955207588e-10,
+      0.01647, 5.80053831431, 15471.7366042, 0.000119298752064, 2.81734102183e-7, -1.44072081615e-9,
+      0.016443603973, 0.909912116414, 8357.02491408, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0160281027639, 5.87103059811, 22091.3145818, -0.000122197697022, 5.49233298987e-8, -2.7412819971e-10,
+      0.0159693265708, 5.0995120743, -16691.1699065, -0.000276334119703, -4.64417278657e-7, 2.24294686242e-9,
+      0.0157087642559, 2.99951224088, -23834.2450963, -0.000245906413134, -4.94859747803e-7, 2.39251673118e-9,
+      0.01485936262, 2.11772546028, 29237.8033326, -0.000284171889264, -5.96368824319e-8, 9.57943352504e-11,
+      0.0148188298888, 2.51380950524, 25232.8243579, -0.000135517104486, 5.80052904695e-8, -5.46326840969e-10,
+      0.0146499267653, 1.40277950245, 55061.7290274, -0.000262555693748, 1.8100795128e-7, -1.25348577251e-9,
+      0.014076527427, 4.43780924962, 15645.2278229, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.0140746608691, 3.64697881691, 7684.62662032, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.01405, 3.48810997538, 6514.7432244, -0.0000303297742054, 3.03988359143e-8, -1.50297089281e-10,
+      0.0139244418712, 1.66980049491, 8398.97338457, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0139000260929, 2.53762680663, -1185.62186468, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      0.0138896268499, 4.48542143427, 7929.11149933, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0136474998143, 5.47598777852, 15649.8302228, -0.000434774157025, -4.44665242068e-7, 2.03452061278e-9,
+      0.0135594141411, 5.48609881758, 22790.6042126, -0.000312909455832, -1.63503898768e-7, 6.48966745396e-10,
+      0.0135094055036, 4.61380933866, 32375.8995477, -0.000165944811055, 8.84477596151e-8, -6.95896709728e-10,
+      0.0134937114599, 5.3171384344, 9185.72666942, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0134593923833, 0.472094590016, -1290.39096771, 0.0000335784588075, 3.57876854239e-8, -1.20141678316e-10,
+      0.0132094246964, 5.28562960864, 7180.27580807, -0.000190224888065, -1.51580681983e-7, 5.9894366978e-10,
+      0.0128455993862, 4.23800181253, 8421.01463801, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0126989802163, 3.65846789421, 38262.370827, -0.000191044754638, 1.17657444532e-7, -7.36587121983e-10,
+      0.0126190049706, 0.83007522483, -8291.49080633, -0.000312089589258, -4.32742025283e-7, 1.98449753716e-9,
+      0.012549955154, 5.92867586536, -25648.1632864, -0.000425962645972, -7.15752544926e-7, 3.53337058929e-9,
+      0.0123058481265, 0.161911931081, 5958.61115682, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0122990325155, 5.23054410061, 21604.9879778, -0.000495629570163, -3.83780303777e-7, 1.73538087526e-9,
+      0.0121590772845, 0.510173814266, 23973.9192475, 0.000022103066262, 3.07491380396e-7, -1.67343138309e-9,
+      0.0121095181467, 0.285072259199, 48333.9927661, 0.00032935176328, 8.08312736591e-7, -4.09095965208e-9,
+      0.0120530118543, 1.5483572093, 23978.5216474, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.011859978047, 2.59750112173, 57290.986146, 0.000478980289549, 0.00000105964800286, -5.38138337895e-9,
+      0.0118097505134, 2.52560142061, 50286.4727463, 0.000264858727158, 7.36120973629e-7, -3.79623656719e-9,
+      0.0117692855898, 3.54344250523, 31886.1593826, -0.000407830198523, -2.05253192584e-7, 7.94119961521e-10,
+      0.0115692821824, 4.84059004236, 25928.7004277, -0.000194682377622, -1.54192567208e-8, -1.42724299582e-10,
+      0.0112699922935, 3.27444091015, -34534.1689906, -0.000763639049559, -0.00000118613143198, 5.80132898952e-9,
+      0.011031298302, 5.96178512756, 8402.31456235, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0109095428935, 6.04535621708, 20909.111908, -0.000436464297027, -3.10355756587e-7, 1.33177833387e-9,
+      0.010489932263, 0.0177256268606, 22094.7281428, -0.000253744182695, -9.00793515775e-8, 2.4536420401e-10,
+      0.0104187801154, 3.51547604772, 13762.6231572, -0.000274490104784, -1.95795544256e-7, 9.61855798911e-10,
+      0.0103393673215, 3.20078900556, -18714.6375623, -0.0000237932062638, -1.73181894914e-7, 9.70689104181e-10,
+      0.0103095478982, 1.25813269322, -9619.08239234, -0.000118713948955, -2.14931188731e-7, 1.1158423203e-9,
+      0.0102699805649, 5.62487594209, 40424.053831, 0.000606992620302, 0.00000107033843542, -5.32252699806e-9,
+      0.0102116817241, 5.90395058153, 8322.13246902, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0101595734641, 5.2111701483, 33490.5281069, 0.000204823180593, 5.27767785405e-7, -2.75984551295e-9,
+      0.0100897368786, 1.28690670648, -1986.2670375, 0.0000927437319437, 1.09212232614e-7, -5.23744219703e-10,
+      0.01005, 4.66829969751, 7075.53108537, 0.0000286396342036, 1.03910649567e-7, -5.52445189624e-10,
+      0.00994976800195, 0.799549008096, 6899.73866675, 0.00043042013553, 5.79591119664e-7, -2.79170261993e-9,
+      0.00985906444896, 6.08123082347, 6951.55377815, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00984960429428, 3.31244707956, 31467.0604511, 0.000457364094033, 8.19003169148e-7, -4.03210327119e-9,
+      0.00943942215344, 5.89899705562, 40214.8508072, -0.00025553779076, 4.54656815703e-8, -4.418640371e-10,
+      0.00938961185766, 3.01798139671, 37776.044223, -0.00056447662778, -3.21046189143e-7, 1.27292195298e-9,
+      0.00935578776192, 3.32885626835, 23942.43902, -0.0000992747641858, 9.31765837793e-8, -6.12028791033e-10,
+      0.00934961924754, 5.00130087842, -1638.15578161, -0.000584402683294, -6.96000508337e-7, 3.32494433965e-9,
+      0.00926002694097, 5.60859246142, 9108.17440841, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00913893110679, 0.259665560909, -3104.30915778, -0.000146477774031, -1.85105111699e-7, 1.0207121798e-9,
+      0.00911732411231, 5.34332851327, 15072.190535, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00910943948838, 5.62662814557, 17600.0090031, -0.000346974785385, -2.66138130876e-7, 1.09325969904e-9,
+      0.00910137286447, 5.35204663904, -8467.24758495, 0.0000949207426911, 4.17492938164e-8, -1.45153216124e-10,
+      0.0090144032343, 5.00643775838, 8557.41908438, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00845878160875, 1.98556562043, 6520.79544934, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00845202792748, 5.83536313693, 16761.8052662, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00845091479185, 5.27315870471, 16762.5098981, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00844963599404, 6.08345962722, 23905.2327719, 0.0000578585358168, 2.75816127022e-7, -1.41498205782e-9,
+      0.00838060008857, 5.11390311314, 7056.31903528, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00834, 0.782981662303, 25266.6414254, -0.000161201851178, 2.04120619344e-8, -2.62138757376e-10,
+      0.00832490231317, 0.456653667831, 9578.74763912, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00830005857015, 6.1922917064, 8826.48712718, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00808777970299, 0.767453257394, 7502.30910218, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00798209181196, 0.175647897003, 9074.39298096, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00797717281792, 1.41459571699, 23400.8819596, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00796383669591, 1.75771535173, 8346.71563283, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00783197116777, 4.81751044412, 15611.4806064, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00778048182916, 2.84098005886, 7162.2572297, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.0077099705156, 2.67452034129, -2334.0318514, -0.000525237410158, -6.22575961147e-7, 2.92134179826e-9,
+      0.00764022622492, 2.08752601689, -1794.74177997, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00762017307272, 0.566333755535, 105.127048826, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00761978430173, 1.1199535947, 104.42241691, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.0075696827235, 5.3735359471, 46104.7356476, -0.000412184220017, -7.03273149886e-8, 3.69379543637e-11,
+      0.00754148044679, 3.06443314796, 7536.09052964, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00747284971633, 0.218819043182, 6750.04859025, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00718342221113, 2.56059726102, 16369.1366124, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00708087026677, 0.205131329078, 8040.4451878, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.0070295716955, 0.570305785899, -16343.4050926, 0.000341647022399, 2.67370915104e-7, -1.20213915554e-9,
+      0.00701997479192, 3.64667597883, 13208.7224386, -0.000591420586282, -5.60458238627e-7, 2.51332260424e-9,
+      0.00689250819396, 3.6768731431, 14861.4870835, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00688680228161, 2.87392763008, 8433.81847345, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00688561631501, 3.5234795555, 8433.11384153, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00684151680301, 4.67383822123, 6558.53280846, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00680626297123, 5.94141636123, -8450.3868383, -0.000306761826272, -4.33974809511e-7, 2.09337699366e-9,
+      0.00679998516999, 0.318965790903, -10662.723276, -0.00067752981792, -8.73294835301e-7, 4.15732579688e-9,
+      0.00678958642967, 5.28397464589, -33000.7879419, 0.0000370622068742, -2.34066833205e-7, 1.2698288417e-9,
+      0.006769468328, 4.25582870385, 39376.9993863, 0.00017972323701, 5.56977470322e-7, -2.8005359252e-9,
+      0.00672, 5.01706154113, -9514.33766963, -0.000337578471223, -4.70422520281e-7, 2.26723117971e-9,
+      0.00667959170223, 0.912959285572, 34257.3918523, -0.00004238996986, 2.35299617434e-7, -1.3787082982e-9,
+      0.00663984616199, 1.33087980133, 48057.2156278, -0.000476677256139, -1.42519077951e-7, 3.31661039247e-10,
+      0.00658373282618, 6.01350125704, 6586.91874187, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00657999088152, 3.87089692331, 40076.2890171, -0.0000109885217999, 3.38550241656e-7, -1.8774409801e-9,
+      0.00655783291848, 5.9494073692, 16186.8190943, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00654753125419, 1.57986658992, 1255.45170854, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00653996482795, 0.502523566021, 46523.4881371, 0.0000177490447673, 4.42417257992e-7, -2.43061339024e-9,
+      0.00651971690593, 4.47328001067, 37566.4947572, -0.000131879481502, 1.91081991723e-7, -1.14018966337e-9,
+      0.0064921524938, 4.19250516183, 8006.66376034, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00645974717449, 4.61471413514, -41119.9299008, -0.000547827347166, -9.96913888226e-7, 4.91892445667e-9,
+      0.00644983534038, 3.7989972222, 33071.7756175, -0.000225110084191, 1.50232124247e-8, -2.92294168341e-10,
+      0.00642528249283, 1.10753472997, 25088.5478068, 0.00039287105791, 7.46811406186e-7, -3.73738018631e-9,
+      0.00641879509625, 6.03146322023, 23190.1785081, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00634976934545, 1.17188131751, -8362.47848191, -0.000124041711941, -2.13698404502e-7, 1.0069628638e-9,
+      0.00633227945578, 2.00727450064, 7267.02248683, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00633107803401, 3.7035036951, 7069.47323059, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00631985822562, 5.25851055813, 39728.5242032, -0.000628969663902, -3.93237952105e-7, 1.56764503787e-9,
+      0.00625009517064, 5.15604369418, 7106.65830017, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00623153289546, 3.33981465516, 8469.5145739, -0.000434774157025, -4.44665242068e-7, 2.03452061278e-9,
+      0.0062109705882, 2.95655024731, 7111.91796481, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00619563979408, 2.26479441983, 17155.1785518, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00616950305052, 1.61355356881, 16694.5834675, 0.000144787634029, 3.19414597181e-7, -1.7234544587e-9,
+      0.00615960877445, 2.14572616134, 25093.1502067, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.006154707914, 4.31795864402, 8359.86982814, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00615351240883, 4.44603725065, 7149.10303439, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00613974429045, 5.07064082031, 38681.1233165, 0.000238888510146, 6.30402017513e-7, -3.20413846659e-9,
+      0.00604460904789, 6.23143216431, 16433.5709622, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00603254528241, 5.27683129445, 15647.1767069, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00602718682553, 4.63698819828, 15647.8813388, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00596634244356, 3.83684120924, 497.795702561, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00591974635518, 1.85634090986, 42167.3307875, -0.000320030826882, -2.67260813917e-8, -1.47140952217e-10,
+      0.00591467637975, 2.80436253388, 9008.80464533, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00589, 0.260266120609, 7771.34713483, -0.0000356575371912, 3.16316201426e-8, -2.59176545784e-10,
+      0.00584065882602, 0.421172088395, -2005.44523152, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00583605976, 4.9100462781, 25126.8974231, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00573701483355, 1.9637136276, 15254.5080532, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00565999378677, 3.86668220135, 33209.9909656, 0.000825468204188, 0.00000125893958705, -6.15049180266e-9,
+      0.00564397782985, 1.8797134581, 9971.76860881, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00563, 0.854880665288, 32271.154825, 0.000052919711213, 3.43939091165e-7, -1.84728556913e-9,
+      0.00562, 0.417605801965, 24009.9774946, -0.000161005986451, 2.03247954718e-8, -2.63593198419e-10,
+      0.00561085151898, 4.13257384623, -288.246236825, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00561, 4.34524144568, 15681.28607, -0.000313298394214, -2.30394078683e-7, 9.72390800201e-10,
+      0.00557976751365, 2.74305272744, 48475.9681173, -0.0000467439913547, 3.7022549503e-7, -2.13589030536e-9,
+      0.00555374094629, 0.447758462913, 680.113220703, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.0055495667837, 1.00001821703, 22510.0670713, 0.000307735567763, 5.67667902879e-7, -2.74167954432e-9,
+      0.00553986546602, 4.12981895525, -2543.58131713, -0.0000926402638805, -1.10447780281e-7, 5.08230181907e-10,
+      0.00552997949447, 4.46825773295, 41190.9175764, 0.000359779469849, 7.77870267445e-7, -3.94138978332e-9,
+      0.00551986246907, 2.55774274884, 14113.8015321, 0.000211944551644, 3.90989968029e-7, -1.96373781533e-9,
+      0.00547978567528, 1.58221979633, 42376.5338112, 0.00054249958418, 9.98146672454e-7, -5.02780391318e-9,
+      0.00536997862968, 2.90130104499, -8781.23097139, -0.000553974976725, -7.26442977483e-7, 3.47451420841e-9,
+      0.00535957819158, 6.25532272769, -6967.31278133, -0.000373918743887, -5.05550180359e-7, 2.33366035029e-9,
+      0.0053396643697, 3.3869065399, 5156.80815227, 0.0000623160253747, 1.3965470176e-7, -6.73314088462e-10,
+      0.00531860202843, 2.85479557082, 15583.094673, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00530700861635, 5.15688742448, 17337.4960699, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00527958346498, 3.11117031488, 26347.4529172, 0.000235250887162, 4.97325316259e-7, -2.61027564419e-9,
+      0.00518997471215, 0.917981563288, 30632.9690332, -0.000534048921211, -3.51488658289e-7, 1.42249182174e-9,
+      0.00517682551266, 2.80653966359, 8835.30359599, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00510054573949, 2.91384618957, 8416.54547668, -0.000434774157025, -4.44665242068e-7, 2.03452061278e-9,
+      0.00507524908432, 1.24077780023, -470.563754966, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00504997385112, 3.94535638365, 13766.0367182, -0.000406036590458, -3.40798225732e-7, 1.48134820263e-9,
+      0.00503960573147, 4.08588571164, 8575.44150865, -0.000440101920011, -4.4343245784e-7, 1.92564115627e-9,
+      0.00500475831392, 2.97563692382, -433.361352747, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00498630015217, 5.08229024239, 6357.02762056, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00495979757662, 0.084603050261, 32723.6643616, 0.000452036331047, 8.20235953376e-7, -4.14098272769e-9,
+      0.00491347015142, 2.02088834446, -1219.75560809, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00490875250521, 1.38130489907, -1219.05097618, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00487531053259, 4.31926667177, 23583.1994778, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00478722725416, 0.216564205841, 8415.41721404, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00477952745437, 3.24393462872, -8451.51510095, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00474168854334, 0.806078222374, 8240.7774384, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00472183204612, 3.92745777314, 25057.0675793, 0.000271493227463, 5.32496609569e-7, -2.67597759425e-9,
+      0.00471949952792, 4.9910964671, -1612.42426183, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00470518899464, 0.746066286447, 9501.1953781, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00464971604185, 1.54246142344, -800.650802655, 0.000275463846275, 3.29488637623e-7, -1.61015834956e-9,
+      0.00464751270375, 0.895785452223, 8438.39718975, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00464357297978, 5.50161973314, 8428.53512523, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00462491386033, 2.76524145399, 8378.35482206, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00453835176683, 3.54256750076, 1283.83764195, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00450990120451, 4.28379516136, 57500.5356117, 0.0000463831432714, 5.47519821994e-7, -2.96827176259e-9,
+      0.00449863406462, 3.59286893154, 7858.12766966, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00448998850739, 1.09988437566, 47638.1166963, 0.000388517036416, 8.81737283781e-7, -4.49456219346e-9,
+      0.00448333142617, 1.34066654525, 23975.8681315, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00447876278992, 0.717918519258, 23976.5727634, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00442, 2.64594103682, -37.26063862, 0.000154665283237, 1.83168668894e-7, -8.58847436086e-10,
+      0.00437965304478, 1.01619275917, 15579.9549083, -0.000225980357619, -1.19905428609e-7, 3.40494344517e-10,
+      0.00437, 4.71061067377, 16937.9500007, -0.000313494258941, -2.3030681222e-7, 9.73845241245e-10,
+      0.004366490688, 4.37933610388, 8206.99601095, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00425981956785, 3.71355340223, 23837.6586573, 0.00011435992746, 3.49857066326e-7, -1.87302432746e-9,
+      0.00424, 1.07642528776, -16694.6434879, -0.000149919532288, -3.18269079415e-7, 1.61312056116e-9,
+      0.004209829071, 2.04326599995, 55548.0556315, 0.000110876179393, 6.19711584956e-7, -3.26299484748e-9,
+      0.00420297033827, 5.4520289697, 8320.05492624, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00419370546101, 1.59775344079, 9467.41395065, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00416966704593, 2.75821195778, 29724.1299367, 0.000089259983877, 3.79066751244e-7, -1.91371473972e-9,
+      0.00415983772357, 5.6731211484, -26833.7795212, -0.000608682760304, -9.36028949935e-7, 4.61978471916e-9,
+      0.00415033342778, 5.16308518491, 8477.23699105, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00414983166511, 0.662426846325, 29447.3527984, -0.000716769035542, -5.71765063298e-7, 2.50890595161e-9,
+      0.00408346015863, 2.09773136069, 15664.4497037, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00404902756194, 6.16703936589, 7697.78081564, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00398127127841, 2.38760938376, 16774.7768205, 0.000150115397015, 3.18181812953e-7, -1.6145750022e-9,
+      0.00396677476247, 3.30233273956, 10364.7895785, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00390015408929, 3.41672903765, 22825.5434718, -0.0001301893415, 5.67725062412e-8, -4.37447384465e-10,
+      0.00389991149433, 1.77426440486, -10872.2727418, -0.000244932671643, -3.61166654435e-7, 1.74421418053e-9,
+      0.00381028956861, 1.0632295921, 14496.8520472, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00377, 1.01496259735, 25124.6060539, 0.000209762005197, 4.59644821262e-7, -2.32754200164e-9,
+      0.00372, 2.47008360675, 14985.4700205, -0.000249001222819, -1.58115049258e-7, 6.79122156361e-10,
+      0.00370937226718, 5.93534382287, 17219.6129016, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.00368990931547, 1.10078917214, -25857.7127521, 0.00000663450030521, -2.0362436406e-7, 1.12025897294e-9,
+      0.0035632099787, 4.48909399406, 7220.62182096, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.003549858351, 3.34041353708, 49590.5966766, 0.000324024000294, 8.09545520819e-7, -4.19983910858e-9,
+      0.0035265668122, 3.01192687509, 7031.73587148, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00351474770422, 4.29953604047, 1202.48261133, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00349984711142, 5.17306673816, 30494.407243, -0.00028949965225, -5.84040982036e-8, -1.30851212531e-11,
+      0.00349512534787, 6.03158054549, 7249.00775437, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0034805423859, 5.05021400134, 16749.0396709, -0.000282481749263, -1.93946367913e-7, 7.98536614156e-10,
+      0.003473797842, 1.17105109035, 8591.20051183, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.003445982415, 6.20825077527, 6827.60085126, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00341979348843, 6.25613028344, -17458.0336519, -0.0000291209692496, -1.71949110686e-7, 8.61809647677e-10,
+      0.00336339801466, 2.09883323688, 7631.65752311, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00329, 1.13255559952, -1813.94820022, -0.000182622181968, -2.2032003824e-7, 1.08568690934e-9,
+      0.0032898605775, 3.13054426719, 14461.912788, -0.000465201863594, -4.14222772923e-7, 1.88495074402e-9,
+      0.00328287716586, 1.79416058242, -117.892644066, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00327673624405, 5.22478432679, 8275.73180315, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00327345315232, 3.65993779153, 5964.00665087, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00326007196586, 4.0906855681, -2370.0802678, -0.00015446941851, -1.83255935357e-7, 8.57392995042e-10,
+      0.00322999106029, 4.35569486248, 64505.0490113, 0.000260504705663, 8.71046851225e-7, -4.55341857435e-9,
+      0.00322, 5.2031782028, 14357.108045, -0.000251469239584, -1.57585923607e-7, 6.23227987066e-10,
+      0.00321998414621, 2.97064098689, 31538.0481267, 0.000269316216715, 5.99959548367e-7, -3.05456859783e-9,
+      0.00320001342994, 3.0013442605, -16795.9390096, -0.0000573716650713, -2.08969580338e-7, 1.0908307825e-9,
+      0.00316986671579, 1.95535966149, 16623.595792, 0.000332835511346, 5.38458217962e-7, -2.70098913206e-9,
+      0.00315, 4.82563763354, 23314.1614451, -0.0000967088150564, 9.26038248964e-8, -5.56861842259e-10,
+      0.00310297042992, 2.11921281936, 104.063387401, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00310191113711, 5.85031115271, 105.486078335, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.00306617516999, 1.25301807141, 8634.97134539, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00304998801128, 3.75833405284, 63390.4204521, -0.000110263285986, 4.31726825435e-7, -2.48946977113e-9,
+      0.00303981217458, 0.1590625106, 6413.4120627, 0.0000569882623889, 1.40887485988e-7, -7.82193544965e-10,
+      0.00300841124612, 1.59527244878, -86.7505246664, 0.0000309145773146, 3.64040775381e-8, -1.74581406568e-10,
+      0.00300397510249, 1.49224406234, 16755.5986265, -0.0000970977534384, 2.57136449814e-8, -2.33437787454e-10,
+    ],
+    [
+      0.0743, 5.67056138917, 6480.98617728, 4.86870745558e-7, 6.68465466837e-8, -3.24151275327e-10,
+      0.03043, 2.44271735987, 7737.5900877, -0.00000484089224026, 6.8079330912e-8, -4.3303073183e-10,
+      0.02229, 0.287632018421, 15019.2270676, -0.00027981786777, -1.94562760028e-7, 8.52976342407e-10,
+      0.01999, 2.64318656881, 23347.9184923, -0.000127525460007, 5.6156114127e-8, -3.83007656213e-10,
+      0.01869, 3.31500683879, -1847.70524735, -0.000151805537017, -1.83872327471e-7, 9.11832723294e-10,
+      0.01696, 0.884992828061, 16133.8556269, 0.0000909501238788, 2.44757265762e-7, -1.21097246081e-9,
+      0.01623, 1.58477955555, 9061.76811271, -0.0000666700468694, -4.72882416417e-9, -8.38679186951e-11,
+      0.01419, 5.51241031234, 733.076688082, -0.000218962454632, -2.55447698319e-7, 1.15211607993e-9,
+      0.01338, 3.94033410594, 17390.4595373, 0.0000856223608929, 2.4599004999e-7, -1.31985191732e-9,
+      0.0130375585487, 0.920797199106, 8399.68473004, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.01279, 2.45706903447, -523.527222346, -0.000213634691646, -2.56680482547e-7, 1.26099553643e-9,
+      0.01215, 4.81262358485, 7805.16420228, -0.0000613422838836, -5.9616083925e-9, 2.50115378084e-11,
+      0.0108830814585, 5.25657736455, 8435.76735743, -0.000216298573139, -2.56064090433e-7, 1.20655580818e-9,
+      0.0108787690507, 1.14082576461, 8431.16495755, 0.0000882862423858, 2.45373657876e-7, -1.26541218906e-9,
+      0.00546, 5.71368707703, 5852.68422206, 0.00000315075223847, 6.62301545695e-8, -2.69711547075e-10,
+      0.00443, 1.74293063238, 14809.6776019, 0.000152779278508, 3.17565420838e-7, -1.56013527395e-9,
+      0.00342, 3.81034409083, 8399.70911037, -0.0000331895204255, 3.11024944911e-8, -2.03282376489e-10,
+      0.0033, 3.3429732963, 16275.8309781, -0.000285145630756, -1.93329975799e-7, 7.44096885904e-10,
+      0.00318, 5.69852784668, 24604.5224027, -0.000132853222993, 5.73888983553e-8, -4.91887112717e-10,
+      0.00295661128014, 2.46906131192, 7109.28813249, -0.00000217701074735, 6.74629387979e-8, -3.78591003578e-10,
+      0.00285, 4.99874111919, 31676.6099169, 0.0000247669477549, 3.06874988282e-7, -1.61899165483e-9,
+      0.00207, 4.79827191026, 16066.2815123, 0.000147451515522, 3.18798205067e-7, -1.66901473045e-9,
+      0.00202, 3.64165370112, 16833.1452577, -0.0000997616349313, 2.63300370956e-8, -2.87877515706e-10,
+      0.00202, 0.385843214303, -33.7870572866, 0.0000282506958217, 3.70204696523e-8, -2.29021134819e-10,
+      0.002, 3.24054737845, 24462.5470515, 0.000243242531641, 4.95476139917e-7, -2.44695645943e-9,
+      0.00198, 0.0871628094832, -591.101336919, -0.000157133300003, -1.82639543243e-7, 8.0295326679e-10,
+      0.00193, 2.68631225666, 22719.616537, -0.000124861578515, 5.55397220129e-8, -3.28567927962e-10,
+      0.00164, 0.959452288399, -10176.396672, -0.000304097944779, -4.34591201626e-7, 2.14781672191e-9,
+      0.00161, 0.0127033491446, 25719.150962, 0.000237914768655, 4.96708924145e-7, -2.55583591594e-9,
+      0.00158, 0.330757706277, 14390.9251124, -0.000277153986277, -1.95179152142e-7, 9.07416070659e-10,
+      0.00149, 1.14556982274, 13695.0490426, -0.000217988713141, -1.21754604951e-7, 5.03813529272e-10,
+      0.00135, 3.35813252664, -2476.00720256, -0.000149141655524, -1.84488719585e-7, 9.66272451546e-10,
+      0.00120608909521, 3.49622764699, 16759.8563822, 0.000240578650148, 4.96092532031e-7, -2.50139618768e-9,
+      0.0011686083171, 1.32910520121, 16764.4587821, -0.0000640061653765, -5.34521627834e-9, -2.94281904433e-11,
+      0.00104, 3.50112437313, 22023.7404673, -0.0000656963053783, 1.28964269203e-7, -7.32170469348e-10,
+    ],
+  ],
+  R: [
+    [
+      385000.509715, 1.57079632679, 0, 0, 0, 0,
+      20905.3538863, 0.784758223592, 8328.69142462, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      3699.1107108, 0.187397413952, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      2955.96740966, 2.54295196434, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      569.92508674, 3.14031277398, 16657.3828492, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      246.158462503, 0.973435517155, -1114.62855927, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      204.586106196, 2.5860776522, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      170.733068558, 4.89850651473, 23871.4457146, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      152.137801793, 0.230523101808, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      129.620215669, 2.31370874214, -7700.38946941, -0.000154956289255, -2.5010248204e-7, 1.18154427037e-9,
+      108.742695816, 0.486077818772, 7771.37714499, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      104.755287418, 3.88322518933, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+      79.6605664796, 0.670540390367, -8538.24089036, 0.000280304738515, 2.61409306711e-7, -1.17712761773e-9,
+      48.8883256063, 1.52767063894, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      34.7825215996, 4.30114570509, 22756.8171553, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      30.8238581228, 5.64141893007, 16171.0562452, -0.0000688470576167, 6.27341146337e-8, -4.62458922274e-10,
+      24.2084969118, 3.28586437969, 7842.36482057, -0.000221139465379, -1.87984759521e-7, 7.73525076347e-10,
+      23.2104286583, 5.49586732437, 24986.0742739, 0.000456877223287, 7.52156622464e-7, -3.70795199586e-9,
+      21.6363423601, 1.9455911547, 14428.1257307, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      16.6747229097, 3.58454478451, 8399.6791002, -0.0000357554695548, 3.16752533739e-8, -2.58449325263e-10,
+      14.4026878471, 4.90106627395, -9443.31998389, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      12.8314026887, 4.94163220258, 23243.1437594, 0.0000887731131314, 3.1222020456e-7, -1.58956346439e-9,
+      11.6499471474, 0.373514948293, 31085.50858, -0.000132366352248, 1.24235445039e-7, -8.16038388044e-10,
+      10.4447570434, 0.970875757933, 32200.1371392, 0.000238401639401, 5.63555470829e-7, -2.87998719126e-9,
+      10.3211069592, 2.42873413111, -1324.178025, 0.0000618291546291, 7.28081550762e-8, -3.49162813135e-10,
+      10.0562025726, 1.01656120501, -1742.93051448, -0.000368104110156, -4.39936417904e-7, 2.11838853147e-9,
+      9.88446612583, 2.62920334005, 14286.1503796, -0.000060855413138, 6.08849382912e-8, -2.99139737518e-10,
+      8.75156230321, 0.0731795807275, -9652.86944962, -0.0000904632531332, -1.77910719078e-7, 8.86821185486e-10,
+      8.37910622979, 1.27211592197, -557.314279633, -0.000185383995824, -2.19660012895e-7, 1.03197440161e-9,
+      7.00269553089, 6.24133949893, -16029.080894, -0.000307248697018, -5.00821356195e-7, 2.41752826899e-9,
+      6.32200283449, 2.84163236916, 16100.0685696, 0.0001192008197, 2.81777735414e-7, -1.43999359563e-9,
+      5.75085741716, 6.23877973971, 17285.6848045, 0.000301920934032, 5.02054140423e-7, -2.52640772549e-9,
+      4.95013455185, 0.273648789665, 5957.45895493, -0.0002131478209, -1.89833935863e-7, 9.36844261102e-10,
+      4.42117689528, 6.16768759434, -209.549465736, 0.000432597146278, 5.12128180866e-7, -2.41311161635e-9,
+      4.1311144432, 4.7842886815, 7004.51339962, 0.000214121562391, 3.23527029231e-7, -1.58514681176e-9,
+      3.95798247721, 4.34427139294, 22128.5152001, -0.000281994878517, -1.2709982123e-7, 4.74385338829e-10,
+      3.25823688225, 2.24427155952, 14985.4400103, -0.000251567171948, -1.57542290375e-7, 6.23955207588e-10,
+      3.14830203431, 1.68501416002, 16866.932315, -0.000128012330753, -1.06904325567e-8, -5.88563808867e-11,
+      2.61640899442, 1.71378817328, 24499.7476698, 0.0000834453501456, 3.13452988788e-7, -1.69844292089e-9,
+      2.35363081529, 3.24273869183, 8470.66677579, -0.000223803346872, -1.87368367407e-7, 7.19085348095e-10,
+      2.11712811071, 2.27058305428, -7072.0875142, -0.000157620170748, -2.49486089926e-7, 1.12710454212e-9,
+      1.89703664882, 1.98871684256, 13799.8237755, -0.000434287286279, -3.77818695384e-7, 1.71036933745e-9,
+      1.73852572567, 5.19974667877, -8886.00570426, -0.000337676403587, -4.7037888705e-7, 2.26795840023e-9,
+      1.57139428561, 0.416640636149, 30457.2066247, -0.000129702470755, 1.23619052925e-7, -7.61598659792e-10,
+      1.42255403411, 2.72906949868, 39414.2000046, 0.0000199260555147, 3.74954319194e-7, -2.05202238666e-9,
+      1.41892834373, 1.45823345632, 23314.131435, -0.0000992747641858, 9.31765837793e-8, -6.12028791033e-10,
+      1.16553630002, 3.84009950147, 9585.29533505, 0.000146964644777, 2.51951658383e-7, -1.34486345512e-9,
+      1.11693700507, 1.56823656757, 33314.7656985, 0.000609169631049, 0.00000100287549662, -4.94393599448e-9,
+      1.06567221161, 1.48454495108, 1256.60391043, -0.00000532776298582, 1.23278422833e-9, -1.08879456504e-10,
+      1.05861894143, 5.63890503672, 8364.73984103, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.933317503608, 5.94009933489, 16728.3705248, 0.000116536938208, 2.82394127529e-7, -1.49443332388e-9,
+      0.862432728646, 6.17190231631, 6656.74858573, -0.00040385957971, -4.0826116453e-7, 1.85993920621e-9,
+      0.851240293484, 4.37058288771, 70.9876755815, -0.000188047877317, -2.19043620781e-7, 9.77534673358e-10,
+      0.848801782749, 1.01400144579, 31571.835184, 0.000241065520894, 5.62939078715e-7, -2.82554746301e-9,
+      0.795626342865, 0.371859985547, -9095.55516999, 0.0000949207426911, 4.17492938164e-8, -1.45153216124e-10,
+      0.778544881999, 2.54551172356, -17772.0114085, -0.000675352807173, -9.40757774099e-7, 4.53591680046e-9,
+      0.774039013202, 4.22924600397, 15752.3037557, -0.000498780322401, -4.50010458346e-7, 2.00509242233e-9,
+      0.728051983005, 1.83646440556, 8326.39022468, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.682808766288, 2.87466016601, 8330.99262456, 0, 0, 0,
+      0.669683464364, 3.32643030832, 40528.8285639, 0.000390694047163, 8.14274344983e-7, -4.11597118988e-9,
+      0.657532917228, 4.98475789044, 22614.8418042, 0.0000914369946243, 3.11603812446e-7, -1.53512373614e-9,
+      0.657064289528, 2.47185981897, -1952.47998022, 0.000064493036122, 7.2191762962e-8, -2.94723084883e-10,
+      0.598264635939, 1.31356548519, 8393.12577444, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.596320914324, 0.301615247176, 24080.9951803, -0.000346487914639, -1.99291584192e-7, 7.69108423712e-10,
+      0.578789767745, 1.11642736364, 23385.1191106, -0.000287322641503, -1.25867037001e-7, 3.65505882325e-10,
+      0.514232393879, 5.87322191149, 6099.43430609, -0.000589243575535, -6.27921177425e-7, 2.89191360782e-9,
+      0.507921301677, 3.40088976866, 14218.576265, -0.0000043540214947, 1.34925877596e-7, -7.57182007157e-10,
+      0.497552129043, 0.529203506628, 7143.07518978, -0.000030427706569, 3.04424691456e-8, -1.49569868759e-10,
+      0.495044139392, 4.9441919618, -10071.6219391, -0.000520396517918, -6.90655292059e-7, 3.35437253009e-9,
+      0.472623289811, 4.00081033752, -17981.5608742, -0.000242755660896, -4.28629593233e-7, 2.12280518411e-9,
+      0.456469977097, 0.174373591426, -8294.9343775, -0.000183109052713, -2.87166584924e-7, 1.40983818467e-9,
+      0.452769977283, 1.74388968954, 8362.44847175, 0.000121475762811, 2.14271163385e-7, -1.06212981257e-9,
+      0.422501627971, 6.05933944583, 29970.8800207, -0.000503134343896, -3.15084580751e-7, 1.24791041518e-9,
+      0.422406525047, 3.88578494855, -24357.7723187, -0.00045954110478, -7.5154023035e-7, 3.65351226761e-9,
+      0.410714834194, 2.67232902791, 13657.8484243, -0.0000581915316451, 6.0268546177e-8, -2.44700009266e-10,
+      0.410206289054, 2.07129100394, 8311.77074382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.378521393776, 5.19718691955, 24428.7599942, 0.000271493227463, 5.32496609569e-7, -2.67597759425e-9,
+      0.355078665565, 2.31114898292, 25614.3762291, 0.000454213341794, 7.52773014578e-7, -3.76239172411e-9,
+      0.343015895271, 1.05968689287, -2371.23246969, -0.000365440228663, -4.40552810018e-7, 2.17282825972e-9,
+      0.334632424101, 2.42792657537, 9166.54284557, -0.000282968620008, -2.60792914597e-7, 1.12268788948e-9,
+      0.332248866129, 2.01502833732, -8257.70374904, -0.000340340285079, -4.69762494935e-7, 2.21351867198e-9,
+      0.323343033644, 0.116305268584, -10281.1714048, -0.0000877993716403, -1.78527111193e-7, 9.41260913737e-10,
+      0.321755060633, 1.04533521827, 5889.88484036, -0.000156646429257, -1.15792996559e-7, 4.78801991464e-10,
+      0.28663085894, 2.13170868904, 38299.5714453, -0.000350841936134, -6.43657065961e-8, 1.19264165553e-11,
+      0.283985952788, 0.856657924708, 15333.2048242, 0.000366413970154, 5.74245903386e-7, -2.82113081038e-9,
+      0.279040045448, 4.3873970808, 21500.2132449, -0.000279330997024, -1.27716213344e-7, 5.28825067081e-10,
+      0.255601111992, 2.28739724738, 14357.1380551, -0.000248903290455, -1.5815868249e-7, 6.7839493584e-10,
+      0.248096966011, 3.7690073561, -7909.93893515, 0.000277640857022, 2.62025698825e-7, -1.23156734599e-9,
+      0.244521347258, 3.47198191403, 31713.8105352, -0.000135030233741, 1.24851837153e-7, -8.70478116295e-10,
+      0.23695195032, 5.04405812043, 15056.4276859, -0.000439615049265, -3.76585911156e-7, 1.60148988095e-9,
+      0.212582611359, 5.34273852525, 15613.7419656, -0.000254231053441, -1.56925898261e-7, 5.69515479336e-10,
+      0.21251295012, 4.06934272367, 32828.4390944, 0.000235737757908, 5.64171862943e-7, -2.93442691951e-9,
+      0.209408990108, 4.82741436936, 6376.21144441, 0.000216785443884, 3.22910637117e-7, -1.5307070835e-9,
+      0.204987391897, 4.49911070251, 14967.4158021, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.204763980575, 3.59465712853, 15540.45309, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.203713864775, 4.63284075394, 15545.0554899, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.202853085075, 2.77219518654, 38785.8980494, 0.0000225899370076, 3.7433792708e-7, -1.99758265841e-9,
+      0.20098656619, 1.34401562309, 6447.19911999, 0.0000287375665672, 1.03867016336e-7, -5.53172410146e-10,
+      0.185669913683, 1.41345280571, -16238.6303598, 0.00012534844926, 1.13068246708e-8, 4.41665263491e-12,
+      0.183160933618, 3.70378489545, 21642.1885961, -0.000655426751658, -5.65803454905e-7, 2.4838944138e-9,
+      0.168574635927, 4.85794058609, -8815.01802867, -0.000525724280904, -6.8942250783e-7, 3.24549307359e-9,
+      0.167207623783, 2.63457405486, 8328.33910867, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.167189507565, 2.07654415503, 8329.04374058, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.166592690422, 2.83284879051, 14756.7123506, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.1580214631, 1.64188847216, 17495.2342702, -0.000130676212246, -1.00740404425e-8, -1.13296109138e-10,
+      0.157478912508, 2.14461234468, 6638.72437752, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.157074125235, 1.50135914417, 22685.8294798, -0.0000966108826928, 9.25601916651e-8, -5.57589062781e-10,
+      0.148063930643, 0.316774477522, 5329.15699972, -0.000210483939407, -1.90450327978e-7, 9.91283989354e-10,
+      0.147629581916, 5.59829324222, 16799.3582004, -0.0000715109391097, 6.33505067478e-8, -5.16898650525e-10,
+      0.144512889023, 1.61886769908, 7178.01444895, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.143675459731, 0.930309829298, -486.326604051, -0.000373431873141, -4.38703633676e-7, 2.00950907497e-9,
+      0.13922060828, 5.08462404907, 47742.8914292, 0.000172218463277, 6.25673193348e-7, -3.28800638528e-9,
+      0.138280516715, 5.64506702565, 7935.67045493, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.136170449861, 6.19821381108, -15400.7789388, -0.00030991257851, -5.00204964081e-7, 2.36308854074e-9,
+      0.135712621226, 5.52720109685, -695.876069787, 0.0000591652731362, 7.34245471904e-8, -4.03602541387e-10,
+      0.134751488408, 1.23911281484, 7211.76166542, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.128050742236, 0.459766324006, 29828.9046695, -0.000127038589262, 1.23002660811e-7, -7.0715893154e-10,
+      0.126818998219, 2.75075986578, 7753.35293679, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.126714842007, 2.27728716288, 7216.3640653, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.12353536724, 1.12056955958, 15149.7333203, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.120586564957, 3.03274807096, 8000.10480474, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.120280560593, 5.34928633481, 8721.71239432, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.11613189556, 0.478214385289, 6428.02092597, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.114106029628, 4.45683426342, -1185.61623485, -0.000182720114331, -2.20276405009e-7, 1.08641412986e-9,
+      0.11192875654, 4.42501117632, 15542.401974, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.111811398941, 3.80254714427, 15543.1066059, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.110476914583, 2.0780650306, 7213.7105494, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.110386162941, 1.43834910685, 7214.41518132, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.109976201801, 2.88475805702, 15471.7666144, 0.000121864701193, 2.811613433e-7, -1.38555386738e-9,
+      0.108872330138, 4.02877679503, 141.975351163, -0.000376095754634, -4.38087241561e-7, 1.95506934672e-9,
+      0.108332399927, 2.03184253041, 13171.5218203, -0.000431623404787, -3.78435087499e-7, 1.7648090657e-9,
+      0.107656196196, 1.41510776846, 23942.4333902, -0.000101938645679, 9.37929758934e-8, -6.66468519284e-10,
+      0.106889994637, 4.72540686879, 15508.9972429, -0.0000353665311729, 9.85654332889e-8, -5.81873380068e-10,
+      0.105248284166, 1.95800696184, 8904.02991246, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.105106705207, 0.218696475944, 14392.0773143, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.103257543184, 4.04056871041, 25195.6237396, 0.0000242800770094, 2.40028441598e-7, -1.29484037951e-9,
+      0.100694863158, 5.0482127933, 6821.04189567, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.099414853223, 5.93927782477, 7149.62851554, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0993804762438, 2.84419212838, -17214.6971289, -0.000489968811349, -7.21097761204e-7, 3.50394239885e-9,
+      0.0955299952069, 3.50208901534, 15576.5113371, -0.0000969998210748, 2.56700117501e-8, -2.34165007976e-10,
+      0.0858702521775, 4.48726323943, 46628.2628699, -0.000198549528372, 1.86353167559e-7, -1.22405758207e-9,
+      0.0850799957312, 1.51190892903, 8504.48384324, -0.000249488093564, -2.24961595942e-7, 1.00327343169e-9,
+      0.0798188776831, 4.97296597506, -2438.80658427, -0.000308938837019, -3.66511870714e-7, 1.71478599008e-9,
+      0.0795275646671, 2.73667764288, 8786.14674413, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0772254300057, 5.18226499016, 7230.98354617, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0707245407829, 1.85157129453, 8315.57351343, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0667777948229, 6.10246513369, 29342.5780655, -0.000500470462403, -3.15700972865e-7, 1.30235014343e-9,
+      0.0654499181967, 3.8137880067, 31642.8228596, 0.0000530176435766, 3.43895457934e-7, -1.84801278965e-9,
+      0.0630851346154, 1.09128733968, 8329.40277009, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0630668093954, 3.61980322138, 8327.98007916, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0620438509726, 1.65243582663, 8346.71563283, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0610417773112, 0.141723143044, 36.0484164036, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0608558842298, 4.14773226729, 6063.38588969, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0605490623401, 5.86900718952, -766.863745369, 0.000247213150453, 2.92468167971e-7, -1.38113721474e-9,
+      0.0601314779108, 4.57670842208, 8322.13246902, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0590380386184, 2.0124685781, 25057.0619495, 0.00026882934597, 5.33113001683e-7, -2.7304173225e-9,
+      0.0590171662501, 1.88553629581, 8288.87652273, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0588804595136, 3.92379111796, 41643.4571231, 0.000761462038812, 0.00000125359437077, -6.1799199931e-9,
+      0.0585539132774, 2.82894362124, 8368.50632652, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0584981435999, 3.36955599618, 39900.5266086, 0.000393357928656, 8.13657952869e-7, -4.06153146163e-9,
+      0.0578868799245, 3.44401545651, 13590.2743098, -0.00000169014000179, 1.34309485482e-7, -7.02742278905e-10,
+      0.0573276177278, 2.04299829424, 14954.2616068, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0567602713764, 1.48640139567, 8294.90999717, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.0561299999108, 6.19972426638, -8362.47285208, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.0553570039485, 4.4275067145, 8170.95707028, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0552670918539, 1.59957034005, 7632.81535484, 0.000211457680899, 3.24143421345e-7, -1.63958654001e-9,
+      0.0534499973182, 2.36984376629, 7180.30581823, -0.000187658938935, -1.52153440866e-7, 6.54110618553e-10,
+      0.0529282192203, 6.21502800417, 6028.44663051, -0.000401195698217, -4.08877556644e-7, 1.91437893446e-9,
+      0.052616621463, 6.13851410626, 15385.0199356, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0519082357634, 2.1748343769, 37671.2694901, -0.000348178054641, -6.49820987103e-8, 6.63661448071e-11,
+      0.0517623983605, 0.280762882632, 8486.42577896, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0507164340673, 6.19565405186, 17913.9867597, 0.000299257052539, 5.02670532538e-7, -2.58084745374e-9,
+      0.0501974421648, 3.21396467857, 837.85142095, -0.000435261027771, -5.11511788752e-7, 2.3586718881e-9,
+      0.049030409526, 1.07412368373, 7542.64948524, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0489031447635, 3.63275771863, 9114.73336401, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0488553049213, 3.78066193759, 7056.32851102, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0485799777625, 0.188500761684, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0484302081843, 0.674755112335, -1671.9428389, -0.000556151987473, -6.58980038685e-7, 3.09592320483e-9,
+      0.0474003710099, 0.189957173174, -26100.7028331, -0.000827645214935, -0.00000119147664825, 5.77190079908e-9,
+      0.0473575087336, 3.17164654646, -9024.56749441, -0.0000931271346261, -1.77294326964e-7, 8.32381457234e-10,
+      0.0460798397634, 2.73272144181, 7161.09376815, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0460767691856, 1.05712713365, 30943.5332288, 0.000243729402387, 5.62322686601e-7, -2.77110773476e-9,
+      0.0459101809999, 4.00246530027, 22199.5028757, -0.000470042755834, -3.46143442011e-7, 1.45192001219e-9,
+      0.0456097582193, 4.73096039945, 14991.9989659, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0442202881722, 5.68198485871, 48857.5199885, 0.000542986454925, 0.00000106499321914, -5.3519551885e-9,
+      0.043972544673, 5.96543412802, 6625.57018221, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0436949179393, 1.35119146866, 7789.40135319, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0434920457729, 1.71162219023, 16693.4312657, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0432130156869, 6.07168314543, 15020.3848994, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0431586204351, 5.91634759935, 5471.13235088, -0.000586579694042, -6.28537569539e-7, 2.94635333607e-9,
+      0.042897036536, 5.88777210358, 575.338487834, 0, 0, 0,
+      0.0428332193503, 0.720702065419, 7267.03196257, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0425665715031, 5.38808566332, 16328.7962294, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0423193408344, 4.29949074234, -17424.2465946, -0.0000573716650713, -2.08969580338e-7, 1.0908307825e-9,
+      0.0411977899393, 5.169623479, 15489.7851928, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.03969292261, 4.19201889667, 16655.0816493, 0.000456877223287, 7.52156622464e-7, -3.70795199586e-9,
+      0.0395083585878, 5.79796377969, 8351.23332976, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0389357823911, 2.22745736643, -6443.78555898, -0.000160284052241, -2.48869697812e-7, 1.07266481387e-9,
+      0.0388618032929, 3.70431159534, 16118.0927778, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0385599980653, 1.1465463332, 7247.81991248, -0.000249292228837, -2.25048862405e-7, 1.00181899064e-9,
+      0.0380987114249, 6.12877662845, 7285.05054094, -0.000406523461203, -4.07644772416e-7, 1.80549947796e-9,
+      0.0377810875672, 4.16014585377, 9179.16771382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0376041163437, 2.99364523883, 393.020969693, 0, 0, 0,
+      0.0375630943372, 0.227345732861, 8381.66052183, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0373380533468, 0.344740935033, 23452.6932251, -0.000343824033146, -1.99907976306e-7, 8.23548151964e-10,
+      0.0372872732594, 0.399826443059, 9027.98105542, -0.0000384193510477, 3.22916454881e-8, -3.12889053514e-10,
+      0.0372456278056, 0.268362763444, 7740.19874148, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0372362470192, 5.23021458408, 16659.6840492, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.037218289059, 4.46208230327, 8275.72232741, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0368187485213, 5.82753646441, 40042.5019598, 0.0000172621740218, 3.75570711308e-7, -2.10646211492e-9,
+      0.0360065502535, 3.51863677901, 8326.06159231, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0359629882384, 1.19231647921, 8331.32125694, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0354417420789, 2.90116906521, 15595.7233872, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0349959256894, 2.96261005812, 7777.93610059, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0349039718261, 2.37443010368, 6663.30754132, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0345047884595, 2.09969074277, 64.4343498139, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0343215684716, 3.71728586043, 6691.69347474, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0337881958063, 3.47032695128, -8467.25321478, 0.0000922568611981, 4.23656859306e-8, -1.99592944376e-10,
+      0.0334973223526, 4.40159932686, 7806.322034, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0328191568967, 6.241049197, 9479.36840029, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0326483385047, 2.9829692529, 418.752489478, 0.000429933264785, 5.1274457298e-7, -2.46755134461e-9,
+      0.0314297036022, 2.65716979756, 32409.686605, -0.000194195506877, 5.14272899628e-8, -4.66875574908e-10,
+      0.031296756133, 3.76155560852, 15502.9393881, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0312306855499, 4.45253087965, 8917.18410777, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0311944236658, 2.84476946359, 7211.43303304, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0309779837389, 0.67138179448, 7216.69269767, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0305150947049, 4.0564097014, 8311.41842786, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.030238456835, 4.27237169183, 15124.0018005, -0.000496116440909, -4.50626850461e-7, 2.05953215058e-9,
+      0.0300673546617, 5.21309395163, 15540.1244577, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0297664887844, 3.01372394501, 15545.3841223, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0294778414769, 3.71392184807, 6514.77323456, -0.0000277638250761, 2.98260770314e-8, -9.51301405073e-11,
+      0.0294399985229, 1.57079632679, 0, 0, 0, 0,
+      0.0293901834733, 3.5176673611, -2229.25711853, -0.000741535983297, -8.7864005158e-7, 4.12789760644e-9,
+      0.0291234825609, 5.67860724753, 8328.36279225, 0, 0, 0,
+      0.029099631225, 1.64525578713, -26310.2522989, -0.000395048068658, -6.79348467388e-7, 3.35878918273e-9,
+      0.0288925278627, 5.31562091047, 8329.020057, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0287119500688, 4.50136796138, 15582.5691919, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0285469056407, 5.0278835783, 21986.539849, 0.0000941008761172, 3.10987420332e-7, -1.48068400789e-9,
+      0.0284745616591, 1.43654618319, 7174.24796346, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0283874116236, 2.51498550683, -2580.78193543, 0.000067156917615, 7.15753708479e-8, -2.40283356632e-10,
+      0.028153424646, 6.009499069, 7371.7972197, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0280699985916, 5.67154261202, 33.7570471241, -0.000030816644951, -3.64477107694e-8, 1.73854186046e-10,
+      0.0277753151901, 1.74717704023, 8879.44674866, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0277379099739, 0.8244838578, 15935.7752597, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0275462580727, 0.318857985117, 8851.06081525, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0270280442464, 2.06479580617, 15700.4886443, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0269785897356, 1.08846090613, 5261.58288514, -0.000153982547764, -1.16409388673e-7, 5.33241719716e-10,
+      0.02689092939, 5.7192133096, 8157.83915908, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0267391846802, 1.53023039816, -32686.4637433, -0.000611833512542, -0.0000010022591045, 4.88949626623e-9,
+      0.0265781314171, 5.00093243258, 15684.7296411, -0.000442278930758, -3.75969519042e-7, 1.54705015269e-9,
+      0.0260554356446, 1.27834880029, 786.041939386, 0, 0, 0,
+      0.0258666547564, 2.09812728027, 7253.87776726, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0248699987522, 4.10200434822, -16623.6258021, -0.000335401460476, -5.37885459079e-7, 2.64582218329e-9,
+      0.0247096206075, 4.52792640879, 16309.6180354, -0.000313396326577, -2.30350445452e-7, 9.73118020723e-10,
+      0.0246999987607, 4.09944441446, 16691.1398964, 0.000273768170574, 4.6499003754e-7, -2.2981138112e-9,
+      0.0246553361089, 4.42813611634, 16640.4621684, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0243592240635, 3.7469105833, 21013.8866409, -0.000652762870166, -5.6641984702e-7, 2.53833414205e-9,
+      0.0239892453236, 5.83009622363, 6727.73626131, -0.000591907457028, -6.27304785311e-7, 2.83747387957e-9,
+      0.0236801188956, 1.26955616275, 32757.4514189, 0.000423785635225, 7.83215483724e-7, -3.91196159287e-9,
+      0.0235842106486, 2.85763079826, -16.9206808076, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0233392868229, 2.58863741142, -18400.3133637, -0.00067268892568, -9.41374166213e-7, 4.59035652871e-9,
+      0.0230392973719, 4.66670353331, 33943.0676537, 0.000606505749556, 0.00000100349188873, -4.99837572273e-9,
+      0.0221233734842, 0.656837009399, 14445.0464115, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.022070345051, 5.58232925071, 9572.18868352, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0212676621542, 1.44141926323, 1884.90586564, -0.00000799164447873, 1.84917634249e-9, -1.63319184755e-10,
+      0.0212650228161, 4.00992606922, 8550.86012878, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0212563832087, 0.400650795605, 8940.07832886, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0207893176491, 5.12774973692, 47114.589474, 0.00017488234477, 6.25056801234e-7, -3.23356665703e-9,
+      0.0201360706095, 4.44572880102, 14339.1082171, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0200797488276, 5.01528410717, 7423.61233109, -0.000651072730164, -7.00729332501e-7, 3.24107642095e-9,
+      0.0196889383746, 0.216171427212, 14846.8782202, -0.00000701790298761, 1.3554226971e-7, -8.11621735409e-10,
+      0.019379703899, 2.61485166546, 22547.2676896, 0.000147938386268, 3.8564475175e-7, -1.99316600578e-9,
+      0.019117924864, 3.79697381361, 10213.5972903, 0.000144300763284, 2.52568050497e-7, -1.39930318338e-9,
+      0.0187396891158, 0.600295651996, 24638.30946, -0.000161103918815, 2.03684287031e-8, -2.62865977898e-10,
+      0.0186786635947, 1.07330167578, 24013.4210658, -0.000289986522996, -1.25250644887e-7, 3.11066154074e-10,
+      0.0186593814109, 4.67007084828, -9862.41891536, 0.000342133893144, 3.34217461788e-7, -1.52629043087e-9,
+      0.0186577082493, 4.41164723384, 8391.04823165, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0184400104846, 2.54451807747, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0183942516395, 0.721746909787, 7136.51060435, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0181097673774, 3.2122124751, 23661.8962489, 0.000518706377916, 8.2496477754e-7, -4.057114809e-9,
+      0.0180390801038, 0.899783612565, 14704.902869, 0.000369077851647, 5.73629511271e-7, -2.76669108212e-9,
+      0.0177804194304, 3.06965701987, 15465.202029, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0177739908331, 5.95021206748, 23869.1445147, 0.000238401639401, 5.63555470829e-7, -2.87998719126e-9,
+      0.017507747846, 1.36435303283, 14363.6913809, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0174976289, 5.08827749203, 8428.01821949, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0173224199931, 0.70523746482, 23873.7469145, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0172894431632, 5.94265909411, -16586.3951737, -0.000492632692842, -7.2048136909e-7, 3.4495026706e-9,
+      0.0172787741083, 2.81532087439, 38157.5960942, 0.0000252538185005, 3.73721534965e-7, -1.94314293016e-9,
+      0.0170894157186, 4.53038892728, 45999.9609147, -0.000195885646879, 1.85736775444e-7, -1.16961785381e-9,
+      0.0170394588909, 0.141711966873, 41157.1305191, 0.00038803016567, 8.14890737098e-7, -4.17041091814e-9,
+      0.0164070900148, 2.88142645468, 14128.4047656, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0162111751422, 3.52960026553, 8249.06162083, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0158372304187, 1.18538148135, 8408.32122842, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0157776800297, 2.71545471576, 13029.5464691, -0.0000555276501522, 5.96521540629e-8, -1.90260281015e-10,
+      0.015708295812, 4.43052276866, 20871.9112897, -0.000276667115531, -1.28332605458e-7, 5.83264795332e-10,
+      0.0156928274071, 6.00493580797, 7736.43225598, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0156543948124, 2.81475097545, 7291.61512637, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0155091928373, 4.143802184, 6518.18679557, -0.00015931031075, -1.15176604445e-7, 4.24362263212e-10,
+      0.0151792244828, 4.04393602538, -18609.8628295, -0.000240091779403, -4.29245985347e-7, 2.17724491236e-9,
+      0.0151689604828, 4.98731764966, -10699.9238943, -0.000517732636425, -6.91271684173e-7, 3.40881225834e-9,
+      0.0148492318982, 3.45769471366, 1097.70787846, 0, 0, 0,
+      0.0148297965859, 2.05980898792, 31295.0580457, -0.000564963498525, -3.87892735827e-7, 1.59707322831e-9,
+      0.0145812609819, 1.95143882211, 17114.8381688, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.014479503595, 3.77066231885, 32271.1248148, 0.0000503537620837, 3.44511850048e-7, -1.90245251791e-9,
+      0.0144092239894, 1.38714131095, 5818.89716478, 0.0000314014480601, 1.03250624222e-7, -4.98732681894e-10,
+      0.0143471335944, 3.37373124557, 17507.8591384, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0142900284536, 0.0304453347687, 8504.4594629, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.0142000467796, 0.559632482634, 54956.9542946, -0.0000462571206092, 4.37072041713e-7, -2.46004158069e-9,
+      0.0141695667765, 2.5023860357, -17143.7094533, -0.000678016688666, -9.40141381985e-7, 4.48147707221e-9,
+      0.0141653259311, 3.63778289086, 14912.145505, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0140945093305, 4.67663690673, 14916.7479049, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0139359584416, 0.721736198998, 9965.20965321, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0138890032863, 2.33052293523, 13728.8360999, -0.000246239408962, -1.58775074604e-7, 7.32834664092e-10,
+      0.0137461443196, 1.56649730298, 7214.06957891, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.013745911302, 1.94989820026, 7214.05615181, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0136592601766, 0.414985673404, -9723.85712521, 0.000097584624184, 4.11329017023e-8, -9.07134878724e-11,
+      0.0136212062227, 0.659625201503, 14994.0765087, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0134970220154, 1.17517569098, 8251.13916361, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0133328952146, 2.09144010513, 588.492683148, 0, 0, 0,
+      0.0133103012783, 5.20004868805, 15620.306551, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0129526373659, 3.54667547723, 8406.24368564, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0128144046018, 0.570305620413, 23296.1072268, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0125006956855, 4.79642429503, 17900.8801081, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0124662689222, 4.58285676881, 6116.3549869, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0124300667707, 1.15699329227, 56071.5828538, 0.000324510871039, 8.76392067503e-7, -4.52399038391e-9,
+      0.0121939834589, 2.1726323666, 8417.70893824, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0120052303507, 1.6408606634, 8258.8016466, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0118496014194, 4.79271436201, 14935.7766129, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0116645551824, 5.40556702368, 7227.18077656, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0115912693634, 0.12630369822, 7213.35151989, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0115799969762, 3.97407191108, 15506.7058736, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0115253661581, 3.38909750134, 7214.77421083, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0115020888572, 1.1628664934, 14521.4257352, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0114900538565, 1.64691074988, 13870.8114511, -0.000622335163597, -5.96862316165e-7, 2.68790401081e-9,
+      0.011466076585, 3.66722494044, 16721.8171991, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0113754578334, 5.67355307571, 550.755324033, 0, 0, 0,
+      0.0112546062257, 3.86154355727, 7802.55554851, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0112096246503, 5.2403126074, 23800.458039, 0.000274157108956, 5.31880217455e-7, -2.621537866e-9,
+      0.01117171014, 4.46872894176, 14914.094389, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0111588078063, 1.10281258072, -2999.53442491, -0.00036277634717, -4.41169202132e-7, 2.22726798797e-9,
+      0.0110932548899, 4.15725383275, 8359.86982814, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0110822930115, 1.90908575505, 8164.39811468, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.011069055224, 3.82691342273, 14914.7990209, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0109737287402, 6.22426686871, 16131.2469731, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0108924838942, 5.36851040221, 15463.1244862, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0107249441985, 3.92204616856, 15542.7610035, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0107249420116, 4.30544324654, 15542.7475764, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0107190469635, 3.1285208586, -8396.2655392, -0.000095791016119, -1.7667793485e-7, 7.77941728982e-10,
+      0.0106913686941, 4.57938977051, 6665.38508411, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0105327702409, 0.300355095311, 13763.7697293, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0104792290876, 1.54448483203, 22057.5275245, -0.0000939470011999, 9.1943799551e-8, -5.03149334529e-10,
+      0.0104608923086, 2.13508825297, 16065.1236806, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0103903670783, 2.42163529566, 8320.05492624, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.0103856448001, 6.21897511699, 18293.9010778, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0103693145506, 2.08178952608, 6010.41679248, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0103592826892, 1.67322224464, -8186.71607346, -0.000528388162397, -6.88806115716e-7, 3.19105334534e-9,
+      0.01035762268, 2.93185337482, -1689.9670471, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.0102774577174, 3.025068069, 7134.43306156, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0102280746157, 4.75041563986, 7607.08383505, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.010084446325, 5.48495311608, -8322.65795018, -0.000121377830448, -2.14314796617e-7, 1.06140259205e-9,
+      0.0100636038016, 0.771293338287, 8334.72489907, 0.000183206985077, 2.87122951693e-7, -1.41056540519e-9,
+      0.0100350741084, 4.23725615436, 522.369390623, 0, 0, 0,
+      0.00989999950328, 0.797778380927, 23837.6886675, 0.000116925876589, 3.49284307444e-7, -1.81785737869e-9,
+      0.00989247601305, 5.18715792313, 23085.4037752, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00987217590715, 5.29686031891, 6034.99995628, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0096334054741, 2.67757267066, 7220.62182096, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00956914226761, 0.159430956441, -10909.4733601, -0.0000851354901474, -1.79143503307e-7, 9.95700641989e-10,
+      0.00947968177959, 2.87462110439, 30599.1819759, -0.000505798225389, -3.14468188637e-7, 1.19347068692e-9,
+      0.00937935644661, 3.84265926069, -23729.4703634, -0.000462204986273, -7.50923838236e-7, 3.59907253936e-9,
+      0.009249884103, 5.98743974472, 22966.3666211, -0.000717255906288, -6.38611609982e-7, 2.83305722693e-9,
+      0.0092199995374, 5.85764147134, 23905.2027617, 0.0000552925866875, 2.76388885905e-7, -1.4701490066e-9,
+      0.00919056605951, 2.44479555159, 15288.3228503, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00916064681717, 2.14420228158, 10358.2306229, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00911937054356, 1.67066248542, 25128.049625, 0.0000807814686527, 3.14069380903e-7, -1.75288264915e-9,
+      0.00911292358032, 4.99017410217, 16657.0305333, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00911210507873, 4.43206038107, 16657.7351652, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00898216312518, 2.43765902423, 6607.08518829, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00894475454133, 0.501563707693, -8345.61210543, -0.000523060399411, -6.90038899944e-7, 3.29993280184e-9,
+      0.0089014340446, 3.46938760123, 23907.494131, -0.00028465876001, -1.26483429116e-7, 4.19945610577e-10,
+      0.00890000639258, 3.92715556741, 8328.69142462, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00886967602241, 3.85691369456, 31014.5209044, 0.0000556815250695, 3.4327906582e-7, -1.7935730614e-9,
+      0.0087998788717, 5.16003202092, 7780.01364337, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00868832092648, 2.41418472338, 8563.97803998, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00867986075988, 2.13005372629, -1881.49230463, -0.000123554841195, -1.46851857819e-7, 6.82811588475e-10,
+      0.00861293576163, 2.89201083127, 15622.3840938, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00852999957202, 3.38787414918, -1290.42097788, 0.0000310125096782, 3.63604443068e-8, -1.75308627089e-10,
+      0.00843939459675, 4.49995995128, -1813.91819006, -0.000180056232838, -2.20892797123e-7, 1.14085385811e-9,
+      0.00843847232528, 0.0894422768546, 6959.63142568, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.008386640801, 1.35827790931, 18686.9220475, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00836973618208, 2.91187710753, -17076.4817807, 0.000560609477031, 5.22818613423e-7, -2.35425523547e-9,
+      0.00833283463388, 0.505923109889, 7293.69266915, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00832386908649, 1.26529033566, -1900.67049865, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00825542588001, 3.47611283414, 23478.4247449, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00816910459073, 0.502892011862, 29200.6027143, -0.000124374707769, 1.22386268697e-7, -6.52719203288e-10,
+      0.00813999352653, 5.57198174745, 38856.885725, -0.00016545794031, 1.55294306299e-7, -1.02004798505e-9,
+      0.00813090401871, 1.15332821476, 15542.4256576, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00812547714424, 0.790973188164, 15543.0829224, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00810430194682, 5.82064302163, 9426.39930308, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00807956579603, 4.44248258882, 7075.5010752, 0.0000260736850743, 1.0448340845e-7, -6.07612138398e-10,
+      0.00807500738872, 3.8280380719, 15525.8336092, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.00801434966363, 5.41385412915, 8943.88109847, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00793374287512, 2.3051201766, 8093.40480927, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00791928955035, 4.87054005721, 5747.90948919, 0.000219449325377, 3.22294245003e-7, -1.47626735525e-9,
+      0.00790279696946, 5.64517925908, 13816.7388265, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00785239235621, 6.21233933442, 8350.0213326, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00784987539924, 5.1590835094, 21432.6391303, -0.000222829605381, -5.36752740394e-8, 7.0782797442e-11,
+      0.00784601989493, 5.60385724396, 7196.03865716, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00783999960664, 1.03232116959, -9619.1124025, -0.000121279898084, -2.14358429848e-7, 1.06067537153e-9,
+      0.00783139469715, 4.78122696041, 8307.36151665, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00782806428189, 0.491777478421, 23871.0933986, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.00782178302956, 6.16371112954, 23871.7980306, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0078038865671, 0.526847633752, 5799.71334093, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00779973024501, 5.23017565477, 38927.8734005, -0.000353505817627, -6.37493144819e-8, -4.25133116965e-11,
+      0.0076895892843, 5.34108356251, -24567.3217844, -0.0000269439585023, -2.39412049484e-7, 1.24040065126e-9,
+      0.00764506636762, 0.705477706709, 8074.25998495, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00760357825266, 3.03896628911, 7721.71374756, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00757715518213, 1.79675193598, 8235.3914201, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00755375884519, 3.33498482545, 9900.7753034, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00754689693806, 5.85105964047, 8877.36920587, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.007506959092, 1.71744524968, 16264.3618796, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00744999962621, 4.76853255665, 14880.6952876, -0.0000327026496799, 9.79490411748e-8, -5.27433651816e-10,
+      0.00744974902231, 2.31451629789, -18191.11034, 0.000189841485382, 8.34985876329e-8, -2.90306432248e-10,
+      0.00743990736937, 2.61741142468, -10767.4980089, -0.000461231244782, -6.17230744868e-7, 2.95076998871e-9,
+      0.00743094071705, 2.62273984187, -2.30119994141, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00724198046907, 1.89669971691, 9507.7543337, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00720483500049, 2.71031679203, 1179.06290908, 0, 0, 0,
+      0.00711546747716, 1.11408782257, 15578.8027064, -0.000436951167772, -3.7720230327e-7, 1.6559296092e-9,
+      0.00709109953575, 2.11878813275, 6585.40296435, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00708475389761, 4.00271840046, 8583.1228643, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00701970418317, 1.46253230342, 6586.10759627, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00691788442772, 3.90302629809, -8316.07218621, -0.0000904632531332, -1.77910719078e-7, 8.86821185486e-10,
+      0.00684670355107, 5.10512519926, 16082.0443614, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00681964285416, 3.99744302255, 25823.9256948, 0.0000216161955165, 2.40644833712e-7, -1.34928010776e-9,
+      0.00680385208064, 5.47261851818, 8341.31066304, 0.000214121562391, 3.23527029231e-7, -1.58514681176e-9,
+      0.00679978007932, 0.631629424478, -1043.64088368, -0.000558815868966, -6.58363646571e-7, 3.04148347658e-9,
+      0.00670989395362, 3.69957017348, 14775.8905446, 0.00018102997433, 3.54585890491e-7, -1.78915640877e-9,
+      0.00669547418581, 1.46775630107, 7191.52096023, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0066406939191, 2.78076839944, 19079.9430172, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00660966278124, 5.01609166292, -3067.10853948, -0.000306274955526, -3.67128262828e-7, 1.76922571834e-9,
+      0.00659004114236, 1.34823034506, 13313.4971715, -0.000807719159421, -8.1652232906e-7, 3.71987841242e-9,
+      0.0065825811917, 2.01161567611, 15478.3199402, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0065815549126, 1.42167547682, 17050.4038189, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00657999966986, 3.5452147032, 14948.2093819, -0.0000943359395819, 2.5053619636e-8, -1.79725279724e-10,
+      0.00645953848607, 2.75538099345, 17356.67248, 0.000113873056715, 2.83010519643e-7, -1.54887305214e-9,
+      0.00644151356629, 3.81869077472, -328.586619879, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00642206314935, 3.24305686742, 8293.74653561, -0.0000330915880619, 3.10588612598e-8, -2.04009597011e-10,
+      0.00636003943397, 0.488637577994, -25543.3885535, -0.000642261219111, -9.71816635359e-7, 4.73992639747e-9,
+      0.00633622705064, 2.40245984897, 1965.10484846, 0, 0, 0,
+      0.00633022651855, 0.979208830184, 1572.08387877, 0, 0, 0,
+      0.00630746033878, 4.23142986902, 157.73435434, 0, 0, 0,
+      0.00628642272096, 1.67116269344, 8935.66910169, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00625092436388, 2.5949749337, 8364.02849556, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00620999968842, 5.74343498275, 7038.27044675, 0.00018330491744, 2.87079318461e-7, -1.41129262571e-9,
+      0.00617956640379, 6.14559082155, 28714.2761103, -0.00049780658091, -3.16317364979e-7, 1.35678987168e-9,
+      0.00616588114671, 3.566621635, 10751.2515926, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00616152516331, 5.76440590071, 7247.84429281, -0.000249390161201, -2.25005229173e-7, 1.00254621117e-9,
+      0.0061367546052, 5.09098161437, 6192.73431062, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0059170540615, 4.51355426408, 6756.60754585, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00590630123216, 1.66560677473, 6549.70686391, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00588605397852, 5.50402509769, 8365.45118649, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00587969646443, 3.40008221291, 24709.2971356, -0.000349151796132, -1.98675192078e-7, 7.1466869546e-10,
+      0.00579203892055, 3.83993356082, 15248.5079484, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00578559396315, 4.31253453147, 17232.7213371, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.00577118526376, 0.0707004414932, 8887.10923165, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.0057635188138, 5.83429923194, -1507.64952896, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00572981011311, 4.04559098812, 21571.2009205, -0.000467378874341, -3.46759834125e-7, 1.50635974044e-9,
+      0.00572571804992, 5.70352954015, 8096.80189008, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00566687545694, 3.52462027883, 16093.509614, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00561970389093, 2.68428884808, -138.561790155, 0.00024454926896, 2.93084560085e-7, -1.435576943e-9,
+    ],
+    [
+      0.513949974213, 5.72767030579, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      0.382449980811, 3.3721157554, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      0.326539983616, 3.96947656504, 7700.38946941, 0.000154956289255, 2.5010248204e-7, -1.18154427037e-9,
+      0.263959986756, 0.741632535735, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+      0.123019993828, 4.66926329253, 628.301955214, -0.00000266388149291, 6.16392114163e-10, -5.44397282518e-11,
+      0.0775399961095, 2.49982627648, 16171.0562452, -0.0000688470576167, 6.27341146337e-8, -4.62458922274e-10,
+      0.0606799969555, 0.144271726095, 7842.36482057, -0.000221139465379, -1.87984759521e-7, 7.73525076347e-10,
+      0.0496999975064, 5.77079599364, 14286.1503796, -0.000060855413138, 6.08849382912e-8, -2.99139737518e-10,
+      0.0419399978957, 0.442952130915, 8399.6791002, -0.0000357554695548, 3.16752533739e-8, -2.58449325263e-10,
+      0.0322199983834, 1.80003954899, 23243.1437594, 0.0000887731131314, 3.1222020456e-7, -1.58956346439e-9,
+      0.0252899987311, 4.1581538586, -1742.93051448, -0.000368104110156, -4.39936417904e-7, 2.11838853147e-9,
+      0.0248999987507, 3.41524144325, 5957.45895493, -0.0002131478209, -1.89833935863e-7, 9.36844261102e-10,
+      0.0176399991149, 0.0418458082454, 16029.080894, 0.000307248697018, 5.00821356195e-7, -2.41752826899e-9,
+      0.014489999273, 3.09718708612, 17285.6848045, 0.000301920934032, 5.02054140423e-7, -2.52640772549e-9,
+      0.0136908967835, 2.57436194576, 15542.75429, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.0125684062634, 0.297694925961, 8326.39022468, 0.000304584815525, 5.01437748309e-7, -2.47196799724e-9,
+      0.0118599994049, 0.101146038239, 8470.66677579, -0.000223803346872, -1.87368367407e-7, 7.19085348095e-10,
+      0.0117840027879, 4.4134143711, 8330.99262456, 0, 0, 0,
+      0.0106599994652, 4.01260225289, 7072.0875142, 0.000157620170748, 2.49486089926e-7, -1.12710454212e-9,
+      0.00992999950178, 1.20267873935, 22128.5152001, -0.000281994878517, -1.2709982123e-7, 4.74385338829e-10,
+      0.00657999966986, 4.85538082687, 24499.7476698, 0.0000834453501456, 3.13452988788e-7, -1.69844292089e-9,
+      0.00647536187567, 0.190478675645, 7214.06286536, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00586999970548, 0.698506847879, 9585.29533505, 0.000146964644777, 2.51951658383e-7, -1.34486345512e-9,
+      0.00535999973107, 4.62613760467, 1256.60391043, -0.00000532776298582, 1.23278422833e-9, -1.08879456504e-10,
+      0.00522794206992, 4.07314220777, 8328.33910867, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00522753700483, 0.637967704738, 8329.04374058, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.00475999976117, 5.13030949615, 13799.8237755, -0.000434287286279, -3.77818695384e-7, 1.71036933745e-9,
+      0.00393999980232, 3.55823328974, 30457.2066247, -0.000129702470755, 1.23619052925e-7, -7.61598659792e-10,
+      0.00353435152694, 2.05587194995, 15540.45309, 0.0000861092316385, 3.12836596674e-7, -1.64400319264e-9,
+      0.0035161392884, 6.17162672399, 15545.0554899, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00330999983393, 1.84316523685, 22614.8418042, 0.0000914369946243, 3.11603812446e-7, -1.53512373614e-9,
+      0.00309999984446, 5.8139216815, 13657.8484243, -0.0000581915316451, 6.0268546177e-8, -2.44700009266e-10,
+      0.00234999988209, 2.7985066813, 16728.3705248, 0.000116536938208, 2.82394127529e-7, -1.49443332388e-9,
+      0.00234999988209, 0.784758223592, 8328.69142462, 0.000152292407762, 2.50718874155e-7, -1.23598399862e-9,
+      0.0023299998831, 1.57079632679, 0, 0, 0, 0,
+      0.0023260934481, 5.98348692382, 7211.76166542, -0.0000661831761238, 6.21177225195e-8, -4.08019194022e-10,
+      0.00220624370222, 2.95819107813, 8311.77074382, -0.000218475583886, -1.88601151635e-7, 8.27964804599e-10,
+      0.00218680236795, 3.81608708983, 7216.3640653, -0.000370767991648, -4.3932002579e-7, 2.06394880322e-9,
+      0.00213999989263, 1.22899023412, 70.9876755815, -0.000188047877317, -2.19043620781e-7, 9.77534673358e-10,
+      0.00212999989313, 4.15559409938, 31571.835184, 0.000241065520894, 5.62939078715e-7, -2.82554746301e-9,
+    ],
+    [
+      0.00148999992524, 5.72767030579, 14914.4523348, -0.0000635192946309, 6.15013304054e-8, -3.5357946577e-10,
+      0.00110999994431, 3.3721157554, 6585.76091014, -0.000215811702393, -1.89217543749e-7, 8.82404532851e-10,
+      0.000949999952335, 3.96947656504, 7700.38946941, 0.000154956289255, 2.5010248204e-7, -1.18154427037e-9,
+      0.000769999961366, 0.741632535735, 8956.99337984, 0.000149628526269, 2.51335266269e-7, -1.29042372687e-9,
+    ],
+  ],
+};
@@ -0,0 +1,16 @@
+/**
+ * Planetary magnetic fields for the solar storm: strength relative to
+ * Earth's, the dipole's tilt from the spin axis (degrees), whether there is
+ * a global field at all, and the colour the magnetosphere is drawn in.
+ */
+
+export const MAGNETIC_FIELDS = {
+  mercury:  { strength: 0.01, tilt: 0,    hasField: true,  color: 0x888888 },
+  venus:    { strength: 0,    tilt: 0,    hasField: false, color: 0xcc8844 },
+  earth:    { strength: 1.0,  tilt: 11.5, hasField: true,  color: 0x4488ff },
+  mars:     { strength: 0,    tilt: 0,    hasField: false, color: 0xcc4422 },
+  jupiter:  { strength: 20.0, tilt: 9.6,  hasField: true,  color: 0xff8844 },
+  saturn:   { strength: 5.8,  tilt: 0,    hasField: true,  color: 0xccaa66 },
+  uranus:   { strength: 0.5,  tilt: 59,   hasField: true,  color: 0x44aacc },
+  neptune:  { strength: 0.27, tilt: 47,   hasField: true,  color: 0x3355aa },
+};
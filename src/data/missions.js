@@ -1,6 +1,9 @@
 /**
  * NASA mission data for the Solar System Explorer.
  * Each mission includes waypoints with dates, associated bodies, and facts.
+ * A waypoint with `orbit: true` is a capture — the craft stays with that
+ * body until the next waypoint there; one with `body: null` is a point
+ * `distance` AU from the Sun.
  */
 export const MISSIONS = [
   {
@@ -78,7 +81,7 @@ export const MISSIONS = [
     waypoints: [
       { date: '2006-01-19', body: 'earth', event: 'Launch (fastest launch speed ever)', eventTr: 'Fırlatma (şimdiye kadarki en hızlı fırlatma)' },
       { date: '2007-02-28', body: 'jupiter', event: 'Jupiter Gravity Assist', eventTr: 'Jüpiter Yerçekimi Desteği', facts: ['Speed boosted by 4 km/s', 'Tested instruments on Jupiter system'], factsTr: ['Hız 4 km/s artırıldı', 'Jüpiter sisteminde aletleri test etti'] },
-      { date: '2015-07-14', body: null, event: 'Pluto Flyby', eventTr: 'Plüton Geçişi', facts: ['Revealed heart-shaped nitrogen glacier', 'Found Pluto has blue skies and water ice'], factsTr: ['Kalp şeklinde azot buzulunu ortaya çıkardı', 'Plüton\'un mavi gökyüzüne ve su buzuna sahip olduğunu buldu'], distance: 33 },
+      { date: '2015-07-14', body: 'pluto', event: 'Pluto Flyby', eventTr: 'Plüton Geçişi', facts: ['Revealed heart-shaped nitrogen glacier', 'Found Pluto has blue skies and water ice'], factsTr: ['Kalp şeklinde azot buzulunu ortaya çıkardı', 'Plüton\'un mavi gökyüzüne ve su buzuna sahip olduğunu buldu'] },
     ],
   },
   {
@@ -96,7 +99,7 @@ export const MISSIONS = [
       { date: '1999-06-24', body: 'venus', event: 'Venus Flyby 2', eventTr: 'Venüs Geçişi 2' },
       { date: '1999-08-18', body: 'earth', event: 'Earth Flyby', eventTr: 'Dünya Geçişi' },
       { date: '2000-12-30', body: 'jupiter', event: 'Jupiter Flyby', eventTr: 'Jüpiter Geçişi' },
-      { date: '2004-07-01', body: 'saturn', event: 'Saturn Orbit Insertion', eventTr: 'Satürn Yörünge Girişi', facts: ['Began 13-year study of Saturn system', 'Huygens probe landed on Titan in Jan 2005'], factsTr: ['Satürn sisteminin 13 yıllık incelemesine başladı', 'Huygens sondası Ocak 2005\'te Titan\'a indi'] },
+      { date: '2004-07-01', body: 'saturn', orbit: true, event: 'Saturn Orbit Insertion', eventTr: 'Satürn Yörünge Girişi', facts: ['Began 13-year study of Saturn system', 'Huygens probe landed on Titan in Jan 2005'], factsTr: ['Satürn sisteminin 13 yıllık incelemesine başladı', 'Huygens sondası Ocak 2005\'te Titan\'a indi'] },
       { date: '2017-09-15', body: 'saturn', event: 'Grand Finale — deliberate plunge into Saturn', eventTr: 'Büyük Final — Satürn\'e kasıtlı dalış' },
     ],
   },
@@ -112,7 +115,7 @@ export const MISSIONS = [
     waypoints: [
       { date: '2011-08-05', body: 'earth', event: 'Launch', eventTr: 'Fırlatma' },
       { date: '2013-10-09', body: 'earth', event: 'Earth Gravity Assist', eventTr: 'Dünya Yerçekimi Desteği', facts: ['Speed boosted from 78,000 to 140,000 km/h'], factsTr: ['Hız 78.000\'den 140.000 km/s\'ye yükseltildi'] },
-      { date: '2016-07-04', body: 'jupiter', event: 'Jupiter Orbit Insertion', eventTr: 'Jüpiter Yörünge Girişi', facts: ['Entered polar orbit around Jupiter', 'Discovered deep atmospheric dynamics'], factsTr: ['Jüpiter çevresinde kutupsal yörüngeye girdi', 'Derin atmosferik dinamikleri keşfetti'] },
+      { date: '2016-07-04', body: 'jupiter', orbit: true, event: 'Jupiter Orbit Insertion', eventTr: 'Jüpiter Yörünge Girişi', facts: ['Entered polar orbit around Jupiter', 'Discovered deep atmospheric dynamics'], factsTr: ['Jüpiter çevresinde kutupsal yörüngeye girdi', 'Derin atmosferik dinamikleri keşfetti'] },
     ],
   },
   {
@@ -129,7 +132,7 @@ export const MISSIONS = [
       { date: '1990-02-10', body: 'venus', event: 'Venus Flyby', eventTr: 'Venüs Geçişi' },
       { date: '1990-12-08', body: 'earth', event: 'Earth Flyby 1', eventTr: 'Dünya Geçişi 1' },
       { date: '1992-12-08', body: 'earth', event: 'Earth Flyby 2', eventTr: 'Dünya Geçişi 2' },
-      { date: '1995-12-07', body: 'jupiter', event: 'Jupiter Orbit Insertion', eventTr: 'Jüpiter Yörünge Girişi', facts: ['Deployed probe into Jupiter\'s atmosphere', 'Discovered evidence of ocean beneath Europa\'s ice'], factsTr: ['Jüpiter\'in atmosferine sonda yerleştirdi', 'Europa\'nın buzunun altında okyanus kanıtı keşfetti'] },
+      { date: '1995-12-07', body: 'jupiter', orbit: true, event: 'Jupiter Orbit Insertion', eventTr: 'Jüpiter Yörünge Girişi', facts: ['Deployed probe into Jupiter\'s atmosphere', 'Discovered evidence of ocean beneath Europa\'s ice'], factsTr: ['Jüpiter\'in atmosferine sonda yerleştirdi', 'Europa\'nın buzunun altında okyanus kanıtı keşfetti'] },
       { date: '2003-09-21', body: 'jupiter', event: 'Deliberate plunge into Jupiter', eventTr: 'Jüpiter\'e kasıtlı dalış' },
     ],
   },
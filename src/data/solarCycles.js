@@ -0,0 +1,40 @@
+/**
+ * The sunspot record cycle by cycle, from SILSO's table of solar cycles
+ * (Royal Observatory of Belgium, sunspot number version 2): when each cycle
+ * began at a minimum, when it peaked, and the 13-month smoothed sunspot
+ * number at both. Dates are decimal years.
+ *
+ * The monthly record itself ends in 2008 (sunspotRecord.js); after that
+ * the curve is a model through these extremes (see SolarCycle.js).
+ *
+ * Cycle 25's maximum is provisional and its end not yet known; the solar
+ * cycle model predicts it and the cycle after (see SolarCycle.js).
+ */
+
+export const SOLAR_CYCLES = [
+  { cycle: 1,  start: 1755.2, minimum: 14.0, max: 1761.5, peak: 144.1 },
+  { cycle: 2,  start: 1766.5, minimum: 18.6, max: 1769.7, peak: 193.0 },
+  { cycle: 3,  start: 1775.5, minimum: 12.0, max: 1778.4, peak: 264.3 },
+  { cycle: 4,  start: 1784.7, minimum: 15.9, max: 1788.1, peak: 235.3 },
+  { cycle: 5,  start: 1798.3, minimum: 5.3,  max: 1805.2, peak: 82.0 },
+  { cycle: 6,  start: 1810.6, minimum: 0.0,  max: 1816.4, peak: 81.2 },
+  { cycle: 7,  start: 1823.3, minimum: 0.2,  max: 1829.9, peak: 119.2 },
+  { cycle: 8,  start: 1833.9, minimum: 12.2, max: 1837.2, peak: 244.9 },
+  { cycle: 9,  start: 1843.5, minimum: 17.6, max: 1848.1, peak: 219.9 },
+  { cycle: 10, start: 1855.9, minimum: 6.0,  max: 1860.1, peak: 186.2 },
+  { cycle: 11, start: 1867.2, minimum: 9.9,  max: 1870.6, peak: 234.0 },
+  { cycle: 12, start: 1878.9, minimum: 3.7,  max: 1883.9, peak: 124.4 },
+  { cycle: 13, start: 1890.2, minimum: 8.3,  max: 1894.1, peak: 146.5 },
+  { cycle: 14, start: 1902.0, minimum: 4.5,  max: 1906.2, peak: 107.1 },
+  { cycle: 15, start: 1913.6, minimum: 2.5,  max: 1917.6, peak: 175.7 },
+  { cycle: 16, start: 1923.6, minimum: 9.4,  max: 1928.4, peak: 130.2 },
+  { cycle: 17, start: 1933.8, minimum: 5.8,  max: 1937.4, peak: 198.6 },
+  { cycle: 18, start: 1944.2, minimum: 12.9, max: 1947.4, peak: 218.7 },
+  { cycle: 19, start: 1954.3, minimum: 5.1,  max: 1958.2, peak: 285.0 },
+  { cycle: 20, start: 1964.9, minimum: 14.3, max: 1968.9, peak: 156.6 },
+  { cycle: 21, start: 1976.5, minimum: 17.8, max: 1979.9, peak: 232.9 },
+  { cycle: 22, start: 1986.8, minimum: 13.5, max: 1989.6, peak: 212.5 },
+  { cycle: 23, start: 1996.4, minimum: 11.2, max: 2001.9, peak: 180.3 },
+  { cycle: 24, start: 2008.9, minimum: 2.2,  max: 2014.3, peak: 116.4 },
+  { cycle: 25, start: 2019.9, minimum: 1.8,  max: 2024.8, peak: 160.9 },
+];
@@ -0,0 +1,196 @@
+/**
+ * Bundled solar-wind presets for the storm replay, in the CSV form the
+ * replay reads (see parseSolarWindCSV): hourly speed (km/s), proton
+ * density (cm⁻³), Bz (nT, GSM) and Kp at Earth, UT.
+ *
+ * These are approximate: hourly series rebuilt from the published timelines
+ * of each storm (shock times, peak speeds, Bz minima and the Kp record), not
+ * a copy of the OMNI data. They replay the storm's shape, but the times and
+ * values derived from them are not the historical record; load the real
+ * OMNI or DSCOVR file for that. `approximate` marks them so in the panel.
+ */
+
+export const STORM_PRESETS = [
+  {
+    id: 'halloween2003',
+    name: 'Halloween storms, October 2003',
+    approximate: true,
+    csv: `time,speed,density,bz,kp
+2003-10-28 00:00,480,5.0,1.0,3.0
+2003-10-28 01:00,479,5.0,0.8,3.0
+2003-10-28 02:00,478,5.1,0.5,3.0
+2003-10-28 03:00,478,5.1,0.2,3.0
+2003-10-28 04:00,477,5.1,0.0,3.0
+2003-10-28 05:00,476,5.2,-0.2,3.0
+2003-10-28 06:00,475,5.2,-0.5,4.0
+2003-10-28 07:00,474,5.2,-0.8,4.0
+2003-10-28 08:00,473,5.3,-1.0,4.0
+2003-10-28 09:00,472,5.3,-1.2,4.0
+2003-10-28 10:00,472,5.3,-1.5,4.0
+2003-10-28 11:00,471,5.4,-1.8,4.0
+2003-10-28 12:00,470,5.4,-2.0,4.0
+2003-10-28 13:00,469,5.4,-1.7,4.0
+2003-10-28 14:00,468,5.5,-1.3,4.0
+2003-10-28 15:00,468,5.5,-1.0,3.0
+2003-10-28 16:00,467,5.6,-0.7,3.0
+2003-10-28 17:00,466,5.6,-0.3,3.0
+2003-10-28 18:00,465,5.6,0.0,3.0
+2003-10-28 19:00,464,5.7,0.3,3.0
+2003-10-28 20:00,463,5.7,0.7,3.0
+2003-10-28 21:00,462,5.7,1.0,3.0
+2003-10-28 22:00,462,5.8,1.3,3.0
+2003-10-28 23:00,461,5.8,1.7,3.0
+2003-10-29 00:00,460,5.8,2.0,4.0
+2003-10-29 01:00,462,5.9,1.0,4.0
+2003-10-29 02:00,464,5.9,0.0,4.0
+2003-10-29 03:00,466,5.9,-1.0,5.0
+2003-10-29 04:00,468,6.0,-2.0,5.0
+2003-10-29 05:00,470,6.0,-3.0,5.0
+2003-10-29 06:00,1850,25.0,-10.0,9.0
+2003-10-29 07:00,1950,40.0,-25.0,9.0
+2003-10-29 08:00,1975,30.0,-30.0,9.0
+2003-10-29 09:00,2000,20.0,-20.0,9.0
+2003-10-29 10:00,1967,16.7,-5.0,9.0
+2003-10-29 11:00,1933,13.3,2.5,9.0
+2003-10-29 12:00,1900,10.0,10.0,8.0
+2003-10-29 13:00,1867,9.6,12.5,8.0
+2003-10-29 14:00,1833,9.2,15.0,8.0
+2003-10-29 15:00,1800,8.8,12.5,8.0
+2003-10-29 16:00,1767,8.3,10.0,8.0
+2003-10-29 17:00,1733,7.9,7.5,8.0
+2003-10-29 18:00,1700,7.5,5.0,9.0
+2003-10-29 19:00,1667,7.1,2.8,9.0
+2003-10-29 20:00,1633,6.7,0.7,9.0
+2003-10-29 21:00,1600,6.2,-1.5,9.0
+2003-10-29 22:00,1567,5.8,-3.7,9.0
+2003-10-29 23:00,1533,5.4,-5.8,9.0
+2003-10-30 00:00,1500,5.0,-8.0,8.0
+2003-10-30 01:00,1475,4.9,-9.8,8.0
+2003-10-30 02:00,1450,4.9,-11.5,8.0
+2003-10-30 03:00,1425,4.8,-13.2,8.0
+2003-10-30 04:00,1400,4.8,-15.0,8.0
+2003-10-30 05:00,1375,4.7,-12.5,8.0
+2003-10-30 06:00,1350,4.6,-10.0,7.0
+2003-10-30 07:00,1325,4.6,-7.5,7.0
+2003-10-30 08:00,1300,4.5,-5.0,7.0
+2003-10-30 09:00,1281,4.4,-4.6,6.0
+2003-10-30 10:00,1262,4.4,-4.2,6.0
+2003-10-30 11:00,1244,4.3,-3.9,6.0
+2003-10-30 12:00,1225,4.2,-3.5,7.0
+2003-10-30 13:00,1206,4.2,-3.1,7.0
+2003-10-30 14:00,1188,4.1,-2.8,7.0
+2003-10-30 15:00,1169,4.1,-2.4,9.0
+2003-10-30 16:00,1150,4.0,-2.0,9.0
+2003-10-30 17:00,1700,15.0,-10.0,9.0
+2003-10-30 18:00,1750,17.5,-20.0,9.0
+2003-10-30 19:00,1725,20.0,-30.0,9.0
+2003-10-30 20:00,1700,17.6,-32.0,9.0
+2003-10-30 21:00,1675,15.2,-28.5,9.0
+2003-10-30 22:00,1650,12.8,-25.0,9.0
+2003-10-30 23:00,1608,10.4,-20.0,9.0
+2003-10-31 00:00,1567,8.0,-15.0,8.0
+2003-10-31 01:00,1525,7.8,-12.5,8.0
+2003-10-31 02:00,1483,7.7,-10.0,8.0
+2003-10-31 03:00,1442,7.5,-7.5,7.0
+2003-10-31 04:00,1400,7.3,-5.0,7.0
+2003-10-31 05:00,1369,7.2,-4.1,7.0
+2003-10-31 06:00,1338,7.0,-3.2,6.0
+2003-10-31 07:00,1306,6.8,-2.4,6.0
+2003-10-31 08:00,1275,6.7,-1.5,6.0
+2003-10-31 09:00,1244,6.5,-0.6,5.0
+2003-10-31 10:00,1212,6.3,0.2,5.0
+2003-10-31 11:00,1181,6.2,1.1,5.0
+2003-10-31 12:00,1150,6.0,2.0,5.0
+2003-10-31 13:00,1129,5.8,1.8,5.0
+2003-10-31 14:00,1108,5.7,1.7,5.0
+2003-10-31 15:00,1088,5.5,1.5,5.0
+2003-10-31 16:00,1067,5.3,1.3,5.0
+2003-10-31 17:00,1046,5.2,1.2,5.0
+2003-10-31 18:00,1025,5.0,1.0,4.0
+2003-10-31 19:00,1004,4.8,0.8,4.0
+2003-10-31 20:00,983,4.7,0.7,4.0
+2003-10-31 21:00,962,4.5,0.5,4.0
+2003-10-31 22:00,942,4.3,0.3,4.0
+2003-10-31 23:00,921,4.2,0.2,4.0
+2003-11-01 00:00,900,4.0,0.0,4.0`,
+  },
+  {
+    id: 'may2024',
+    name: 'Gannon storm, May 2024',
+    approximate: true,
+    csv: `time,speed,density,bz,kp
+2024-05-10 00:00,420,4.0,1.0,1.0
+2024-05-10 01:00,421,4.1,0.9,1.0
+2024-05-10 02:00,422,4.1,0.8,1.0
+2024-05-10 03:00,422,4.2,0.6,2.0
+2024-05-10 04:00,423,4.2,0.5,2.0
+2024-05-10 05:00,424,4.3,0.4,2.0
+2024-05-10 06:00,425,4.4,0.2,2.0
+2024-05-10 07:00,426,4.4,0.1,2.0
+2024-05-10 08:00,427,4.5,0.0,2.0
+2024-05-10 09:00,428,4.6,-0.1,2.0
+2024-05-10 10:00,428,4.6,-0.2,2.0
+2024-05-10 11:00,429,4.7,-0.4,2.0
+2024-05-10 12:00,430,4.8,-0.5,3.0
+2024-05-10 13:00,432,4.8,-0.6,3.0
+2024-05-10 14:00,435,4.9,-0.8,3.0
+2024-05-10 15:00,438,4.9,-0.9,6.0
+2024-05-10 16:00,440,5.0,-1.0,6.0
+2024-05-10 17:00,700,30.0,-5.0,6.0
+2024-05-10 18:00,720,45.0,-25.0,9.0
+2024-05-10 19:00,710,60.0,-40.0,9.0
+2024-05-10 20:00,700,40.0,-48.0,9.0
+2024-05-10 21:00,712,32.5,-40.0,9.0
+2024-05-10 22:00,725,25.0,-35.0,9.0
+2024-05-10 23:00,738,20.0,-27.5,9.0
+2024-05-11 00:00,750,15.0,-20.0,9.0
+2024-05-11 01:00,758,14.2,-16.7,9.0
+2024-05-11 02:00,767,13.3,-13.3,9.0
+2024-05-11 03:00,775,12.5,-10.0,8.0
+2024-05-11 04:00,783,11.7,-5.0,8.0
+2024-05-11 05:00,792,10.8,0.0,8.0
+2024-05-11 06:00,800,10.0,5.0,7.0
+2024-05-11 07:00,808,9.7,-1.7,7.0
+2024-05-11 08:00,817,9.3,-8.3,7.0
+2024-05-11 09:00,825,9.0,-15.0,8.0
+2024-05-11 10:00,833,8.7,-18.3,8.0
+2024-05-11 11:00,842,8.3,-21.7,8.0
+2024-05-11 12:00,850,8.0,-25.0,6.0
+2024-05-11 13:00,875,7.7,-22.7,6.0
+2024-05-11 14:00,900,7.3,-20.3,6.0
+2024-05-11 15:00,925,7.0,-18.0,7.0
+2024-05-11 16:00,950,6.7,-15.3,7.0
+2024-05-11 17:00,975,6.3,-12.7,7.0
+2024-05-11 18:00,1000,6.0,-10.0,7.0
+2024-05-11 19:00,990,5.5,-8.3,7.0
+2024-05-11 20:00,980,5.0,-6.7,7.0
+2024-05-11 21:00,960,4.5,-5.0,6.0
+2024-05-11 22:00,940,4.0,-2.3,6.0
+2024-05-11 23:00,920,3.5,0.3,6.0
+2024-05-12 00:00,900,3.0,3.0,6.0
+2024-05-12 01:00,890,3.0,1.7,6.0
+2024-05-12 02:00,880,2.9,0.3,6.0
+2024-05-12 03:00,870,2.9,-1.0,5.0
+2024-05-12 04:00,860,2.8,-2.3,5.0
+2024-05-12 05:00,850,2.8,-3.7,5.0
+2024-05-12 06:00,840,2.8,-5.0,4.0
+2024-05-12 07:00,830,2.7,-4.7,4.0
+2024-05-12 08:00,820,2.7,-4.3,4.0
+2024-05-12 09:00,811,2.6,-4.0,4.0
+2024-05-12 10:00,802,2.6,-3.7,4.0
+2024-05-12 11:00,794,2.5,-3.3,4.0
+2024-05-12 12:00,785,2.5,-3.0,3.0
+2024-05-12 13:00,776,2.5,-2.7,3.0
+2024-05-12 14:00,768,2.4,-2.3,3.0
+2024-05-12 15:00,759,2.4,-2.0,3.0
+2024-05-12 16:00,750,2.3,-1.7,3.0
+2024-05-12 17:00,744,2.3,-1.3,3.0
+2024-05-12 18:00,738,2.2,-1.0,4.0
+2024-05-12 19:00,731,2.2,-0.7,4.0
+2024-05-12 20:00,725,2.2,-0.3,4.0
+2024-05-12 21:00,719,2.1,0.0,4.0
+2024-05-12 22:00,712,2.1,0.3,4.0
+2024-05-12 23:00,706,2.0,0.7,4.0
+2024-05-13 00:00,700,2.0,1.0,4.0`,
+  },
+];
@@ -381,6 +381,10 @@ export const ui_en = {
 
   // Quiz
   'nav.quiz': 'Quiz',
+  'nav.sky': 'Sky',
+  'nav.skyView': 'Sky View',
+  'nav.events': 'Events',
+  'nav.bodies': 'Add Object',
   'quiz.title': 'Astrophysics Quiz',
   'quiz.questions': 'Questions',
   'quiz.difficulty': 'Difficulty',
@@ -405,6 +409,13 @@ export const ui_en = {
   'quiz.cat.astronomy': 'Astronomy',
   'aria.quiz': 'Astrophysics Quiz',
   'aria.closeQuiz': 'Close quiz panel',
+  'aria.sky': "Tonight's Sky",
+  'aria.closeSky': 'Close sky planner',
+  'aria.skyView': 'Sky View from Earth',
+  'aria.events': 'Planetary Events',
+  'aria.closeEvents': 'Close events',
+  'aria.bodies': 'Add Asteroid or Comet',
+  'aria.closeBodies': 'Close asteroid and comet panel',
 
   // Accessibility announcements (I18N-3)
   'a11y.nowViewing': 'Now viewing',
@@ -1111,4 +1122,574 @@ export const ui_en = {
   'layer.charon.rockyCore.pressureRange': '1 – 3 GPa',
   'layer.charon.rockyCore.state': 'Solid (rock)',
   'layer.charon.rockyCore.funFact': 'Charon and Pluto are so similar in size they are sometimes called a double dwarf planet system.',
+
+  // Sky position (observer view)
+  'sky.title': 'Sky Position',
+  'sky.computedFor': 'Computed for',
+  'sky.ra': 'Right Ascension (J2000)',
+  'sky.dec': 'Declination (J2000)',
+  'sky.distance': 'Distance from Earth',
+  'sky.lightMin': 'light-min',
+  'sky.altitude': 'Altitude',
+  'sky.azimuth': 'Azimuth',
+  'sky.aboveHorizon': 'above horizon',
+  'sky.belowHorizon': 'below horizon',
+  'sky.observer': 'Observer',
+  'sky.lat': 'Lat',
+  'sky.lon': 'Lon',
+  'sky.setLocation': 'Set',
+  'sky.locate': '📍 Use my location',
+  'sky.invalidLocation': 'Enter a latitude between −90 and 90 and a longitude between −180 and 180.',
+
+  // Tonight's Sky planner
+  'skyPlanner.title': "Tonight's Sky",
+  'skyPlanner.date': 'Date',
+  'skyPlanner.update': 'Update',
+  'skyPlanner.sunset': 'Sunset',
+  'skyPlanner.sunrise': 'Sunrise',
+  'skyPlanner.darkness': 'Astronomical darkness',
+  'skyPlanner.noDarkness': 'None tonight',
+  'skyPlanner.rise': 'Rise',
+  'skyPlanner.transit': 'Transit',
+  'skyPlanner.set': 'Set',
+  'skyPlanner.maxAlt': 'Max alt.',
+  'skyPlanner.magnitude': 'mag',
+  'skyPlanner.fromSun': 'from the Sun',
+  'skyPlanner.evening': 'evening sky',
+  'skyPlanner.morning': 'morning sky',
+  'skyPlanner.best': 'Best view',
+  'skyPlanner.notVisible': 'Not observable in darkness tonight',
+  'skyPlanner.alwaysUp': 'Circumpolar — above the horizon all day',
+  'skyPlanner.neverUp': 'Stays below the horizon all day',
+  'skyPlanner.timesIn': 'Times shown in your device time zone:',
+  'skyPlanner.accuracy': 'Computed from approximate orbital elements; constellations are approximate near boundaries.',
+
+  // Constellations (IAU abbreviation → name)
+  'constellation.And': 'Andromeda',
+  'constellation.Ant': 'Antlia',
+  'constellation.Aps': 'Apus',
+  'constellation.Aqr': 'Aquarius',
+  'constellation.Aql': 'Aquila',
+  'constellation.Ara': 'Ara',
+  'constellation.Ari': 'Aries',
+  'constellation.Aur': 'Auriga',
+  'constellation.Boo': 'Boötes',
+  'constellation.Cae': 'Caelum',
+  'constellation.Cam': 'Camelopardalis',
+  'constellation.Cnc': 'Cancer',
+  'constellation.CVn': 'Canes Venatici',
+  'constellation.CMa': 'Canis Major',
+  'constellation.CMi': 'Canis Minor',
+  'constellation.Cap': 'Capricornus',
+  'constellation.Car': 'Carina',
+  'constellation.Cas': 'Cassiopeia',
+  'constellation.Cen': 'Centaurus',
+  'constellation.Cep': 'Cepheus',
+  'constellation.Cet': 'Cetus',
+  'constellation.Cha': 'Chamaeleon',
+  'constellation.Cir': 'Circinus',
+  'constellation.Col': 'Columba',
+  'constellation.Com': 'Coma Berenices',
+  'constellation.CrA': 'Corona Australis',
+  'constellation.CrB': 'Corona Borealis',
+  'constellation.Crv': 'Corvus',
+  'constellation.Crt': 'Crater',
+  'constellation.Cru': 'Crux',
+  'constellation.Cyg': 'Cygnus',
+  'constellation.Del': 'Delphinus',
+  'constellation.Dor': 'Dorado',
+  'constellation.Dra': 'Draco',
+  'constellation.Equ': 'Equuleus',
+  'constellation.Eri': 'Eridanus',
+  'constellation.For': 'Fornax',
+  'constellation.Gem': 'Gemini',
+  'constellation.Gru': 'Grus',
+  'constellation.Her': 'Hercules',
+  'constellation.Hor': 'Horologium',
+  'constellation.Hya': 'Hydra',
+  'constellation.Hyi': 'Hydrus',
+  'constellation.Ind': 'Indus',
+  'constellation.Lac': 'Lacerta',
+  'constellation.Leo': 'Leo',
+  'constellation.LMi': 'Leo Minor',
+  'constellation.Lep': 'Lepus',
+  'constellation.Lib': 'Libra',
+  'constellation.Lup': 'Lupus',
+  'constellation.Lyn': 'Lynx',
+  'constellation.Lyr': 'Lyra',
+  'constellation.Men': 'Mensa',
+  'constellation.Mic': 'Microscopium',
+  'constellation.Mon': 'Monoceros',
+  'constellation.Mus': 'Musca',
+  'constellation.Nor': 'Norma',
+  'constellation.Oct': 'Octans',
+  'constellation.Oph': 'Ophiuchus',
+  'constellation.Ori': 'Orion',
+  'constellation.Pav': 'Pavo',
+  'constellation.Peg': 'Pegasus',
+  'constellation.Per': 'Perseus',
+  'constellation.Phe': 'Phoenix',
+  'constellation.Pic': 'Pictor',
+  'constellation.Psc': 'Pisces',
+  'constellation.PsA': 'Piscis Austrinus',
+  'constellation.Pup': 'Puppis',
+  'constellation.Pyx': 'Pyxis',
+  'constellation.Ret': 'Reticulum',
+  'constellation.Sge': 'Sagitta',
+  'constellation.Sgr': 'Sagittarius',
+  'constellation.Sco': 'Scorpius',
+  'constellation.Scl': 'Sculptor',
+  'constellation.Sct': 'Scutum',
+  'constellation.Ser': 'Serpens',
+  'constellation.Sex': 'Sextans',
+  'constellation.Tau': 'Taurus',
+  'constellation.Tel': 'Telescopium',
+  'constellation.Tri': 'Triangulum',
+  'constellation.TrA': 'Triangulum Australe',
+  'constellation.Tuc': 'Tucana',
+  'constellation.UMa': 'Ursa Major',
+  'constellation.UMi': 'Ursa Minor',
+  'constellation.Vel': 'Vela',
+  'constellation.Vir': 'Virgo',
+  'constellation.Vol': 'Volans',
+  'constellation.Vul': 'Vulpecula',
+
+  // Observer sky dome
+  'skyDome.north': 'N',
+  'skyDome.northEast': 'NE',
+  'skyDome.east': 'E',
+  'skyDome.southEast': 'SE',
+  'skyDome.south': 'S',
+  'skyDome.southWest': 'SW',
+  'skyDome.west': 'W',
+  'skyDome.northWest': 'NW',
+  'skyDome.moon': 'Moon',
+  'skyDome.hint': 'Drag to look around · scroll to zoom',
+  'skyDome.exit': 'Exit',
+  'skyDome.started': "Sky view from Earth's surface",
+  'skyDome.ended': 'Back to the solar system',
+
+  // Moon events
+  'moonEvents.title': 'Jupiter & Saturn moon events',
+  'moonEvents.nights': 'Nights',
+  'moonEvents.transit': 'Transit',
+  'moonEvents.shadow': 'Shadow transit',
+  'moonEvents.eclipse': 'Eclipse',
+  'moonEvents.occultation': 'Occultation',
+  'moonEvents.observable': 'Visible from your site',
+  'moonEvents.notObservable': 'Not visible',
+  'moonEvents.none': 'No moon events in these nights.',
+  'moonEvents.hint': "Select an event to see it from Earth's direction. Times are accurate to a few minutes.",
+  'moonEvents.jumped': 'Showing moon event',
+
+  // Planetary events panel
+  'events.title': 'Planetary Events',
+  'events.from': 'From',
+  'events.to': 'To',
+  'events.show': 'Show',
+  'events.search': 'Search',
+  'events.invalidRange': 'Choose an end date after the start, at most 20 years later.',
+  'events.none': 'No events of this kind in the chosen range.',
+  'events.hint': 'Select an event to jump the clock there and frame the planets. Dates are in your time zone.',
+  'events.category.all': 'All events',
+  'events.category.alignments': 'Conjunctions & oppositions',
+  'events.category.elongations': 'Greatest elongations',
+  'events.category.apsides': 'Perihelion & aphelion',
+  'events.category.retrograde': 'Retrograde loops',
+  'events.conjunction': 'Conjunction',
+  'events.solarConjunction': 'Conjunction with the Sun',
+  'events.inferiorConjunction': 'Inferior conjunction',
+  'events.superiorConjunction': 'Superior conjunction',
+  'events.opposition': 'Opposition',
+  'events.elongationEast': 'Greatest eastern elongation',
+  'events.elongationWest': 'Greatest western elongation',
+  'events.perihelion': 'Perihelion',
+  'events.aphelion': 'Aphelion',
+  'events.retrogradeStart': 'Retrograde motion begins',
+  'events.retrogradeEnd': 'Retrograde motion ends',
+  'events.fromSun': 'from the Sun',
+  'events.fromEarth': 'from Earth',
+  'events.apart': 'apart',
+  'events.jumped': 'Jumped to event',
+
+  // Added asteroids and comets (orbital elements)
+  'smallBodies.title': 'Add Asteroid or Comet',
+  'smallBodies.inputLabel': 'Orbital elements',
+  'smallBodies.placeholder': 'Paste MPC one-line orbits or JPL SBDB JSON',
+  'smallBodies.add': 'Add to the solar system',
+  'smallBodies.added': 'Added',
+  'smallBodies.removed': 'Removed',
+  'smallBodies.remove': 'Remove',
+  'smallBodies.list': 'Your objects',
+  'smallBodies.none': 'No objects added yet.',
+  'smallBodies.hint': 'Accepts lines from MPCORB.DAT or CometEls.txt (Minor Planet Center), or the JSON returned by the JPL Small-Body Database API. Positions use two-body motion from the pasted osculating elements — elliptical, parabolic and hyperbolic orbits alike. Objects are saved in this browser; use Copy link to share one.',
+  'smallBodies.error.format': 'Could not read these elements. Paste MPC one-line orbits or a JPL SBDB JSON response.',
+  'smallBodies.presets': 'Quick add',
+  'smallBodies.openOrbit': 'Hyperbolic orbit',
+  'smallBodies.parabolicOrbit': 'Parabolic orbit',
+  'smallBodies.unbound': 'Unbound',
+  'smallBodies.perihelion': 'Perihelion',
+  'smallBodies.vInfinity': 'Excess speed',
+  'smallBodies.interstellar': 'Interstellar object',
+  'smallBodies.asteroid': 'Asteroid',
+  'smallBodies.comet': 'Comet',
+  'smallBodies.orbit': 'Orbital Elements',
+  'smallBodies.a': 'Semi-major axis (a)',
+  'smallBodies.e': 'Eccentricity (e)',
+  'smallBodies.q': 'Perihelion (q)',
+  'smallBodies.Q': 'Aphelion (Q)',
+  'smallBodies.i': 'Inclination (i)',
+  'smallBodies.node': 'Ascending node (Ω)',
+  'smallBodies.peri': 'Arg. of perihelion (ω)',
+  'smallBodies.period': 'Orbital period',
+  'smallBodies.years': 'years',
+  'smallBodies.nextPerihelion': 'Next perihelion',
+  'smallBodies.epoch': 'Epoch',
+  'smallBodies.position': 'Current Position',
+  'smallBodies.fromSun': 'Distance from Sun',
+  'smallBodies.fromEarth': 'Distance from Earth',
+  'smallBodies.H': 'Absolute magnitude (H)',
+  'smallBodies.diameter': 'Estimated diameter',
+  'smallBodies.copyLink': 'Copy link',
+  'smallBodies.linkCopied': 'Link copied',
+
+  // Scale mode
+  'nav.scale': 'Scale',
+  'aria.scale': 'Scale',
+  'scale.artistic': 'Artistic',
+  'scale.trueDistance': 'True distance',
+  'scale.true': 'True scale',
+
+  // Satellites (SGP4 tracking in the ISS panel)
+  'iss.now': 'Right Now',
+  'iss.latitude': 'Latitude',
+  'iss.longitude': 'Longitude',
+  'iss.elementsAge': 'Orbital Elements Age',
+  'iss.days': 'days',
+  'iss.illustrative': 'No ISS orbital elements are loaded, so the station is shown on an illustrative orbit — not where it really is. Load a current TLE or OMM below to place it by SGP4.',
+  'iss.propagationFailed': 'The loaded elements cannot place the ISS at this date. Load a more recent set.',
+  'iss.staleElements': 'These elements are more than two weeks from the date shown — the position may be off by hundreds of kilometres.',
+  'satellites.title': 'Satellites',
+  'satellites.inputLabel': 'Paste two-line elements (TLE/3LE) or OMM (JSON, XML or KVN)',
+  'satellites.placeholder': 'ISS (ZARYA), then its lines 1 and 2 — or an OMM record',
+  'satellites.file': 'Or load a file',
+  'satellites.load': 'Load',
+  'satellites.error.format': 'Could not read that. Paste TLE lines 1 and 2 (with an optional name line), or OMM records as published by CelesTrak or Space-Track.',
+  'satellites.error.tooMany': 'That is more than 12,000 satellites — load a smaller group.',
+  'satellites.list': 'Loaded',
+  'satellites.none': 'No satellites loaded yet.',
+  'satellites.more': 'more not listed',
+  'satellites.track': 'Ground track',
+  'satellites.remove': 'Remove',
+  'satellites.removeAll': 'Remove all',
+  'satellites.added': 'Satellites loaded',
+  'satellites.removed': 'Removed',
+  'satellites.removedAll': 'All satellites removed',
+  'satellites.hint': "Current elements for the ISS, Starlink, GPS and other groups are free from CelesTrak (celestrak.org). SGP4 positions are good to about a kilometre near the elements' epoch and drift by a few kilometres a day after it.",
+
+  // Satellite passes (ISS panel)
+  'passes.title': 'Passes Over You',
+  'passes.satellite': 'Satellite',
+  'passes.days': 'Days',
+  'passes.update': 'Update',
+  'passes.from': 'Searched from',
+  'passes.found': 'passes',
+  'passes.visibleCount': 'visible',
+  'passes.visible': 'Visible',
+  'passes.notVisible': 'Not visible',
+  'passes.rise': 'Rises',
+  'passes.max': 'Highest',
+  'passes.set': 'Sets',
+  'passes.none': 'No passes above 10° in this window.',
+  'passes.noElements': 'Load orbital elements for the ISS or another satellite below to predict its passes.',
+  'passes.hint': "Passes count from 10° above the horizon; times are in your device's time zone. A pass is visible when the satellite is sunlit while the Sun is at least 6° below your horizon — look for a steady, bright point of light.",
+
+  // Eclipses
+  'nav.eclipses': 'Eclipses',
+  'aria.eclipses': 'Eclipses',
+  'aria.closeEclipses': 'Close eclipses',
+  'eclipses.title': 'Eclipses',
+  'eclipses.year': 'Year',
+  'eclipses.search': 'Find eclipses',
+  'eclipses.invalidYear': 'Choose a year from 1600 to 2400.',
+  'eclipses.none': 'No eclipses found in this year.',
+  'eclipses.hint': "Tap an eclipse to jump to its greatest moment. The Moon's shadow cones and the central line are drawn on Earth; in a lunar eclipse Earth's shadow reddens the Moon. Distances are not to scale, so the shadows are fitted to where each body is drawn.",
+  'eclipses.jumped': 'Showing',
+  'eclipses.past': 'past',
+  'eclipses.magnitude': 'Magnitude',
+  'eclipses.totality': 'Totality',
+  'eclipses.umbral': 'In umbra',
+  'eclipses.penumbral': 'In penumbra',
+  'eclipses.solar.total': 'Total solar eclipse',
+  'eclipses.solar.hybrid': 'Hybrid solar eclipse',
+  'eclipses.solar.annular': 'Annular solar eclipse',
+  'eclipses.solar.partial': 'Partial solar eclipse',
+  'eclipses.lunar.total': 'Total lunar eclipse',
+  'eclipses.lunar.partial': 'Partial lunar eclipse',
+  'eclipses.lunar.penumbral': 'Penumbral lunar eclipse',
+
+  // Time machine bar
+  'aria.timeBar': 'Time controls',
+  'time.reverse': 'Run time backward',
+  'time.stepBack': 'Step back',
+  'time.stepForward': 'Step forward',
+  'time.stepSize': 'Step size',
+  'time.step.hour': '1 hour',
+  'time.step.day': '1 day',
+  'time.step.month': '1 month',
+  'time.step.year': '1 year',
+  'time.step.orbit': '1 orbit',
+  'time.date': 'Simulation date and time',
+  'time.range': 'Any moment from 1800 to 2050, the span the orbital elements are fitted to',
+  'time.now': 'Now',
+  'time.live': 'Live',
+  'time.liveHint': 'Lock the clock to real time',
+  'time.jumped': 'Time set to',
+  'time.outOfRange': 'Choose a moment from 1800 to 2050.',
+  'time.runningBackward': 'Time is running backward',
+  'time.runningForward': 'Time is running forward',
+  'time.liveOn': 'Clock locked to real time',
+  'time.liveOff': 'Clock released from real time',
+  'time.limitReached': 'The clock stopped at the edge of the 1800–2050 span the orbital elements are valid for.',
+
+  // Ephemeris backend
+  'nav.ephemeris': 'Ephemeris',
+  'aria.ephemeris': 'Ephemeris',
+  'ephemeris.fast': 'Fast',
+  'ephemeris.precise': 'Precise',
+  'ephemeris.loadFailed': 'Precise ephemeris could not be loaded',
+
+  // Central meridian (IAU rotation models)
+  'sky.centralMeridian': 'Central meridian',
+  'sky.systemII': 'System II',
+
+  // Transfer planner
+  'nav.transfer': 'Transfers',
+  'aria.transfer': 'Transfer Planner',
+  'aria.closeTransfer': 'Close transfer planner',
+  'transfer.title': 'Transfer Planner',
+  'transfer.from': 'From',
+  'transfer.to': 'To',
+  'transfer.departWindow': 'Departure window',
+  'transfer.arriveWindow': 'Arrival window',
+  'transfer.windowStart': 'start',
+  'transfer.windowEnd': 'end',
+  'transfer.compute': 'Plot transfers',
+  'transfer.invalid': 'Choose two different planets and windows that run forward, are at most 20 years long, allow arrival after departure and lie between 1800 and 2050.',
+  'transfer.none': 'No transfer fits these windows.',
+  'transfer.plotLabel': 'Porkchop plot: departure date across, arrival date up; colour and solid lines show launch energy C3, dashed lines arrival speed',
+  'transfer.best': 'Lowest C3',
+  'transfer.pick': 'Pick a point on the plot to fly that transfer.',
+  'transfer.selected': 'Selected transfer',
+  'transfer.departure': 'Departure',
+  'transfer.arrival': 'Arrival',
+  'transfer.flightTime': 'Flight time',
+  'transfer.days': 'days',
+  'transfer.vInfDepart': 'Departure v∞',
+  'transfer.vInfArrive': 'Arrival v∞',
+  'transfer.hohmann': 'Hohmann transfer',
+  'transfer.synodic': 'Windows every',
+  'transfer.fly': 'Fly transfer',
+  'transfer.pause': 'Pause',
+  'transfer.hint': "Each point is the single-revolution transfer orbit for that departure and arrival date, found by solving Lambert's problem around the Sun. C3 is the launch energy, the square of the speed left after escaping the departure planet; v∞ is the speed relative to the target on arrival. Lower is cheaper. The Hohmann transfer assumes circular, coplanar orbits.",
+
+  // Gravity-assist sandbox
+  'nav.gravity': 'Slingshot',
+  'aria.gravity': 'Gravity-Assist Sandbox',
+  'aria.closeGravity': 'Close gravity-assist sandbox',
+  'gravity.title': 'Gravity-Assist Sandbox',
+  'gravity.launchDate': 'Launch date',
+  'gravity.craft': 'Spacecraft',
+  'gravity.vInf': 'Launch v∞',
+  'gravity.heading': 'Heading',
+  'gravity.prograde': "with Earth's motion",
+  'gravity.outward': 'away from the Sun',
+  'gravity.retrograde': "against Earth's motion",
+  'gravity.inward': 'toward the Sun',
+  'gravity.launchDeltaV': 'Launch Δv from low orbit',
+  'gravity.launch': 'Launch',
+  'gravity.invalid': 'Choose a launch date between 1800 and 2050, a v∞ up to 15 km/s and a heading from −180° to 180°.',
+  'gravity.pause': 'Pause',
+  'gravity.resume': 'Resume',
+  'gravity.speed': 'Speed',
+  'gravity.daysPerSecond': 'days/s',
+  'gravity.hint': "The probe leaves Earth with speed v∞ to spare after escaping, pointed by the heading, then only gravity steers it: the Sun and all eight planets pull on it as they move. Passing behind a planet (on its trailing side) speeds the probe up; passing in front slows it down. Try to reach Jupiter: about 9 km/s along Earth's motion gets there in a Hohmann-like arc, if Jupiter is in the right place at arrival.",
+  'gravity.date': 'Date',
+  'gravity.day': 'Day of flight',
+  'gravity.distance': 'From the Sun',
+  'gravity.heliocentricSpeed': 'Speed around the Sun',
+  'gravity.flybyGain': 'Speed from flybys',
+  'gravity.flybyDeltaV': 'Free Δv from flybys',
+  'gravity.status': 'Status',
+  'gravity.crashed': 'Crashed',
+  'gravity.ended': 'Ephemeris ends (2050)',
+  'gravity.escaping': 'Leaving the Solar System',
+  'gravity.bound': 'In orbit around the Sun',
+  'gravity.flybys': 'Flybys',
+  'gravity.flyby': 'flyby',
+  'gravity.noFlybys': "No flybys yet — a pass through a planet's sphere of influence is listed here.",
+
+  // N-body what-if sandbox
+  'nav.nbody': 'What If',
+  'aria.nbody': 'N-Body What-If Sandbox',
+  'aria.closeNBody': 'Close N-body sandbox',
+  'nbody.title': 'N-Body What-If Sandbox',
+  'nbody.reset': 'Start again',
+  'nbody.invalid': 'Enter a fling of up to 50 km/s, or a rogue of up to 333,000 Earth masses, 100 km/s and a 40 AU miss, with a longitude from 0° to 359°.',
+  'nbody.changeBody': 'Change a body',
+  'nbody.body': 'Body',
+  'nbody.mass': 'Mass',
+  'nbody.delete': 'Delete',
+  'nbody.deleted': 'deleted',
+  'nbody.flingDeltaV': 'Fling Δv',
+  'nbody.fling': 'Fling',
+  'nbody.flung': 'flung',
+  'nbody.prograde': 'along its orbit',
+  'nbody.retrograde': 'against its orbit',
+  'nbody.outward': 'away from what it orbits',
+  'nbody.inward': 'toward what it orbits',
+  'nbody.addRogue': 'Send in a rogue planet',
+  'nbody.rogue': 'Rogue',
+  'nbody.rogueMass': 'Mass (Earths)',
+  'nbody.rogueSpeed': 'Speed',
+  'nbody.rogueMiss': 'Misses the Sun by',
+  'nbody.rogueLongitude': 'Comes from longitude',
+  'nbody.rogueLook': 'Looks like',
+  'nbody.send': 'Send in',
+  'nbody.sent': 'on its way in from 40 AU',
+  'nbody.elapsed': 'Time run',
+  'nbody.years': 'yr',
+  'nbody.energyDrift': 'Energy drift',
+  'nbody.primary': 'Everything orbits',
+  'nbody.stability': 'Stability',
+  'nbody.stable': 'All bodies bound',
+  'nbody.unbound': 'escaping',
+  'nbody.bound': 'bound',
+  'nbody.escaping': 'escaping',
+  'nbody.orbits': 'Orbits',
+  'nbody.merges': 'Collisions',
+  'nbody.merged': 'merged',
+  'nbody.hint': "The Sun and the eight planets start where they are on the current date and then move only under each other's gravity. Make Jupiter ten times heavier and watch Saturn's orbit wobble, delete the Sun and the planets fly off in straight lines, or send in a rogue planet. Energy drift shows how far the integrator has strayed since the last change; bodies that touch merge.",
+
+  // Solar storm panel and solar-wind replays
+  'aria.closeStorm': 'Close solar storm panel',
+  'storm.title': 'Solar Storms',
+  'storm.intro': 'Watch a made-up storm cross the Solar System, launch a CME of your own and forecast where it lands, replay a real storm from spacecraft measurements of the solar wind, or check whether the aurora would reach your sky.',
+  'storm.scripted': 'Start the scripted storm',
+  'storm.replay': 'Replay a real storm',
+  'storm.loadFile': 'Solar-wind file (OMNI or DSCOVR CSV)',
+  'storm.fileHint': "The file needs a header row naming a time column (or OMNI's year, day and hour) and speed, density, Bz and Kp columns. Fill values and gaps are interpolated over.",
+  'storm.presetsNote': "The presets are approximate: hourly curves rebuilt from each storm's published timeline (shock times, peak speeds, Bz minima and Kp), not the measured OMNI data. Load an OMNI or DSCOVR file for the real record.",
+  'storm.approximate': 'approximate',
+  'storm.approximateNote': "Rebuilt from the storm's published timeline, not measured: the times and values below come from that curve and are estimates, not the historical record.",
+  'storm.error.columns': "No time, speed, density, Bz and Kp columns found in that file's header.",
+  'storm.error.format': "Couldn't read solar-wind values from that file.",
+  'storm.error.read': "Couldn't open that file.",
+  'storm.replaying': 'Replaying',
+  'storm.hoursPerSecond': 'h/s',
+  'storm.stop': 'Stop replay',
+  'storm.eruption': 'Left the Sun',
+  'storm.earthArrival': 'Shock at Earth',
+  'storm.cmeSpeed': 'CME speed',
+  'storm.transit': 'Sun–Earth transit',
+  'storm.hours': 'h',
+  'storm.peakKp': 'Peak Kp',
+  'storm.minBz': 'Lowest Bz',
+  'storm.peakPressure': 'Peak pressure',
+  'storm.arrivals': 'CME arrival at each planet',
+  'storm.replayHint': "The CME leaves the Sun when its measured speed says it must have, and reaches each planet at that speed. Bow shocks squeeze with the wind's pressure; Earth's aurora follows Kp, the giants' follow the pressure on them.",
+  'storm.phase': 'Phase',
+  'storm.phase.quiet': 'Before the eruption',
+  'storm.phase.transit': 'CME on its way',
+  'storm.phase.storm': 'Geomagnetic storm',
+  'storm.phase.recovery': 'Quieter conditions',
+  'storm.phase.outward': 'Past the data — CME heading outward',
+  'storm.phase.ended': 'Replay ended',
+  'storm.windSpeed': 'Wind speed',
+  'storm.density': 'Density',
+  'storm.pressure': 'Dynamic pressure',
+  'storm.standoff': 'Magnetopause',
+  'storm.cmeFront': 'CME front',
+  'storm.replayEruption': 'The CME leaves the Sun',
+  'storm.replayHalfAU': 'CME front at 0.5 AU',
+  'storm.replayL1': 'Shock passes the L1 monitors — Earth next, within the hour',
+  'storm.replayAurora': 'Kp reaches 5 — a geomagnetic storm is under way and the aurora spreads',
+
+  // Solar storm CME launcher (drag-based model)
+  'storm.launchCME': 'Launch a CME',
+  'storm.cmeLongitude': 'Heading, ecliptic longitude',
+  'storm.cmeLatitude': 'Ecliptic latitude',
+  'storm.cmeInitialSpeed': 'Speed at 20 solar radii',
+  'storm.cmeWidth': 'Angular width',
+  'storm.cmeMass': 'Mass',
+  'storm.ambientWind': 'Ambient solar wind',
+  'storm.launch': 'Launch',
+  'storm.cmeInvalid': 'Enter a longitude of 0–359°, a latitude of ±90°, a speed of 100–3500 km/s, a width of 10–120°, a mass of 0.1–100 × 10¹² kg and a wind of 250–800 km/s.',
+  'storm.dbmHint': "Arrivals come from the drag-based model used in space-weather forecasting: beyond 20 solar radii, drag from the ambient wind pulls the CME's speed towards the wind's. A wider or lighter CME feels more drag. Only planets inside the cone when it gets there are hit.",
+  'storm.missed': 'missed by',
+  'storm.sinceLaunch': 'Since launch',
+  'storm.drag': 'Drag parameter γ',
+  'storm.predictedArrivals': 'Predicted arrivals',
+  'storm.cmeLaunched': 'CME launched',
+  'storm.earthIn': 'reaches Earth in',
+  'storm.earthMissed': 'Earth is outside its cone',
+
+  // Aurora oval
+  'storm.auroraForecast': 'Can I see the aurora from here?',
+  'storm.auroraKpFromData': 'Kp follows the replayed data.',
+  'storm.observerLatitude': 'Latitude',
+  'storm.observerLongitude': 'Longitude (east +)',
+  'storm.auroraCheck': 'Check',
+  'storm.showEarth': 'Show on Earth',
+  'storm.auroraInvalid': 'Enter a latitude between −90° and 90° and a longitude between −180° and 180°.',
+  'storm.auroraHint': "The green band is Earth's auroral oval on its night side at this Kp, and the dashed line is the furthest from it the aurora still shows low over the horizon, toward the pole. It is drawn from a tilted-dipole field, so treat sites near the line as a maybe — and you need a dark, clear sky.",
+  'storm.auroraVerdict': 'From here',
+  'storm.aurora.overhead': 'Overhead',
+  'storm.aurora.horizon': 'Low toward the pole',
+  'storm.aurora.none': 'Out of sight',
+  'storm.sky': 'Sky',
+  'storm.sky.dark': 'Dark',
+  'storm.sky.twilight': 'Twilight',
+  'storm.sky.daylight': 'Daylight',
+  'storm.magneticLatitude': 'Magnetic latitude',
+  'storm.auroraHorizonKp': 'On the horizon from',
+  'storm.auroraOverheadKp': 'Overhead from',
+  'storm.auroraOutOfReach': 'Beyond Kp 9',
+
+  // Interplanetary magnetic field
+  'storm.imf': 'Interplanetary magnetic field',
+  'storm.imfShow': 'Show the field',
+  'storm.imfHide': 'Hide the field',
+  'storm.cyclePhase': 'Solar-cycle phase',
+  'storm.cycle.minimum': 'minimum',
+  'storm.cycle.rising': 'rising',
+  'storm.cycle.maximum': 'maximum',
+  'storm.cycle.declining': 'declining',
+  'storm.spiralAngle': 'Spiral angle at Earth',
+  'storm.sheetTilt': 'Current sheet tilt',
+  'storm.sectors': 'Magnetic sector of each planet',
+  'storm.sector.away': 'Away from the Sun',
+  'storm.sector.toward': 'Toward the Sun',
+  'storm.crossing': 'crossing the sheet',
+  'storm.imfHint': "The solar wind carries the Sun's field out as it turns, winding it into Parker spirals: orange lines point away from the Sun, blue toward it. The violet surface between them is the heliospheric current sheet, nearly flat at solar minimum and a steep 'ballerina skirt' near maximum. Rings mark each planet's sector and pulse while it crosses the sheet.",
+
+  // Solar cycle (Sun info panel)
+  'cycle.title': 'Solar Cycle',
+  'cycle.cycle': 'Cycle',
+  'cycle.stage': 'Stage',
+  'cycle.stage.minimum': 'Solar minimum',
+  'cycle.stage.rising': 'Rising',
+  'cycle.stage.maximum': 'Solar maximum',
+  'cycle.stage.declining': 'Declining',
+  'cycle.sunspotNumber': 'Sunspot number',
+  'cycle.spotLatitude': 'Spot latitude',
+  'cycle.cmeRate': 'CMEs',
+  'cycle.perDay': 'a day',
+  'cycle.modelled': 'model',
+  'cycle.chartSunspots': 'Sunspots',
+  'cycle.chartLatitude': 'Spot latitude',
+  'cycle.modeOn': 'Follow the cycle',
+  'cycle.modeOff': 'Stop following the cycle',
+  'cycle.noRecord': 'No sunspot record for this date: the record starts in 1755 and the prediction ends after cycle 26.',
+  'cycle.hint': "Following the cycle draws the Sun's spots, prominences and corona for the date and launches CMEs as often as the cycle would. Spots form at high latitudes early in a cycle and drift toward the equator. The solid curve is SILSO's monthly sunspot record up to 2008, smoothed over 13 months. After 2008 the dashed curve is a smooth model through each cycle's recorded minima and peaks, and past cycle 25's peak a prediction.",
 };
\ No newline at end of file
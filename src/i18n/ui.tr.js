@@ -381,6 +381,10 @@ export const ui_tr = {
 
   // Quiz
   'nav.quiz': 'Quiz',
+  'nav.sky': 'Gökyüzü',
+  'nav.skyView': 'Gök Görünümü',
+  'nav.events': 'Olaylar',
+  'nav.bodies': 'Cisim Ekle',
   'quiz.title': 'Astrofizik Quizi',
   'quiz.questions': 'Sorular',
   'quiz.difficulty': 'Zorluk',
@@ -405,6 +409,13 @@ export const ui_tr = {
   'quiz.cat.astronomy': 'Astronomi',
   'aria.quiz': 'Astrofizik Quizi',
   'aria.closeQuiz': 'Quiz panelini kapat',
+  'aria.sky': 'Bu Gecenin Gökyüzü',
+  'aria.closeSky': 'Gökyüzü planlayıcısını kapat',
+  'aria.skyView': "Dünya'dan Gökyüzü Görünümü",
+  'aria.events': 'Gezegen Olayları',
+  'aria.closeEvents': 'Olayları kapat',
+  'aria.bodies': 'Asteroit veya Kuyruklu Yıldız Ekle',
+  'aria.closeBodies': 'Asteroit ve kuyruklu yıldız panelini kapat',
 
   // Accessibility announcements (I18N-3)
   'a11y.nowViewing': 'Şu anda görüntüleniyor',
@@ -1111,4 +1122,574 @@ export const ui_tr = {
   'layer.charon.rockyCore.pressureRange': '1 – 3 GPa',
   'layer.charon.rockyCore.state': 'Katı (kaya)',
   'layer.charon.rockyCore.funFact': 'Charon ve Plüton boyut olarak birbirine o kadar yakındır ki bazen çift cüce gezegen sistemi olarak anılırlar.',
+
+  // Sky position (observer view)
+  'sky.title': 'Gökyüzü Konumu',
+  'sky.computedFor': 'Hesaplanan zaman',
+  'sky.ra': 'Sağ Açıklık (J2000)',
+  'sky.dec': 'Dik Açıklık (J2000)',
+  'sky.distance': "Dünya'ya Uzaklık",
+  'sky.lightMin': 'ışık-dakika',
+  'sky.altitude': 'Yükseklik',
+  'sky.azimuth': 'Azimut',
+  'sky.aboveHorizon': 'ufkun üstünde',
+  'sky.belowHorizon': 'ufkun altında',
+  'sky.observer': 'Gözlemci',
+  'sky.lat': 'Enlem',
+  'sky.lon': 'Boylam',
+  'sky.setLocation': 'Ayarla',
+  'sky.locate': '📍 Konumumu kullan',
+  'sky.invalidLocation': '−90 ile 90 arasında bir enlem ve −180 ile 180 arasında bir boylam girin.',
+
+  // Tonight's Sky planner
+  'skyPlanner.title': 'Bu Gecenin Gökyüzü',
+  'skyPlanner.date': 'Tarih',
+  'skyPlanner.update': 'Güncelle',
+  'skyPlanner.sunset': 'Gün batımı',
+  'skyPlanner.sunrise': 'Gün doğumu',
+  'skyPlanner.darkness': 'Astronomik karanlık',
+  'skyPlanner.noDarkness': 'Bu gece yok',
+  'skyPlanner.rise': 'Doğuş',
+  'skyPlanner.transit': 'Meridyen geçişi',
+  'skyPlanner.set': 'Batış',
+  'skyPlanner.maxAlt': 'Maks. yükseklik',
+  'skyPlanner.magnitude': 'kadir',
+  'skyPlanner.fromSun': "Güneş'ten",
+  'skyPlanner.evening': 'akşam gökyüzü',
+  'skyPlanner.morning': 'sabah gökyüzü',
+  'skyPlanner.best': 'En iyi görüş',
+  'skyPlanner.notVisible': 'Bu gece karanlıkta gözlenemez',
+  'skyPlanner.alwaysUp': 'Batmayan — gün boyu ufkun üstünde',
+  'skyPlanner.neverUp': 'Gün boyu ufkun altında kalır',
+  'skyPlanner.timesIn': 'Saatler cihazınızın saat diliminde:',
+  'skyPlanner.accuracy': 'Yaklaşık yörünge elemanlarıyla hesaplanmıştır; takımyıldız sınırları yaklaşıktır.',
+
+  // Constellations (IAU abbreviation → name)
+  'constellation.And': 'Andromeda',
+  'constellation.Ant': 'Hava Tulumbası',
+  'constellation.Aps': 'Cennet Kuşu',
+  'constellation.Aqr': 'Kova',
+  'constellation.Aql': 'Kartal',
+  'constellation.Ara': 'Sunak',
+  'constellation.Ari': 'Koç',
+  'constellation.Aur': 'Arabacı',
+  'constellation.Boo': 'Çoban',
+  'constellation.Cae': 'Oyma Kalemi',
+  'constellation.Cam': 'Zürafa',
+  'constellation.Cnc': 'Yengeç',
+  'constellation.CVn': 'Av Köpekleri',
+  'constellation.CMa': 'Büyük Köpek',
+  'constellation.CMi': 'Küçük Köpek',
+  'constellation.Cap': 'Oğlak',
+  'constellation.Car': 'Karina',
+  'constellation.Cas': 'Kraliçe',
+  'constellation.Cen': 'Erboğa',
+  'constellation.Cep': 'Kral',
+  'constellation.Cet': 'Balina',
+  'constellation.Cha': 'Bukalemun',
+  'constellation.Cir': 'Pergel',
+  'constellation.Col': 'Güvercin',
+  'constellation.Com': 'Berenis\'in Saçı',
+  'constellation.CrA': 'Güney Tacı',
+  'constellation.CrB': 'Kuzey Tacı',
+  'constellation.Crv': 'Karga',
+  'constellation.Crt': 'Kupa',
+  'constellation.Cru': 'Güney Haçı',
+  'constellation.Cyg': 'Kuğu',
+  'constellation.Del': 'Yunus',
+  'constellation.Dor': 'Kılıçbalığı',
+  'constellation.Dra': 'Ejderha',
+  'constellation.Equ': 'Tay',
+  'constellation.Eri': 'Irmak',
+  'constellation.For': 'Ocak',
+  'constellation.Gem': 'İkizler',
+  'constellation.Gru': 'Turna',
+  'constellation.Her': 'Herkül',
+  'constellation.Hor': 'Saat',
+  'constellation.Hya': 'Suyılanı',
+  'constellation.Hyi': 'Küçük Suyılanı',
+  'constellation.Ind': 'Hintli',
+  'constellation.Lac': 'Kertenkele',
+  'constellation.Leo': 'Aslan',
+  'constellation.LMi': 'Küçük Aslan',
+  'constellation.Lep': 'Tavşan',
+  'constellation.Lib': 'Terazi',
+  'constellation.Lup': 'Kurt',
+  'constellation.Lyn': 'Vaşak',
+  'constellation.Lyr': 'Çalgı',
+  'constellation.Men': 'Masa',
+  'constellation.Mic': 'Mikroskop',
+  'constellation.Mon': 'Tekboynuz',
+  'constellation.Mus': 'Sinek',
+  'constellation.Nor': 'Gönye',
+  'constellation.Oct': 'Oktant',
+  'constellation.Oph': 'Yılancı',
+  'constellation.Ori': 'Avcı',
+  'constellation.Pav': 'Tavus',
+  'constellation.Peg': 'Kanatlı At',
+  'constellation.Per': 'Kahraman',
+  'constellation.Phe': 'Anka',
+  'constellation.Pic': 'Ressam',
+  'constellation.Psc': 'Balıklar',
+  'constellation.PsA': 'Güney Balığı',
+  'constellation.Pup': 'Pupa',
+  'constellation.Pyx': 'Pusula',
+  'constellation.Ret': 'Ağ',
+  'constellation.Sge': 'Ok',
+  'constellation.Sgr': 'Yay',
+  'constellation.Sco': 'Akrep',
+  'constellation.Scl': 'Heykeltıraş',
+  'constellation.Sct': 'Kalkan',
+  'constellation.Ser': 'Yılan',
+  'constellation.Sex': 'Sekstant',
+  'constellation.Tau': 'Boğa',
+  'constellation.Tel': 'Teleskop',
+  'constellation.Tri': 'Üçgen',
+  'constellation.TrA': 'Güney Üçgeni',
+  'constellation.Tuc': 'Tukan',
+  'constellation.UMa': 'Büyükayı',
+  'constellation.UMi': 'Küçükayı',
+  'constellation.Vel': 'Yelken',
+  'constellation.Vir': 'Başak',
+  'constellation.Vol': 'Uçan Balık',
+  'constellation.Vul': 'Tilki',
+
+  // Observer sky dome
+  'skyDome.north': 'K',
+  'skyDome.northEast': 'KD',
+  'skyDome.east': 'D',
+  'skyDome.southEast': 'GD',
+  'skyDome.south': 'G',
+  'skyDome.southWest': 'GB',
+  'skyDome.west': 'B',
+  'skyDome.northWest': 'KB',
+  'skyDome.moon': 'Ay',
+  'skyDome.hint': 'Etrafa bakmak için sürükleyin · yakınlaştırmak için kaydırın',
+  'skyDome.exit': 'Çık',
+  'skyDome.started': 'Dünya yüzeyinden gökyüzü görünümü',
+  'skyDome.ended': "Güneş Sistemi'ne dönüldü",
+
+  // Moon events
+  'moonEvents.title': 'Jüpiter ve Satürn uydu olayları',
+  'moonEvents.nights': 'Gece',
+  'moonEvents.transit': 'Geçiş',
+  'moonEvents.shadow': 'Gölge geçişi',
+  'moonEvents.eclipse': 'Tutulma',
+  'moonEvents.occultation': 'Örtülme',
+  'moonEvents.observable': 'Bulunduğunuz yerden görünür',
+  'moonEvents.notObservable': 'Görünmez',
+  'moonEvents.none': 'Bu gecelerde uydu olayı yok.',
+  'moonEvents.hint': 'Bir olayı Dünya yönünden görmek için seçin. Zamanlar birkaç dakika hassasiyetindedir.',
+  'moonEvents.jumped': 'Uydu olayı gösteriliyor',
+
+  // Planetary events panel
+  'events.title': 'Gezegen Olayları',
+  'events.from': 'Başlangıç',
+  'events.to': 'Bitiş',
+  'events.show': 'Göster',
+  'events.search': 'Ara',
+  'events.invalidRange': 'Başlangıçtan sonra, en fazla 20 yıl ileride bir bitiş tarihi seçin.',
+  'events.none': 'Seçilen aralıkta bu türde olay yok.',
+  'events.hint': 'Saati oraya götürmek ve gezegenleri göstermek için bir olay seçin. Tarihler sizin saat diliminizdedir.',
+  'events.category.all': 'Tüm olaylar',
+  'events.category.alignments': 'Kavuşum ve karşı konumlar',
+  'events.category.elongations': 'En büyük uzanımlar',
+  'events.category.apsides': 'Günberi ve günöte',
+  'events.category.retrograde': 'Geri hareket döngüleri',
+  'events.conjunction': 'Kavuşum',
+  'events.solarConjunction': 'Güneş ile kavuşum',
+  'events.inferiorConjunction': 'İç kavuşum',
+  'events.superiorConjunction': 'Dış kavuşum',
+  'events.opposition': 'Karşı konum',
+  'events.elongationEast': 'En büyük doğu uzanımı',
+  'events.elongationWest': 'En büyük batı uzanımı',
+  'events.perihelion': 'Günberi',
+  'events.aphelion': 'Günöte',
+  'events.retrogradeStart': 'Geri hareket başlıyor',
+  'events.retrogradeEnd': 'Geri hareket bitiyor',
+  'events.fromSun': "Güneş'ten",
+  'events.fromEarth': "Dünya'dan",
+  'events.apart': 'aralıkla',
+  'events.jumped': 'Olaya gidildi',
+
+  // Added asteroids and comets (orbital elements)
+  'smallBodies.title': 'Asteroit veya Kuyruklu Yıldız Ekle',
+  'smallBodies.inputLabel': 'Yörünge elemanları',
+  'smallBodies.placeholder': 'MPC tek satırlık yörüngeleri veya JPL SBDB JSON verisini yapıştırın',
+  'smallBodies.add': 'Güneş sistemine ekle',
+  'smallBodies.added': 'Eklendi',
+  'smallBodies.removed': 'Kaldırıldı',
+  'smallBodies.remove': 'Kaldır',
+  'smallBodies.list': 'Eklediğiniz cisimler',
+  'smallBodies.none': 'Henüz cisim eklenmedi.',
+  'smallBodies.hint': "MPCORB.DAT veya CometEls.txt (Küçük Gezegen Merkezi) satırlarını ya da JPL Küçük Cisim Veritabanı API'sinin döndürdüğü JSON'u kabul eder. Konumlar, yapıştırılan oskülasyon elemanlarından iki cisim hareketiyle hesaplanır — eliptik, parabolik ve hiperbolik yörüngelerin hepsi desteklenir. Cisimler bu tarayıcıda saklanır; paylaşmak için Bağlantıyı kopyala'yı kullanın.",
+  'smallBodies.error.format': 'Bu elemanlar okunamadı. MPC tek satırlık yörüngeleri veya bir JPL SBDB JSON yanıtı yapıştırın.',
+  'smallBodies.presets': 'Hızlı ekle',
+  'smallBodies.openOrbit': 'Hiperbolik yörünge',
+  'smallBodies.parabolicOrbit': 'Parabolik yörünge',
+  'smallBodies.unbound': 'Bağlı değil',
+  'smallBodies.perihelion': 'Günberi',
+  'smallBodies.vInfinity': 'Fazla hız',
+  'smallBodies.interstellar': 'Yıldızlararası cisim',
+  'smallBodies.asteroid': 'Asteroit',
+  'smallBodies.comet': 'Kuyruklu Yıldız',
+  'smallBodies.orbit': 'Yörünge Elemanları',
+  'smallBodies.a': 'Yarı büyük eksen (a)',
+  'smallBodies.e': 'Dışmerkezlik (e)',
+  'smallBodies.q': 'Günberi (q)',
+  'smallBodies.Q': 'Günöte (Q)',
+  'smallBodies.i': 'Eğiklik (i)',
+  'smallBodies.node': 'Çıkış düğümü (Ω)',
+  'smallBodies.peri': 'Günberi argümanı (ω)',
+  'smallBodies.period': 'Yörünge dönemi',
+  'smallBodies.years': 'yıl',
+  'smallBodies.nextPerihelion': 'Sonraki günberi',
+  'smallBodies.epoch': 'Epok',
+  'smallBodies.position': 'Güncel Konum',
+  'smallBodies.fromSun': "Güneş'e uzaklık",
+  'smallBodies.fromEarth': "Dünya'ya uzaklık",
+  'smallBodies.H': 'Mutlak parlaklık (H)',
+  'smallBodies.diameter': 'Tahmini çap',
+  'smallBodies.copyLink': 'Bağlantıyı kopyala',
+  'smallBodies.linkCopied': 'Bağlantı kopyalandı',
+
+  // Scale mode
+  'nav.scale': 'Ölçek',
+  'aria.scale': 'Ölçek',
+  'scale.artistic': 'Sanatsal',
+  'scale.trueDistance': 'Gerçek uzaklık',
+  'scale.true': 'Gerçek ölçek',
+
+  // Satellites (SGP4 tracking in the ISS panel)
+  'iss.now': 'Şu Anda',
+  'iss.latitude': 'Enlem',
+  'iss.longitude': 'Boylam',
+  'iss.elementsAge': 'Yörünge Elemanlarının Yaşı',
+  'iss.days': 'gün',
+  'iss.illustrative': 'ISS yörünge elemanları yüklenmedi; istasyon gerçek konumunda değil, temsili bir yörüngede gösteriliyor. SGP4 ile konumlandırmak için aşağıdan güncel bir TLE veya OMM yükleyin.',
+  'iss.propagationFailed': "Yüklenen elemanlar ISS'i bu tarihte konumlandıramıyor. Daha yeni bir set yükleyin.",
+  'iss.staleElements': 'Bu elemanlar gösterilen tarihten iki haftadan fazla uzakta — konum yüzlerce kilometre hatalı olabilir.',
+  'satellites.title': 'Uydular',
+  'satellites.inputLabel': "İki satırlı elemanları (TLE/3LE) veya OMM'yi (JSON, XML ya da KVN) yapıştırın",
+  'satellites.placeholder': 'ISS (ZARYA), ardından 1. ve 2. satırları — ya da bir OMM kaydı',
+  'satellites.file': 'Ya da bir dosya yükleyin',
+  'satellites.load': 'Yükle',
+  'satellites.error.format': "Bu okunamadı. TLE'nin 1. ve 2. satırlarını (isteğe bağlı bir ad satırıyla) ya da CelesTrak veya Space-Track'in yayımladığı OMM kayıtlarını yapıştırın.",
+  'satellites.error.tooMany': "Bu 12.000'den fazla uydu — daha küçük bir grup yükleyin.",
+  'satellites.list': 'Yüklenenler',
+  'satellites.none': 'Henüz uydu yüklenmedi.',
+  'satellites.more': 'tane daha listelenmedi',
+  'satellites.track': 'Yer izi',
+  'satellites.remove': 'Kaldır',
+  'satellites.removeAll': 'Tümünü kaldır',
+  'satellites.added': 'Uydular yüklendi',
+  'satellites.removed': 'Kaldırıldı',
+  'satellites.removedAll': 'Tüm uydular kaldırıldı',
+  'satellites.hint': "ISS, Starlink, GPS ve diğer grupların güncel elemanları CelesTrak'ta (celestrak.org) ücretsizdir. SGP4 konumları elemanların epoğu civarında yaklaşık bir kilometre doğrudur ve sonrasında günde birkaç kilometre kayar.",
+
+  // Satellite passes (ISS panel)
+  'passes.title': 'Üzerinizden Geçişler',
+  'passes.satellite': 'Uydu',
+  'passes.days': 'Gün',
+  'passes.update': 'Güncelle',
+  'passes.from': 'Arama başlangıcı',
+  'passes.found': 'geçiş',
+  'passes.visibleCount': 'görünür',
+  'passes.visible': 'Görünür',
+  'passes.notVisible': 'Görünmez',
+  'passes.rise': 'Doğuş',
+  'passes.max': 'En yüksek',
+  'passes.set': 'Batış',
+  'passes.none': "Bu aralıkta 10°'nin üzerinde geçiş yok.",
+  'passes.noElements': "Geçişlerini tahmin etmek için aşağıdan ISS'in veya başka bir uydunun yörünge elemanlarını yükleyin.",
+  'passes.hint': 'Geçişler ufkun 10° üzerinden itibaren sayılır; saatler cihazınızın saat dilimindedir. Uydu güneş ışığı alırken Güneş ufkunuzun en az 6° altındaysa geçiş görünürdür — sabit, parlak bir ışık noktası arayın.',
+
+  // Eclipses
+  'nav.eclipses': 'Tutulmalar',
+  'aria.eclipses': 'Tutulmalar',
+  'aria.closeEclipses': 'Tutulmaları kapat',
+  'eclipses.title': 'Tutulmalar',
+  'eclipses.year': 'Yıl',
+  'eclipses.search': 'Tutulmaları bul',
+  'eclipses.invalidYear': '1600 ile 2400 arasında bir yıl seçin.',
+  'eclipses.none': 'Bu yılda tutulma bulunamadı.',
+  'eclipses.hint': "En büyük anına gitmek için bir tutulmaya dokunun. Ay'ın gölge konileri ve merkez çizgisi Dünya üzerinde çizilir; Ay tutulmasında Dünya'nın gölgesi Ay'ı kızıla boyar. Uzaklıklar ölçekli değildir, bu yüzden gölgeler her cismin çizildiği yere uydurulur.",
+  'eclipses.jumped': 'Gösteriliyor',
+  'eclipses.past': 'geçti',
+  'eclipses.magnitude': 'Büyüklük',
+  'eclipses.totality': 'Tam evre',
+  'eclipses.umbral': 'Tam gölgede',
+  'eclipses.penumbral': 'Yarı gölgede',
+  'eclipses.solar.total': 'Tam Güneş tutulması',
+  'eclipses.solar.hybrid': 'Melez Güneş tutulması',
+  'eclipses.solar.annular': 'Halkalı Güneş tutulması',
+  'eclipses.solar.partial': 'Parçalı Güneş tutulması',
+  'eclipses.lunar.total': 'Tam Ay tutulması',
+  'eclipses.lunar.partial': 'Parçalı Ay tutulması',
+  'eclipses.lunar.penumbral': 'Yarı gölge Ay tutulması',
+
+  // Time machine bar
+  'aria.timeBar': 'Zaman kontrolleri',
+  'time.reverse': 'Zamanı geriye akıt',
+  'time.stepBack': 'Geri adım',
+  'time.stepForward': 'İleri adım',
+  'time.stepSize': 'Adım büyüklüğü',
+  'time.step.hour': '1 saat',
+  'time.step.day': '1 gün',
+  'time.step.month': '1 ay',
+  'time.step.year': '1 yıl',
+  'time.step.orbit': '1 yörünge',
+  'time.date': 'Simülasyon tarihi ve saati',
+  'time.range': 'Yörünge öğelerinin uydurulduğu 1800–2050 aralığında herhangi bir an',
+  'time.now': 'Şimdi',
+  'time.live': 'Canlı',
+  'time.liveHint': 'Saati gerçek zamana kilitle',
+  'time.jumped': 'Zaman ayarlandı',
+  'time.outOfRange': '1800 ile 2050 arasında bir an seçin.',
+  'time.runningBackward': 'Zaman geriye akıyor',
+  'time.runningForward': 'Zaman ileriye akıyor',
+  'time.liveOn': 'Saat gerçek zamana kilitlendi',
+  'time.liveOff': 'Saat gerçek zamandan ayrıldı',
+  'time.limitReached': 'Saat, yörünge öğelerinin geçerli olduğu 1800–2050 aralığının sınırında durdu.',
+
+  // Ephemeris backend
+  'nav.ephemeris': 'Efemeris',
+  'aria.ephemeris': 'Efemeris',
+  'ephemeris.fast': 'Hızlı',
+  'ephemeris.precise': 'Hassas',
+  'ephemeris.loadFailed': 'Hassas efemeris yüklenemedi',
+
+  // Central meridian (IAU rotation models)
+  'sky.centralMeridian': 'Merkezi meridyen',
+  'sky.systemII': 'Sistem II',
+
+  // Transfer planner
+  'nav.transfer': 'Transferler',
+  'aria.transfer': 'Transfer Planlayıcı',
+  'aria.closeTransfer': 'Transfer planlayıcıyı kapat',
+  'transfer.title': 'Transfer Planlayıcı',
+  'transfer.from': 'Kalkış',
+  'transfer.to': 'Hedef',
+  'transfer.departWindow': 'Kalkış aralığı',
+  'transfer.arriveWindow': 'Varış aralığı',
+  'transfer.windowStart': 'başlangıç',
+  'transfer.windowEnd': 'bitiş',
+  'transfer.compute': 'Transferleri çiz',
+  'transfer.invalid': 'İki farklı gezegen ve ileriye doğru giden, en fazla 20 yıl uzunluğunda, kalkıştan sonra varışa izin veren ve 1800 ile 2050 arasında kalan aralıklar seçin.',
+  'transfer.none': 'Bu aralıklara uyan transfer yok.',
+  'transfer.plotLabel': "Porkchop grafiği: yatayda kalkış, dikeyde varış tarihi; renk ve düz çizgiler fırlatma enerjisi C3'ü, kesikli çizgiler varış hızını gösterir",
+  'transfer.best': 'En düşük C3',
+  'transfer.pick': 'O transferi uçurmak için grafikte bir nokta seçin.',
+  'transfer.selected': 'Seçilen transfer',
+  'transfer.departure': 'Kalkış',
+  'transfer.arrival': 'Varış',
+  'transfer.flightTime': 'Uçuş süresi',
+  'transfer.days': 'gün',
+  'transfer.vInfDepart': 'Kalkış v∞',
+  'transfer.vInfArrive': 'Varış v∞',
+  'transfer.hohmann': 'Hohmann transferi',
+  'transfer.synodic': 'Pencere aralığı',
+  'transfer.fly': 'Transferi uçur',
+  'transfer.pause': 'Duraklat',
+  'transfer.hint': 'Her nokta, o kalkış ve varış tarihi için Güneş etrafında Lambert problemi çözülerek bulunan tek turluk transfer yörüngesidir. C3 fırlatma enerjisidir: kalkış gezegeninden kaçtıktan sonra kalan hızın karesi; v∞ varışta hedefe göre hızdır. Düşük olan daha ucuzdur. Hohmann transferi dairesel ve aynı düzlemdeki yörüngeleri varsayar.',
+
+  // Gravity-assist sandbox
+  'nav.gravity': 'Sapan',
+  'aria.gravity': 'Yerçekimi Desteği Deneme Alanı',
+  'aria.closeGravity': 'Yerçekimi desteği deneme alanını kapat',
+  'gravity.title': 'Yerçekimi Desteği Deneme Alanı',
+  'gravity.launchDate': 'Fırlatma tarihi',
+  'gravity.craft': 'Uzay aracı',
+  'gravity.vInf': 'Fırlatma v∞',
+  'gravity.heading': 'Yön',
+  'gravity.prograde': "Dünya'nın hareketi yönünde",
+  'gravity.outward': "Güneş'ten uzağa",
+  'gravity.retrograde': "Dünya'nın hareketine karşı",
+  'gravity.inward': "Güneş'e doğru",
+  'gravity.launchDeltaV': 'Alçak yörüngeden fırlatma Δv',
+  'gravity.launch': 'Fırlat',
+  'gravity.invalid': '1800 ile 2050 arasında bir fırlatma tarihi, en fazla 15 km/s v∞ ve −180° ile 180° arasında bir yön seçin.',
+  'gravity.pause': 'Duraklat',
+  'gravity.resume': 'Devam et',
+  'gravity.speed': 'Hız',
+  'gravity.daysPerSecond': 'gün/sn',
+  'gravity.hint': "Sonda Dünya'nın çekiminden kurtulduktan sonra elinde kalan v∞ hızıyla, seçilen yönde ayrılır; sonrasında onu yalnızca kütleçekim yönlendirir: Güneş ve sekiz gezegenin tümü hareket ederken sondayı çeker. Bir gezegenin arkasından (geride bıraktığı taraftan) geçmek sondayı hızlandırır, önünden geçmek yavaşlatır. Jüpiter'e ulaşmayı deneyin: Dünya'nın hareketi yönünde yaklaşık 9 km/s, Jüpiter varışta doğru yerdeyse Hohmann benzeri bir yayla oraya götürür.",
+  'gravity.date': 'Tarih',
+  'gravity.day': 'Uçuş günü',
+  'gravity.distance': "Güneş'e uzaklık",
+  'gravity.heliocentricSpeed': 'Güneş etrafındaki hız',
+  'gravity.flybyGain': 'Geçişlerden gelen hız',
+  'gravity.flybyDeltaV': 'Geçişlerden bedava Δv',
+  'gravity.status': 'Durum',
+  'gravity.crashed': 'Çarpıştı',
+  'gravity.ended': 'Efemeris sona erdi (2050)',
+  'gravity.escaping': "Güneş Sistemi'nden ayrılıyor",
+  'gravity.bound': 'Güneş etrafında yörüngede',
+  'gravity.flybys': 'Geçişler',
+  'gravity.flyby': 'geçişi',
+  'gravity.noFlybys': 'Henüz geçiş yok — bir gezegenin etki küresinden geçiş burada listelenir.',
+
+  // N-body what-if sandbox
+  'nav.nbody': 'Ya Olsa?',
+  'aria.nbody': 'N-Cisim "Ya Olsaydı" Deneme Alanı',
+  'aria.closeNBody': 'N-cisim deneme alanını kapat',
+  'nbody.title': 'N-Cisim "Ya Olsaydı" Deneme Alanı',
+  'nbody.reset': 'Yeniden başlat',
+  'nbody.invalid': 'En fazla 50 km/s bir itiş ya da en fazla 333.000 Dünya kütlesi, 100 km/s hız ve 40 AU ıskalama mesafesiyle, 0° ile 359° arasında bir boylamdan gelen bir haydut gezegen girin.',
+  'nbody.changeBody': 'Bir cismi değiştir',
+  'nbody.body': 'Cisim',
+  'nbody.mass': 'Kütle',
+  'nbody.delete': 'Sil',
+  'nbody.deleted': 'silindi',
+  'nbody.flingDeltaV': 'İtiş Δv',
+  'nbody.fling': 'İt',
+  'nbody.flung': 'itildi',
+  'nbody.prograde': 'yörüngesi yönünde',
+  'nbody.retrograde': 'yörüngesine karşı',
+  'nbody.outward': 'dolandığı cisimden uzağa',
+  'nbody.inward': 'dolandığı cisme doğru',
+  'nbody.addRogue': 'Haydut gezegen gönder',
+  'nbody.rogue': 'Haydut',
+  'nbody.rogueMass': 'Kütle (Dünya)',
+  'nbody.rogueSpeed': 'Hız',
+  'nbody.rogueMiss': "Güneş'i ıskalama mesafesi",
+  'nbody.rogueLongitude': 'Geldiği boylam',
+  'nbody.rogueLook': 'Görünümü',
+  'nbody.send': 'Gönder',
+  'nbody.sent': '40 AU uzaktan içeri doğru yolda',
+  'nbody.elapsed': 'Geçen süre',
+  'nbody.years': 'yıl',
+  'nbody.energyDrift': 'Enerji sapması',
+  'nbody.primary': 'Her şeyin dolandığı',
+  'nbody.stability': 'Kararlılık',
+  'nbody.stable': 'Tüm cisimler bağlı',
+  'nbody.unbound': 'kaçıyor',
+  'nbody.bound': 'bağlı',
+  'nbody.escaping': 'kaçıyor',
+  'nbody.orbits': 'Yörüngeler',
+  'nbody.merges': 'Çarpışmalar',
+  'nbody.merged': 'birleşti',
+  'nbody.hint': "Güneş ve sekiz gezegen geçerli tarihteki yerlerinden başlar ve bundan sonra yalnızca birbirlerinin kütleçekimiyle hareket eder. Jüpiter'i on kat ağırlaştırıp Satürn'ün yörüngesinin sallanmasını izleyin, Güneş'i silin ve gezegenlerin düz çizgilerle savrulup gitmesini görün ya da bir haydut gezegen gönderin. Enerji sapması, son değişiklikten bu yana hesaplamanın ne kadar saptığını gösterir; birbirine değen cisimler birleşir.",
+
+  // Solar storm panel and solar-wind replays
+  'aria.closeStorm': 'Güneş fırtınası panelini kapat',
+  'storm.title': 'Güneş Fırtınaları',
+  'storm.intro': "Kurgusal bir fırtınanın Güneş Sistemi'ni geçişini izleyin, kendi KKA'nızı fırlatıp nereye varacağını tahmin edin, gerçek bir fırtınayı uzay aracı güneş rüzgarı ölçümlerinden yeniden oynatın ya da kutup ışıklarının gökyüzünüze ulaşıp ulaşmayacağına bakın.",
+  'storm.scripted': 'Kurgusal fırtınayı başlat',
+  'storm.replay': 'Gerçek bir fırtınayı oynat',
+  'storm.loadFile': 'Güneş rüzgarı dosyası (OMNI veya DSCOVR CSV)',
+  'storm.fileHint': "Dosyanın başlık satırında bir zaman sütunu (ya da OMNI'nin yıl, gün ve saat sütunları) ile hız, yoğunluk, Bz ve Kp sütunları bulunmalı. Dolgu değerleri ve boşluklar ara değerle doldurulur.",
+  'storm.presetsNote': "Hazır fırtınalar yaklaşıktır: ölçülmüş OMNI verisi değil, her fırtınanın yayımlanmış zaman çizelgesinden (şok anları, en yüksek hızlar, en düşük Bz ve Kp) yeniden kurulmuş saatlik eğrilerdir. Gerçek kayıt için bir OMNI ya da DSCOVR dosyası yükleyin.",
+  'storm.approximate': 'yaklaşık',
+  'storm.approximateNote': "Ölçülmüş değil, fırtınanın yayımlanmış zaman çizelgesinden yeniden kurulmuştur: aşağıdaki anlar ve değerler bu eğriden gelir ve tarihsel kayıt değil, tahmindir.",
+  'storm.error.columns': 'Dosyanın başlığında zaman, hız, yoğunluk, Bz ve Kp sütunları bulunamadı.',
+  'storm.error.format': 'Dosyadan güneş rüzgarı değerleri okunamadı.',
+  'storm.error.read': 'Dosya açılamadı.',
+  'storm.replaying': 'Oynatılıyor',
+  'storm.hoursPerSecond': 'sa/sn',
+  'storm.stop': 'Oynatmayı durdur',
+  'storm.eruption': "Güneş'ten ayrılış",
+  'storm.earthArrival': "Şokun Dünya'ya varışı",
+  'storm.cmeSpeed': 'KKA hızı',
+  'storm.transit': 'Güneş–Dünya yolculuğu',
+  'storm.hours': 'sa',
+  'storm.peakKp': 'En yüksek Kp',
+  'storm.minBz': 'En düşük Bz',
+  'storm.peakPressure': 'En yüksek basınç',
+  'storm.arrivals': "KKA'nın gezegenlere varışı",
+  'storm.replayHint': "KKA, ölçülen hızının gerektirdiği anda Güneş'ten ayrılır ve her gezegene bu hızla ulaşır. Yay şokları rüzgarın basıncıyla sıkışır; Dünya'nın kutup ışıkları Kp'yi, dev gezegenlerinkiler üzerlerindeki basıncı izler.",
+  'storm.phase': 'Evre',
+  'storm.phase.quiet': 'Patlamadan önce',
+  'storm.phase.transit': 'KKA yolda',
+  'storm.phase.storm': 'Jeomanyetik fırtına',
+  'storm.phase.recovery': 'Daha sakin koşullar',
+  'storm.phase.outward': 'Verinin ötesi — KKA dışarı ilerliyor',
+  'storm.phase.ended': 'Oynatma bitti',
+  'storm.windSpeed': 'Rüzgar hızı',
+  'storm.density': 'Yoğunluk',
+  'storm.pressure': 'Dinamik basınç',
+  'storm.standoff': 'Manyetopoz',
+  'storm.cmeFront': 'KKA cephesi',
+  'storm.replayEruption': "KKA Güneş'ten ayrılıyor",
+  'storm.replayHalfAU': "KKA cephesi 0.5 AU'da",
+  'storm.replayL1': "Şok L1 gözlem noktasını geçiyor — bir saat içinde sıra Dünya'da",
+  'storm.replayAurora': "Kp 5'e ulaştı — jeomanyetik fırtına başladı, kutup ışıkları yayılıyor",
+
+  // Solar storm CME launcher (drag-based model)
+  'storm.launchCME': 'KKA fırlat',
+  'storm.cmeLongitude': 'Yön, ekliptik boylam',
+  'storm.cmeLatitude': 'Ekliptik enlem',
+  'storm.cmeInitialSpeed': '20 Güneş yarıçapındaki hız',
+  'storm.cmeWidth': 'Açısal genişlik',
+  'storm.cmeMass': 'Kütle',
+  'storm.ambientWind': 'Ortam güneş rüzgarı',
+  'storm.launch': 'Fırlat',
+  'storm.cmeInvalid': '0–359° boylam, ±90° enlem, 100–3500 km/s hız, 10–120° genişlik, 0,1–100 × 10¹² kg kütle ve 250–800 km/s rüzgar girin.',
+  'storm.dbmHint': "Varış zamanları uzay havası tahmininde kullanılan sürüklenme tabanlı modelden gelir: 20 Güneş yarıçapının ötesinde ortam rüzgarının sürüklemesi KKA'nın hızını rüzgarın hızına çeker. Daha geniş ya da daha hafif bir KKA daha çok sürüklenir. Yalnızca KKA vardığında konisinin içinde kalan gezegenler etkilenir.",
+  'storm.missed': 'ıskalama',
+  'storm.sinceLaunch': 'Fırlatmadan beri',
+  'storm.drag': 'Sürüklenme parametresi γ',
+  'storm.predictedArrivals': 'Tahmini varışlar',
+  'storm.cmeLaunched': 'KKA fırlatıldı',
+  'storm.earthIn': "Dünya'ya varış",
+  'storm.earthMissed': 'Dünya konisinin dışında',
+
+  // Aurora oval
+  'storm.auroraForecast': 'Kutup ışıkları buradan görünür mü?',
+  'storm.auroraKpFromData': 'Kp, oynatılan verilerden alınır.',
+  'storm.observerLatitude': 'Enlem',
+  'storm.observerLongitude': 'Boylam (doğu +)',
+  'storm.auroraCheck': 'Denetle',
+  'storm.showEarth': "Dünya'da göster",
+  'storm.auroraInvalid': '−90° ile 90° arasında bir enlem ve −180° ile 180° arasında bir boylam girin.',
+  'storm.auroraHint': "Yeşil kuşak, bu Kp değerinde Dünya'nın gece yanındaki kutup ışığı ovalidir; kesikli çizgi ise kutup ışıklarının kutup yönünde ufkun üzerinde alçakta hâlâ görülebildiği en uzak sınırdır. Eğik dipol alan modeliyle çizilir; çizgiye yakın yerler için kesin konuşmaz — karanlık ve açık bir gökyüzü de gerekir.",
+  'storm.auroraVerdict': 'Buradan',
+  'storm.aurora.overhead': 'Tepede',
+  'storm.aurora.horizon': 'Kutup yönünde alçakta',
+  'storm.aurora.none': 'Görünmez',
+  'storm.sky': 'Gökyüzü',
+  'storm.sky.dark': 'Karanlık',
+  'storm.sky.twilight': 'Alacakaranlık',
+  'storm.sky.daylight': 'Gündüz',
+  'storm.magneticLatitude': 'Manyetik enlem',
+  'storm.auroraHorizonKp': 'Ufukta görünmesi için',
+  'storm.auroraOverheadKp': 'Tepede görünmesi için',
+  'storm.auroraOutOfReach': "Kp 9'un ötesinde",
+
+  // Interplanetary magnetic field
+  'storm.imf': 'Gezegenlerarası manyetik alan',
+  'storm.imfShow': 'Alanı göster',
+  'storm.imfHide': 'Alanı gizle',
+  'storm.cyclePhase': 'Güneş döngüsü evresi',
+  'storm.cycle.minimum': 'minimum',
+  'storm.cycle.rising': 'yükseliş',
+  'storm.cycle.maximum': 'maksimum',
+  'storm.cycle.declining': 'düşüş',
+  'storm.spiralAngle': "Dünya'da sarmal açısı",
+  'storm.sheetTilt': 'Akım tabakası eğimi',
+  'storm.sectors': 'Her gezegenin manyetik sektörü',
+  'storm.sector.away': "Güneş'ten dışarı",
+  'storm.sector.toward': "Güneş'e doğru",
+  'storm.crossing': 'tabakayı geçiyor',
+  'storm.imfHint': "Güneş rüzgarı, Güneş dönerken onun alanını dışarı taşır ve Parker sarmallarına sarar: turuncu çizgiler Güneş'ten dışarı, maviler Güneş'e doğru yönelir. Aralarındaki mor yüzey, güneş minimumunda neredeyse düz, maksimuma yakın dik bir 'balerin eteği' olan heliosferik akım tabakasıdır. Halkalar her gezegenin sektörünü gösterir ve gezegen tabakayı geçerken yanıp söner.",
+
+  // Solar cycle (Sun info panel)
+  'cycle.title': 'Güneş Döngüsü',
+  'cycle.cycle': 'Döngü',
+  'cycle.stage': 'Evre',
+  'cycle.stage.minimum': 'Güneş minimumu',
+  'cycle.stage.rising': 'Yükseliyor',
+  'cycle.stage.maximum': 'Güneş maksimumu',
+  'cycle.stage.declining': 'Azalıyor',
+  'cycle.sunspotNumber': 'Güneş lekesi sayısı',
+  'cycle.spotLatitude': 'Leke enlemi',
+  'cycle.cmeRate': 'KKA',
+  'cycle.perDay': 'günde',
+  'cycle.modelled': 'model',
+  'cycle.chartSunspots': 'Lekeler',
+  'cycle.chartLatitude': 'Leke enlemi',
+  'cycle.modeOn': 'Döngüyü izle',
+  'cycle.modeOff': 'Döngüyü izlemeyi bırak',
+  'cycle.noRecord': "Bu tarih için güneş lekesi kaydı yok: kayıt 1755'te başlıyor, tahmin 26. döngüden sonra bitiyor.",
+  'cycle.hint': "Döngüyü izlemek, Güneş'in lekelerini, protuberanslarını ve koronasını tarihe göre çizer ve KKA'ları döngünün gerektirdiği sıklıkta fırlatır. Lekeler döngünün başında yüksek enlemlerde oluşur ve ekvatora doğru kayar. Düz eğri, 2008'e kadar SILSO'nun aylık güneş lekesi kaydıdır ve 13 ay üzerinden yumuşatılmıştır. 2008'den sonra kesikli eğri, her döngünün kayıtlı en düşük ve en yüksek değerlerinden geçen düzgün bir modeldir; 25. döngünün zirvesinden sonrası tahmindir.",
 };
\ No newline at end of file
@@ -24,12 +24,33 @@
  */
 import { SolarSystemScene } from './scene/SolarSystemScene.js';
 import { FlybyMode } from './scene/FlybyMode.js';
-import { renderPlanetInfo, renderCompactPlanetInfo, renderMoonInfo, renderISSInfo } from './ui/InfoPanel.js';
+import { renderPlanetInfo, renderCompactPlanetInfo, renderMoonInfo, renderISSInfo, renderSkyPositionGrid, renderSmallBodyInfo, renderSolarCycleChart } from './ui/InfoPanel.js';
 import { renderCompareTable, renderCompareCards, initCompareListeners } from './ui/ComparePanel.js';
 import { renderMissionList, renderMissionDetail, renderMissionHUD, renderWaypointCard } from './ui/MissionPanel.js';
 import { MissionRenderer } from './scene/MissionRenderer.js';
+import {
+  renderTransferPanel, renderTransferDetails, drawPorkchop, porkchopDatesAt,
+  getDefaultTransferPlan, isValidTransferPlan, getTransferMission,
+} from './ui/TransferPanel.js';
+import { computePorkchop, getTransfer } from './scene/Lambert.js';
+import {
+  renderGravityAssistPanel, renderGravityAssistHud, getDefaultGravityAssistSettings, isValidGravityAssistSettings,
+  getGravityAssistCraft, describeHeading, describeFlyby, formatVInf, formatLaunchDeltaV,
+} from './ui/GravityAssistPanel.js';
+import { GravityAssistSandbox } from './scene/GravityAssistSandbox.js';
+import {
+  renderNBodyPanel, renderNBodyReadout, getDefaultNBodySettings, isValidRogue, isValidFling,
+  describeFlingHeading, describeMerge, nBodyName,
+} from './ui/NBodyPanel.js';
 import { CrossSectionViewer } from './ui/CrossSectionViewer.js';
 import { SolarStormSimulation } from './scene/SolarStormSimulation.js';
+import { parseSolarWindCSV, analyzeSolarWind } from './scene/SolarWind.js';
+import { STORM_PRESETS } from './data/solarStorms.js';
+import {
+  renderStormPanel, renderStormHud, renderCMEForecastHud, getDefaultCMESettings, isValidCMESettings, toCMEParameters,
+  getDefaultAuroraSettings, renderAuroraReadout, describeAuroraVisibility,
+  getDefaultHeliosphereSettings, renderHeliosphereReadout, describeCyclePhase,
+} from './ui/StormPanel.js';
 import { audioManager } from './audio/AudioManager.js';
 import { SFXManager } from './audio/SFXManager.js';
 import { CinematicTour } from './scene/CinematicTour.js';
@@ -37,8 +58,29 @@ import { PLANET_ORDER, SOLAR_SYSTEM } from './data/solarSystem.js';
 import { DWARF_PLANETS, DWARF_PLANET_ORDER } from './data/dwarfPlanets.js';
 import { ASTEROIDS, ASTEROID_ORDER } from './data/asteroids.js';
 import { MISSIONS } from './data/missions.js';
+import { COMET_PRESETS } from './data/comets.js';
 import { startOnboarding, restartOnboarding } from './ui/Onboarding.js';
 import { generatePlanetThumbnails } from './ui/PlanetThumbnails.js';
+import { renderSkyPlanner, getLocalDateStr, MOON_EVENT_NIGHTS } from './ui/SkyPlannerPanel.js';
+import { getEarthDirection } from './scene/MoonEvents.js';
+import { renderEventsPanel, getDefaultEventRange } from './ui/EventsPanel.js';
+import { getEventView, MAX_EVENT_RANGE_DAYS } from './scene/PlanetEvents.js';
+import { renderEclipsePanel, getYearEclipses, ECLIPSE_YEAR_RANGE } from './ui/EclipsePanel.js';
+import { getEclipseView } from './scene/Eclipses.js';
+import {
+  dateToJulian, getOrbitalPeriodDays, getEphemerisBackend, getEphemerisBackends,
+} from './scene/OrbitalMechanics.js';
+import { renderSmallBodyPanel } from './ui/SmallBodyPanel.js';
+import { renderISSPositionGrid, renderPassList, renderSatelliteSection } from './ui/SatellitePanel.js';
+import {
+  parseSatelliteText, addSatellite, removeSatellite, clearSatellites, getSatellite,
+  setSatelliteTracked, serializeSatellites, deserializeSatellites,
+} from './scene/Satellites.js';
+import {
+  parseSmallBodyText, addSmallBody, removeSmallBody, getSmallBody, getSmallBodies,
+  encodeSmallBodyHash, decodeSmallBodyHash, serializeSmallBodies, deserializeSmallBodies,
+  createSmallBody, SMALL_BODY_HASH_PREFIX,
+} from './scene/SmallBodies.js';
 import { renderQuizMenu, renderQuizQuestion, renderQuizResult, renderQuizSummary } from './ui/QuizPanel.js';
 import { filterQuestions } from './data/quizQuestions.js';
 import { initLang, setLang, getLang, t, onLangChange } from './i18n/i18n.js';
@@ -46,6 +88,13 @@ import { getLocalizedPlanet } from './i18n/localizedData.js';
 import { storageGet, storageSet, storageRemove } from './utils/storage.js';
 import { trapFocus } from './utils/focusTrap.js';
 import { makeSwipeDismissible } from './utils/swipe.js';
+import { getObserverLocation, setObserverLocation, isValidObserver } from './utils/observer.js';
+import { formatJulianUT, dateToJulianDay } from './utils/skyFormat.js';
+import {
+  stepJulianDay, isInElementsRange, toDateTimeInputValue, fromDateTimeInputValue,
+  readTimeParams, writeTimeParams,
+} from './utils/timeControl.js';
+import { renderTimeBar } from './ui/TimeBar.js';
 
 // ==================== DOM Elements ====================
 const dedicationScreen = document.getElementById('dedication-screen');
@@ -68,20 +117,64 @@ const btnMissions = document.getElementById('btn-missions');
 const btnSpeed = document.getElementById('btn-speed');
 const btnOrbits = document.getElementById('btn-orbits');
 const btnLabels = document.getElementById('btn-labels');
+const btnScale = document.getElementById('btn-scale');
+const btnEphemeris = document.getElementById('btn-ephemeris');
 const btnFullscreen = document.getElementById('btn-fullscreen');
 const btnMusic = document.getElementById('btn-music');
 const musicIcon = document.getElementById('music-icon');
 const speedLabel = document.getElementById('speed-label');
+const scaleLabel = document.getElementById('scale-label');
+const ephemerisLabel = document.getElementById('ephemeris-label');
 
 const missionPanel = document.getElementById('mission-panel');
 const missionContent = document.getElementById('mission-content');
 const missionClose = document.getElementById('mission-close');
 
+const transferPanel = document.getElementById('transfer-panel');
+const transferContent = document.getElementById('transfer-content');
+const transferClose = document.getElementById('transfer-close');
+const btnTransfer = document.getElementById('btn-transfer');
+
+const gravityPanel = document.getElementById('gravity-panel');
+const gravityContent = document.getElementById('gravity-content');
+const gravityClose = document.getElementById('gravity-close');
+const btnGravity = document.getElementById('btn-gravity');
+const gravityHud = document.getElementById('gravity-hud');
+
+const nbodyPanel = document.getElementById('nbody-panel');
+const nbodyContent = document.getElementById('nbody-content');
+const nbodyClose = document.getElementById('nbody-close');
+const btnNBody = document.getElementById('btn-nbody');
+
+const stormPanel = document.getElementById('storm-panel');
+const stormContent = document.getElementById('storm-content');
+const stormClose = document.getElementById('storm-close');
+const stormHud = document.getElementById('storm-hud');
+
 const quizPanel = document.getElementById('quiz-panel');
 const quizContent = document.getElementById('quiz-content');
 const quizClose = document.getElementById('quiz-close');
 const btnQuiz = document.getElementById('btn-quiz');
 
+const skyPanel = document.getElementById('sky-panel');
+const skyContent = document.getElementById('sky-content');
+const skyClose = document.getElementById('sky-close');
+const btnSky = document.getElementById('btn-sky');
+const eventsPanel = document.getElementById('events-panel');
+const eventsContent = document.getElementById('events-content');
+const eventsClose = document.getElementById('events-close');
+const btnEvents = document.getElementById('btn-events');
+const eclipsesPanel = document.getElementById('eclipses-panel');
+const eclipsesContent = document.getElementById('eclipses-content');
+const eclipsesClose = document.getElementById('eclipses-close');
+const btnEclipses = document.getElementById('btn-eclipses');
+const bodiesPanel = document.getElementById('bodies-panel');
+const bodiesContent = document.getElementById('bodies-content');
+const bodiesClose = document.getElementById('bodies-close');
+const btnBodies = document.getElementById('btn-bodies');
+const btnSkyView = document.getElementById('btn-skyview');
+const timeBar = document.getElementById('time-bar');
+
 const btnTour = document.getElementById('btn-tour');
 const btnStorm = document.getElementById('btn-storm');
 const btnHelp = document.getElementById('btn-help');
@@ -127,6 +220,9 @@ const _focusTraps = {
   compare: null,
   mission: null,
   quiz: null,
+  sky: null,
+  events: null,
+  bodies: null,
   music: null,
   help: null,
 };
@@ -180,6 +276,11 @@ const missionSpeeds = [1, 2, 5, 10];
 let speedIndex = 2; // default 1x
 const speeds = [0, 0.25, 1, 3, 10];
 const speedKeys = ['speed.paused', 'speed.025x', 'speed.1x', 'speed.3x', 'speed.10x'];
+let timeDirection = 1; // -1 runs the clock backward
+let liveTime = false; // clock locked to real time
+let timeStepUnit = 'day'; // one of TIME_STEP_UNITS
+const scaleModes = ['artistic', 'trueDistance', 'true'];
+let scaleIndex = 0;
 let labelsVisible = true;
 let keyboardHelpVisible = false;
 let waypointCardTimeout = null;
@@ -197,6 +298,39 @@ let quizResults = [];
 let quizStartTime = 0;
 let quizSelectedCategory = null;
 
+// Sky planner state
+let skyPlannerDate = null; // "YYYY-MM-DD" evening shown in the planner
+let moonEventNights = 1; // nights scanned for Jupiter/Saturn moon events
+let eventsRange = null; // { from, to } "YYYY-MM-DD" search window of the events panel
+let eventsCategory = 'all';
+let eventsRangeInvalid = false;
+let eclipseYear = null; // year listed in the eclipses panel
+let eclipseYearInvalid = false;
+let selectedEclipse = -1; // index in that year's list of the eclipse being shown
+let transferPlan = null; // { from, to, depart, arrive } bodies and "YYYY-MM-DD" windows of the transfer planner
+let transferPlanInvalid = false;
+let transferPorkchop = null; // porkchop of the last valid plan
+let selectedTransfer = null; // transfer picked on the plot
+let gravitySettings = null; // { launchDate, vInf, heading, craft } of the gravity-assist sandbox
+let gravitySettingsInvalid = false;
+let gravitySandbox = null;
+let nbodySettings = null; // { body, deltaV, heading, rogue } of the N-body sandbox
+let nbodyInvalid = false;
+let stormReplay = null; // { name, approximate, samples, event } of the solar-wind replay running
+let stormReplaySpeed = 6; // hours of data per second
+let stormError = null; // 'columns' | 'format' | 'read' | null after a file failed to load
+let cmeSettings = null; // { longitude, latitude, speed, width, mass, windSpeed } of the CME launcher
+let cmeSettingsInvalid = false;
+let auroraSettings = null; // { kp, lat, lon } of the aurora forecast
+let auroraSiteInvalid = false;
+const heliosphereSettings = getDefaultHeliosphereSettings(); // { visible, windSpeed, phase } of the field layer
+let smallBodyInput = ''; // pasted elements kept in the box after a failed add
+let smallBodyError = null; // 'format' | null
+let satelliteInput = ''; // pasted TLE/OMM kept in the box after a failed load
+let satelliteError = null; // 'format' | 'tooMany' | null
+let passSatelliteKey = null; // satellite shown in the pass list (null → the ISS)
+let passDays = 3; // length of the pass search
+
 // Label elements (created dynamically)
 const labelElements = {};
 
@@ -232,10 +366,11 @@ function refreshStaticText() {
     el.textContent = t(el.dataset.i18n);
   });
 
-  // Update speed label
-  const speedDisplay = t(speedKeys[speedIndex]);
-  speedLabel.textContent = speedDisplay;
-  btnSpeed.setAttribute('aria-label', t('aria.speed') + ': ' + speedDisplay);
+  // Update speed label and the time bar
+  updateSpeedLabel();
+  renderTimeBarContent();
+  updateScaleLabel();
+  updateEphemerisLabel();
 
   // Update nav button aria-labels
   btnOverview.setAttribute('aria-label', t('aria.overview'));
@@ -259,7 +394,23 @@ function refreshStaticText() {
   infoClose.setAttribute('aria-label', t('aria.closeInfo'));
   compareClose.setAttribute('aria-label', t('aria.closeCompare'));
   if (missionClose) missionClose.setAttribute('aria-label', t('missions.close'));
+  if (transferClose) transferClose.setAttribute('aria-label', t('aria.closeTransfer'));
+  if (btnTransfer) btnTransfer.setAttribute('title', t('aria.transfer'));
+  if (gravityClose) gravityClose.setAttribute('aria-label', t('aria.closeGravity'));
+  if (btnGravity) btnGravity.setAttribute('title', t('aria.gravity'));
+  if (nbodyClose) nbodyClose.setAttribute('aria-label', t('aria.closeNBody'));
+  if (btnNBody) btnNBody.setAttribute('title', t('aria.nbody'));
+  if (stormClose) stormClose.setAttribute('aria-label', t('aria.closeStorm'));
   if (quizClose) quizClose.setAttribute('aria-label', t('aria.closeQuiz'));
+  if (skyClose) skyClose.setAttribute('aria-label', t('aria.closeSky'));
+  if (btnSky) btnSky.setAttribute('title', t('aria.sky'));
+  if (eventsClose) eventsClose.setAttribute('aria-label', t('aria.closeEvents'));
+  if (btnEvents) btnEvents.setAttribute('title', t('aria.events'));
+  if (eclipsesClose) eclipsesClose.setAttribute('aria-label', t('aria.closeEclipses'));
+  if (btnEclipses) btnEclipses.setAttribute('title', t('aria.eclipses'));
+  if (bodiesClose) bodiesClose.setAttribute('aria-label', t('aria.closeBodies'));
+  if (btnBodies) btnBodies.setAttribute('title', t('aria.bodies'));
+  if (btnSkyView) btnSkyView.setAttribute('title', t('aria.skyView'));
 
   // Update planet bar button labels
   planetThumbs.forEach(thumb => {
@@ -304,13 +455,18 @@ function refreshOpenPanels() {
   if (currentPlanetKey && !infoPanel.classList.contains('hidden')) {
     if (currentMoonIndex !== null) {
       openMoonInfoPanel(currentPlanetKey, currentMoonIndex);
+    } else if (getSmallBody(currentPlanetKey)) {
+      safeRender(infoContent, () => renderSmallBodyInfo(currentPlanetKey, scene?._simJD));
+      wireSmallBodyInfoHandlers();
     } else if (infoPanel.classList.contains('expanded')) {
-      safeRender(infoContent, () => renderPlanetInfo(currentPlanetKey));
+      safeRender(infoContent, () => renderPlanetInfo(currentPlanetKey, scene?._simJD, { solarCycleMode: scene?.solarCycleMode }));
       wireInfoPanelHandlers();
     } else {
       safeRender(infoContent, () => renderCompactPlanetInfo(currentPlanetKey));
       wireCompactHandlers(currentPlanetKey);
     }
+  } else if (document.getElementById('satellite-section') && !infoPanel.classList.contains('hidden')) {
+    renderISSPanelContent();
   }
 
   // Re-render compare panel if open
@@ -331,11 +487,53 @@ function refreshOpenPanels() {
     }
   }
 
+  // Re-render transfer planner if open
+  if (transferPanel && !transferPanel.classList.contains('hidden')) {
+    renderTransferPanelContent();
+  }
+
+  // Re-render gravity-assist sandbox and its HUD if open
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) {
+    renderGravityPanelContent();
+    renderGravityHud();
+  }
+
+  // Re-render N-body sandbox if open
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) {
+    renderNBodyPanelContent();
+  }
+
+  // Re-render solar storm panel and its HUD if open
+  if (stormPanel && !stormPanel.classList.contains('hidden')) {
+    renderStormPanelContent();
+    renderStormHudContent();
+  }
+
   // Re-render mission HUD if active
   if (missionModeActive && currentMissionId) {
     showMissionHUD(currentMissionId);
   }
 
+  // Re-render sky planner if open
+  if (skyPanel && !skyPanel.classList.contains('hidden')) {
+    renderSkyPanelContent();
+  }
+
+  // Re-render events panel if open
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) {
+    renderEventsPanelContent();
+  }
+
+  // Re-render eclipses panel if open
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) {
+    renderEclipsesPanelContent();
+  }
+
+  // Re-render added asteroids and comets panel if open
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) {
+    renderBodiesPanelContent();
+  }
+
   // Re-render quiz panel if open and showing menu
   if (quizPanel && !quizPanel.classList.contains('hidden')) {
     if (!quizActive) {
@@ -426,6 +624,7 @@ function startApp() {
       // Initialize mission renderer and tour once scene is fully ready
       if (scene && scene.scene && !missionRenderer) {
         missionRenderer = new MissionRenderer(scene.scene);
+        gravitySandbox = new GravityAssistSandbox(scene.scene, missionRenderer);
       }
       if (scene && !cinematicTour) {
         cinematicTour = new CinematicTour(scene);
@@ -672,6 +871,18 @@ function startApp() {
   // Wire scene callbacks
   wireSceneCallbacks();
 
+  // Time bar, starting from a shared link's time if it has one
+  applyInitialTimeParams();
+
+  // Precise positions, if chosen in an earlier session
+  restoreEphemeris();
+
+  // Bring back asteroids and comets added in earlier sessions
+  restoreSmallBodies();
+
+  // ...and the satellite elements loaded in them
+  restoreSatellites();
+
   // Play music — AudioContext was already initialized synchronously
   // in endDedication() or lang picker click handler (user gesture context)
   audioManager.init().then(() => {
@@ -827,6 +1038,11 @@ dedicationSkip.addEventListener('click', endDedication);
 
 // ==================== Planet Labels ====================
 
+/** Display name of any selectable body, added asteroids and comets included */
+function getBodyName(key) {
+  return getLocalizedPlanet(key)?.name || getSmallBody(key)?.name || key;
+}
+
 function createLabels() {
   for (const key of [...PLANET_ORDER, ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER]) {
     const data = getLocalizedPlanet(key);
@@ -840,23 +1056,40 @@ function createLabels() {
   }
 }
 
+/** Label for an asteroid or comet added from orbital elements */
+function createSmallBodyLabel(body) {
+  labelElements[body.key]?.remove();
+  const el = document.createElement('div');
+  el.className = 'planet-label';
+  el.textContent = body.name;
+  el.dataset.planet = body.key;
+  document.body.appendChild(el);
+  labelElements[body.key] = el;
+}
+
+function removeLabel(key) {
+  labelElements[key]?.remove();
+  delete labelElements[key];
+}
+
 function updateLabels() {
-  if (!labelsVisible) {
+  if (!labelsVisible || scene.isSkyDomeActive) {
     for (const el of Object.values(labelElements)) {
       el.style.opacity = '0';
     }
     return;
   }
 
-  for (const key of [...PLANET_ORDER, ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER]) {
+  const smallBodyKeys = getSmallBodies().map(body => body.key);
+  for (const key of [...PLANET_ORDER, ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER, ...smallBodyKeys]) {
     const el = labelElements[key];
     if (!el) continue;
 
     const pos = scene.getScreenPosition(key);
     if (pos.visible && pos.x > -100 && pos.x < window.innerWidth + 100 &&
         pos.y > -100 && pos.y < window.innerHeight + 100) {
-      const pData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key];
-      const offset = (pData ? pData.displayRadius : 1) * 8 + 12;
+      const pData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key] || getSmallBody(key);
+      const offset = (pData ? scene.getBodyRadius(key) : 1) * 8 + 12;
       el.style.left = pos.x + 'px';
       el.style.top = (pos.y - offset) + 'px';
       el.style.transform = 'translateX(-50%)';
@@ -887,9 +1120,22 @@ function wireSceneCallbacks() {
     openISSPanel();
   };
 
+  // The clock ran into the edge of the elements' valid span and stopped
+  scene.onTimeLimit = () => {
+    speedIndex = 0;
+    applySimulationSpeed();
+    announce(t('time.limitReached'));
+  };
+
+  // Trajectories are built in scene coordinates; redraw them for the new layout
+  scene.onScaleModeChange = () => {
+    if (missionRenderer) missionRenderer.refreshScale();
+    if (gravitySandbox) gravitySandbox.refreshScale();
+  };
+
   scene.onHoverChange = (key) => {
     if (key) {
-      tooltip.textContent = getLocalizedPlanet(key).name;
+      tooltip.textContent = getBodyName(key);
       tooltip.classList.remove('hidden');
     } else {
       tooltip.classList.add('hidden');
@@ -911,6 +1157,11 @@ function wireSceneCallbacks() {
       missionRenderer.update(delta || 0.016);
     }
 
+    // Integrate the gravity-assist probe
+    if (gravitySandbox) {
+      gravitySandbox.update(delta || 0.016);
+    }
+
     // Update cinematic tour
     if (cinematicTour) {
       cinematicTour.update(delta || 0.016);
@@ -924,8 +1175,112 @@ function wireSceneCallbacks() {
     // Update solar storm simulation
     if (solarStorm && solarStorm.isActive) {
       solarStorm.update(delta || 0.016);
+      if (solarStorm.isReplay) {
+        // The planets follow the replay's clock
+        scene.syncPlanetsToDate(solarStorm.replayJD);
+      }
+      if ((solarStorm.isReplay || solarStorm.forecast) && performance.now() - stormHudDrawnAt >= STORM_HUD_INTERVAL_MS) {
+        renderStormHudContent();
+      }
+    }
+
+    // Planets drift between the field's sectors
+    if (heliosphereSettings.visible && !stormPanel.classList.contains('hidden') &&
+        performance.now() - heliosphereDrawnAt >= STORM_HUD_INTERVAL_MS) {
+      renderHeliosphereReadoutContent();
+    }
+
+    // Keep the sky position readout in step with the simulation clock
+    _skyRefreshTimer += delta || 0.016;
+    if (_skyRefreshTimer >= SKY_REFRESH_INTERVAL) {
+      _skyRefreshTimer = 0;
+      refreshSkyPosition();
+      refreshSolarCycle();
+      refreshISSPosition();
+      refreshTimeBar(SKY_REFRESH_INTERVAL);
+    }
+  };
+}
+
+// ==================== Sky Position ====================
+
+const SKY_REFRESH_INTERVAL = 0.5; // seconds
+let _skyRefreshTimer = 0;
+
+/**
+ * Save the observer site and hand it to the sky view if that is showing.
+ * @returns {boolean} false if the coordinates are out of range
+ */
+function applyObserverLocation(lat, lon) {
+  if (!setObserverLocation(lat, lon)) return false;
+  if (scene?.isSkyDomeActive) scene.skyDome.setObserver(getObserverLocation());
+  return true;
+}
+
+/** Re-render the sky position grid in the expanded info panel, if shown. */
+function refreshSkyPosition() {
+  const grid = document.getElementById('sky-position-grid');
+  if (!grid || !currentPlanetKey || typeof scene?._simJD !== 'number') return;
+  grid.innerHTML = renderSkyPositionGrid(currentPlanetKey, scene._simJD);
+  const timeEl = document.getElementById('sky-position-time');
+  if (timeEl) timeEl.textContent = formatJulianUT(scene._simJD);
+}
+
+/** Re-render the Sun's solar cycle chart in the expanded info panel, if shown. */
+function refreshSolarCycle() {
+  const chart = document.getElementById('solar-cycle-chart');
+  if (!chart || typeof scene?._simJD !== 'number') return;
+  chart.innerHTML = renderSolarCycleChart(scene._simJD);
+}
+
+function wireSolarCycleToggle() {
+  const btn = document.getElementById('solar-cycle-toggle');
+  if (!btn || !scene) return;
+  btn.addEventListener('click', () => {
+    const on = !scene.solarCycleMode;
+    scene.setSolarCycleMode(on);
+    btn.setAttribute('aria-pressed', String(on));
+    btn.textContent = on ? t('cycle.modeOff') : t('cycle.modeOn');
+  });
+}
+
+function wireObserverForm() {
+  const form = document.getElementById('observer-form');
+  if (!form) return;
+  const latInput = /** @type {HTMLInputElement} */ (document.getElementById('observer-lat'));
+  const lonInput = /** @type {HTMLInputElement} */ (document.getElementById('observer-lon'));
+  const errorEl = document.getElementById('observer-error');
+
+  const apply = (lat, lon) => {
+    const ok = applyObserverLocation(lat, lon);
+    errorEl?.classList.toggle('hidden', ok);
+    if (ok) {
+      refreshSkyPosition();
+      refreshPassList();
     }
   };
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    apply(parseFloat(latInput.value), parseFloat(lonInput.value));
+  });
+
+  const locateBtn = document.getElementById('observer-locate');
+  if (locateBtn) {
+    if (!navigator.geolocation) {
+      locateBtn.remove();
+      return;
+    }
+    locateBtn.addEventListener('click', () => {
+      navigator.geolocation.getCurrentPosition((pos) => {
+        const lat = Math.round(pos.coords.latitude * 100) / 100;
+        const lon = Math.round(pos.coords.longitude * 100) / 100;
+        latInput.value = String(lat);
+        lonInput.value = String(lon);
+        apply(lat, lon);
+      });
+    });
+  }
 }
 
 // ==================== Info Panel ====================
@@ -963,12 +1318,14 @@ function wireInfoPanelHandlers() {
       const planetKey = flybyBtn.dataset.planet;
       if (!planetKey || !scene) return;
       const bodyPos = scene.getPlanetWorldPosition(planetKey);
-      const bodyData = scene.planets?.[planetKey] || scene.dwarfPlanets?.[planetKey];
-      const radius = bodyData?.data?.displayRadius || 5;
+      const radius = scene.getBodyRadius(planetKey) || 5;
       closeInfoPanel();
       flybyMode.startFlyby(planetKey, bodyPos, radius);
     });
   }
+
+  wireObserverForm();
+  wireSolarCycleToggle();
 }
 
 /** Apply canvas texture thumbnails to every planet bar dot that has one. */
@@ -1001,10 +1358,17 @@ function openInfoPanel(key) {
   currentPlanetKey = key;
   currentMoonIndex = null;
 
-  // Show compact view first (visual-first: 3D scene stays dominant)
-  safeRender(infoContent, () => renderCompactPlanetInfo(key));
-  applyInfoPanelThumbnail(key);
+  // Show compact view first (visual-first: 3D scene stays dominant).
+  // Added asteroids and comets have no compact view — their details are the orbit.
+  const isSmallBody = !!getSmallBody(key);
+  if (isSmallBody) {
+    safeRender(infoContent, () => renderSmallBodyInfo(key, scene?._simJD));
+  } else {
+    safeRender(infoContent, () => renderCompactPlanetInfo(key));
+    applyInfoPanelThumbnail(key);
+  }
   infoPanel.classList.remove('hidden', 'expanded');
+  infoPanel.classList.toggle('expanded', isSmallBody);
   infoPanel.setAttribute('aria-hidden', 'false');
   comparePanel.classList.add('hidden');
   comparePanel.setAttribute('aria-hidden', 'true');
@@ -1015,13 +1379,22 @@ function openInfoPanel(key) {
     quizPanel.setAttribute('aria-hidden', 'true');
     btnQuiz.classList.remove('active');
   }
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
 
   // Highlight active planet thumb
   planetThumbs.forEach(t => {
     t.classList.toggle('active', t.dataset.planet === key);
   });
 
-  wireCompactHandlers(key);
+  if (isSmallBody) wireSmallBodyInfoHandlers();
+  else wireCompactHandlers(key);
   _activateTrap('info', infoPanel);
   // UX-10: Swipe down to dismiss
   if (_swipeHandles.info) _swipeHandles.info.release();
@@ -1039,8 +1412,7 @@ function openInfoPanel(key) {
   history.replaceState(null, '', '#' + key);
 
   // Accessibility announcements
-  const bodyData = getLocalizedPlanet(key);
-  const bodyName = bodyData ? bodyData.name : key;
+  const bodyName = getBodyName(key);
   announce(`${t('a11y.nowViewing') || 'Now viewing'} ${bodyName}`);
   updateCanvasAriaLabel(bodyName);
 }
@@ -1050,7 +1422,7 @@ function openISSPanel() {
   currentPlanetKey = null;
   currentMoonIndex = null;
 
-  safeRender(infoContent, () => renderISSInfo());
+  renderISSPanelContent();
   infoPanel.classList.remove('hidden');
   infoPanel.classList.add('expanded'); // show full content immediately
   infoPanel.setAttribute('aria-hidden', 'false');
@@ -1063,6 +1435,14 @@ function openISSPanel() {
     quizPanel.setAttribute('aria-hidden', 'true');
     btnQuiz.classList.remove('active');
   }
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
 
   // No planet thumb highlight — ISS isn't in the planet bar
   planetThumbs.forEach(t => t.classList.remove('active'));
@@ -1106,8 +1486,7 @@ function wireCompactHandlers(key) {
       const planetKey = flybyBtn.dataset.planet;
       if (!planetKey || !scene) return;
       const bodyPos = scene.getPlanetWorldPosition(planetKey);
-      const bodyData = scene.planets?.[planetKey] || scene.dwarfPlanets?.[planetKey];
-      const radius = bodyData?.data?.displayRadius || 5;
+      const radius = scene.getBodyRadius(planetKey) || 5;
       closeInfoPanel();
       flybyMode.startFlyby(planetKey, bodyPos, radius);
     });
@@ -1115,7 +1494,7 @@ function wireCompactHandlers(key) {
 }
 
 function expandInfoPanel(key) {
-  safeRender(infoContent, () => renderPlanetInfo(key));
+  safeRender(infoContent, () => renderPlanetInfo(key, scene?._simJD, { solarCycleMode: scene?.solarCycleMode }));
   infoPanel.classList.add('expanded');
   wireInfoPanelHandlers();
 
@@ -1434,14 +1813,179 @@ function closeComparePanel() {
 
 compareClose.addEventListener('click', closeComparePanel);
 
+/** Stop the simulation clock, e.g. to hold a moment the user jumped to. */
+function pauseSimulation() {
+  speedIndex = 0;
+  if (liveTime) setLiveTime(false);
+  applySimulationSpeed();
+}
+
 btnSpeed.addEventListener('click', () => {
+  if (liveTime) setLiveTime(false);
   speedIndex = (speedIndex + 1) % speeds.length;
   sfx?.playSpeedChange();
-  if (scene) scene.setAnimationSpeed(speeds[speedIndex]);
-  const speedDisplay = t(speedKeys[speedIndex]);
+  applySimulationSpeed();
+});
+
+// ==================== Time Machine ====================
+
+const TIME_URL_INTERVAL = 2; // seconds between URL updates while the clock moves
+let _timeUrlTimer = 0;
+let _urlJD = null; // clock time last written to the URL
+
+function updateSpeedLabel() {
+  let speedDisplay = t(speedKeys[speedIndex]);
+  if (liveTime) speedDisplay = t('time.live');
+  else if (timeDirection < 0 && speeds[speedIndex] !== 0) speedDisplay = `−${speedDisplay}`;
   speedLabel.textContent = speedDisplay;
   btnSpeed.setAttribute('aria-label', t('aria.speed') + ': ' + speedDisplay);
-});
+}
+
+/** Hand the speed and direction to the scene and update the labels and URL. */
+function applySimulationSpeed() {
+  if (scene) scene.setAnimationSpeed(speeds[speedIndex] * timeDirection);
+  updateSpeedLabel();
+  syncTimeBarState();
+  updateTimeUrl();
+}
+
+/** Lock the clock to real time, or release it at the time it has reached. */
+function setLiveTime(on) {
+  liveTime = on;
+  if (on) timeDirection = 1;
+  if (scene) {
+    scene.setRealTime(on);
+    scene.setAnimationSpeed(speeds[speedIndex] * timeDirection);
+  }
+  updateSpeedLabel();
+  syncTimeBarState();
+  updateTimeUrl();
+}
+
+/** Write the clock's time, speed and live lock into the URL query. */
+function updateTimeUrl() {
+  if (!scene) return;
+  _urlJD = scene._simJD;
+  const query = writeTimeParams(window.location.search, {
+    jd: scene._simJD,
+    speed: speeds[speedIndex] * timeDirection,
+    live: liveTime,
+  });
+  history.replaceState(null, '', window.location.pathname + query + window.location.hash);
+}
+
+/** Start from the time in the URL, if a shared link carries one. */
+function applyInitialTimeParams() {
+  const { jd, speed, live } = readTimeParams(window.location.search);
+  if (jd !== null) scene.setSimJD(jd);
+  if (speed !== null && speeds.includes(Math.abs(speed))) {
+    speedIndex = speeds.indexOf(Math.abs(speed));
+    timeDirection = speed < 0 ? -1 : 1;
+  }
+  renderTimeBarContent();
+  if (live) setLiveTime(true);
+  else applySimulationSpeed();
+}
+
+function renderTimeBarContent() {
+  if (!timeBar || !scene) return;
+  safeRender(timeBar, () => renderTimeBar(scene._simJD, {
+    stepUnit: timeStepUnit,
+    reversed: timeDirection < 0,
+    live: liveTime,
+  }));
+  wireTimeBarHandlers();
+}
+
+/** Pressed states of the reverse and live buttons, updated in place to keep focus */
+function syncTimeBarState() {
+  const reverse = document.getElementById('time-reverse');
+  if (reverse) {
+    reverse.classList.toggle('active', timeDirection < 0);
+    reverse.setAttribute('aria-pressed', String(timeDirection < 0));
+  }
+  const live = document.getElementById('time-live');
+  if (live) {
+    live.classList.toggle('active', liveTime);
+    live.setAttribute('aria-pressed', String(liveTime));
+  }
+}
+
+/** Keep the date input in step with the clock, unless it is being edited. */
+function refreshTimeBar(delta) {
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById('time-input'));
+  if (input && scene && document.activeElement !== input) {
+    input.value = toDateTimeInputValue(scene._simJD);
+    input.removeAttribute('aria-invalid');
+  }
+  // Live links carry no time, so only a moving or jumped clock needs rewriting
+  _timeUrlTimer += delta;
+  if (_timeUrlTimer >= TIME_URL_INTERVAL) {
+    _timeUrlTimer = 0;
+    if (!liveTime && scene && scene._simJD !== _urlJD) updateTimeUrl();
+  }
+}
+
+/** Jump the clock, leaving real time if it was locked there. */
+function jumpToJD(jd) {
+  if (!scene) return;
+  if (liveTime) setLiveTime(false);
+  scene.setSimJD(jd);
+  refreshTimeBar(0);
+  updateTimeUrl();
+  announce(`${t('time.jumped')}: ${formatJulianUT(jd)}`);
+}
+
+function stepTime(direction) {
+  if (!scene) return;
+  const orbitDays = getOrbitalPeriodDays(currentPlanetKey || '') ?? getOrbitalPeriodDays('earth');
+  const jd = stepJulianDay(scene._simJD, timeStepUnit, direction, orbitDays);
+  if (!isInElementsRange(jd)) {
+    announce(t('time.outOfRange'));
+    return;
+  }
+  jumpToJD(jd);
+}
+
+function wireTimeBarHandlers() {
+  document.getElementById('time-reverse')?.addEventListener('click', () => {
+    if (liveTime) setLiveTime(false);
+    timeDirection = -timeDirection;
+    if (speeds[speedIndex] === 0) speedIndex = 2;
+    sfx?.playSpeedChange();
+    applySimulationSpeed();
+    announce(t(timeDirection < 0 ? 'time.runningBackward' : 'time.runningForward'));
+  });
+
+  document.getElementById('time-step-back')?.addEventListener('click', () => stepTime(-1));
+  document.getElementById('time-step-forward')?.addEventListener('click', () => stepTime(1));
+
+  document.getElementById('time-step-unit')?.addEventListener('change', (e) => {
+    timeStepUnit = /** @type {HTMLSelectElement} */ (e.target).value;
+  });
+
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById('time-input'));
+  input?.addEventListener('change', () => {
+    const jd = fromDateTimeInputValue(input.value);
+    if (jd === null || !isInElementsRange(jd)) {
+      input.setAttribute('aria-invalid', 'true');
+      announce(t('time.outOfRange'));
+      return;
+    }
+    input.removeAttribute('aria-invalid');
+    jumpToJD(jd);
+  });
+
+  document.getElementById('time-now')?.addEventListener('click', () => {
+    jumpToJD(dateToJulianDay(new Date()));
+  });
+
+  document.getElementById('time-live')?.addEventListener('click', () => {
+    setLiveTime(!liveTime);
+    if (liveTime) refreshTimeBar(0);
+    announce(t(liveTime ? 'time.liveOn' : 'time.liveOff'));
+  });
+}
 
 btnOrbits.addEventListener('click', () => {
   if (!scene) return;
@@ -1457,6 +2001,68 @@ btnLabels.addEventListener('click', () => {
   btnLabels.setAttribute('aria-pressed', String(labelsVisible));
 });
 
+function updateScaleLabel() {
+  const scaleDisplay = t(`scale.${scaleModes[scaleIndex]}`);
+  scaleLabel.textContent = scaleDisplay;
+  btnScale.setAttribute('aria-label', t('aria.scale') + ': ' + scaleDisplay);
+}
+
+btnScale.addEventListener('click', () => {
+  if (!scene) return;
+  scaleIndex = (scaleIndex + 1) % scaleModes.length;
+  scene.setScaleMode(scaleModes[scaleIndex]);
+  updateScaleLabel();
+  announce(t('aria.scale') + ': ' + t(`scale.${scaleModes[scaleIndex]}`));
+});
+
+// ==================== Ephemeris ====================
+
+const EPHEMERIS_STORAGE_KEY = 'ozmos-ephemeris';
+
+function updateEphemerisLabel() {
+  const display = t(`ephemeris.${getEphemerisBackend()}`);
+  ephemerisLabel.textContent = display;
+  btnEphemeris.setAttribute('aria-label', t('aria.ephemeris') + ': ' + display);
+}
+
+/**
+ * Switch the ephemeris backend and redraw what was computed with the old one.
+ * @param {string} key
+ * @returns {Promise<boolean>} whether it switched
+ */
+async function applyEphemeris(key) {
+  btnEphemeris.disabled = true;
+  try {
+    if (!(await scene.setEphemeris(key))) return false;
+  } catch (err) {
+    // The precise series load as a separate chunk, which can fail offline
+    console.error('[OzMos] Ephemeris load error:', err);
+    announce(t('ephemeris.loadFailed'));
+    return false;
+  } finally {
+    btnEphemeris.disabled = false;
+  }
+  if (missionRenderer) missionRenderer.refreshScale();
+  if (gravitySandbox) gravitySandbox.refreshScale();
+  refreshOpenPanels();
+  updateEphemerisLabel();
+  return true;
+}
+
+btnEphemeris.addEventListener('click', async () => {
+  if (!scene) return;
+  const backends = getEphemerisBackends();
+  const next = backends[(backends.indexOf(getEphemerisBackend()) + 1) % backends.length];
+  if (!(await applyEphemeris(next))) return;
+  storageSet(EPHEMERIS_STORAGE_KEY, next);
+  announce(t('aria.ephemeris') + ': ' + t(`ephemeris.${next}`));
+});
+
+function restoreEphemeris() {
+  const saved = storageGet(EPHEMERIS_STORAGE_KEY);
+  if (saved && saved !== getEphemerisBackend()) applyEphemeris(saved);
+}
+
 btnFullscreen.addEventListener('click', () => {
   if (!document.fullscreenElement) {
     document.documentElement.requestFullscreen().catch(() => {});
@@ -1612,6 +2218,14 @@ function openMissionPanel() {
   btnCompare.classList.remove('active');
   btnCompare.setAttribute('aria-pressed', 'false');
   btnMissions.classList.add('active');
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
   wireMissionListHandlers();
 }
 
@@ -1969,42 +2583,336 @@ if (btnTour) {
 
 // ==================== Solar Storm ====================
 
+/** How often the replay HUD is redrawn (ms) */
+const STORM_HUD_INTERVAL_MS = 250;
+let stormHudDrawnAt = 0;
+let heliosphereDrawnAt = 0;
+
+/** Size and field data the simulation draws each planet's magnetosphere from */
+function getStormPlanetData() {
+  const planetDataLookup = {};
+  for (const key of [...PLANET_ORDER, ...DWARF_PLANET_ORDER]) {
+    const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key];
+    if (data) planetDataLookup[key] = data;
+  }
+  return planetDataLookup;
+}
+
+/**
+ * Start a storm: the scripted one, or a replay of solar-wind data with the
+ * planets following the replay's clock.
+ * @param {{ samples: Array<Object>, event: Object }} [replay]
+ */
+function startSolarStorm(replay) {
+  if (!scene) return;
+  if (replay) {
+    if (scene.isSkyDomeActive) scene.exitSkyDome();
+    if (missionModeActive) {
+      exitMissionMode();
+      currentMissionId = null;
+    }
+    scene.enterMissionMode();
+  }
+
+  solarStorm = new SolarStormSimulation(
+    scene.scene,
+    (key) => scene.getPlanetScenePosition(key),
+    getStormPlanetData(),
+    scene.auroraOval
+  );
+  sfx?.playStormStart();
+  if (replay) {
+    // Planets at the replay's start before the magnetospheres are built around them
+    scene.syncPlanetsToDate(Math.min(replay.event.startJD, replay.event.eruptionJD));
+    solarStorm.activate(replay);
+    solarStorm.setReplaySpeed(stormReplaySpeed);
+    scene.syncPlanetsToDate(solarStorm.replayJD);
+  } else {
+    solarStorm.activate();
+  }
+  syncAuroraOval();
+  btnStorm.classList.add('active');
+  scene.setProminencesVisible(true);
+
+  // Go to overview for best view
+  scene.goToOverview();
+}
+
+function stopSolarStorm() {
+  if (!solarStorm) return;
+  const wasReplay = solarStorm.isReplay;
+  sfx?.playStormEnd();
+  solarStorm.deactivate();
+  solarStorm = null;
+  btnStorm.classList.remove('active');
+  if (scene) {
+    scene.setProminencesVisible(false);
+    if (wasReplay) {
+      // Back to the clock's own date
+      scene.exitMissionMode();
+      scene.setSimJD(scene._simJD);
+    }
+  }
+  stormReplay = null;
+  syncAuroraOval();
+  renderStormHudContent();
+}
+
+/**
+ * Replay a solar-wind series, or show why it can't be read.
+ * @param {string} name - shown in the panel
+ * @param {string} csv
+ */
+function startStormReplay(name, csv, approximate = false) {
+  const { samples, error } = parseSolarWindCSV(csv);
+  stormError = error;
+  if (!error) {
+    stopSolarStorm();
+    stormReplay = { name, approximate, samples, event: analyzeSolarWind(samples) };
+    startSolarStorm(stormReplay);
+    announce(`${t('storm.replaying')}: ${name}`);
+  }
+  renderStormPanelContent();
+  renderStormHudContent();
+}
+
+function renderStormPanelContent() {
+  const replay = solarStorm?.isReplay ? stormReplay : null;
+  safeRender(stormContent, () => renderStormPanel(replay, solarStorm?.replayArrivals ?? {}, stormReplaySpeed, stormError,
+    cmeSettings, cmeSettingsInvalid,
+    { settings: auroraSettings, kp: getAuroraKp(), jd: getAuroraJD(), invalid: auroraSiteInvalid },
+    { settings: heliosphereSettings, sectors: scene.heliosphere?.sectors ?? {} }));
+  wireStormPanelHandlers();
+}
+
+function renderStormHudContent() {
+  const replaying = !!(stormReplay && solarStorm?.isReplay);
+  const forecast = solarStorm?.forecast;
+  stormHud.classList.toggle('hidden', !replaying && !forecast);
+  if (replaying) {
+    safeRender(stormHud, () => renderStormHud(stormReplay, solarStorm.replayJD, solarStorm.isReplayFinished));
+    renderAuroraReadoutContent();
+  } else if (forecast) {
+    safeRender(stormHud, () => renderCMEForecastHud(forecast));
+  }
+  stormHudDrawnAt = performance.now();
+}
+
+/** Kp the aurora section shows: the replayed data's, or the one chosen */
+function getAuroraKp() {
+  return solarStorm?.isReplay ? solarStorm.replayKp : auroraSettings.kp;
+}
+
+/** Moment the aurora section judges the sky for: the replay's, or the scene's */
+function getAuroraJD() {
+  return solarStorm?.isReplay ? solarStorm.replayJD : scene._simJD;
+}
+
+/**
+ * Put Earth's oval in step with the aurora section. A storm lights the oval
+ * when its CME reaches Earth (a replay also sizes it); otherwise it shows
+ * while the panel is open.
+ */
+function syncAuroraOval() {
+  if (!auroraSettings) auroraSettings = getDefaultAuroraSettings();
+  const oval = scene?.auroraOval;
+  if (!oval) return;
+  oval.setObserver(auroraSettings);
+  if (!solarStorm?.isReplay) oval.setKp(auroraSettings.kp);
+  if (!solarStorm?.isActive) oval.setVisible(!stormPanel.classList.contains('hidden'));
+}
+
+function renderAuroraReadoutContent() {
+  const readout = document.getElementById('storm-aurora-readout');
+  if (readout && auroraSettings) safeRender(readout, () => renderAuroraReadout(getAuroraKp(), auroraSettings, getAuroraJD()));
+}
+
+/** Show the field layer with its settings, or hide it */
+function applyHeliosphere() {
+  scene?.setHeliosphere(heliosphereSettings.visible ? { ...heliosphereSettings } : null);
+}
+
+function renderHeliosphereReadoutContent() {
+  const readout = document.getElementById('storm-imf-readout');
+  if (readout) safeRender(readout, () => renderHeliosphereReadout(heliosphereSettings, scene.heliosphere?.sectors ?? {}));
+  heliosphereDrawnAt = performance.now();
+}
+
+/** Launch a CME with the launcher's settings, starting a storm for it if none is running */
+function launchForecastCME() {
+  if (!scene) return;
+  if (!solarStorm?.isActive || solarStorm.isReplay) {
+    stopSolarStorm();
+    startSolarStorm();
+  }
+  solarStorm.launchNewCME(toCMEParameters(cmeSettings), scene._simJD);
+  const earth = solarStorm.forecast.arrivals.find(a => a.key === 'earth');
+  announce(earth?.hit
+    ? `${t('storm.cmeLaunched')}: ${t('storm.earthIn')} ${earth.hours.toFixed(1)} ${t('storm.hours')}`
+    : `${t('storm.cmeLaunched')}: ${t('storm.earthMissed')}`);
+  renderStormHudContent();
+}
+
+function openStormPanel() {
+  stormError = null;
+  cmeSettingsInvalid = false;
+  auroraSiteInvalid = false;
+  if (!cmeSettings) cmeSettings = getDefaultCMESettings(scene._simJD);
+  stormPanel.classList.remove('hidden');
+  stormPanel.setAttribute('aria-hidden', 'false');
+  syncAuroraOval();
+  // Close other panels — a replay takes over the planets' clock
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  renderStormPanelContent();
+  _activateTrap('storm', stormPanel);
+}
+
+/** Close the panel; a replay stops with it, the scripted storm runs on */
+function closeStormPanel() {
+  stormPanel.classList.add('hidden');
+  stormPanel.setAttribute('aria-hidden', 'true');
+  if (solarStorm?.isReplay) stopSolarStorm();
+  syncAuroraOval();
+  _releaseTrap('storm');
+}
+
+function wireStormPanelHandlers() {
+  document.getElementById('storm-scripted')?.addEventListener('click', () => {
+    stopSolarStorm();
+    startSolarStorm();
+    closeStormPanel();
+  });
+  document.getElementById('storm-cme-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const value = (field) => parseFloat(/** @type {HTMLInputElement} */ (document.getElementById(`storm-cme-${field}`)).value);
+    const settings = {
+      longitude: value('longitude'),
+      latitude: value('latitude'),
+      speed: value('speed'),
+      width: value('width'),
+      mass: value('mass'),
+      windSpeed: value('windSpeed'),
+    };
+    cmeSettingsInvalid = !isValidCMESettings(settings);
+    if (!cmeSettingsInvalid) {
+      cmeSettings = settings;
+      launchForecastCME();
+    }
+    renderStormPanelContent();
+  });
+  document.getElementById('storm-aurora-kp')?.addEventListener('input', (e) => {
+    auroraSettings.kp = parseInt(e.target.value, 10);
+    document.getElementById('storm-aurora-kp-value').textContent = e.target.value;
+    syncAuroraOval();
+    renderAuroraReadoutContent();
+  });
+  document.getElementById('storm-aurora-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const lat = parseFloat(/** @type {HTMLInputElement} */ (document.getElementById('storm-aurora-lat')).value);
+    const lon = parseFloat(/** @type {HTMLInputElement} */ (document.getElementById('storm-aurora-lon')).value);
+    auroraSiteInvalid = !isValidObserver(lat, lon);
+    if (!auroraSiteInvalid) {
+      auroraSettings = { ...auroraSettings, lat, lon };
+      syncAuroraOval();
+      announce(describeAuroraVisibility(getAuroraKp(), auroraSettings));
+    }
+    renderStormPanelContent();
+  });
+  document.getElementById('storm-aurora-earth')?.addEventListener('click', () => {
+    scene?.focusOnPlanet('earth');
+  });
+  document.getElementById('storm-imf-toggle')?.addEventListener('click', () => {
+    heliosphereSettings.visible = !heliosphereSettings.visible;
+    applyHeliosphere();
+    renderStormPanelContent();
+    document.getElementById('storm-imf-toggle')?.focus();
+  });
+  document.getElementById('storm-imf-speed')?.addEventListener('input', (e) => {
+    heliosphereSettings.windSpeed = parseInt(e.target.value, 10);
+    document.getElementById('storm-imf-speed-value').textContent = `${heliosphereSettings.windSpeed} km/s`;
+  });
+  document.getElementById('storm-imf-phase')?.addEventListener('input', (e) => {
+    heliosphereSettings.phase = parseInt(e.target.value, 10) / 100;
+    document.getElementById('storm-imf-phase-value').textContent = describeCyclePhase(heliosphereSettings.phase);
+  });
+  // Redrawing the field takes a moment, so it waits for the slider to be let go
+  for (const id of ['storm-imf-speed', 'storm-imf-phase']) {
+    document.getElementById(id)?.addEventListener('change', () => {
+      applyHeliosphere();
+      renderHeliosphereReadoutContent();
+    });
+  }
+  for (const btn of stormContent.querySelectorAll('.storm-preset')) {
+    btn.addEventListener('click', () => {
+      const preset = STORM_PRESETS.find(p => p.id === btn.dataset.preset);
+      if (preset) startStormReplay(preset.name, preset.csv, preset.approximate);
+      document.getElementById('storm-stop')?.focus();
+    });
+  }
+  document.getElementById('storm-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      startStormReplay(file.name, await file.text());
+    } catch {
+      stormError = 'read';
+      renderStormPanelContent();
+    }
+    document.getElementById('storm-stop')?.focus();
+  });
+  document.getElementById('storm-speed')?.addEventListener('change', (e) => {
+    stormReplaySpeed = parseInt(e.target.value, 10);
+    solarStorm?.setReplaySpeed(stormReplaySpeed);
+  });
+  document.getElementById('storm-stop')?.addEventListener('click', () => {
+    stopSolarStorm();
+    renderStormPanelContent();
+    document.getElementById('storm-scripted')?.focus();
+  });
+}
+
+// Replay milestones carry the moment the data put them at
+document.addEventListener('storm-milestone', (e) => {
+  const { i18nKey, jd } = e.detail;
+  if (jd !== null) announce(`${formatJulianUT(jd)}: ${t(i18nKey)}`);
+});
+
 if (btnStorm) {
   btnStorm.addEventListener('click', () => {
     if (!scene) return;
 
     if (solarStorm && solarStorm.isActive) {
-      // If already active, either launch new CME or deactivate
-      sfx?.playStormEnd();
-      solarStorm.deactivate();
-      solarStorm = null;
-      btnStorm.classList.remove('active');
-      scene.setProminencesVisible(false);
+      // A storm running: the button stops it
+      stopSolarStorm();
+      if (!stormPanel.classList.contains('hidden')) closeStormPanel();
       return;
     }
 
-    // Build planet data lookup for the simulation
-    const planetDataLookup = {};
-    for (const key of [...PLANET_ORDER, ...DWARF_PLANET_ORDER]) {
-      const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key];
-      if (data) planetDataLookup[key] = data;
+    if (stormPanel.classList.contains('hidden')) {
+      openStormPanel();
+    } else {
+      closeStormPanel();
     }
-
-    solarStorm = new SolarStormSimulation(
-      scene.scene,
-      (key) => scene.getPlanetWorldPosition(key),
-      planetDataLookup
-    );
-    sfx?.playStormStart();
-    solarStorm.activate();
-    btnStorm.classList.add('active');
-    scene.setProminencesVisible(true);
-
-    // Go to overview for best view
-    scene.goToOverview();
   });
 }
 
+if (stormClose) {
+  stormClose.addEventListener('click', closeStormPanel);
+}
+
 // ==================== Quiz Panel ====================
 
 function openQuizPanel() {
@@ -2027,6 +2935,14 @@ function openQuizPanel() {
   btnCompare.setAttribute('aria-pressed', 'false');
   btnMissions.classList.remove('active');
   btnQuiz.classList.add('active');
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
   wireQuizMenuHandlers();
 }
 
@@ -2150,17 +3066,1216 @@ if (quizClose) {
   quizClose.addEventListener('click', closeQuizPanel);
 }
 
-// ==================== Info Panel Drag-to-Dismiss (Mobile) ====================
+// ==================== Sky Planner Panel ====================
 
-if (infoDragHandle) {
-  let dragStartY = 0;
-  let panelStartY = 0;
-  let isDragging = false;
+function renderSkyPanelContent() {
+  safeRender(skyContent, () => renderSkyPlanner(skyPlannerDate, moonEventNights));
+  wireSkyPlannerHandlers();
+}
 
-  infoDragHandle.addEventListener('touchstart', (e) => {
-    if (window.innerWidth >= 768) return;
-    isDragging = true;
-    dragStartY = e.touches[0].clientY;
+function openSkyPanel() {
+  if (!skyPlannerDate) skyPlannerDate = getLocalDateStr();
+  renderSkyPanelContent();
+  skyPanel.classList.remove('hidden');
+  skyPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnSky.classList.add('active');
+  btnSky.setAttribute('aria-pressed', 'true');
+  _activateTrap('sky', skyPanel);
+}
+
+function closeSkyPanel() {
+  skyPanel.classList.add('hidden');
+  skyPanel.setAttribute('aria-hidden', 'true');
+  btnSky.classList.remove('active');
+  btnSky.setAttribute('aria-pressed', 'false');
+  _releaseTrap('sky');
+}
+
+function wireSkyPlannerHandlers() {
+  const form = document.getElementById('sky-planner-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const dateInput = /** @type {HTMLInputElement} */ (document.getElementById('sky-planner-date'));
+      const lat = parseFloat(/** @type {HTMLInputElement} */ (document.getElementById('sky-planner-lat')).value);
+      const lon = parseFloat(/** @type {HTMLInputElement} */ (document.getElementById('sky-planner-lon')).value);
+      if (!applyObserverLocation(lat, lon)) {
+        document.getElementById('sky-planner-error')?.classList.remove('hidden');
+        return;
+      }
+      if (/^\d{4}-\d{2}-\d{2}$/.test(dateInput.value)) skyPlannerDate = dateInput.value;
+      renderSkyPanelContent();
+    });
+  }
+
+  // Body names jump to that body in the scene
+  skyContent.querySelectorAll('.sky-body-name').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = /** @type {HTMLElement} */ (btn).dataset.planet;
+      if (key) openInfoPanel(key);
+    });
+  });
+
+  const nightsSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('moon-events-nights'));
+  if (nightsSelect) {
+    nightsSelect.addEventListener('change', () => {
+      const nights = parseInt(nightsSelect.value, 10);
+      if (MOON_EVENT_NIGHTS.includes(nights)) moonEventNights = nights;
+      renderSkyPanelContent();
+      document.getElementById('moon-events-nights')?.focus();
+    });
+  }
+
+  // Moon events jump the clock to mid-event and frame the planet from Earth
+  skyContent.querySelectorAll('.moon-event').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const el = /** @type {HTMLElement} */ (btn);
+      const jd = parseFloat(el.dataset.jd || '');
+      const key = el.dataset.planet;
+      if (!scene || !key || !isFinite(jd)) return;
+      if (scene.isSkyDomeActive) scene.exitSkyDome();
+      if (missionModeActive) closeMissionPanel();
+      pauseSimulation();
+      scene.setSimJD(jd);
+      scene.focusOnPlanet(key, getEarthDirection(key, jd));
+      announce(`${t('moonEvents.jumped')}: ${el.querySelector('.moon-event-name')?.textContent || ''}`);
+    });
+  });
+}
+
+if (btnSky) {
+  btnSky.addEventListener('click', () => {
+    if (skyPanel.classList.contains('hidden')) {
+      openSkyPanel();
+    } else {
+      closeSkyPanel();
+    }
+  });
+}
+
+if (skyClose) {
+  skyClose.addEventListener('click', closeSkyPanel);
+}
+
+// ==================== Events Panel ====================
+
+function renderEventsPanelContent() {
+  safeRender(eventsContent, () => renderEventsPanel(eventsRange.from, eventsRange.to, eventsCategory, eventsRangeInvalid));
+  wireEventsPanelHandlers();
+}
+
+function openEventsPanel() {
+  if (!eventsRange) eventsRange = getDefaultEventRange(getLocalDateStr());
+  renderEventsPanelContent();
+  eventsPanel.classList.remove('hidden');
+  eventsPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnEvents.classList.add('active');
+  btnEvents.setAttribute('aria-pressed', 'true');
+  _activateTrap('events', eventsPanel);
+}
+
+function closeEventsPanel() {
+  eventsPanel.classList.add('hidden');
+  eventsPanel.setAttribute('aria-hidden', 'true');
+  btnEvents.classList.remove('active');
+  btnEvents.setAttribute('aria-pressed', 'false');
+  _releaseTrap('events');
+}
+
+function wireEventsPanelHandlers() {
+  const form = document.getElementById('events-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const from = /** @type {HTMLInputElement} */ (document.getElementById('events-from')).value;
+      const to = /** @type {HTMLInputElement} */ (document.getElementById('events-to')).value;
+      const category = /** @type {HTMLSelectElement} */ (document.getElementById('events-category')).value;
+      const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+      const span = isDate(from) && isDate(to) ? dateToJulian(to) - dateToJulian(from) : NaN;
+      eventsRangeInvalid = !(span > 0 && span <= MAX_EVENT_RANGE_DAYS);
+      if (!eventsRangeInvalid) eventsRange = { from, to };
+      eventsCategory = category;
+      renderEventsPanelContent();
+    });
+  }
+
+  // Events jump the clock there and frame the bodies involved
+  eventsContent.querySelectorAll('.event-item').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const el = /** @type {HTMLElement} */ (btn);
+      const jd = parseFloat(el.dataset.jd || '');
+      const bodies = (el.dataset.bodies || '').split(',').filter(Boolean);
+      if (!scene || bodies.length === 0 || !isFinite(jd)) return;
+      if (scene.isSkyDomeActive) scene.exitSkyDome();
+      if (missionModeActive) closeMissionPanel();
+      pauseSimulation();
+      scene.setSimJD(jd);
+      const view = getEventView(el.dataset.type || '', bodies, jd);
+      scene.focusOnPlanet(view.focus, view.viewDir || undefined);
+      announce(`${t('events.jumped')}: ${el.querySelector('.event-title')?.textContent || ''}`);
+    });
+  });
+}
+
+if (btnEvents) {
+  btnEvents.addEventListener('click', () => {
+    if (eventsPanel.classList.contains('hidden')) {
+      openEventsPanel();
+    } else {
+      closeEventsPanel();
+    }
+  });
+}
+
+if (eventsClose) {
+  eventsClose.addEventListener('click', closeEventsPanel);
+}
+
+// ==================== Transfer Planner ====================
+
+/** Porkchop of the current plan, with its lowest-C3 transfer selected */
+function computeTransferPorkchop() {
+  const { from, to, depart, arrive } = transferPlan;
+  transferPorkchop = computePorkchop(from, to,
+    { start: dateToJulian(depart.from), end: dateToJulian(depart.to) },
+    { start: dateToJulian(arrive.from), end: dateToJulian(arrive.to) });
+  const { best, departures, arrivals } = transferPorkchop;
+  selectedTransfer = best ? getTransfer(from, to, departures[best.col], arrivals[best.row]) : null;
+}
+
+function isTransferFlying() {
+  return !!(missionRenderer?.activeTransfer && missionRenderer.isPlaying);
+}
+
+function renderTransferPanelContent() {
+  safeRender(transferContent, () =>
+    renderTransferPanel(transferPlan, transferPlanInvalid, transferPorkchop, selectedTransfer, isTransferFlying()));
+  const canvas = /** @type {HTMLCanvasElement|null} */ (document.getElementById('transfer-porkchop'));
+  if (canvas) drawPorkchop(canvas, transferPorkchop, selectedTransfer);
+  wireTransferPanelHandlers();
+}
+
+function renderTransferDetailsContent() {
+  const details = document.getElementById('transfer-details');
+  if (!details) return;
+  safeRender(details, () => renderTransferDetails(transferPlan, selectedTransfer, isTransferFlying()));
+  wireTransferPlayButton();
+}
+
+/** Draw a transfer in the scene and fly a craft along it, planets following its dates */
+function flyTransfer(transfer) {
+  if (!scene || !missionRenderer) return;
+  if (scene.isSkyDomeActive) scene.exitSkyDome();
+  scene.enterMissionMode();
+  scene.syncPlanetsToDate(transfer.departJD);
+  missionRenderer.showTransfer(transfer, getTransferMission(transfer));
+  missionRenderer.setCameraFollow(scene.camera, scene.controls);
+  missionRenderer.onWaypointReached = null;
+  missionRenderer.onProgressUpdate = (progress, jd) => {
+    scene.syncPlanetsToDate(jd);
+    // The craft has arrived: offer to fly again
+    if (!missionRenderer.isPlaying && document.getElementById('transfer-play')?.getAttribute('aria-pressed') === 'true') {
+      renderTransferDetailsContent();
+    }
+  };
+  missionRenderer.play();
+}
+
+function stopTransfer() {
+  if (!missionRenderer?.activeTransfer) return;
+  missionRenderer.clearMission();
+  missionRenderer.onProgressUpdate = null;
+  if (scene) scene.exitMissionMode();
+}
+
+function selectTransfer(transfer) {
+  selectedTransfer = transfer;
+  const canvas = /** @type {HTMLCanvasElement|null} */ (document.getElementById('transfer-porkchop'));
+  if (canvas) drawPorkchop(canvas, transferPorkchop, selectedTransfer);
+  flyTransfer(transfer);
+  renderTransferDetailsContent();
+}
+
+function openTransferPanel() {
+  if (!transferPlan) {
+    transferPlan = getDefaultTransferPlan('earth', 'mars', getLocalDateStr());
+    computeTransferPorkchop();
+  }
+  transferPanel.classList.remove('hidden');
+  transferPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels — the transfer takes over the mission view
+  if (missionModeActive) {
+    exitMissionMode();
+    currentMissionId = null;
+  }
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnTransfer.classList.add('active');
+  btnTransfer.setAttribute('aria-pressed', 'true');
+  // The plot is sized from the laid-out canvas, so render once visible
+  renderTransferPanelContent();
+  _activateTrap('transfer', transferPanel);
+}
+
+function closeTransferPanel() {
+  transferPanel.classList.add('hidden');
+  transferPanel.setAttribute('aria-hidden', 'true');
+  btnTransfer.classList.remove('active');
+  btnTransfer.setAttribute('aria-pressed', 'false');
+  stopTransfer();
+  _releaseTrap('transfer');
+}
+
+function wireTransferPlayButton() {
+  const play = document.getElementById('transfer-play');
+  if (!play) return;
+  play.addEventListener('click', () => {
+    if (!selectedTransfer || !missionRenderer) return;
+    if (missionRenderer.activeTransfer !== selectedTransfer || missionRenderer.animationProgress >= 1) {
+      flyTransfer(selectedTransfer);
+    } else {
+      missionRenderer.toggle();
+    }
+    renderTransferDetailsContent();
+  });
+}
+
+function wireTransferPanelHandlers() {
+  const form = document.getElementById('transfer-form');
+  if (form) {
+    const value = (id) => /** @type {HTMLInputElement|HTMLSelectElement} */ (document.getElementById(id)).value;
+    const search = (plan) => {
+      transferPlanInvalid = !isValidTransferPlan(plan);
+      if (!transferPlanInvalid) {
+        stopTransfer();
+        transferPlan = plan;
+        computeTransferPorkchop();
+      }
+      renderTransferPanelContent();
+    };
+
+    // A new pair of bodies gets windows fitted to its synodic period and flight time
+    for (const id of ['transfer-from', 'transfer-to']) {
+      document.getElementById(id)?.addEventListener('change', () => {
+        const start = /^\d{4}-\d{2}-\d{2}$/.test(value('transfer-depart-from')) ? value('transfer-depart-from') : getLocalDateStr();
+        search(getDefaultTransferPlan(value('transfer-from'), value('transfer-to'), start));
+      });
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      search({
+        from: value('transfer-from'),
+        to: value('transfer-to'),
+        depart: { from: value('transfer-depart-from'), to: value('transfer-depart-to') },
+        arrive: { from: value('transfer-arrive-from'), to: value('transfer-arrive-to') },
+      });
+    });
+  }
+
+  const canvas = /** @type {HTMLCanvasElement|null} */ (document.getElementById('transfer-porkchop'));
+  if (canvas && transferPorkchop) {
+    canvas.addEventListener('click', (e) => {
+      const dates = porkchopDatesAt(canvas, transferPorkchop, e.clientX, e.clientY);
+      const transfer = dates && getTransfer(transferPlan.from, transferPlan.to, dates.departJD, dates.arriveJD);
+      if (transfer) selectTransfer(transfer);
+    });
+
+    // Arrow keys move the selection a grid step in departure or arrival
+    canvas.addEventListener('keydown', (e) => {
+      const { departures, arrivals } = transferPorkchop;
+      const step = (dates) => (dates[dates.length - 1] - dates[0]) / (dates.length - 1);
+      const moves = {
+        ArrowLeft: [-step(departures), 0],
+        ArrowRight: [step(departures), 0],
+        ArrowDown: [0, -step(arrivals)],
+        ArrowUp: [0, step(arrivals)],
+      };
+      const move = moves[e.key];
+      if (!move || !selectedTransfer) return;
+      e.preventDefault();
+      const clamp = (jd, dates) => Math.max(dates[0], Math.min(dates[dates.length - 1], jd));
+      const transfer = getTransfer(transferPlan.from, transferPlan.to,
+        clamp(selectedTransfer.departJD + move[0], departures), clamp(selectedTransfer.arriveJD + move[1], arrivals));
+      if (transfer) selectTransfer(transfer);
+    });
+  }
+
+  const best = document.getElementById('transfer-best');
+  if (best && transferPorkchop?.best) {
+    best.addEventListener('click', () => {
+      const { best: cell, departures, arrivals } = transferPorkchop;
+      const transfer = getTransfer(transferPlan.from, transferPlan.to, departures[cell.col], arrivals[cell.row]);
+      if (transfer) selectTransfer(transfer);
+    });
+  }
+
+  wireTransferPlayButton();
+}
+
+if (btnTransfer) {
+  btnTransfer.addEventListener('click', () => {
+    if (transferPanel.classList.contains('hidden')) {
+      openTransferPanel();
+    } else {
+      closeTransferPanel();
+    }
+  });
+}
+
+if (transferClose) {
+  transferClose.addEventListener('click', closeTransferPanel);
+}
+
+// ==================== Gravity-Assist Sandbox ====================
+
+/** How often the HUD is redrawn while the probe flies (ms) */
+const GRAVITY_HUD_INTERVAL_MS = 250;
+let gravityHudDrawnAt = 0;
+let gravityFlybysAnnounced = 0;
+
+function renderGravityPanelContent() {
+  const probe = gravitySandbox?.probe;
+  safeRender(gravityContent, () => renderGravityAssistPanel(gravitySettings, gravitySettingsInvalid,
+    probe?.status === 'flying', !!gravitySandbox?.isPlaying, gravitySandbox?.daysPerSecond ?? 60));
+  wireGravityPanelHandlers();
+}
+
+function renderGravityHud() {
+  const probe = gravitySandbox?.probe;
+  gravityHud.classList.toggle('hidden', !probe);
+  if (probe) safeRender(gravityHud, () => renderGravityAssistHud(probe));
+  gravityHudDrawnAt = performance.now();
+}
+
+/** Launch a probe with the current settings, the planets following its clock */
+function launchGravityProbe() {
+  if (!scene || !gravitySandbox) return;
+  if (scene.isSkyDomeActive) scene.exitSkyDome();
+  scene.enterMissionMode();
+  const launchJD = dateToJulian(gravitySettings.launchDate);
+  const craft = getGravityAssistCraft(gravitySettings.craft);
+  scene.syncPlanetsToDate(launchJD);
+  gravitySandbox.launch(launchJD, gravitySettings, craft.id, craft.color);
+  gravityFlybysAnnounced = 0;
+  gravitySandbox.onUpdate = (probe) => {
+    scene.syncPlanetsToDate(probe.jd);
+    const done = probe.flybys.filter(f => f.speedOut !== null);
+    for (const flyby of done.slice(gravityFlybysAnnounced)) announce(describeFlyby(flyby));
+    gravityFlybysAnnounced = done.length;
+    if (!gravitySandbox.isPlaying) {
+      // Crashed or out of ephemeris: drop the flight controls
+      renderGravityPanelContent();
+      renderGravityHud();
+    } else if (performance.now() - gravityHudDrawnAt >= GRAVITY_HUD_INTERVAL_MS) {
+      renderGravityHud();
+    }
+  };
+  renderGravityHud();
+}
+
+function stopGravityProbe() {
+  if (!gravitySandbox?.probe) return;
+  gravitySandbox.clear();
+  gravitySandbox.onUpdate = null;
+  renderGravityHud();
+  if (scene) scene.exitMissionMode();
+}
+
+function openGravityPanel() {
+  if (!gravitySettings) gravitySettings = getDefaultGravityAssistSettings(getLocalDateStr());
+  gravityPanel.classList.remove('hidden');
+  gravityPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels — the probe takes over the mission view
+  if (missionModeActive) {
+    exitMissionMode();
+    currentMissionId = null;
+  }
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnGravity.classList.add('active');
+  btnGravity.setAttribute('aria-pressed', 'true');
+  renderGravityPanelContent();
+  _activateTrap('gravity', gravityPanel);
+}
+
+function closeGravityPanel() {
+  gravityPanel.classList.add('hidden');
+  gravityPanel.setAttribute('aria-hidden', 'true');
+  btnGravity.classList.remove('active');
+  btnGravity.setAttribute('aria-pressed', 'false');
+  stopGravityProbe();
+  _releaseTrap('gravity');
+}
+
+function wireGravityPanelHandlers() {
+  const form = document.getElementById('gravity-form');
+  if (form) {
+    const input = (id) => /** @type {HTMLInputElement|HTMLSelectElement} */ (document.getElementById(id));
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+
+    // Sliders update their read-outs as they move; the burn is flown on launch
+    input('gravity-vinf')?.addEventListener('input', (e) => {
+      gravitySettings.vInf = parseFloat(e.target.value);
+      setText('gravity-vinf-value', formatVInf(gravitySettings.vInf));
+      setText('gravity-burn-value', formatLaunchDeltaV(gravitySettings.vInf));
+    });
+    input('gravity-heading')?.addEventListener('input', (e) => {
+      gravitySettings.heading = parseInt(e.target.value, 10);
+      setText('gravity-heading-value', describeHeading(gravitySettings.heading));
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const settings = {
+        launchDate: input('gravity-date').value,
+        vInf: parseFloat(input('gravity-vinf').value),
+        heading: parseInt(input('gravity-heading').value, 10),
+        craft: input('gravity-craft').value,
+      };
+      gravitySettingsInvalid = !isValidGravityAssistSettings(settings);
+      if (!gravitySettingsInvalid) {
+        gravitySettings = settings;
+        launchGravityProbe();
+      }
+      renderGravityPanelContent();
+    });
+  }
+
+  const play = document.getElementById('gravity-play');
+  if (play) {
+    play.addEventListener('click', () => {
+      if (!gravitySandbox) return;
+      gravitySandbox.toggle();
+      renderGravityPanelContent();
+      document.getElementById('gravity-play')?.focus();
+    });
+  }
+
+  document.getElementById('gravity-speed')?.addEventListener('change', (e) => {
+    if (gravitySandbox) gravitySandbox.setSpeed(parseInt(e.target.value, 10));
+  });
+}
+
+if (btnGravity) {
+  btnGravity.addEventListener('click', () => {
+    if (gravityPanel.classList.contains('hidden')) {
+      openGravityPanel();
+    } else {
+      closeGravityPanel();
+    }
+  });
+}
+
+if (gravityClose) {
+  gravityClose.addEventListener('click', closeGravityPanel);
+}
+
+// ==================== N-Body What-If Sandbox ====================
+
+/** How often the read-out is redrawn while the bodies run (ms) */
+const NBODY_READOUT_INTERVAL_MS = 250;
+let nbodyReadoutDrawnAt = 0;
+let nbodyMergesAnnounced = 0;
+
+function renderNBodyPanelContent() {
+  const sandbox = scene?.nBody;
+  if (!sandbox) return;
+  if (!sandbox.system.bodies.some(b => b.key === nbodySettings.body)) {
+    nbodySettings.body = sandbox.system.bodies[0]?.key ?? null;
+  }
+  safeRender(nbodyContent, () => renderNBodyPanel(nbodySettings, sandbox.system, nbodyInvalid,
+    sandbox.isPlaying, sandbox.daysPerSecond));
+  wireNBodyPanelHandlers();
+}
+
+function renderNBodyReadoutContent() {
+  const readout = document.getElementById('nbody-readout');
+  if (readout && scene?.nBody) safeRender(readout, () => renderNBodyReadout(scene.nBody.system));
+  nbodyReadoutDrawnAt = performance.now();
+}
+
+/** Hand the planets to the integrator, seeded from the scene's current date */
+function startNBodySandbox() {
+  if (!scene) return;
+  if (scene.isSkyDomeActive) scene.exitSkyDome();
+  const sandbox = scene.enterNBodyMode();
+  nbodyMergesAnnounced = 0;
+  sandbox.onUpdate = (system) => {
+    for (const merge of system.merges.slice(nbodyMergesAnnounced)) announce(describeMerge(merge));
+    if (system.merges.length > nbodyMergesAnnounced) {
+      // A body is gone: refresh the body list along with the read-out
+      nbodyMergesAnnounced = system.merges.length;
+      renderNBodyPanelContent();
+    } else if (performance.now() - nbodyReadoutDrawnAt >= NBODY_READOUT_INTERVAL_MS) {
+      renderNBodyReadoutContent();
+    }
+  };
+}
+
+function openNBodyPanel() {
+  if (!scene) return;
+  if (!nbodySettings) nbodySettings = getDefaultNBodySettings();
+  nbodyInvalid = false;
+  nbodyPanel.classList.remove('hidden');
+  nbodyPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels — the sandbox takes over the planets
+  if (missionModeActive) {
+    exitMissionMode();
+    currentMissionId = null;
+  }
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnNBody.classList.add('active');
+  btnNBody.setAttribute('aria-pressed', 'true');
+  startNBodySandbox();
+  renderNBodyPanelContent();
+  _activateTrap('nbody', nbodyPanel);
+}
+
+function closeNBodyPanel() {
+  nbodyPanel.classList.add('hidden');
+  nbodyPanel.setAttribute('aria-hidden', 'true');
+  btnNBody.classList.remove('active');
+  btnNBody.setAttribute('aria-pressed', 'false');
+  if (scene) scene.exitNBodyMode();
+  _releaseTrap('nbody');
+}
+
+/** Apply an edit to the sandbox, then redraw the panel with focus kept on `focusId` */
+function editNBody(edit, focusId) {
+  const sandbox = scene?.nBody;
+  if (!sandbox) return;
+  edit(sandbox);
+  renderNBodyPanelContent();
+  if (focusId) document.getElementById(focusId)?.focus();
+}
+
+function wireNBodyPanelHandlers() {
+  const input = (id) => /** @type {HTMLInputElement|HTMLSelectElement} */ (document.getElementById(id));
+
+  document.getElementById('nbody-play')?.addEventListener('click', () => {
+    editNBody(sandbox => sandbox.toggle(), 'nbody-play');
+  });
+  input('nbody-speed')?.addEventListener('change', (e) => {
+    scene?.nBody?.setSpeed(parseInt(e.target.value, 10));
+  });
+  document.getElementById('nbody-reset')?.addEventListener('click', () => {
+    if (!scene) return;
+    // Back to the Keplerian layout at the scene's date, then seed afresh
+    scene.exitNBodyMode();
+    nbodyInvalid = false;
+    startNBodySandbox();
+    renderNBodyPanelContent();
+    document.getElementById('nbody-reset')?.focus();
+  });
+
+  input('nbody-body')?.addEventListener('change', (e) => {
+    nbodySettings.body = e.target.value;
+  });
+  for (const btn of nbodyContent.querySelectorAll('.nbody-mass-btn')) {
+    btn.addEventListener('click', () => {
+      const factor = parseFloat(btn.dataset.factor);
+      editNBody(sandbox => sandbox.scaleMass(nbodySettings.body, factor));
+      announce(`${nBodyName(nbodySettings.body)}: ${t('nbody.mass')} ×${factor}`);
+    });
+  }
+  document.getElementById('nbody-delete')?.addEventListener('click', () => {
+    const key = nbodySettings.body;
+    editNBody(sandbox => sandbox.remove(key), 'nbody-body');
+    announce(`${nBodyName(key)}: ${t('nbody.deleted')}`);
+  });
+  input('nbody-heading')?.addEventListener('input', (e) => {
+    nbodySettings.heading = parseInt(e.target.value, 10);
+    const out = document.getElementById('nbody-heading-value');
+    if (out) out.textContent = describeFlingHeading(nbodySettings.heading);
+  });
+  document.getElementById('nbody-body-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const deltaV = parseFloat(input('nbody-dv').value);
+    nbodyInvalid = !isValidFling(deltaV);
+    if (!nbodyInvalid) {
+      nbodySettings.deltaV = deltaV;
+      scene?.nBody?.fling(nbodySettings.body, deltaV, nbodySettings.heading);
+      announce(`${nBodyName(nbodySettings.body)}: ${t('nbody.flung')}`);
+    }
+    renderNBodyPanelContent();
+  });
+
+  document.getElementById('nbody-rogue-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const rogue = {
+      mass: parseFloat(input('nbody-rogue-mass').value),
+      speed: parseFloat(input('nbody-rogue-speed').value),
+      missAU: parseFloat(input('nbody-rogue-miss').value),
+      longitude: parseFloat(input('nbody-rogue-lon').value),
+      look: input('nbody-rogue-look').value,
+    };
+    nbodyInvalid = !isValidRogue(rogue);
+    if (!nbodyInvalid && scene?.nBody) {
+      nbodySettings.rogue = rogue;
+      const key = scene.nBody.addRogue(rogue);
+      announce(`${nBodyName(key)}: ${t('nbody.sent')}`);
+    }
+    renderNBodyPanelContent();
+  });
+}
+
+if (btnNBody) {
+  btnNBody.addEventListener('click', () => {
+    if (nbodyPanel.classList.contains('hidden')) {
+      openNBodyPanel();
+    } else {
+      closeNBodyPanel();
+    }
+  });
+}
+
+if (nbodyClose) {
+  nbodyClose.addEventListener('click', closeNBodyPanel);
+}
+
+// ==================== Eclipses Panel ====================
+
+function renderEclipsesPanelContent() {
+  safeRender(eclipsesContent, () => renderEclipsePanel(eclipseYear, eclipseYearInvalid, selectedEclipse));
+  wireEclipsesPanelHandlers();
+}
+
+function openEclipsesPanel() {
+  if (eclipseYear === null) eclipseYear = Number(getLocalDateStr().slice(0, 4));
+  renderEclipsesPanelContent();
+  eclipsesPanel.classList.remove('hidden');
+  eclipsesPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnEclipses.classList.add('active');
+  btnEclipses.setAttribute('aria-pressed', 'true');
+  if (scene) scene.setEclipseMode(true);
+  _activateTrap('eclipses', eclipsesPanel);
+}
+
+function closeEclipsesPanel() {
+  eclipsesPanel.classList.add('hidden');
+  eclipsesPanel.setAttribute('aria-hidden', 'true');
+  btnEclipses.classList.remove('active');
+  btnEclipses.setAttribute('aria-pressed', 'false');
+  if (scene) scene.setEclipseMode(false);
+  _releaseTrap('eclipses');
+}
+
+function wireEclipsesPanelHandlers() {
+  const form = document.getElementById('eclipses-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const year = Number(/** @type {HTMLInputElement} */ (document.getElementById('eclipses-year')).value);
+      eclipseYearInvalid = !(Number.isInteger(year) && year >= ECLIPSE_YEAR_RANGE.min && year <= ECLIPSE_YEAR_RANGE.max);
+      if (!eclipseYearInvalid && year !== eclipseYear) {
+        eclipseYear = year;
+        selectedEclipse = -1;
+        if (scene) scene.showEclipse(null);
+      }
+      renderEclipsesPanelContent();
+    });
+  }
+
+  // Eclipses jump the clock to greatest eclipse and look along the shadow
+  eclipsesContent.querySelectorAll('.eclipse-item').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const index = parseInt(/** @type {HTMLElement} */ (btn).dataset.index || '', 10);
+      const eclipse = getYearEclipses(eclipseYear)[index];
+      if (!scene || !eclipse) return;
+      if (scene.isSkyDomeActive) scene.exitSkyDome();
+      if (missionModeActive) closeMissionPanel();
+      pauseSimulation();
+      scene.setSimJD(eclipse.jd);
+      scene.showEclipse(eclipse);
+      scene.focusOnPlanet('earth', getEclipseView(eclipse));
+      selectedEclipse = index;
+      eclipsesContent.querySelectorAll('.eclipse-item').forEach(item => {
+        const on = item === btn;
+        item.classList.toggle('active', on);
+        item.setAttribute('aria-pressed', String(on));
+      });
+      announce(`${t('eclipses.jumped')}: ${t(`eclipses.${eclipse.type}.${eclipse.kind}`)}`);
+    });
+  });
+}
+
+if (btnEclipses) {
+  btnEclipses.addEventListener('click', () => {
+    if (eclipsesPanel.classList.contains('hidden')) {
+      openEclipsesPanel();
+    } else {
+      closeEclipsesPanel();
+    }
+  });
+}
+
+if (eclipsesClose) {
+  eclipsesClose.addEventListener('click', closeEclipsesPanel);
+}
+
+// ==================== Satellites (ISS panel) ====================
+
+const SATELLITES_STORAGE_KEY = 'ozmos-satellites';
+
+function saveSatellites() {
+  storageSet(SATELLITES_STORAGE_KEY, serializeSatellites());
+}
+
+function restoreSatellites() {
+  const restored = deserializeSatellites(storageGet(SATELLITES_STORAGE_KEY));
+  if (restored.length === 0) return;
+  restored.forEach(addSatellite);
+  scene?.refreshSatellites();
+}
+
+function renderISSPanelContent() {
+  const passOptions = { satelliteKey: passSatelliteKey, days: passDays };
+  safeRender(infoContent, () => renderISSInfo(scene?._simJD, passOptions, satelliteInput, satelliteError));
+  wireObserverForm();
+  wirePassHandlers();
+  wireSatelliteHandlers();
+}
+
+/** Recompute the pass list from the current simulation time, if shown */
+function refreshPassList() {
+  const list = document.getElementById('pass-list');
+  if (!list || typeof scene?._simJD !== 'number') return;
+  safeRender(list, () => renderPassList(scene._simJD, passSatelliteKey, passDays));
+  wirePassHandlers();
+}
+
+function wirePassHandlers() {
+  const satSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('pass-satellite'));
+  if (satSelect) {
+    satSelect.addEventListener('change', () => {
+      passSatelliteKey = satSelect.value;
+      refreshPassList();
+      document.getElementById('pass-satellite')?.focus();
+    });
+  }
+
+  const daysSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('pass-days'));
+  if (daysSelect) {
+    daysSelect.addEventListener('change', () => {
+      passDays = Number(daysSelect.value);
+      refreshPassList();
+      document.getElementById('pass-days')?.focus();
+    });
+  }
+
+  document.getElementById('pass-update')?.addEventListener('click', () => {
+    refreshPassList();
+    document.getElementById('pass-update')?.focus();
+  });
+}
+
+/** Re-render only the loader and list, keeping the panel's scroll position */
+function renderSatelliteSectionContent() {
+  const section = document.getElementById('satellite-section');
+  if (!section) return;
+  safeRender(section, () => renderSatelliteSection(satelliteInput, satelliteError));
+  wireSatelliteHandlers();
+  refreshISSPosition();
+  refreshPassList();
+}
+
+/** Re-render the ISS's live position in the info panel, if shown. */
+function refreshISSPosition() {
+  const grid = document.getElementById('iss-position-grid');
+  if (!grid || typeof scene?._simJD !== 'number') return;
+  grid.innerHTML = renderISSPositionGrid(scene._simJD);
+  const timeEl = document.getElementById('iss-position-time');
+  if (timeEl) timeEl.textContent = formatJulianUT(scene._simJD);
+}
+
+/** Parse pasted or loaded elements and add them, or show why they were refused */
+function loadSatelliteText(text) {
+  const { satellites, error } = parseSatelliteText(text);
+  if (error) {
+    satelliteInput = text.length <= 20000 ? text : '';
+    satelliteError = error;
+    renderSatelliteSectionContent();
+    document.getElementById('satellite-input')?.focus();
+    return;
+  }
+  satelliteInput = '';
+  satelliteError = null;
+  satellites.forEach(addSatellite);
+  saveSatellites();
+  scene?.refreshSatellites();
+  renderSatelliteSectionContent();
+  announce(`${t('satellites.added')}: ${satellites.length}`);
+}
+
+function wireSatelliteHandlers() {
+  const section = document.getElementById('satellite-section');
+  if (!section) return;
+
+  const form = document.getElementById('satellite-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = /** @type {HTMLTextAreaElement} */ (document.getElementById('satellite-input'));
+      loadSatelliteText(input.value);
+    });
+  }
+
+  const fileInput = /** @type {HTMLInputElement|null} */ (document.getElementById('satellite-file'));
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+      file.text().then(loadSatelliteText, () => {
+        satelliteError = 'format';
+        renderSatelliteSectionContent();
+      });
+    });
+  }
+
+  section.querySelectorAll('.satellite-track').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = /** @type {HTMLElement} */ (btn).dataset.key || '';
+      const sat = getSatellite(key);
+      if (!sat) return;
+      setSatelliteTracked(key, !sat.track);
+      saveSatellites();
+      scene?.refreshSatellites();
+      btn.classList.toggle('active', sat.track);
+      btn.setAttribute('aria-pressed', String(sat.track));
+    });
+  });
+
+  section.querySelectorAll('.satellite-delete').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const sat = getSatellite(/** @type {HTMLElement} */ (btn).dataset.key || '');
+      if (!sat) return;
+      removeSatellite(sat.key);
+      saveSatellites();
+      scene?.refreshSatellites();
+      renderSatelliteSectionContent();
+      announce(`${t('satellites.removed')}: ${sat.name}`);
+    });
+  });
+
+  const clearBtn = document.getElementById('satellite-clear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      clearSatellites();
+      saveSatellites();
+      scene?.refreshSatellites();
+      renderSatelliteSectionContent();
+      announce(t('satellites.removedAll'));
+    });
+  }
+}
+
+// ==================== Added Asteroids and Comets ====================
+
+const SMALL_BODIES_STORAGE_KEY = 'ozmos-small-bodies';
+
+function saveSmallBodies() {
+  storageSet(SMALL_BODIES_STORAGE_KEY, serializeSmallBodies());
+}
+
+/** Put a parsed body in the catalogue, the scene and the labels */
+function showSmallBody(body) {
+  addSmallBody(body);
+  if (scene) scene.addSmallBody(body);
+  createSmallBodyLabel(body);
+}
+
+function deleteSmallBody(key) {
+  const body = getSmallBody(key);
+  if (!body) return;
+  if (currentPlanetKey === key) closeInfoPanel();
+  if (scene) scene.removeSmallBody(key);
+  removeSmallBody(key);
+  removeLabel(key);
+  saveSmallBodies();
+  announce(`${t('smallBodies.removed')}: ${body.name}`);
+}
+
+function restoreSmallBodies() {
+  for (const body of deserializeSmallBodies(storageGet(SMALL_BODIES_STORAGE_KEY))) {
+    showSmallBody(body);
+  }
+}
+
+/**
+ * Open a body from a URL hash: a body key, or a shared '#sb=…' link that
+ * carries the elements — that body is added here first.
+ */
+function openHashTarget(hash) {
+  if (hash.startsWith(SMALL_BODY_HASH_PREFIX)) {
+    const body = decodeSmallBodyHash(hash);
+    if (!body) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+      return;
+    }
+    showSmallBody(body);
+    saveSmallBodies();
+    hash = body.key;
+  }
+  openInfoPanel(hash);
+}
+
+function renderBodiesPanelContent() {
+  safeRender(bodiesContent, () => renderSmallBodyPanel(smallBodyInput, smallBodyError));
+  wireBodiesPanelHandlers();
+}
+
+function openBodiesPanel() {
+  renderBodiesPanelContent();
+  bodiesPanel.classList.remove('hidden');
+  bodiesPanel.setAttribute('aria-hidden', 'false');
+  // Close other panels
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (quizPanel && !quizPanel.classList.contains('hidden')) closeQuizPanel();
+  if (missionPanel && !missionPanel.classList.contains('hidden')) closeMissionPanel();
+  comparePanel.classList.add('hidden');
+  comparePanel.setAttribute('aria-hidden', 'true');
+  btnCompare.classList.remove('active');
+  btnCompare.setAttribute('aria-pressed', 'false');
+  btnBodies.classList.add('active');
+  btnBodies.setAttribute('aria-pressed', 'true');
+  _activateTrap('bodies', bodiesPanel);
+}
+
+function closeBodiesPanel() {
+  bodiesPanel.classList.add('hidden');
+  bodiesPanel.setAttribute('aria-hidden', 'true');
+  btnBodies.classList.remove('active');
+  btnBodies.setAttribute('aria-pressed', 'false');
+  _releaseTrap('bodies');
+}
+
+function wireBodiesPanelHandlers() {
+  const form = document.getElementById('small-body-form');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = /** @type {HTMLTextAreaElement} */ (document.getElementById('small-body-input'));
+      const { bodies, error } = parseSmallBodyText(input.value);
+      if (error) {
+        smallBodyInput = input.value;
+        smallBodyError = error;
+        renderBodiesPanelContent();
+        document.getElementById('small-body-input')?.focus();
+        return;
+      }
+      smallBodyInput = '';
+      smallBodyError = null;
+      bodies.forEach(showSmallBody);
+      saveSmallBodies();
+      announce(`${t('smallBodies.added')}: ${bodies.map(b => b.name).join(', ')}`);
+      openInfoPanel(bodies[0].key);
+    });
+  }
+
+  bodiesContent.querySelectorAll('.small-body-preset').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const preset = COMET_PRESETS[Number(/** @type {HTMLElement} */ (btn).dataset.preset)];
+      const body = preset && createSmallBody(preset).body;
+      if (!body) return;
+      showSmallBody(body);
+      saveSmallBodies();
+      announce(`${t('smallBodies.added')}: ${body.name}`);
+      openInfoPanel(body.key);
+    });
+  });
+
+  bodiesContent.querySelectorAll('.small-body-item').forEach(btn => {
+    btn.addEventListener('click', () => openInfoPanel(/** @type {HTMLElement} */ (btn).dataset.key || ''));
+  });
+
+  bodiesContent.querySelectorAll('.small-body-delete').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteSmallBody(/** @type {HTMLElement} */ (btn).dataset.key || '');
+      renderBodiesPanelContent();
+    });
+  });
+}
+
+/** Observer form, share link and remove button of an added body's info panel */
+function wireSmallBodyInfoHandlers() {
+  wireObserverForm();
+
+  const linkBtn = document.getElementById('small-body-link');
+  if (linkBtn) {
+    linkBtn.addEventListener('click', () => {
+      const body = getSmallBody(linkBtn.dataset.key || '');
+      if (!body) return;
+      // Show the shareable link in the address bar too, in case the clipboard is blocked
+      const hash = '#' + encodeSmallBodyHash(body);
+      history.replaceState(null, '', hash);
+      navigator.clipboard?.writeText(window.location.href).then(() => {
+        linkBtn.textContent = t('smallBodies.linkCopied');
+        announce(t('smallBodies.linkCopied'));
+      }, () => {});
+    });
+  }
+
+  const removeBtn = document.getElementById('small-body-remove');
+  if (removeBtn) {
+    removeBtn.addEventListener('click', () => deleteSmallBody(removeBtn.dataset.key || ''));
+  }
+}
+
+if (btnBodies) {
+  btnBodies.addEventListener('click', () => {
+    if (bodiesPanel.classList.contains('hidden')) {
+      openBodiesPanel();
+    } else {
+      closeBodiesPanel();
+    }
+  });
+}
+
+if (bodiesClose) {
+  bodiesClose.addEventListener('click', closeBodiesPanel);
+}
+
+// ==================== Sky View (observer on Earth) ====================
+
+if (btnSkyView) {
+  btnSkyView.addEventListener('click', () => {
+    if (!scene) return;
+    if (scene.isSkyDomeActive) {
+      scene.exitSkyDome();
+      return;
+    }
+
+    // The sky view needs a running clock and the whole screen
+    if (flybyMode && flybyMode.isActive) flybyMode.exit();
+    if (cinematicTour && cinematicTour.isActive) btnTour.click();
+    if (missionModeActive) closeMissionPanel();
+    scene.enterSkyDome(getObserverLocation(), announce);
+  });
+}
+
+document.addEventListener('skydome-started', () => {
+  if (!infoPanel.classList.contains('hidden')) closeInfoPanel();
+  if (skyPanel && !skyPanel.classList.contains('hidden')) closeSkyPanel();
+  if (eventsPanel && !eventsPanel.classList.contains('hidden')) closeEventsPanel();
+  if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) closeEclipsesPanel();
+  if (transferPanel && !transferPanel.classList.contains('hidden')) closeTransferPanel();
+  if (gravityPanel && !gravityPanel.classList.contains('hidden')) closeGravityPanel();
+  if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) closeNBodyPanel();
+  if (stormPanel && !stormPanel.classList.contains('hidden')) closeStormPanel();
+  if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) closeBodiesPanel();
+  btnSkyView.classList.add('active');
+  btnSkyView.setAttribute('aria-pressed', 'true');
+});
+
+document.addEventListener('skydome-ended', () => {
+  btnSkyView.classList.remove('active');
+  btnSkyView.setAttribute('aria-pressed', 'false');
+});
+
+// ==================== Info Panel Drag-to-Dismiss (Mobile) ====================
+
+if (infoDragHandle) {
+  let dragStartY = 0;
+  let panelStartY = 0;
+  let isDragging = false;
+
+  infoDragHandle.addEventListener('touchstart', (e) => {
+    if (window.innerWidth >= 768) return;
+    isDragging = true;
+    dragStartY = e.touches[0].clientY;
     panelStartY = infoPanel.getBoundingClientRect().top;
     infoPanel.style.transition = 'none';
   }, { passive: true });
@@ -2249,6 +4364,9 @@ document.addEventListener('keydown', (e) => {
       return;
     }
 
+    // The sky view handles its own Escape
+    if (scene?.isSkyDomeActive) return;
+
     // Exit mission mode first
     if (missionModeActive) {
       exitMissionMode();
@@ -2262,6 +4380,22 @@ document.addEventListener('keydown', (e) => {
       closeInfoPanel();
     } else if (quizPanel && !quizPanel.classList.contains('hidden')) {
       closeQuizPanel();
+    } else if (skyPanel && !skyPanel.classList.contains('hidden')) {
+      closeSkyPanel();
+    } else if (eventsPanel && !eventsPanel.classList.contains('hidden')) {
+      closeEventsPanel();
+    } else if (eclipsesPanel && !eclipsesPanel.classList.contains('hidden')) {
+      closeEclipsesPanel();
+    } else if (transferPanel && !transferPanel.classList.contains('hidden')) {
+      closeTransferPanel();
+    } else if (gravityPanel && !gravityPanel.classList.contains('hidden')) {
+      closeGravityPanel();
+    } else if (nbodyPanel && !nbodyPanel.classList.contains('hidden')) {
+      closeNBodyPanel();
+    } else if (stormPanel && !stormPanel.classList.contains('hidden')) {
+      closeStormPanel();
+    } else if (bodiesPanel && !bodiesPanel.classList.contains('hidden')) {
+      closeBodiesPanel();
     } else if (missionPanel && !missionPanel.classList.contains('hidden')) {
       closeMissionPanel();
     } else if (!comparePanel.classList.contains('hidden')) {
@@ -2283,15 +4417,15 @@ document.addEventListener('keydown', (e) => {
   // Space to toggle pause
   if (e.key === ' ') {
     e.preventDefault();
-    if (speeds[speedIndex] === 0) {
+    if (liveTime) {
+      setLiveTime(false);
+      speedIndex = 0;
+    } else if (speeds[speedIndex] === 0) {
       speedIndex = 2;
     } else {
       speedIndex = 0;
     }
-    if (scene) scene.setAnimationSpeed(speeds[speedIndex]);
-    const speedDisplay = t(speedKeys[speedIndex]);
-    speedLabel.textContent = speedDisplay;
-    btnSpeed.setAttribute('aria-label', t('aria.speed') + ': ' + speedDisplay);
+    applySimulationSpeed();
   }
 });
 
@@ -2342,21 +4476,26 @@ const VALID_BODY_KEYS = new Set([
   ...Object.keys(ASTEROIDS),
 ]);
 
+/** Whether a URL hash names a body, or carries a shared asteroid or comet */
+function isBodyHash(hash) {
+  return VALID_BODY_KEYS.has(hash) || !!getSmallBody(hash) || hash.startsWith(SMALL_BODY_HASH_PREFIX);
+}
+
 function handleInitialHash() {
   const hash = window.location.hash.replace('#', '');
   if (!hash) return;
-  if (VALID_BODY_KEYS.has(hash)) {
+  if (isBodyHash(hash)) {
     // Defer hash navigation until cinematic sweep completes so the
     // Earth → overview opening isn't interrupted
     if (scene && scene._cinematicSweepActive) {
       const check = setInterval(() => {
         if (!scene._cinematicSweepActive) {
           clearInterval(check);
-          openInfoPanel(hash);
+          openHashTarget(hash);
         }
       }, 500);
     } else {
-      openInfoPanel(hash);
+      openHashTarget(hash);
     }
   } else {
     // Invalid hash — clear it to avoid confusing state
@@ -2366,9 +4505,9 @@ function handleInitialHash() {
 
 window.addEventListener('hashchange', () => {
   const hash = window.location.hash.replace('#', '');
-  if (hash && VALID_BODY_KEYS.has(hash)) {
+  if (hash && isBodyHash(hash)) {
     if (currentPlanetKey !== hash) {
-      openInfoPanel(hash);
+      openHashTarget(hash);
     }
   } else if (!hash) {
     closeInfoPanel();
@@ -4,6 +4,10 @@
 import * as THREE from 'three';
 import { ASTEROIDS, ASTEROID_ORDER } from '../data/asteroids.js';
 
+/** True distances (AU) of the belt centres, for the true-scale layouts */
+const MAIN_BELT_CENTER_AU = 2.7;
+const KUIPER_BELT_CENTER_AU = 44;
+
 export class AsteroidBelt {
   constructor(scene) {
     this.scene = scene;
@@ -22,6 +26,7 @@ export class AsteroidBelt {
     if (this._quality === 'low') count = 180;
 
     this._mainBeltGroup = new THREE.Group();
+    this._mainBeltRadius = (innerRadius + outerRadius) / 2;
 
     // Two geometry variants: rounded (gentle bumps) and angular (sharper facets)
     const geoRounded = this._createDeformedIcosahedron(1, 2, 42);             // 0.80–1.20
@@ -155,6 +160,7 @@ export class AsteroidBelt {
     // Real Kuiper belt is vastly sparser than the asteroid belt — just a thin distant scatter.
     if (this._quality === 'low') count = 18;
     this.kuiperBelt = this._createPointsBelt(innerRadius, outerRadius, count, 5.0, 'kuiper');
+    this._kuiperRadius = (innerRadius + outerRadius) / 2;
     this.scene.add(this.kuiperBelt);
   }
 
@@ -381,7 +387,7 @@ export class AsteroidBelt {
       juno:   [6.30, 3.40, 9.20, 1.50],
       eros:   [9.10, 1.80, 5.50, 3.20],
     };
-    const [ox, oy, ox2, oy2] = phases[key] || [0, 0, 0, 0];
+    const [ox, oy, ox2, oy2] = phases[key] || this._seededPhases(key);
 
     // Reduced amplitudes: texture provides visual detail, geometry just gives a potato shape
     const amp = { vesta: 0.06, pallas: 0.08, hygiea: 0.03, juno: 0.07, eros: 0.06 };
@@ -420,6 +426,15 @@ export class AsteroidBelt {
     return geo;
   }
 
+  /** Noise phase offsets derived from a key, for bodies without hand-picked ones */
+  _seededPhases(key) {
+    let h = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+      h = Math.imul(h ^ key.charCodeAt(i), 16777619) >>> 0;
+    }
+    return [0, 8, 16, 24].map(shift => ((h >>> shift) & 0xff) / 25.5);
+  }
+
   // ─── Procedural canvas texture generation ────────────────────────────────────
 
   /**
@@ -709,6 +724,23 @@ export class AsteroidBelt {
     return mat;
   }
 
+  /**
+   * Mesh for an asteroid or comet added from orbital elements. The key seeds
+   * the shape, so each body looks different; the caller places it in the scene.
+   * @param {string} key
+   * @param {number} displayRadius - scene units
+   * @returns {THREE.Mesh}
+   */
+  createSmallBodyMesh(key, displayRadius) {
+    const geo = this._createAsteroidGeometry(key);
+    const mat = this._generateAsteroidMaterial(key);
+    const mesh = new THREE.Mesh(geo, mat);
+    geo.computeBoundingSphere();
+    mesh.scale.setScalar(displayRadius / geo.boundingSphere.radius);
+    mesh.userData = { key, type: 'planet' };
+    return mesh;
+  }
+
   /** Get a notable asteroid entry */
   getNotableAsteroid(key) {
     return this._notableAsteroids[key] || null;
@@ -744,6 +776,20 @@ export class AsteroidBelt {
     }
   }
 
+  // ─── Scale ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Stretch both belts from their artistic radii toward their true distances.
+   * @param {number} t - 0 = artistic layout, 1 = true distances
+   * @param {number} unitsPerAU - scene units per AU at true distance
+   */
+  setDistanceBlend(t, unitsPerAU) {
+    const stretch = (artisticRadius, centerAU) =>
+      1 + (centerAU * unitsPerAU / artisticRadius - 1) * t;
+    if (this._mainBeltGroup) this._mainBeltGroup.scale.setScalar(stretch(this._mainBeltRadius, MAIN_BELT_CENTER_AU));
+    if (this.kuiperBelt) this.kuiperBelt.scale.setScalar(stretch(this._kuiperRadius, KUIPER_BELT_CENTER_AU));
+  }
+
   setVisible(visible) {
     if (this._mainBeltGroup) this._mainBeltGroup.visible = visible;
     if (this.kuiperBelt) this.kuiperBelt.visible = visible;
@@ -0,0 +1,306 @@
+/**
+ * Earth's auroral oval for a Kp index: the ring around each geomagnetic
+ * pole where the aurora is overhead, the "view line" it can be seen from
+ * low on the horizon, and whether an observer could see it.
+ *
+ * The field is taken as a dipole tilted by MAGNETIC_FIELDS.earth.tilt from
+ * the spin axis, and the oval as a ring of constant magnetic latitude. The
+ * boundaries are the oval's night side, where it reaches furthest from the
+ * pole — the side an observer looks at after dark. Real ovals also bulge
+ * with the field's irregularities, so a site near the line is a maybe.
+ *
+ * The drawing sits on the Earth mesh and turns with it, like the eclipse
+ * path: texture longitude 0 lies on +x, east toward −z.
+ */
+import * as THREE from 'three';
+import { MAGNETIC_FIELDS } from '../data/magneticFields.js';
+import { EARTH_RADIUS_KM } from './Eclipses.js';
+import { DEG_TO_RAD } from './OrbitalMechanics.js';
+
+/** Geographic longitude of the dipole's northern pole (IGRF-13, 2020) */
+const POLE_LONGITUDE = -72.7;
+
+/** Where the dipole's northern pole meets the ground (degrees) */
+export const GEOMAGNETIC_POLE = { lat: 90 - MAGNETIC_FIELDS.earth.tilt, lon: POLE_LONGITUDE };
+
+/**
+ * Where the aurora can just be seen low on the horizon: magnetic latitude at
+ * Kp 0 and its fall per Kp step, from the Kp–latitude table forecasters use.
+ */
+const VIEW_LINE_KP0 = 66.5;
+const VIEW_LINE_PER_KP = 2.04;
+
+/** Poleward edge of the night-side oval, likewise */
+const POLEWARD_KP0 = 77;
+const POLEWARD_PER_KP = 1.1;
+
+/** Height of the aurora's lower edge (km) */
+const AURORA_HEIGHT_KM = 110;
+
+/** Lowest the aurora can stand and still be made out over haze and hills (degrees) */
+const MIN_ELEVATION = 10;
+
+/**
+ * How far from the oval its lower edge still clears MIN_ELEVATION (degrees
+ * of latitude): the gap between the view line and the oval's equatorward edge.
+ */
+export const VIEW_LINE_OFFSET = (Math.acos(EARTH_RADIUS_KM * Math.cos(MIN_ELEVATION * DEG_TO_RAD) /
+  (EARTH_RADIUS_KM + AURORA_HEIGHT_KM)) / DEG_TO_RAD) - MIN_ELEVATION;
+
+/** Highest Kp on the scale */
+export const MAX_KP = 9;
+
+/**
+ * Magnetic latitude of a site in the tilted-dipole field.
+ * @param {number} lat - degrees
+ * @param {number} lon - degrees, east positive
+ * @returns {number} degrees, negative in the south
+ */
+export function getMagneticLatitude(lat, lon) {
+  const phi = lat * DEG_TO_RAD;
+  const poleLat = GEOMAGNETIC_POLE.lat * DEG_TO_RAD;
+  const sin = Math.sin(phi) * Math.sin(poleLat) +
+    Math.cos(phi) * Math.cos(poleLat) * Math.cos((lon - GEOMAGNETIC_POLE.lon) * DEG_TO_RAD);
+  return Math.asin(Math.min(1, Math.max(-1, sin))) / DEG_TO_RAD;
+}
+
+/**
+ * The night-side oval's edges and its view line for a Kp index: the oval
+ * widens and slides equatorward as Kp rises.
+ * @param {number} kp
+ * @returns {{ equatorward: number, poleward: number, viewLine: number }} magnetic latitudes (degrees)
+ */
+export function getOvalBoundaries(kp) {
+  const viewLine = VIEW_LINE_KP0 - VIEW_LINE_PER_KP * kp;
+  return {
+    equatorward: viewLine + VIEW_LINE_OFFSET,
+    poleward: POLEWARD_KP0 - POLEWARD_PER_KP * kp,
+    viewLine,
+  };
+}
+
+/**
+ * Whether a site could see the aurora at a Kp index, on a dark, clear night.
+ * Inside the oval it is overhead; between the oval and the view line, or
+ * poleward of the oval, it stands low in the sky.
+ * @param {number} kp
+ * @param {number} lat - degrees
+ * @param {number} lon - degrees, east positive
+ * @returns {'overhead'|'horizon'|'none'}
+ */
+export function getAuroraVisibility(kp, lat, lon) {
+  const magLat = Math.abs(getMagneticLatitude(lat, lon));
+  const { equatorward, poleward, viewLine } = getOvalBoundaries(kp);
+  if (magLat >= equatorward && magLat <= poleward) return 'overhead';
+  if (magLat >= viewLine) return 'horizon';
+  return 'none';
+}
+
+/**
+ * The smallest Kp that brings the aurora into a site's sky, and overhead.
+ * @param {number} lat - degrees
+ * @param {number} lon - degrees, east positive
+ * @returns {{ horizon: number|null, overhead: number|null }} null where even Kp 9 falls short
+ */
+export function getMinimumKp(lat, lon) {
+  const magLat = Math.abs(getMagneticLatitude(lat, lon));
+  // The Kp that brings the view line down to a magnetic latitude
+  const needed = (viewLine) => {
+    const kp = Math.max(0, (VIEW_LINE_KP0 - viewLine) / VIEW_LINE_PER_KP);
+    return kp <= MAX_KP ? kp : null;
+  };
+  return { horizon: needed(magLat), overhead: needed(magLat - VIEW_LINE_OFFSET) };
+}
+
+/**
+ * A ring of constant magnetic latitude in geographic coordinates.
+ * @param {number} magLat - degrees, negative for the southern ring
+ * @param {number} [steps]
+ * @returns {Array<{ lat: number, lon: number }>} closed: the last point repeats the first
+ */
+export function getMagneticLatitudeRing(magLat, steps = 120) {
+  const m = magLat * DEG_TO_RAD;
+  const colat = (90 - GEOMAGNETIC_POLE.lat) * DEG_TO_RAD;
+  const poleLon = GEOMAGNETIC_POLE.lon * DEG_TO_RAD;
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const psi = (i / steps) * Math.PI * 2;
+    // On the dipole's own sphere, then tilted onto the pole and turned to its longitude
+    const x0 = Math.cos(m) * Math.cos(psi);
+    const y = Math.cos(m) * Math.sin(psi);
+    const z0 = Math.sin(m);
+    const x1 = x0 * Math.cos(colat) + z0 * Math.sin(colat);
+    const z = -x0 * Math.sin(colat) + z0 * Math.cos(colat);
+    const x = x1 * Math.cos(poleLon) - y * Math.sin(poleLon);
+    const yy = x1 * Math.sin(poleLon) + y * Math.cos(poleLon);
+    points.push({
+      lat: Math.asin(Math.min(1, Math.max(-1, z))) / DEG_TO_RAD,
+      lon: Math.atan2(yy, x) / DEG_TO_RAD,
+    });
+  }
+  return points;
+}
+
+// ==================== Drawing ====================
+
+const AURORA_COLOR = 0x33ff66;
+const VIEW_LINE_COLOR = 0xaaffbb;
+const OBSERVER_COLOR = 0xffffff;
+
+/** The oval sits just above the cloud layer, where the aurora is */
+const BAND_LIFT = 1.02;
+const LINE_LIFT = 1.021;
+
+const BAND_OPACITY = 0.35;
+const LINE_OPACITY = 0.9;
+
+/** Kp change that redraws the rings */
+const KP_STEP = 0.05;
+
+function toLocal({ lat, lon }, r, target = new THREE.Vector3()) {
+  const phi = lat * DEG_TO_RAD;
+  const lam = lon * DEG_TO_RAD;
+  return target.set(r * Math.cos(phi) * Math.cos(lam), r * Math.sin(phi), -r * Math.cos(phi) * Math.sin(lam));
+}
+
+export class AuroraOval {
+  /**
+   * @param {THREE.Object3D} earth - Earth's mesh
+   * @param {number} earthRadius - its radius in scene units
+   */
+  constructor(earth, earthRadius) {
+    this.earth = earth;
+    this.earthRadius = earthRadius;
+    this.kp = null;
+    this.brightness = 1;
+
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    earth.add(this.group);
+
+    this._bandMaterial = new THREE.MeshBasicMaterial({
+      color: AURORA_COLOR,
+      transparent: true,
+      opacity: BAND_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this._edgeMaterial = new THREE.LineBasicMaterial({ color: AURORA_COLOR, transparent: true, opacity: LINE_OPACITY });
+    this._viewMaterial = new THREE.LineDashedMaterial({
+      color: VIEW_LINE_COLOR,
+      transparent: true,
+      opacity: LINE_OPACITY,
+      dashSize: earthRadius * 0.04,
+      gapSize: earthRadius * 0.03,
+    });
+    /** @type {THREE.Object3D[]} */
+    this._rings = [];
+
+    this._observer = new THREE.Mesh(
+      new THREE.SphereGeometry(earthRadius * 0.015, 12, 12),
+      new THREE.MeshBasicMaterial({ color: OBSERVER_COLOR }),
+    );
+    this._observer.visible = false;
+    this.group.add(this._observer);
+  }
+
+  /**
+   * Draw the oval and view lines for a Kp index.
+   * @param {number} kp
+   */
+  setKp(kp) {
+    if (this.kp !== null && Math.abs(kp - this.kp) < KP_STEP) return;
+    this.kp = kp;
+    this._clearRings();
+    const { equatorward, poleward, viewLine } = getOvalBoundaries(kp);
+    for (const sign of [1, -1]) {
+      this._addBand(sign * equatorward, sign * poleward);
+      this._addLine(sign * equatorward, this._edgeMaterial);
+      this._addLine(sign * viewLine, this._viewMaterial);
+    }
+  }
+
+  /**
+   * How brightly the oval glows, for a storm's aurora coming and going.
+   * @param {number} brightness - 0 to 1
+   */
+  setBrightness(brightness) {
+    this.brightness = brightness;
+    this._bandMaterial.opacity = BAND_OPACITY * brightness;
+    this._edgeMaterial.opacity = LINE_OPACITY * brightness;
+    this._viewMaterial.opacity = LINE_OPACITY * brightness;
+  }
+
+  /**
+   * Mark the observer's site on the globe.
+   * @param {{ lat: number, lon: number }|null} site
+   */
+  setObserver(site) {
+    this._observer.visible = !!site;
+    if (site) toLocal(site, this.earthRadius * LINE_LIFT, this._observer.position);
+  }
+
+  /** @param {boolean} visible */
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  get visible() {
+    return this.group.visible;
+  }
+
+  _addBand(fromLat, toLat) {
+    const inner = getMagneticLatitudeRing(fromLat);
+    const outer = getMagneticLatitudeRing(toLat);
+    const positions = [];
+    const r = this.earthRadius * BAND_LIFT;
+    const p = new THREE.Vector3();
+    for (let i = 0; i < inner.length; i++) {
+      toLocal(inner[i], r, p);
+      positions.push(p.x, p.y, p.z);
+      toLocal(outer[i], r, p);
+      positions.push(p.x, p.y, p.z);
+    }
+    const index = [];
+    for (let i = 0; i < inner.length - 1; i++) {
+      const a = i * 2;
+      index.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geo.setIndex(index);
+    this._addRing(new THREE.Mesh(geo, this._bandMaterial));
+  }
+
+  _addLine(magLat, material) {
+    const r = this.earthRadius * LINE_LIFT;
+    const points = getMagneticLatitudeRing(magLat).map(p => toLocal(p, r));
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+    if (material.isLineDashedMaterial) line.computeLineDistances();
+    this._addRing(line);
+  }
+
+  _addRing(obj) {
+    this._rings.push(obj);
+    this.group.add(obj);
+  }
+
+  _clearRings() {
+    for (const obj of this._rings) {
+      this.group.remove(obj);
+      obj.geometry.dispose();
+    }
+    this._rings = [];
+  }
+
+  dispose() {
+    this._clearRings();
+    this._bandMaterial.dispose();
+    this._edgeMaterial.dispose();
+    this._viewMaterial.dispose();
+    this._observer.geometry.dispose();
+    this._observer.material.dispose();
+    this.group.removeFromParent();
+  }
+}
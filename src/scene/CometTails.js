@@ -0,0 +1,189 @@
+/**
+ * CometTails — coma, ion tail and dust tail for an added comet.
+ *
+ * The ion tail points straight away from the Sun; the dust tail curves back
+ * along the orbit. Both grow and brighten as the comet nears the Sun, from
+ * nothing beyond the water-ice sublimation zone to full length inside 1 AU.
+ */
+import * as THREE from 'three';
+import { cometTailVertexShader, cometTailFragmentShader } from '../shaders/cometShader.js';
+
+/** Heliocentric distance (AU) where activity switches on */
+const ACTIVE_DISTANCE = 4;
+
+/** Activity saturates at this value of (ACTIVE_DISTANCE / r)² − 1, i.e. at 1 AU */
+const ACTIVITY_SATURATION = 15;
+
+const TAILS = {
+  ion: {
+    count: 1400,
+    maxLength: 22,
+    curvature: 0,
+    spread: 0.05,
+    flow: 0.35,
+    ripple: 0.015,
+    size: 0.9,
+    color: 0x7fb8ff,
+    tipColor: 0x3a5cff,
+  },
+  dust: {
+    count: 1800,
+    maxLength: 14,
+    curvature: 0.35,
+    spread: 0.16,
+    flow: 0.08,
+    ripple: 0,
+    size: 1.2,
+    color: 0xfff2d0,
+    tipColor: 0xd8b27a,
+  },
+};
+
+/**
+ * Activity level 0–1 at a heliocentric distance.
+ * @param {number} rAU
+ */
+export function getCometActivity(rAU) {
+  if (!(rAU > 0)) return 0;
+  const level = (ACTIVE_DISTANCE / rAU) ** 2 - 1;
+  return THREE.MathUtils.clamp(level, 0, ACTIVITY_SATURATION) / ACTIVITY_SATURATION;
+}
+
+export class CometTails {
+  /**
+   * @param {THREE.Scene} scene
+   */
+  constructor(scene) {
+    this._scene = scene;
+    this.group = new THREE.Group();
+    this._tails = {};
+
+    for (const [name, cfg] of Object.entries(TAILS)) {
+      const points = this._createTail(cfg);
+      this._tails[name] = { points, cfg };
+      this.group.add(points);
+    }
+
+    const comaTexture = new THREE.CanvasTexture(this._createComaSprite());
+    this._coma = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: comaTexture,
+      color: 0xcfe6ff,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      opacity: 0,
+    }));
+    this.group.add(this._coma);
+
+    this._scene.add(this.group);
+  }
+
+  _createTail(cfg) {
+    const offsets = new Float32Array(cfg.count);
+    const spreads = new Float32Array(cfg.count * 2);
+    const seeds = new Float32Array(cfg.count);
+    for (let i = 0; i < cfg.count; i++) {
+      offsets[i] = Math.random();
+      // Random point in the unit disc, denser toward the axis
+      const angle = Math.random() * Math.PI * 2;
+      const radius = Math.pow(Math.random(), 0.75);
+      spreads[i * 2] = Math.cos(angle) * radius;
+      spreads[i * 2 + 1] = Math.sin(angle) * radius;
+      seeds[i] = Math.random();
+    }
+
+    const geo = new THREE.BufferGeometry();
+    // Positions are computed in the shader; the attribute only sets the count
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(cfg.count * 3), 3));
+    geo.setAttribute('aOffset', new THREE.BufferAttribute(offsets, 1));
+    geo.setAttribute('aSpread', new THREE.BufferAttribute(spreads, 2));
+    geo.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+
+    const mat = new THREE.ShaderMaterial({
+      vertexShader: cometTailVertexShader,
+      fragmentShader: cometTailFragmentShader,
+      uniforms: {
+        uTime: { value: 0 },
+        uAntiSun: { value: new THREE.Vector3(1, 0, 0) },
+        uLag: { value: new THREE.Vector3(0, 0, 0) },
+        uLength: { value: 0 },
+        uCurvature: { value: cfg.curvature },
+        uSpread: { value: cfg.spread },
+        uFlow: { value: cfg.flow },
+        uRipple: { value: cfg.ripple },
+        uSize: { value: cfg.size },
+        uBrightness: { value: 0 },
+        uColor: { value: new THREE.Color(cfg.color) },
+        uTipColor: { value: new THREE.Color(cfg.tipColor) },
+      },
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const points = new THREE.Points(geo, mat);
+    points.frustumCulled = false; // the shader moves particles far from the bounding sphere
+    return points;
+  }
+
+  /** Generate a 64x64 soft glow sprite for the coma */
+  _createComaSprite() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const c = size / 2;
+
+    const grad = ctx.createRadialGradient(c, c, 0, c, c, c);
+    grad.addColorStop(0, 'rgba(255,255,255,1)');
+    grad.addColorStop(0.2, 'rgba(200,230,255,0.6)');
+    grad.addColorStop(0.5, 'rgba(120,180,230,0.2)');
+    grad.addColorStop(1, 'rgba(60,120,200,0)');
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, size, size);
+    return canvas;
+  }
+
+  /**
+   * Place the tails for the comet's current position and motion.
+   * @param {THREE.Vector3} position - nucleus scene position (Sun at the origin)
+   * @param {THREE.Vector3} velocity - scene-space direction of motion
+   * @param {number} rAU - heliocentric distance
+   */
+  setState(position, velocity, rAU) {
+    this.group.position.copy(position);
+    const antiSun = position.clone().normalize();
+    const lag = velocity.clone().normalize().negate();
+    const activity = getCometActivity(rAU);
+
+    for (const { points, cfg } of Object.values(this._tails)) {
+      const u = points.material.uniforms;
+      u.uAntiSun.value.copy(antiSun);
+      u.uLag.value.copy(lag);
+      u.uLength.value = cfg.maxLength * Math.sqrt(activity);
+      u.uBrightness.value = activity;
+      points.visible = activity > 0;
+    }
+
+    this._coma.material.opacity = 0.15 + activity * 0.75;
+    this._coma.scale.setScalar(0.8 + activity * 2.4);
+  }
+
+  /** Advance the particle flow */
+  update(elapsed) {
+    for (const { points } of Object.values(this._tails)) {
+      points.material.uniforms.uTime.value = elapsed;
+    }
+  }
+
+  dispose() {
+    this._scene.remove(this.group);
+    for (const { points } of Object.values(this._tails)) {
+      points.geometry.dispose();
+      points.material.dispose();
+    }
+    this._coma.material.map.dispose();
+    this._coma.material.dispose();
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Drag-based model (DBM) of a CME crossing the Solar System, after Vršnak
+ * et al. (2013): beyond about 20 solar radii a CME is steered only by drag
+ * against the ambient solar wind, dv/dt = −γ(v − w)|v − w|. A fast CME
+ * slows towards the wind's speed and a slow one is dragged up to it, so a
+ * forecast needs just the launch speed, the wind speed and γ.
+ *
+ * γ comes from the CME's size and mass: γ = C_d·A·ρ_w / M. Its cross
+ * section A grows as r² while the wind's density falls as 1/r², so γ stays
+ * constant — the assumption the model's closed-form solution rests on.
+ */
+import { getPlanetHeliocentricAU, DEG_TO_RAD, KM_PER_AU } from './OrbitalMechanics.js';
+import { QUIET_SOLAR_WIND } from './SolarWind.js';
+
+/** Where the model takes over and the forecast clock starts (km) — 20 solar radii */
+export const DBM_START_KM = 20 * 695700;
+
+/** Drag coefficient — of order one for a CME (Cargill 2004) */
+const DRAG_COEFFICIENT = 1;
+
+/** Proton mass (kg) */
+const PROTON_MASS = 1.67262e-27;
+
+/**
+ * @typedef {Object} CMEParameters
+ * @property {number} longitude - ecliptic longitude the CME heads for (degrees)
+ * @property {number} latitude - ecliptic latitude (degrees)
+ * @property {number} speed - at 20 solar radii (km/s)
+ * @property {number} width - full angular width of the cone (degrees)
+ * @property {number} mass - kg
+ * @property {number} windSpeed - ambient solar wind (km/s)
+ */
+
+/**
+ * @typedef {Object} CMEArrival
+ * @property {string} key - planet
+ * @property {boolean} hit - the planet is inside the cone when the CME gets there
+ * @property {number} offset - angle between the cone's axis and the planet (degrees)
+ * @property {number} hours - from launch to arrival at the planet's distance
+ * @property {number} arrivalJD
+ * @property {number} speed - CME speed on arrival (km/s)
+ */
+
+/**
+ * The drag parameter γ for a CME of some width and mass in the ambient wind.
+ * @param {{ width: number, mass: number }} cme - width in degrees, mass in kg
+ * @param {number} [density] - ambient wind at 1 AU (protons per cm³)
+ * @returns {number} km⁻¹
+ */
+export function getDragParameter({ width, mass }, density = QUIET_SOLAR_WIND.density) {
+  const halfWidth = Math.tan(width / 2 * DEG_TO_RAD);
+  const auMetres = KM_PER_AU * 1000;
+  // A·ρ_w at any distance, equal to its value at 1 AU
+  const areaDensity = Math.PI * halfWidth * halfWidth * auMetres * auMetres * density * 1e6 * PROTON_MASS;
+  return DRAG_COEFFICIENT * areaDensity / mass * 1000;
+}
+
+/**
+ * Where the CME is and how fast it goes some time after launch.
+ * @param {CMEParameters} cme
+ * @param {number} hours - since the CME passed 20 solar radii
+ * @returns {{ distanceAU: number, speed: number }}
+ */
+export function getDBMKinematics(cme, hours) {
+  const gamma = getDragParameter(cme);
+  const t = hours * 3600;
+  const excess = cme.speed - cme.windSpeed;
+  const sign = excess >= 0 ? 1 : -1;
+  const damping = 1 + sign * gamma * excess * t;
+  const distance = excess === 0
+    ? cme.windSpeed * t
+    : sign * Math.log(damping) / gamma + cme.windSpeed * t;
+  return {
+    distanceAU: (DBM_START_KM + distance) / KM_PER_AU,
+    speed: excess / damping + cme.windSpeed,
+  };
+}
+
+/**
+ * When the CME reaches a distance from the Sun.
+ * @param {CMEParameters} cme
+ * @param {number} distanceAU
+ * @returns {{ hours: number, speed: number }} hours since launch and the speed then (km/s)
+ */
+export function getDBMArrival(cme, distanceAU) {
+  if (distanceAU * KM_PER_AU <= DBM_START_KM) return { hours: 0, speed: cme.speed };
+  // Distance grows steadily with time, so bracket the arrival and halve
+  let lo = 0;
+  let hi = 24;
+  while (getDBMKinematics(cme, hi).distanceAU < distanceAU) hi *= 2;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (getDBMKinematics(cme, mid).distanceAU < distanceAU) lo = mid;
+    else hi = mid;
+  }
+  return { hours: hi, speed: getDBMKinematics(cme, hi).speed };
+}
+
+/**
+ * Angle between the CME's axis and a point.
+ * @param {CMEParameters} cme
+ * @param {{ x: number, y: number, z: number }} posAU - heliocentric ecliptic
+ * @returns {number} degrees
+ */
+export function getConeOffset({ longitude, latitude }, posAU) {
+  const lon = longitude * DEG_TO_RAD;
+  const lat = latitude * DEG_TO_RAD;
+  const r = Math.hypot(posAU.x, posAU.y, posAU.z);
+  const cos = (Math.cos(lat) * Math.cos(lon) * posAU.x + Math.cos(lat) * Math.sin(lon) * posAU.y +
+    Math.sin(lat) * posAU.z) / r;
+  return Math.acos(Math.min(1, Math.max(-1, cos))) / DEG_TO_RAD;
+}
+
+/**
+ * Forecast the CME at each planet: when it gets to the planet's distance,
+ * how fast it is going then, and whether the planet — where it will be by
+ * then — is inside the cone.
+ * @param {CMEParameters} cme
+ * @param {number} launchJD - when the CME passes 20 solar radii
+ * @param {string[]} keys - planets
+ * @returns {CMEArrival[]} in order of arrival
+ */
+export function predictCMEArrivals(cme, launchJD, keys) {
+  return keys.map((key) => {
+    const start = getPlanetHeliocentricAU(key, launchJD);
+    let arrival = getDBMArrival(cme, Math.hypot(start.x, start.y, start.z));
+    // The planet moves on while the CME travels; one refinement is plenty
+    const pos = getPlanetHeliocentricAU(key, launchJD + arrival.hours / 24);
+    arrival = getDBMArrival(cme, Math.hypot(pos.x, pos.y, pos.z));
+    const offset = getConeOffset(cme, pos);
+    return {
+      key,
+      hit: offset <= cme.width / 2,
+      offset,
+      hours: arrival.hours,
+      arrivalJD: launchJD + arrival.hours / 24,
+      speed: arrival.speed,
+    };
+  }).sort((a, b) => a.hours - b.hours);
+}
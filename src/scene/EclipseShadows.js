@@ -0,0 +1,290 @@
+/**
+ * Eclipse shadows in the scene: the Moon's umbra and penumbra reaching
+ * Earth, the umbra's spot on the ground and the central line of a chosen
+ * solar eclipse, Earth's shadow cones at the Moon for lunar eclipses, and
+ * the Moon darkening and turning copper-red inside Earth's shadow.
+ *
+ * The scene is not to scale, so each cone is fitted to it: it runs from the
+ * body casting the shadow to where the real shadow axis passes the other
+ * body, with radii scaled by that body's drawn size. The shadow therefore
+ * falls on the drawn Earth or Moon exactly where it really does. The Moon's
+ * reddening is always on; the cones and path show in eclipse mode only.
+ */
+import * as THREE from 'three';
+import {
+  getSolarShadow, getLunarShadow, isSolarEclipseOn, isLunarEclipseOn,
+  EARTH_RADIUS_KM, MOON_RADIUS_KM,
+} from './Eclipses.js';
+
+// ==================== Constants ====================
+
+const CONE_SEGMENTS = 48;
+const UMBRA_COLOR = 0x000000;
+const PENUMBRA_COLOR = 0x0a0a18;
+const PATH_COLOR = 0xff5533;
+
+/** Central line sits just above the surface so it is not hidden by the terrain shading */
+const PATH_LIFT = 1.003;
+
+/** Smallest drawn umbra spot, as a fraction of Earth's drawn radius */
+const MIN_SPOT_RADIUS = 0.015;
+
+const _earth = new THREE.Vector3();
+const _moon = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+/** J2000 ecliptic (x, y, z) → scene (x, z, y), as for planet positions */
+function toScene(v, s, target) {
+  return target.set(v.x * s, v.z * s, v.y * s);
+}
+
+/** Radius of a sphere mesh as drawn in the world */
+function worldRadius(mesh, geometryRadius) {
+  return geometryRadius * mesh.getWorldScale(_scale).x;
+}
+
+// ==================== Moon Shading ====================
+
+const MOON_SHADOW_VERTEX = /* glsl */`
+  vEclipseWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;`;
+
+const MOON_SHADOW_FRAGMENT = /* glsl */`
+  if (uEclipseOn > 0.5) {
+    vec3 rel = vEclipseWorld - uShadowOrigin;
+    float d = length(rel - dot(rel, uShadowAxis) * uShadowAxis);
+    float umbra = 1.0 - smoothstep(uUmbraRadius * 0.97, uUmbraRadius * 1.03, d);
+    float penumbra = 1.0 - smoothstep(uUmbraRadius, uPenumbraRadius, d);
+    // Penumbra dims toward the umbra's edge; inside, only sunlight bent red by Earth's atmosphere arrives
+    vec3 dimmed = gl_FragColor.rgb * (1.0 - 0.7 * penumbra);
+    vec3 copper = gl_FragColor.rgb * vec3(0.45, 0.14, 0.06);
+    gl_FragColor.rgb = mix(dimmed, copper, umbra);
+  }`;
+
+/**
+ * Patch a standard material so fragments inside Earth's shadow are darkened
+ * and reddened.
+ * @param {THREE.Material} material
+ * @returns {Object} uniforms to update each frame
+ */
+function addShadowShading(material) {
+  const uniforms = {
+    uEclipseOn: { value: 0 },
+    uShadowOrigin: { value: new THREE.Vector3() },
+    uShadowAxis: { value: new THREE.Vector3(1, 0, 0) },
+    uUmbraRadius: { value: 0 },
+    uPenumbraRadius: { value: 0 },
+  };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vEclipseWorld;')
+      .replace('#include <project_vertex>', `#include <project_vertex>${MOON_SHADOW_VERTEX}`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+varying vec3 vEclipseWorld;
+uniform float uEclipseOn;
+uniform vec3 uShadowOrigin;
+uniform vec3 uShadowAxis;
+uniform float uUmbraRadius;
+uniform float uPenumbraRadius;`)
+      .replace('#include <dithering_fragment>', `${MOON_SHADOW_FRAGMENT}\n#include <dithering_fragment>`);
+  };
+  material.customProgramCacheKey = () => 'eclipse-moon';
+  material.needsUpdate = true;
+  return uniforms;
+}
+
+// ==================== EclipseShadows ====================
+
+export class EclipseShadows {
+  /**
+   * @param {THREE.Object3D} parent - scene root the cones are added to
+   * @param {{ earth: THREE.Mesh, earthRadius: number, moon: THREE.Mesh, moonRadius: number }} bodies - meshes and their geometry radii
+   */
+  constructor(parent, bodies) {
+    this.bodies = bodies;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    parent.add(this.group);
+
+    this.moonPenumbra = this._createCone(PENUMBRA_COLOR, 0.18);
+    this.moonUmbra = this._createCone(UMBRA_COLOR, 0.45);
+    this.earthPenumbra = this._createCone(PENUMBRA_COLOR, 0.12);
+    this.earthUmbra = this._createCone(UMBRA_COLOR, 0.3);
+
+    this.spot = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 16, 16),
+      new THREE.MeshBasicMaterial({ color: UMBRA_COLOR, transparent: true, opacity: 0.85 }),
+    );
+    this.group.add(this.spot);
+
+    this.pathLine = null;
+    this._moonUniforms = addShadowShading(bodies.moon.material);
+  }
+
+  /** Open-ended frustum along +y from 0 to 1; its end radii are set per frame */
+  _createCone(color, opacity) {
+    const geo = new THREE.CylinderGeometry(1, 1, 1, CONE_SEGMENTS, 1, true).translate(0, 0.5, 0);
+    geo.userData.base = geo.getAttribute('position').array.slice();
+    const mat = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+    const cone = new THREE.Mesh(geo, mat);
+    cone.frustumCulled = false;
+    this.group.add(cone);
+    return cone;
+  }
+
+  /**
+   * Stretch a cone between two world points.
+   * @param {THREE.Mesh} cone
+   * @param {THREE.Vector3} from - world
+   * @param {THREE.Vector3} to - world
+   * @param {number} r0 - radius at `from`
+   * @param {number} r1 - radius at `to`
+   */
+  _fitCone(cone, from, to, r0, r1) {
+    const attr = cone.geometry.getAttribute('position');
+    const base = cone.geometry.userData.base;
+    for (let i = 0; i < attr.count; i++) {
+      const r = base[i * 3 + 1] > 0.5 ? r1 : r0;
+      attr.setXYZ(i, base[i * 3] * r, base[i * 3 + 1], base[i * 3 + 2] * r);
+    }
+    attr.needsUpdate = true;
+
+    _dir.subVectors(to, from);
+    const len = _dir.length();
+    cone.position.copy(this.group.worldToLocal(from.clone()));
+    cone.quaternion.setFromUnitVectors(_up, _dir.divideScalar(len || 1));
+    cone.scale.set(1, len, 1);
+  }
+
+  /**
+   * Draw the central line of a solar eclipse on the globe, or clear it.
+   * @param {import('./Eclipses.js').Eclipse|null} eclipse
+   */
+  setPath(eclipse) {
+    if (this.pathLine) {
+      this.pathLine.removeFromParent();
+      this.pathLine.geometry.dispose();
+      this.pathLine.material.dispose();
+      this.pathLine = null;
+    }
+    const path = eclipse?.path;
+    if (!path || path.length < 2) return;
+
+    const r = this.bodies.earthRadius * PATH_LIFT;
+    const points = path.map(({ lat, lon }) => {
+      const phi = THREE.MathUtils.degToRad(lat);
+      const lam = THREE.MathUtils.degToRad(lon);
+      // Texture longitude 0 lies on +x, east toward −z
+      return new THREE.Vector3(r * Math.cos(phi) * Math.cos(lam), r * Math.sin(phi), -r * Math.cos(phi) * Math.sin(lam));
+    });
+    this.pathLine = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: PATH_COLOR, transparent: true, opacity: 0.9 }),
+    );
+    this.pathLine.visible = this.group.visible;
+    this.bodies.earth.add(this.pathLine);
+  }
+
+  /**
+   * Show or hide the cones and path (eclipse mode). The Moon's shading stays on.
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+    if (this.pathLine) this.pathLine.visible = visible;
+  }
+
+  /**
+   * Fit the shadows to the bodies' drawn positions for a moment.
+   * @param {number} jd - UT
+   */
+  update(jd) {
+    const { earth, moon } = this.bodies;
+    earth.getWorldPosition(_earth);
+    moon.getWorldPosition(_moon);
+    this.group.updateWorldMatrix(true, false);
+    const earthR = worldRadius(earth, this.bodies.earthRadius);
+    const moonR = worldRadius(moon, this.bodies.moonRadius);
+
+    // ---- Lunar: Earth's shadow at the Moon ----
+    const lunar = getLunarShadow(jd);
+    const lunarOn = isLunarEclipseOn(lunar);
+    const moonScale = moonR / MOON_RADIUS_KM;
+    // Shadow centre at the Moon: the drawn Moon, less its real offset from the axis
+    toScene(lunar.offset, -moonScale, _target).add(_moon);
+    const umbraAtMoon = lunar.umbraRadius * moonScale;
+    const penumbraAtMoon = lunar.penumbraRadius * moonScale;
+
+    const u = this._moonUniforms;
+    u.uEclipseOn.value = lunarOn ? 1 : 0;
+    u.uShadowOrigin.value.copy(_target);
+    u.uShadowAxis.value.subVectors(_target, _earth).normalize();
+    u.uUmbraRadius.value = umbraAtMoon;
+    u.uPenumbraRadius.value = penumbraAtMoon;
+
+    if (!this.group.visible) return;
+
+    this.earthUmbra.visible = lunarOn;
+    this.earthPenumbra.visible = lunarOn;
+    if (lunarOn) {
+      // Run on a little past the Moon
+      _end.subVectors(_target, _earth);
+      const reach = _end.length();
+      const past = (reach + moonR * 3) / reach;
+      _end.multiplyScalar(past).add(_earth);
+      const r0 = earthR * 1.02;
+      this._fitCone(this.earthUmbra, _earth, _end, r0, r0 + (umbraAtMoon - r0) * past);
+      this._fitCone(this.earthPenumbra, _earth, _end, r0, r0 + (penumbraAtMoon - r0) * past);
+    }
+
+    // ---- Solar: the Moon's shadow at Earth ----
+    const solar = getSolarShadow(jd);
+    const solarOn = isSolarEclipseOn(solar);
+    this.moonUmbra.visible = solarOn;
+    this.moonPenumbra.visible = solarOn;
+    this.spot.visible = false;
+    if (!solarOn) return;
+
+    const earthScale = earthR / EARTH_RADIUS_KM;
+    // Where the real axis passes Earth, on the drawn Earth
+    toScene(solar.offset, earthScale, _target).add(_earth);
+    _end.subVectors(_target, _moon);
+    const reach = _end.length();
+    const past = (reach + earthR) / reach;
+    _end.multiplyScalar(past).add(_moon);
+    const umbraAtEarth = Math.abs(solar.umbraRadius) * earthScale;
+    const penumbraAtEarth = solar.penumbraRadius * earthScale;
+    this._fitCone(this.moonUmbra, _moon, _end, moonR, moonR + (umbraAtEarth - moonR) * past);
+    this._fitCone(this.moonPenumbra, _moon, _end, moonR, moonR + (penumbraAtEarth - moonR) * past);
+
+    // Umbra (or antumbra) spot where the axis meets the ground
+    const miss = solar.gamma * EARTH_RADIUS_KM;
+    if (miss < EARTH_RADIUS_KM) {
+      const back = Math.sqrt(EARTH_RADIUS_KM * EARTH_RADIUS_KM - miss * miss);
+      toScene(solar.axis, -back * earthScale, _dir).add(_target);
+      this.spot.position.copy(this.group.worldToLocal(_dir.clone()));
+      this.spot.scale.setScalar(Math.max(umbraAtEarth, earthR * MIN_SPOT_RADIUS));
+      this.spot.visible = true;
+    }
+  }
+
+  dispose() {
+    this.setPath(null);
+    this.group.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+    this.group.removeFromParent();
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Solar and lunar eclipses: the shadow geometry of the Sun, Earth and Moon
+ * at any moment, and a finder that checks every new and full moon of a date
+ * range. Greatest eclipse is refined by ternary search on the distance of
+ * the shadow axis from Earth's centre (solar) or of the Moon from Earth's
+ * shadow axis (lunar); contacts and the central line follow from the same
+ * geometry. With the fast ephemeris timings are good to a few minutes and
+ * paths to a couple of hundred kilometres — the limit of its truncated lunar
+ * series; the precise backend brings them down to seconds and kilometres.
+ */
+import {
+  deltaT, getMoonGeocentric, getPlanetHeliocentricAU, greenwichSiderealTime, OBLIQUITY_J2000,
+  DEG_TO_RAD, J2000_JD, KM_PER_AU, PRECESSION_PER_CENTURY,
+} from './OrbitalMechanics.js';
+import { sub, scale, dot, length } from '../utils/vector.js';
+
+// ==================== Constants ====================
+
+export const EARTH_RADIUS_KM = 6378.137;
+export const MOON_RADIUS_KM = 1737.4;
+const SUN_RADIUS_KM = 696000;
+const EARTH_FLATTENING = 1 / 298.257;
+
+/** Earth's shadow is about 2% wider than geometry alone gives — the atmosphere's share */
+const SHADOW_ENLARGEMENT = 1.02;
+
+/** Light-time Sun → Earth (days); the Sun is seen where it was this long ago */
+const SUN_LIGHT_TIME = 499.0 / 86400;
+
+const SYNODIC_MONTH = 29.530588861;
+
+/** Mean new moon of lunation 0 (Meeus eq. 49.1) */
+const NEW_MOON_EPOCH = 2451550.09766;
+
+/** Half-width of the window searched around each mean syzygy (days) */
+const SYZYGY_WINDOW = 1;
+
+const SEARCH_ITERATIONS = 40;
+const CONTACT_ITERATIONS = 24;
+
+/** Central-line samples, either side of greatest eclipse */
+const PATH_STEP = 2 / 1440;
+const PATH_HALF_SPAN = 4 / 24;
+
+/** Eclipse kinds, most striking first */
+export const SOLAR_ECLIPSE_KINDS = ['total', 'hybrid', 'annular', 'partial'];
+export const LUNAR_ECLIPSE_KINDS = ['total', 'partial', 'penumbral'];
+
+/**
+ * @typedef {{ x: number, y: number, z: number }} Vec3
+ */
+
+/**
+ * @typedef {Object} SolarShadow
+ * @property {Vec3} axis - unit vector along the Moon's shadow (Sun → Moon), J2000 ecliptic
+ * @property {Vec3} offset - from Earth's centre to the nearest point of the axis (km)
+ * @property {number} gamma - that distance in Earth radii
+ * @property {number} along - from the Moon to that point (km)
+ * @property {number} umbraRadius - umbra radius there (km); negative past the umbra's tip (antumbra)
+ * @property {number} penumbraRadius - penumbra radius there (km)
+ */
+
+/**
+ * @typedef {Object} LunarShadow
+ * @property {Vec3} axis - unit vector along Earth's shadow (away from the Sun), J2000 ecliptic
+ * @property {Vec3} offset - Moon's centre from the axis (km)
+ * @property {number} separation - length of offset (km)
+ * @property {number} along - Moon's distance along the axis (km)
+ * @property {number} umbraRadius - at the Moon's distance (km)
+ * @property {number} penumbraRadius - at the Moon's distance (km)
+ * @property {number} umbralMagnitude - fraction of the Moon's diameter in the umbra
+ * @property {number} penumbralMagnitude - fraction of the Moon's diameter in the penumbra
+ */
+
+/**
+ * @typedef {Object} Eclipse
+ * @property {'solar'|'lunar'} type
+ * @property {string} kind - one of SOLAR_ECLIPSE_KINDS or LUNAR_ECLIPSE_KINDS
+ * @property {number} jd - greatest eclipse (UT)
+ * @property {number} magnitude - solar: Moon/Sun diameter ratio on the central line, or
+ *   the fraction of the Sun covered at best for partial eclipses; lunar: umbral
+ *   magnitude (penumbral magnitude for penumbral eclipses)
+ * @property {number} [gamma] - solar: axis distance from Earth's centre in Earth radii
+ * @property {{ lat: number, lon: number }} [point] - solar: where eclipse is greatest
+ * @property {Array<{ lat: number, lon: number, jd: number }>} [path] - solar: central line
+ * @property {Object<string, number|null>} [contacts] - lunar: p1, u1, u2, u3, u4, p4 (UT)
+ */
+
+// ==================== Helpers ====================
+
+/** Geocentric Sun and Moon (km, J2000 ecliptic) at a UT instant */
+function getSunMoon(jd) {
+  const tt = jd + deltaT(jd) / 86400;
+  const earth = getPlanetHeliocentricAU('earth', tt - SUN_LIGHT_TIME);
+  const moon = getMoonGeocentric(tt);
+  const lon = moon.lon * DEG_TO_RAD;
+  const lat = moon.lat * DEG_TO_RAD;
+  return {
+    sun: scale(earth, -KM_PER_AU),
+    moon: {
+      x: moon.distanceKm * Math.cos(lat) * Math.cos(lon),
+      y: moon.distanceKm * Math.cos(lat) * Math.sin(lon),
+      z: moon.distanceKm * Math.sin(lat),
+    },
+  };
+}
+
+/**
+ * Geocentric J2000 ecliptic point (km) → geographic latitude and longitude
+ * (degrees, east positive) under it at a UT instant.
+ */
+function toGeographic(v, jd) {
+  const T = (jd - J2000_JD) / 36525;
+  const p = PRECESSION_PER_CENTURY * T * DEG_TO_RAD;
+  const eps = (OBLIQUITY_J2000 - 0.013004167 * T) * DEG_TO_RAD;
+  // Ecliptic of date, then equator of date
+  const x = v.x * Math.cos(p) - v.y * Math.sin(p);
+  const y = v.x * Math.sin(p) + v.y * Math.cos(p);
+  const eq = { x, y: y * Math.cos(eps) - v.z * Math.sin(eps), z: y * Math.sin(eps) + v.z * Math.cos(eps) };
+  const geocentricLat = Math.atan2(eq.z, Math.hypot(eq.x, eq.y));
+  const lat = Math.atan(Math.tan(geocentricLat) / (1 - EARTH_FLATTENING) ** 2) / DEG_TO_RAD;
+  const lon = Math.atan2(eq.y, eq.x) / DEG_TO_RAD - greenwichSiderealTime(jd);
+  return { lat, lon: ((lon % 360) + 540) % 360 - 180 };
+}
+
+/** Ternary search for the minimum of f between a and b */
+function minimize(f, a, b) {
+  for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+    const m1 = a + (b - a) / 3;
+    const m2 = b - (b - a) / 3;
+    if (f(m1) < f(m2)) b = m2;
+    else a = m1;
+  }
+  return (a + b) / 2;
+}
+
+/** Bisect where f changes sign between a (f ≤ 0) and b (f > 0), in either order */
+function bisect(f, a, b) {
+  for (let i = 0; i < CONTACT_ITERATIONS; i++) {
+    const mid = (a + b) / 2;
+    if (f(mid) <= 0) a = mid;
+    else b = mid;
+  }
+  return (a + b) / 2;
+}
+
+// ==================== Shadow Geometry ====================
+
+/**
+ * The Moon's shadow relative to Earth.
+ * @param {number} jd - UT
+ * @returns {SolarShadow}
+ */
+export function getSolarShadow(jd) {
+  const { sun, moon } = getSunMoon(jd);
+  const sunToMoon = sub(moon, sun);
+  const distance = length(sunToMoon);
+  const axis = scale(sunToMoon, 1 / distance);
+  const along = -dot(moon, axis);
+  const offset = { x: moon.x + axis.x * along, y: moon.y + axis.y * along, z: moon.z + axis.z * along };
+  const umbraLength = distance * MOON_RADIUS_KM / (SUN_RADIUS_KM - MOON_RADIUS_KM);
+  return {
+    axis,
+    offset,
+    gamma: length(offset) / EARTH_RADIUS_KM,
+    along,
+    umbraRadius: MOON_RADIUS_KM * (1 - along / umbraLength),
+    penumbraRadius: MOON_RADIUS_KM + along * (SUN_RADIUS_KM + MOON_RADIUS_KM) / distance,
+  };
+}
+
+/**
+ * Earth's shadow relative to the Moon.
+ * @param {number} jd - UT
+ * @returns {LunarShadow}
+ */
+export function getLunarShadow(jd) {
+  const { sun, moon } = getSunMoon(jd);
+  const sunDistance = length(sun);
+  const axis = scale(sun, -1 / sunDistance);
+  const along = dot(moon, axis);
+  const offset = sub(moon, scale(axis, along));
+  const separation = length(offset);
+  const umbraRadius = SHADOW_ENLARGEMENT * (EARTH_RADIUS_KM - along * (SUN_RADIUS_KM - EARTH_RADIUS_KM) / sunDistance);
+  const penumbraRadius = SHADOW_ENLARGEMENT * (EARTH_RADIUS_KM + along * (SUN_RADIUS_KM + EARTH_RADIUS_KM) / sunDistance);
+  return {
+    axis,
+    offset,
+    separation,
+    along,
+    umbraRadius,
+    penumbraRadius,
+    umbralMagnitude: (umbraRadius + MOON_RADIUS_KM - separation) / (2 * MOON_RADIUS_KM),
+    penumbralMagnitude: (penumbraRadius + MOON_RADIUS_KM - separation) / (2 * MOON_RADIUS_KM),
+  };
+}
+
+/**
+ * Whether the Moon's penumbra touches Earth.
+ * @param {SolarShadow} shadow
+ */
+export function isSolarEclipseOn(shadow) {
+  return shadow.along > 0 && shadow.gamma * EARTH_RADIUS_KM < EARTH_RADIUS_KM + shadow.penumbraRadius;
+}
+
+/**
+ * Whether any of the Moon is inside Earth's penumbra.
+ * @param {LunarShadow} shadow
+ */
+export function isLunarEclipseOn(shadow) {
+  return shadow.along > 0 && shadow.penumbralMagnitude > 0;
+}
+
+/**
+ * Where the shadow axis meets Earth's surface (the sunward side), or null
+ * when it passes by.
+ * @param {SolarShadow} shadow
+ * @returns {{ point: Vec3, along: number } | null} point in km; along from the Moon
+ */
+function axisOnSurface(shadow) {
+  const miss = shadow.gamma * EARTH_RADIUS_KM;
+  if (miss >= EARTH_RADIUS_KM) return null;
+  const back = Math.sqrt(EARTH_RADIUS_KM * EARTH_RADIUS_KM - miss * miss);
+  return { point: sub(shadow.offset, scale(shadow.axis, back)), along: shadow.along - back };
+}
+
+/** Umbra radius (km) at a distance from the Moon; negative in the antumbra */
+function umbraAt(jd, alongKm) {
+  const { sun, moon } = getSunMoon(jd);
+  const distance = length(sub(moon, sun));
+  return MOON_RADIUS_KM * (1 - alongKm * (SUN_RADIUS_KM - MOON_RADIUS_KM) / (distance * MOON_RADIUS_KM));
+}
+
+/**
+ * Point of the shadow axis on Earth's surface as latitude and longitude.
+ * @param {number} jd - UT
+ * @returns {{ lat: number, lon: number } | null}
+ */
+export function getShadowGroundPoint(jd) {
+  const hit = axisOnSurface(getSolarShadow(jd));
+  return hit ? toGeographic(hit.point, jd) : null;
+}
+
+// ==================== Eclipse Search ====================
+
+/** Classify a solar eclipse at greatest, with its central line */
+function describeSolarEclipse(jd) {
+  const shadow = getSolarShadow(jd);
+  if (!isSolarEclipseOn(shadow)) return null;
+
+  const eclipse = { type: 'solar', kind: 'partial', jd, gamma: shadow.gamma, magnitude: 0, point: null, path: [] };
+  const hit = axisOnSurface(shadow);
+  const nearest = hit ? hit.point : scale(shadow.offset, EARTH_RADIUS_KM / (shadow.gamma * EARTH_RADIUS_KM));
+  eclipse.point = toGeographic(nearest, jd);
+
+  if (hit) {
+    // Central: total where the umbra reaches the ground, annular where only the antumbra does
+    const { sun, moon } = getSunMoon(jd);
+    eclipse.magnitude = (MOON_RADIUS_KM / length(sub(moon, hit.point))) / (SUN_RADIUS_KM / length(sub(sun, hit.point)));
+    const kinds = new Set();
+    for (let t = jd - PATH_HALF_SPAN; t <= jd + PATH_HALF_SPAN; t += PATH_STEP) {
+      const s = getSolarShadow(t);
+      const h = axisOnSurface(s);
+      if (!h) continue;
+      kinds.add(umbraAt(t, h.along) > 0 ? 'total' : 'annular');
+      eclipse.path.push({ ...toGeographic(h.point, t), jd: t });
+    }
+    eclipse.kind = kinds.size > 1 ? 'hybrid' : (eclipse.magnitude >= 1 ? 'total' : 'annular');
+  } else {
+    eclipse.magnitude = (EARTH_RADIUS_KM + shadow.penumbraRadius - shadow.gamma * EARTH_RADIUS_KM) /
+      (shadow.penumbraRadius + shadow.umbraRadius);
+    // Non-central: the edge of the umbra (or antumbra) only grazes a polar region
+    if (shadow.gamma * EARTH_RADIUS_KM < EARTH_RADIUS_KM + Math.abs(shadow.umbraRadius)) {
+      eclipse.kind = shadow.umbraRadius > 0 ? 'total' : 'annular';
+    }
+  }
+  return eclipse;
+}
+
+/** Classify a lunar eclipse at greatest, with its contact times */
+function describeLunarEclipse(jd) {
+  const shadow = getLunarShadow(jd);
+  if (!isLunarEclipseOn(shadow)) return null;
+
+  const kind = shadow.umbralMagnitude >= 1 ? 'total' : shadow.umbralMagnitude > 0 ? 'partial' : 'penumbral';
+  // Signed distances outside each contact circle; the contacts are their roots either side of greatest
+  const edges = {
+    p: t => { const s = getLunarShadow(t); return s.separation - (s.penumbraRadius + MOON_RADIUS_KM); },
+    u: t => { const s = getLunarShadow(t); return s.separation - (s.umbraRadius + MOON_RADIUS_KM); },
+    t: t => { const s = getLunarShadow(t); return s.separation - (s.umbraRadius - MOON_RADIUS_KM); },
+  };
+  const contactPair = f => (f(jd) > 0 ? [null, null] : [bisect(f, jd, jd - 0.25), bisect(f, jd, jd + 0.25)]);
+  const [p1, p4] = contactPair(edges.p);
+  const [u1, u4] = contactPair(edges.u);
+  const [u2, u3] = contactPair(edges.t);
+
+  return {
+    type: 'lunar',
+    kind,
+    jd,
+    magnitude: kind === 'penumbral' ? shadow.penumbralMagnitude : shadow.umbralMagnitude,
+    contacts: { p1, u1, u2, u3, u4, p4 },
+  };
+}
+
+/**
+ * Find every solar and lunar eclipse with greatest eclipse in a date range.
+ * @param {number} jdStart - UT
+ * @param {number} jdEnd - UT
+ * @returns {Eclipse[]} in time order
+ */
+export function findEclipses(jdStart, jdEnd) {
+  const eclipses = [];
+  const kStart = Math.floor((jdStart - NEW_MOON_EPOCH) / SYNODIC_MONTH) - 1;
+  const kEnd = Math.ceil((jdEnd - NEW_MOON_EPOCH) / SYNODIC_MONTH) + 1;
+
+  for (let k = kStart; k <= kEnd; k += 0.5) {
+    const mean = NEW_MOON_EPOCH + k * SYNODIC_MONTH;
+    const solar = Number.isInteger(k);
+    const miss = solar ? t => getSolarShadow(t).gamma : t => getLunarShadow(t).separation;
+    const jd = minimize(miss, mean - SYZYGY_WINDOW, mean + SYZYGY_WINDOW);
+    if (jd < jdStart || jd >= jdEnd) continue;
+    const eclipse = solar ? describeSolarEclipse(jd) : describeLunarEclipse(jd);
+    if (eclipse) eclipses.push(eclipse);
+  }
+  return eclipses;
+}
+
+/**
+ * Camera direction for looking at an eclipse around Earth: from the
+ * sunward side, off to one side, for a solar eclipse; side-on to the
+ * shadow for a lunar one.
+ * @param {Eclipse} eclipse
+ * @returns {Vec3} J2000 ecliptic unit vector from Earth toward the camera
+ */
+export function getEclipseView(eclipse) {
+  const { sun } = getSunMoon(eclipse.jd);
+  const s = scale(sun, 1 / length(sun));
+  const side = { x: -s.y, y: s.x, z: 0 };
+  const sideLen = length(side) || 1;
+  const w = eclipse.type === 'solar' ? 0.9 : 0;
+  const v = { x: s.x * w + side.x / sideLen, y: s.y * w + side.y / sideLen, z: 0.35 };
+  return scale(v, 1 / length(v));
+}
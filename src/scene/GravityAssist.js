@@ -0,0 +1,348 @@
+/**
+ * Gravity-assist sandbox physics: a probe leaves Earth with a chosen
+ * hyperbolic excess speed and heading, then is integrated through the pull
+ * of the Sun and the eight planets (positions from getPlanetHeliocentricAU).
+ * Each pass through a planet's sphere of influence is logged with the
+ * heliocentric velocity it gave or took, worked out from the probe's
+ * planet-relative v∞ on the way in and out so the Sun's pull during the
+ * pass doesn't count toward it.
+ *
+ * Positions are heliocentric ecliptic AU, velocities AU/day, times Julian
+ * Days; speeds are reported in km/s.
+ */
+import { getPlanetHeliocentricAU, ELEMENTS_VALID_JD, DEG_TO_RAD, KM_PER_AU } from './OrbitalMechanics.js';
+import { getBodyState, MU_SUN, KM_S_PER_AU_DAY } from './Lambert.js';
+import { sub, scale, addScaled, dot, cross, length, normalize } from '../utils/vector.js';
+
+/** km³/s² → AU³/day² */
+const GM_KM_TO_AU = 1 / (KM_PER_AU * KM_S_PER_AU_DAY * KM_S_PER_AU_DAY);
+
+/** Gravitational parameters (km³/s², with moons) and equatorial radii (km) */
+const PLANET_GRAVITY = {
+  mercury: { gm: 22031.8, radiusKm: 2440 },
+  venus: { gm: 324858.6, radiusKm: 6052 },
+  earth: { gm: 403503.2, radiusKm: 6378 },
+  mars: { gm: 42828.4, radiusKm: 3396 },
+  jupiter: { gm: 126712764, radiusKm: 71492 },
+  saturn: { gm: 37940585, radiusKm: 60268 },
+  uranus: { gm: 5794549, radiusKm: 25559 },
+  neptune: { gm: 6836527, radiusKm: 24764 },
+};
+
+/** Bodies that pull on the probe, with μ (AU³/day²), radius (AU) and μ/μ☉ for the sphere of influence */
+export const GRAVITY_BODIES = Object.entries(PLANET_GRAVITY).map(([key, { gm, radiusKm }]) => ({
+  key,
+  mu: gm * GM_KM_TO_AU,
+  radius: radiusKm / KM_PER_AU,
+  soiFactor: (gm * GM_KM_TO_AU / MU_SUN) ** 0.4,
+}));
+
+const SUN_RADIUS_AU = 695700 / KM_PER_AU;
+
+/** Earth alone and a 200 km parking orbit, for the launch burn */
+const EARTH_GM = 398600.4;
+const PARKING_ORBIT_KM = 6378 + 200;
+
+/** Step as a fraction of the local free-fall time of the nearest attractor */
+const STEP_FRACTION = 0.02;
+const MAX_STEP_DAYS = 1;
+
+/** The trail takes a point after this many AU or days, whichever comes first */
+const TRAIL_SPACING_AU = 0.01;
+const TRAIL_SPACING_DAYS = 5;
+export const MAX_TRAIL_POINTS = 20000;
+
+// ==================== Probe ====================
+
+/**
+ * @typedef {Object} Flyby
+ * @property {string} body
+ * @property {number} jd - closest approach so far
+ * @property {number} closestKm - closest distance from the planet's centre
+ * @property {{ x: number, y: number, z: number }} vInfIn - planet-relative v∞ of the approach (AU/day)
+ * @property {number} vInf - its size (km/s)
+ * @property {number} speedIn - heliocentric speed entering the sphere of influence (km/s)
+ * @property {number|null} speedOut - km/s on leaving; null while inside
+ * @property {number|null} turnAngle - how far the planet bent v∞ (degrees); null while inside
+ * @property {number|null} deltaV - size of the heliocentric velocity change the planet gave (km/s); null while inside
+ */
+
+/**
+ * @typedef {Object} TrailPoint
+ * @property {number} jd
+ * @property {{ x: number, y: number, z: number }} r - AU
+ * @property {string|null} near - planet whose sphere of influence is within three radii
+ * @property {number} soiDistance - distance from `near` in sphere-of-influence radii
+ */
+
+/**
+ * @typedef {Object} Probe
+ * @property {number} launchJD
+ * @property {number} vInf - launch v∞ (km/s)
+ * @property {number} launchDeltaV - burn from a 200 km parking orbit (km/s)
+ * @property {number} jd
+ * @property {{ x: number, y: number, z: number }} r - AU
+ * @property {{ x: number, y: number, z: number }} v - AU/day
+ * @property {Object<string, { x: number, y: number, z: number }>} planets - planet positions at jd (AU)
+ * @property {Flyby[]} flybys - in order; the last is open while inside a sphere of influence
+ * @property {Flyby|null} encounter - the open flyby
+ * @property {'flying'|'crashed'|'ended'} status - ended when the ephemeris runs out
+ * @property {string|null} crashedInto
+ * @property {TrailPoint[]} trail
+ */
+
+/**
+ * Burn from a circular 200 km Earth orbit that leaves with a given v∞.
+ * @param {number} vInf - km/s
+ * @returns {number} km/s
+ */
+export function getLaunchDeltaV(vInf) {
+  return Math.sqrt(vInf * vInf + 2 * EARTH_GM / PARKING_ORBIT_KM) - Math.sqrt(EARTH_GM / PARKING_ORBIT_KM);
+}
+
+function planetPositions(jd) {
+  const planets = {};
+  for (const { key } of GRAVITY_BODIES) planets[key] = getPlanetHeliocentricAU(key, jd);
+  return planets;
+}
+
+/** Acceleration in the heliocentric frame, with the indirect term for the Sun's pull toward the planets */
+function acceleration(r, planets) {
+  const rs = length(r);
+  let a = scale(r, -MU_SUN / (rs * rs * rs));
+  for (const { key, mu } of GRAVITY_BODIES) {
+    const p = planets[key];
+    const d = sub(r, p);
+    const dl = length(d);
+    const pl = length(p);
+    a = addScaled(a, d, -mu / (dl * dl * dl));
+    a = addScaled(a, p, -mu / (pl * pl * pl));
+  }
+  return a;
+}
+
+/** Step short enough to resolve the tightest pull on the probe */
+function stepDays(r, planets) {
+  const rs = length(r);
+  let step = STEP_FRACTION * Math.sqrt(rs * rs * rs / MU_SUN);
+  for (const { key, mu } of GRAVITY_BODIES) {
+    const d = length(sub(r, planets[key]));
+    step = Math.min(step, STEP_FRACTION * Math.sqrt(d * d * d / mu));
+  }
+  return Math.min(step, MAX_STEP_DAYS);
+}
+
+/** Nearest planet in sphere-of-influence radii */
+function nearestPlanet(r, planets) {
+  let near = null;
+  let soiDistance = Infinity;
+  for (const { key, soiFactor } of GRAVITY_BODIES) {
+    const ratio = length(sub(r, planets[key])) / (length(planets[key]) * soiFactor);
+    if (ratio < soiDistance) {
+      soiDistance = ratio;
+      near = key;
+    }
+  }
+  return { near, soiDistance };
+}
+
+/**
+ * The probe where it is now, as a trail point.
+ * @param {Probe} probe
+ * @returns {TrailPoint}
+ */
+export function getProbePoint(probe) {
+  const { near, soiDistance } = nearestPlanet(probe.r, probe.planets);
+  return { jd: probe.jd, r: probe.r, near: soiDistance < 3 ? near : null, soiDistance };
+}
+
+function addTrailPoint(probe) {
+  if (probe.trail.length < MAX_TRAIL_POINTS) probe.trail.push(getProbePoint(probe));
+}
+
+/**
+ * Start a probe from the edge of Earth's sphere of influence, heading in the
+ * ecliptic plane at an angle from Earth's motion.
+ * @param {number} launchJD
+ * @param {{ vInf: number, heading: number }} burn - v∞ in km/s; heading in degrees, 0 along Earth's motion, 90 away from the Sun, ±180 against its motion
+ * @returns {Probe}
+ */
+export function launchProbe(launchJD, { vInf, heading }) {
+  const earth = getBodyState('earth', launchJD);
+  const { soiFactor } = GRAVITY_BODIES.find(b => b.key === 'earth');
+  const soi = length(earth.r) * soiFactor;
+
+  // Directions in Earth's orbit plane: along its motion and outward, square to it
+  const along = scale(earth.v, 1 / length(earth.v));
+  const radial = addScaled(earth.r, along, -dot(earth.r, along));
+  const outward = scale(radial, 1 / length(radial));
+  const h = heading * DEG_TO_RAD;
+  const dir = addScaled(scale(along, Math.cos(h)), outward, Math.sin(h));
+
+  // Just outside the sphere, with the speed v∞ still has to climb out of Earth's well
+  const start = soi * 1.001;
+  const vInfAU = vInf / KM_S_PER_AU_DAY;
+  const speed = Math.sqrt(vInfAU * vInfAU + 2 * EARTH_GM * GM_KM_TO_AU / start);
+  const r = addScaled(earth.r, dir, start);
+  const v = addScaled(earth.v, dir, speed);
+
+  const probe = {
+    launchJD,
+    vInf,
+    launchDeltaV: getLaunchDeltaV(vInf),
+    jd: launchJD,
+    r,
+    v,
+    planets: planetPositions(launchJD),
+    flybys: [],
+    encounter: null,
+    status: 'flying',
+    crashedInto: null,
+    trail: [],
+  };
+  addTrailPoint(probe);
+  return probe;
+}
+
+// ==================== Flybys ====================
+
+/**
+ * Hyperbolic excess velocity of a planet-relative state: the asymptote of
+ * the two-body hyperbola through it. Taken on the sphere of influence, this
+ * is the v∞ of patched conics, free of the planet's pull at the sphere's edge.
+ * A state too slow for a hyperbola gives its own velocity back.
+ * @param {{ x: number, y: number, z: number }} r - from the planet (AU)
+ * @param {{ x: number, y: number, z: number }} v - relative to the planet (AU/day)
+ * @param {number} mu - the planet's μ (AU³/day²)
+ * @param {boolean} outgoing - the departure asymptote rather than the approach one
+ * @returns {{ x: number, y: number, z: number }} AU/day
+ */
+export function getExcessVelocity(r, v, mu, outgoing) {
+  const vInf2 = dot(v, v) - 2 * mu / length(r);
+  const eVec = scale(sub(scale(r, dot(v, v) - mu / length(r)), scale(v, dot(r, v))), 1 / mu);
+  const e = length(eVec);
+  if (vInf2 <= 0 || e <= 1) return v;
+
+  // Perifocal axes: p̂ toward periapsis, q̂ along the motion there
+  const p = scale(eVec, 1 / e);
+  const q = normalize(cross(cross(r, v), eVec));
+  const s = Math.sqrt(e * e - 1);
+  return scale(addScaled(p, q, outgoing ? -s : s), (outgoing ? -1 : 1) * Math.sqrt(vInf2) / e);
+}
+
+/**
+ * What a flyby did, from the v∞ it went in and came out with: the turn
+ * angle, and the heliocentric velocity change, which in patched conics is
+ * v∞out − v∞in (2 v∞ sin(δ/2) for an unpowered pass).
+ * @param {{ x: number, y: number, z: number }} vInfIn - AU/day
+ * @param {{ x: number, y: number, z: number }} vInfOut - AU/day
+ * @returns {{ turnAngle: number, deltaV: number }} degrees, km/s
+ */
+export function getFlybyChange(vInfIn, vInfOut) {
+  const cos = dot(vInfIn, vInfOut) / (length(vInfIn) * length(vInfOut));
+  return {
+    turnAngle: Math.acos(Math.max(-1, Math.min(1, cos))) / DEG_TO_RAD,
+    deltaV: length(sub(vInfOut, vInfIn)) * KM_S_PER_AU_DAY,
+  };
+}
+
+/** The probe's position and velocity relative to a planet */
+function relativeState(probe, key) {
+  const planet = getBodyState(key, probe.jd);
+  return { r: sub(probe.r, planet.r), v: sub(probe.v, planet.v) };
+}
+
+/** Open, track and close flybys; stop the probe if it hits something */
+function checkEncounters(probe) {
+  if (length(probe.r) < SUN_RADIUS_AU) {
+    probe.status = 'crashed';
+    probe.crashedInto = 'sun';
+    return;
+  }
+  for (const { key, mu, radius, soiFactor } of GRAVITY_BODIES) {
+    const d = length(sub(probe.r, probe.planets[key]));
+    const inside = d < length(probe.planets[key]) * soiFactor;
+    const open = probe.encounter?.body === key ? probe.encounter : null;
+
+    if (inside && !open) {
+      const { r, v } = relativeState(probe, key);
+      const vInfIn = getExcessVelocity(r, v, mu, false);
+      const flyby = {
+        body: key,
+        jd: probe.jd,
+        closestKm: d * KM_PER_AU,
+        vInfIn,
+        vInf: length(vInfIn) * KM_S_PER_AU_DAY,
+        speedIn: length(probe.v) * KM_S_PER_AU_DAY,
+        speedOut: null,
+        turnAngle: null,
+        deltaV: null,
+      };
+      probe.flybys.push(flyby);
+      probe.encounter = flyby;
+    } else if (inside && d * KM_PER_AU < open.closestKm) {
+      open.closestKm = d * KM_PER_AU;
+      open.jd = probe.jd;
+    } else if (!inside && open) {
+      const { r, v } = relativeState(probe, key);
+      Object.assign(open, getFlybyChange(open.vInfIn, getExcessVelocity(r, v, mu, true)));
+      open.speedOut = length(probe.v) * KM_S_PER_AU_DAY;
+      probe.encounter = null;
+    }
+
+    if (d < radius) {
+      probe.status = 'crashed';
+      probe.crashedInto = key;
+      return;
+    }
+  }
+}
+
+/**
+ * Integrate a probe forward (kick-drift-kick leapfrog, step set by the
+ * nearest attractor), logging flybys and adding trail points.
+ * @param {Probe} probe
+ * @param {number} days
+ * @returns {number} trail points added
+ */
+export function advanceProbe(probe, days) {
+  const endJD = Math.min(probe.jd + days, ELEMENTS_VALID_JD.max);
+  const trailBefore = probe.trail.length;
+  let last = probe.trail[probe.trail.length - 1];
+  let acc = acceleration(probe.r, probe.planets);
+
+  while (probe.status === 'flying' && probe.jd < endJD) {
+    const dt = Math.min(stepDays(probe.r, probe.planets), endJD - probe.jd);
+    const vHalf = addScaled(probe.v, acc, dt / 2);
+    probe.r = addScaled(probe.r, vHalf, dt);
+    probe.jd += dt;
+    probe.planets = planetPositions(probe.jd);
+    acc = acceleration(probe.r, probe.planets);
+    probe.v = addScaled(vHalf, acc, dt / 2);
+    checkEncounters(probe);
+
+    if (probe.status !== 'flying' || probe.jd - last.jd >= TRAIL_SPACING_DAYS ||
+        length(sub(probe.r, last.r)) >= TRAIL_SPACING_AU) {
+      addTrailPoint(probe);
+      last = probe.trail[probe.trail.length - 1];
+    }
+  }
+  if (probe.status === 'flying' && probe.jd >= ELEMENTS_VALID_JD.max) probe.status = 'ended';
+  return probe.trail.length - trailBefore;
+}
+
+/**
+ * Where the probe is heading: distance, heliocentric speed and whether it
+ * is fast enough to leave the Solar System.
+ * @param {Probe} probe
+ * @returns {{ distanceAU: number, speed: number, escaping: boolean }} speed in km/s
+ */
+export function getProbeMotion(probe) {
+  const distanceAU = length(probe.r);
+  const speed = length(probe.v);
+  return {
+    distanceAU,
+    speed: speed * KM_S_PER_AU_DAY,
+    escaping: speed * speed / 2 - MU_SUN / distanceAU > 0,
+  };
+}
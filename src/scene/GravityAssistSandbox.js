@@ -0,0 +1,156 @@
+/**
+ * Draws the gravity-assist sandbox: the probe, in a spacecraft model from
+ * MissionRenderer, flying ahead of a trail that grows as it is integrated.
+ * Points near a planet are moved with it onto the planet as drawn, so
+ * flybys bend the trail where the planet appears.
+ */
+import * as THREE from 'three';
+import { getPlanetPosition, getPlanetHeliocentricAU, heliocentricToScene } from './OrbitalMechanics.js';
+import { launchProbe, advanceProbe, getProbePoint, MAX_TRAIL_POINTS } from './GravityAssist.js';
+
+/** Sphere-of-influence radii over which trail points let go of a planet */
+const SNAP_FULL = 1;
+const SNAP_NONE = 3;
+
+export class GravityAssistSandbox {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('./MissionRenderer.js').MissionRenderer} missionRenderer - source of the spacecraft models
+   */
+  constructor(scene, missionRenderer) {
+    this.scene = scene;
+    this.missionRenderer = missionRenderer;
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+
+    /** @type {import('./GravityAssist.js').Probe|null} */
+    this.probe = null;
+    this.spacecraft = null;
+    this.trail = null;
+    this._drawn = 0; // trail points copied into the line
+    this.isPlaying = false;
+    this.daysPerSecond = 60;
+
+    // (probe) after every frame the probe moves
+    this.onUpdate = null;
+  }
+
+  /**
+   * Launch a new probe, replacing any before it.
+   * @param {number} launchJD
+   * @param {{ vInf: number, heading: number }} burn - see launchProbe
+   * @param {string} craftId - mission whose spacecraft model to fly
+   * @param {string} color - CSS colour of the craft and trail
+   */
+  launch(launchJD, burn, craftId, color) {
+    this.clear();
+    this.probe = launchProbe(launchJD, burn);
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_TRAIL_POINTS * 3), 3));
+    geo.setDrawRange(0, 0);
+    this.trail = new THREE.Line(geo, new THREE.LineBasicMaterial({
+      color: new THREE.Color(color),
+      transparent: true,
+      opacity: 0.9,
+    }));
+    // The line grows past any bounding sphere computed for it
+    this.trail.frustumCulled = false;
+    this.group.add(this.trail);
+
+    this.spacecraft = this.missionRenderer.createSpacecraftMesh(craftId, new THREE.Color(color));
+    this.group.add(this.spacecraft);
+
+    this._syncTrail();
+    this._placeSpacecraft();
+    this.isPlaying = true;
+  }
+
+  play() { this.isPlaying = this.probe?.status === 'flying'; }
+  pause() { this.isPlaying = false; }
+  toggle() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+    return this.isPlaying;
+  }
+
+  setSpeed(daysPerSecond) {
+    this.daysPerSecond = daysPerSecond;
+  }
+
+  /**
+   * Integrate the probe for the frame and extend the trail.
+   * @param {number} delta - seconds
+   */
+  update(delta) {
+    if (!this.probe || !this.isPlaying) return;
+    advanceProbe(this.probe, delta * this.daysPerSecond);
+    if (this.probe.status !== 'flying') this.isPlaying = false;
+    this._syncTrail();
+    this._placeSpacecraft();
+    if (this.onUpdate) this.onUpdate(this.probe);
+  }
+
+  /** Scene position of a trail point, carried along with a planet it is near */
+  _trailPointToScene(point) {
+    const pos = heliocentricToScene(point.r);
+    if (!point.near) return pos;
+    const t = Math.min(1, Math.max(0, (point.soiDistance - SNAP_FULL) / (SNAP_NONE - SNAP_FULL)));
+    const weight = 1 - t * t * (3 - 2 * t);
+    if (weight === 0) return pos;
+    const drawn = getPlanetPosition(point.near, point.jd);
+    const mapped = heliocentricToScene(getPlanetHeliocentricAU(point.near, point.jd));
+    return pos.add(drawn.sub(mapped).multiplyScalar(weight));
+  }
+
+  _syncTrail() {
+    const attr = this.trail.geometry.getAttribute('position');
+    const points = this.probe.trail;
+    for (let i = this._drawn; i < points.length; i++) {
+      const p = this._trailPointToScene(points[i]);
+      attr.setXYZ(i, p.x, p.y, p.z);
+    }
+    this._drawn = points.length;
+    this.trail.geometry.setDrawRange(0, points.length);
+    attr.needsUpdate = true;
+  }
+
+  _placeSpacecraft() {
+    const pos = this._trailPointToScene(getProbePoint(this.probe));
+    const { v } = this.probe;
+    this.spacecraft.position.copy(pos);
+    this.spacecraft.lookAt(pos.clone().add(new THREE.Vector3(v.x, v.z * 0.5, v.y)));
+  }
+
+  /** Re-place the trail after the scene scale mode or the ephemeris changed */
+  refreshScale() {
+    if (!this.probe) return;
+    this._drawn = 0;
+    this._syncTrail();
+    this._placeSpacecraft();
+  }
+
+  clear() {
+    while (this.group.children.length > 0) {
+      const child = this.group.children[0];
+      child.traverse((obj) => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+          if (obj.material.map) obj.material.map.dispose();
+          obj.material.dispose();
+        }
+      });
+      this.group.remove(child);
+    }
+    this.probe = null;
+    this.spacecraft = null;
+    this.trail = null;
+    this._drawn = 0;
+    this.isPlaying = false;
+  }
+
+  dispose() {
+    this.clear();
+    this.scene.remove(this.group);
+  }
+}
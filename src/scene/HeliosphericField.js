@@ -0,0 +1,333 @@
+/**
+ * The interplanetary magnetic field: Parker spiral field lines carried out
+ * by the solar wind from a rotating Sun, and the heliospheric current sheet
+ * between the field's two polarities, warped into a "ballerina skirt" by
+ * the tilt of the Sun's magnetic dipole.
+ *
+ * The field is frozen into wind blowing radially at one speed, so a line
+ * rooted at some solar longitude trails behind it by the angle the Sun turns
+ * while the wind gets out: φ(r) = φ₀ − Ω(r − r₀)/v. The current sheet is the
+ * source surface's neutral line — a great circle tilted by the dipole's
+ * angle — carried out the same way. The tilt is small at solar minimum,
+ * steep at maximum, and the polarities swap over at maximum.
+ *
+ * The Sun's equator is taken to lie in the ecliptic (it is 7.25° off), so
+ * the whole pattern turns rigidly about the ecliptic pole with the Sun and
+ * survives the scene's squashed vertical scale. It is built once in the
+ * Sun's rotating frame and only turned as the date changes.
+ *
+ * Created through scene.setHeliosphere(); it works on the scene's
+ * planets to mark which sector each is in.
+ */
+import * as THREE from 'three';
+import { heliocentricToScene, DEG_TO_RAD, KM_PER_AU } from './OrbitalMechanics.js';
+import { PLANET_ORDER } from '../data/solarSystem.js';
+
+/** The Sun's sidereal rotation period at the latitudes the wind leaves from (days) — Carrington's */
+const SUN_SIDEREAL_DAYS = 25.38;
+
+/** Sun's angular velocity (rad/s) */
+const SUN_OMEGA = 2 * Math.PI / (SUN_SIDEREAL_DAYS * 86400);
+
+/** Where the field is carried off radially: the source surface (AU), 2.5 solar radii */
+const SOURCE_SURFACE_AU = 2.5 * 695700 / KM_PER_AU;
+
+/** Current-sheet tilt at solar minimum and maximum (degrees) */
+const SHEET_TILT_MIN = 10;
+const SHEET_TILT_MAX = 75;
+
+/** Solar maximum, as a fraction of the cycle: cycles rise faster than they decline */
+const MAXIMUM_PHASE = 0.4;
+
+/** Carrington longitude the neutral line climbs through the equator at (degrees) */
+const SHEET_NODE = 0;
+
+/** Latitude gap between a planet and the sheet that counts as crossing it (degrees) */
+export const CROSSING_DEG = 2;
+
+/** Wind speeds the layer can be drawn for (km/s) */
+export const WIND_SPEED_RANGE = [250, 800];
+
+/**
+ * Ecliptic longitude of the Sun's Carrington prime meridian (Meeus, ch. 29).
+ * @param {number} jd
+ * @returns {number} radians
+ */
+export function getSunRotationAngle(jd) {
+  const node = 73.6667 + 1.3958333 * (jd - 2396758) / 36525;
+  const meridian = (jd - 2398220) * 360 / SUN_SIDEREAL_DAYS;
+  return (((node + meridian) % 360 + 360) % 360) * DEG_TO_RAD;
+}
+
+/**
+ * How far a field line winds back per AU from the Sun.
+ * @param {number} windSpeed - km/s
+ * @returns {number} radians per AU
+ */
+export function getSpiralWinding(windSpeed) {
+  return SUN_OMEGA * KM_PER_AU / windSpeed;
+}
+
+/**
+ * Angle between the field and the radial direction at a distance: about 45°
+ * at Earth for a 400 km/s wind.
+ * @param {number} rAU
+ * @param {number} windSpeed - km/s
+ * @returns {number} degrees
+ */
+export function getSpiralAngle(rAU, windSpeed) {
+  return Math.atan(getSpiralWinding(windSpeed) * rAU) / DEG_TO_RAD;
+}
+
+/**
+ * Tilt of the current sheet through the cycle: flat at minimum, steepest at maximum.
+ * @param {number} phase - 0 at one minimum to 1 at the next
+ * @returns {number} degrees
+ */
+export function getSheetTilt(phase) {
+  const rise = phase < MAXIMUM_PHASE ? phase / MAXIMUM_PHASE : (1 - phase) / (1 - MAXIMUM_PHASE);
+  return SHEET_TILT_MIN + (SHEET_TILT_MAX - SHEET_TILT_MIN) * Math.sin(rise * Math.PI / 2) ** 2;
+}
+
+/**
+ * The field's direction north of the sheet. It points away from the Sun in
+ * the north through cycle 25's rise, and toward it once the poles flip at
+ * maximum.
+ * @param {number} phase
+ * @returns {'away'|'toward'}
+ */
+export function getNorthernPolarity(phase) {
+  return phase < MAXIMUM_PHASE ? 'away' : 'toward';
+}
+
+/**
+ * Latitude of the current sheet, in the Sun's rotating frame.
+ * @param {number} rAU
+ * @param {number} longitude - Carrington longitude (radians)
+ * @param {number} winding - radians per AU, see getSpiralWinding
+ * @param {number} tilt - degrees
+ * @returns {number} radians
+ */
+function sheetLatitude(rAU, longitude, winding, tilt) {
+  // The wind here left the source surface this far ahead in rotation
+  const source = longitude + winding * (rAU - SOURCE_SURFACE_AU);
+  return Math.atan(Math.tan(tilt * DEG_TO_RAD) * Math.sin(source - SHEET_NODE * DEG_TO_RAD));
+}
+
+/**
+ * Which sector a point is in, and how far it is from the sheet.
+ * @param {{ x: number, y: number, z: number }} posAU - heliocentric ecliptic
+ * @param {number} jd
+ * @param {{ windSpeed: number, phase: number }} params
+ * @returns {{ polarity: 'away'|'toward', separation: number }} separation in degrees of latitude, positive north of the sheet
+ */
+export function getSector(posAU, jd, { windSpeed, phase }) {
+  const r = Math.hypot(posAU.x, posAU.y, posAU.z);
+  const longitude = Math.atan2(posAU.y, posAU.x) - getSunRotationAngle(jd);
+  const latitude = Math.asin(posAU.z / r);
+  const separation = (latitude - sheetLatitude(r, longitude, getSpiralWinding(windSpeed), getSheetTilt(phase))) / DEG_TO_RAD;
+  const north = getNorthernPolarity(phase);
+  return { polarity: separation >= 0 ? north : (north === 'away' ? 'toward' : 'away'), separation };
+}
+
+// ==================== Drawing ====================
+
+/** Field lines drawn, evenly spaced in longitude */
+const FIELD_LINES = 16;
+
+/** How far out the field is drawn (AU) — past Neptune */
+const OUTER_AU = 32;
+
+/** Largest turn between points along a field line (radians) */
+const LINE_STEP = 3 * DEG_TO_RAD;
+
+/** Sheet mesh resolution in longitude */
+const SHEET_SEGMENTS = 144;
+
+const AWAY_COLOR = 0xff7043;
+const TOWARD_COLOR = 0x42a5f5;
+const SHEET_COLOR = 0xc9a7ff;
+
+/** Sector marker ring around each planet, in planet radii */
+const MARKER_INNER = 1.7;
+const MARKER_OUTER = 2.0;
+
+/** Sheet distances in AU: fine near the Sun, where the scene stretches distance most */
+function sheetRadii(winding) {
+  const radii = [];
+  const maxStep = Math.PI / 12 / winding; // keep up with the skirt's folds
+  for (let r = SOURCE_SURFACE_AU * 4; r < OUTER_AU; r += Math.min(maxStep, Math.max(0.01, r * 0.06))) radii.push(r);
+  radii.push(OUTER_AU);
+  return radii;
+}
+
+function toScene(r, longitude, latitude) {
+  const c = Math.cos(latitude);
+  return heliocentricToScene({ x: r * c * Math.cos(longitude), y: r * c * Math.sin(longitude), z: r * Math.sin(latitude) });
+}
+
+export class HeliosphericField {
+  /**
+   * @param {import('./SolarSystemScene.js').SolarSystemScene} solarScene
+   * @param {{ windSpeed: number, phase: number }} params
+   */
+  constructor(solarScene, params) {
+    this.solarScene = solarScene;
+    this.params = { ...params };
+    this.jd = solarScene.planetsJD;
+
+    this.group = new THREE.Group();
+    /** The Sun's rotating frame, turned to the date */
+    this._rotating = new THREE.Group();
+    this.group.add(this._rotating);
+    solarScene.scene.add(this.group);
+
+    this._lineMaterials = {
+      away: new THREE.LineBasicMaterial({ color: AWAY_COLOR, transparent: true, opacity: 0.45, depthWrite: false }),
+      toward: new THREE.LineBasicMaterial({ color: TOWARD_COLOR, transparent: true, opacity: 0.45, depthWrite: false }),
+    };
+    this._sheetMaterial = new THREE.MeshBasicMaterial({
+      color: SHEET_COLOR,
+      transparent: true,
+      opacity: 0.14,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+
+    this._time = 0;
+    /**
+     * Per planet: its marker ring and the sector it was last found in.
+     * @type {Object<string, { marker: THREE.Mesh, polarity: string, separation: number, crossing: boolean }>}
+     */
+    this.sectors = {};
+    for (const key of PLANET_ORDER) {
+      if (key === 'sun' || !solarScene.planets[key]) continue;
+      const marker = new THREE.Mesh(
+        new THREE.RingGeometry(MARKER_INNER, MARKER_OUTER, 48),
+        new THREE.MeshBasicMaterial({ transparent: true, side: THREE.DoubleSide, depthWrite: false }),
+      );
+      this.group.add(marker);
+      this.sectors[key] = { marker, polarity: 'away', separation: 0, crossing: false };
+    }
+
+    this._build();
+    this.update(0);
+  }
+
+  /**
+   * Redraw for another wind speed or cycle phase.
+   * @param {{ windSpeed?: number, phase?: number }} params
+   */
+  setParams(params) {
+    Object.assign(this.params, params);
+    this._build();
+    this.update(0);
+  }
+
+  /** @param {boolean} visible */
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  get visible() {
+    return this.group.visible;
+  }
+
+  /**
+   * Turn the pattern with the Sun to the date the planets are drawn at and mark them.
+   * @param {number} delta - seconds, for the crossing markers' pulse
+   */
+  update(delta) {
+    const scene = this.solarScene;
+    this.jd = scene.planetsJD;
+    this._time += delta;
+    // Ecliptic longitude φ lies at scene angle −φ about +y (the scene maps ecliptic y to z)
+    this._rotating.rotation.y = -getSunRotationAngle(this.jd);
+
+    const pulse = 0.55 + 0.45 * Math.sin(this._time * 6);
+    for (const [key, entry] of Object.entries(this.sectors)) {
+      const posAU = scene.planets[key].helioAU;
+      if (!posAU) continue;
+      const { polarity, separation } = getSector(posAU, this.jd, this.params);
+      entry.polarity = polarity;
+      entry.separation = separation;
+      entry.crossing = Math.abs(separation) < CROSSING_DEG;
+
+      const { marker } = entry;
+      marker.position.copy(scene.getPlanetScenePosition(key));
+      marker.quaternion.copy(scene.camera.quaternion);
+      marker.scale.setScalar(scene.getBodyRadius(key));
+      marker.material.color.setHex(polarity === 'away' ? AWAY_COLOR : TOWARD_COLOR);
+      marker.material.opacity = entry.crossing ? pulse : 0.35;
+    }
+  }
+
+  /** Redraw for the scene's scale mode */
+  refreshScale() {
+    this._build();
+  }
+
+  _build() {
+    this._clear();
+    const winding = getSpiralWinding(this.params.windSpeed);
+    const tilt = getSheetTilt(this.params.phase);
+    const north = getNorthernPolarity(this.params.phase);
+    const south = north === 'away' ? 'toward' : 'away';
+
+    // Field lines in the equator, each in the sector its foot is in
+    const step = Math.min(0.2, LINE_STEP / winding);
+    for (let i = 0; i < FIELD_LINES; i++) {
+      const foot = (i / FIELD_LINES) * Math.PI * 2;
+      const points = [];
+      for (let r = SOURCE_SURFACE_AU * 4; r <= OUTER_AU; r += Math.min(step, Math.max(0.005, r * 0.05))) {
+        points.push(toScene(r, foot - winding * (r - SOURCE_SURFACE_AU), 0));
+      }
+      const polarity = sheetLatitude(SOURCE_SURFACE_AU, foot, winding, tilt) <= 0 ? north : south;
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), this._lineMaterials[polarity]);
+      this._rotating.add(line);
+    }
+
+    // The current sheet over a grid of distance and longitude
+    const radii = sheetRadii(winding);
+    const positions = [];
+    for (const r of radii) {
+      for (let j = 0; j <= SHEET_SEGMENTS; j++) {
+        const longitude = (j / SHEET_SEGMENTS) * Math.PI * 2;
+        const p = toScene(r, longitude, sheetLatitude(r, longitude, winding, tilt));
+        positions.push(p.x, p.y, p.z);
+      }
+    }
+    const index = [];
+    const row = SHEET_SEGMENTS + 1;
+    for (let i = 0; i < radii.length - 1; i++) {
+      for (let j = 0; j < SHEET_SEGMENTS; j++) {
+        const a = i * row + j;
+        index.push(a, a + row, a + 1, a + 1, a + row, a + row + 1);
+      }
+    }
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geo.setIndex(index);
+    this._rotating.add(new THREE.Mesh(geo, this._sheetMaterial));
+  }
+
+  _clear() {
+    for (const obj of [...this._rotating.children]) {
+      this._rotating.remove(obj);
+      obj.geometry.dispose();
+    }
+  }
+
+  dispose() {
+    this._clear();
+    for (const { marker } of Object.values(this.sectors)) {
+      marker.geometry.dispose();
+      marker.material.dispose();
+    }
+    this.sectors = {};
+    this._lineMaterials.away.dispose();
+    this._lineMaterials.toward.dispose();
+    this._sheetMaterial.dispose();
+    this.solarScene.scene.remove(this.group);
+  }
+}
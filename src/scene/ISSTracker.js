@@ -1,55 +1,151 @@
 /**
- * ISS (International Space Station) tracker module.
- * Renders a simplified ISS model orbiting Earth in the Three.js scene.
- * The ISS orbits at 408 km altitude with a 51.6-degree inclination.
- * Uses LOD to only render when the camera is near Earth.
+ * ISS and Earth-satellite tracker module.
+ * Renders a simplified ISS model and any loaded satellites around Earth in
+ * the Three.js scene, placed by SGP4 for the simulation time, with orbit
+ * lines and ground tracks for the satellites being tracked. Until ISS
+ * elements are loaded the station circles an illustrative 408 km, 51.6°
+ * orbit. Uses LOD to only render when the camera is near Earth.
+ *
+ * Satellites sit in an Earth-centred inertial frame that follows Earth's
+ * position and drawn size. Ground tracks are children of the Earth mesh,
+ * which the scene turns to its sidereal angle with getEarthFixedQuaternion(),
+ * so a satellite is always over the ground its track says it is.
  */
 import * as THREE from 'three';
+import { getEquatorialToSceneQuaternion, MESH_TO_BODY_FIXED } from './RotationModels.js';
+import { gstime } from './SGP4.js';
+import {
+  getISS, getSatellite, getSatellites, getSatelliteState, getSatellitePeriod, getGroundTrack,
+} from './Satellites.js';
+
+/** Earth's equatorial radius (km), the unit the display radius stands for */
+const EARTH_RADIUS_KM = 6378.137;
+
+// The illustrative orbit shown until real ISS elements are loaded
+const ILLUSTRATIVE_ALTITUDE_KM = 408;
+const ILLUSTRATIVE_INCLINATION = 51.6;
+const ILLUSTRATIVE_PERIOD_MIN = 92.65;
+
+/** Satellites re-propagated per frame; large sets are updated round-robin */
+const SATELLITES_PER_FRAME = 600;
+
+/** Points on a drawn orbit */
+const ORBIT_SEGMENTS = 180;
+
+/** Orbits covered by a ground track, centred on the current time */
+const GROUND_TRACK_ORBITS = 1.5;
+
+/** Recompute orbits and ground tracks once the clock has moved this far (days) */
+const TRACK_REFRESH_DAYS = 2 / 1440;
+
+/** Ground tracks float just above the surface to stay clear of it */
+const GROUND_TRACK_LIFT = 1.004;
+
+const ISS_COLOR = 0x00ff88;
+const SATELLITE_COLOR = 0xffcc66;
+
+const _poleEq = new THREE.Vector3(0, 0, 1);
+const _sun = new THREE.Vector3();
+const _spin = new THREE.Quaternion();
+const _zAxis = new THREE.Vector3(0, 0, 1);
+const _parentQuat = new THREE.Quaternion();
+
+/**
+ * Rotation from the equatorial (TEME) frame to scene axes for Earth's
+ * surroundings, keeping Earth's north pole and the direction of the Sun
+ * (see getEquatorialToSceneQuaternion).
+ * @param {{ x: number, y: number, z: number }} earthHelioAU - Earth's heliocentric ecliptic position
+ * @param {THREE.Quaternion} target
+ */
+export function getInertialQuaternion(earthHelioAU, target) {
+  _sun.set(-earthHelioAU.x, -earthHelioAU.y, -earthHelioAU.z);
+  return getEquatorialToSceneQuaternion(_poleEq, _sun, target);
+}
+
+/**
+ * World orientation of the Earth mesh: the inertial frame turned by
+ * Greenwich sidereal time.
+ * @param {THREE.Quaternion} inertial - from getInertialQuaternion()
+ * @param {number} jd - Julian Day (UT)
+ * @param {THREE.Quaternion} target
+ */
+export function getEarthFixedQuaternion(inertial, jd, target) {
+  _spin.setFromAxisAngle(_zAxis, gstime(jd));
+  return target.copy(inertial).multiply(_spin).multiply(MESH_TO_BODY_FIXED);
+}
+
+/**
+ * Set an object's local quaternion so it has the given world orientation.
+ * Walks the parents' rotations rather than their matrices, which may be a
+ * frame old.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Quaternion} world
+ */
+export function setWorldQuaternion(object, world) {
+  _parentQuat.identity();
+  for (let o = object.parent; o; o = o.parent) _parentQuat.premultiply(o.quaternion);
+  object.quaternion.copy(_parentQuat.invert().multiply(world));
+}
 
 export class ISSTracker {
   /**
-   * @param {THREE.Mesh} earthMesh - The Earth planet mesh to attach to
+   * @param {THREE.Mesh} earthMesh - The Earth planet mesh to follow
    * @param {number} earthDisplayRadius - Earth's display radius in scene units (2.0)
    */
   constructor(earthMesh, earthDisplayRadius) {
     this.earthMesh = earthMesh;
     this.earthRadius = earthDisplayRadius;
+    this.frame = null;
     this.issMesh = null;
     this.orbitLine = null;
-    this.orbitGroup = null;
-    this._elapsed = 0;
+    this.satellitePoints = null;
+    /** @type {import('./Satellites.js').Satellite[]} */
+    this._satellites = [];
+    this._cursor = 0;
+    /** @type {Map<string, { orbit: THREE.Line, track: THREE.Line }>} */
+    this._tracks = new Map();
+    this._tracksJD = null;
+    this._kmToScene = earthDisplayRadius / EARTH_RADIUS_KM;
     this._visible = true;
+    this._inRange = true;
     this._init();
   }
 
   /**
-   * Initialise the orbit group, ISS model, and orbit line.
-   * The orbit group is tilted to match the real ISS inclination (51.6 deg)
-   * and attached as a child of the Earth mesh so it moves with the planet.
+   * Initialise the inertial frame, ISS model, and orbit line.
+   * The frame sits beside the Earth mesh and follows it; the scene sets its
+   * orientation each frame.
    */
   _init() {
-    // Create orbit group tilted at 51.6 degrees (ISS orbital inclination)
-    this.orbitGroup = new THREE.Group();
-    this.orbitGroup.rotation.x = THREE.MathUtils.degToRad(51.6);
-    this.earthMesh.add(this.orbitGroup);
-
-    // ISS orbit altitude: 408 km above Earth's surface (radius 6371 km)
-    // Scene ratio: (6371 + 408) / 6371 ≈ 1.064
-    const orbitRadius = this.earthRadius * 1.064;
+    this.frame = new THREE.Group();
+    this.earthMesh.parent.add(this.frame);
+    this._followEarth();
 
     // Build the simplified ISS geometry
-    this._createISSModel(orbitRadius);
+    this._createISSModel();
+
+    // Orbit line, refilled from SGP4 or the illustrative circle
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ORBIT_SEGMENTS + 1) * 3), 3));
+    const mat = new THREE.LineDashedMaterial({
+      color: ISS_COLOR,
+      transparent: true,
+      opacity: 0.3,
+      dashSize: 0.1,
+      gapSize: 0.05,
+    });
+    this.orbitLine = new THREE.Line(geo, mat);
+    this.orbitLine.frustumCulled = false;
+    this.frame.add(this.orbitLine);
 
-    // Draw a dashed orbit ring
-    this._createOrbitLine(orbitRadius);
+    this.setSatellites([]);
   }
 
   /**
    * Build a simplified ISS model: a small rectangular body with two flat
    * solar-array panels extending from either side.
-   * @param {number} orbitRadius - Distance from Earth centre in scene units
    */
-  _createISSModel(orbitRadius) {
+  _createISSModel() {
     const group = new THREE.Group();
 
     // --- Main body (pressurised modules) ---
@@ -100,71 +196,220 @@ export class ISSTracker {
     group.add(glowSprite);
     this.glowSprite = glowSprite;
 
-    // Position the ISS at the orbit radius along the x-axis;
-    // the parent orbitGroup's rotation animates the orbital motion.
-    group.position.x = orbitRadius;
     group.userData = { key: 'iss', type: 'iss' };
 
     this.issMesh = group;
-    this.orbitGroup.add(group);
+    this.frame.add(group);
   }
 
   /**
-   * Create a dashed circle representing the ISS orbit path.
-   * @param {number} orbitRadius - Radius of the orbit ring in scene units
+   * ISS position (km, equatorial) on the illustrative circular orbit.
+   * @param {number} jd
+   * @param {THREE.Vector3} target
    */
-  _createOrbitLine(orbitRadius) {
-    const points = [];
-    const segments = 128;
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      points.push(
-        Math.cos(angle) * orbitRadius,
-        0,
-        Math.sin(angle) * orbitRadius
-      );
+  _illustrativePosition(jd, target) {
+    const r = EARTH_RADIUS_KM + ILLUSTRATIVE_ALTITUDE_KM;
+    const u = ((jd * 1440) / ILLUSTRATIVE_PERIOD_MIN % 1) * Math.PI * 2;
+    const inc = THREE.MathUtils.degToRad(ILLUSTRATIVE_INCLINATION);
+    return target.set(r * Math.cos(u), r * Math.sin(u) * Math.cos(inc), r * Math.sin(u) * Math.sin(inc));
+  }
+
+  /**
+   * Position of a satellite in the frame (scene units before Earth's size
+   * factor), or null when SGP4 fails.
+   */
+  _satellitePosition(sat, jd, target) {
+    const state = getSatelliteState(sat, jd);
+    if (!state) return null;
+    return target.set(state.r.x, state.r.y, state.r.z).multiplyScalar(this._kmToScene);
+  }
+
+  /**
+   * Fill a line with one orbit of positions, centred on jd.
+   * @param {THREE.Line} line
+   * @param {import('./Satellites.js').Satellite|null} sat - null for the illustrative ISS orbit
+   * @param {number} jd
+   */
+  _fillOrbit(line, sat, jd) {
+    const attr = line.geometry.attributes.position;
+    const period = (sat ? getSatellitePeriod(sat) : ILLUSTRATIVE_PERIOD_MIN) / 1440;
+    const p = new THREE.Vector3();
+    let count = 0;
+    for (let i = 0; i <= ORBIT_SEGMENTS; i++) {
+      const t = jd + (i / ORBIT_SEGMENTS - 0.5) * period;
+      const pos = sat
+        ? this._satellitePosition(sat, t, p)
+        : this._illustrativePosition(t, p).multiplyScalar(this._kmToScene);
+      if (!pos) continue;
+      attr.setXYZ(count++, pos.x, pos.y, pos.z);
+    }
+    line.geometry.setDrawRange(0, count);
+    attr.needsUpdate = true;
+    if (line.material.isLineDashedMaterial) line.computeLineDistances();
+  }
+
+  /**
+   * Fill a ground-track line (Earth-mesh local coordinates) for a satellite.
+   * @param {THREE.Line} line
+   * @param {import('./Satellites.js').Satellite} sat
+   * @param {number} jd
+   */
+  _fillGroundTrack(line, sat, jd) {
+    const attr = line.geometry.attributes.position;
+    const points = getGroundTrack(sat, jd, GROUND_TRACK_ORBITS, ORBIT_SEGMENTS / GROUND_TRACK_ORBITS);
+    const r = this.earthRadius * GROUND_TRACK_LIFT;
+    const n = Math.min(points.length, attr.count);
+    for (let i = 0; i < n; i++) {
+      const lat = THREE.MathUtils.degToRad(points[i].lat);
+      const lon = THREE.MathUtils.degToRad(points[i].lon);
+      // Texture longitude 0 lies on +x, east toward −z
+      attr.setXYZ(i, r * Math.cos(lat) * Math.cos(lon), r * Math.sin(lat), -r * Math.cos(lat) * Math.sin(lon));
+    }
+    line.geometry.setDrawRange(0, n);
+    attr.needsUpdate = true;
+  }
+
+  /** A line with room for one orbit's worth of points */
+  _createTrackLine(color, opacity) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ORBIT_SEGMENTS + 2) * 3), 3));
+    const line = new THREE.Line(geo, new THREE.LineBasicMaterial({ color, transparent: true, opacity }));
+    line.frustumCulled = false;
+    return line;
+  }
+
+  /**
+   * Show a new set of satellites (after the catalogue changed). The ISS is
+   * drawn with its own model rather than as a point.
+   * @param {import('./Satellites.js').Satellite[]} satellites
+   */
+  setSatellites(satellites) {
+    this._satellites = satellites.filter(sat => sat !== getISS());
+    this._cursor = 0;
+
+    if (this.satellitePoints) {
+      this.satellitePoints.removeFromParent();
+      this.satellitePoints.geometry.dispose();
+      this.satellitePoints.material.dispose();
     }
     const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
-    const mat = new THREE.LineDashedMaterial({
-      color: 0x00ff88,
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this._satellites.length * 3), 3));
+    this.satellitePoints = new THREE.Points(geo, new THREE.PointsMaterial({
+      color: SATELLITE_COLOR,
+      size: 3,
+      sizeAttenuation: false,
       transparent: true,
-      opacity: 0.3,
-      dashSize: 0.1,
-      gapSize: 0.05,
-    });
-    this.orbitLine = new THREE.Line(geo, mat);
-    this.orbitLine.computeLineDistances();
-    this.orbitGroup.add(this.orbitLine);
+      opacity: 0.9,
+    }));
+    this.satellitePoints.frustumCulled = false;
+    this.frame.add(this.satellitePoints);
+
+    this._syncTracks();
+    this._tracksJD = null;
+    this._applyVisibility();
+  }
+
+  /** Add or remove orbit and ground-track lines to match the tracked satellites */
+  _syncTracks() {
+    const wanted = new Set(getSatellites().filter(sat => sat.track).map(sat => sat.key));
+    for (const [key, lines] of this._tracks) {
+      if (wanted.has(key)) continue;
+      for (const line of [lines.orbit, lines.track]) {
+        line.removeFromParent();
+        line.geometry.dispose();
+        line.material.dispose();
+      }
+      this._tracks.delete(key);
+    }
+    const iss = getISS();
+    for (const key of wanted) {
+      if (this._tracks.has(key)) continue;
+      const isISS = iss && iss.key === key;
+      const color = isISS ? ISS_COLOR : SATELLITE_COLOR;
+      const orbit = this._createTrackLine(color, 0.35);
+      const track = this._createTrackLine(color, 0.8);
+      // The ISS keeps its dashed orbit line; other satellites get a solid one
+      if (!isISS) this.frame.add(orbit);
+      this.earthMesh.add(track);
+      this._tracks.set(key, { orbit, track });
+    }
+  }
+
+  /** Track the Earth mesh's place on its orbit and its current drawn size */
+  _followEarth() {
+    this.frame.position.copy(this.earthMesh.position);
+    this.frame.scale.copy(this.earthMesh.scale);
+  }
+
+  _applyVisibility() {
+    const show = this._visible && this._inRange;
+    this.issMesh.visible = show;
+    this.orbitLine.visible = show;
+    this.satellitePoints.visible = show;
+    for (const { orbit, track } of this._tracks.values()) {
+      orbit.visible = show;
+      track.visible = show;
+    }
   }
 
   /**
-   * Update ISS position. Called each frame.
-   * Performs a LOD check so the ISS is only rendered when the camera is
-   * within 20 scene units of Earth, and advances the orbital rotation.
-   * @param {number} delta - Frame delta time in seconds
-   * @param {number} elapsed - Total elapsed time in seconds
+   * Update positions for the simulation time. Called each frame.
+   * Performs a LOD check so satellites are only rendered when the camera is
+   * within 25 Earth radii.
+   * @param {number} jd - simulation Julian Day
+   * @param {THREE.Quaternion} inertial - equatorial frame orientation, from getInertialQuaternion()
    * @param {THREE.Camera} camera - Active camera, used for LOD distance check
    */
-  update(delta, elapsed, camera) {
-    this._elapsed += delta;
+  update(jd, inertial, camera) {
+    this._followEarth();
+    setWorldQuaternion(this.frame, inertial);
 
-    // --- LOD check: hide ISS when camera is far from Earth ---
+    // --- LOD check: hide satellites when camera is far from Earth ---
     if (camera) {
       const earthWorldPos = new THREE.Vector3();
       this.earthMesh.getWorldPosition(earthWorldPos);
       const dist = camera.position.distanceTo(earthWorldPos);
-      const shouldShow = dist < 50;
-      if (this.issMesh) this.issMesh.visible = shouldShow && this._visible;
-      if (this.orbitLine) this.orbitLine.visible = shouldShow && this._visible;
+      const inRange = dist < this.earthRadius * this.frame.scale.x * 25;
+      if (inRange !== this._inRange) {
+        this._inRange = inRange;
+        this._applyVisibility();
+      }
     }
+    if (!this._visible || !this._inRange) return;
 
-    // --- Orbital motion (physics-accurate) ---
-    // Earth rotationSpeed = 0.01 rad/sim-unit → 1 Earth day = 2π/0.01 ≈ 628 sim-units.
-    // ISS period = 92.65 min = 0.06434 days → 40.4 sim-units → ω = 2π/40.4 ≈ 0.1555 rad/unit.
-    // This means the ISS completes ~15.5 orbits per simulated Earth day — matching reality.
-    if (this.orbitGroup) {
-      this.orbitGroup.rotation.y += delta * 0.1555;
+    // --- ISS: SGP4 when elements are loaded, else the illustrative orbit ---
+    const iss = getISS();
+    const pos = iss
+      ? this._satellitePosition(iss, jd, this.issMesh.position)
+      : this._illustrativePosition(jd, this.issMesh.position).multiplyScalar(this._kmToScene);
+    this.issMesh.visible = !!pos;
+
+    // --- Other satellites, round-robin ---
+    const sats = this._satellites;
+    if (sats.length > 0) {
+      const attr = this.satellitePoints.geometry.attributes.position;
+      const p = new THREE.Vector3();
+      const n = Math.min(sats.length, SATELLITES_PER_FRAME);
+      for (let k = 0; k < n; k++) {
+        const i = this._cursor;
+        this._cursor = (this._cursor + 1) % sats.length;
+        // Failed propagations (decayed objects) collapse to Earth's centre, out of sight
+        if (!this._satellitePosition(sats[i], jd, p)) p.set(0, 0, 0);
+        attr.setXYZ(i, p.x, p.y, p.z);
+      }
+      attr.needsUpdate = true;
+    }
+
+    // --- Orbits and ground tracks ---
+    if (this._tracksJD === null || Math.abs(jd - this._tracksJD) > TRACK_REFRESH_DAYS) {
+      this._tracksJD = jd;
+      this._fillOrbit(this.orbitLine, iss, jd);
+      for (const [key, { orbit, track }] of this._tracks) {
+        const sat = getSatellite(key);
+        if (!sat) continue;
+        if (sat !== iss) this._fillOrbit(orbit, sat, jd);
+        this._fillGroundTrack(track, sat, jd);
+      }
     }
 
     // --- Pulsing glow opacity ---
@@ -174,21 +419,28 @@ export class ISSTracker {
   }
 
   /**
-   * Show or hide the ISS and its orbit line.
+   * Show or hide the ISS, satellites and their orbit lines.
    * @param {boolean} visible
    */
   setVisible(visible) {
     this._visible = visible;
-    if (this.issMesh) this.issMesh.visible = visible;
-    if (this.orbitLine) this.orbitLine.visible = visible;
+    this._applyVisibility();
   }
 
   /**
-   * Remove the ISS orbit group from the Earth mesh and clean up.
+   * Remove the ISS frame and ground tracks from the scene and clean up.
    */
   dispose() {
-    if (this.orbitGroup) {
-      this.earthMesh.remove(this.orbitGroup);
+    for (const { orbit, track } of this._tracks.values()) {
+      for (const line of [orbit, track]) {
+        line.removeFromParent();
+        line.geometry.dispose();
+        line.material.dispose();
+      }
+    }
+    this._tracks.clear();
+    if (this.frame) {
+      this.frame.removeFromParent();
     }
   }
 }
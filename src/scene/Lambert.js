@@ -0,0 +1,302 @@
+/**
+ * Interplanetary transfers: Lambert's problem in universal variables
+ * (Curtis, Orbital Mechanics for Engineering Students, algorithm 5.2) —
+ * the conic that joins two positions in a given time — plus porkchop grids
+ * of departure C3 and arrival v∞ over departure and arrival windows, and
+ * the Hohmann transfer to compare them with.
+ *
+ * Positions are heliocentric ecliptic AU, velocities AU/day, times Julian
+ * Days; C3 and v∞ come out in km²/s² and km/s. Transfers are prograde;
+ * porkchops take less than one revolution.
+ */
+import {
+  GAUSS_K, stumpff, getPlanetHeliocentricAU, getOrbitalPeriodDays, KM_PER_AU,
+} from './OrbitalMechanics.js';
+import { sub, scale, addScaled, dot, length } from '../utils/vector.js';
+
+/** Sun's gravitational parameter (AU³/day²) */
+export const MU_SUN = GAUSS_K * GAUSS_K;
+
+/** 1 AU/day in km/s */
+export const KM_S_PER_AU_DAY = KM_PER_AU / 86400;
+
+// ==================== Two-Body Problem ====================
+
+/**
+ * Heliocentric position and velocity of a body; the velocity is a central
+ * difference over a day, as the elements give only positions.
+ * @param {string} key
+ * @param {number} jd
+ * @returns {{ r: { x: number, y: number, z: number }, v: { x: number, y: number, z: number } }}
+ */
+export function getBodyState(key, jd) {
+  const before = getPlanetHeliocentricAU(key, jd - 0.5);
+  const after = getPlanetHeliocentricAU(key, jd + 0.5);
+  return { r: getPlanetHeliocentricAU(key, jd), v: sub(after, before) };
+}
+
+/** z range of single-revolution transfers: a hyperbola fast enough for any window, up to one full ellipse */
+const Z_MIN = -400;
+const Z_MAX = 4 * Math.PI * Math.PI;
+const LAMBERT_ITERATIONS = 80;
+/** Samples of the time-of-flight curve searched for its minimum on multi-revolution transfers */
+const MULTI_REV_SAMPLES = 400;
+
+/**
+ * Solve Lambert's problem: the prograde conic from r1 to r2 in a given time.
+ * With whole revolutions first, z lies between (2πN)² and (2π(N+1))², where
+ * the time of flight falls to a minimum and rises again, so each N has two
+ * solutions: the low-z branch and the high-z branch.
+ * @param {{ x: number, y: number, z: number }} r1 - AU
+ * @param {{ x: number, y: number, z: number }} r2 - AU
+ * @param {number} tof - time of flight (days)
+ * @param {{ revolutions?: number, highBranch?: boolean, mu?: number }} [options]
+ *   revolutions - whole orbits flown before arriving (default 0);
+ *   highBranch - with revolutions, take the high-z solution;
+ *   mu - gravitational parameter (default MU_SUN)
+ * @returns {{ v1: { x: number, y: number, z: number }, v2: { x: number, y: number, z: number } } | null}
+ *   velocities at r1 and r2 (AU/day); null when r1 and r2 are opposite or
+ *   no conic with those revolutions fits
+ */
+export function solveLambert(r1, r2, tof, { revolutions = 0, highBranch = false, mu = MU_SUN } = {}) {
+  const r1n = length(r1);
+  const r2n = length(r2);
+  const cosDnu = Math.max(-1, Math.min(1, dot(r1, r2) / (r1n * r2n)));
+  let dnu = Math.acos(cosDnu);
+  // Prograde: the transfer runs counterclockwise seen from ecliptic north
+  if (r1.x * r2.y - r1.y * r2.x < 0) dnu = 2 * Math.PI - dnu;
+
+  // At 180° the plane of the transfer is undefined
+  const A = Math.sin(dnu) * Math.sqrt(r1n * r2n / (1 - cosDnu));
+  if (!Number.isFinite(A) || Math.abs(A) < 1e-9) return null;
+
+  const sqrtMu = Math.sqrt(mu);
+  const y = (z, C, S) => r1n + r2n + A * (z * S - 1) / Math.sqrt(C);
+  // Time of flight for z minus the wanted one; NaN where y < 0 (no conic)
+  const flightError = (z) => {
+    const { C, S } = stumpff(z);
+    const yz = y(z, C, S);
+    if (yz < 0) return NaN;
+    return ((yz / C) ** 1.5 * S + A * Math.sqrt(yz)) / sqrtMu - tof;
+  };
+  // Root between a z that is too short (or has no conic) and one too long
+  const bisect = (short, long) => {
+    for (let i = 0; i < LAMBERT_ITERATIONS; i++) {
+      const mid = (short + long) / 2;
+      if (!(flightError(mid) >= 0)) short = mid;
+      else long = mid;
+    }
+    return (short + long) / 2;
+  };
+
+  let z;
+  if (revolutions === 0) {
+    // Rises with z
+    const lo = Z_MIN;
+    // Any closer to 4π² and C(z) is lost to rounding
+    const hi = Z_MAX - 1e-4;
+    if (flightError(lo) > 0 || !(flightError(hi) >= 0)) return null;
+    z = bisect(lo, hi);
+  } else {
+    const zLo = (2 * Math.PI * revolutions) ** 2;
+    const zHi = (2 * Math.PI * (revolutions + 1)) ** 2;
+    const zAt = (i) => zLo + (zHi - zLo) * (i + 0.5) / MULTI_REV_SAMPLES;
+    const errors = Array.from({ length: MULTI_REV_SAMPLES }, (_, i) => flightError(zAt(i)));
+    let iMin = -1;
+    for (let i = 0; i < errors.length; i++) {
+      if (errors[i] < (iMin < 0 ? Infinity : errors[iMin])) iMin = i;
+    }
+    if (iMin < 0 || errors[iMin] > 0) return null;
+    // Walk out from the minimum to the first sample that takes too long
+    const step = highBranch ? 1 : -1;
+    let i = iMin;
+    while (i >= 0 && i < errors.length && !(errors[i] >= 0)) i += step;
+    if (i < 0 || i >= errors.length) return null;
+    z = bisect(zAt(iMin), zAt(i));
+  }
+
+  const { C, S } = stumpff(z);
+  const yz = y(z, C, S);
+  const f = 1 - yz / r1n;
+  const g = A * Math.sqrt(yz / mu);
+  const gDot = 1 - yz / r2n;
+  return {
+    v1: addScaled(scale(r2, 1 / g), r1, -f / g),
+    v2: addScaled(scale(r2, gDot / g), r1, -1 / g),
+  };
+}
+
+/**
+ * Position after coasting for a time from a known state (universal Kepler
+ * equation, Curtis algorithm 3.3).
+ * @param {{ x: number, y: number, z: number }} r0 - AU
+ * @param {{ x: number, y: number, z: number }} v0 - AU/day
+ * @param {number} dt - days
+ * @param {number} [mu=MU_SUN]
+ * @returns {{ x: number, y: number, z: number }} AU
+ */
+export function propagateKepler(r0, v0, dt, mu = MU_SUN) {
+  const r0n = length(r0);
+  const vr0 = dot(r0, v0) / r0n;
+  const alpha = 2 / r0n - dot(v0, v0) / mu;
+  const sqrtMu = Math.sqrt(mu);
+
+  let chi = sqrtMu * Math.abs(alpha) * dt;
+  for (let i = 0; i < 50; i++) {
+    const z = alpha * chi * chi;
+    const { C, S } = stumpff(z);
+    const F = r0n * vr0 / sqrtMu * chi * chi * C + (1 - alpha * r0n) * chi ** 3 * S + r0n * chi - sqrtMu * dt;
+    const dF = r0n * vr0 / sqrtMu * chi * (1 - z * S) + (1 - alpha * r0n) * chi * chi * C + r0n;
+    const step = F / dF;
+    chi -= step;
+    if (Math.abs(step) < 1e-12) break;
+  }
+
+  const { C, S } = stumpff(alpha * chi * chi);
+  const f = 1 - chi * chi / r0n * C;
+  const g = dt - chi ** 3 / sqrtMu * S;
+  return addScaled(scale(r0, f), v0, g);
+}
+
+// ==================== Transfers ====================
+
+/**
+ * @typedef {Object} Transfer
+ * @property {string} from
+ * @property {string} to
+ * @property {number} departJD
+ * @property {number} arriveJD
+ * @property {number} tof - days
+ * @property {number} c3 - departure C3 (km²/s²)
+ * @property {number} vInfDepart - km/s
+ * @property {number} vInfArrive - km/s
+ * @property {{ x: number, y: number, z: number }} r1 - departure position (AU)
+ * @property {{ x: number, y: number, z: number }} v1 - velocity after departure (AU/day)
+ */
+
+/**
+ * The Lambert transfer between two bodies for a departure and arrival date.
+ * @param {string} from
+ * @param {string} to
+ * @param {number} departJD
+ * @param {number} arriveJD
+ * @returns {Transfer|null} null if the dates don't allow one
+ */
+export function getTransfer(from, to, departJD, arriveJD) {
+  const tof = arriveJD - departJD;
+  if (!(tof > 0)) return null;
+  const dep = getBodyState(from, departJD);
+  const arr = getBodyState(to, arriveJD);
+  const sol = solveLambert(dep.r, arr.r, tof);
+  if (!sol) return null;
+  const vInfDepart = length(sub(sol.v1, dep.v)) * KM_S_PER_AU_DAY;
+  return {
+    from, to, departJD, arriveJD, tof,
+    c3: vInfDepart * vInfDepart,
+    vInfDepart,
+    vInfArrive: length(sub(sol.v2, arr.v)) * KM_S_PER_AU_DAY,
+    r1: dep.r,
+    v1: sol.v1,
+  };
+}
+
+/**
+ * Points along a transfer, evenly spaced in time.
+ * @param {Transfer} transfer
+ * @param {number} [segments=200]
+ * @returns {Array<{ x: number, y: number, z: number }>} AU, departure to arrival
+ */
+export function getTransferPath(transfer, segments = 200) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    points.push(propagateKepler(transfer.r1, transfer.v1, transfer.tof * i / segments));
+  }
+  return points;
+}
+
+/**
+ * @typedef {Object} Porkchop
+ * @property {string} from
+ * @property {string} to
+ * @property {number[]} departures - Julian Day of each column
+ * @property {number[]} arrivals - Julian Day of each row
+ * @property {Float64Array} c3 - km²/s², row-major (row · columns + column); NaN where no transfer
+ * @property {Float64Array} vInf - arrival v∞ (km/s), same layout
+ * @property {{ col: number, row: number } | null} best - cell of lowest C3
+ */
+
+/**
+ * Departure C3 and arrival v∞ over a grid of departure and arrival dates.
+ * @param {string} from
+ * @param {string} to
+ * @param {{ start: number, end: number }} depart - Julian Days
+ * @param {{ start: number, end: number }} arrive - Julian Days
+ * @param {number} [size=60] - dates per axis
+ * @returns {Porkchop}
+ */
+export function computePorkchop(from, to, depart, arrive, size = 60) {
+  const span = (w, i) => w.start + (w.end - w.start) * i / (size - 1);
+  const departures = Array.from({ length: size }, (_, i) => span(depart, i));
+  const arrivals = Array.from({ length: size }, (_, i) => span(arrive, i));
+  const depStates = departures.map(jd => getBodyState(from, jd));
+  const arrStates = arrivals.map(jd => getBodyState(to, jd));
+
+  const c3 = new Float64Array(size * size).fill(NaN);
+  const vInf = new Float64Array(size * size).fill(NaN);
+  let best = null;
+  let bestC3 = Infinity;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const tof = arrivals[row] - departures[col];
+      if (tof <= 0) continue;
+      const dep = depStates[col];
+      const arr = arrStates[row];
+      const sol = solveLambert(dep.r, arr.r, tof);
+      if (!sol) continue;
+      const vd = length(sub(sol.v1, dep.v)) * KM_S_PER_AU_DAY;
+      const i = row * size + col;
+      c3[i] = vd * vd;
+      vInf[i] = length(sub(sol.v2, arr.v)) * KM_S_PER_AU_DAY;
+      if (c3[i] < bestC3) {
+        bestC3 = c3[i];
+        best = { col, row };
+      }
+    }
+  }
+
+  return { from, to, departures, arrivals, c3, vInf, best };
+}
+
+/** Semi-major axis (AU) from the orbital period */
+function semiMajorAxis(key) {
+  const period = getOrbitalPeriodDays(key);
+  return period ? Math.cbrt((period * GAUSS_K / (2 * Math.PI)) ** 2) : null;
+}
+
+/**
+ * Hohmann transfer between two bodies' orbits taken as circular and coplanar.
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ tof: number, c3: number, vInfArrive: number, synodicDays: number } | null}
+ *   days, km²/s², km/s; null for bodies without a closed orbit
+ */
+export function getHohmannTransfer(from, to) {
+  const a1 = semiMajorAxis(from);
+  const a2 = semiMajorAxis(to);
+  if (!a1 || !a2 || a1 === a2) return null;
+  const at = (a1 + a2) / 2;
+  const v1 = Math.sqrt(MU_SUN / a1);
+  const v2 = Math.sqrt(MU_SUN / a2);
+  const vDepart = Math.sqrt(MU_SUN * (2 / a1 - 1 / at));
+  const vArrive = Math.sqrt(MU_SUN * (2 / a2 - 1 / at));
+  const vInfDepart = Math.abs(vDepart - v1) * KM_S_PER_AU_DAY;
+  const p1 = getOrbitalPeriodDays(from);
+  const p2 = getOrbitalPeriodDays(to);
+  return {
+    tof: Math.PI * Math.sqrt(at ** 3 / MU_SUN),
+    c3: vInfDepart * vInfDepart,
+    vInfArrive: Math.abs(v2 - vArrive) * KM_S_PER_AU_DAY,
+    synodicDays: 1 / Math.abs(1 / p1 - 1 / p2),
+  };
+}
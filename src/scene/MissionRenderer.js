@@ -1,16 +1,18 @@
 /**
  * Renders mission trajectories in the 3D scene using real orbital mechanics.
- * Spacecraft animate along historically accurate paths based on Keplerian positions.
+ * Spacecraft fly the patched-conic legs between encounters at the speeds
+ * the Kepler arcs give.
  */
 import * as THREE from 'three';
 import '../styles/missions.css';
 import { MISSIONS } from '../data/missions.js';
+import { getPlanetPosition, heliocentricToScene } from './OrbitalMechanics.js';
 import {
   getMissionTrajectory,
   getMissionDateAtProgress,
   getWaypointProgressPositions,
-  getPlanetPosition,
-} from './OrbitalMechanics.js';
+} from './MissionTrajectory.js';
+import { getTransferPath } from './Lambert.js';
 
 export class MissionRenderer {
   constructor(scene) {
@@ -18,6 +20,7 @@ export class MissionRenderer {
     this.trajectoryGroup = new THREE.Group();
     this.scene.add(this.trajectoryGroup);
     this.activeMission = null;
+    this.activeTransfer = null;
     this.spacecraft = null;
     this.trajectoryLine = null;
     this.curve = null;
@@ -38,6 +41,7 @@ export class MissionRenderer {
 
     // Event callbacks
     this.onWaypointReached = null;
+    // (progress, date, waypointIndex) — date is "YYYY-MM-DD", or a Julian Day for a transfer
     this.onProgressUpdate = null;
   }
 
@@ -60,6 +64,67 @@ export class MissionRenderer {
     this.waypointIndices = waypointIndices;
     this.waypointProgressPositions = getWaypointProgressPositions(missionId);
 
+    this._buildTrajectory(points, waypointIndices, mission.color);
+
+    // Mission-specific spacecraft
+    this.spacecraft = this.createSpacecraftMesh(mission.id, new THREE.Color(mission.color));
+    this.spacecraft.position.copy(points[0]);
+    this.trajectoryGroup.add(this.spacecraft);
+
+    // Show ghost spheres for planets at launch date
+    this._showEpochPlanets(mission);
+
+    // Show DOM timeline strip with mission phases
+    this._createTimelineStrip(mission);
+
+    this.animationProgress = 0;
+    this.lastWaypointIndex = -1;
+  }
+
+  /**
+   * Show a planned transfer and fly a craft along it. Time runs evenly along
+   * the path, so the craft keeps the speed of the real conic.
+   * @param {import('./Lambert.js').Transfer} transfer
+   * @param {{ name: string, color: string, launchDate: string, waypoints: Array<{ body: string, date: string, event: string }> }} mission
+   *   what the timeline strip and epoch planets show
+   */
+  showTransfer(transfer, mission) {
+    this.clearMission();
+    this.activeMission = { id: 'transfer', ...mission };
+    this.activeTransfer = transfer;
+
+    // The conic is mapped by distance from the Sun, but each planet has its
+    // own display scale; spread the difference at the ends along the path so
+    // it leaves and meets the planets where they are drawn
+    const points = getTransferPath(transfer).map(heliocentricToScene);
+    const last = points.length - 1;
+    const startShift = getPlanetPosition(transfer.from, transfer.departJD).sub(points[0]);
+    const endShift = getPlanetPosition(transfer.to, transfer.arriveJD).sub(points[last]);
+    points.forEach((p, i) => p.add(startShift.clone().lerp(endShift, i / last)));
+
+    this.waypointIndices = [0, last];
+    this.waypointProgressPositions = [0, 1];
+    this._buildTrajectory(points, this.waypointIndices, mission.color);
+
+    this.spacecraft = this.createSpacecraftMesh('transfer', new THREE.Color(mission.color));
+    this.spacecraft.position.copy(points[0]);
+    this.trajectoryGroup.add(this.spacecraft);
+
+    this._showEpochPlanets(this.activeMission);
+    this._createTimelineStrip(this.activeMission);
+
+    this.animationProgress = 0;
+    this.lastWaypointIndex = -1;
+  }
+
+  /**
+   * Draw a trajectory through scene points: line, glow tubes and a marker at
+   * each waypoint. Sets this.curve for the spacecraft to follow.
+   * @param {THREE.Vector3[]} points
+   * @param {number[]} waypointIndices - indices into points
+   * @param {string} color - CSS colour
+   */
+  _buildTrajectory(points, waypointIndices, color) {
     // Create smooth curve through all points
     this.curve = new THREE.CatmullRomCurve3(points, false, 'centripetal', 0.3);
     const curvePoints = this.curve.getPoints(400);
@@ -67,7 +132,7 @@ export class MissionRenderer {
     // Core trajectory line — bright, clearly visible
     const lineGeo = new THREE.BufferGeometry().setFromPoints(curvePoints);
     const lineMat = new THREE.LineBasicMaterial({
-      color: new THREE.Color(mission.color),
+      color: new THREE.Color(color),
       transparent: true,
       opacity: 0.9,
       linewidth: 1,
@@ -78,7 +143,7 @@ export class MissionRenderer {
     // Wide outer glow tube — fat enough to read against the black void
     const tubeGeo = new THREE.TubeGeometry(this.curve, 300, 0.22, 8, false);
     const tubeMat = new THREE.MeshBasicMaterial({
-      color: new THREE.Color(mission.color),
+      color: new THREE.Color(color),
       transparent: true,
       opacity: 0.28,
     });
@@ -88,7 +153,7 @@ export class MissionRenderer {
     // Ultra-thin inner bright tube for the glowing core
     const innerGeo = new THREE.TubeGeometry(this.curve, 300, 0.06, 6, false);
     const innerMat = new THREE.MeshBasicMaterial({
-      color: new THREE.Color(mission.color),
+      color: new THREE.Color(color),
       transparent: true,
       opacity: 0.65,
     });
@@ -102,7 +167,7 @@ export class MissionRenderer {
 
       const markerGeo = new THREE.SphereGeometry(0.35, 16, 16);
       const markerMat = new THREE.MeshBasicMaterial({
-        color: new THREE.Color(mission.color),
+        color: new THREE.Color(color),
         transparent: true,
         opacity: 0.7,
       });
@@ -113,7 +178,7 @@ export class MissionRenderer {
       // Outer glow ring
       const glowGeo = new THREE.RingGeometry(0.4, 0.7, 32);
       const glowMat = new THREE.MeshBasicMaterial({
-        color: new THREE.Color(mission.color),
+        color: new THREE.Color(color),
         transparent: true,
         opacity: 0.2,
         side: THREE.DoubleSide,
@@ -125,20 +190,6 @@ export class MissionRenderer {
 
       this.waypointMarkers.push({ marker, glow, pos });
     }
-
-    // Mission-specific spacecraft
-    this.spacecraft = this._createSpacecraftMesh(mission.id, new THREE.Color(mission.color));
-    this.spacecraft.position.copy(points[0]);
-    this.trajectoryGroup.add(this.spacecraft);
-
-    // Show ghost spheres for planets at launch date
-    this._showEpochPlanets(mission);
-
-    // Show DOM timeline strip with mission phases
-    this._createTimelineStrip(mission);
-
-    this.animationProgress = 0;
-    this.lastWaypointIndex = -1;
   }
 
   /**
@@ -203,9 +254,11 @@ export class MissionRenderer {
       const rollAmount = Math.sin(this.animationProgress * Math.PI * 4) * 0.03;
       cameraOffset.add(binormal.multiplyScalar(rollAmount * 2));
 
-      const targetCamPos = point.clone().add(cameraOffset);
+      // The trajectory is built in scene coordinates; the camera works in world space
+      const worldPoint = this.trajectoryGroup.localToWorld(point.clone());
+      const targetCamPos = worldPoint.clone().add(cameraOffset);
       this._followCamera.position.lerp(targetCamPos, 0.06);
-      this._followControls.target.lerp(point, 0.08);
+      this._followControls.target.lerp(worldPoint, 0.08);
     }
 
     // Update timeline strip active phase
@@ -213,7 +266,9 @@ export class MissionRenderer {
 
     // Emit progress update
     if (this.onProgressUpdate) {
-      const currentDate = getMissionDateAtProgress(this.activeMission.id, this.animationProgress);
+      const currentDate = this.activeTransfer
+        ? this.activeTransfer.departJD + this.activeTransfer.tof * this.animationProgress
+        : getMissionDateAtProgress(this.activeMission.id, this.animationProgress);
       this.onProgressUpdate(this.animationProgress, currentDate, currentWpIdx);
     }
 
@@ -250,6 +305,22 @@ export class MissionRenderer {
     this.updateTimelineProgress(this.animationProgress);
   }
 
+  /**
+   * Rebuild the active mission or transfer after the scene scale mode or the
+   * ephemeris changed, keeping playback position, play state and camera follow.
+   */
+  refreshScale() {
+    if (!this.activeMission) return;
+    const { activeMission, activeTransfer } = this;
+    const { animationProgress, isPlaying, cameraFollowEnabled, lastWaypointIndex } = this;
+    if (activeTransfer) this.showTransfer(activeTransfer, activeMission);
+    else this.showMission(activeMission.id);
+    this.isPlaying = isPlaying;
+    this.cameraFollowEnabled = cameraFollowEnabled;
+    this.lastWaypointIndex = lastWaypointIndex;
+    this.seekTo(animationProgress);
+  }
+
   /**
    * Enable camera follow mode.
    */
@@ -427,12 +498,13 @@ export class MissionRenderer {
 
   /**
    * Build a mission-specific spacecraft THREE.Group.
-   * All geometry is procedural — no external assets required.
+   * All geometry is procedural — no external assets required. Other
+   * views borrow it to fly the same craft (GravityAssistSandbox).
    * @param {string} missionId
    * @param {THREE.Color} color
    * @returns {THREE.Group}
    */
-  _createSpacecraftMesh(missionId, color) {
+  createSpacecraftMesh(missionId, color) {
     const group = new THREE.Group();
     const mat = new THREE.MeshStandardMaterial({
       color,
@@ -568,6 +640,7 @@ export class MissionRenderer {
       this.trajectoryGroup.remove(child);
     }
     this.activeMission = null;
+    this.activeTransfer = null;
     this.spacecraft = null;
     this.trajectoryLine = null;
     this.curve = null;
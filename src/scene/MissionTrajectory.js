@@ -0,0 +1,285 @@
+/**
+ * Mission trajectories as patched conics. Between encounters a craft coasts
+ * on a heliocentric Kepler arc, found by solving Lambert's problem between
+ * the waypoint bodies' positions on the waypoint dates; each flyby shows as
+ * the kink where one arc hands over to the next. Where Lambert offers
+ * several arcs (whole revolutions first), the one whose departure v∞ best
+ * matches the arrival v∞ — an unpowered flyby keeps it — is flown.
+ *
+ * Waypoints with `orbit: true` mark a capture: the craft then travels with
+ * that body. Waypoints with only a `distance` (AU) are reached by leaving
+ * the last flyby with the incoming v∞ turned to head there.
+ */
+import * as THREE from 'three';
+import { MISSIONS } from '../data/missions.js';
+import {
+  dateToJulian, julianToDateStr, getPlanetPosition, heliocentricToScene, getOrbitalPeriodDays, DEG_TO_RAD,
+} from './OrbitalMechanics.js';
+import { solveLambert, propagateKepler, getBodyState, MU_SUN, KM_S_PER_AU_DAY } from './Lambert.js';
+import { add, sub, scale, dot, length } from '../utils/vector.js';
+
+/** Points along a whole mission, shared between legs by duration */
+const TRAJECTORY_SAMPLES = 1000;
+
+/** Lambert arcs tried on each leg: [whole revolutions, high-z branch] */
+const LAMBERT_CANDIDATES = [[0, false], [1, false], [1, true], [2, false], [2, true]];
+
+/** Departure v∞ (km/s) below which an arc is only the body's own orbit */
+const MIN_FLYBY_VINF = 0.5;
+
+/** Transfer angles within this of a whole turn (deg) leave Lambert undetermined */
+const RESONANT_ANGLE_DEG = 5;
+
+/** Turns of the outbound v∞ tried when heading for a distance */
+const ESCAPE_TURNS = 72;
+
+// ==================== Vectors ====================
+
+/** v turned by an angle about the ecliptic pole */
+function turnAboutPole(v, angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return { x: v.x * c - v.y * s, y: v.x * s + v.y * c, z: v.z };
+}
+
+// ==================== Legs ====================
+
+/**
+ * @typedef {Object} MissionLeg
+ * @property {number} startJD
+ * @property {number} endJD
+ * @property {string} from - body left at startJD
+ * @property {string|null} to - body met at endJD; null for a point in space
+ * @property {{ x: number, y: number, z: number }} [r1] - coast start (AU)
+ * @property {{ x: number, y: number, z: number }} [v1] - coast velocity (AU/day); absent when the craft rides with `from`
+ * @property {{ x: number, y: number, z: number } | null} [vInfOut] - v∞ on arrival at `to` (AU/day)
+ */
+
+/** Angle between two positions, 0–180° */
+function separationDeg(r1, r2) {
+  const cos = dot(r1, r2) / (length(r1) * length(r2));
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / DEG_TO_RAD;
+}
+
+/**
+ * Lambert arc between two bodies, choosing among the revolution counts the
+ * one whose departure v∞ matches the incoming v∞, or with none the one
+ * cheapest at both ends.
+ */
+function lambertCoast(from, to, startJD, endJD, vInfIn) {
+  const dep = getBodyState(from, startJD);
+  const arr = getBodyState(to, endJD);
+  let best = null;
+  let bestCost = Infinity;
+  for (const [revolutions, highBranch] of LAMBERT_CANDIDATES) {
+    const sol = solveLambert(dep.r, arr.r, endJD - startJD, { revolutions, highBranch });
+    if (!sol) continue;
+    const vd = length(sub(sol.v1, dep.v)) * KM_S_PER_AU_DAY;
+    const va = length(sub(sol.v2, arr.v)) * KM_S_PER_AU_DAY;
+    if (vd < MIN_FLYBY_VINF) continue;
+    const cost = vInfIn != null ? Math.abs(vd - vInfIn) : vd + va;
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = { r1: dep.r, v1: sol.v1, vInfOut: sub(sol.v2, arr.v) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Return to the same body a whole number of its years later, where the
+ * transfer angle is nearly zero and Lambert can't tell the orbits apart:
+ * fly the ellipse whose period fits the gap, reached by turning the
+ * incoming v∞ (kept in size) in the body's orbit plane.
+ */
+function resonantCoast(body, startJD, endJD, vInfIn) {
+  const { r, v: vp } = getBodyState(body, startJD);
+  const tof = endJD - startJD;
+  const vInf = vInfIn / KM_S_PER_AU_DAY;
+  const vpn = length(vp);
+  const along = scale(vp, 1 / vpn);
+  // Outward direction in the orbit plane, square to the body's motion
+  const radial = sub(r, scale(along, dot(r, along)));
+  const outward = scale(radial, 1 / length(radial));
+  const turns = Math.max(1, Math.round(tof / getOrbitalPeriodDays(body)));
+
+  for (let laps = 1; laps <= turns; laps++) {
+    const a = Math.cbrt(MU_SUN * (tof / laps / (2 * Math.PI)) ** 2);
+    const speed2 = MU_SUN * (2 / length(r) - 1 / a);
+    const cos = (speed2 - vpn * vpn - vInf * vInf) / (2 * vpn * vInf);
+    if (!(Math.abs(cos) <= 1)) continue;
+    const dir = add(scale(along, cos), scale(outward, Math.sqrt(1 - cos * cos)));
+    const v1 = add(vp, scale(dir, vInf));
+    const arr = getBodyState(body, endJD);
+    return { r1: r, v1, vInfOut: sub(propagateVelocity(r, v1, tof), arr.v) };
+  }
+  return null;
+}
+
+/** Velocity after coasting (AU/day), by a central difference of positions a day apart */
+function propagateVelocity(r0, v0, dt) {
+  return sub(propagateKepler(r0, v0, dt + 0.5), propagateKepler(r0, v0, dt - 0.5));
+}
+
+/**
+ * Leave a body for a point a given distance from the Sun: the incoming v∞
+ * turned about the ecliptic pole to whichever heading ends nearest it.
+ */
+function escapeCoast(body, startJD, endJD, vInfIn, distanceAU) {
+  const { r, v: vp } = getBodyState(body, startJD);
+  const tof = endJD - startJD;
+  // With no flyby to turn, leave along the body's motion
+  const vInf = vInfIn ?? scale(vp, 0.3);
+  const miss = (angle) => Math.abs(length(propagateKepler(r, add(vp, turnAboutPole(vInf, angle)), tof)) - distanceAU);
+
+  const step = 2 * Math.PI / ESCAPE_TURNS;
+  let bestAngle = 0;
+  for (let i = 1; i < ESCAPE_TURNS; i++) {
+    if (miss(i * step) < miss(bestAngle)) bestAngle = i * step;
+  }
+  // Golden-section refinement between the neighbouring headings
+  let lo = bestAngle - step;
+  let hi = bestAngle + step;
+  const phi = (Math.sqrt(5) - 1) / 2;
+  for (let i = 0; i < 30; i++) {
+    const m1 = hi - phi * (hi - lo);
+    const m2 = lo + phi * (hi - lo);
+    if (miss(m1) < miss(m2)) hi = m2;
+    else lo = m1;
+  }
+  return { r1: r, v1: add(vp, turnAboutPole(vInf, (lo + hi) / 2)), vInfOut: null };
+}
+
+/**
+ * The legs between a mission's waypoints.
+ * @param {Object} mission - entry of MISSIONS
+ * @returns {MissionLeg[]}
+ */
+export function getMissionLegs(mission) {
+  const legs = [];
+  let vInfIn = null; // v∞ brought into the current waypoint (AU/day)
+  const waypoints = mission.waypoints;
+
+  for (let i = 0; i + 1 < waypoints.length; i++) {
+    const wp = waypoints[i];
+    const next = waypoints[i + 1];
+    const startJD = dateToJulian(wp.date);
+    const endJD = dateToJulian(next.date);
+    const leg = { startJD, endJD, from: wp.body, to: next.body ?? null };
+
+    if (wp.orbit && next.body === wp.body) {
+      legs.push(leg);
+      vInfIn = null;
+      continue;
+    }
+
+    const vInfKm = vInfIn ? length(vInfIn) * KM_S_PER_AU_DAY : null;
+    let coast = null;
+    if (!next.body) {
+      coast = escapeCoast(wp.body, startJD, endJD, vInfIn, next.distance);
+    } else {
+      const nearlyWholeTurn = next.body === wp.body &&
+        separationDeg(getBodyState(wp.body, startJD).r, getBodyState(next.body, endJD).r) < RESONANT_ANGLE_DEG;
+      if (nearlyWholeTurn && vInfKm) coast = resonantCoast(wp.body, startJD, endJD, vInfKm);
+      // At exactly 180° Lambert has no plane either; a day later it does
+      coast = coast ?? lambertCoast(wp.body, next.body, startJD, endJD, vInfKm) ??
+        lambertCoast(wp.body, next.body, startJD, endJD + 1, vInfKm);
+    }
+
+    if (coast) Object.assign(leg, coast);
+    legs.push(leg);
+    vInfIn = coast?.vInfOut ?? null;
+  }
+  return legs;
+}
+
+/**
+ * Scene position along a leg at a time. Coasts are bent at the ends onto
+ * the planets as drawn; a leg with no coast rides with its body, or if no
+ * arc was found runs straight between the two.
+ */
+function legScenePosition(leg, jd, ends) {
+  const f = (jd - leg.startJD) / (leg.endJD - leg.startJD);
+  if (!leg.v1) {
+    return leg.to && leg.to !== leg.from
+      ? getPlanetPosition(leg.from, leg.startJD).lerp(getPlanetPosition(leg.to, leg.endJD), f)
+      : getPlanetPosition(leg.from, jd);
+  }
+  const pos = heliocentricToScene(propagateKepler(leg.r1, leg.v1, jd - leg.startJD));
+  return pos.add(ends.start.clone().lerp(ends.end, f));
+}
+
+/** Offsets between a coast's ends in the scene and the planets there, as drawn */
+function legEndShifts(leg) {
+  if (!leg.v1) return null;
+  const start = getPlanetPosition(leg.from, leg.startJD).sub(heliocentricToScene(leg.r1));
+  const end = leg.to
+    ? getPlanetPosition(leg.to, leg.endJD).sub(heliocentricToScene(propagateKepler(leg.r1, leg.v1, leg.endJD - leg.startJD)))
+    : new THREE.Vector3();
+  return { start, end };
+}
+
+/**
+ * Trajectory of a mission in scene coordinates, evenly spaced in time
+ * within each leg so a craft moving through the points at a steady rate
+ * keeps the real speeds.
+ * @param {string} missionId
+ * @returns {{ points: THREE.Vector3[], waypointIndices: number[], dates: string[], waypointDates: string[] }}
+ */
+export function getMissionTrajectory(missionId) {
+  const mission = MISSIONS.find(m => m.id === missionId);
+  if (!mission || mission.waypoints.length < 2) return { points: [], waypointIndices: [], dates: [], waypointDates: [] };
+
+  const legs = getMissionLegs(mission);
+  const totalDays = legs[legs.length - 1].endJD - legs[0].startJD;
+  const points = [];
+  const dates = [];
+  const waypointIndices = [];
+
+  for (const leg of legs) {
+    const ends = legEndShifts(leg);
+    const steps = Math.max(2, Math.round(TRAJECTORY_SAMPLES * (leg.endJD - leg.startJD) / totalDays));
+    waypointIndices.push(points.length);
+    for (let k = 0; k < steps; k++) {
+      const jd = leg.startJD + (leg.endJD - leg.startJD) * k / steps;
+      points.push(legScenePosition(leg, jd, ends));
+      dates.push(julianToDateStr(jd));
+    }
+  }
+  const last = legs[legs.length - 1];
+  waypointIndices.push(points.length);
+  points.push(legScenePosition(last, last.endJD, legEndShifts(last)));
+  dates.push(julianToDateStr(last.endJD));
+
+  return { points, waypointIndices, dates, waypointDates: mission.waypoints.map(wp => wp.date) };
+}
+
+/**
+ * Get date for a given progress along a mission trajectory.
+ */
+export function getMissionDateAtProgress(missionId, progress) {
+  const mission = MISSIONS.find(m => m.id === missionId);
+  if (!mission || mission.waypoints.length < 2) return '';
+
+  const startDate = new Date(mission.waypoints[0].date).getTime();
+  const endDate = new Date(mission.waypoints[mission.waypoints.length - 1].date).getTime();
+  const currentDate = new Date(startDate + (endDate - startDate) * progress);
+  return currentDate.toISOString().split('T')[0];
+}
+
+/**
+ * Get waypoint progress positions (0..1) for timeline dots.
+ */
+export function getWaypointProgressPositions(missionId) {
+  const mission = MISSIONS.find(m => m.id === missionId);
+  if (!mission || mission.waypoints.length < 2) return [];
+
+  const startTime = new Date(mission.waypoints[0].date).getTime();
+  const endTime = new Date(mission.waypoints[mission.waypoints.length - 1].date).getTime();
+  const totalDuration = endTime - startTime;
+
+  return mission.waypoints.map(wp => {
+    const wpTime = new Date(wp.date).getTime();
+    return totalDuration > 0 ? (wpTime - startTime) / totalDuration : 0;
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * Planet-centred moon positions for any date.
+ * Luna uses the truncated lunar series from OrbitalMechanics, the Galilean
+ * moons Meeus' low-accuracy theory (Astronomical Algorithms ch. 44), and every
+ * other moon JPL mean orbital elements on its local Laplace plane.
+ * All vectors are in km, referred to the J2000 ecliptic.
+ */
+import {
+  getMoonGeocentric, getPlanetHeliocentricAU, solveKeplerEquation, OBLIQUITY_J2000, DEG_TO_RAD, J2000_JD,
+} from './OrbitalMechanics.js';
+import { cross, normalize } from '../utils/vector.js';
+
+// ==================== Constants ====================
+
+const JUPITER_RADIUS_KM = 71492;
+
+/** Right-handed spin poles [RA, Dec] (deg, J2000 equator) of the reference planes */
+const POLES = {
+  mars: [317.681, 52.887],
+  jupiter: [268.057, 64.495],
+  saturn: [40.589, 83.537],
+  iapetusLaplace: [284.95, 78.16],
+  uranus: [77.311, 15.175],   // Uranus spins retrograde, so its right-handed pole is south of the IAU one
+  neptune: [299.36, 43.46],
+  tritonLaplace: [299.456, 43.414],
+  pluto: [132.993, -6.163],
+};
+
+/**
+ * Mean orbital elements keyed by parent body, then by moon name as it appears
+ * in SOLAR_SYSTEM / DWARF_PLANETS.
+ * a (km), e, i/node/peri/M0 (deg), n (deg/day) from epoch (JD).
+ * node and peri are measured from the ascending node of the reference plane on
+ * the J2000 equator; pole null means the J2000 ecliptic.
+ * nodeRate/periRate (deg/day) are only given where precession is visible.
+ * theory marks moons whose position comes from a series — their elements are
+ * then only used to draw the orbit.
+ */
+const MOON_ELEMENTS = {
+  earth: {
+    'Moon (Luna)': {
+      theory: 'lunar', pole: null, epoch: J2000_JD,
+      a: 384400, e: 0.0549, i: 5.145, node: 125.0445, peri: 318.3087, M0: 134.9634, n: 13.0649930,
+      nodeRate: -0.0529539, periRate: 0.1643573,
+    },
+  },
+  mars: {
+    Phobos: { pole: POLES.mars, epoch: 2433282.5, a: 9376, e: 0.0151, i: 1.075, node: 207.784, peri: 150.057, M0: 91.059, n: 1128.8447569 },
+    Deimos: { pole: POLES.mars, epoch: 2433282.5, a: 23458, e: 0.0002, i: 1.788, node: 24.525, peri: 260.729, M0: 325.329, n: 285.1618790 },
+  },
+  jupiter: {
+    Io: { theory: 'galilean', index: 0, pole: POLES.jupiter, epoch: J2000_JD, a: 422210, e: 0, i: 0, node: 0, peri: 0, M0: 0, n: 203.4058646 },
+    Europa: { theory: 'galilean', index: 1, pole: POLES.jupiter, epoch: J2000_JD, a: 671780, e: 0, i: 0, node: 0, peri: 0, M0: 0, n: 101.2916335 },
+    Ganymede: { theory: 'galilean', index: 2, pole: POLES.jupiter, epoch: J2000_JD, a: 1071540, e: 0, i: 0, node: 0, peri: 0, M0: 0, n: 50.2345180 },
+    Callisto: { theory: 'galilean', index: 3, pole: POLES.jupiter, epoch: J2000_JD, a: 1884720, e: 0, i: 0, node: 0, peri: 0, M0: 0, n: 21.4879800 },
+  },
+  saturn: {
+    Titan: { pole: POLES.saturn, epoch: J2000_JD, a: 1221865, e: 0.0288, i: 0.306, node: 28.060, peri: 180.532, M0: 163.310, n: 22.5769756 },
+    Enceladus: { pole: POLES.saturn, epoch: J2000_JD, a: 238042, e: 0.0047, i: 0.003, node: 342.507, peri: 0.076, M0: 199.686, n: 262.7318978 },
+    Mimas: { pole: POLES.saturn, epoch: J2000_JD, a: 185539, e: 0.0196, i: 1.574, node: 173.027, peri: 332.499, M0: 14.848, n: 381.9944948 },
+    Iapetus: { pole: POLES.iapetusLaplace, epoch: J2000_JD, a: 3560854, e: 0.0293, i: 8.298, node: 81.105, peri: 271.606, M0: 201.789, n: 4.5379416 },
+  },
+  uranus: {
+    Miranda: { pole: POLES.uranus, epoch: 2444239.5, a: 129900, e: 0.0013, i: 4.338, node: 326.438, peri: 68.312, M0: 311.330, n: 254.6906892 },
+    Ariel: { pole: POLES.uranus, epoch: 2444239.5, a: 190900, e: 0.0012, i: 0.041, node: 22.394, peri: 115.349, M0: 39.481, n: 142.8356681 },
+    Titania: { pole: POLES.uranus, epoch: 2444239.5, a: 436300, e: 0.0011, i: 0.079, node: 99.771, peri: 284.400, M0: 24.614, n: 41.3514316 },
+    Oberon: { pole: POLES.uranus, epoch: 2444239.5, a: 583500, e: 0.0014, i: 0.068, node: 279.771, peri: 104.400, M0: 283.088, n: 26.7394932 },
+  },
+  neptune: {
+    // i > 90° — Triton orbits against Neptune's spin
+    Triton: { pole: POLES.tritonLaplace, epoch: J2000_JD, a: 354759, e: 0.0000, i: 156.865, node: 177.608, peri: 66.142, M0: 352.257, n: 61.2572637 },
+    Proteus: { pole: POLES.neptune, epoch: J2000_JD, a: 117647, e: 0.0005, i: 0.524, node: 162.690, peri: 301.706, M0: 117.050, n: 320.7654228 },
+    Nereid: { pole: null, epoch: J2000_JD, a: 5513818, e: 0.7507, i: 7.090, node: 335.570, peri: 281.117, M0: 359.341, n: 0.9996375 },
+  },
+  pluto: {
+    // Pluto's prime meridian is defined as the sub-Charon meridian, so
+    // Charon's angle from the equator node is Pluto's rotation angle W.
+    Charon: { pole: POLES.pluto, epoch: J2000_JD, a: 19591, e: 0, i: 0, node: 0, peri: 0, M0: 302.695, n: 56.3625225 },
+  },
+};
+
+// ==================== Frames ====================
+
+/** J2000 equatorial → J2000 ecliptic */
+function equatorialToEcliptic(v) {
+  const eps = OBLIQUITY_J2000 * DEG_TO_RAD;
+  const cosE = Math.cos(eps);
+  const sinE = Math.sin(eps);
+  return {
+    x: v.x,
+    y: v.y * cosE + v.z * sinE,
+    z: -v.y * sinE + v.z * cosE,
+  };
+}
+
+const _frameCache = new Map();
+
+/**
+ * Ecliptic basis of a reference plane: X toward its ascending node on the
+ * J2000 equator, Z along its pole. A null pole is the ecliptic itself.
+ */
+function getReferenceFrame(pole) {
+  if (!pole) {
+    return { X: { x: 1, y: 0, z: 0 }, Y: { x: 0, y: 1, z: 0 }, Z: { x: 0, y: 0, z: 1 } };
+  }
+  const cacheKey = pole.join(',');
+  if (_frameCache.has(cacheKey)) return _frameCache.get(cacheKey);
+
+  const ra = pole[0] * DEG_TO_RAD;
+  const dec = pole[1] * DEG_TO_RAD;
+  const Z = { x: Math.cos(dec) * Math.cos(ra), y: Math.cos(dec) * Math.sin(ra), z: Math.sin(dec) };
+  const X = { x: -Math.sin(ra), y: Math.cos(ra), z: 0 };
+  const Y = cross(Z, X);
+  const frame = { X: equatorialToEcliptic(X), Y: equatorialToEcliptic(Y), Z: equatorialToEcliptic(Z) };
+  _frameCache.set(cacheKey, frame);
+  return frame;
+}
+
+/** Vector given in a reference frame's (X, Y, Z) components → ecliptic */
+function fromFrame(frame, x, y, z) {
+  return {
+    x: frame.X.x * x + frame.Y.x * y + frame.Z.x * z,
+    y: frame.X.y * x + frame.Y.y * y + frame.Z.y * z,
+    z: frame.X.z * x + frame.Y.z * y + frame.Z.z * z,
+  };
+}
+
+// ==================== Kepler Orbits ====================
+
+/** Node and argument of pericentre (radians) at a date, including precession */
+function getOrientation(el, jd) {
+  const dt = jd - el.epoch;
+  return {
+    node: (el.node + (el.nodeRate || 0) * dt) * DEG_TO_RAD,
+    peri: (el.peri + (el.periRate || 0) * dt) * DEG_TO_RAD,
+    inc: el.i * DEG_TO_RAD,
+  };
+}
+
+/** Point on the orbit at true anomaly v (radians), km in the ecliptic */
+function orbitPoint(el, orientation, v) {
+  const { node, peri, inc } = orientation;
+  const r = el.a * (1 - el.e * el.e) / (1 + el.e * Math.cos(v));
+  const u = peri + v;
+  const x = r * (Math.cos(node) * Math.cos(u) - Math.sin(node) * Math.sin(u) * Math.cos(inc));
+  const y = r * (Math.sin(node) * Math.cos(u) + Math.cos(node) * Math.sin(u) * Math.cos(inc));
+  const z = r * Math.sin(u) * Math.sin(inc);
+  return fromFrame(getReferenceFrame(el.pole), x, y, z);
+}
+
+function getKeplerOffset(el, jd) {
+  let M = (el.M0 + el.n * (jd - el.epoch)) % 360;
+  if (M < 0) M += 360;
+  const E = solveKeplerEquation(M * DEG_TO_RAD, el.e);
+  const v = 2 * Math.atan2(
+    Math.sqrt(1 + el.e) * Math.sin(E / 2),
+    Math.sqrt(1 - el.e) * Math.cos(E / 2),
+  );
+  return orbitPoint(el, getOrientation(el, jd), v);
+}
+
+// ==================== Series Theories ====================
+
+function getLunaOffset(jd) {
+  const { lon, lat, distanceKm } = getMoonGeocentric(jd);
+  const l = lon * DEG_TO_RAD;
+  const b = lat * DEG_TO_RAD;
+  return {
+    x: distanceKm * Math.cos(b) * Math.cos(l),
+    y: distanceKm * Math.cos(b) * Math.sin(l),
+    z: distanceKm * Math.sin(b),
+  };
+}
+
+/**
+ * Galilean moon angles u (deg, from inferior geocentric conjunction) and
+ * radii (Jupiter radii) — Meeus ch. 44, low-accuracy method.
+ */
+function getGalileanAngles(jd) {
+  const d = jd - J2000_JD;
+  const V = (172.74 + 0.00111588 * d) * DEG_TO_RAD;
+  const M = (357.529 + 0.9856003 * d) * DEG_TO_RAD;
+  const N = (20.020 + 0.0830853 * d + 0.329 * Math.sin(V)) * DEG_TO_RAD;
+  const J = 66.115 + 0.9025179 * d - 0.329 * Math.sin(V);
+  const A = 1.915 * Math.sin(M) + 0.020 * Math.sin(2 * M);
+  const B = 5.555 * Math.sin(N) + 0.168 * Math.sin(2 * N);
+  const K = (J + A - B) * DEG_TO_RAD;
+  const R = 1.00014 - 0.01671 * Math.cos(M) - 0.00014 * Math.cos(2 * M);
+  const r = 5.20872 - 0.25208 * Math.cos(N) - 0.00611 * Math.cos(2 * N);
+  const delta = Math.sqrt(r * r + R * R - 2 * r * R * Math.cos(K));
+  const psi = Math.asin((R / delta) * Math.sin(K)) / DEG_TO_RAD;
+
+  const t = d - delta / 173; // light-time
+  const shift = psi - B;
+  let u1 = 163.8069 + 203.4058646 * t + shift;
+  let u2 = 358.4140 + 101.2916335 * t + shift;
+  let u3 = 5.7176 + 50.2345180 * t + shift;
+  let u4 = 224.8092 + 21.4879800 * t + shift;
+  const G = (331.18 + 50.310482 * t) * DEG_TO_RAD;
+  const H = (87.45 + 21.569231 * t) * DEG_TO_RAD;
+
+  const d12 = 2 * (u1 - u2) * DEG_TO_RAD;
+  const d23 = 2 * (u2 - u3) * DEG_TO_RAD;
+  u1 += 0.473 * Math.sin(d12);
+  u2 += 1.065 * Math.sin(d23);
+  u3 += 0.165 * Math.sin(G);
+  u4 += 0.843 * Math.sin(H);
+
+  return [
+    { u: u1, r: 5.9057 - 0.0244 * Math.cos(d12) },
+    { u: u2, r: 9.3966 - 0.0882 * Math.cos(d23) },
+    { u: u3, r: 14.9883 - 0.0216 * Math.cos(G) },
+    { u: u4, r: 26.3627 - 0.1939 * Math.cos(H) },
+  ];
+}
+
+function getGalileanOffset(el, jd) {
+  const { u, r } = getGalileanAngles(jd)[el.index];
+
+  // u is counted in Jupiter's equator from the direction toward Earth
+  const earth = getPlanetHeliocentricAU('earth', jd);
+  const jupiter = getPlanetHeliocentricAU('jupiter', jd);
+  const toEarth = { x: earth.x - jupiter.x, y: earth.y - jupiter.y, z: earth.z - jupiter.z };
+  const pole = getReferenceFrame(el.pole).Z;
+  const along = toEarth.x * pole.x + toEarth.y * pole.y + toEarth.z * pole.z;
+  const e1 = normalize({
+    x: toEarth.x - along * pole.x,
+    y: toEarth.y - along * pole.y,
+    z: toEarth.z - along * pole.z,
+  });
+  const e2 = cross(pole, e1);
+
+  const rKm = r * JUPITER_RADIUS_KM;
+  const cosU = Math.cos(u * DEG_TO_RAD);
+  const sinU = Math.sin(u * DEG_TO_RAD);
+  return {
+    x: rKm * (cosU * e1.x + sinU * e2.x),
+    y: rKm * (cosU * e1.y + sinU * e2.y),
+    z: rKm * (cosU * e1.z + sinU * e2.z),
+  };
+}
+
+// ==================== Public API ====================
+
+/**
+ * Mean orbital elements of a moon, or null if none are tabulated.
+ * @param {string} parentKey - planet or dwarf planet key
+ * @param {string} moonName - moon name as in the body data
+ */
+export function getMoonElements(parentKey, moonName) {
+  return MOON_ELEMENTS[parentKey]?.[moonName] || null;
+}
+
+/**
+ * Unit vector along a planet's right-handed spin axis, J2000 ecliptic.
+ * @param {string} parentKey
+ * @returns {{ x: number, y: number, z: number } | null}
+ */
+export function getSpinAxis(parentKey) {
+  const pole = POLES[parentKey];
+  return pole ? getReferenceFrame(pole).Z : null;
+}
+
+/**
+ * Position of a moon relative to its parent.
+ * @param {string} parentKey
+ * @param {string} moonName
+ * @param {number} jd - Julian Day
+ * @returns {{ x: number, y: number, z: number } | null} km, J2000 ecliptic
+ */
+export function getMoonOffset(parentKey, moonName, jd) {
+  const el = getMoonElements(parentKey, moonName);
+  if (!el) return null;
+  if (el.theory === 'lunar') return getLunaOffset(jd);
+  if (el.theory === 'galilean') return getGalileanOffset(el, jd);
+  return getKeplerOffset(el, jd);
+}
+
+/**
+ * Osculating orbit of a moon at a date, as a closed ring of points.
+ * @param {string} parentKey
+ * @param {string} moonName
+ * @param {number} jd - Julian Day
+ * @param {number} [segments=128]
+ * @returns {Array<{ x: number, y: number, z: number }> | null} km, J2000 ecliptic
+ */
+export function getMoonOrbitPath(parentKey, moonName, jd, segments = 128) {
+  const el = getMoonElements(parentKey, moonName);
+  if (!el) return null;
+  const orientation = getOrientation(el, jd);
+  const points = [];
+  for (let s = 0; s <= segments; s++) {
+    points.push(orbitPoint(el, orientation, (s / segments) * Math.PI * 2));
+  }
+  return points;
+}
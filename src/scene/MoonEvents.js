@@ -0,0 +1,201 @@
+/**
+ * Moon event predictor for the Jovian and Saturnian systems — transits,
+ * shadow transits, eclipses and occultations of the Galilean moons, and
+ * Titan's shadow transits on Saturn, as seen from Earth.
+ * Builds on the moon ephemerides in MoonEphemeris.
+ */
+import { SOLAR_SYSTEM } from '../data/solarSystem.js';
+import { getPlanetHeliocentricAU, getSkyPosition, KM_PER_AU } from './OrbitalMechanics.js';
+import { getMoonOffset, getSpinAxis } from './MoonEphemeris.js';
+import { dot, normalize } from '../utils/vector.js';
+
+// ==================== Constants ====================
+
+const LIGHT_AU_PER_DAY = 173.1446327;
+
+/** Scan step (days) — 5 minutes, short enough to catch every non-grazing event */
+const SCAN_STEP = 5 / 1440;
+
+/** Contact times are refined to a few seconds */
+const REFINE_ITERATIONS = 12;
+
+/** Scan this far outside the range so events already under way are complete (days) */
+const EVENT_PADDING = 0.5;
+
+/** Planet altitude (deg) and Sun altitude (deg) for an event to count as observable */
+const MIN_PLANET_ALTITUDE = 10;
+const MAX_SUN_ALTITUDE = -6;
+
+/** Event types, in the order they are listed when simultaneous */
+export const MOON_EVENT_TYPES = ['transit', 'shadow', 'eclipse', 'occultation'];
+
+/**
+ * Systems scanned. Meeus' Galilean theory already includes light-time,
+ * Titan's mean elements do not.
+ */
+const SYSTEMS = {
+  jupiter: {
+    equatorialKm: 71492,
+    polarKm: 66854,
+    moons: ['Io', 'Europa', 'Ganymede', 'Callisto'],
+    types: MOON_EVENT_TYPES,
+    lightTimeIncluded: true,
+  },
+  saturn: {
+    equatorialKm: 60268,
+    polarKm: 54364,
+    moons: ['Titan'],
+    types: ['shadow'],
+    lightTimeIncluded: false,
+  },
+};
+
+// ==================== Geometry ====================
+
+/**
+ * Where a moon sits against the planet's oblate disc, seen along a direction.
+ * @returns {{ inDisc: boolean, front: boolean }}
+ */
+function discRelation(moon, toViewer, pole, system) {
+  const along = dot(moon, toViewer);
+  const perp = {
+    x: moon.x - along * toViewer.x,
+    y: moon.y - along * toViewer.y,
+    z: moon.z - along * toViewer.z,
+  };
+  // Apparent polar radius shrinks less as the pole tilts toward the viewer
+  const sinD = dot(pole, toViewer);
+  const b = Math.sqrt(
+    system.equatorialKm ** 2 * sinD * sinD + system.polarKm ** 2 * (1 - sinD * sinD),
+  );
+  const skyPole = normalize({
+    x: pole.x - sinD * toViewer.x,
+    y: pole.y - sinD * toViewer.y,
+    z: pole.z - sinD * toViewer.z,
+  });
+  const y = dot(perp, skyPole);
+  const x2 = Math.max(0, dot(perp, perp) - y * y);
+  return {
+    inDisc: x2 / system.equatorialKm ** 2 + (y * y) / (b * b) < 1,
+    front: along > 0,
+  };
+}
+
+/**
+ * Which events are in progress for each moon of a system at one instant.
+ * @returns {Object<string, Object<string, boolean>>} moon name → type → active
+ */
+function getSystemState(planetKey, system, jd) {
+  const earth = getPlanetHeliocentricAU('earth', jd);
+  let planet = getPlanetHeliocentricAU(planetKey, jd);
+  const lightTime = Math.hypot(planet.x - earth.x, planet.y - earth.y, planet.z - earth.z) / LIGHT_AU_PER_DAY;
+  planet = getPlanetHeliocentricAU(planetKey, jd - lightTime);
+
+  const toEarth = normalize({ x: earth.x - planet.x, y: earth.y - planet.y, z: earth.z - planet.z });
+  const toSun = normalize({ x: -planet.x, y: -planet.y, z: -planet.z });
+  const pole = getSpinAxis(planetKey);
+  const moonJD = system.lightTimeIncluded ? jd : jd - lightTime;
+
+  const state = {};
+  for (const name of system.moons) {
+    const moon = getMoonOffset(planetKey, name, moonJD);
+    const seen = discRelation(moon, toEarth, pole, system);
+    const lit = discRelation(moon, toSun, pole, system);
+    state[name] = {
+      transit: seen.inDisc && seen.front,
+      occultation: seen.inDisc && !seen.front,
+      shadow: lit.inDisc && lit.front,
+      eclipse: lit.inDisc && !lit.front,
+    };
+  }
+  return state;
+}
+
+/** Bisect the instant an event flag flips between jdA (value a) and jdB */
+function refineContact(planetKey, system, moon, type, jdA, jdB, a) {
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const mid = (jdA + jdB) / 2;
+    if (getSystemState(planetKey, system, mid)[moon][type] === a) jdA = mid;
+    else jdB = mid;
+  }
+  return (jdA + jdB) / 2;
+}
+
+function isObservable(planetKey, jd, observer) {
+  return getSkyPosition(planetKey, jd, observer).altitude >= MIN_PLANET_ALTITUDE &&
+    getSkyPosition('sun', jd, observer).altitude <= MAX_SUN_ALTITUDE;
+}
+
+// ==================== Public API ====================
+
+/**
+ * Find every moon event that overlaps a date range.
+ * @param {number} jdStart - Julian Day
+ * @param {number} jdEnd - Julian Day
+ * @param {{ lat: number, lon: number }} [observer] - adds an `observable` flag per event
+ * @returns {Array<{ planet: string, moon: string, moonIndex: number, type: string,
+ *   start: number, end: number, mid: number, observable?: boolean }>} sorted by start
+ */
+export function findMoonEvents(jdStart, jdEnd, observer) {
+  const events = [];
+
+  for (const [planetKey, system] of Object.entries(SYSTEMS)) {
+    const moonNames = SOLAR_SYSTEM[planetKey].moons.map(m => m.name);
+    const open = {}; // `${moon}:${type}` → start JD
+    let prevJD = jdStart - EVENT_PADDING;
+    let prev = getSystemState(planetKey, system, prevJD);
+
+    for (let jd = prevJD + SCAN_STEP; jd <= jdEnd + EVENT_PADDING; jd += SCAN_STEP) {
+      const state = getSystemState(planetKey, system, jd);
+
+      for (const moon of system.moons) {
+        for (const type of system.types) {
+          const was = prev[moon][type];
+          const is = state[moon][type];
+          if (was === is) continue;
+
+          const contact = refineContact(planetKey, system, moon, type, prevJD, jd, was);
+          const id = `${moon}:${type}`;
+          if (is) {
+            open[id] = contact;
+          } else if (open[id] !== undefined) {
+            const start = open[id];
+            delete open[id];
+            if (contact < jdStart || start > jdEnd) continue;
+            events.push({
+              planet: planetKey,
+              moon,
+              moonIndex: moonNames.indexOf(moon),
+              type,
+              start,
+              end: contact,
+              mid: (start + contact) / 2,
+            });
+          }
+        }
+      }
+
+      prev = state;
+      prevJD = jd;
+    }
+  }
+
+  if (observer) {
+    for (const event of events) event.observable = isObservable(event.planet, event.mid, observer);
+  }
+
+  return events.sort((a, b) => a.start - b.start ||
+    MOON_EVENT_TYPES.indexOf(a.type) - MOON_EVENT_TYPES.indexOf(b.type));
+}
+
+/**
+ * Direction from a planet toward Earth (J2000 ecliptic unit vector) — the
+ * viewpoint from which its moon events are seen.
+ * @param {string} planetKey
+ * @param {number} jd
+ */
+export function getEarthDirection(planetKey, jd) {
+  const earth = getPlanetHeliocentricAU('earth', jd);
+  const planet = getPlanetHeliocentricAU(planetKey, jd);
+  return normalize({ x: earth.x - planet.x, y: earth.y - planet.y, z: earth.z - planet.z });
+}
@@ -0,0 +1,345 @@
+/**
+ * N-body sandbox physics: the Sun and planets as point masses pulling on
+ * each other, seeded from the ephemeris at a date and then left to gravity.
+ * Bodies can be added, deleted, made heavier or lighter and kicked. The
+ * integrator is Yoshida's fourth-order composition of leapfrog steps. Steps
+ * shorten while two bodies pass close, which alone would cost the scheme its
+ * symplectic character; choosing each step's length symmetrically in time
+ * keeps it reversible instead, so over long runs the energy error wobbles
+ * rather than grows (a close pass can still leave a one-off offset). Bodies
+ * that touch merge, keeping their momentum.
+ *
+ * Positions are barycentric ecliptic AU, velocities AU/day, masses as
+ * gravitational parameters μ (AU³/day²), times days.
+ */
+import { getBodyState, MU_SUN, KM_S_PER_AU_DAY } from './Lambert.js';
+import { GRAVITY_BODIES } from './GravityAssist.js';
+import { DEG_TO_RAD, KM_PER_AU } from './OrbitalMechanics.js';
+import { sub, addScaled, dot, length } from '../utils/vector.js';
+
+/** Longest integrator step (days) */
+const MAX_STEP_DAYS = 1;
+
+/** Step as a fraction of the closest pair's dynamical time √(d³/μ) */
+const STEP_FRACTION = 0.05;
+
+/** Passes refining a step's length toward the start–end mean */
+const SYMMETRY_ITERATIONS = 2;
+
+/** Most steps taken for one frame, so a fast clock can't stall the page */
+const MAX_STEPS_PER_ADVANCE = 2000;
+
+/** Yoshida's coefficients for a fourth-order symplectic step */
+const CBRT2 = Math.cbrt(2);
+const W1 = 1 / (2 - CBRT2);
+const W0 = -CBRT2 / (2 - CBRT2);
+const DRIFTS = [W1 / 2, (W0 + W1) / 2, (W0 + W1) / 2, W1 / 2];
+const KICKS = [W1, W0, W1];
+
+const SUN_RADIUS_AU = 695700 / KM_PER_AU;
+
+/** Earth's μ (AU³/day²), the unit masses are entered in */
+export const EARTH_MU = GRAVITY_BODIES.find(b => b.key === 'earth').mu;
+
+/**
+ * @typedef {Object} NBodyBody
+ * @property {string} key
+ * @property {number} mu - AU³/day²
+ * @property {number} radius - AU, for collisions
+ * @property {{ x: number, y: number, z: number }} r - AU
+ * @property {{ x: number, y: number, z: number }} v - AU/day
+ * @property {string} [look] - planet whose mesh an added body borrows
+ */
+
+/**
+ * @typedef {Object} NBodySystem
+ * @property {number} startJD - date the system was seeded from
+ * @property {number} time - days since then
+ * @property {NBodyBody[]} bodies
+ * @property {number} energy0 - total energy since the last edit
+ * @property {Array<{ key: string, into: string, time: number }>} merges
+ */
+
+// ==================== System ====================
+
+/** Shift positions and velocities so the centre of mass sits still at the origin */
+function toBarycentre(bodies) {
+  const total = bodies.reduce((sum, b) => sum + b.mu, 0);
+  if (total === 0) return;
+  let r = { x: 0, y: 0, z: 0 };
+  let v = { x: 0, y: 0, z: 0 };
+  for (const b of bodies) {
+    r = addScaled(r, b.r, b.mu / total);
+    v = addScaled(v, b.v, b.mu / total);
+  }
+  for (const b of bodies) {
+    b.r = sub(b.r, r);
+    b.v = sub(b.v, v);
+  }
+}
+
+/**
+ * The Sun and the eight planets as they are at a date.
+ * @param {number} jd
+ * @returns {NBodySystem}
+ */
+export function createNBodySystem(jd) {
+  const bodies = [{ key: 'sun', mu: MU_SUN, radius: SUN_RADIUS_AU, r: { x: 0, y: 0, z: 0 }, v: { x: 0, y: 0, z: 0 } }];
+  for (const { key, mu, radius } of GRAVITY_BODIES) {
+    const { r, v } = getBodyState(key, jd);
+    bodies.push({ key, mu, radius, r, v });
+  }
+  toBarycentre(bodies);
+  const system = { startJD: jd, time: 0, bodies, energy0: 0, merges: [] };
+  system.energy0 = getSystemEnergy(system);
+  return system;
+}
+
+/**
+ * Total kinetic plus potential energy (μ·AU²/day² — only its drift matters).
+ * @param {NBodySystem} system
+ * @returns {number}
+ */
+export function getSystemEnergy({ bodies }) {
+  let energy = 0;
+  for (let i = 0; i < bodies.length; i++) {
+    const a = bodies[i];
+    energy += a.mu * dot(a.v, a.v) / 2;
+    for (let j = i + 1; j < bodies.length; j++) {
+      energy -= a.mu * bodies[j].mu / length(sub(a.r, bodies[j].r));
+    }
+  }
+  return energy;
+}
+
+/**
+ * Energy change since the last edit, as a fraction of the total.
+ * @param {NBodySystem} system
+ * @returns {number}
+ */
+export function getEnergyDrift(system) {
+  if (system.energy0 === 0) return 0;
+  return (getSystemEnergy(system) - system.energy0) / Math.abs(system.energy0);
+}
+
+function kick(bodies, dt) {
+  for (let i = 0; i < bodies.length; i++) {
+    const a = bodies[i];
+    for (let j = i + 1; j < bodies.length; j++) {
+      const b = bodies[j];
+      const d = sub(b.r, a.r);
+      const dl = length(d);
+      const k = dt / (dl * dl * dl);
+      a.v = addScaled(a.v, d, b.mu * k);
+      b.v = addScaled(b.v, d, -a.mu * k);
+    }
+  }
+}
+
+function drift(bodies, dt) {
+  for (const b of bodies) b.r = addScaled(b.r, b.v, dt);
+}
+
+/**
+ * Closest two bodies came during the step just taken, treating their
+ * relative motion as straight — a step is far longer than a planet is wide,
+ * so checking only the end would let bodies pass through each other.
+ */
+function closestInStep(a, b, dt) {
+  const r = sub(a.r, b.r);
+  const v = sub(a.v, b.v);
+  const vv = dot(v, v);
+  const t = vv > 0 ? Math.min(0, Math.max(-dt, -dot(r, v) / vv)) : 0;
+  return length(addScaled(r, v, t));
+}
+
+/** Merge every pair that touched, the lighter into the heavier */
+function mergeCollisions(system, dt) {
+  const { bodies } = system;
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      const a = bodies[i];
+      const b = bodies[j];
+      if (closestInStep(a, b, dt) > a.radius + b.radius) continue;
+      const [big, small] = a.mu >= b.mu ? [a, b] : [b, a];
+      const mu = big.mu + small.mu;
+      big.r = addScaled(addScaled({ x: 0, y: 0, z: 0 }, big.r, big.mu / mu), small.r, small.mu / mu);
+      big.v = addScaled(addScaled({ x: 0, y: 0, z: 0 }, big.v, big.mu / mu), small.v, small.mu / mu);
+      big.radius = Math.cbrt(big.radius ** 3 + small.radius ** 3);
+      big.mu = mu;
+      bodies.splice(bodies.indexOf(small), 1);
+      system.merges.push({ key: small.key, into: big.key, time: system.time });
+      // A merger loses the energy of the impact; measure from here on
+      system.energy0 = getSystemEnergy(system);
+      mergeCollisions(system, dt);
+      return;
+    }
+  }
+}
+
+/** Step length the bodies call for as they are now */
+function stepLength(bodies) {
+  let step = MAX_STEP_DAYS;
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      const d = length(sub(bodies[i].r, bodies[j].r));
+      step = Math.min(step, STEP_FRACTION * Math.sqrt(d * d * d / (bodies[i].mu + bodies[j].mu)));
+    }
+  }
+  return step;
+}
+
+/** One fourth-order step of length h */
+function yoshidaStep(bodies, h) {
+  for (let i = 0; i < KICKS.length; i++) {
+    drift(bodies, DRIFTS[i] * h);
+    kick(bodies, KICKS[i] * h);
+  }
+  drift(bodies, DRIFTS[3] * h);
+}
+
+/**
+ * Take one step whose length is the mean of what the bodies call for at its
+ * start and at its end, found by iterating (Hut, Makino & McMillan 1995).
+ * A length read off the start alone makes the scheme irreversible and lets
+ * the energy drift through close passes; the symmetric one retraces itself
+ * when run backwards.
+ * @returns {number} the step taken (days)
+ */
+function symmetricStep(bodies, maxStep) {
+  const start = bodies.map(b => ({ r: b.r, v: b.v }));
+  const wanted = stepLength(bodies);
+  let h = Math.min(wanted, maxStep);
+  for (let n = 0; n < SYMMETRY_ITERATIONS; n++) {
+    yoshidaStep(bodies, h);
+    const wantedAtEnd = stepLength(bodies);
+    bodies.forEach((b, i) => {
+      b.r = start[i].r;
+      b.v = start[i].v;
+    });
+    h = Math.min((wanted + wantedAtEnd) / 2, maxStep);
+  }
+  yoshidaStep(bodies, h);
+  return h;
+}
+
+/**
+ * Run the system forward. A close encounter can use up the step budget
+ * before `days` have passed.
+ * @param {NBodySystem} system
+ * @param {number} days
+ * @returns {number} days actually run
+ */
+export function advanceNBody(system, days) {
+  let run = 0;
+  for (let s = 0; s < MAX_STEPS_PER_ADVANCE && run < days; s++) {
+    const h = symmetricStep(system.bodies, days - run);
+    run += h;
+    system.time += h;
+    mergeCollisions(system, h);
+  }
+  return run;
+}
+
+// ==================== Edits ====================
+
+/**
+ * Add a body falling in from a distance: it starts `distanceAU` from the
+ * barycentre at an ecliptic longitude, aimed to pass `missAU` from it.
+ * @param {NBodySystem} system
+ * @param {{ key: string, mass: number, speed: number, distanceAU: number, missAU: number, longitude: number, look: string }} rogue
+ *   mass in Earth masses, speed in km/s, longitude in degrees
+ */
+export function addRogueBody(system, { key, mass, speed, distanceAU, missAU, longitude, look }) {
+  const lon = longitude * DEG_TO_RAD;
+  const out = { x: Math.cos(lon), y: Math.sin(lon), z: 0 };
+  // Prograde sideways offset, so a near miss swings the way the planets go
+  const side = { x: -out.y, y: out.x, z: 0 };
+  const miss = Math.min(missAU, distanceAU * 0.99);
+  const along = Math.sqrt(distanceAU * distanceAU - miss * miss);
+  const r = addScaled(addScaled({ x: 0, y: 0, z: 0 }, out, along), side, -miss);
+  const v = addScaled({ x: 0, y: 0, z: 0 }, out, -speed / KM_S_PER_AU_DAY);
+  const mu = mass * EARTH_MU;
+  // Radius for an Earth-density body
+  const radius = 6371 * Math.cbrt(mass) / KM_PER_AU;
+  system.bodies.push({ key, mu, radius, r, v, look });
+  system.energy0 = getSystemEnergy(system);
+}
+
+/**
+ * Delete a body. The rest keep their motion, so losing the Sun sends the
+ * planets off along their tangents.
+ * @param {NBodySystem} system
+ * @param {string} key
+ */
+export function removeBody(system, key) {
+  system.bodies = system.bodies.filter(b => b.key !== key);
+  system.energy0 = getSystemEnergy(system);
+}
+
+/**
+ * Multiply a body's mass; its radius follows at the same density.
+ * @param {NBodySystem} system
+ * @param {string} key
+ * @param {number} factor
+ */
+export function scaleBodyMass(system, key, factor) {
+  const body = system.bodies.find(b => b.key === key);
+  if (!body || !(factor > 0)) return;
+  body.mu *= factor;
+  body.radius *= Math.cbrt(factor);
+  system.energy0 = getSystemEnergy(system);
+}
+
+/**
+ * Kick a body: change its velocity by `deltaV` km/s at a heading in the
+ * ecliptic plane, measured from its motion around the heaviest body (0
+ * along it, 90 away from that body, ±180 against it).
+ * @param {NBodySystem} system
+ * @param {string} key
+ * @param {number} deltaV - km/s
+ * @param {number} heading - degrees
+ */
+export function kickBody(system, key, deltaV, heading) {
+  const body = system.bodies.find(b => b.key === key);
+  const primary = getPrimary(system);
+  if (!body) return;
+  const rel = primary && primary !== body ? sub(body.v, primary.v) : body.v;
+  const pos = primary && primary !== body ? sub(body.r, primary.r) : body.r;
+  const speed = Math.hypot(rel.x, rel.y);
+  const along = speed > 0 ? { x: rel.x / speed, y: rel.y / speed, z: 0 } : { x: 1, y: 0, z: 0 };
+  // Outward: the in-plane normal to the motion on the far side from the primary
+  let outward = { x: along.y, y: -along.x, z: 0 };
+  if (dot(outward, pos) < 0) outward = { x: -outward.x, y: -outward.y, z: 0 };
+  const h = heading * DEG_TO_RAD;
+  const dv = deltaV / KM_S_PER_AU_DAY;
+  body.v = addScaled(addScaled(body.v, along, dv * Math.cos(h)), outward, dv * Math.sin(h));
+  system.energy0 = getSystemEnergy(system);
+}
+
+// ==================== Readout ====================
+
+/** The heaviest body, which the others are judged to orbit */
+export function getPrimary({ bodies }) {
+  return bodies.reduce((a, b) => (!a || b.mu > a.mu ? b : a), null);
+}
+
+/**
+ * Each body's two-body orbit about the heaviest one: bound or not, and how
+ * eccentric.
+ * @param {NBodySystem} system
+ * @returns {Array<{ key: string, distanceAU: number, eccentricity: number, bound: boolean }>} distance from the primary
+ */
+export function getOrbitStates(system) {
+  const primary = getPrimary(system);
+  return system.bodies.filter(b => b !== primary).map((b) => {
+    const r = sub(b.r, primary.r);
+    const v = sub(b.v, primary.v);
+    const mu = primary.mu + b.mu;
+    const rl = length(r);
+    const energy = dot(v, v) / 2 - mu / rl;
+    // e = |(v² − μ/r)·r − (r·v)·v| / μ
+    const e = length(sub(addScaled({ x: 0, y: 0, z: 0 }, r, dot(v, v) - mu / rl), addScaled({ x: 0, y: 0, z: 0 }, v, dot(r, v)))) / mu;
+    return { key: b.key, distanceAU: rl, eccentricity: e, bound: energy < 0 };
+  });
+}
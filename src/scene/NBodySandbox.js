@@ -0,0 +1,269 @@
+/**
+ * Draws the N-body sandbox with the scene's own Sun and planet meshes: while
+ * it runs the planets leave their Keplerian orbit groups and are placed
+ * straight from the integrator, with trails behind them. Heavier bodies are
+ * drawn larger, deleted and swallowed ones are hidden, and added bodies
+ * borrow a planet's geometry and material.
+ *
+ * It works on SolarSystemScene's bodies directly, so it is created through
+ * scene.enterNBodyMode() and put away by scene.exitNBodyMode(), which
+ * restores the Keplerian layout.
+ */
+import * as THREE from 'three';
+import { heliocentricToScene } from './OrbitalMechanics.js';
+import { SOLAR_SYSTEM } from '../data/solarSystem.js';
+import { GRAVITY_BODIES } from './GravityAssist.js';
+import {
+  createNBodySystem, advanceNBody, addRogueBody, removeBody, scaleBodyMass, kickBody,
+} from './NBody.js';
+import { sub } from '../utils/vector.js';
+
+/** Points kept in each trail */
+const TRAIL_POINTS = 800;
+
+/** Scene distance a body moves before its trail gets another point */
+const TRAIL_SPACING = 0.6;
+
+/** Drawn size of an added body relative to the planet it looks like */
+const ROGUE_SIZE_MIN = 0.3;
+const ROGUE_SIZE_MAX = 3;
+
+/** Where added bodies start, from the barycentre (AU) */
+const ROGUE_START_AU = 40;
+
+export class NBodySandbox {
+  /**
+   * @param {import('./SolarSystemScene.js').SolarSystemScene} solarScene
+   * @param {number} jd - date to seed the bodies from
+   */
+  constructor(solarScene, jd) {
+    this.solarScene = solarScene;
+    this.system = createNBodySystem(jd);
+    this.group = new THREE.Group();
+    solarScene.scene.add(this.group);
+
+    this.isPlaying = true;
+    this.daysPerSecond = 60;
+    this._rogueCount = 0;
+
+    /**
+     * Per body: its mesh, its trail (AU points and the line drawn from them)
+     * and the mass its mesh is drawn at its natural size for.
+     * @type {Object<string, { mu0: number, mesh: THREE.Mesh, trail: THREE.Line, points: Array<Object>, last: THREE.Vector3|null }>}
+     */
+    this._views = {};
+    /** @type {Object<string, boolean>} orbit line visibility to put back */
+    this._orbitLineVisibility = {};
+
+    for (const [key, line] of Object.entries(solarScene.orbitLines)) {
+      if (!SOLAR_SYSTEM[key]) continue;
+      this._orbitLineVisibility[key] = line.visible;
+      line.visible = false;
+    }
+    for (const body of this.system.bodies) {
+      const mesh = body.key === 'sun' ? solarScene.sun : solarScene.planets[body.key].mesh;
+      if (body.key !== 'sun') {
+        const { orbitGroup, tiltGroup } = solarScene.planets[body.key];
+        // Positions come straight from the integrator, in the scene frame
+        orbitGroup.rotation.y = 0;
+        tiltGroup.rotation.x = 0;
+      }
+      this._addView(body, mesh, SOLAR_SYSTEM[body.key].color);
+    }
+    this.place();
+
+    // (system) after every frame the bodies move
+    this.onUpdate = null;
+  }
+
+  _addView(body, mesh, color) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_POINTS * 3), 3));
+    geo.setDrawRange(0, 0);
+    const trail = new THREE.Line(geo, new THREE.LineBasicMaterial({
+      color: new THREE.Color(color),
+      transparent: true,
+      opacity: 0.6,
+    }));
+    // The line moves past any bounding sphere computed for it
+    trail.frustumCulled = false;
+    this.group.add(trail);
+    this._views[body.key] = { mu0: body.mu, mesh, trail, points: [], last: null };
+  }
+
+  play() { this.isPlaying = true; }
+  pause() { this.isPlaying = false; }
+  toggle() {
+    this.isPlaying = !this.isPlaying;
+    return this.isPlaying;
+  }
+
+  setSpeed(daysPerSecond) {
+    this.daysPerSecond = daysPerSecond;
+  }
+
+  /** Julian Day the bodies have been run to */
+  get jd() {
+    return this.system.startJD + this.system.time;
+  }
+
+  /**
+   * Run the bodies for the frame and move their meshes and trails.
+   * @param {number} delta - seconds
+   */
+  update(delta) {
+    if (!this.isPlaying) return;
+    advanceNBody(this.system, delta * this.daysPerSecond);
+    this.place();
+    if (this.onUpdate) this.onUpdate(this.system);
+  }
+
+  // ==================== Edits ====================
+
+  /**
+   * Send a new body in from the edge of the planets.
+   * @param {{ mass: number, speed: number, missAU: number, longitude: number, look: string }} rogue
+   *   see addRogueBody; `look` is the planet to draw it as
+   * @returns {string} the new body's key
+   */
+  addRogue({ mass, speed, missAU, longitude, look }) {
+    const key = `rogue-${++this._rogueCount}`;
+    addRogueBody(this.system, { key, mass, speed, missAU, longitude, look, distanceAU: ROGUE_START_AU });
+    const template = this.solarScene.planets[look].mesh;
+    const mesh = new THREE.Mesh(template.geometry, template.material);
+    mesh.userData.baseScale = template.userData.baseScale?.clone() ?? template.scale.clone();
+    this.group.add(mesh);
+    const body = this.system.bodies.find(b => b.key === key);
+    this._addView(body, mesh, SOLAR_SYSTEM[look].color);
+    // Sized against the real planet it looks like, within limits so it stays visible
+    const lookMu = GRAVITY_BODIES.find(b => b.key === look).mu;
+    const size = THREE.MathUtils.clamp(Math.cbrt(body.mu / lookMu), ROGUE_SIZE_MIN, ROGUE_SIZE_MAX);
+    this._views[key].mu0 = body.mu / size ** 3;
+    this.place();
+    return key;
+  }
+
+  /** @param {string} key */
+  remove(key) {
+    removeBody(this.system, key);
+    this.place();
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} factor - mass multiplier
+   */
+  scaleMass(key, factor) {
+    scaleBodyMass(this.system, key, factor);
+    this.place();
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} deltaV - km/s
+   * @param {number} heading - degrees, see kickBody
+   */
+  fling(key, deltaV, heading) {
+    kickBody(this.system, key, deltaV, heading);
+  }
+
+  // ==================== Drawing ====================
+
+  /** Move every mesh to its body and extend the trails */
+  place() {
+    const scene = this.solarScene;
+    const sunBody = this.system.bodies.find(b => b.key === 'sun');
+    const live = new Set(this.system.bodies.map(b => b.key));
+    for (const [key, view] of Object.entries(this._views)) {
+      if (key === 'sun') this._setSunVisible(live.has(key));
+      else view.mesh.visible = live.has(key);
+    }
+
+    for (const body of this.system.bodies) {
+      const view = this._views[body.key];
+      const pos = heliocentricToScene(body.r);
+      // Cube root of the mass change: the same density, drawn bigger or smaller
+      const grow = Math.cbrt(body.mu / view.mu0);
+      if (body.key === 'sun') {
+        const factor = scene._sizeFactor('sun') * grow;
+        for (const mesh of [scene.sun, ...scene.coronaShells, ...scene.prominences.map(p => p.mesh)]) {
+          mesh.position.copy(pos);
+          mesh.scale.setScalar(factor);
+        }
+        scene.sunLight.position.copy(pos);
+      } else {
+        view.mesh.position.copy(pos);
+        const look = body.look ?? body.key;
+        scene._setBodySize(view.mesh, scene._sizeFactor(look) * grow);
+        const planet = scene.planets[body.key];
+        if (planet) planet.helioAU = sunBody ? sub(body.r, sunBody.r) : body.r;
+      }
+      this._extendTrail(view, body.r, pos);
+    }
+  }
+
+  _setSunVisible(visible) {
+    const scene = this.solarScene;
+    scene.sun.visible = visible;
+    for (const shell of scene.coronaShells) shell.visible = visible;
+    // The light stays on so the planets can still be seen as they drift off
+  }
+
+  _extendTrail(view, r, pos) {
+    if (view.last && view.last.distanceTo(pos) < TRAIL_SPACING) return;
+    view.last = pos;
+    view.points.push({ x: r.x, y: r.y, z: r.z });
+    const attr = view.trail.geometry.getAttribute('position');
+    if (view.points.length > TRAIL_POINTS) {
+      view.points.shift();
+      attr.array.copyWithin(0, 3);
+    }
+    const i = view.points.length - 1;
+    attr.setXYZ(i, pos.x, pos.y, pos.z);
+    view.trail.geometry.setDrawRange(0, view.points.length);
+    attr.needsUpdate = true;
+  }
+
+  /** Redraw the trails and bodies while the scene scale mode changes */
+  refreshScale() {
+    for (const view of Object.values(this._views)) {
+      const attr = view.trail.geometry.getAttribute('position');
+      view.points.forEach((r, i) => {
+        const p = heliocentricToScene(r);
+        attr.setXYZ(i, p.x, p.y, p.z);
+      });
+      attr.needsUpdate = true;
+      view.last = view.points.length ? heliocentricToScene(view.points[view.points.length - 1]) : null;
+    }
+    this.place();
+  }
+
+  /** Put the Sun, planets and orbit lines back for Keplerian playback */
+  dispose() {
+    const scene = this.solarScene;
+    for (const [key, planet] of Object.entries(scene.planets)) {
+      if (key === 'sun') continue;
+      planet.mesh.visible = true;
+      planet.tiltGroup.rotation.x = THREE.MathUtils.degToRad(planet.data.orbitInclination || 0);
+      scene._setBodySize(planet.mesh, scene._sizeFactor(key));
+    }
+    this._setSunVisible(true);
+    const sunFactor = scene._sizeFactor('sun');
+    for (const mesh of [scene.sun, ...scene.coronaShells, ...scene.prominences.map(p => p.mesh)]) {
+      mesh.position.set(0, 0, 0);
+      mesh.scale.setScalar(sunFactor);
+    }
+    scene.sunLight.position.set(0, 0, 0);
+    for (const [key, visible] of Object.entries(this._orbitLineVisibility)) {
+      scene.orbitLines[key].visible = visible;
+    }
+
+    // Added bodies share their template's geometry and material; only the trails are ours
+    for (const view of Object.values(this._views)) {
+      view.trail.geometry.dispose();
+      view.trail.material.dispose();
+    }
+    scene.scene.remove(this.group);
+    this._views = {};
+  }
+}
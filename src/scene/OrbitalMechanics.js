@@ -1,23 +1,26 @@
 /**
  * Keplerian orbital mechanics for computing real planet positions at any date.
- * Uses NASA JPL approximate orbital elements for J2000.0 epoch.
+ * Uses NASA JPL approximate orbital elements for J2000.0 epoch by default;
+ * a precise backend (VSOP87 / ELP) can take over the planets and the Moon.
  */
 import * as THREE from 'three';
-import { SOLAR_SYSTEM } from '../data/solarSystem.js';
+import { SOLAR_SYSTEM, PLANET_ORDER } from '../data/solarSystem.js';
 import { DWARF_PLANETS } from '../data/dwarfPlanets.js';
 import { ASTEROIDS } from '../data/asteroids.js';
-import { MISSIONS } from '../data/missions.js';
 
 // ==================== Constants ====================
 
-const DEG_TO_RAD = Math.PI / 180;
-const J2000_JD = 2451545.0; // Jan 1.5, 2000
+export const DEG_TO_RAD = Math.PI / 180;
+export const KM_PER_AU = 149597870.7;
+export const J2000_JD = 2451545.0; // Jan 1.5, 2000
 
 /**
  * J2000.0 Keplerian orbital elements + century rates.
- * Source: NASA JPL "Approximate Positions of the Planets"
+ * Source: NASA JPL "Approximate Positions of the Planets" for the planets
+ * and Pluto; the small bodies' sources are noted with them.
  * [a (AU), e, I (deg), L (deg), longPeri (deg), longNode (deg)]
- * Rates are per Julian century.
+ * L is the mean longitude and longPeri the longitude of perihelion
+ * ϖ = Ω + ω, not the argument of perihelion ω. Rates are per Julian century.
  */
 const ELEMENTS = {
   mercury: {
@@ -84,14 +87,18 @@ const ELEMENTS = {
     longPeri: [44.96476227, -0.32241464],
     longNode: [131.78422574, -0.00508664],
   },
-  // Dwarf planets — NASA JPL approximate elements
+  // Dwarf planets. Ceres is fitted like the asteroids below (worst-case
+  // error 0.6°; check: on 2024-12-07 it stands at RA 303.7°, Dec −27.0°).
+  // The others move so slowly that their osculating elements (JPL Small-Body
+  // Database, epoch 2020-05-31) hold over the whole span, with L run back to
+  // J2000 at the mean motion of a.
   ceres: {
-    a: [2.7691652, 0.0],
-    e: [0.0760090, 0.0],
-    I: [10.59407, 0.0],
-    L: [153.94, 78051.33],
-    longPeri: [73.5968, 0.0],
-    longNode: [80.3293, 0.0],
+    a: [2.76731, 0.000001],
+    e: [0.0777974, -0.000448],
+    I: [10.59431, -0.016328],
+    L: [160.79494, 7819.5292],
+    longPeri: [153.14299, 1.760055],
+    longNode: [80.56035, -1.490357],
   },
   pluto: {
     a: [39.48211675, -0.00031596],
@@ -102,72 +109,87 @@ const ELEMENTS = {
     longNode: [110.30393684, -0.01183482],
   },
   haumea: {
-    a: [43.218, 0.0],
-    e: [0.1912, 0.0],
-    I: [28.19, 0.0],
-    L: [210.0, 122.56],
-    longPeri: [239.0, 0.0],
-    longNode: [122.17, 0.0],
+    a: [43.18, 0.0],
+    e: [0.195, 0.0],
+    I: [28.2, 0.0],
+    L: [193.3, 126.9],
+    longPeri: [1.2, 0.0],
+    longNode: [122.16, 0.0],
   },
   makemake: {
-    a: [45.792, 0.0],
-    e: [0.1559, 0.0],
-    I: [29.01, 0.0],
-    L: [85.0, 112.49],
-    longPeri: [297.0, 0.0],
-    longNode: [79.38, 0.0],
+    a: [45.43, 0.0],
+    e: [0.161, 0.0],
+    I: [28.98, 0.0],
+    L: [155.42, 117.57],
+    longPeri: [14.42, 0.0],
+    longNode: [79.62, 0.0],
   },
   eris: {
-    a: [67.781, 0.0],
-    e: [0.4407, 0.0],
+    a: [67.86, 0.0],
+    e: [0.4370, 0.0],
     I: [44.04, 0.0],
-    L: [204.0, 55.53],
-    longPeri: [151.0, 0.0],
-    longNode: [35.87, 0.0],
+    L: [20.43, 64.40],
+    longPeri: [187.59, 0.0],
+    longNode: [35.95, 0.0],
   },
-  // Notable asteroids — NASA JPL approximate elements
+  // Notable asteroids: linear elements least-squares fitted to the Swiss
+  // Ephemeris (JPL-integrated) heliocentric positions over 1800–2050, the way
+  // JPL fits the planets' approximate elements. Worst-case error over the
+  // span: Vesta 0.4°, Juno 0.9°, Pallas 2.5° (the most perturbed).
   vesta: {
-    a: [2.3615, 0.0],
-    e: [0.0887, 0.0],
-    I: [7.1422, 0.0],
-    L: [20.86, 99154.17],
-    longPeri: [149.85, 0.0],
-    longNode: [103.85, 0.0],
+    a: [2.36161, 0.000005],
+    e: [0.0894011, 0.000321],
+    I: [7.13700, 0.005847],
+    L: [234.42590, 9918.8851],
+    longPeri: [254.27713, 1.188529],
+    longNode: [103.95821, -0.898021],
   },
   pallas: {
-    a: [2.7716, 0.0],
-    e: [0.2313, 0.0],
-    I: [34.832, 0.0],
-    L: [198.0, 78039.42],
-    longPeri: [310.04, 0.0],
-    longNode: [173.09, 0.0],
+    a: [2.77100, 0.000003],
+    e: [0.2322363, -0.005569],
+    I: [34.84682, 0.144932],
+    L: [116.19344, 7803.1108],
+    longPeri: [123.42529, -0.170820],
+    longNode: [173.20607, -1.037933],
   },
+  // Hygiea has no ephemeris here to fit to, so it takes its osculating
+  // elements (JPL Small-Body Database, epoch 2023-09-13: M = 152.18°,
+  // ω = 312.32°) with L = ϖ + M run back to J2000 at the mean motion of a.
   hygiea: {
-    a: [3.1421, 0.0],
-    e: [0.1146, 0.0],
+    a: [3.1415, 0.0],
+    e: [0.1125, 0.0],
     I: [3.8316, 0.0],
-    L: [283.2, 64651.98],
-    longPeri: [312.4, 0.0],
-    longNode: [283.2, 0.0],
+    L: [295.57, 6465.3],
+    longPeri: [235.52, 0.0],
+    longNode: [283.20, 0.0],
   },
   juno: {
-    a: [2.6700, 0.0],
-    e: [0.2562, 0.0],
-    I: [12.982, 0.0],
-    L: [248.2, 82084.76],
-    longPeri: [247.84, 0.0],
-    longNode: [169.91, 0.0],
+    a: [2.66955, 0.000064],
+    e: [0.2571869, 0.000765],
+    I: [12.97868, -0.028526],
+    L: [298.70682, 8253.1063],
+    longPeri: [57.83510, 0.958779],
+    longNode: [170.23800, -1.852253],
   },
+  // Eros: osculating shape, with L fitted to its close approaches to Earth
+  // of 1931-01-30, 1975-01-23 and 2012-01-31 (within a day); it then
+  // predicts the 2056-01-24 approach at 0.15 AU to within a day.
   eros: {
-    a: [1.4580, 0.0],
+    a: [1.4582, 0.0],
     e: [0.2226, 0.0],
     I: [10.829, 0.0],
-    L: [178.8, 130493.76],
-    longPeri: [178.64, 0.0],
+    L: [180.5, 20444.13],
+    longPeri: [122.96, 0.0],
     longNode: [304.32, 0.0],
   },
 };
 
+/**
+ * Span the approximate elements are fitted to (1800–2050 AD), as Julian Days.
+ * Positions drift slowly outside it, so the time controls stay within it.
+ */
+export const ELEMENTS_VALID_JD = { min: 2378496.5, max: 2470172.5 };
+
 // ==================== Date Utilities ====================
 
 /**
@@ -182,6 +204,23 @@ export function dateToJulian(dateStr) {
   return Math.floor(365.25 * (Y + 4716)) + Math.floor(30.6001 * (M + 1)) + d + B - 1524.5;
 }
 
+/**
+ * ΔT = TT − UT in seconds (Espenak & Meeus polynomials, shortened). The
+ * ephemerides run on TT; the difference is a minute today, hours in antiquity.
+ * @param {number} jd - UT
+ */
+export function deltaT(jd) {
+  const y = 2000 + (jd - J2000_JD) / 365.25;
+  const t = y - 2000;
+  const u = (y - 1820) / 100;
+  if (y >= 1986 && y < 2005) {
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (y >= 2005 && y < 2050) return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  if (y >= 2050 && y < 2150) return -20 + 32 * u * u - 0.5628 * (2150 - y);
+  return -20 + 32 * u * u;
+}
+
 /**
  * Julian Day to Julian centuries since J2000.0.
  */
@@ -239,7 +278,7 @@ export function advanceDateStr(dateStr, days) {
  * @param {number} e - Eccentricity
  * @returns {number} E - Eccentric anomaly in radians
  */
-function solveKeplerEquation(M, e) {
+export function solveKeplerEquation(M, e) {
   let E = M + e * Math.sin(M); // initial guess
   for (let i = 0; i < 15; i++) {
     const dE = (M - (E - e * Math.sin(E))) / (1 - e * Math.cos(E));
@@ -249,18 +288,147 @@ function solveKeplerEquation(M, e) {
   return E;
 }
 
+/**
+ * Stumpff functions C(z) and S(z) of the universal-variable Kepler equation.
+ * z > 0 on ellipses, z < 0 on hyperbolas; a series covers z ≈ 0 (parabolas).
+ */
+export function stumpff(z) {
+  if (z > 1e-3) {
+    const sz = Math.sqrt(z);
+    return { C: (1 - Math.cos(sz)) / z, S: (sz - Math.sin(sz)) / (z * sz) };
+  }
+  if (z < -1e-3) {
+    const sz = Math.sqrt(-z);
+    return { C: (Math.cosh(sz) - 1) / -z, S: (Math.sinh(sz) - sz) / (-z * sz) };
+  }
+  return {
+    C: 1 / 2 - z / 24 + z * z / 720 - z * z * z / 40320,
+    S: 1 / 6 - z / 120 + z * z / 5040 - z * z * z / 362880,
+  };
+}
+
+/**
+ * Solve Kepler's equation in universal form, measured from perihelion:
+ *   e·χ³·S(αχ²) + q·χ = √μ·t
+ * Valid for every conic — elliptical, parabolic and hyperbolic — and well
+ * behaved where the classical equation is not (e close to 1).
+ * The left side rises monotonically in χ, so Newton steps are kept inside
+ * a bisection bracket and always converge.
+ * @param {number} q - perihelion distance (AU)
+ * @param {number} e - eccentricity
+ * @param {number} sqrtMuT - √μ times the time since perihelion (AU^1.5)
+ * @returns {{ chi: number, C: number, S: number, z: number }} χ (AU^0.5) and the
+ *   Stumpff values at the solution
+ */
+export function solveUniversalKepler(q, e, sqrtMuT) {
+  const alpha = (1 - e) / q;
+  const residual = (chi) => {
+    const z = alpha * chi * chi;
+    const { C, S } = stumpff(z);
+    return { f: e * chi * chi * chi * S + q * chi - sqrtMuT, df: e * chi * chi * C + q, C, S, z };
+  };
+
+  // Bracket the root: f(0) = -√μt, then grow outward until the sign flips
+  const sign = sqrtMuT < 0 ? -1 : 1;
+  let lo = 0;
+  let hi = sign * Math.max(Math.abs(sqrtMuT) / q, 1e-6);
+  while (sign * residual(hi).f < 0) {
+    lo = hi;
+    hi *= 2;
+  }
+  if (lo > hi) [lo, hi] = [hi, lo];
+
+  let chi = (lo + hi) / 2;
+  let r = residual(chi);
+  for (let i = 0; i < 100 && Math.abs(r.f) > 1e-13 * (Math.abs(sqrtMuT) + 1); i++) {
+    if (r.f < 0) lo = chi; else hi = chi;
+    let next = chi - r.f / r.df;
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    chi = next;
+    r = residual(chi);
+  }
+  return { chi, C: r.C, S: r.S, z: r.z };
+}
+
+// ==================== Ephemeris Backend ====================
+
+/**
+ * Source of planet and Moon positions. Either method may return null for a
+ * body it doesn't cover; the fast backend answers for it instead.
+ * @typedef {Object} EphemerisBackend
+ * @property {string} key
+ * @property {(key: string, jd: number) => ({ x: number, y: number, z: number } | null)} getPlanetHeliocentricAU
+ *   heliocentric position (AU, J2000 ecliptic) at a Julian Day (TT)
+ * @property {(jd: number) => ({ lon: number, lat: number, distanceKm: number } | null)} getMoonGeocentric
+ *   geocentric Moon (degrees, km, J2000 ecliptic) at a Julian Day (TT)
+ */
+
+/** @type {EphemerisBackend} JPL approximate elements and a short lunar series */
+const FAST_EPHEMERIS = {
+  key: 'fast',
+  getPlanetHeliocentricAU: keplerHeliocentricAU,
+  getMoonGeocentric: meeusMoonGeocentric,
+};
+
+/** Loaders by key — a backend's data is fetched the first time it is chosen */
+const EPHEMERIS_LOADERS = new Map([
+  ['fast', async () => FAST_EPHEMERIS],
+  ['precise', async () => (await import('./PreciseEphemeris.js')).PRECISE_EPHEMERIS],
+]);
+
+let ephemeris = FAST_EPHEMERIS;
+
+/**
+ * Add a backend that can then be chosen with setEphemerisBackend.
+ * @param {string} key
+ * @param {() => Promise<EphemerisBackend>} load
+ */
+export function registerEphemerisBackend(key, load) {
+  EPHEMERIS_LOADERS.set(key, load);
+}
+
+/** Keys of the backends that can be chosen */
+export function getEphemerisBackends() {
+  return [...EPHEMERIS_LOADERS.keys()];
+}
+
+export function getEphemerisBackend() {
+  return ephemeris.key;
+}
+
+/**
+ * Switch every planet and Moon position — scene, sky, events, missions —
+ * to another backend, loading it first if needed.
+ * @param {string} key
+ * @returns {Promise<boolean>} false if no such backend is registered
+ */
+export async function setEphemerisBackend(key) {
+  const load = EPHEMERIS_LOADERS.get(key);
+  if (!load) return false;
+  ephemeris = await load();
+  return true;
+}
+
 // ==================== Position Calculation ====================
 
 /**
  * Get heliocentric position of a planet at a given date in AU.
- * Returns {x, y, z} in ecliptic coordinates.
+ * Returns {x, y, z} in ecliptic coordinates. Dwarf planets, asteroids and
+ * comets always come from their elements.
  */
 export function getPlanetHeliocentricAU(planetKey, dateStr) {
-  const elem = ELEMENTS[planetKey];
-  if (!elem) return { x: 0, y: 0, z: 0 };
-
   // Accept either a JD number (for smooth sub-day interpolation) or a date string
   const jd = typeof dateStr === 'number' ? dateStr : dateToJulian(dateStr);
+  return ephemeris.getPlanetHeliocentricAU(planetKey, jd) ?? keplerHeliocentricAU(planetKey, jd);
+}
+
+/** Heliocentric position (AU) from the JPL approximate elements */
+function keplerHeliocentricAU(planetKey, jd) {
+  const elem = ELEMENTS[planetKey];
+  if (!elem) {
+    const small = SMALL_BODY_ELEMENTS.get(planetKey);
+    return small ? smallBodyHeliocentricAU(small, jd) : { x: 0, y: 0, z: 0 };
+  }
   const T = julianToT(jd);
 
   // Compute current elements
@@ -294,11 +462,47 @@ export function getPlanetHeliocentricAU(planetKey, dateStr) {
   const xOrbit = r * Math.cos(v);
   const yOrbit = r * Math.sin(v);
 
-  // Rotate to ecliptic coordinates
+  return orbitalToEcliptic(xOrbit, yOrbit, omega, longNode, I);
+}
+
+/**
+ * Points around a planet's (or dwarf planet's, or asteroid's) orbit as it is
+ * at a date, spaced evenly in eccentric anomaly.
+ * @param {string} planetKey
+ * @param {number} jd
+ * @param {number} [segments=256]
+ * @returns {Array<{ x: number, y: number, z: number }>} closed loop (AU, J2000 ecliptic); [] if unknown
+ */
+export function getPlanetOrbitPath(planetKey, jd, segments = 256) {
+  const elem = ELEMENTS[planetKey];
+  if (!elem) return [];
+  const T = julianToT(jd);
+  const a = elem.a[0] + elem.a[1] * T;
+  const e = elem.e[0] + elem.e[1] * T;
+  const I = (elem.I[0] + elem.I[1] * T) * DEG_TO_RAD;
+  const longNodeDeg = elem.longNode[0] + elem.longNode[1] * T;
+  const omega = (elem.longPeri[0] + elem.longPeri[1] * T - longNodeDeg) * DEG_TO_RAD;
+  const b = a * Math.sqrt(1 - e * e);
+
+  const points = [];
+  for (let s = 0; s <= segments; s++) {
+    const E = (s / segments) * 2 * Math.PI;
+    points.push(orbitalToEcliptic(a * (Math.cos(E) - e), b * Math.sin(E), omega, longNodeDeg * DEG_TO_RAD, I));
+  }
+  return points;
+}
+
+/**
+ * Rotate a position in the orbital plane (x toward perihelion) to ecliptic coordinates.
+ * @param {number} omega - argument of perihelion (rad)
+ * @param {number} node - longitude of ascending node (rad)
+ * @param {number} I - inclination (rad)
+ */
+function orbitalToEcliptic(xOrbit, yOrbit, omega, node, I) {
   const cosOmega = Math.cos(omega);
   const sinOmega = Math.sin(omega);
-  const cosNode = Math.cos(longNode);
-  const sinNode = Math.sin(longNode);
+  const cosNode = Math.cos(node);
+  const sinNode = Math.sin(node);
   const cosI = Math.cos(I);
   const sinI = Math.sin(I);
 
@@ -311,6 +515,346 @@ export function getPlanetHeliocentricAU(planetKey, dateStr) {
   return { x, y, z };
 }
 
+// ==================== Small Bodies ====================
+
+/** Gaussian gravitational constant (rad/day): mean motion of a 1 AU orbit */
+export const GAUSS_K = 0.01720209895;
+
+/**
+ * Osculating elements of user-added asteroids and comets (see SmallBodies),
+ * keyed like ELEMENTS: { epoch, q, e, i, node, peri, tp } — q in AU,
+ * angles in degrees, epoch and perihelion time tp as Julian Days.
+ * Any conic works: e < 1, e = 1 and e > 1.
+ */
+const SMALL_BODY_ELEMENTS = new Map();
+
+/** Make a small body's position available under its key */
+export function registerSmallBodyElements(key, elements) {
+  SMALL_BODY_ELEMENTS.set(key, elements);
+}
+
+export function unregisterSmallBodyElements(key) {
+  SMALL_BODY_ELEMENTS.delete(key);
+}
+
+/**
+ * Two-body position (AU, J2000 ecliptic) on any conic, from the universal
+ * Kepler equation. Elliptical orbits are first folded into one period.
+ */
+function smallBodyHeliocentricAU(el, jd) {
+  let t = jd - el.tp;
+  if (el.e < 1) {
+    const a = el.q / (1 - el.e);
+    const period = 2 * Math.PI * Math.pow(a, 1.5) / GAUSS_K;
+    t -= Math.round(t / period) * period;
+  }
+  const { chi, C, S, z } = solveUniversalKepler(el.q, el.e, GAUSS_K * t);
+  // Lagrange coefficients from perihelion, where r = q and the velocity is perpendicular
+  return orbitalToEcliptic(
+    el.q - chi * chi * C,
+    Math.sqrt(el.q * (1 + el.e)) * chi * (1 - z * S),
+    el.peri * DEG_TO_RAD, el.node * DEG_TO_RAD, el.i * DEG_TO_RAD,
+  );
+}
+
+/**
+ * Sidereal orbital period from the semi-major axis (Kepler's third law).
+ * @param {string} key - planet, dwarf planet, asteroid or small body key
+ * @returns {number|null} days; null for unknown bodies and open orbits
+ */
+export function getOrbitalPeriodDays(key) {
+  const elem = ELEMENTS[key];
+  let a;
+  if (elem) {
+    a = elem.a[0];
+  } else {
+    const small = SMALL_BODY_ELEMENTS.get(key);
+    if (!small || small.e >= 1) return null;
+    a = small.q / (1 - small.e);
+  }
+  return 2 * Math.PI * Math.pow(a, 1.5) / GAUSS_K;
+}
+
+/** Farthest point drawn along an open (parabolic or hyperbolic) orbit, in AU */
+const OPEN_ORBIT_MAX_AU = 60;
+
+/**
+ * Points along a small body's orbit (AU, J2000 ecliptic), spaced evenly in
+ * true anomaly so the perihelion turn stays smooth even for e close to 1.
+ * Closed orbits form a loop; open orbits are cut off at OPEN_ORBIT_MAX_AU
+ * (or three times the perihelion distance, if that is farther).
+ * @param {string} key
+ * @param {number} [segments=256]
+ * @returns {Array<{ x: number, y: number, z: number }>} [] if unknown
+ */
+export function getSmallBodyOrbitPath(key, segments = 256) {
+  const el = SMALL_BODY_ELEMENTS.get(key);
+  if (!el) return [];
+  const p = el.q * (1 + el.e); // semi-latus rectum
+  let nuMax = Math.PI;
+  if (el.e >= 1) {
+    const rMax = Math.max(OPEN_ORBIT_MAX_AU, el.q * 3);
+    nuMax = Math.acos(THREE.MathUtils.clamp((p / rMax - 1) / el.e, -1, 1));
+  }
+  const points = [];
+  for (let s = 0; s <= segments; s++) {
+    const nu = -nuMax + (s / segments) * 2 * nuMax;
+    const r = p / (1 + el.e * Math.cos(nu));
+    points.push(orbitalToEcliptic(
+      r * Math.cos(nu), r * Math.sin(nu),
+      el.peri * DEG_TO_RAD, el.node * DEG_TO_RAD, el.i * DEG_TO_RAD,
+    ));
+  }
+  return points;
+}
+
+// ==================== Observer Sky Coordinates ====================
+
+export const OBLIQUITY_J2000 = 23.43928;      // mean obliquity of the ecliptic at J2000 (deg)
+const LIGHT_AU_PER_DAY = 173.1446327;  // speed of light in AU/day
+export const PRECESSION_PER_CENTURY = 1.3969713; // general precession in ecliptic longitude (deg/century)
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.14;
+
+/** Normalize an angle in degrees to [0, 360). */
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Greenwich mean sidereal time for a Julian Day (Meeus eq. 12.4).
+ * @param {number} jd
+ * @returns {number} GMST in degrees [0, 360)
+ */
+export function greenwichSiderealTime(jd) {
+  const T = julianToT(jd);
+  return normalizeDeg(
+    280.46061837 + 360.98564736629 * (jd - J2000_JD) +
+    0.000387933 * T * T - (T * T * T) / 38710000
+  );
+}
+
+/**
+ * Rotate an ecliptic vector into equatorial coordinates.
+ * @param {{x:number,y:number,z:number}} v
+ * @param {number} obliquityDeg
+ */
+function eclipticToEquatorial(v, obliquityDeg) {
+  const eps = obliquityDeg * DEG_TO_RAD;
+  const cosE = Math.cos(eps);
+  const sinE = Math.sin(eps);
+  return {
+    x: v.x,
+    y: v.y * cosE - v.z * sinE,
+    z: v.y * sinE + v.z * cosE,
+  };
+}
+
+// ==================== Moon (Luna) ====================
+
+/**
+ * Periodic terms of the lunar theory (Meeus, Astronomical Algorithms ch. 47),
+ * truncated to the largest amplitudes: ~0.05° in longitude, ~100 km in distance.
+ * Each row: [D, M, M', F, coefficient] — arguments are multiples of the
+ * fundamental angles; terms containing M are scaled by the eccentricity factor E.
+ */
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6.288774], [2, 0, -1, 0, 1.274027], [2, 0, 0, 0, 0.658314],
+  [0, 0, 2, 0, 0.213618], [0, 1, 0, 0, -0.185116], [0, 0, 0, 2, -0.114332],
+  [2, 0, -2, 0, 0.058793], [2, -1, -1, 0, 0.057066], [2, 0, 1, 0, 0.053322],
+  [2, -1, 0, 0, 0.045758], [0, 1, -1, 0, -0.040923], [1, 0, 0, 0, -0.034720],
+  [0, 1, 1, 0, -0.030383], [2, 0, 0, -2, 0.015327], [0, 0, 1, 2, -0.012528],
+  [0, 0, 1, -2, 0.010980], [4, 0, -1, 0, 0.010675], [0, 0, 3, 0, 0.010034],
+];
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5.128122], [0, 0, 1, 1, 0.280602], [0, 0, 1, -1, 0.277693],
+  [2, 0, 0, -1, 0.173237], [2, 0, -1, 1, 0.055413], [2, 0, -1, -1, 0.046271],
+  [2, 0, 0, 1, 0.032573], [0, 0, 2, 1, 0.017198], [2, 0, 1, -1, 0.009266],
+  [0, 0, 2, -1, 0.008822],
+];
+const MOON_DISTANCE_TERMS = [
+  [0, 0, 1, 0, -20905.355], [2, 0, -1, 0, -3699.111], [2, 0, 0, 0, -2955.968],
+  [0, 0, 2, 0, -569.925], [0, 1, 0, 0, 48.888], [0, 0, 0, 2, -3.149],
+  [2, 0, -2, 0, 246.158], [2, -1, -1, 0, -152.138], [2, 0, 1, 0, -170.733],
+  [2, -1, 0, 0, -204.586], [0, 1, -1, 0, -129.620], [1, 0, 0, 0, 108.743],
+  [0, 1, 1, 0, 104.755], [2, 0, 0, -2, 10.321], [0, 0, 1, -2, 79.661],
+  [4, 0, -1, 0, -34.782], [0, 0, 3, 0, -23.210],
+];
+
+/**
+ * Geocentric ecliptic position of the Moon, referred to the J2000 ecliptic.
+ * @param {number} jd - Julian Day
+ * @returns {{ lon: number, lat: number, distanceKm: number }} degrees, km
+ */
+export function getMoonGeocentric(jd) {
+  return ephemeris.getMoonGeocentric(jd) ?? meeusMoonGeocentric(jd);
+}
+
+function meeusMoonGeocentric(jd) {
+  const T = julianToT(jd);
+  const Lp = 218.3164477 + 481267.88123421 * T; // mean longitude
+  const D = (297.8501921 + 445267.1114034 * T) * DEG_TO_RAD;  // mean elongation
+  const M = (357.5291092 + 35999.0502909 * T) * DEG_TO_RAD;   // Sun's mean anomaly
+  const Mp = (134.9633964 + 477198.8675055 * T) * DEG_TO_RAD; // Moon's mean anomaly
+  const F = (93.2720950 + 483202.0175233 * T) * DEG_TO_RAD;   // argument of latitude
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+  const series = (terms, fn) => terms.reduce((sum, [d, m, mp, f, c]) => {
+    const eFactor = m === 0 ? 1 : Math.pow(E, Math.abs(m));
+    return sum + c * eFactor * fn(d * D + m * M + mp * Mp + f * F);
+  }, 0);
+
+  const lonOfDate = Lp + series(MOON_LONGITUDE_TERMS, Math.sin);
+  return {
+    lon: normalizeDeg(lonOfDate - PRECESSION_PER_CENTURY * T), // back to the J2000 equinox
+    lat: series(MOON_LATITUDE_TERMS, Math.sin),
+    distanceKm: 385000.56 + series(MOON_DISTANCE_TERMS, Math.cos),
+  };
+}
+
+/**
+ * Geocentric ecliptic vector (AU, J2000 ecliptic) of a body at a Julian Day
+ * (TT), corrected for light-time. Returns null for Earth itself or unknown bodies.
+ */
+function getGeocentricEclipticAU(bodyKey, jd) {
+  if (bodyKey === 'earth') return null;
+
+  // The Moon's light-time (~1.3 s) moves it under 1″ — below the fast series' accuracy
+  if (bodyKey === 'moon') {
+    const moon = getMoonGeocentric(jd);
+    const lon = moon.lon * DEG_TO_RAD;
+    const lat = moon.lat * DEG_TO_RAD;
+    const dist = moon.distanceKm / KM_PER_AU;
+    return {
+      x: dist * Math.cos(lat) * Math.cos(lon),
+      y: dist * Math.cos(lat) * Math.sin(lon),
+      z: dist * Math.sin(lat),
+      distance: dist,
+      lightTime: dist / LIGHT_AU_PER_DAY,
+    };
+  }
+
+  const earth = getPlanetHeliocentricAU('earth', jd);
+
+  // The Sun is at the heliocentric origin — light-time only shifts Earth's own position
+  if (bodyKey === 'sun') {
+    const dist = Math.hypot(earth.x, earth.y, earth.z);
+    return { x: -earth.x, y: -earth.y, z: -earth.z, distance: dist, lightTime: dist / LIGHT_AU_PER_DAY };
+  }
+  if (!ELEMENTS[bodyKey] && !SMALL_BODY_ELEMENTS.has(bodyKey)) return null;
+
+  // Iterate: the body is seen where it was when the light left it
+  let tau = 0;
+  let geo = { x: 0, y: 0, z: 0 };
+  let dist = 0;
+  for (let i = 0; i < 3; i++) {
+    const body = getPlanetHeliocentricAU(bodyKey, jd - tau);
+    geo = { x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z };
+    dist = Math.hypot(geo.x, geo.y, geo.z);
+    tau = dist / LIGHT_AU_PER_DAY;
+  }
+  return { ...geo, distance: dist, lightTime: tau };
+}
+
+/**
+ * Geocentric equatorial coordinates (J2000) of a body, light-time corrected.
+ * @param {string} bodyKey - planet, dwarf planet, asteroid key, 'sun' or 'moon'
+ * @param {number|string} date - Julian Day or "YYYY-MM-DD"
+ * @returns {{ ra: number, dec: number, distance: number, lightTime: number,
+ *   eclipticLon: number, eclipticLat: number } | null}
+ *   ra/dec and ecliptic angles in degrees, distance in AU, lightTime in days
+ */
+export function getGeocentricEquatorial(bodyKey, date) {
+  const jd = typeof date === 'number' ? date : dateToJulian(date);
+  const geo = getGeocentricEclipticAU(bodyKey, jd + deltaT(jd) / 86400);
+  if (!geo) return null;
+
+  const eq = eclipticToEquatorial(geo, OBLIQUITY_J2000);
+  return {
+    ra: normalizeDeg(Math.atan2(eq.y, eq.x) / DEG_TO_RAD),
+    dec: Math.asin(eq.z / geo.distance) / DEG_TO_RAD,
+    distance: geo.distance,
+    lightTime: geo.lightTime,
+    eclipticLon: normalizeDeg(Math.atan2(geo.y, geo.x) / DEG_TO_RAD),
+    eclipticLat: Math.asin(geo.z / geo.distance) / DEG_TO_RAD,
+  };
+}
+
+/**
+ * Precess J2000 ecliptic coordinates to the mean equator and equinox of date.
+ * Low-precision: shifts ecliptic longitude by general precession, which is
+ * good to a few arcseconds within a couple of centuries of J2000.
+ * @returns {{ ra: number, dec: number }} degrees
+ */
+export function precessToDate(eclipticLon, eclipticLat, jd) {
+  const T = julianToT(jd);
+  const lon = (eclipticLon + PRECESSION_PER_CENTURY * T) * DEG_TO_RAD;
+  const lat = eclipticLat * DEG_TO_RAD;
+  const obliquity = OBLIQUITY_J2000 - 0.013004167 * T;
+  const v = eclipticToEquatorial({
+    x: Math.cos(lat) * Math.cos(lon),
+    y: Math.cos(lat) * Math.sin(lon),
+    z: Math.sin(lat),
+  }, obliquity);
+  return {
+    ra: normalizeDeg(Math.atan2(v.y, v.x) / DEG_TO_RAD),
+    dec: Math.asin(v.z) / DEG_TO_RAD,
+  };
+}
+
+/**
+ * Convert equatorial coordinates (of date) to horizontal coordinates for an observer.
+ * @param {number} raDeg - right ascension in degrees
+ * @param {number} decDeg - declination in degrees
+ * @param {number} latDeg - observer latitude, north positive
+ * @param {number} lonDeg - observer longitude, east positive
+ * @param {number} jd - Julian Day (UT)
+ * @returns {{ altitude: number, azimuth: number, hourAngle: number }}
+ *   degrees; azimuth measured from north through east
+ */
+export function equatorialToHorizontal(raDeg, decDeg, latDeg, lonDeg, jd) {
+  const lst = greenwichSiderealTime(jd) + lonDeg;
+  const H = normalizeDeg(lst - raDeg) * DEG_TO_RAD;
+  const dec = decDeg * DEG_TO_RAD;
+  const lat = latDeg * DEG_TO_RAD;
+
+  const sinAlt = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(H);
+  const altitude = Math.asin(THREE.MathUtils.clamp(sinAlt, -1, 1));
+  const azimuth = Math.atan2(
+    -Math.cos(dec) * Math.sin(H),
+    Math.sin(dec) * Math.cos(lat) - Math.cos(dec) * Math.sin(lat) * Math.cos(H)
+  );
+
+  return {
+    altitude: altitude / DEG_TO_RAD,
+    azimuth: normalizeDeg(azimuth / DEG_TO_RAD),
+    hourAngle: H / DEG_TO_RAD,
+  };
+}
+
+/**
+ * Where a body appears in an observer's sky at a given moment.
+ * RA/Dec are J2000 (catalog frame, for star charts); altitude/azimuth use
+ * coordinates precessed to the date and are topocentric — the diurnal
+ * parallax lowers the Moon by up to a degree near the horizon.
+ * @param {string} bodyKey
+ * @param {number|string} date - Julian Day (UT) or "YYYY-MM-DD"
+ * @param {{ lat: number, lon: number }} observer - degrees, east longitude positive
+ * @returns {{ ra: number, dec: number, distance: number, lightTime: number,
+ *   eclipticLon: number, eclipticLat: number,
+ *   altitude: number, azimuth: number, hourAngle: number } | null}
+ */
+export function getSkyPosition(bodyKey, date, observer) {
+  const jd = typeof date === 'number' ? date : dateToJulian(date);
+  const eq = getGeocentricEquatorial(bodyKey, jd);
+  if (!eq) return null;
+
+  const ofDate = precessToDate(eq.eclipticLon, eq.eclipticLat, jd);
+  const horizontal = equatorialToHorizontal(ofDate.ra, ofDate.dec, observer.lat, observer.lon, jd);
+  const sinParallax = EARTH_EQUATORIAL_RADIUS_KM / (eq.distance * KM_PER_AU);
+  horizontal.altitude -= Math.asin(sinParallax * Math.cos(horizontal.altitude * DEG_TO_RAD)) / DEG_TO_RAD;
+  return { ...eq, ...horizontal };
+}
+
 // ==================== Scene Coordinate Mapping ====================
 
 /**
@@ -318,157 +862,110 @@ export function getPlanetHeliocentricAU(planetKey, dateStr) {
  * Uses ratio of display orbit radius to real semi-major axis.
  */
 function auToScene(planetKey, posAU) {
+  if (SMALL_BODY_ELEMENTS.has(planetKey)) return heliocentricToScene(posAU);
+
   // Check SOLAR_SYSTEM, DWARF_PLANETS, and ASTEROIDS for data
   const data = SOLAR_SYSTEM[planetKey] || DWARF_PLANETS[planetKey] || ASTEROIDS[planetKey];
-  if (!data || !data.orbitRadius) return new THREE.Vector3(posAU.x * 36, posAU.z * 0.5, posAU.y * 36);
-
   const elem = ELEMENTS[planetKey];
-  if (!elem) return new THREE.Vector3(posAU.x * 36, posAU.z * 0.5, posAU.y * 36);
+  let artistic;
+  if (!data || !data.orbitRadius || !elem) {
+    artistic = new THREE.Vector3(posAU.x * 36, posAU.z * 0.5, posAU.y * 36);
+  } else {
+    const realA = elem.a[0]; // semi-major axis in AU
+    const scale = data.orbitRadius / realA;
+
+    // Map ecliptic (x, y) to scene (x, z), with z-height from inclination
+    artistic = new THREE.Vector3(
+      posAU.x * scale,
+      posAU.z * scale * 0.5, // reduce vertical exaggeration
+      posAU.y * scale
+    );
+  }
+  return distanceBlend > 0 ? artistic.lerp(auToTrueScene(posAU), distanceBlend) : artistic;
+}
 
-  const realA = elem.a[0]; // semi-major axis in AU
-  const scale = data.orbitRadius / realA;
+/** Real semi-major axes (AU) paired with display orbit radii, innermost first */
+const DISPLAY_ORBIT_SCALE = PLANET_ORDER
+  .filter(key => ELEMENTS[key] && SOLAR_SYSTEM[key].orbitRadius)
+  .map(key => [ELEMENTS[key].a[0], SOLAR_SYSTEM[key].orbitRadius])
+  .sort((p, q) => p[0] - q[0]);
 
-  // Map ecliptic (x, y) to scene (x, z), with z-height from inclination
-  return new THREE.Vector3(
-    posAU.x * scale,
-    posAU.z * scale * 0.5, // reduce vertical exaggeration
-    posAU.y * scale
-  );
+/**
+ * Display distance for a real distance from the Sun, interpolated between
+ * the planets' display orbits and extended past Neptune at the same slope.
+ * @param {number} rAU
+ * @returns {number} scene units
+ */
+export function auToSceneDistance(rAU) {
+  let prev = [0, 0];
+  for (const point of DISPLAY_ORBIT_SCALE) {
+    if (rAU <= point[0]) {
+      return prev[1] + (rAU - prev[0]) * (point[1] - prev[1]) / (point[0] - prev[0]);
+    }
+    prev = point;
+  }
+  const [a1, r1] = DISPLAY_ORBIT_SCALE[DISPLAY_ORBIT_SCALE.length - 2];
+  const [a2, r2] = prev;
+  return r2 + (rAU - a2) * (r2 - r1) / (a2 - a1);
 }
 
 /**
- * Get planet position in scene coordinates for a given date.
+ * Map a heliocentric position (AU) to the scene by distance from the Sun,
+ * so bodies without a hand-tuned orbitRadius sit among the planets consistently.
  */
-export function getPlanetPosition(planetKey, dateStr) {
-  if (planetKey === 'sun') return new THREE.Vector3(0, 0, 0);
-
-  const posAU = getPlanetHeliocentricAU(planetKey, dateStr);
-  return auToScene(planetKey, posAU);
+export function heliocentricToScene(posAU) {
+  const r = Math.hypot(posAU.x, posAU.y, posAU.z);
+  if (r === 0) return new THREE.Vector3(0, 0, 0);
+  const scale = auToSceneDistance(r) / r;
+  const artistic = new THREE.Vector3(posAU.x * scale, posAU.z * scale * 0.5, posAU.y * scale);
+  return distanceBlend > 0 ? artistic.lerp(auToTrueScene(posAU), distanceBlend) : artistic;
 }
 
-// ==================== Mission Trajectory ====================
-
-/**
- * Interpolate date between two date strings.
- * @param {string} startDate - "YYYY-MM-DD"
- * @param {string} endDate - "YYYY-MM-DD"
- * @param {number} t - 0..1
- * @returns {string} interpolated date
- */
-function interpolateDate(startDate, endDate, t) {
-  const start = new Date(startDate).getTime();
-  const end = new Date(endDate).getTime();
-  const interp = new Date(start + (end - start) * t);
-  return interp.toISOString().split('T')[0];
-}
-
-/**
- * Generate a smooth trajectory for a mission with real orbital positions.
- * @param {string} missionId
- * @returns {{ points: THREE.Vector3[], waypointIndices: number[], dates: string[], waypointDates: string[] }}
- */
-export function getMissionTrajectory(missionId) {
-  const mission = MISSIONS.find(m => m.id === missionId);
-  if (!mission) return { points: [], waypointIndices: [], dates: [], waypointDates: [] };
-
-  const waypoints = mission.waypoints;
-  const allPoints = [];
-  const allDates = [];
-  const waypointIndices = [];
-  const waypointDates = [];
-
-  for (let i = 0; i < waypoints.length; i++) {
-    const wp = waypoints[i];
-
-    // Get position for this waypoint
-    let pos;
-    if (wp.body && ELEMENTS[wp.body]) {
-      pos = getPlanetPosition(wp.body, wp.date);
-    } else if (wp.body === 'earth' || wp.body === 'sun') {
-      pos = getPlanetPosition(wp.body, wp.date);
-    } else if (wp.distance) {
-      // For interstellar / Pluto: extrapolate outward from last known body
-      const prevWp = waypoints[i - 1];
-      let prevPos = new THREE.Vector3(0, 0, 0);
-      if (prevWp && prevWp.body && ELEMENTS[prevWp.body]) {
-        prevPos = getPlanetPosition(prevWp.body, prevWp.date);
-      }
-      // Extend outward in same general direction
-      const dir = prevPos.clone().normalize();
-      if (dir.length() < 0.01) dir.set(1, 0, 0);
-      const scaledDist = Math.min(wp.distance, 160); // cap for display
-      pos = dir.multiplyScalar(scaledDist);
-    } else {
-      pos = new THREE.Vector3(0, 0, 0);
-    }
+// ==================== Scale Mode ====================
 
-    waypointIndices.push(allPoints.length);
-    waypointDates.push(wp.date);
-    allPoints.push(pos);
-    allDates.push(wp.date);
-
-    // Generate intermediate points between waypoints
-    if (i < waypoints.length - 1) {
-      const nextWp = waypoints[i + 1];
-      const steps = 20; // intermediate points per segment
-      for (let s = 1; s <= steps; s++) {
-        const t = s / (steps + 1);
-        const interpDate = interpolateDate(wp.date, nextWp.date, t);
-
-        // For the spacecraft, interpolate position between waypoint bodies
-        let nextPos;
-        if (nextWp.body && ELEMENTS[nextWp.body]) {
-          nextPos = getPlanetPosition(nextWp.body, nextWp.date);
-        } else if (nextWp.distance) {
-          const dir2 = pos.clone().normalize();
-          if (dir2.length() < 0.01) dir2.set(1, 0, 0);
-          nextPos = dir2.multiplyScalar(Math.min(nextWp.distance, 160));
-        } else {
-          nextPos = new THREE.Vector3(0, 0, 0);
-        }
-
-        // Smooth interpolation with slight curvature
-        const interp = new THREE.Vector3().lerpVectors(pos, nextPos, t);
-        // Add slight orbital curvature - spacecraft doesn't travel straight lines
-        const perpendicular = new THREE.Vector3(-interp.z, 0, interp.x).normalize();
-        const curvature = Math.sin(t * Math.PI) * pos.distanceTo(nextPos) * 0.08;
-        interp.add(perpendicular.multiplyScalar(curvature));
-
-        allPoints.push(interp);
-        allDates.push(interpDate);
-      }
-    }
-  }
+/**
+ * Scene units per AU at true distances — Earth's orbit stays where the
+ * artistic layout puts it.
+ */
+export const TRUE_SCALE_UNITS_PER_AU = 36;
 
-  return { points: allPoints, waypointIndices, dates: allDates, waypointDates };
-}
+/** 0 = artistic layout, 1 = true distances; in between while a switch animates */
+let distanceBlend = 0;
 
 /**
- * Get date for a given progress along a mission trajectory.
+ * Set how far scene positions are blended from the artistic layout toward
+ * true distances. auToScene, heliocentricToScene and getPlanetPosition follow it.
+ * @param {number} t - 0 to 1
  */
-export function getMissionDateAtProgress(missionId, progress) {
-  const mission = MISSIONS.find(m => m.id === missionId);
-  if (!mission || mission.waypoints.length < 2) return '';
+export function setDistanceBlend(t) {
+  distanceBlend = Math.max(0, Math.min(1, t));
+}
 
-  const startDate = new Date(mission.waypoints[0].date).getTime();
-  const endDate = new Date(mission.waypoints[mission.waypoints.length - 1].date).getTime();
-  const currentDate = new Date(startDate + (endDate - startDate) * progress);
-  return currentDate.toISOString().split('T')[0];
+export function getDistanceBlend() {
+  return distanceBlend;
+}
+
+/** Heliocentric ecliptic position (AU) → scene at true distance, no vertical squash */
+export function auToTrueScene(posAU) {
+  const k = TRUE_SCALE_UNITS_PER_AU;
+  return new THREE.Vector3(posAU.x * k, posAU.z * k, posAU.y * k);
 }
 
 /**
- * Get waypoint progress positions (0..1) for timeline dots.
+ * Blend an artistic scene distance toward the true distance for rAU.
+ * @param {number} artistic - scene units in the artistic layout
+ * @param {number} rAU
  */
-export function getWaypointProgressPositions(missionId) {
-  const mission = MISSIONS.find(m => m.id === missionId);
-  if (!mission || mission.waypoints.length < 2) return [];
+export function blendSceneDistance(artistic, rAU) {
+  return artistic + (rAU * TRUE_SCALE_UNITS_PER_AU - artistic) * distanceBlend;
+}
 
-  const startTime = new Date(mission.waypoints[0].date).getTime();
-  const endTime = new Date(mission.waypoints[mission.waypoints.length - 1].date).getTime();
-  const totalDuration = endTime - startTime;
+/**
+ * Get planet position in scene coordinates for a given date.
+ */
+export function getPlanetPosition(planetKey, dateStr) {
+  if (planetKey === 'sun') return new THREE.Vector3(0, 0, 0);
 
-  return mission.waypoints.map(wp => {
-    const wpTime = new Date(wp.date).getTime();
-    return totalDuration > 0 ? (wpTime - startTime) / totalDuration : 0;
-  });
+  const posAU = getPlanetHeliocentricAU(planetKey, dateStr);
+  return auToScene(planetKey, posAU);
 }
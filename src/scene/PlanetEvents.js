@@ -0,0 +1,230 @@
+/**
+ * Planetary event finder: conjunctions, oppositions, greatest elongations,
+ * perihelion/aphelion passages and retrograde stations over a date range.
+ * Searches daily samples of the ephemeris in OrbitalMechanics, then refines
+ * each event to about a minute by bisection.
+ */
+import { getPlanetHeliocentricAU, getGeocentricEquatorial, DEG_TO_RAD } from './OrbitalMechanics.js';
+import { getElongation } from './SkyPlanner.js';
+
+// ==================== Constants ====================
+
+/** Sampling step of the coarse search (days) */
+const SEARCH_STEP = 1;
+
+/** Bisection steps: one day → well under a minute */
+const REFINE_ITERATIONS = 12;
+
+/** Longest range searched in one go (days) — about twenty years */
+export const MAX_EVENT_RANGE_DAYS = 7305;
+
+const INNER_PLANETS = ['mercury', 'venus'];
+const OUTER_PLANETS = ['mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+const SKY_PLANETS = [...INNER_PLANETS, ...OUTER_PLANETS];
+const ORBITING_PLANETS = ['mercury', 'venus', 'earth', ...OUTER_PLANETS];
+
+/** Event types grouped as offered in the Events panel filter */
+export const PLANET_EVENT_CATEGORIES = {
+  alignments: ['conjunction', 'opposition'],
+  elongations: ['elongation'],
+  apsides: ['perihelion', 'aphelion'],
+  retrograde: ['retrogradeStart', 'retrogradeEnd'],
+};
+
+// ==================== Helpers ====================
+
+/** Wrap an angle difference into [-180, 180) */
+function wrap(deg) {
+  return ((deg % 360) + 540) % 360 - 180;
+}
+
+function geoLon(key, jd) {
+  return getGeocentricEquatorial(key, jd).eclipticLon;
+}
+
+function helioDistance(key, jd) {
+  const p = getPlanetHeliocentricAU(key, jd);
+  return Math.hypot(p.x, p.y, p.z);
+}
+
+/** Angular separation of two bodies as seen from Earth (deg) */
+function separation(a, b, jd) {
+  const pa = getGeocentricEquatorial(a, jd);
+  const pb = getGeocentricEquatorial(b, jd);
+  const b1 = pa.eclipticLat * DEG_TO_RAD;
+  const b2 = pb.eclipticLat * DEG_TO_RAD;
+  const dl = (pa.eclipticLon - pb.eclipticLon) * DEG_TO_RAD;
+  const cos = Math.sin(b1) * Math.sin(b2) + Math.cos(b1) * Math.cos(b2) * Math.cos(dl);
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / DEG_TO_RAD;
+}
+
+/** Bisect for the zero of fn between jdA and jdB (fn changes sign there) */
+function refineRoot(fn, jdA, jdB) {
+  let fa = fn(jdA);
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const mid = (jdA + jdB) / 2;
+    const fm = fn(mid);
+    if ((fm < 0) === (fa < 0)) {
+      jdA = mid;
+      fa = fm;
+    } else {
+      jdB = mid;
+    }
+  }
+  return (jdA + jdB) / 2;
+}
+
+/** Bisect for the turning point of fn between jdA and jdB via its local slope */
+function refineExtremum(fn, jdA, jdB) {
+  const h = 0.01;
+  return refineRoot(jd => fn(jd + h) - fn(jd - h), jdA, jdB);
+}
+
+/**
+ * Zero crossings of a wrapped angle series. Jumps through ±180° are not
+ * crossings, so both neighbours must be within 90° of zero.
+ * @returns {number[]} index i where the sign changes between i and i + 1
+ */
+function findCrossings(values) {
+  const hits = [];
+  for (let i = 0; i < values.length - 1; i++) {
+    const a = values[i];
+    const b = values[i + 1];
+    if (Math.abs(a) < 90 && Math.abs(b) < 90 && (a < 0) !== (b < 0)) hits.push(i);
+  }
+  return hits;
+}
+
+// ==================== Search ====================
+
+/**
+ * Find planetary events between two Julian Days.
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ * @param {string[]} [types] - event types to keep (default: all)
+ * @returns {Array<{ type: string, jd: number, bodies: string[], value?: number,
+ *   east?: boolean, inferior?: boolean }>} sorted by date. value is the
+ *   separation or elongation (deg) or the Sun distance (AU), by type
+ */
+export function findPlanetEvents(jdStart, jdEnd, types) {
+  const wanted = new Set(types || Object.values(PLANET_EVENT_CATEGORIES).flat());
+  const end = Math.min(jdEnd, jdStart + MAX_EVENT_RANGE_DAYS);
+  const grid = [];
+  for (let jd = jdStart; jd <= end + 1e-9; jd += SEARCH_STEP) grid.push(jd);
+  if (grid.length < 3) return [];
+
+  const events = [];
+  const lon = { sun: grid.map(jd => geoLon('sun', jd)) };
+  for (const key of SKY_PLANETS) lon[key] = grid.map(jd => geoLon(key, jd));
+
+  // Conjunctions with the Sun and oppositions
+  if (wanted.has('conjunction') || wanted.has('opposition')) {
+    for (const key of SKY_PLANETS) {
+      const fromSun = jd => wrap(geoLon(key, jd) - geoLon('sun', jd));
+      const values = grid.map((_, i) => wrap(lon[key][i] - lon.sun[i]));
+
+      if (wanted.has('conjunction')) {
+        for (const i of findCrossings(values)) {
+          const jd = refineRoot(fromSun, grid[i], grid[i + 1]);
+          const inferior = getGeocentricEquatorial(key, jd).distance < getGeocentricEquatorial('sun', jd).distance;
+          events.push({ type: 'conjunction', jd, bodies: [key, 'sun'], value: separation(key, 'sun', jd), inferior });
+        }
+      }
+
+      if (wanted.has('opposition') && OUTER_PLANETS.includes(key)) {
+        const opposed = values.map(v => wrap(v - 180));
+        for (const i of findCrossings(opposed)) {
+          const jd = refineRoot(t => wrap(fromSun(t) - 180), grid[i], grid[i + 1]);
+          events.push({ type: 'opposition', jd, bodies: [key, 'earth'], value: getGeocentricEquatorial(key, jd).distance });
+        }
+      }
+    }
+  }
+
+  // Planet–planet conjunctions in ecliptic longitude
+  if (wanted.has('conjunction')) {
+    for (let a = 0; a < SKY_PLANETS.length; a++) {
+      for (let b = a + 1; b < SKY_PLANETS.length; b++) {
+        const ka = SKY_PLANETS[a];
+        const kb = SKY_PLANETS[b];
+        const values = grid.map((_, i) => wrap(lon[ka][i] - lon[kb][i]));
+        for (const i of findCrossings(values)) {
+          const jd = refineRoot(t => wrap(geoLon(ka, t) - geoLon(kb, t)), grid[i], grid[i + 1]);
+          // List the nearer planet first — it passes in front of the other
+          const pair = getGeocentricEquatorial(ka, jd).distance < getGeocentricEquatorial(kb, jd).distance
+            ? [ka, kb] : [kb, ka];
+          events.push({ type: 'conjunction', jd, bodies: pair, value: separation(ka, kb, jd) });
+        }
+      }
+    }
+  }
+
+  // Greatest elongations of Mercury and Venus
+  if (wanted.has('elongation')) {
+    for (const key of INNER_PLANETS) {
+      const elong = jd => getElongation(key, jd).angle;
+      const values = grid.map(elong);
+      for (let i = 1; i < values.length - 1; i++) {
+        if (values[i] > values[i - 1] && values[i] >= values[i + 1]) {
+          const jd = refineExtremum(elong, grid[i - 1], grid[i + 1]);
+          const e = getElongation(key, jd);
+          events.push({ type: 'elongation', jd, bodies: [key, 'sun'], value: e.angle, east: e.east });
+        }
+      }
+    }
+  }
+
+  // Perihelion and aphelion
+  if (wanted.has('perihelion') || wanted.has('aphelion')) {
+    for (const key of ORBITING_PLANETS) {
+      const r = jd => helioDistance(key, jd);
+      const values = grid.map(r);
+      for (let i = 1; i < values.length - 1; i++) {
+        const isMin = values[i] < values[i - 1] && values[i] <= values[i + 1];
+        const isMax = values[i] > values[i - 1] && values[i] >= values[i + 1];
+        const type = isMin ? 'perihelion' : isMax ? 'aphelion' : null;
+        if (!type || !wanted.has(type)) continue;
+        const jd = refineExtremum(r, grid[i - 1], grid[i + 1]);
+        events.push({ type, jd, bodies: [key], value: r(jd) });
+      }
+    }
+  }
+
+  // Retrograde stations: the geocentric longitude stops and reverses
+  if (wanted.has('retrogradeStart') || wanted.has('retrogradeEnd')) {
+    for (const key of SKY_PLANETS) {
+      const rate = jd => wrap(geoLon(key, jd + 0.5) - geoLon(key, jd - 0.5));
+      const values = grid.map(rate);
+      for (let i = 0; i < values.length - 1; i++) {
+        if ((values[i] < 0) === (values[i + 1] < 0)) continue;
+        const type = values[i] > 0 ? 'retrogradeStart' : 'retrogradeEnd';
+        if (!wanted.has(type)) continue;
+        events.push({ type, jd: refineRoot(rate, grid[i], grid[i + 1]), bodies: [key] });
+      }
+    }
+  }
+
+  return events.sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * Body to frame for an event, and the direction to view it from. Line-of-sight
+ * events are viewed from beyond the body looking back at Earth, so the
+ * alignment reads in the scene; perihelion and aphelion use the default view.
+ * @param {string} type
+ * @param {string[]} bodies
+ * @param {number} jd
+ * @returns {{ focus: string, viewDir: { x: number, y: number, z: number } | null }}
+ */
+export function getEventView(type, bodies, jd) {
+  const planets = bodies.filter(b => b !== 'sun' && b !== 'earth');
+  // For planet pairs frame the farther one, with the nearer in front of it
+  const focus = planets.length > 0 ? planets[planets.length - 1] : bodies[0];
+  if (type === 'perihelion' || type === 'aphelion') return { focus, viewDir: null };
+
+  const earth = getPlanetHeliocentricAU('earth', jd);
+  const planet = getPlanetHeliocentricAU(focus, jd);
+  const d = { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z };
+  const len = Math.hypot(d.x, d.y, d.z) || 1;
+  return { focus, viewDir: { x: d.x / len, y: d.y / len, z: d.z / len } };
+}
@@ -0,0 +1,118 @@
+/**
+ * Precise ephemeris backend — the planets from VSOP87B and the Moon from
+ * ELP/MPP02, a few tenths of an arcsecond from the full theories. The
+ * series weigh a few hundred kilobytes, so OrbitalMechanics imports this
+ * module only when the backend is first chosen.
+ */
+import { VSOP87B } from '../data/vsop87b.js';
+import { ELP_MPP02 } from '../data/elpMpp02.js';
+import { DEG_TO_RAD, J2000_JD } from './OrbitalMechanics.js';
+
+const ARCSEC_TO_RAD = DEG_TO_RAD / 3600;
+
+/** c[0] + c[1]·x + c[2]·x² + … */
+function horner(x, c) {
+  let y = 0;
+  for (let i = c.length - 1; i >= 0; i--) y = y * x + c[i];
+  return y;
+}
+
+// ==================== Planets (VSOP87B) ====================
+
+/** One VSOP87 variable: Σα τ^α Σ A·cos(B + C·τ) */
+function vsopSum(powers, tau) {
+  let total = 0;
+  let tauPower = 1;
+  for (const terms of powers) {
+    let sum = 0;
+    for (let i = 0; i < terms.length; i += 3) {
+      sum += terms[i] * Math.cos(terms[i + 1] + terms[i + 2] * tau);
+    }
+    total += sum * tauPower;
+    tauPower *= tau;
+  }
+  return total;
+}
+
+/**
+ * Heliocentric position of a planet (AU, J2000 ecliptic).
+ * @param {string} key
+ * @param {number} jd - Julian Day (TT)
+ * @returns {{ x: number, y: number, z: number } | null} null if VSOP87 doesn't cover the body
+ */
+function planetHeliocentricAU(key, jd) {
+  const series = VSOP87B[key];
+  if (!series) return null;
+
+  const tau = (jd - J2000_JD) / 365250;
+  const L = vsopSum(series.L, tau);
+  const B = vsopSum(series.B, tau);
+  const R = vsopSum(series.R, tau);
+  return {
+    x: R * Math.cos(B) * Math.cos(L),
+    y: R * Math.cos(B) * Math.sin(L),
+    z: R * Math.sin(B),
+  };
+}
+
+// ==================== Moon (ELP/MPP02) ====================
+
+/** Precession of the ecliptic, P and Q series (Laskar), T in Julian centuries */
+const ECLIPTIC_P = [0, 0.10180391e-4, 0.47020439e-6, -0.5417367e-9, -0.2507948e-11, 0.463486e-14];
+const ECLIPTIC_Q = [0, -0.113469002e-3, 0.12372674e-6, 0.12654170e-8, -0.1371808e-11, -0.320334e-14];
+
+/** One ELP variable: Σα T^α Σ A·sin(φ0 + φ1·T + φ2·T² + φ3·T³ + φ4·T⁴) */
+function elpSum(powers, T) {
+  const T2 = T * T;
+  const T3 = T2 * T;
+  const T4 = T3 * T;
+  let total = 0;
+  let tPower = 1;
+  for (const terms of powers) {
+    let sum = 0;
+    for (let i = 0; i < terms.length; i += 6) {
+      sum += terms[i] * Math.sin(terms[i + 1] + terms[i + 2] * T + terms[i + 3] * T2 +
+        terms[i + 4] * T3 + terms[i + 5] * T4);
+    }
+    total += sum * tPower;
+    tPower *= T;
+  }
+  return total;
+}
+
+/**
+ * Geocentric position of the Moon, referred to the J2000 ecliptic.
+ * @param {number} jd - Julian Day (TT)
+ * @returns {{ lon: number, lat: number, distanceKm: number }} degrees, km
+ */
+function moonGeocentric(jd) {
+  const T = (jd - J2000_JD) / 36525;
+  const lon = horner(T, ELP_MPP02.W1) + elpSum(ELP_MPP02.L, T) * ARCSEC_TO_RAD;
+  const lat = elpSum(ELP_MPP02.B, T) * ARCSEC_TO_RAD;
+  const r = elpSum(ELP_MPP02.R, T);
+
+  // Mean ecliptic of date → J2000 ecliptic
+  const x = r * Math.cos(lat) * Math.cos(lon);
+  const y = r * Math.cos(lat) * Math.sin(lon);
+  const z = r * Math.sin(lat);
+  const P = horner(T, ECLIPTIC_P);
+  const Q = horner(T, ECLIPTIC_Q);
+  const s = Math.sqrt(1 - P * P - Q * Q);
+  const X = (1 - 2 * P * P) * x + 2 * P * Q * y + 2 * P * s * z;
+  const Y = 2 * P * Q * x + (1 - 2 * Q * Q) * y - 2 * Q * s * z;
+  const Z = -2 * P * s * x + 2 * Q * s * y + (1 - 2 * P * P - 2 * Q * Q) * z;
+
+  const lonDeg = Math.atan2(Y, X) / DEG_TO_RAD;
+  return {
+    lon: lonDeg < 0 ? lonDeg + 360 : lonDeg,
+    lat: Math.asin(Z / r) / DEG_TO_RAD,
+    distanceKm: r,
+  };
+}
+
+/** @type {import('./OrbitalMechanics.js').EphemerisBackend} */
+export const PRECISE_EPHEMERIS = {
+  key: 'precise',
+  getPlanetHeliocentricAU: planetHeliocentricAU,
+  getMoonGeocentric: moonGeocentric,
+};
@@ -0,0 +1,233 @@
+/**
+ * IAU WGCCRE rotation models (Archinal et al. 2018; Mars from the 2009
+ * report): each body's north pole and prime meridian for a date, the
+ * orientation of its mesh in the scene, and the central meridian an
+ * observer on Earth sees.
+ *
+ * Textures are equirectangular maps centred on the prime meridian with east
+ * to the right, which puts longitude 0 on the mesh's +x axis. Jupiter's
+ * clouds have no fixed meridian; its map is turned so the Great Red Spot
+ * sits at the System II longitude it has drifted to.
+ */
+import * as THREE from 'three';
+import { OBLIQUITY_J2000, deltaT, getPlanetHeliocentricAU, DEG_TO_RAD, J2000_JD } from './OrbitalMechanics.js';
+
+const LIGHT_AU_PER_DAY = 173.1446327;
+
+// ==================== Models ====================
+
+/** Lunar arguments E1–E13: [degrees at J2000, degrees per day] */
+const MOON_ARGUMENTS = [
+  [125.045, -0.0529921], [250.089, -0.1059842], [260.008, 13.0120009], [176.625, 13.3407154],
+  [357.529, 0.9856003], [311.589, 26.4057084], [134.963, 13.0649930], [276.617, 0.3287146],
+  [34.226, 1.7484877], [15.134, -0.1589763], [119.743, 0.0036096], [239.961, 0.1643573],
+  [25.053, 12.9590088],
+];
+// Amplitudes of sin E (pole RA, prime meridian) and cos E (pole Dec), in E1–E13 order
+const MOON_RA_TERMS = [-3.8787, -0.1204, 0.0700, -0.0172, 0, 0.0072, 0, 0, 0, -0.0052, 0, 0, 0.0043];
+const MOON_DEC_TERMS = [1.5419, 0.0239, -0.0278, 0.0068, 0, -0.0029, 0.0009, 0, 0, 0.0008, 0, 0, -0.0009];
+const MOON_W_TERMS = [3.5610, 0.1208, -0.0642, 0.0158, 0.0252, -0.0066, -0.0047, -0.0046, 0.0028,
+  0.0052, 0.0040, 0.0019, -0.0044];
+
+/** Physical librations of the Moon (degrees) */
+function moonPeriodic(d) {
+  const out = { ra: 0, dec: 0, w: -1.4e-12 * d * d };
+  MOON_ARGUMENTS.forEach(([e0, rate], i) => {
+    const E = (e0 + rate * d) * DEG_TO_RAD;
+    out.ra += MOON_RA_TERMS[i] * Math.sin(E);
+    out.dec += MOON_DEC_TERMS[i] * Math.cos(E);
+    out.w += MOON_W_TERMS[i] * Math.sin(E);
+  });
+  return out;
+}
+
+/** Neptune's pole precesses around the invariable plane's (degrees) */
+function neptunePeriodic(d, T) {
+  const N = (357.85 + 52.316 * T) * DEG_TO_RAD;
+  return { ra: 0.70 * Math.sin(N), dec: -0.51 * Math.cos(N), w: -0.48 * Math.sin(N) };
+}
+
+/**
+ * Pole right ascension and declination (J2000 equator, degrees, per Julian
+ * century of TDB) and prime meridian angle W (degrees, per day).
+ * Jupiter's W is System II, the rotation of the belt holding the Great Red Spot.
+ */
+const ROTATION_MODELS = {
+  mercury: { ra: [281.0103, -0.0328], dec: [61.4155, -0.0049], w: [329.5988, 6.1385108] },
+  venus:   { ra: [272.76, 0], dec: [67.16, 0], w: [160.20, -1.4813688] },
+  earth:   { ra: [0, -0.641], dec: [90, -0.557], w: [190.147, 360.9856235] },
+  moon:    { ra: [269.9949, 0.0031], dec: [66.5392, 0.0130], w: [38.3213, 13.17635815], periodic: moonPeriodic },
+  mars:    { ra: [317.68143, -0.1061], dec: [52.88650, -0.0609], w: [176.630, 350.89198226] },
+  jupiter: { ra: [268.056595, -0.006499], dec: [64.495303, 0.002413], w: [43.3, 870.27] },
+  saturn:  { ra: [40.589, -0.036], dec: [83.537, -0.004], w: [38.90, 810.7939024] },
+  uranus:  { ra: [257.311, 0], dec: [-15.175, 0], w: [203.81, -501.1600928] },
+  neptune: { ra: [299.36, 0], dec: [43.46, 0], w: [249.978, 541.1397757], periodic: neptunePeriodic },
+  ceres:   { ra: [291.418, 0], dec: [66.764, 0], w: [170.650, 952.1532] },
+  pluto:   { ra: [132.993, 0], dec: [-6.163, 0], w: [302.695, 56.3625225] },
+};
+
+/**
+ * Great Red Spot's System II longitude: a linear fit to its drift around
+ * 2024 (JUPOS). It wanders, so expect it a few degrees off within a year or
+ * two of the epoch and further beyond.
+ */
+const GRS_DRIFT = { jd: 2460310.5, longitude: 50, perDay: 0.05 };
+
+/** West longitude of the Great Red Spot's column in the Jupiter texture (u ≈ 0.365) */
+const GRS_TEXTURE_LONGITUDE = 48.6;
+
+/**
+ * Whether a body has a rotation model.
+ * @param {string} key - planet, dwarf planet or 'moon'
+ */
+export function hasRotationModel(key) {
+  return key in ROTATION_MODELS;
+}
+
+/**
+ * Pole and prime meridian of a body.
+ * @param {string} key
+ * @param {number} jd - Julian Day (TT)
+ * @returns {{ ra: number, dec: number, w: number } | null} degrees; null without a model
+ */
+export function getRotationElements(key, jd) {
+  const model = ROTATION_MODELS[key];
+  if (!model) return null;
+  const d = jd - J2000_JD;
+  const T = d / 36525;
+  const extra = model.periodic ? model.periodic(d, T) : { ra: 0, dec: 0, w: 0 };
+  return {
+    ra: model.ra[0] + model.ra[1] * T + extra.ra,
+    dec: model.dec[0] + model.dec[1] * T + extra.dec,
+    w: (((model.w[0] + model.w[1] * d + extra.w) % 360) + 360) % 360,
+  };
+}
+
+// ==================== Orientation ====================
+
+const _x = new THREE.Vector3(1, 0, 0);
+const _z = new THREE.Vector3(0, 0, 1);
+const _y = new THREE.Vector3(0, 1, 0);
+const _q = new THREE.Quaternion();
+const _texture = new THREE.Quaternion();
+const _pole = new THREE.Vector3();
+const _towardEq = new THREE.Vector3();
+const _towardScene = new THREE.Vector3();
+const _poleScene = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _mFrom = new THREE.Matrix4();
+const _mTo = new THREE.Matrix4();
+const _inertial = new THREE.Quaternion();
+const _body = new THREE.Quaternion();
+const _v = new THREE.Vector3();
+
+/** Mesh local axes → body-fixed (x to longitude 0, z to the north pole) */
+export const MESH_TO_BODY_FIXED = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, -1, 0),
+));
+
+/** Orthonormal basis with the first vector as z and the second in the xz-plane */
+function basisFrom(pole, toward, target) {
+  _side.copy(toward).addScaledVector(pole, -toward.dot(pole)).normalize();
+  _up.crossVectors(pole, _side);
+  return target.makeBasis(_side, _up, pole);
+}
+
+/** J2000 ecliptic → equator (in place) */
+function eclipticToEquatorial(v) {
+  const eps = OBLIQUITY_J2000 * DEG_TO_RAD;
+  const { y, z } = v;
+  return v.set(v.x, y * Math.cos(eps) - z * Math.sin(eps), y * Math.sin(eps) + z * Math.cos(eps));
+}
+
+/** J2000 equator → scene axes (in place); ecliptic (x, y, z) is drawn as (x, z, y) */
+function equatorialToScene(v) {
+  const eps = OBLIQUITY_J2000 * DEG_TO_RAD;
+  const { y, z } = v;
+  return v.set(v.x, -y * Math.sin(eps) + z * Math.cos(eps), y * Math.cos(eps) + z * Math.sin(eps));
+}
+
+/**
+ * Rotation from the J2000 equatorial frame to scene axes around a body. The
+ * scene draws the ecliptic mirrored, so no rotation matches it everywhere;
+ * this one keeps the body's pole and one direction that matters for it —
+ * the Sun for a planet's terminator, Earth for the Moon's near side.
+ * @param {THREE.Vector3} poleEq - unit pole, J2000 equatorial
+ * @param {{ x: number, y: number, z: number }} towardEcl - direction to keep, J2000 ecliptic
+ * @param {THREE.Quaternion} target
+ */
+export function getEquatorialToSceneQuaternion(poleEq, towardEcl, target) {
+  eclipticToEquatorial(_towardEq.set(towardEcl.x, towardEcl.y, towardEcl.z)).normalize();
+  equatorialToScene(_towardScene.copy(_towardEq));
+  equatorialToScene(_poleScene.copy(poleEq));
+  basisFrom(poleEq, _towardEq, _mFrom);
+  basisFrom(_poleScene, _towardScene, _mTo);
+  return target.setFromRotationMatrix(_mTo.multiply(_mFrom.transpose()));
+}
+
+/** Body-fixed → J2000 equatorial for the given elements */
+function bodyToEquatorial({ ra, dec, w }, target) {
+  target.setFromAxisAngle(_z, (ra + 90) * DEG_TO_RAD);
+  target.multiply(_q.setFromAxisAngle(_x, (90 - dec) * DEG_TO_RAD));
+  return target.multiply(_q.setFromAxisAngle(_z, w * DEG_TO_RAD));
+}
+
+/** Turn of the texture about the pole: mesh longitude + offset = body longitude (degrees east) */
+function textureOffset(key, jd) {
+  if (key !== 'jupiter') return 0;
+  const grs = GRS_DRIFT.longitude + GRS_DRIFT.perDay * (jd - GRS_DRIFT.jd);
+  return GRS_TEXTURE_LONGITUDE - grs;
+}
+
+/**
+ * World orientation of a body's mesh for a date.
+ * @param {string} key - one with a rotation model
+ * @param {number} jd - Julian Day (UT)
+ * @param {{ x: number, y: number, z: number }} towardEcl - direction whose
+ *   relation to the surface is kept (see getEquatorialToSceneQuaternion)
+ * @param {THREE.Quaternion} target
+ * @returns {THREE.Quaternion|null} null without a model
+ */
+export function getBodyQuaternion(key, jd, towardEcl, target) {
+  const tt = jd + deltaT(jd) / 86400;
+  const el = getRotationElements(key, tt);
+  if (!el) return null;
+  const ra = el.ra * DEG_TO_RAD;
+  const dec = el.dec * DEG_TO_RAD;
+  _pole.set(Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec));
+
+  getEquatorialToSceneQuaternion(_pole, towardEcl, _inertial);
+  _texture.setFromAxisAngle(_y, textureOffset(key, tt) * DEG_TO_RAD);
+  return bodyToEquatorial(el, target).premultiply(_inertial).multiply(MESH_TO_BODY_FIXED).multiply(_texture);
+}
+
+// ==================== Central Meridian ====================
+
+/**
+ * Longitude of the centre of a planet's disc as seen from Earth, corrected
+ * for light-time. West longitude, as observers of Mars count it; Jupiter's
+ * is System II.
+ * @param {string} key - planet or dwarf planet
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number|null} degrees 0–360; null for Earth, the Moon and bodies without a model
+ */
+export function getCentralMeridian(key, jd) {
+  if (!ROTATION_MODELS[key] || key === 'earth' || key === 'moon') return null;
+  const tt = jd + deltaT(jd) / 86400;
+  const earth = getPlanetHeliocentricAU('earth', tt);
+
+  // The disc we see is the one that faced us when the light left it
+  let tau = 0;
+  for (let i = 0; i < 3; i++) {
+    const body = getPlanetHeliocentricAU(key, tt - tau);
+    _v.set(earth.x - body.x, earth.y - body.y, earth.z - body.z);
+    tau = _v.length() / LIGHT_AU_PER_DAY;
+  }
+
+  eclipticToEquatorial(_v).applyQuaternion(bodyToEquatorial(getRotationElements(key, tt - tau), _body).invert());
+  const east = Math.atan2(_v.y, _v.x) / DEG_TO_RAD;
+  return ((-east % 360) + 360) % 360;
+}
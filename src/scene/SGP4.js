@@ -0,0 +1,1031 @@
+/**
+ * SGP4/SDP4 propagator for NORAD mean elements (two-line element sets and
+ * CCSDS OMM). A port of the reference implementation in Vallado, Crawford,
+ * Hujsak & Kelso, "Revisiting Spacetrack Report #3" (AIAA 2006-6753), with
+ * WGS-72 constants and the improved ('i') operation mode. Orbits with
+ * periods of 225 minutes or more use the deep-space (SDP4) terms: lunar and
+ * solar perturbations and the 12 h / 24 h geopotential resonances.
+ *
+ * Positions and velocities are in the TEME frame (true equator, mean
+ * equinox of date), in km and km/s.
+ */
+import { DEG_TO_RAD } from './OrbitalMechanics.js';
+
+// ==================== Constants ====================
+
+const TWO_PI = Math.PI * 2;
+const X2O3 = 2 / 3;
+
+/** Revolutions per day → radians per minute */
+const XPDOTP = 1440 / TWO_PI;
+
+// WGS-72 — the element sets are fitted with these, so SGP4 must use them
+const MU = 398600.8;
+export const EARTH_RADIUS_KM = 6378.135;
+const XKE = 60 / Math.sqrt(EARTH_RADIUS_KM ** 3 / MU);
+const TUMIN = 1 / XKE;
+const J2 = 0.001082616;
+const J3 = -0.00000253881;
+const J4 = -0.00000165597;
+const J3OJ2 = J3 / J2;
+
+/** Guard against division by zero at 180° inclination */
+const TEMP4 = 1.5e-12;
+
+/** Earth rotation rate in radians per minute of sidereal time (deep-space resonance) */
+const RPTIM = 4.37526908801129966e-3;
+
+// WGS-84 ellipsoid for geodetic coordinates
+const WGS84_A = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+/**
+ * Reasons a propagation can fail, by satrec.error code.
+ * @type {Record<number, string>}
+ */
+export const SGP4_ERRORS = {
+  1: 'eccentricity',
+  2: 'meanMotion',
+  3: 'perturbedEccentricity',
+  4: 'semiLatusRectum',
+  6: 'decayed',
+};
+
+// ==================== Time ====================
+
+/**
+ * Greenwich mean sidereal time (IAU 1982), radians.
+ * @param {number} jdut1 - Julian Day (UT1)
+ */
+export function gstime(jdut1) {
+  const tut1 = (jdut1 - 2451545.0) / 36525.0;
+  let temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1
+    + (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841; // seconds
+  temp = (temp * DEG_TO_RAD / 240.0) % TWO_PI;
+  return temp < 0 ? temp + TWO_PI : temp;
+}
+
+// ==================== Initialisation ====================
+
+/** Epoch quantities and the un-Kozai'd (Brouwer) mean motion */
+function initl(ecco, epoch, inclo, noKozai) {
+  const eccsq = ecco * ecco;
+  const omeosq = 1.0 - eccsq;
+  const rteosq = Math.sqrt(omeosq);
+  const cosio = Math.cos(inclo);
+  const cosio2 = cosio * cosio;
+
+  const ak = (XKE / noKozai) ** X2O3;
+  const d1 = 0.75 * J2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+  let delPrime = d1 / (ak * ak);
+  const adel = ak * (1.0 - delPrime * delPrime - delPrime * (1.0 / 3.0 + 134.0 * delPrime * delPrime / 81.0));
+  delPrime = d1 / (adel * adel);
+  const no = noKozai / (1.0 + delPrime);
+
+  const ao = (XKE / no) ** X2O3;
+  const sinio = Math.sin(inclo);
+  const po = ao * omeosq;
+  const con42 = 1.0 - 5.0 * cosio2;
+  const con41 = -con42 - cosio2 - cosio2;
+  const posq = po * po;
+  const rp = ao * (1.0 - ecco);
+  const gsto = gstime(epoch + 2433281.5);
+
+  return { no, ao, con41, con42, cosio, cosio2, eccsq, omeosq, posq, rp, rteosq, sinio, gsto };
+}
+
+/** Lunar and solar terms of the deep-space perturbations */
+function dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+  const zes = 0.01675;
+  const zel = 0.05490;
+  const c1ss = 2.9864797e-6;
+  const c1l = 4.7968065e-7;
+  const zsinis = 0.39785416;
+  const zcosis = 0.91744867;
+  const zcosgs = 0.1945905;
+  const zsings = -0.98088458;
+
+  const nm = np;
+  const em = ep;
+  const snodm = Math.sin(nodep);
+  const cnodm = Math.cos(nodep);
+  const sinomm = Math.sin(argpp);
+  const cosomm = Math.cos(argpp);
+  const sinim = Math.sin(inclp);
+  const cosim = Math.cos(inclp);
+  const emsq = em * em;
+  const betasq = 1.0 - emsq;
+  const rtemsq = Math.sqrt(betasq);
+
+  const day = epoch + 18261.5 + tc / 1440.0;
+  const xnodce = (4.5236020 - 9.2422029e-4 * day) % TWO_PI;
+  const stem = Math.sin(xnodce);
+  const ctem = Math.cos(xnodce);
+  const zcosil = 0.91375164 - 0.03568096 * ctem;
+  const zsinil = Math.sqrt(1.0 - zcosil * zcosil);
+  const zsinhl = 0.089683511 * stem / zsinil;
+  const zcoshl = Math.sqrt(1.0 - zsinhl * zsinhl);
+  const gam = 5.8351514 + 0.0019443680 * day;
+  let zx = 0.39785416 * stem / zsinil;
+  const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+  zx = Math.atan2(zx, zy) + gam - xnodce;
+  const zcosgl = Math.cos(zx);
+  const zsingl = Math.sin(zx);
+
+  // First pass: solar terms; second pass: lunar terms
+  let zcosg = zcosgs;
+  let zsing = zsings;
+  let zcosi = zcosis;
+  let zsini = zsinis;
+  let zcosh = cnodm;
+  let zsinh = snodm;
+  let cc = c1ss;
+  const xnoi = 1.0 / nm;
+
+  const out = { sinim, cosim, em, emsq, nm };
+  let s1, s2, s3, s4, s5, s6, s7;
+  let z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33;
+  for (let lsflg = 1; lsflg <= 2; lsflg++) {
+    const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+    const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+    const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+    const a8 = zsing * zsini;
+    const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+    const a10 = zcosg * zsini;
+    const a2 = cosim * a7 + sinim * a8;
+    const a4 = cosim * a9 + sinim * a10;
+    const a5 = -sinim * a7 + cosim * a8;
+    const a6 = -sinim * a9 + cosim * a10;
+
+    const x1 = a1 * cosomm + a2 * sinomm;
+    const x2 = a3 * cosomm + a4 * sinomm;
+    const x3 = -a1 * sinomm + a2 * cosomm;
+    const x4 = -a3 * sinomm + a4 * cosomm;
+    const x5 = a5 * sinomm;
+    const x6 = a6 * sinomm;
+    const x7 = a5 * cosomm;
+    const x8 = a6 * cosomm;
+
+    z31 = 12.0 * x1 * x1 - 3.0 * x3 * x3;
+    z32 = 24.0 * x1 * x2 - 6.0 * x3 * x4;
+    z33 = 12.0 * x2 * x2 - 3.0 * x4 * x4;
+    z1 = 3.0 * (a1 * a1 + a2 * a2) + z31 * emsq;
+    z2 = 6.0 * (a1 * a3 + a2 * a4) + z32 * emsq;
+    z3 = 3.0 * (a3 * a3 + a4 * a4) + z33 * emsq;
+    z11 = -6.0 * a1 * a5 + emsq * (-24.0 * x1 * x7 - 6.0 * x3 * x5);
+    z12 = -6.0 * (a1 * a6 + a3 * a5) + emsq * (-24.0 * (x2 * x7 + x1 * x8) - 6.0 * (x3 * x6 + x4 * x5));
+    z13 = -6.0 * a3 * a6 + emsq * (-24.0 * x2 * x8 - 6.0 * x4 * x6);
+    z21 = 6.0 * a2 * a5 + emsq * (24.0 * x1 * x5 - 6.0 * x3 * x7);
+    z22 = 6.0 * (a4 * a5 + a2 * a6) + emsq * (24.0 * (x2 * x5 + x1 * x6) - 6.0 * (x4 * x7 + x3 * x8));
+    z23 = 6.0 * a4 * a6 + emsq * (24.0 * x2 * x6 - 6.0 * x4 * x8);
+    z1 = z1 + z1 + betasq * z31;
+    z2 = z2 + z2 + betasq * z32;
+    z3 = z3 + z3 + betasq * z33;
+    s3 = cc * xnoi;
+    s2 = -0.5 * s3 / rtemsq;
+    s4 = s3 * rtemsq;
+    s1 = -15.0 * em * s4;
+    s5 = x1 * x3 + x2 * x4;
+    s6 = x2 * x3 + x1 * x4;
+    s7 = x2 * x4 - x1 * x3;
+
+    if (lsflg === 1) {
+      Object.assign(out, {
+        ss1: s1, ss2: s2, ss3: s3, ss4: s4, ss5: s5, ss6: s6, ss7: s7,
+        sz1: z1, sz2: z2, sz3: z3, sz11: z11, sz12: z12, sz13: z13,
+        sz21: z21, sz22: z22, sz23: z23, sz31: z31, sz32: z32, sz33: z33,
+      });
+      zcosg = zcosgl;
+      zsing = zsingl;
+      zcosi = zcosil;
+      zsini = zsinil;
+      zcosh = zcoshl * cnodm + zsinhl * snodm;
+      zsinh = snodm * zcoshl - cnodm * zsinhl;
+      cc = c1l;
+    }
+  }
+  Object.assign(out, { s1, s2, s3, s4, s5, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 });
+
+  const { ss1, ss2, ss3, ss4, ss6, ss7, sz1, sz2, sz3, sz11, sz12, sz13, sz21, sz22, sz23, sz31, sz32, sz33 } = out;
+  out.zmol = (4.7199672 + (0.22997150 * day - gam)) % TWO_PI;
+  out.zmos = (6.2565837 + 0.017201977 * day) % TWO_PI;
+
+  // Solar
+  out.se2 = 2.0 * ss1 * ss6;
+  out.se3 = 2.0 * ss1 * ss7;
+  out.si2 = 2.0 * ss2 * sz12;
+  out.si3 = 2.0 * ss2 * (sz13 - sz11);
+  out.sl2 = -2.0 * ss3 * sz2;
+  out.sl3 = -2.0 * ss3 * (sz3 - sz1);
+  out.sl4 = -2.0 * ss3 * (-21.0 - 9.0 * emsq) * zes;
+  out.sgh2 = 2.0 * ss4 * sz32;
+  out.sgh3 = 2.0 * ss4 * (sz33 - sz31);
+  out.sgh4 = -18.0 * ss4 * zes;
+  out.sh2 = -2.0 * ss2 * sz22;
+  out.sh3 = -2.0 * ss2 * (sz23 - sz21);
+
+  // Lunar
+  out.ee2 = 2.0 * s1 * s6;
+  out.e3 = 2.0 * s1 * s7;
+  out.xi2 = 2.0 * s2 * z12;
+  out.xi3 = 2.0 * s2 * (z13 - z11);
+  out.xl2 = -2.0 * s3 * z2;
+  out.xl3 = -2.0 * s3 * (z3 - z1);
+  out.xl4 = -2.0 * s3 * (-21.0 - 9.0 * emsq) * zel;
+  out.xgh2 = 2.0 * s4 * z32;
+  out.xgh3 = 2.0 * s4 * (z33 - z31);
+  out.xgh4 = -18.0 * s4 * zel;
+  out.xh2 = -2.0 * s2 * z22;
+  out.xh3 = -2.0 * s2 * (z23 - z21);
+
+  return out;
+}
+
+/** Lunar-solar periodics */
+function dpper(satrec, ep, inclp, nodep, argpp, mp) {
+  const zns = 1.19459e-5;
+  const zes = 0.01675;
+  const znl = 1.5835218e-4;
+  const zel = 0.05490;
+  const s = satrec;
+
+  let zm = s.zmos + zns * s.t;
+  let zf = zm + 2.0 * zes * Math.sin(zm);
+  let sinzf = Math.sin(zf);
+  let f2 = 0.5 * sinzf * sinzf - 0.25;
+  let f3 = -0.5 * sinzf * Math.cos(zf);
+  const ses = s.se2 * f2 + s.se3 * f3;
+  const sis = s.si2 * f2 + s.si3 * f3;
+  const sls = s.sl2 * f2 + s.sl3 * f3 + s.sl4 * sinzf;
+  const sghs = s.sgh2 * f2 + s.sgh3 * f3 + s.sgh4 * sinzf;
+  const shs = s.sh2 * f2 + s.sh3 * f3;
+
+  zm = s.zmol + znl * s.t;
+  zf = zm + 2.0 * zel * Math.sin(zm);
+  sinzf = Math.sin(zf);
+  f2 = 0.5 * sinzf * sinzf - 0.25;
+  f3 = -0.5 * sinzf * Math.cos(zf);
+  const sel = s.ee2 * f2 + s.e3 * f3;
+  const sil = s.xi2 * f2 + s.xi3 * f3;
+  const sll = s.xl2 * f2 + s.xl3 * f3 + s.xl4 * sinzf;
+  const sghl = s.xgh2 * f2 + s.xgh3 * f3 + s.xgh4 * sinzf;
+  const shll = s.xh2 * f2 + s.xh3 * f3;
+
+  const pe = ses + sel;
+  const pinc = sis + sil;
+  const pl = sls + sll;
+  let pgh = sghs + sghl;
+  let ph = shs + shll;
+
+  inclp += pinc;
+  ep += pe;
+  const sinip = Math.sin(inclp);
+  const cosip = Math.cos(inclp);
+
+  if (inclp >= 0.2) {
+    ph /= sinip;
+    pgh -= cosip * ph;
+    argpp += pgh;
+    nodep += ph;
+    mp += pl;
+  } else {
+    // Lyddane modification for low inclinations
+    const sinop = Math.sin(nodep);
+    const cosop = Math.cos(nodep);
+    let alfdp = sinip * sinop;
+    let betdp = sinip * cosop;
+    const dalf = ph * cosop + pinc * cosip * sinop;
+    const dbet = -ph * sinop + pinc * cosip * cosop;
+    alfdp += dalf;
+    betdp += dbet;
+    nodep %= TWO_PI;
+    let xls = mp + argpp + cosip * nodep;
+    const dls = pl + pgh - pinc * nodep * sinip;
+    xls += dls;
+    const xnoh = nodep;
+    nodep = Math.atan2(alfdp, betdp);
+    if (Math.abs(xnoh - nodep) > Math.PI) {
+      nodep += nodep < xnoh ? TWO_PI : -TWO_PI;
+    }
+    mp += pl;
+    argpp = xls - mp - cosip * nodep;
+  }
+  return { ep, inclp, nodep, argpp, mp };
+}
+
+/** Deep-space secular rates and the resonance integrator's starting state */
+function dsinit(satrec, ds, tc, xpidot, eccsq) {
+  const s = satrec;
+  const q22 = 1.7891679e-6;
+  const q31 = 2.1460748e-6;
+  const q33 = 2.2123015e-7;
+  const root22 = 1.7891679e-6;
+  const root44 = 7.3636953e-9;
+  const root54 = 2.1765803e-9;
+  const root32 = 3.7393792e-7;
+  const root52 = 1.1428639e-7;
+  const znl = 1.5835218e-4;
+  const zns = 1.19459e-5;
+
+  const { sinim, cosim, ss1, ss2, ss3, ss4, ss5, sz1, sz3, sz11, sz13, sz21, sz23, sz31, sz33,
+    s1, s2, s3, s4, s5, z1, z3, z11, z13, z21, z23, z31, z33 } = ds;
+  let { em, emsq, nm } = ds;
+  const inclm = s.inclo;
+
+  s.irez = 0;
+  if (nm < 0.0052359877 && nm > 0.0034906585) s.irez = 1;
+  if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) s.irez = 2;
+
+  // Solar
+  const ses = ss1 * zns * ss5;
+  const sis = ss2 * zns * (sz11 + sz13);
+  const sls = -zns * ss3 * (sz1 + sz3 - 14.0 - 6.0 * emsq);
+  const sghs = ss4 * zns * (sz31 + sz33 - 6.0);
+  let shs = -zns * ss2 * (sz21 + sz23);
+  if (inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2) shs = 0.0;
+  if (sinim !== 0.0) shs /= sinim;
+  const sgs = sghs - cosim * shs;
+
+  // Lunar
+  s.dedt = ses + s1 * znl * s5;
+  s.didt = sis + s2 * znl * (z11 + z13);
+  s.dmdt = sls - znl * s3 * (z1 + z3 - 14.0 - 6.0 * emsq);
+  const sghl = s4 * znl * (z31 + z33 - 6.0);
+  let shll = -znl * s2 * (z21 + z23);
+  if (inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2) shll = 0.0;
+  s.domdt = sgs + sghl;
+  s.dnodt = shs;
+  if (sinim !== 0.0) {
+    s.domdt -= cosim / sinim * shll;
+    s.dnodt += shll / sinim;
+  }
+
+  const theta = (s.gsto + tc * RPTIM) % TWO_PI;
+
+  if (s.irez === 0) return;
+  const aonv = (nm / XKE) ** X2O3;
+
+  // Geopotential resonance for 12-hour orbits
+  if (s.irez === 2) {
+    const cosisq = cosim * cosim;
+    const emo = em;
+    em = s.ecco;
+    const emsqo = emsq;
+    emsq = eccsq;
+    const eoc = em * emsq;
+    const g201 = -0.306 - (em - 0.64) * 0.440;
+    let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+    if (em <= 0.65) {
+      g211 = 3.616 - 13.2470 * em + 16.2900 * emsq;
+      g310 = -19.302 + 117.3900 * em - 228.4190 * emsq + 156.5910 * eoc;
+      g322 = -18.9068 + 109.7927 * em - 214.6334 * emsq + 146.5816 * eoc;
+      g410 = -41.122 + 242.6940 * em - 471.0940 * emsq + 313.9530 * eoc;
+      g422 = -146.407 + 841.8800 * em - 1629.014 * emsq + 1083.4350 * eoc;
+      g520 = -532.114 + 3017.977 * em - 5740.032 * emsq + 3708.2760 * eoc;
+    } else {
+      g211 = -72.099 + 331.819 * em - 508.738 * emsq + 266.724 * eoc;
+      g310 = -346.844 + 1582.851 * em - 2415.925 * emsq + 1246.113 * eoc;
+      g322 = -342.585 + 1554.908 * em - 2366.899 * emsq + 1215.972 * eoc;
+      g410 = -1052.797 + 4758.686 * em - 7193.992 * emsq + 3651.957 * eoc;
+      g422 = -3581.690 + 16178.110 * em - 24462.770 * emsq + 12422.520 * eoc;
+      g520 = em > 0.715
+        ? -5149.66 + 29936.92 * em - 54087.36 * emsq + 31324.56 * eoc
+        : 1464.74 - 4664.75 * em + 3763.64 * emsq;
+    }
+    if (em < 0.7) {
+      g533 = -919.22770 + 4988.6100 * em - 9064.7700 * emsq + 5542.21 * eoc;
+      g521 = -822.71072 + 4568.6173 * em - 8491.4146 * emsq + 5337.524 * eoc;
+      g532 = -853.66600 + 4690.2500 * em - 8624.7700 * emsq + 5341.4 * eoc;
+    } else {
+      g533 = -37995.780 + 161616.52 * em - 229838.20 * emsq + 109377.94 * eoc;
+      g521 = -51752.104 + 218913.95 * em - 309468.16 * emsq + 146349.42 * eoc;
+      g532 = -40023.880 + 170470.89 * em - 242699.48 * emsq + 115605.82 * eoc;
+    }
+    const sini2 = sinim * sinim;
+    const f220 = 0.75 * (1.0 + 2.0 * cosim + cosisq);
+    const f221 = 1.5 * sini2;
+    const f321 = 1.875 * sinim * (1.0 - 2.0 * cosim - 3.0 * cosisq);
+    const f322 = -1.875 * sinim * (1.0 + 2.0 * cosim - 3.0 * cosisq);
+    const f441 = 35.0 * sini2 * f220;
+    const f442 = 39.3750 * sini2 * sini2;
+    const f522 = 9.84375 * sinim * (sini2 * (1.0 - 2.0 * cosim - 5.0 * cosisq)
+      + 0.33333333 * (-2.0 + 4.0 * cosim + 6.0 * cosisq));
+    const f523 = sinim * (4.92187512 * sini2 * (-2.0 - 4.0 * cosim + 10.0 * cosisq)
+      + 6.56250012 * (1.0 + 2.0 * cosim - 3.0 * cosisq));
+    const f542 = 29.53125 * sinim * (2.0 - 8.0 * cosim + cosisq * (-12.0 + 8.0 * cosim + 10.0 * cosisq));
+    const f543 = 29.53125 * sinim * (-2.0 - 8.0 * cosim + cosisq * (12.0 + 8.0 * cosim - 10.0 * cosisq));
+
+    const xno2 = nm * nm;
+    const ainv2 = aonv * aonv;
+    let temp1 = 3.0 * xno2 * ainv2;
+    let temp = temp1 * root22;
+    s.d2201 = temp * f220 * g201;
+    s.d2211 = temp * f221 * g211;
+    temp1 *= aonv;
+    temp = temp1 * root32;
+    s.d3210 = temp * f321 * g310;
+    s.d3222 = temp * f322 * g322;
+    temp1 *= aonv;
+    temp = 2.0 * temp1 * root44;
+    s.d4410 = temp * f441 * g410;
+    s.d4422 = temp * f442 * g422;
+    temp1 *= aonv;
+    temp = temp1 * root52;
+    s.d5220 = temp * f522 * g520;
+    s.d5232 = temp * f523 * g532;
+    temp = 2.0 * temp1 * root54;
+    s.d5421 = temp * f542 * g521;
+    s.d5433 = temp * f543 * g533;
+    s.xlamo = (s.mo + s.nodeo + s.nodeo - (theta + theta)) % TWO_PI;
+    s.xfact = s.mdot + s.dmdt + 2.0 * (s.nodedot + s.dnodt - RPTIM) - s.no;
+    em = emo;
+    emsq = emsqo;
+  }
+
+  // Synchronous (24-hour) resonance
+  if (s.irez === 1) {
+    const g200 = 1.0 + emsq * (-2.5 + 0.8125 * emsq);
+    const g310 = 1.0 + 2.0 * emsq;
+    const g300 = 1.0 + emsq * (-6.0 + 6.60937 * emsq);
+    const f220 = 0.75 * (1.0 + cosim) * (1.0 + cosim);
+    const f311 = 0.9375 * sinim * sinim * (1.0 + 3.0 * cosim) - 0.75 * (1.0 + cosim);
+    let f330 = 1.0 + cosim;
+    f330 = 1.875 * f330 * f330 * f330;
+    s.del1 = 3.0 * nm * nm * aonv * aonv;
+    s.del2 = 2.0 * s.del1 * f220 * g200 * q22;
+    s.del3 = 3.0 * s.del1 * f330 * g300 * q33 * aonv;
+    s.del1 = s.del1 * f311 * g310 * q31 * aonv;
+    s.xlamo = (s.mo + s.nodeo + s.argpo - theta) % TWO_PI;
+    s.xfact = s.mdot + xpidot + s.dmdt + s.domdt + s.dnodt - (s.no + RPTIM);
+  }
+
+  s.xli = s.xlamo;
+  s.xni = s.no;
+  s.atime = 0.0;
+}
+
+/**
+ * Initialise a satellite record from mean elements.
+ * @param {{ epoch: number, bstar: number, ecco: number, argpo: number,
+ *   inclo: number, mo: number, no: number, nodeo: number }} el - epoch as
+ *   days since 1949 Dec 31 00:00 UT, angles in radians, no (Kozai mean
+ *   motion) in radians per minute
+ * @returns {Object} satrec for sgp4()
+ */
+export function sgp4init(el) {
+  const s = {
+    bstar: el.bstar, ecco: el.ecco, argpo: el.argpo, inclo: el.inclo,
+    mo: el.mo, nodeo: el.nodeo, epoch: el.epoch,
+    jdsatepoch: el.epoch + 2433281.5,
+    isimp: 0, method: 'n', error: 0, t: 0,
+    aycof: 0, con41: 0, cc1: 0, cc4: 0, cc5: 0, d2: 0, d3: 0, d4: 0, delmo: 0,
+    eta: 0, argpdot: 0, omgcof: 0, sinmao: 0, t2cof: 0, t3cof: 0, t4cof: 0,
+    t5cof: 0, x1mth2: 0, x7thm1: 0, mdot: 0, nodedot: 0, xlcof: 0, xmcof: 0, nodecf: 0,
+    irez: 0, d2201: 0, d2211: 0, d3210: 0, d3222: 0, d4410: 0, d4422: 0,
+    d5220: 0, d5232: 0, d5421: 0, d5433: 0, dedt: 0, del1: 0, del2: 0, del3: 0,
+    didt: 0, dmdt: 0, dnodt: 0, domdt: 0, e3: 0, ee2: 0, se2: 0, se3: 0, sgh2: 0, sgh3: 0, sgh4: 0, sh2: 0, sh3: 0,
+    si2: 0, si3: 0, sl2: 0, sl3: 0, sl4: 0, gsto: 0, xfact: 0, xgh2: 0, xgh3: 0,
+    xgh4: 0, xh2: 0, xh3: 0, xi2: 0, xi3: 0, xl2: 0, xl3: 0, xl4: 0, xlamo: 0,
+    zmol: 0, zmos: 0, atime: 0, xli: 0, xni: 0,
+  };
+
+  const ss = 78.0 / EARTH_RADIUS_KM + 1.0;
+  const qzms2t = ((120.0 - 78.0) / EARTH_RADIUS_KM) ** 4;
+
+  const init = initl(s.ecco, el.epoch, s.inclo, el.no);
+  const { ao, con42, cosio, cosio2, eccsq, omeosq, posq, rp, rteosq, sinio } = init;
+  s.no = init.no;
+  s.con41 = init.con41;
+  s.gsto = init.gsto;
+  s.a = (s.no * TUMIN) ** -X2O3;
+  s.alta = s.a * (1.0 + s.ecco) - 1.0;
+  s.altp = s.a * (1.0 - s.ecco) - 1.0;
+
+  if (omeosq >= 0.0 || s.no >= 0.0) {
+    s.isimp = rp < 220.0 / EARTH_RADIUS_KM + 1.0 ? 1 : 0;
+    let sfour = ss;
+    let qzms24 = qzms2t;
+    const perige = (rp - 1.0) * EARTH_RADIUS_KM;
+
+    // Perigees below 156 km alter the atmospheric density parameters
+    if (perige < 156.0) {
+      sfour = perige < 98.0 ? 20.0 : perige - 78.0;
+      qzms24 = ((120.0 - sfour) / EARTH_RADIUS_KM) ** 4;
+      sfour = sfour / EARTH_RADIUS_KM + 1.0;
+    }
+    const pinvsq = 1.0 / posq;
+
+    const tsi = 1.0 / (ao - sfour);
+    s.eta = ao * s.ecco * tsi;
+    const etasq = s.eta * s.eta;
+    const eeta = s.ecco * s.eta;
+    const psisq = Math.abs(1.0 - etasq);
+    const coef = qzms24 * tsi ** 4;
+    const coef1 = coef / psisq ** 3.5;
+    const cc2 = coef1 * s.no * (ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq))
+      + 0.375 * J2 * tsi / psisq * s.con41 * (8.0 + 3.0 * etasq * (8.0 + etasq)));
+    s.cc1 = s.bstar * cc2;
+    let cc3 = 0.0;
+    if (s.ecco > 1.0e-4) cc3 = -2.0 * coef * tsi * J3OJ2 * s.no * sinio / s.ecco;
+    s.x1mth2 = 1.0 - cosio2;
+    s.cc4 = 2.0 * s.no * coef1 * ao * omeosq * (s.eta * (2.0 + 0.5 * etasq)
+      + s.ecco * (0.5 + 2.0 * etasq)
+      - J2 * tsi / (ao * psisq) * (-3.0 * s.con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta))
+        + 0.75 * s.x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * s.argpo)));
+    s.cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * J2 * pinvsq * s.no;
+    const temp2 = 0.5 * temp1 * J2 * pinvsq;
+    const temp3 = -0.46875 * J4 * pinvsq * pinvsq * s.no;
+    s.mdot = s.no + 0.5 * temp1 * rteosq * s.con41
+      + 0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+    s.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4)
+      + temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    s.nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+    const xpidot = s.argpdot + s.nodedot;
+    s.omgcof = s.bstar * cc3 * Math.cos(s.argpo);
+    s.xmcof = s.ecco > 1.0e-4 ? -X2O3 * coef * s.bstar / eeta : 0.0;
+    s.nodecf = 3.5 * omeosq * xhdot1 * s.cc1;
+    s.t2cof = 1.5 * s.cc1;
+    s.xlcof = -0.25 * J3OJ2 * sinio * (3.0 + 5.0 * cosio)
+      / (Math.abs(cosio + 1.0) > 1.5e-12 ? 1.0 + cosio : TEMP4);
+    s.aycof = -0.5 * J3OJ2 * sinio;
+    const delmotemp = 1.0 + s.eta * Math.cos(s.mo);
+    s.delmo = delmotemp * delmotemp * delmotemp;
+    s.sinmao = Math.sin(s.mo);
+    s.x7thm1 = 7.0 * cosio2 - 1.0;
+
+    // Deep space: periods of 225 minutes or more
+    if (TWO_PI / s.no >= 225.0) {
+      s.method = 'd';
+      s.isimp = 1;
+      const tc = 0.0;
+      const ds = dscom(el.epoch, s.ecco, s.argpo, tc, s.inclo, s.nodeo, s.no);
+      for (const key of ['e3', 'ee2', 'se2', 'se3', 'sgh2', 'sgh3', 'sgh4', 'sh2', 'sh3',
+        'si2', 'si3', 'sl2', 'sl3', 'sl4', 'xgh2', 'xgh3', 'xgh4', 'xh2', 'xh3',
+        'xi2', 'xi3', 'xl2', 'xl3', 'xl4', 'zmol', 'zmos']) {
+        s[key] = ds[key];
+      }
+
+      dsinit(s, ds, tc, xpidot, eccsq);
+    }
+
+    if (s.isimp !== 1) {
+      const cc1sq = s.cc1 * s.cc1;
+      s.d2 = 4.0 * ao * tsi * cc1sq;
+      const temp = s.d2 * tsi * s.cc1 / 3.0;
+      s.d3 = (17.0 * ao + sfour) * temp;
+      s.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * s.cc1;
+      s.t3cof = s.d2 + 2.0 * cc1sq;
+      s.t4cof = 0.25 * (3.0 * s.d3 + s.cc1 * (12.0 * s.d2 + 10.0 * cc1sq));
+      s.t5cof = 0.2 * (3.0 * s.d4 + 12.0 * s.cc1 * s.d3 + 6.0 * s.d2 * s.d2
+        + 15.0 * cc1sq * (2.0 * s.d2 + cc1sq));
+    }
+  }
+
+  sgp4(s, 0.0);
+  return s;
+}
+
+// ==================== Propagation ====================
+
+/** Deep-space secular effects and the resonance integrator */
+function dspace(s, t, em, argpm, inclm, mm, nodem, nm) {
+  const fasx2 = 0.13130908;
+  const fasx4 = 2.8843198;
+  const fasx6 = 0.37448087;
+  const g22 = 5.7686396;
+  const g32 = 0.95240898;
+  const g44 = 1.8014998;
+  const g52 = 1.0508330;
+  const g54 = 4.4108898;
+  const stepp = 720.0;
+  const stepn = -720.0;
+  const step2 = 259200.0;
+
+  const theta = (s.gsto + t * RPTIM) % TWO_PI;
+  em += s.dedt * t;
+  inclm += s.didt * t;
+  argpm += s.domdt * t;
+  nodem += s.dnodt * t;
+  mm += s.dmdt * t;
+
+  if (s.irez !== 0) {
+    // Restart the integration from epoch when stepping backwards
+    if (s.atime === 0.0 || t * s.atime <= 0.0 || Math.abs(t) < Math.abs(s.atime)) {
+      s.atime = 0.0;
+      s.xni = s.no;
+      s.xli = s.xlamo;
+    }
+    const delt = t > 0.0 ? stepp : stepn;
+
+    let xndt = 0;
+    let xldot = 0;
+    let xnddt = 0;
+    let ft = 0;
+    for (;;) {
+      if (s.irez !== 2) {
+        // Near-synchronous resonance
+        xndt = s.del1 * Math.sin(s.xli - fasx2) + s.del2 * Math.sin(2.0 * (s.xli - fasx4))
+          + s.del3 * Math.sin(3.0 * (s.xli - fasx6));
+        xldot = s.xni + s.xfact;
+        xnddt = s.del1 * Math.cos(s.xli - fasx2) + 2.0 * s.del2 * Math.cos(2.0 * (s.xli - fasx4))
+          + 3.0 * s.del3 * Math.cos(3.0 * (s.xli - fasx6));
+        xnddt *= xldot;
+      } else {
+        // Near half-day resonance
+        const xomi = s.argpo + s.argpdot * s.atime;
+        const x2omi = xomi + xomi;
+        const x2li = s.xli + s.xli;
+        xndt = s.d2201 * Math.sin(x2omi + s.xli - g22) + s.d2211 * Math.sin(s.xli - g22)
+          + s.d3210 * Math.sin(xomi + s.xli - g32) + s.d3222 * Math.sin(-xomi + s.xli - g32)
+          + s.d4410 * Math.sin(x2omi + x2li - g44) + s.d4422 * Math.sin(x2li - g44)
+          + s.d5220 * Math.sin(xomi + s.xli - g52) + s.d5232 * Math.sin(-xomi + s.xli - g52)
+          + s.d5421 * Math.sin(xomi + x2li - g54) + s.d5433 * Math.sin(-xomi + x2li - g54);
+        xldot = s.xni + s.xfact;
+        xnddt = s.d2201 * Math.cos(x2omi + s.xli - g22) + s.d2211 * Math.cos(s.xli - g22)
+          + s.d3210 * Math.cos(xomi + s.xli - g32) + s.d3222 * Math.cos(-xomi + s.xli - g32)
+          + s.d5220 * Math.cos(xomi + s.xli - g52) + s.d5232 * Math.cos(-xomi + s.xli - g52)
+          + 2.0 * (s.d4410 * Math.cos(x2omi + x2li - g44) + s.d4422 * Math.cos(x2li - g44)
+            + s.d5421 * Math.cos(xomi + x2li - g54) + s.d5433 * Math.cos(-xomi + x2li - g54));
+        xnddt *= xldot;
+      }
+
+      if (Math.abs(t - s.atime) < stepp) {
+        ft = t - s.atime;
+        break;
+      }
+      s.xli += xldot * delt + xndt * step2;
+      s.xni += xndt * delt + xnddt * step2;
+      s.atime += delt;
+    }
+
+    nm = s.xni + xndt * ft + xnddt * ft * ft * 0.5;
+    const xl = s.xli + xldot * ft + xndt * ft * ft * 0.5;
+    mm = s.irez !== 1 ? xl - 2.0 * nodem + 2.0 * theta : xl - nodem - argpm + theta;
+  }
+  return { em, argpm, inclm, mm, nodem, nm };
+}
+
+/**
+ * Propagate a satellite record.
+ * @param {Object} satrec - from sgp4init()
+ * @param {number} tsince - minutes since the element epoch
+ * @returns {{ r: { x: number, y: number, z: number }, v: { x: number, y: number, z: number } } | null}
+ *   TEME km and km/s, or null on failure (see satrec.error and SGP4_ERRORS)
+ */
+export function sgp4(satrec, tsince) {
+  const s = satrec;
+  const vkmpersec = EARTH_RADIUS_KM * XKE / 60.0;
+
+  s.t = tsince;
+  s.error = 0;
+
+  // Secular gravity and atmospheric drag
+  const xmdf = s.mo + s.mdot * s.t;
+  const argpdf = s.argpo + s.argpdot * s.t;
+  const nodedf = s.nodeo + s.nodedot * s.t;
+  let argpm = argpdf;
+  let mm = xmdf;
+  const t2 = s.t * s.t;
+  let nodem = nodedf + s.nodecf * t2;
+  let tempa = 1.0 - s.cc1 * s.t;
+  let tempe = s.bstar * s.cc4 * s.t;
+  let templ = s.t2cof * t2;
+
+  if (s.isimp !== 1) {
+    const delomg = s.omgcof * s.t;
+    const delmtemp = 1.0 + s.eta * Math.cos(xmdf);
+    const delm = s.xmcof * (delmtemp * delmtemp * delmtemp - s.delmo);
+    const temp = delomg + delm;
+    mm = xmdf + temp;
+    argpm = argpdf - temp;
+    const t3 = t2 * s.t;
+    const t4 = t3 * s.t;
+    tempa = tempa - s.d2 * t2 - s.d3 * t3 - s.d4 * t4;
+    tempe += s.bstar * s.cc5 * (Math.sin(mm) - s.sinmao);
+    templ = templ + s.t3cof * t3 + t4 * (s.t4cof + s.t * s.t5cof);
+  }
+
+  let nm = s.no;
+  let em = s.ecco;
+  let inclm = s.inclo;
+  if (s.method === 'd') {
+    ({ em, argpm, inclm, mm, nodem, nm } = dspace(s, s.t, em, argpm, inclm, mm, nodem, nm));
+  }
+
+  if (nm <= 0.0) {
+    s.error = 2;
+    return null;
+  }
+
+  const am = (XKE / nm) ** X2O3 * tempa * tempa;
+  nm = XKE / am ** 1.5;
+  em -= tempe;
+
+  if (em >= 1.0 || em < -0.001) {
+    s.error = 1;
+    return null;
+  }
+  if (em < 1.0e-6) em = 1.0e-6;
+  mm += s.no * templ;
+  let xlm = mm + argpm + nodem;
+  nodem %= TWO_PI;
+  argpm %= TWO_PI;
+  xlm %= TWO_PI;
+  mm = (xlm - argpm - nodem) % TWO_PI;
+
+  // Lunar-solar periodics
+  let ep = em;
+  let xincp = inclm;
+  let argpp = argpm;
+  let nodep = nodem;
+  let mp = mm;
+  let sinip = Math.sin(inclm);
+  let cosip = Math.cos(inclm);
+  if (s.method === 'd') {
+    ({ ep, inclp: xincp, nodep, argpp, mp } = dpper(s, ep, xincp, nodep, argpp, mp));
+    if (xincp < 0.0) {
+      xincp = -xincp;
+      nodep += Math.PI;
+      argpp -= Math.PI;
+    }
+    if (ep < 0.0 || ep > 1.0) {
+      s.error = 3;
+      return null;
+    }
+  }
+
+  // Long-period periodics
+  if (s.method === 'd') {
+    sinip = Math.sin(xincp);
+    cosip = Math.cos(xincp);
+    s.aycof = -0.5 * J3OJ2 * sinip;
+    s.xlcof = -0.25 * J3OJ2 * sinip * (3.0 + 5.0 * cosip)
+      / (Math.abs(cosip + 1.0) > 1.5e-12 ? 1.0 + cosip : TEMP4);
+  }
+  const axnl = ep * Math.cos(argpp);
+  let temp = 1.0 / (am * (1.0 - ep * ep));
+  const aynl = ep * Math.sin(argpp) + temp * s.aycof;
+  const xl = mp + argpp + nodep + temp * s.xlcof * axnl;
+
+  // Kepler's equation
+  const u = (xl - nodep) % TWO_PI;
+  let eo1 = u;
+  let tem5 = 9999.9;
+  let sineo1 = 0;
+  let coseo1 = 0;
+  for (let ktr = 1; Math.abs(tem5) >= 1.0e-12 && ktr <= 10; ktr++) {
+    sineo1 = Math.sin(eo1);
+    coseo1 = Math.cos(eo1);
+    tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+    tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+    if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+    eo1 += tem5;
+  }
+
+  // Short-period preliminary quantities
+  const ecose = axnl * coseo1 + aynl * sineo1;
+  const esine = axnl * sineo1 - aynl * coseo1;
+  const el2 = axnl * axnl + aynl * aynl;
+  const pl = am * (1.0 - el2);
+  if (pl < 0.0) {
+    s.error = 4;
+    return null;
+  }
+  const rl = am * (1.0 - ecose);
+  const rdotl = Math.sqrt(am) * esine / rl;
+  const rvdotl = Math.sqrt(pl) / rl;
+  const betal = Math.sqrt(1.0 - el2);
+  temp = esine / (1.0 + betal);
+  const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+  const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+  let su = Math.atan2(sinu, cosu);
+  const sin2u = (cosu + cosu) * sinu;
+  const cos2u = 1.0 - 2.0 * sinu * sinu;
+  temp = 1.0 / pl;
+  const temp1 = 0.5 * J2 * temp;
+  const temp2 = temp1 * temp;
+
+  // Short-period periodics
+  if (s.method === 'd') {
+    const cosisq = cosip * cosip;
+    s.con41 = 3.0 * cosisq - 1.0;
+    s.x1mth2 = 1.0 - cosisq;
+    s.x7thm1 = 7.0 * cosisq - 1.0;
+  }
+  const mrt = rl * (1.0 - 1.5 * temp2 * betal * s.con41) + 0.5 * temp1 * s.x1mth2 * cos2u;
+  if (mrt < 1.0) {
+    s.error = 6; // below the surface: decayed
+    return null;
+  }
+  su -= 0.25 * temp2 * s.x7thm1 * sin2u;
+  const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+  const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+  const mvt = rdotl - nm * temp1 * s.x1mth2 * sin2u / XKE;
+  const rvdot = rvdotl + nm * temp1 * (s.x1mth2 * cos2u + 1.5 * s.con41) / XKE;
+
+  // Orientation vectors
+  const sinsu = Math.sin(su);
+  const cossu = Math.cos(su);
+  const snod = Math.sin(xnode);
+  const cnod = Math.cos(xnode);
+  const sini = Math.sin(xinc);
+  const cosi = Math.cos(xinc);
+  const xmx = -snod * cosi;
+  const xmy = cnod * cosi;
+  const ux = xmx * sinsu + cnod * cossu;
+  const uy = xmy * sinsu + snod * cossu;
+  const uz = sini * sinsu;
+  const vx = xmx * cossu - cnod * sinsu;
+  const vy = xmy * cossu - snod * sinsu;
+  const vz = sini * cossu;
+
+  return {
+    r: { x: mrt * ux * EARTH_RADIUS_KM, y: mrt * uy * EARTH_RADIUS_KM, z: mrt * uz * EARTH_RADIUS_KM },
+    v: {
+      x: (mvt * ux + rvdot * vx) * vkmpersec,
+      y: (mvt * uy + rvdot * vy) * vkmpersec,
+      z: (mvt * uz + rvdot * vz) * vkmpersec,
+    },
+  };
+}
+
+/**
+ * Propagate to a Julian Day.
+ * @param {Object} satrec
+ * @param {number} jd - Julian Day (UTC)
+ */
+export function propagateToJD(satrec, jd) {
+  return sgp4(satrec, (jd - satrec.jdsatepoch) * 1440);
+}
+
+// ==================== Elements ====================
+
+/** "12345-5" (implied leading decimal point, signed exponent) → 0.12345e-5 */
+function impliedDecimal(field) {
+  const m = /^\s*([+-]?)(\d+)\s*([+-]\d)\s*$/.exec(field);
+  if (!m) return /^\s*$/.test(field) ? 0 : NaN;
+  return (m[1] === '-' ? -1 : 1) * Number(`0.${m[2]}`) * 10 ** Number(m[3]);
+}
+
+/** TLE epoch (two-digit year, fractional day of year) → Julian Day */
+function tleEpochToJD(year2, dayOfYear) {
+  const year = year2 < 57 ? 2000 + year2 : 1900 + year2;
+  return Date.UTC(year, 0, 1) / 86400000 + 2440587.5 + dayOfYear - 1;
+}
+
+/** Standard TLE checksum: digit sum, minus signs count one, modulo 10 */
+function tleChecksumOk(line) {
+  const expected = line.charAt(68);
+  if (!/\d/.test(expected)) return true; // some sources drop checksums
+  let sum = 0;
+  for (const ch of line.slice(0, 68)) {
+    if (ch >= '0' && ch <= '9') sum += Number(ch);
+    else if (ch === '-') sum += 1;
+  }
+  return sum % 10 === Number(expected);
+}
+
+/**
+ * @typedef {Object} MeanElements
+ * @property {number} noradId
+ * @property {string} intlDesignator
+ * @property {number} epochJD - UTC
+ * @property {number} meanMotion - revolutions per day
+ * @property {number} eccentricity
+ * @property {number} inclination - degrees
+ * @property {number} raan - degrees
+ * @property {number} argPerigee - degrees
+ * @property {number} meanAnomaly - degrees
+ * @property {number} bstar - 1/Earth radii
+ */
+
+/**
+ * Read the two data lines of a TLE.
+ * @param {string} line1
+ * @param {string} line2
+ * @returns {MeanElements|null} null when the lines are malformed
+ */
+export function parseTLELines(line1, line2) {
+  const l1 = line1.trimEnd();
+  const l2 = line2.trimEnd();
+  if (l1.length < 64 || l2.length < 63 || l1[0] !== '1' || l2[0] !== '2') return null;
+  if (!tleChecksumOk(l1) || !tleChecksumOk(l2)) return null;
+  const noradId = parseInt(l1.slice(2, 7), 10);
+  if (noradId !== parseInt(l2.slice(2, 7), 10)) return null;
+
+  const el = {
+    noradId,
+    intlDesignator: l1.slice(9, 17).trim(),
+    epochJD: tleEpochToJD(parseInt(l1.slice(18, 20), 10), parseFloat(l1.slice(20, 32))),
+    meanMotion: parseFloat(l2.slice(52, 63)),
+    eccentricity: Number(`0.${l2.slice(26, 33).trim()}`),
+    inclination: parseFloat(l2.slice(8, 16)),
+    raan: parseFloat(l2.slice(17, 25)),
+    argPerigee: parseFloat(l2.slice(34, 42)),
+    meanAnomaly: parseFloat(l2.slice(43, 51)),
+    bstar: impliedDecimal(l1.slice(53, 61)),
+  };
+  return Object.values(el).every(v => typeof v === 'string' || Number.isFinite(v)) ? el : null;
+}
+
+/** "2024-03-01T12:00:00.123456" (UTC) → Julian Day, keeping sub-millisecond digits */
+function isoToJD(iso) {
+  const m = /^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d(?:\.\d+)?))?)?Z?$/.exec(String(iso).trim());
+  if (!m) return NaN;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+  return ms / 86400000 + 2440587.5 + Number(m[6] || 0) / 86400;
+}
+
+/**
+ * Read one OMM record (CCSDS keyword names, as in CelesTrak's JSON, XML and
+ * KVN output).
+ * @param {Record<string, string|number>} rec
+ * @returns {MeanElements|null}
+ */
+export function parseOMMRecord(rec) {
+  const n = (key) => {
+    const v = parseFloat(String(rec[key] ?? ''));
+    return Number.isFinite(v) ? v : NaN;
+  };
+  const el = {
+    noradId: parseInt(String(rec.NORAD_CAT_ID ?? ''), 10),
+    intlDesignator: String(rec.OBJECT_ID ?? ''),
+    epochJD: isoToJD(String(rec.EPOCH ?? '')),
+    meanMotion: n('MEAN_MOTION'),
+    eccentricity: n('ECCENTRICITY'),
+    inclination: n('INCLINATION'),
+    raan: n('RA_OF_ASC_NODE'),
+    argPerigee: n('ARG_OF_PERICENTER'),
+    meanAnomaly: n('MEAN_ANOMALY'),
+    bstar: rec.BSTAR === undefined ? 0 : n('BSTAR'),
+  };
+  return Object.values(el).every(v => typeof v === 'string' || Number.isFinite(v)) ? el : null;
+}
+
+/**
+ * Initialise SGP4 from mean elements.
+ * @param {MeanElements} el
+ * @returns {Object} satrec
+ */
+export function satrecFromElements(el) {
+  return sgp4init({
+    epoch: el.epochJD - 2433281.5,
+    bstar: el.bstar,
+    ecco: el.eccentricity,
+    argpo: el.argPerigee * DEG_TO_RAD,
+    inclo: el.inclination * DEG_TO_RAD,
+    mo: el.meanAnomaly * DEG_TO_RAD,
+    no: el.meanMotion / XPDOTP,
+    nodeo: el.raan * DEG_TO_RAD,
+  });
+}
+
+// ==================== Frames ====================
+
+/**
+ * TEME → Earth-fixed, rotating by Greenwich sidereal time (polar motion ignored).
+ * @param {{ x: number, y: number, z: number }} r
+ * @param {number} gmst - radians
+ */
+export function temeToEcf(r, gmst) {
+  const c = Math.cos(gmst);
+  const s = Math.sin(gmst);
+  return { x: c * r.x + s * r.y, y: -s * r.x + c * r.y, z: r.z };
+}
+
+/**
+ * Earth-fixed km → WGS-84 geodetic latitude and longitude (degrees) and height (km).
+ * @param {{ x: number, y: number, z: number }} r
+ */
+export function ecfToGeodetic(r) {
+  const lon = Math.atan2(r.y, r.x);
+  const p = Math.hypot(r.x, r.y);
+  let lat = Math.atan2(r.z, p * (1 - WGS84_E2));
+  let c = 1;
+  for (let i = 0; i < 5; i++) {
+    const sin = Math.sin(lat);
+    c = 1 / Math.sqrt(1 - WGS84_E2 * sin * sin);
+    lat = Math.atan2(r.z + WGS84_A * c * WGS84_E2 * sin, p);
+  }
+  const height = p / Math.cos(lat) - WGS84_A * c;
+  return { lat: lat / DEG_TO_RAD, lon: lon / DEG_TO_RAD, height };
+}
+
+/**
+ * WGS-84 geodetic latitude and longitude (degrees) and height (km) → Earth-fixed km.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [height=0]
+ */
+export function geodeticToEcf(lat, lon, height = 0) {
+  const phi = lat * DEG_TO_RAD;
+  const lam = lon * DEG_TO_RAD;
+  const sin = Math.sin(phi);
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sin * sin);
+  const p = (n + height) * Math.cos(phi);
+  return { x: p * Math.cos(lam), y: p * Math.sin(lam), z: (n * (1 - WGS84_E2) + height) * sin };
+}
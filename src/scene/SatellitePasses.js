@@ -0,0 +1,203 @@
+/**
+ * Satellite pass predictor: when a satellite rises above an observer's
+ * horizon, where it culminates and sets, and whether it can be seen —
+ * sunlit while the observer's sky is dark. Steps SGP4 through the window a
+ * few hundred times per orbit, then refines rise and set by bisection and
+ * the culmination by ternary search.
+ */
+import { getSatellitePeriod } from './Satellites.js';
+import { propagateToJD, gstime, temeToEcf, geodeticToEcf, EARTH_RADIUS_KM } from './SGP4.js';
+import { getGeocentricEquatorial, getSkyPosition, precessToDate, DEG_TO_RAD } from './OrbitalMechanics.js';
+import { dot } from '../utils/vector.js';
+
+// ==================== Constants ====================
+
+/** Lowest elevation counted as part of a pass (deg) — below it trees and haze hide the satellite */
+export const MIN_PASS_ELEVATION = 10;
+
+/** Sun altitude at or below which the sky is dark enough to see a satellite (civil twilight) */
+const MAX_SUN_ALTITUDE = -6;
+
+/** Coarse search samples per orbit */
+const SAMPLES_PER_ORBIT = 180;
+
+/** Longest search step (days), so high orbits are still sampled often enough */
+const MAX_SEARCH_STEP = 5 / 1440;
+
+/** Bisection and ternary-search steps: a half-minute step → well under a second */
+const REFINE_ITERATIONS = 16;
+
+/** Points along a pass checked for sunlight and a dark sky */
+const VISIBILITY_SAMPLES = 12;
+
+/** Most passes returned by one search */
+export const MAX_PASSES = 30;
+
+/**
+ * @typedef {Object} PassPoint
+ * @property {number} jd
+ * @property {number} azimuth - degrees from north through east
+ * @property {number} elevation - degrees above the horizon
+ */
+
+/**
+ * @typedef {Object} SatellitePass
+ * @property {PassPoint} start - rise above the minimum elevation
+ * @property {PassPoint} max - culmination
+ * @property {PassPoint} end - set below the minimum elevation
+ * @property {boolean} visible - sunlit at some point while the observer's sky is dark
+ */
+
+// ==================== Geometry ====================
+
+/** Observer's Earth-fixed position and the local east/north/up axes */
+function createSite(observer) {
+  const lat = observer.lat * DEG_TO_RAD;
+  const lon = observer.lon * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+  return {
+    observer,
+    r: geodeticToEcf(observer.lat, observer.lon),
+    east: { x: -sinLon, y: cosLon, z: 0 },
+    north: { x: -sinLat * cosLon, y: -sinLat * sinLon, z: cosLat },
+    up: { x: cosLat * cosLon, y: cosLat * sinLon, z: sinLat },
+  };
+}
+
+/**
+ * Where a satellite appears from the site.
+ * @returns {{ azimuth: number, elevation: number, r: { x: number, y: number, z: number } } | null}
+ *   r is the TEME position (km); null when SGP4 fails
+ */
+function lookAngles(satrec, site, jd) {
+  const pv = propagateToJD(satrec, jd);
+  if (!pv) return null;
+  const ecf = temeToEcf(pv.r, gstime(jd));
+  const d = { x: ecf.x - site.r.x, y: ecf.y - site.r.y, z: ecf.z - site.r.z };
+  const e = dot(d, site.east);
+  const n = dot(d, site.north);
+  const u = dot(d, site.up);
+  return {
+    azimuth: ((Math.atan2(e, n) / DEG_TO_RAD) + 360) % 360,
+    elevation: Math.atan2(u, Math.hypot(e, n)) / DEG_TO_RAD,
+    r: pv.r,
+  };
+}
+
+function elevationAt(satrec, site, jd) {
+  return lookAngles(satrec, site, jd)?.elevation ?? -90;
+}
+
+/**
+ * Whether a point (TEME km) is in sunlight, treating Earth's shadow as a
+ * cylinder — the penumbra is crossed in a few seconds at low orbit. The
+ * Sun's J2000 direction is first precessed to the equator and equinox of
+ * date, which TEME matches to within the equation of the equinoxes (about
+ * a second of arc); left in J2000 the shadow would sit a third of a degree
+ * off by the 2020s.
+ */
+function isSunlit(r, jd) {
+  const eq = getGeocentricEquatorial('sun', jd);
+  const sun = precessToDate(eq.eclipticLon, eq.eclipticLat, jd);
+  const ra = sun.ra * DEG_TO_RAD;
+  const dec = sun.dec * DEG_TO_RAD;
+  const s = { x: Math.cos(dec) * Math.cos(ra), y: Math.cos(dec) * Math.sin(ra), z: Math.sin(dec) };
+  const along = dot(r, s);
+  if (along > 0) return true;
+  return Math.hypot(r.x - along * s.x, r.y - along * s.y, r.z - along * s.z) > EARTH_RADIUS_KM;
+}
+
+// ==================== Search ====================
+
+/** Bisect the instant the elevation crosses `limit` between jdA (below if rising) and jdB */
+function refineCrossing(satrec, site, jdA, jdB, limit, rising) {
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const mid = (jdA + jdB) / 2;
+    if ((elevationAt(satrec, site, mid) >= limit) === rising) jdB = mid;
+    else jdA = mid;
+  }
+  return (jdA + jdB) / 2;
+}
+
+/** Ternary search for the highest point between jdA and jdB */
+function refineCulmination(satrec, site, jdA, jdB) {
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const m1 = jdA + (jdB - jdA) / 3;
+    const m2 = jdB - (jdB - jdA) / 3;
+    if (elevationAt(satrec, site, m1) < elevationAt(satrec, site, m2)) jdA = m1;
+    else jdB = m2;
+  }
+  return (jdA + jdB) / 2;
+}
+
+function passPoint(satrec, site, jd) {
+  const look = lookAngles(satrec, site, jd);
+  return { jd, azimuth: look?.azimuth ?? 0, elevation: look?.elevation ?? 0 };
+}
+
+/** Sunlit against a dark sky at any of a few moments through the pass */
+function isPassVisible(satrec, site, jdStart, jdEnd) {
+  for (let i = 0; i <= VISIBILITY_SAMPLES; i++) {
+    const jd = jdStart + (i / VISIBILITY_SAMPLES) * (jdEnd - jdStart);
+    if (getSkyPosition('sun', jd, site.observer).altitude > MAX_SUN_ALTITUDE) continue;
+    const look = lookAngles(satrec, site, jd);
+    if (look && isSunlit(look.r, jd)) return true;
+  }
+  return false;
+}
+
+// ==================== Public API ====================
+
+/**
+ * Find a satellite's passes over an observer in a time window. A pass
+ * already under way at the start is reported from the start of the window;
+ * one still under way at the end is left out, so satellites that never set
+ * (geostationary ones, for instance) have no passes.
+ * @param {import('./Satellites.js').Satellite} sat
+ * @param {number} jdStart - Julian Day (UTC)
+ * @param {number} jdEnd - Julian Day (UTC)
+ * @param {{ lat: number, lon: number }} observer - degrees, east longitude positive
+ * @param {number} [minElevation] - degrees
+ * @returns {SatellitePass[]} in time order, at most MAX_PASSES
+ */
+export function findSatellitePasses(sat, jdStart, jdEnd, observer, minElevation = MIN_PASS_ELEVATION) {
+  const { satrec } = sat;
+  const site = createSite(observer);
+  const step = Math.min(getSatellitePeriod(sat) / 1440 / SAMPLES_PER_ORBIT, MAX_SEARCH_STEP);
+  const passes = [];
+
+  let prevJD = jdStart;
+  let rise = elevationAt(satrec, site, jdStart) >= minElevation ? jdStart : null;
+  let bestJD = jdStart;
+  let bestEl = -Infinity;
+
+  for (let jd = jdStart + step; jd <= jdEnd && passes.length < MAX_PASSES; jd += step) {
+    const el = elevationAt(satrec, site, jd);
+    if (rise === null && el >= minElevation) {
+      rise = refineCrossing(satrec, site, prevJD, jd, minElevation, true);
+    }
+    if (rise !== null) {
+      if (el > bestEl) {
+        bestEl = el;
+        bestJD = jd;
+      }
+      if (el < minElevation) {
+        const set = refineCrossing(satrec, site, prevJD, jd, minElevation, false);
+        const culmination = refineCulmination(satrec, site, Math.max(rise, bestJD - step), Math.min(set, bestJD + step));
+        passes.push({
+          start: passPoint(satrec, site, rise),
+          max: passPoint(satrec, site, culmination),
+          end: passPoint(satrec, site, set),
+          visible: isPassVisible(satrec, site, rise, set),
+        });
+        rise = null;
+        bestEl = -Infinity;
+      }
+    }
+    prevJD = jd;
+  }
+  return passes;
+}
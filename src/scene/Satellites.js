@@ -0,0 +1,349 @@
+/**
+ * Earth satellites from NORAD mean elements — two-line element sets (with or
+ * without a name line) and CCSDS OMM in the JSON, XML and KVN forms that
+ * CelesTrak and Space-Track publish. Keeps the catalogue of loaded
+ * satellites and gives their positions, sub-satellite points and ground
+ * tracks by SGP4/SDP4 propagation.
+ */
+import {
+  EARTH_RADIUS_KM, parseTLELines, parseOMMRecord, satrecFromElements,
+  propagateToJD, gstime, temeToEcf, ecfToGeodetic,
+} from './SGP4.js';
+
+// ==================== Constants ====================
+
+/** NORAD catalogue number of the International Space Station */
+export const ISS_NORAD_ID = 25544;
+
+/** Key prefix that keeps satellites apart from other scene bodies */
+export const SATELLITE_KEY_PREFIX = 'sat-';
+
+/** Upper bound on the catalogue — a full CelesTrak "active" set fits */
+export const MAX_SATELLITES = 12000;
+
+/**
+ * @typedef {Object} Satellite
+ * @property {string} key - 'sat-' + NORAD catalogue number
+ * @property {string} name
+ * @property {number} noradId
+ * @property {boolean} track - whether its orbit and ground track are drawn
+ * @property {import('./SGP4.js').MeanElements} elements
+ * @property {Object} satrec - SGP4 state, rebuilt from the elements
+ */
+
+/**
+ * @typedef {Object} SatelliteState
+ * @property {{ x: number, y: number, z: number }} r - TEME position, km
+ * @property {{ x: number, y: number, z: number }} v - TEME velocity, km/s
+ * @property {number} lat - geodetic latitude, degrees
+ * @property {number} lon - longitude, degrees east (−180…180)
+ * @property {number} altitude - height above the WGS-84 ellipsoid, km
+ * @property {number} speed - inertial speed, km/s
+ */
+
+/** Catalogue of loaded satellites, in the order they were added */
+const satellites = new Map();
+
+// ==================== Helpers ====================
+
+/**
+ * Validate elements and build a catalogue entry.
+ * @param {string} name
+ * @param {import('./SGP4.js').MeanElements|null} elements
+ * @param {boolean} [track]
+ * @returns {Satellite|null}
+ */
+function createSatellite(name, elements, track) {
+  if (!elements) return null;
+  if (!Object.values(elements).every(v => typeof v === 'string' || Number.isFinite(v))) return null;
+  const { noradId, meanMotion, eccentricity, inclination } = elements;
+  if (!(noradId > 0) || !(meanMotion > 0) || !(eccentricity >= 0 && eccentricity < 1)) return null;
+  if (!(inclination >= 0 && inclination <= 180)) return null;
+  return {
+    key: SATELLITE_KEY_PREFIX + noradId,
+    name: String(name || '').trim().slice(0, 60) || `NORAD ${noradId}`,
+    noradId,
+    track: track ?? noradId === ISS_NORAD_ID,
+    elements,
+    satrec: satrecFromElements(elements),
+  };
+}
+
+// ==================== TLE ====================
+
+/**
+ * Parse two-line element sets. A line before each pair, if present, is the
+ * name ("0 " prefixes of the three-line form are dropped).
+ * @param {string} text
+ * @returns {Satellite[]|null} null when any set is malformed
+ */
+function parseTLEText(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+  const parsed = [];
+  let name = '';
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('1 ') && lines[i + 1]?.startsWith('2 ')) {
+      const sat = createSatellite(name, parseTLELines(line, lines[i + 1]));
+      if (!sat) return null;
+      parsed.push(sat);
+      name = '';
+      i++;
+    } else if (name || /^[12] /.test(line)) {
+      return null; // two name lines in a row, or an unpaired data line
+    } else {
+      name = line.replace(/^0 /, '');
+    }
+  }
+  return name ? null : parsed;
+}
+
+// ==================== OMM ====================
+
+/** Key/value records from CCSDS OMM XML (one per <segment>, or per <omm> without them) */
+function ommRecordsFromXML(text) {
+  const splitter = /<segment\b/i.test(text) ? /<segment\b/i : /<omm\b/i;
+  return text.split(splitter).slice(1).map((chunk) => {
+    const rec = {};
+    for (const m of chunk.matchAll(/<([A-Z_]+)>([^<]*)<\/\1>/g)) rec[m[1]] = m[2].trim();
+    return rec;
+  });
+}
+
+/** Key/value records from CCSDS OMM KVN ("KEY = value [units]"), split at each header */
+function ommRecordsFromKVN(text) {
+  const records = [];
+  let rec = null;
+  for (const line of text.split(/\r?\n/)) {
+    const m = /^\s*([A-Z_]+)\s*=\s*(.*?)\s*(\[[^\]]*\])?\s*$/.exec(line);
+    if (!m) continue;
+    if (m[1] === 'CCSDS_OMM_VERS' || !rec) {
+      rec = {};
+      records.push(rec);
+    }
+    rec[m[1]] = m[2];
+  }
+  return records;
+}
+
+/**
+ * Parse OMM text in any of its encodings.
+ * @param {string} text
+ * @returns {Satellite[]|null} null when any record is malformed
+ */
+function parseOMMText(text) {
+  let records;
+  if (/^[[{]/.test(text)) {
+    try {
+      const json = JSON.parse(text);
+      records = Array.isArray(json) ? json : [json];
+    } catch {
+      return null;
+    }
+  } else if (text.startsWith('<')) {
+    records = ommRecordsFromXML(text);
+  } else {
+    records = ommRecordsFromKVN(text);
+  }
+
+  const parsed = [];
+  for (const rec of records) {
+    if (!rec || typeof rec !== 'object') return null;
+    const sat = createSatellite(String(rec.OBJECT_NAME ?? ''), parseOMMRecord(rec));
+    if (!sat) return null;
+    parsed.push(sat);
+  }
+  return parsed;
+}
+
+/**
+ * Parse pasted or loaded text: TLE/3LE, or OMM as JSON, XML or KVN.
+ * @param {string} text
+ * @returns {{ satellites: Satellite[], error: string|null }} all or nothing;
+ *   error is 'format' or 'tooMany'
+ */
+export function parseSatelliteText(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { satellites: [], error: 'format' };
+
+  const looksLikeTLE = /^1 [ \dA-Z]{5}/m.test(trimmed) && /^2 [ \dA-Z]{5}/m.test(trimmed);
+  const parsed = looksLikeTLE ? parseTLEText(trimmed) : parseOMMText(trimmed);
+  if (!parsed || parsed.length === 0) return { satellites: [], error: 'format' };
+  if (parsed.length > MAX_SATELLITES) return { satellites: [], error: 'tooMany' };
+  return { satellites: parsed, error: null };
+}
+
+// ==================== Catalogue ====================
+
+/**
+ * Add a satellite, replacing any set with the same catalogue number
+ * (newer elements for the same object). The ground-track setting is kept.
+ * @param {Satellite} sat
+ */
+export function addSatellite(sat) {
+  const existing = satellites.get(sat.key);
+  if (existing) sat.track = existing.track;
+  satellites.set(sat.key, sat);
+}
+
+/** Remove a satellite from the catalogue */
+export function removeSatellite(key) {
+  satellites.delete(key);
+}
+
+/** Remove every satellite */
+export function clearSatellites() {
+  satellites.clear();
+}
+
+/**
+ * Get a satellite by key.
+ * @returns {Satellite|null}
+ */
+export function getSatellite(key) {
+  return satellites.get(key) || null;
+}
+
+/**
+ * All loaded satellites, oldest first.
+ * @returns {Satellite[]}
+ */
+export function getSatellites() {
+  return [...satellites.values()];
+}
+
+/**
+ * The ISS, if its elements are loaded.
+ * @returns {Satellite|null}
+ */
+export function getISS() {
+  return satellites.get(SATELLITE_KEY_PREFIX + ISS_NORAD_ID) || null;
+}
+
+/**
+ * Draw or hide a satellite's orbit and ground track.
+ * @param {string} key
+ * @param {boolean} track
+ */
+export function setSatelliteTracked(key, track) {
+  const sat = satellites.get(key);
+  if (sat) sat.track = track;
+}
+
+// ==================== Positions ====================
+
+/**
+ * Position and sub-satellite point at a moment.
+ * @param {Satellite} sat
+ * @param {number} jd - Julian Day (UTC)
+ * @returns {SatelliteState|null} null when SGP4 fails (decayed, or elements
+ *   propagated far past their useful life)
+ */
+export function getSatelliteState(sat, jd) {
+  const pv = propagateToJD(sat.satrec, jd);
+  if (!pv) return null;
+  const geo = ecfToGeodetic(temeToEcf(pv.r, gstime(jd)));
+  return {
+    r: pv.r,
+    v: pv.v,
+    lat: geo.lat,
+    lon: geo.lon,
+    altitude: geo.height,
+    speed: Math.hypot(pv.v.x, pv.v.y, pv.v.z),
+  };
+}
+
+/**
+ * Orbital period in minutes, from the mean motion.
+ * @param {Satellite} sat
+ */
+export function getSatellitePeriod(sat) {
+  return 1440 / sat.elements.meanMotion;
+}
+
+/**
+ * Sub-satellite points over a time window, for drawing a ground track.
+ * Points where propagation fails are left out.
+ * @param {Satellite} sat
+ * @param {number} jd - centre of the window (UTC)
+ * @param {number} [orbits] - window length in orbits, split evenly either side
+ * @param {number} [samplesPerOrbit]
+ * @returns {{ lat: number, lon: number, altitude: number, jd: number }[]}
+ */
+export function getGroundTrack(sat, jd, orbits = 1.5, samplesPerOrbit = 120) {
+  const period = getSatellitePeriod(sat) / 1440;
+  const count = Math.round(orbits * samplesPerOrbit);
+  const start = jd - (orbits * period) / 2;
+  const points = [];
+  for (let i = 0; i <= count; i++) {
+    const t = start + (i / samplesPerOrbit) * period;
+    const state = getSatelliteState(sat, t);
+    if (state) points.push({ lat: state.lat, lon: state.lon, altitude: state.altitude, jd: t });
+  }
+  return points;
+}
+
+/**
+ * Age of a satellite's elements at a moment, in days (negative before epoch).
+ * SGP4 accuracy falls off to kilometres within a few days for low orbits.
+ */
+export function getElementsAge(sat, jd) {
+  return jd - sat.elements.epochJD;
+}
+
+/**
+ * Mean altitude (km) of the orbit, from the mean motion — for sorting and display.
+ * @param {Satellite} sat
+ */
+export function getMeanAltitude(sat) {
+  const aKm = EARTH_RADIUS_KM * sat.satrec.a;
+  return aKm - EARTH_RADIUS_KM;
+}
+
+// ==================== Persistence ====================
+
+/** Compact, order-fixed form of a satellite for storage */
+function toRecord(sat) {
+  const el = sat.elements;
+  return {
+    n: sat.name, id: el.noradId, c: el.intlDesignator, ep: el.epochJD, mm: el.meanMotion,
+    e: el.eccentricity, i: el.inclination, om: el.raan, w: el.argPerigee, ma: el.meanAnomaly,
+    b: el.bstar, t: sat.track,
+  };
+}
+
+function fromRecord(r) {
+  if (!r || typeof r !== 'object') return null;
+  return createSatellite(typeof r.n === 'string' ? r.n : '', {
+    noradId: Number(r.id),
+    intlDesignator: typeof r.c === 'string' ? r.c : '',
+    epochJD: Number(r.ep),
+    meanMotion: Number(r.mm),
+    eccentricity: Number(r.e),
+    inclination: Number(r.i),
+    raan: Number(r.om),
+    argPerigee: Number(r.w),
+    meanAnomaly: Number(r.ma),
+    bstar: Number(r.b) || 0,
+  }, r.t === true);
+}
+
+/** JSON string of the whole catalogue, for localStorage */
+export function serializeSatellites() {
+  return JSON.stringify(getSatellites().map(toRecord));
+}
+
+/**
+ * Rebuild satellites from serializeSatellites() output. Invalid entries are dropped.
+ * @param {string|null} json
+ * @returns {Satellite[]} satellites (not yet added to the catalogue)
+ */
+export function deserializeSatellites(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list.map(fromRecord).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,551 @@
+/**
+ * SkyDomeView — stand on Earth's surface and look up.
+ *
+ * Renders its own small scene: a horizon and ground, cardinal points, an
+ * altitude/azimuth grid, the brightest stars, and the Sun, Moon and planets
+ * at their apparent positions for the simulation date and the observer site.
+ * Drag to look around, scroll or pinch to zoom.
+ *
+ * Axes: +y zenith, −z north, +x east; the camera sits at the origin.
+ */
+import * as THREE from 'three';
+import { t } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { SOLAR_SYSTEM, PLANET_ORDER } from '../data/solarSystem.js';
+import { BRIGHT_STARS } from '../data/brightStars.js';
+import { getSkyPosition, equatorialToHorizontal, DEG_TO_RAD } from './OrbitalMechanics.js';
+import { getApparentMagnitude } from './SkyPlanner.js';
+import { formatJulianUT } from '../utils/skyFormat.js';
+import '../styles/skydome.css';
+
+const SKY_RADIUS = 100;
+const GROUND_RADIUS = 90;      // inside the sky sphere so it hides anything below the horizon
+const GRID_RADIUS = 96;
+const MIN_FOV = 15;
+const MAX_FOV = 100;
+
+const CARDINALS = [
+  { key: 'skyDome.north', az: 0, major: true },
+  { key: 'skyDome.northEast', az: 45 },
+  { key: 'skyDome.east', az: 90, major: true },
+  { key: 'skyDome.southEast', az: 135 },
+  { key: 'skyDome.south', az: 180, major: true },
+  { key: 'skyDome.southWest', az: 225 },
+  { key: 'skyDome.west', az: 270, major: true },
+  { key: 'skyDome.northWest', az: 315 },
+];
+
+/** Sky colour stops keyed by Sun altitude (deg) */
+const SKY_COLORS = [
+  { alt: -18, color: new THREE.Color(0x02030a) },
+  { alt: -12, color: new THREE.Color(0x060a1c) },
+  { alt: -6, color: new THREE.Color(0x15224a) },
+  { alt: 0, color: new THREE.Color(0x3c5a8c) },
+  { alt: 10, color: new THREE.Color(0x4f86c6) },
+];
+
+/**
+ * Direction on the unit sphere for an altitude/azimuth pair.
+ * @param {number} altDeg
+ * @param {number} azDeg - from north through east
+ * @param {THREE.Vector3} [target]
+ */
+function horizontalToVector(altDeg, azDeg, target = new THREE.Vector3()) {
+  const alt = altDeg * DEG_TO_RAD;
+  const az = azDeg * DEG_TO_RAD;
+  return target.set(
+    Math.sin(az) * Math.cos(alt),
+    Math.sin(alt),
+    -Math.cos(az) * Math.cos(alt)
+  );
+}
+
+export class SkyDomeView {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {object}   controls   — OrbitControls of the main scene, disabled while active
+   * @param {function} announceFn
+   * @param {function} onExit     — called after the view closes (Esc, Exit button or exit())
+   */
+  constructor(renderer, controls, announceFn, onExit) {
+    this._renderer = renderer;
+    this._controls = controls;
+    this._announce = announceFn || (() => {});
+    this._onExit   = onExit || (() => {});
+
+    this._active   = false;
+    this._observer = { lat: 0, lon: 0 };
+    this._jd       = 0;
+
+    this._scene  = null;
+    this._camera = null;
+    this._yaw    = 180; // looking south
+    this._pitch  = 20;
+
+    this._stars       = null;
+    this._bodies      = {};   // key → { sprite, label }
+    this._cardinals   = [];   // { sprite, key, az }
+    this._groundMat   = null;
+    this._savedControls = false;
+
+    this._hudEl       = null;
+    this._timeEl      = null;
+    this._locationEl  = null;
+    this._langListener = null;
+
+    this._drag = null;
+    this._boundKeydown     = (e) => this._onKeydown(e);
+    this._boundPointerDown = (e) => this._onPointerDown(e);
+    this._boundPointerMove = (e) => this._onPointerMove(e);
+    this._boundPointerUp   = () => { this._drag = null; };
+    this._boundWheel       = (e) => this._onWheel(e);
+
+    this._tmp = new THREE.Vector3();
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  get isActive() { return this._active; }
+
+  /**
+   * @param {{ lat: number, lon: number }} observer - degrees, east longitude positive
+   */
+  enter(observer) {
+    if (this._active) return;
+    if (!this._scene) this._build();
+    this._active = true;
+    this.setObserver(observer);
+
+    // Face the equator: south for northern observers, north for southern ones
+    this._yaw = observer.lat >= 0 ? 180 : 0;
+    this._pitch = 20;
+    this._camera.fov = 70;
+    this._camera.updateProjectionMatrix();
+    this._applyLook();
+
+    this._savedControls = this._controls.enabled;
+    this._controls.enabled = false;
+
+    const el = this._renderer.domElement;
+    el.addEventListener('pointerdown', this._boundPointerDown);
+    window.addEventListener('pointermove', this._boundPointerMove);
+    window.addEventListener('pointerup', this._boundPointerUp);
+    el.addEventListener('wheel', this._boundWheel, { passive: false });
+    document.addEventListener('keydown', this._boundKeydown);
+
+    this._showHUD();
+    this._announce(t('skyDome.started') || 'Sky view from Earth');
+    document.dispatchEvent(new CustomEvent('skydome-started'));
+  }
+
+  exit() {
+    if (!this._active) return;
+    this._active = false;
+    this._drag = null;
+    this._controls.enabled = this._savedControls;
+
+    const el = this._renderer.domElement;
+    el.removeEventListener('pointerdown', this._boundPointerDown);
+    window.removeEventListener('pointermove', this._boundPointerMove);
+    window.removeEventListener('pointerup', this._boundPointerUp);
+    el.removeEventListener('wheel', this._boundWheel);
+    document.removeEventListener('keydown', this._boundKeydown);
+
+    this._hideHUD();
+    this._onExit();
+    this._announce(t('skyDome.ended') || 'Back to the solar system');
+    document.dispatchEvent(new CustomEvent('skydome-ended'));
+  }
+
+  /** @param {{ lat: number, lon: number }} observer */
+  setObserver(observer) {
+    this._observer = { lat: observer.lat, lon: observer.lon };
+    if (this._locationEl) this._locationEl.textContent = this._formatLocation();
+  }
+
+  /**
+   * Move every object to its place in the sky for a Julian Day (UT).
+   * @param {number} jd
+   */
+  update(jd) {
+    if (!this._active) return;
+    this._jd = jd;
+    const { lat, lon } = this._observer;
+
+    // Sun first — its altitude sets the sky brightness for everything else
+    const sunAlt = this._placeBody('sun', jd);
+    const daylight = THREE.MathUtils.clamp((sunAlt + 12) / 10, 0, 1); // 0 at night, 1 by sunrise
+    this._updateSkyColor(sunAlt);
+
+    this._placeBody('moon', jd, daylight);
+    for (const key of PLANET_ORDER) {
+      if (key === 'sun' || key === 'earth') continue;
+      this._placeBody(key, jd, daylight);
+    }
+
+    // Stars: catalogue positions (J2000) are close enough to date for a naked-eye view
+    const pos = this._stars.geometry.attributes.position;
+    for (let i = 0; i < BRIGHT_STARS.length; i++) {
+      const star = BRIGHT_STARS[i];
+      const h = equatorialToHorizontal(star.ra * 15, star.dec, lat, lon, jd);
+      horizontalToVector(h.altitude, h.azimuth, this._tmp).multiplyScalar(SKY_RADIUS);
+      pos.setXYZ(i, this._tmp.x, this._tmp.y, this._tmp.z);
+    }
+    pos.needsUpdate = true;
+    this._stars.material.uniforms.uOpacity.value = 1 - daylight;
+
+    if (this._timeEl) this._timeEl.textContent = formatJulianUT(jd);
+  }
+
+  render() {
+    this._renderer.render(this._scene, this._camera);
+  }
+
+  resize(width, height) {
+    if (!this._camera) return;
+    this._camera.aspect = width / height;
+    this._camera.updateProjectionMatrix();
+  }
+
+  dispose() {
+    if (this._active) this.exit();
+    if (!this._scene) return;
+    this._scene.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) {
+        if (obj.material.map) obj.material.map.dispose();
+        obj.material.dispose();
+      }
+    });
+    this._scene = null;
+  }
+
+  // ─── Scene construction ────────────────────────────────────────────────────
+
+  _build() {
+    this._scene = new THREE.Scene();
+    this._scene.background = SKY_COLORS[0].color.clone();
+    this._camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 500);
+    this._camera.rotation.order = 'YXZ';
+
+    this._buildGround();
+    this._buildGrid();
+    this._buildCardinals();
+    this._buildStars();
+    this._buildBodies();
+  }
+
+  _buildGround() {
+    // Lower hemisphere seen from inside
+    const geo = new THREE.SphereGeometry(GROUND_RADIUS, 48, 12, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2);
+    this._groundMat = new THREE.MeshBasicMaterial({ color: 0x0a120c, side: THREE.BackSide });
+    const ground = new THREE.Mesh(geo, this._groundMat);
+    ground.renderOrder = 2;
+    this._scene.add(ground);
+  }
+
+  _buildGrid() {
+    const pts = [];
+    const v = new THREE.Vector3();
+    const pushArc = (fn, steps) => {
+      for (let i = 0; i < steps; i++) {
+        pts.push(fn(i / steps, v).clone().multiplyScalar(GRID_RADIUS));
+        pts.push(fn((i + 1) / steps, v).clone().multiplyScalar(GRID_RADIUS));
+      }
+    };
+
+    // Altitude circles every 30°
+    for (const alt of [30, 60]) {
+      pushArc((f, out) => horizontalToVector(alt, f * 360, out), 96);
+    }
+    // Azimuth meridians every 30°, stopping short of the zenith
+    for (let az = 0; az < 360; az += 30) {
+      pushArc((f, out) => horizontalToVector(f * 85, az, out), 24);
+    }
+
+    const grid = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(pts),
+      new THREE.LineBasicMaterial({ color: 0x4a9eff, transparent: true, opacity: 0.22, depthWrite: false })
+    );
+    this._scene.add(grid);
+
+    // Horizon, drawn brighter and a hair above the ground rim
+    const horizonPts = [];
+    for (let i = 0; i <= 192; i++) {
+      horizontalToVector(0.15, (i / 192) * 360, v);
+      horizonPts.push(v.clone().multiplyScalar(GRID_RADIUS));
+    }
+    const horizon = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(horizonPts),
+      new THREE.LineBasicMaterial({ color: 0x9fc6ff, transparent: true, opacity: 0.7 })
+    );
+    this._scene.add(horizon);
+  }
+
+  _buildCardinals() {
+    for (const c of CARDINALS) {
+      const sprite = this._makeTextSprite(t(c.key), c.major ? '#ffd27a' : '#9fc6ff', c.major ? 1 : 0.7);
+      horizontalToVector(3, c.az, sprite.position).multiplyScalar(GRID_RADIUS);
+      sprite.renderOrder = 3;
+      this._scene.add(sprite);
+      this._cardinals.push({ sprite, key: c.key, major: !!c.major });
+    }
+  }
+
+  _buildStars() {
+    const n = BRIGHT_STARS.length;
+    const positions = new Float32Array(n * 3);
+    const colors = new Float32Array(n * 3);
+    const sizes = new Float32Array(n);
+    const c = new THREE.Color();
+    BRIGHT_STARS.forEach((star, i) => {
+      c.set(star.color);
+      colors.set([c.r, c.g, c.b], i * 3);
+      sizes[i] = THREE.MathUtils.clamp(7 - star.mag * 1.6, 2.5, 10);
+    });
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+    const mat = new THREE.ShaderMaterial({
+      uniforms: {
+        uOpacity: { value: 1 },
+        uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
+      },
+      vertexShader: /* glsl */`
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+
+        attribute float size;
+        attribute vec3 color;
+        varying vec3 vColor;
+        uniform float uPixelRatio;
+
+        void main() {
+          vColor = color;
+          gl_PointSize = size * uPixelRatio;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: /* glsl */`
+        #include <logdepthbuf_pars_fragment>
+
+        varying vec3 vColor;
+        uniform float uOpacity;
+
+        void main() {
+          #include <logdepthbuf_fragment>
+          float d = length(gl_PointCoord - vec2(0.5));
+          if (d > 0.5) discard;
+          gl_FragColor = vec4(vColor, smoothstep(0.5, 0.05, d) * uOpacity);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    this._stars = new THREE.Points(geo, mat);
+    this._stars.frustumCulled = false;
+    this._scene.add(this._stars);
+  }
+
+  _buildBodies() {
+    const glow = this._makeGlowTexture();
+    const add = (key, color, scale) => {
+      const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: glow, color, transparent: true, depthWrite: false,
+      }));
+      sprite.scale.setScalar(scale);
+      this._scene.add(sprite);
+
+      const label = this._makeTextSprite(this._bodyName(key), '#e8e8f0', 0.8);
+      this._scene.add(label);
+      this._bodies[key] = { sprite, label, baseScale: scale };
+    };
+
+    add('sun', 0xfff2c0, 9);
+    add('moon', 0xe6e6e0, 6);
+    for (const key of PLANET_ORDER) {
+      if (key === 'sun' || key === 'earth') continue;
+      add(key, SOLAR_SYSTEM[key].color, 2.4);
+    }
+  }
+
+  _bodyName(key) {
+    if (key === 'moon') return t('skyDome.moon');
+    return getLocalizedPlanet(key)?.name || key;
+  }
+
+  /** Soft round glow used for the Sun, Moon and planets */
+  _makeGlowTexture() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const g = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    g.addColorStop(0, 'rgba(255,255,255,1)');
+    g.addColorStop(0.35, 'rgba(255,255,255,0.95)');
+    g.addColorStop(0.5, 'rgba(255,255,255,0.35)');
+    g.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, size, size);
+    return new THREE.CanvasTexture(canvas);
+  }
+
+  /** Text label as a camera-facing sprite */
+  _makeTextSprite(text, color, scale = 1) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false,
+    }));
+    sprite.scale.set(12 * scale, 3 * scale, 1);
+    this._drawText(sprite, text, color);
+    return sprite;
+  }
+
+  _drawText(sprite, text, color) {
+    const map = /** @type {THREE.CanvasTexture} */ (sprite.material.map);
+    const canvas = /** @type {HTMLCanvasElement} */ (map.image);
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '600 30px "Space Grotesk", "Inter", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0,0,0,0.9)';
+    ctx.shadowBlur = 6;
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    map.needsUpdate = true;
+  }
+
+  // ─── Per-frame placement ──────────────────────────────────────────────────
+
+  /**
+   * Position a body sprite and its label; returns the body's altitude.
+   * @param {string} key
+   * @param {number} jd
+   * @param {number} [daylight] - 0 (night) … 1 (day), dims faint bodies
+   */
+  _placeBody(key, jd, daylight = 0) {
+    const body = this._bodies[key];
+    const sky = getSkyPosition(key, jd, this._observer);
+    if (!body || !sky) return -90;
+
+    horizontalToVector(sky.altitude, sky.azimuth, body.sprite.position).multiplyScalar(SKY_RADIUS);
+    horizontalToVector(sky.altitude + 2.2, sky.azimuth, body.label.position).multiplyScalar(SKY_RADIUS);
+
+    if (key !== 'sun' && key !== 'moon') {
+      // Brighter planets draw larger; only Venus and Jupiter survive daylight
+      const mag = getApparentMagnitude(key, jd) ?? 6;
+      body.sprite.scale.setScalar(THREE.MathUtils.clamp(2.6 - mag * 0.3, 0.9, 4));
+      const visibility = mag < -2.5 ? 1 - daylight * 0.6 : 1 - daylight;
+      body.sprite.material.opacity = visibility;
+      body.label.material.opacity = Math.max(visibility, 0.35);
+    }
+    return sky.altitude;
+  }
+
+  _updateSkyColor(sunAlt) {
+    const bg = /** @type {THREE.Color} */ (this._scene.background);
+    if (sunAlt <= SKY_COLORS[0].alt) {
+      bg.copy(SKY_COLORS[0].color);
+    } else if (sunAlt >= SKY_COLORS[SKY_COLORS.length - 1].alt) {
+      bg.copy(SKY_COLORS[SKY_COLORS.length - 1].color);
+    } else {
+      for (let i = 1; i < SKY_COLORS.length; i++) {
+        const a = SKY_COLORS[i - 1];
+        const b = SKY_COLORS[i];
+        if (sunAlt <= b.alt) {
+          bg.copy(a.color).lerp(b.color, (sunAlt - a.alt) / (b.alt - a.alt));
+          break;
+        }
+      }
+    }
+    // Ground picks up a little of the sky light
+    this._groundMat.color.setRGB(0.04, 0.07, 0.05).lerp(bg, 0.15);
+  }
+
+  // ─── Looking around ───────────────────────────────────────────────────────
+
+  _applyLook() {
+    this._camera.rotation.set(this._pitch * DEG_TO_RAD, -this._yaw * DEG_TO_RAD, 0);
+  }
+
+  _onPointerDown(e) {
+    this._drag = { x: e.clientX, y: e.clientY, yaw: this._yaw, pitch: this._pitch };
+  }
+
+  _onPointerMove(e) {
+    if (!this._drag) return;
+    const degPerPx = this._camera.fov / window.innerHeight;
+    this._yaw = ((this._drag.yaw - (e.clientX - this._drag.x) * degPerPx) % 360 + 360) % 360;
+    this._pitch = THREE.MathUtils.clamp(this._drag.pitch + (e.clientY - this._drag.y) * degPerPx, -10, 89);
+    this._applyLook();
+  }
+
+  _onWheel(e) {
+    e.preventDefault();
+    this._camera.fov = THREE.MathUtils.clamp(this._camera.fov * (1 + e.deltaY * 0.001), MIN_FOV, MAX_FOV);
+    this._camera.updateProjectionMatrix();
+  }
+
+  _onKeydown(e) {
+    if (!this._active) return;
+    if (e.key === 'Escape') { e.preventDefault(); this.exit(); }
+  }
+
+  // ─── HUD ──────────────────────────────────────────────────────────────────
+
+  _formatLocation() {
+    const { lat, lon } = this._observer;
+    const ns = lat >= 0 ? t('skyDome.north') : t('skyDome.south');
+    const ew = lon >= 0 ? t('skyDome.east') : t('skyDome.west');
+    return `${Math.abs(lat).toFixed(2)}° ${ns}, ${Math.abs(lon).toFixed(2)}° ${ew}`;
+  }
+
+  _showHUD() {
+    this._hudEl = document.getElementById('skydome-hud');
+    if (!this._hudEl) return;
+    this._hudEl.classList.remove('hidden');
+    this._hudEl.setAttribute('aria-hidden', 'false');
+
+    this._timeEl = this._hudEl.querySelector('#skydome-time');
+    this._locationEl = this._hudEl.querySelector('#skydome-location');
+    const exitBtn = /** @type {HTMLButtonElement|null} */ (this._hudEl.querySelector('#skydome-exit'));
+    if (exitBtn) exitBtn.onclick = () => this.exit();
+
+    this._refreshLabels();
+    this._langListener = () => this._refreshLabels();
+    window.addEventListener('langchange', this._langListener);
+  }
+
+  _hideHUD() {
+    if (this._langListener) {
+      window.removeEventListener('langchange', this._langListener);
+      this._langListener = null;
+    }
+    if (!this._hudEl) return;
+    this._hudEl.classList.add('hidden');
+    this._hudEl.setAttribute('aria-hidden', 'true');
+    this._hudEl = null;
+  }
+
+  /** Redraw every text sprite in the current language */
+  _refreshLabels() {
+    for (const c of this._cardinals) {
+      this._drawText(c.sprite, t(c.key), c.major ? '#ffd27a' : '#9fc6ff');
+    }
+    for (const [key, body] of Object.entries(this._bodies)) {
+      this._drawText(body.label, this._bodyName(key), '#e8e8f0');
+    }
+    if (this._locationEl) this._locationEl.textContent = this._formatLocation();
+  }
+}
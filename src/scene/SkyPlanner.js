@@ -0,0 +1,314 @@
+/**
+ * Observing-night planner: rise/transit/set times, apparent magnitudes,
+ * solar elongation and constellation for every body with an ephemeris.
+ * Builds on the geocentric sky positions in OrbitalMechanics.
+ */
+import { PLANET_ORDER } from '../data/solarSystem.js';
+import { DWARF_PLANET_ORDER } from '../data/dwarfPlanets.js';
+import { ASTEROID_ORDER } from '../data/asteroids.js';
+import { getConstellation } from '../data/constellations.js';
+import {
+  dateToJulian,
+  getPlanetHeliocentricAU,
+  getGeocentricEquatorial,
+  getSkyPosition,
+  DEG_TO_RAD,
+} from './OrbitalMechanics.js';
+import { dot, length } from '../utils/vector.js';
+
+// ==================== Constants ====================
+
+/** Sampling step for altitude curves (days) — 10 minutes */
+const SAMPLE_STEP = 10 / 1440;
+
+/** Standard altitudes of rise/set (deg): refraction, plus the solar semi-diameter for the Sun */
+const H0_BODY = -0.5667;
+const H0_SUN = -0.8333;
+
+/** Sun altitude marking the end of astronomical twilight (deg) */
+const ASTRONOMICAL_DARK = -18;
+
+/** Minimum altitude (deg) for a body to count as observable during darkness */
+const MIN_VIEWING_ALTITUDE = 10;
+
+/** Saturn's ring-plane pole, J2000 equatorial (deg) */
+const SATURN_POLE = { ra: 40.589, dec: 83.537 };
+
+/**
+ * Planet magnitude laws (Astronomical Almanac / Meeus ch. 41):
+ * V = V0 + 5 log10(r Δ) + c1 i + c2 i² + c3 i³, i = phase angle in degrees.
+ */
+const PLANET_PHOTOMETRY = {
+  mercury: [-0.42, 0.0380, -0.000273, 0.000002],
+  venus:   [-4.40, 0.0009, 0.000239, -0.00000065],
+  mars:    [-1.52, 0.016, 0, 0],
+  jupiter: [-9.40, 0.005, 0, 0],
+  saturn:  [-8.88, 0, 0, 0],
+  uranus:  [-7.19, 0, 0, 0],
+  neptune: [-6.87, 0, 0, 0],
+};
+
+/** Absolute magnitude H and slope G (IAU H,G system) for small bodies */
+const SMALL_BODY_PHOTOMETRY = {
+  ceres:    { H: 3.34, G: 0.12 },
+  pluto:    { H: -0.45, G: 0.15 },
+  haumea:   { H: 0.23, G: 0.15 },
+  makemake: { H: -0.2, G: 0.15 },
+  eris:     { H: -1.21, G: 0.15 },
+  vesta:    { H: 3.25, G: 0.32 },
+  pallas:   { H: 4.13, G: 0.11 },
+  hygiea:   { H: 5.43, G: 0.15 },
+  juno:     { H: 5.33, G: 0.32 },
+  eros:     { H: 10.4, G: 0.46 },
+};
+
+/** Bodies listed by the planner, in display order */
+export const PLANNER_BODIES = [
+  ...PLANET_ORDER.filter(k => k !== 'earth'),
+  ...DWARF_PLANET_ORDER,
+  ...ASTEROID_ORDER,
+];
+
+// ==================== Photometry ====================
+
+/**
+ * Sun–body–Earth phase angle and the distances it is built from.
+ * @returns {{ r: number, delta: number, phase: number }} AU, AU, degrees
+ */
+function getPhaseGeometry(bodyKey, jd) {
+  const eq = getGeocentricEquatorial(bodyKey, jd);
+  const r = length(getPlanetHeliocentricAU(bodyKey, jd - eq.lightTime));
+  const R = length(getPlanetHeliocentricAU('earth', jd));
+  const delta = eq.distance;
+  const cosPhase = (r * r + delta * delta - R * R) / (2 * r * delta);
+  const phase = Math.acos(Math.max(-1, Math.min(1, cosPhase))) / DEG_TO_RAD;
+  return { r, delta, phase };
+}
+
+/** Unit vector for equatorial RA/Dec in degrees */
+function unitVector(raDeg, decDeg) {
+  const ra = raDeg * DEG_TO_RAD;
+  const dec = decDeg * DEG_TO_RAD;
+  return {
+    x: Math.cos(dec) * Math.cos(ra),
+    y: Math.cos(dec) * Math.sin(ra),
+    z: Math.sin(dec),
+  };
+}
+
+/** Saturn ring opening angle B as seen from Earth (deg, unsigned) */
+function getSaturnRingTilt(jd) {
+  const eq = getGeocentricEquatorial('saturn', jd);
+  const u = unitVector(eq.ra, eq.dec);
+  const p = unitVector(SATURN_POLE.ra, SATURN_POLE.dec);
+  return Math.abs(Math.asin(dot(u, p))) / DEG_TO_RAD;
+}
+
+/**
+ * Apparent visual magnitude of a body as seen from Earth.
+ * @param {string} bodyKey
+ * @param {number} jd
+ * @returns {number|null} null for bodies without photometric data
+ */
+export function getApparentMagnitude(bodyKey, jd) {
+  if (bodyKey === 'sun') return -26.74;
+  const law = PLANET_PHOTOMETRY[bodyKey];
+  const hg = SMALL_BODY_PHOTOMETRY[bodyKey];
+  if (!law && !hg) return null;
+
+  const { r, delta, phase } = getPhaseGeometry(bodyKey, jd);
+  const distanceTerm = 5 * Math.log10(r * delta);
+
+  if (law) {
+    const [v0, c1, c2, c3] = law;
+    let mag = v0 + distanceTerm + c1 * phase + c2 * phase * phase + c3 * phase * phase * phase;
+    if (bodyKey === 'saturn') {
+      const sinB = Math.sin(getSaturnRingTilt(jd) * DEG_TO_RAD);
+      mag += -2.60 * sinB + 1.25 * sinB * sinB;
+    }
+    return mag;
+  }
+
+  // IAU H,G phase function
+  const tanHalf = Math.tan(phase * DEG_TO_RAD / 2);
+  const phi1 = Math.exp(-3.33 * Math.pow(tanHalf, 0.63));
+  const phi2 = Math.exp(-1.87 * Math.pow(tanHalf, 1.22));
+  return hg.H + distanceTerm - 2.5 * Math.log10((1 - hg.G) * phi1 + hg.G * phi2);
+}
+
+/**
+ * Angular distance of a body from the Sun as seen from Earth.
+ * @param {string} bodyKey
+ * @param {number} jd
+ * @returns {{ angle: number, east: boolean }} degrees; east = evening sky
+ */
+export function getElongation(bodyKey, jd) {
+  const body = getGeocentricEquatorial(bodyKey, jd);
+  const sun = getGeocentricEquatorial('sun', jd);
+  const a = unitVector(body.ra, body.dec);
+  const b = unitVector(sun.ra, sun.dec);
+  const cos = Math.max(-1, Math.min(1, dot(a, b)));
+  const dLon = ((body.eclipticLon - sun.eclipticLon) % 360 + 360) % 360;
+  return { angle: Math.acos(cos) / DEG_TO_RAD, east: dLon < 180 };
+}
+
+// ==================== Rise / Transit / Set ====================
+
+/**
+ * Sample a body's altitude and hour angle across a time window.
+ * @returns {{ jd: number, alt: number, ha: number }[]}
+ */
+function sampleAltitudes(bodyKey, jdStart, jdEnd, observer) {
+  const samples = [];
+  for (let jd = jdStart; jd <= jdEnd + 1e-9; jd += SAMPLE_STEP) {
+    const pos = getSkyPosition(bodyKey, jd, observer);
+    samples.push({ jd, alt: pos.altitude, ha: pos.hourAngle });
+  }
+  return samples;
+}
+
+/**
+ * Times where the altitude curve crosses a threshold, linearly interpolated.
+ * @returns {{ jd: number, rising: boolean }[]}
+ */
+function findCrossings(samples, threshold) {
+  const crossings = [];
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1].alt - threshold;
+    const b = samples[i].alt - threshold;
+    if ((a < 0) !== (b < 0)) {
+      const f = a / (a - b);
+      crossings.push({
+        jd: samples[i - 1].jd + f * (samples[i].jd - samples[i - 1].jd),
+        rising: b > a,
+      });
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Upper culmination: where the hour angle wraps from 360° back through 0°.
+ * @returns {{ jd: number, altitude: number } | null}
+ */
+function findTransit(samples) {
+  for (let i = 1; i < samples.length; i++) {
+    const h0 = samples[i - 1].ha;
+    const h1 = samples[i].ha;
+    if (h0 > 180 && h1 < 180) {
+      const f = (360 - h0) / (h1 + 360 - h0);
+      return {
+        jd: samples[i - 1].jd + f * SAMPLE_STEP,
+        altitude: samples[i - 1].alt + f * (samples[i].alt - samples[i - 1].alt),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rise, transit and set of a body within a time window.
+ * Times are Julian Days (UT); null where the event does not occur in the window.
+ * @param {string} bodyKey
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ * @param {{ lat: number, lon: number }} observer
+ * @returns {{ rise: number|null, transit: number|null, set: number|null,
+ *   maxAltitude: number, alwaysUp: boolean, neverUp: boolean,
+ *   samples: { jd: number, alt: number, ha: number }[] }}
+ */
+export function getRiseTransitSet(bodyKey, jdStart, jdEnd, observer) {
+  const samples = sampleAltitudes(bodyKey, jdStart, jdEnd, observer);
+  const h0 = bodyKey === 'sun' ? H0_SUN : H0_BODY;
+  const crossings = findCrossings(samples, h0);
+  const transit = findTransit(samples);
+  const rise = crossings.find(c => c.rising);
+  const set = crossings.find(c => !c.rising);
+  const maxAltitude = transit
+    ? transit.altitude
+    : Math.max(...samples.map(s => s.alt));
+
+  return {
+    rise: rise ? rise.jd : null,
+    transit: transit ? transit.jd : null,
+    set: set ? set.jd : null,
+    maxAltitude,
+    alwaysUp: crossings.length === 0 && samples[0].alt > h0,
+    neverUp: crossings.length === 0 && samples[0].alt <= h0,
+    samples,
+  };
+}
+
+// ==================== Night Plan ====================
+
+/**
+ * Plan an observing night: a 24-hour window starting at local solar noon
+ * on the given date, so the whole night sits in the middle of it.
+ * @param {string} dateStr - "YYYY-MM-DD" (civil date of the evening)
+ * @param {{ lat: number, lon: number }} observer
+ * @returns {{
+ *   start: number, end: number,
+ *   sun: { set: number|null, rise: number|null, darkStart: number|null, darkEnd: number|null },
+ *   bodies: Array<{
+ *     key: string, rise: number|null, transit: number|null, set: number|null,
+ *     maxAltitude: number, alwaysUp: boolean, neverUp: boolean,
+ *     magnitude: number|null, elongation: number, east: boolean,
+ *     constellation: string (IAU abbreviation), bestTime: number|null, bestAltitude: number|null,
+ *   }>
+ * }} times are Julian Days (UT)
+ */
+export function getNightPlan(dateStr, observer) {
+  const start = dateToJulian(dateStr) + 0.5 - observer.lon / 360;
+  const end = start + 1;
+
+  const sunRTS = getRiseTransitSet('sun', start, end, observer);
+  const darkCrossings = findCrossings(sunRTS.samples, ASTRONOMICAL_DARK);
+  const darkStart = darkCrossings.find(c => !c.rising);
+  const darkEnd = darkCrossings.find(c => c.rising);
+  const sunSet = sunRTS.set;
+  const sunRise = sunRTS.rise;
+
+  // Darkness: the same astronomical-dark window reported as darkStart–darkEnd
+  const isDark = sunRTS.samples.map(s => s.alt < ASTRONOMICAL_DARK);
+  const mid = start + 0.5; // local midnight
+
+  const bodies = PLANNER_BODIES.map(key => {
+    const rts = getRiseTransitSet(key, start, end, observer);
+    const eq = getGeocentricEquatorial(key, mid);
+    const elong = getElongation(key, mid);
+
+    // Highest point during astronomical darkness
+    let best = null;
+    rts.samples.forEach((s, i) => {
+      if (isDark[i] && s.alt >= MIN_VIEWING_ALTITUDE && (!best || s.alt > best.alt)) best = s;
+    });
+
+    return {
+      key,
+      rise: rts.rise,
+      transit: rts.transit,
+      set: rts.set,
+      maxAltitude: rts.maxAltitude,
+      alwaysUp: rts.alwaysUp,
+      neverUp: rts.neverUp,
+      magnitude: getApparentMagnitude(key, mid),
+      elongation: elong.angle,
+      east: elong.east,
+      constellation: getConstellation(eq.ra, eq.dec, eq.eclipticLon, eq.eclipticLat),
+      bestTime: best ? best.jd : null,
+      bestAltitude: best ? best.alt : null,
+    };
+  });
+
+  return {
+    start,
+    end,
+    sun: {
+      set: sunSet,
+      rise: sunRise,
+      darkStart: darkStart ? darkStart.jd : null,
+      darkEnd: darkEnd ? darkEnd.jd : null,
+    },
+    bodies,
+  };
+}
@@ -0,0 +1,480 @@
+/**
+ * User-added asteroids and comets from osculating orbital elements —
+ * elliptical, parabolic or hyperbolic (interstellar objects included).
+ * Reads MPC one-line orbits (MPCORB.DAT and CometEls.txt layouts) and the
+ * JSON returned by the JPL Small-Body Database API, and keeps the catalogue
+ * of added bodies. Positions come from OrbitalMechanics once registered.
+ */
+import { dateToJulian, registerSmallBodyElements, unregisterSmallBodyElements } from './OrbitalMechanics.js';
+
+// ==================== Constants ====================
+
+/** Gaussian gravitational constant (deg/day): mean motion of a 1 AU orbit */
+const GAUSS_K_DEG = 0.9856076686;
+
+/** Circular orbital speed at 1 AU (km/s) — scales hyperbolic excess speeds */
+const EARTH_ORBITAL_SPEED_KMS = 29.7847;
+
+/**
+ * Excess speed (km/s) above which an open orbit is taken as interstellar.
+ * Planetary perturbations leave Oort-cloud comets under about 1 km/s.
+ */
+const INTERSTELLAR_MIN_SPEED = 5;
+
+/** Scene size of an added body — close to the smaller notable asteroids */
+const SMALL_BODY_DISPLAY_RADIUS = 0.3;
+
+/** Key prefix that keeps added bodies apart from the built-in ones */
+export const SMALL_BODY_KEY_PREFIX = 'sb-';
+
+/** URL-hash prefix of a shared body, followed by its encoded elements */
+export const SMALL_BODY_HASH_PREFIX = 'sb=';
+
+/** Packed MPC digits: 0-9, A-Z (10-35), a-z (36-61) */
+const PACKED_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/** Packed century letters of MPC dates and designations */
+const PACKED_CENTURY = { I: 18, J: 19, K: 20 };
+
+/**
+ * @typedef {Object} SmallBody
+ * @property {string} key - 'sb-' + designation slug, also the URL hash
+ * @property {string} name
+ * @property {string} designation
+ * @property {'asteroid'|'comet'} kind
+ * @property {number} displayRadius - scene units
+ * @property {number|null} H - absolute magnitude
+ * @property {number|null} G - slope parameter
+ * @property {{ epoch: number, q: number, e: number, i: number, node: number,
+ *   peri: number, tp: number }} elements - q in AU, angles in degrees,
+ *   epoch and perihelion time tp as Julian Days (TT)
+ */
+
+/** Catalogue of added bodies, in the order they were added */
+const bodies = new Map();
+
+// ==================== Helpers ====================
+
+function num(str) {
+  const v = parseFloat(String(str ?? '').trim());
+  return Number.isFinite(v) ? v : null;
+}
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+function unpackDigit(ch) {
+  return PACKED_DIGITS.indexOf(ch);
+}
+
+/** "K24AM" → JD of 2024 Oct 22.0 */
+function unpackEpoch(packed) {
+  const m = /^([IJK])(\d\d)([1-9A-C])([1-9A-V])$/.exec(packed);
+  if (!m) return null;
+  const year = PACKED_CENTURY[m[1]] * 100 + Number(m[2]);
+  const month = unpackDigit(m[3]);
+  const day = unpackDigit(m[4]);
+  return dateToJulian(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+}
+
+/**
+ * Unpack an MPC designation: "00433" → "433", "K24Y04R" → "2024 YR4".
+ * Anything unrecognized is returned as given.
+ */
+function unpackDesignation(packed) {
+  const s = packed.trim();
+  const numbered = /^([0-9A-Za-z])(\d{4})$/.exec(s);
+  if (numbered) return String(unpackDigit(numbered[1]) * 10000 + Number(numbered[2]));
+
+  const provisional = /^([IJK])(\d\d)([A-Z])([0-9A-Za-z])(\d)([A-Z])$/.exec(s);
+  if (provisional) {
+    const [, century, yy, half, c1, c2, second] = provisional;
+    const cycle = unpackDigit(c1) * 10 + Number(c2);
+    return `${PACKED_CENTURY[century]}${yy} ${half}${second}${cycle || ''}`;
+  }
+  return s;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/** Comet designations: "1P/Halley", "C/2020 F3 (NEOWISE)", "P/2019 LD2" */
+function looksLikeComet(designation) {
+  return /^(\d+[PDCXI](\/|$)|[PDCXI]\/)/.test(designation);
+}
+
+/**
+ * Validate elements and build a catalogue entry — from a parser or a preset.
+ * @param {{ name: string, designation?: string, kind?: string, epoch: number|null,
+ *   q: number|null, e: number|null, i: number|null, node: number|null, peri: number|null,
+ *   tp: number|null, H?: number|null, G?: number|null }} src
+ * @returns {{ body: SmallBody|null, error: string|null }} error is 'format'
+ */
+export function createSmallBody(src) {
+  const { q, e, i, node, peri, tp, epoch } = src;
+  if (![q, e, i, node, peri, tp, epoch].every(Number.isFinite)) return { body: null, error: 'format' };
+  if (q <= 0 || e < 0 || i < 0 || i > 180) return { body: null, error: 'format' };
+
+  const name = String(src.name || src.designation || '').trim().slice(0, 60);
+  const designation = String(src.designation || name).trim().slice(0, 40);
+  const key = SMALL_BODY_KEY_PREFIX + slug(designation || name);
+  if (key === SMALL_BODY_KEY_PREFIX) return { body: null, error: 'format' };
+
+  return {
+    body: {
+      key,
+      name: name || designation,
+      designation,
+      kind: src.kind === 'comet' || src.kind === 'asteroid'
+        ? src.kind
+        : looksLikeComet(designation) ? 'comet' : 'asteroid',
+      displayRadius: SMALL_BODY_DISPLAY_RADIUS,
+      H: Number.isFinite(src.H) ? src.H : null,
+      G: Number.isFinite(src.G) ? src.G : null,
+      elements: {
+        epoch,
+        q,
+        e,
+        i,
+        node: normalizeDeg(node),
+        peri: normalizeDeg(peri),
+        tp,
+      },
+    },
+    error: null,
+  };
+}
+
+/**
+ * Perihelion time from the mean anomaly at epoch (deg) and mean motion (deg/day).
+ * On an ellipse the perihelion nearest the epoch is taken.
+ */
+function perihelionTime(epoch, M, n, e) {
+  if (!Number.isFinite(epoch) || !Number.isFinite(M) || !(n > 0)) return null;
+  const dM = e < 1 ? ((M + 180) % 360 + 360) % 360 - 180 : M;
+  return epoch - dM / n;
+}
+
+/** Mean motion (deg/day) for a semi-major axis — negative a for hyperbolas */
+function meanMotion(a) {
+  return Number.isFinite(a) && a !== 0 ? GAUSS_K_DEG / Math.pow(Math.abs(a), 1.5) : null;
+}
+
+// ==================== MPC One-Line Formats ====================
+
+/**
+ * Parse one line of MPCORB.DAT (asteroids). Columns are fixed-width, 1-based:
+ * designation 1-7, H 9-13, G 15-19, epoch 21-25, M 27-35, ω 38-46, Ω 49-57,
+ * i 60-68, e 71-79, n 81-91, a 93-103, readable designation 167-194.
+ */
+function parseMPCOrbLine(line) {
+  const col = (from, to) => line.slice(from - 1, to);
+  const epoch = unpackEpoch(col(21, 25).trim());
+  if (epoch === null) return null;
+
+  const a = num(col(93, 103));
+  const e = num(col(71, 79));
+  if (a === null || e === null) return null;
+  const n = num(col(81, 91)) ?? meanMotion(a);
+
+  const readable = col(167, 194).trim();
+  const designation = readable.replace(/^\((\d+)\)\s*/, '$1 ') || unpackDesignation(col(1, 7));
+  return createSmallBody({
+    name: designation,
+    designation,
+    kind: 'asteroid',
+    epoch,
+    q: a * (1 - e),
+    e,
+    i: num(col(60, 68)),
+    node: num(col(49, 57)),
+    peri: num(col(38, 46)),
+    tp: perihelionTime(epoch, num(col(27, 35)), n, e),
+    H: num(col(9, 13)),
+    G: num(col(15, 19)),
+  });
+}
+
+/**
+ * Parse one line of CometEls.txt. Columns (1-based): perihelion year 15-18,
+ * month 20-21, day 23-29, q 31-39, e 42-49, ω 52-59, Ω 62-69, i 72-79,
+ * epoch YYYYMMDD 82-89, H 92-95, slope 97-100, designation and name 103-158.
+ */
+function parseCometLine(line) {
+  const col = (from, to) => line.slice(from - 1, to);
+  const year = col(15, 18);
+  const month = col(20, 21).trim();
+  const day = num(col(23, 29));
+  if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || day === null) return null;
+  const tp = dateToJulian(`${year}-${month.padStart(2, '0')}-01`) + day - 1;
+
+  // Orbits without a fitted epoch use the perihelion date
+  const ep = col(82, 89).trim();
+  const epoch = /^\d{8}$/.test(ep)
+    ? dateToJulian(`${ep.slice(0, 4)}-${ep.slice(4, 6)}-${ep.slice(6, 8)}`)
+    : tp;
+
+  const designation = col(103, 158).trim() || `${col(1, 5).trim()}${col(6, 12).trim()}`;
+  return createSmallBody({
+    name: designation,
+    designation,
+    kind: 'comet',
+    epoch,
+    q: num(col(31, 39)),
+    e: num(col(42, 49)),
+    i: num(col(72, 79)),
+    node: num(col(62, 69)),
+    peri: num(col(52, 59)),
+    tp,
+    H: num(col(92, 95)),
+    G: num(col(97, 100)),
+  });
+}
+
+/**
+ * Parse one MPC one-line orbit, either layout.
+ * @param {string} line
+ * @returns {{ body: SmallBody|null, error: string|null }}
+ */
+export function parseMPCLine(line) {
+  const isComet = /^[CPDXIA]$/.test(line.charAt(4)) && /^\d{4}$/.test(line.slice(14, 18));
+  return (isComet ? parseCometLine(line) : parseMPCOrbLine(line)) || { body: null, error: 'format' };
+}
+
+// ==================== JPL SBDB JSON ====================
+
+/**
+ * Parse a JPL Small-Body Database API response: either sbdb.api
+ * (`object` + `orbit.elements` list) or one row of sbdb_query.api
+ * (`fields` + `data`). A flat object of element fields also works.
+ * @param {object} json
+ * @returns {{ body: SmallBody|null, error: string|null }}
+ */
+export function parseSBDBJson(json) {
+  if (!json || typeof json !== 'object') return { body: null, error: 'format' };
+
+  let fields = {};
+  let name = '';
+  let designation = '';
+  let kind = '';
+
+  if (json.orbit && Array.isArray(json.orbit.elements)) {
+    for (const el of json.orbit.elements) fields[el.name] = el.value;
+    fields.epoch = json.orbit.epoch;
+    for (const p of json.phys_par || []) {
+      if (p.name === 'H' || p.name === 'G') fields[p.name] = p.value;
+    }
+    name = json.object?.fullname || '';
+    designation = json.object?.des || '';
+    kind = json.object?.kind || '';
+  } else if (Array.isArray(json.fields) && Array.isArray(json.data) && json.data.length > 0) {
+    json.fields.forEach((f, i) => { fields[f] = json.data[0][i]; });
+    name = fields.full_name || '';
+    designation = fields.pdes || '';
+    kind = fields.kind || '';
+  } else {
+    fields = json;
+    name = json.full_name || json.fullname || json.name || '';
+    designation = json.pdes || json.des || '';
+    kind = json.kind || '';
+  }
+
+  const e = num(fields.e);
+  const a = num(fields.a);
+  const q = num(fields.q) ?? (a !== null && e !== null ? a * (1 - e) : null);
+  const epoch = num(fields.epoch);
+  const n = num(fields.n) ?? meanMotion(a ?? (q !== null && e !== null && e !== 1 ? q / (1 - e) : null));
+
+  return createSmallBody({
+    name: String(name).trim(),
+    designation: String(designation).trim(),
+    // SBDB kinds: 'an'/'au' asteroid, 'cn'/'cu' comet (numbered/unnumbered)
+    kind: kind ? (String(kind).startsWith('c') ? 'comet' : 'asteroid') : '',
+    epoch,
+    q,
+    e,
+    i: num(fields.i),
+    node: num(fields.om),
+    peri: num(fields.w),
+    tp: num(fields.tp) ?? perihelionTime(epoch, num(fields.ma), n, e),
+    H: num(fields.H),
+    G: num(fields.G),
+  });
+}
+
+/**
+ * Parse pasted text: JPL SBDB JSON, or one or more MPC one-line orbits
+ * (header and separator lines are skipped).
+ * @param {string} text
+ * @returns {{ bodies: SmallBody[], error: string|null }} all or nothing
+ */
+export function parseSmallBodyText(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { bodies: [], error: 'format' };
+
+  if (trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch {
+      return { bodies: [], error: 'format' };
+    }
+    const { body, error } = parseSBDBJson(json);
+    return body ? { bodies: [body], error: null } : { bodies: [], error };
+  }
+
+  const lines = String(text).split(/\r?\n/)
+    .filter(l => l.trim() && !/^(-{5,}|Des'n|\s*Num)/.test(l));
+  const parsed = [];
+  for (const line of lines) {
+    const { body, error } = parseMPCLine(line);
+    if (!body) return { bodies: [], error };
+    parsed.push(body);
+  }
+  return parsed.length ? { bodies: parsed, error: null } : { bodies: [], error: 'format' };
+}
+
+// ==================== Catalogue ====================
+
+/**
+ * Add (or replace) a body and register its elements for position lookups.
+ * @param {SmallBody} body - from one of the parsers
+ */
+export function addSmallBody(body) {
+  bodies.set(body.key, body);
+  registerSmallBodyElements(body.key, body.elements);
+}
+
+/** Remove a body from the catalogue */
+export function removeSmallBody(key) {
+  bodies.delete(key);
+  unregisterSmallBodyElements(key);
+}
+
+/**
+ * Get an added body by key.
+ * @returns {SmallBody|null}
+ */
+export function getSmallBody(key) {
+  return bodies.get(key) || null;
+}
+
+/**
+ * All added bodies, oldest first.
+ * @returns {SmallBody[]}
+ */
+export function getSmallBodies() {
+  return [...bodies.values()];
+}
+
+/**
+ * Derived orbit figures for display. Open orbits (e ≥ 1) have no aphelion
+ * or period; hyperbolic ones leave the Sun at a finite excess speed.
+ * @param {SmallBody} body
+ * @returns {{ open: boolean, a: number|null, Q: number|null, periodYears: number|null,
+ *   meanMotion: number|null, vInfinity: number|null, interstellar: boolean }} a and Q
+ *   in AU (a < 0 on a hyperbola, null on a parabola), meanMotion in deg/day,
+ *   vInfinity in km/s
+ */
+export function getSmallBodyOrbitInfo(body) {
+  const { q, e } = body.elements;
+  const a = e === 1 ? null : q / (1 - e);
+  if (e < 1) {
+    return {
+      open: false,
+      a,
+      Q: a * (1 + e),
+      periodYears: Math.pow(a, 1.5),
+      meanMotion: meanMotion(a),
+      vInfinity: null,
+      interstellar: false,
+    };
+  }
+  const vInfinity = a === null ? 0 : EARTH_ORBITAL_SPEED_KMS / Math.sqrt(-a);
+  return {
+    open: true,
+    a,
+    Q: null,
+    periodYears: null,
+    meanMotion: null,
+    vInfinity,
+    interstellar: vInfinity > INTERSTELLAR_MIN_SPEED,
+  };
+}
+
+/**
+ * Diameter range (km) from the absolute magnitude, for geometric albedos
+ * of 0.25 (bright, S-type) to 0.05 (dark, C-type).
+ * @returns {{ min: number, max: number } | null}
+ */
+export function estimateDiameterKm(H) {
+  if (!Number.isFinite(H)) return null;
+  const d = (albedo) => 1329 / Math.sqrt(albedo) * Math.pow(10, -H / 5);
+  return { min: d(0.25), max: d(0.05) };
+}
+
+// ==================== Sharing and Persistence ====================
+
+/** Compact, order-fixed form of a body for links and storage */
+function toRecord(body) {
+  const { epoch, q, e, i, node, peri, tp } = body.elements;
+  return { n: body.name, d: body.designation, k: body.kind, ep: epoch, q, e, i, om: node, w: peri, tp, H: body.H, G: body.G };
+}
+
+function fromRecord(r) {
+  if (!r || typeof r !== 'object') return null;
+  return createSmallBody({
+    name: typeof r.n === 'string' ? r.n : '',
+    designation: typeof r.d === 'string' ? r.d : '',
+    kind: r.k === 'comet' ? 'comet' : 'asteroid',
+    epoch: num(r.ep),
+    q: num(r.q),
+    e: num(r.e),
+    i: num(r.i),
+    node: num(r.om),
+    peri: num(r.w),
+    tp: num(r.tp),
+    H: num(r.H),
+    G: num(r.G),
+  }).body;
+}
+
+/** URL hash (without '#') that carries a body's elements */
+export function encodeSmallBodyHash(body) {
+  return SMALL_BODY_HASH_PREFIX + encodeURIComponent(JSON.stringify(toRecord(body)));
+}
+
+/**
+ * Read a body from a shared URL hash (without '#').
+ * @returns {SmallBody|null}
+ */
+export function decodeSmallBodyHash(hash) {
+  if (!hash.startsWith(SMALL_BODY_HASH_PREFIX)) return null;
+  try {
+    return fromRecord(JSON.parse(decodeURIComponent(hash.slice(SMALL_BODY_HASH_PREFIX.length))));
+  } catch {
+    return null;
+  }
+}
+
+/** JSON string of the whole catalogue, for localStorage */
+export function serializeSmallBodies() {
+  return JSON.stringify(getSmallBodies().map(toRecord));
+}
+
+/**
+ * Rebuild bodies from serializeSmallBodies() output. Invalid entries are dropped.
+ * @param {string|null} json
+ * @returns {SmallBody[]} bodies (not yet added to the catalogue)
+ */
+export function deserializeSmallBodies(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list.map(fromRecord).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * The Sun's activity on a date. Up to the end of 2008 the sunspot number is
+ * SILSO's monthly record (sunspotRecord.js), put on the version 2 scale and
+ * smoothed over 13 months the way SILSO smooths it. After that it is a
+ * model: each cycle rises from its minimum to its peak and falls to the
+ * next minimum as a sin² curve through the dates and smoothed numbers of
+ * the cycle table (solarCycles.js), which gives cycles 24 and 25 their
+ * recorded extremes but not their shape. Past cycle 25's peak the table
+ * itself is a prediction: cycle 25 runs the average cycle length of the
+ * record, and cycle 26 is an average cycle.
+ *
+ * From the sunspot number follow what the Sun looks like: how many spots
+ * and where (Spörer's law, the butterfly diagram), how many prominences,
+ * how bright the corona, and how often a CME leaves.
+ */
+import { SOLAR_CYCLES } from '../data/solarCycles.js';
+import { SUNSPOT_MONTHLY } from '../data/sunspotRecord.js';
+import { J2000_JD } from './OrbitalMechanics.js';
+
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Version 1 → version 2 of the sunspot number (Clette et al. 2014): drop
+ * Wolf's 0.6 Zürich factor, and from 1947 undo the 18% that Waldmeier's
+ * weighting of large spots added. The recalibration's smaller corrections
+ * are left out: most cycle peaks come out within 1% of the version 2 table,
+ * cycle 10's about 12% low and cycles 22 and 23's about 5% off.
+ */
+const ZURICH_FACTOR = 0.6;
+const WALDMEIER_YEAR = 1947;
+const WALDMEIER_FACTOR = 1.18;
+
+/** Sunspot number taken as the Sun at its most active */
+const ACTIVE_SUNSPOT_NUMBER = 250;
+
+/**
+ * Spörer's law: where a cycle's spots form, drifting from this latitude
+ * (degrees) toward the equator with an e-folding time in years (Hathaway 2011).
+ */
+const SPOT_START_LATITUDE = 28;
+const SPOT_DRIFT_YEARS = 7.5;
+
+/** Half the width of the band of latitudes spots form in (degrees) */
+export const SPOT_BAND_HALF_WIDTH = 7;
+
+/** Most prominences the Sun is drawn with, at the cycle's peak */
+export const MAX_PROMINENCES = 12;
+const MIN_PROMINENCES = 2;
+
+/** Corona brightness at the quietest Sun; it rises to 1 with activity */
+const QUIET_CORONA = 0.35;
+
+/**
+ * CMEs a day at sunspot number 0 and the rise per sunspot: from about one
+ * every two days at minimum to several a day at maximum, as SOHO/LASCO
+ * has counted them.
+ */
+const QUIET_CMES_PER_DAY = 0.5;
+const CMES_PER_SUNSPOT = 0.025;
+
+/** Years either side of the peak counted as solar maximum */
+const MAXIMUM_YEARS = 1;
+
+/** Share of a cycle's rise above its minimum still counted as solar minimum */
+const MINIMUM_LEVEL = 0.25;
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+const complete = SOLAR_CYCLES.slice(0, -1);
+const MEAN_LENGTH = mean(complete.map((c, i) => SOLAR_CYCLES[i + 1].start - c.start));
+const MEAN_RISE = mean(complete.map(c => c.max - c.start));
+const MEAN_PEAK = mean(SOLAR_CYCLES.map(c => c.peak));
+const MEAN_MINIMUM = mean(SOLAR_CYCLES.map(c => c.minimum));
+
+/**
+ * @typedef {Object} SolarCycleSpan
+ * @property {number} cycle - cycle number
+ * @property {number} start - decimal year of the minimum it begins at
+ * @property {number} minimum - smoothed sunspot number then
+ * @property {number} max - decimal year of its peak
+ * @property {number} peak - smoothed sunspot number then
+ * @property {number} end - decimal year of the minimum it ends at
+ * @property {number} endMinimum - smoothed sunspot number then
+ * @property {boolean} predicted - the whole cycle is a prediction
+ */
+
+/** @type {SolarCycleSpan[]} the record, with cycle 25's end and cycle 26 predicted */
+export const CYCLES = (() => {
+  const cycles = SOLAR_CYCLES.map((c, i) => {
+    const next = SOLAR_CYCLES[i + 1];
+    return {
+      ...c,
+      end: next ? next.start : c.start + MEAN_LENGTH,
+      endMinimum: next ? next.minimum : MEAN_MINIMUM,
+      predicted: false,
+    };
+  });
+  const last = cycles[cycles.length - 1];
+  cycles.push({
+    cycle: last.cycle + 1,
+    start: last.end,
+    minimum: MEAN_MINIMUM,
+    max: last.end + MEAN_RISE,
+    peak: MEAN_PEAK,
+    end: last.end + MEAN_LENGTH,
+    endMinimum: MEAN_MINIMUM,
+    predicted: true,
+  });
+  return cycles;
+})();
+
+/** First and last date the model covers (JD) */
+export const CYCLE_RANGE_JD = [yearToJD(CYCLES[0].start), yearToJD(CYCLES[CYCLES.length - 1].end)];
+
+/**
+ * The record on the version 2 scale, 13-month smoothed (the first and last
+ * month at half weight), one value a month from `start` (decimal year).
+ */
+const RECORD = (() => {
+  const monthly = SUNSPOT_MONTHLY.flatMap(([year, ...months]) =>
+    months.map(n => n / ZURICH_FACTOR / (year >= WALDMEIER_YEAR ? WALDMEIER_FACTOR : 1)));
+  const smoothed = [];
+  for (let i = 6; i < monthly.length - 6; i++) {
+    let sum = (monthly[i - 6] + monthly[i + 6]) / 2;
+    for (let k = -5; k <= 5; k++) sum += monthly[i + k];
+    smoothed.push(sum / 12);
+  }
+  return { start: SUNSPOT_MONTHLY[0][0] + 6.5 / 12, smoothed };
+})();
+
+/** After this date the sunspot number comes from the model (JD) */
+export const RECORD_END_JD = yearToJD(RECORD.start + (RECORD.smoothed.length - 1) / 12);
+
+/**
+ * @param {number} jd
+ * @returns {number} decimal year
+ */
+export function jdToYear(jd) {
+  return 2000 + (jd - J2000_JD) / DAYS_PER_YEAR;
+}
+
+/**
+ * @param {number} year - decimal year
+ * @returns {number} JD
+ */
+export function yearToJD(year) {
+  return J2000_JD + (year - 2000) * DAYS_PER_YEAR;
+}
+
+/**
+ * The cycle a date falls in.
+ * @param {number} jd
+ * @returns {SolarCycleSpan|null} null outside the record and prediction
+ */
+export function getCycleAt(jd) {
+  const year = jdToYear(jd);
+  return CYCLES.find(c => year >= c.start && year < c.end) ?? null;
+}
+
+/** The smoothed record at a decimal year, between its months; null outside it */
+function recordedSunspotNumber(year) {
+  const i = (year - RECORD.start) * 12;
+  if (i < 0 || i > RECORD.smoothed.length - 1) return null;
+  const lo = Math.floor(i);
+  const hi = Math.min(lo + 1, RECORD.smoothed.length - 1);
+  return RECORD.smoothed[lo] + (RECORD.smoothed[hi] - RECORD.smoothed[lo]) * (i - lo);
+}
+
+/**
+ * The smoothed sunspot number on a date: the record, then the model.
+ * @param {number} jd
+ * @returns {number|null} null outside the record and prediction
+ */
+export function getSunspotNumber(jd) {
+  const year = jdToYear(jd);
+  const recorded = recordedSunspotNumber(year);
+  if (recorded !== null) return recorded;
+  const c = getCycleAt(jd);
+  if (!c) return null;
+  if (year < c.max) {
+    const s = Math.sin((year - c.start) / (c.max - c.start) * Math.PI / 2);
+    return c.minimum + (c.peak - c.minimum) * s * s;
+  }
+  const s = Math.cos((year - c.max) / (c.end - c.max) * Math.PI / 2);
+  return c.endMinimum + (c.peak - c.endMinimum) * s * s;
+}
+
+/**
+ * Mean latitude of a cycle's spots some time into it, north or south.
+ * @param {SolarCycleSpan} c
+ * @param {number} jd
+ * @returns {number} degrees
+ */
+export function getSpotLatitude(c, jd) {
+  return SPOT_START_LATITUDE * Math.exp(-(jdToYear(jd) - c.start) / SPOT_DRIFT_YEARS);
+}
+
+/**
+ * @typedef {Object} SolarActivity
+ * @property {number} cycle - cycle number
+ * @property {boolean} modelled - the date is past the record, so the sunspot number is the model's
+ * @property {number} phase - 0 to 1 from the cycle's minimum to the next
+ * @property {'minimum'|'rising'|'maximum'|'declining'} stage
+ * @property {number} sunspotNumber - smoothed
+ * @property {number} activity - 0 (spotless) to 1 (a strong maximum)
+ * @property {number} spotLatitude - mean latitude of the spots (degrees)
+ * @property {number} prominences - how many to draw
+ * @property {number} coronaBrightness - 0 to 1
+ * @property {number} cmesPerDay
+ */
+
+/**
+ * Everything the Sun's appearance takes from the cycle on a date.
+ * @param {number} jd
+ * @returns {SolarActivity|null} null outside the record and prediction
+ */
+export function getSolarActivity(jd) {
+  const c = getCycleAt(jd);
+  if (!c) return null;
+  const year = jdToYear(jd);
+  const sunspotNumber = getSunspotNumber(jd);
+  const activity = Math.min(1, sunspotNumber / ACTIVE_SUNSPOT_NUMBER);
+
+  const floor = year < c.max ? c.minimum : c.endMinimum;
+  const level = (sunspotNumber - floor) / (c.peak - floor);
+  const stage = Math.abs(year - c.max) < MAXIMUM_YEARS ? 'maximum'
+    : level < MINIMUM_LEVEL ? 'minimum'
+      : year < c.max ? 'rising'
+        : 'declining';
+
+  return {
+    cycle: c.cycle,
+    modelled: jd > RECORD_END_JD,
+    phase: (year - c.start) / (c.end - c.start),
+    stage,
+    sunspotNumber,
+    activity,
+    spotLatitude: getSpotLatitude(c, jd),
+    prominences: Math.round(MIN_PROMINENCES + (MAX_PROMINENCES - MIN_PROMINENCES) * activity),
+    coronaBrightness: QUIET_CORONA + (1 - QUIET_CORONA) * activity,
+    cmesPerDay: QUIET_CMES_PER_DAY + CMES_PER_SUNSPOT * sunspotNumber,
+  };
+}
+
+/**
+ * Chance at least one CME leaves the Sun over a stretch of time.
+ * @param {number} cmesPerDay
+ * @param {number} days
+ * @returns {number} 0 to 1
+ */
+export function getCMEChance(cmesPerDay, days) {
+  return 1 - Math.exp(-cmesPerDay * Math.abs(days));
+}
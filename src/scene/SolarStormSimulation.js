@@ -9,6 +9,14 @@
  * - Aurora curtains at magnetic poles
  * - Atmospheric stripping on unshielded planets
  * - Radiation belt intensification
+ *
+ * A CME can also be launched with set parameters and forecast with the
+ * drag-based model (see DragBasedModel.js): it reaches each planet when the
+ * model says, and only the planets inside its cone are hit.
+ *
+ * Or replays a real storm from solar-wind data (see SolarWind.js): the CME
+ * leaves when the data say it did, reaches each planet at the measured
+ * speed, and the bow shocks and auroras follow the wind and Kp hour by hour.
  */
 import * as THREE from 'three';
 import {
@@ -17,23 +25,47 @@ import {
   auroraVertexShader, auroraFragmentShader,
 } from '../shaders/solarStormShader.js';
 import { CMEFluxRope } from './CMEFluxRope.js';
+import { getPlanetHeliocentricAU, heliocentricToScene } from './OrbitalMechanics.js';
+import {
+  sampleSolarWind, getCompression, getCMEArrivalJD, getCMEFrontAU, getL1ArrivalJD,
+  getAuroraIntensity, getPressureAuroraIntensity,
+} from './SolarWind.js';
+import { getDBMArrival, getDBMKinematics, predictCMEArrivals } from './DragBasedModel.js';
+import { MAGNETIC_FIELDS } from '../data/magneticFields.js';
+
+/** Replay speed to start at (hours of data per second) */
+const REPLAY_HOURS_PER_SECOND = 6;
+
+/** How long a replay runs on after the CME passes the last planet (days) */
+const REPLAY_TAIL_DAYS = 0.5;
+
+/** Share of a bow shock's real squeeze that is drawn, so the shell stays clear of the planet */
+const DRAWN_SQUEEZE = 0.5;
+
+/** Mean proton speed in the particle shader (scene units per second), for timing the cloud to Earth */
+const MEAN_PROTON_SPEED = 7;
 
-const MAGNETIC_FIELDS = {
-  mercury:  { strength: 0.01, tilt: 0,    hasField: true,  color: 0x888888 },
-  venus:    { strength: 0,    tilt: 0,    hasField: false, color: 0xcc8844 },
-  earth:    { strength: 1.0,  tilt: 11.5, hasField: true,  color: 0x4488ff },
-  mars:     { strength: 0,    tilt: 0,    hasField: false, color: 0xcc4422 },
-  jupiter:  { strength: 20.0, tilt: 9.6,  hasField: true,  color: 0xff8844 },
-  saturn:   { strength: 5.8,  tilt: 0,    hasField: true,  color: 0xccaa66 },
-  uranus:   { strength: 0.5,  tilt: 59,   hasField: true,  color: 0x44aacc },
-  neptune:  { strength: 0.27, tilt: 47,   hasField: true,  color: 0x3355aa },
-};
+/** Faintest Earth's oval is drawn during a replay, so its quiet-time size still shows */
+const OVAL_MIN_BRIGHTNESS = 0.3;
+
+/** Slowest a forecast CME is shown (model hours per second) */
+const FORECAST_HOURS_PER_SECOND = 4;
+
+/** Longest a forecast CME takes on screen to reach its last planet (seconds) */
+const FORECAST_MAX_SECONDS = 40;
 
 export class SolarStormSimulation {
-  constructor(scene, getPlanetWorldPosition, planetData) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {(key: string) => THREE.Vector3} getPlanetWorldPosition
+   * @param {Object<string, Object>} planetData - by planet key, with displayRadius
+   * @param {import('./AuroraOval.js').AuroraOval|null} [auroraOval] - drawn for Earth's aurora instead of curtains
+   */
+  constructor(scene, getPlanetWorldPosition, planetData, auroraOval = null) {
     this._scene = scene;
     this._getPlanetPos = getPlanetWorldPosition;
     this._planetData = planetData;
+    this._auroraOval = auroraOval;
     this._active = false;
     this._cmeActive = false;
     this._elapsed = 0;
@@ -45,6 +77,7 @@ export class SolarStormSimulation {
     this._magnetospheres = [];
     this._fieldLines = [];
     this._fieldLinesByPlanet = {}; // keyed by planet name for deferred reveal
+    this._fieldLineOrigins = {}; // planet position each planet's lines were built at
     this._auroras = [];
     this._impactEffects = [];
     this._intervals = [];
@@ -58,6 +91,20 @@ export class SolarStormSimulation {
     };
     this._stormTime = 0;
 
+    /**
+     * Set while replaying data: the series, the storm found in it, the replay
+     * clock, and when the CME reaches each planet.
+     * @type {{ samples: Array<Object>, event: Object, jd: number, endJD: number, hoursPerSecond: number, impacts: Object<string, number>, fired: Set<string>, milestoneJDs: Object<string, Array>, launched: boolean, visualPerDay: number }|null}
+     */
+    this._replay = null;
+
+    /**
+     * Set while a CME launched with parameters is in flight: its parameters,
+     * the forecast for each planet and the pace it is shown at.
+     * @type {{ cme: import('./DragBasedModel.js').CMEParameters, launchJD: number, arrivals: import('./DragBasedModel.js').CMEArrival[], fired: Set<string>, hoursPerSecond: number, endTime: number, visualPerHour: number }|null}
+     */
+    this._forecast = null;
+
     // CME flux rope geometry
     this._fluxRope = new CMEFluxRope(this._scene);
 
@@ -69,30 +116,106 @@ export class SolarStormSimulation {
 
   get isActive() { return this._active; }
 
-  activate() {
+  /** Whether this is a replay of solar-wind data */
+  get isReplay() { return !!this._replay; }
+
+  /** Julian Day the replay has reached, or null for the scripted storm */
+  get replayJD() { return this._replay ? this._replay.jd : null; }
+
+  /** When the replay's CME reaches each planet, as Julian Days by planet key */
+  get replayArrivals() { return this._replay ? { ...this._replay.impacts } : {}; }
+
+  /** Whether the replay has run to its end */
+  get isReplayFinished() { return !!this._replay && this._replay.jd >= this._replay.endJD; }
+
+  /** Kp the replayed data give at the moment, or null for the scripted storm */
+  get replayKp() { return this._replay ? sampleSolarWind(this._replay.samples, this._replay.jd).kp : null; }
+
+  /**
+   * Start the storm: the scripted one, or a replay of data.
+   * @param {{ samples: import('./SolarWind.js').SolarWindSample[], event: import('./SolarWind.js').StormEvent }} [replay]
+   */
+  activate(replay = null) {
     if (this._active) return;
     this._active = true;
     this._elapsed = 0;
     this._createMagnetospheres();
+    // Earth's oval waits, like the curtains, for the CME to arrive
+    this._auroraOval?.setVisible(false);
+    if (replay) {
+      this._startReplay(replay);
+      return;
+    }
     setTimeout(() => {
-      if (this._active) this._launchCME();
+      if (this._active && !this._cmeActive) this._launchCME();
     }, 800);
   }
 
+  /** @param {number} hoursPerSecond - hours of data replayed per second */
+  setReplaySpeed(hoursPerSecond) {
+    if (this._replay) this._replay.hoursPerSecond = hoursPerSecond;
+  }
+
   deactivate() {
     this._active = false;
     this._cmeActive = false;
     this._stormTime = 0;
+    this._replay = null;
+    this._forecast = null;
     Object.keys(this._milestones).forEach(k => this._milestones[k] = false);
     this._fluxRope.deactivate();
     this._dispose();
     document.dispatchEvent(new CustomEvent('storm-ended'));
   }
 
-  launchNewCME() {
+  /**
+   * Launch another CME: a random one, or one with set parameters whose
+   * arrivals are forecast with the drag-based model.
+   * @param {import('./DragBasedModel.js').CMEParameters} [cme]
+   * @param {number} [launchJD] - when it passes 20 solar radii; planets are placed for this date
+   */
+  launchNewCME(cme = null, launchJD = null) {
     if (!this._active) return;
     this._disposeCME();
-    this._launchCME();
+    this._forecast = null;
+    if (!cme) {
+      this._launchCME();
+      return;
+    }
+
+    const arrivals = predictCMEArrivals(cme, launchJD, Object.keys(MAGNETIC_FIELDS).filter(k => this._planetData[k]));
+    const hits = arrivals.filter(a => a.hit);
+    // Paced so the last planet hit is reached in good time, or Earth's distance if none is
+    const paceHours = hits.length ? hits[hits.length - 1].hours : getDBMArrival(cme, 1).hours;
+    const hoursPerSecond = Math.max(FORECAST_HOURS_PER_SECOND, paceHours / FORECAST_MAX_SECONDS);
+
+    const lon = THREE.MathUtils.degToRad(cme.longitude);
+    const lat = THREE.MathUtils.degToRad(cme.latitude);
+    const axisAU = { x: Math.cos(lat) * Math.cos(lon), y: Math.cos(lat) * Math.sin(lon), z: Math.sin(lat) };
+    const direction = heliocentricToScene(axisAU);
+    this._forecast = {
+      cme,
+      launchJD,
+      arrivals,
+      fired: new Set(),
+      hoursPerSecond,
+      // Seconds after launch the CME is put away, as the scripted one is
+      endTime: Math.max(this._cmeDuration, paceHours / hoursPerSecond) + 10,
+      // Particles timed to cross 1 AU in the scene when the model's CME does
+      visualPerHour: this._visualTimeTo(direction.length()) / getDBMArrival(cme, 1).hours,
+    };
+    this._launchCME(direction.normalize(), THREE.MathUtils.degToRad(cme.width));
+  }
+
+  /** The forecast for the CME in flight, or null if it wasn't launched with parameters */
+  get forecast() {
+    if (!this._forecast) return null;
+    const { cme, launchJD, arrivals } = this._forecast;
+    return { cme, launchJD, arrivals, hours: this._forecastHours() };
+  }
+
+  _forecastHours() {
+    return this._forecast ? (this._elapsed - this._cmeStartTime) * this._forecast.hoursPerSecond : 0;
   }
 
   _createMagnetospheres() {
@@ -196,9 +319,21 @@ export class SolarStormSimulation {
       if (!this._fieldLinesByPlanet[key]) this._fieldLinesByPlanet[key] = [];
       this._fieldLinesByPlanet[key].push(tube);
     }
+    this._fieldLineOrigins[key] = pos.clone();
+  }
+
+  _revealFieldLines(key) {
+    for (const line of this._fieldLinesByPlanet[key] || []) {
+      line.visible = true;
+    }
   }
 
-  _launchCME() {
+  /**
+   * @param {THREE.Vector3} [direction] - unit vector; a random one in the
+   *   ecliptic plane if not given
+   * @param {number} [coneHalfAngle] - spread of the particles (radians)
+   */
+  _launchCME(direction, coneHalfAngle = Math.PI * 0.35) {
     this._cmeActive = true;
     this._cmeStartTime = this._elapsed;
 
@@ -211,12 +346,9 @@ export class SolarStormSimulation {
     const startTimes = new Float32Array(count);
     const types = new Float32Array(count); // 0=proton, 1=electron, 2=helium
 
-    // CME cone parameters — realistic angular spread
-    const coneHalfAngle = Math.PI * 0.35;
-
     // Pick a random direction for this CME (in ecliptic plane)
     const cmeDir = Math.random() * Math.PI * 2;
-    const cmeDirVec = new THREE.Vector3(Math.cos(cmeDir), 0, Math.sin(cmeDir));
+    const cmeDirVec = direction ?? new THREE.Vector3(Math.cos(cmeDir), 0, Math.sin(cmeDir));
 
     for (let i = 0; i < count; i++) {
       // Particle type distribution: 96% protons, 3.5% helium, 0.5% electrons
@@ -245,7 +377,7 @@ export class SolarStormSimulation {
       const spreadTheta = (Math.random() - 0.5) * coneHalfAngle;
 
       velocities[i * 3]     = cmeDirVec.x * speed * Math.cos(spreadTheta) + Math.sin(spreadTheta) * Math.cos(spreadPhi) * speed * 0.3;
-      velocities[i * 3 + 1] = Math.sin(spreadPhi) * speed * 0.2;
+      velocities[i * 3 + 1] = cmeDirVec.y * speed + Math.sin(spreadPhi) * speed * 0.2;
       velocities[i * 3 + 2] = cmeDirVec.z * speed * Math.cos(spreadTheta) + Math.sin(spreadTheta) * Math.sin(spreadPhi) * speed * 0.3;
 
       // Energy: power-law distribution (many low, few high)
@@ -284,8 +416,8 @@ export class SolarStormSimulation {
     // Activate flux rope along CME direction
     this._fluxRope.activate(new THREE.Vector3(0, 0, 0), cmeDirVec);
 
-    // Schedule planet impacts
-    this._scheduleImpacts();
+    // Schedule planet impacts; a replay or forecast fires them as its clock reaches them
+    if (!this._replay && !this._forecast) this._scheduleImpacts();
   }
 
   _createShockwave() {
@@ -309,21 +441,24 @@ export class SolarStormSimulation {
       return (distFromSun / 200) * this._cmeDuration * 0.7;
     };
 
-    for (const [key, field] of Object.entries(MAGNETIC_FIELDS)) {
-      const pData = this._planetData[key];
-      if (!pData) continue;
-      const pos = this._getPlanetPos(key);
-      const dist = pos.length();
-      const delay = impactDelay(dist);
-
-      if (field.hasField && field.strength >= 0.5) {
-        this._scheduleAurora(key, pos, pData.displayRadius, delay, field);
-      } else if (!field.hasField) {
-        this._scheduleAtmosphericImpact(key, pos, pData.displayRadius, delay);
-      } else {
-        // Weak field (Mercury) — partial shield, partial impact
-        this._scheduleWeakFieldImpact(key, pos, pData.displayRadius, delay);
-      }
+    for (const key of Object.keys(MAGNETIC_FIELDS)) {
+      if (!this._planetData[key]) continue;
+      this._scheduleImpact(key, impactDelay(this._getPlanetPos(key).length()));
+    }
+  }
+
+  /** Auroras, an atmospheric flash or a partial one at a planet, after a delay (seconds) */
+  _scheduleImpact(key, delay) {
+    const field = MAGNETIC_FIELDS[key];
+    const pos = this._getPlanetPos(key);
+    const radius = this._planetData[key].displayRadius;
+    if (field.hasField && field.strength >= 0.5) {
+      this._scheduleAurora(key, pos, radius, delay, field);
+    } else if (!field.hasField) {
+      this._scheduleAtmosphericImpact(key, pos, radius, delay);
+    } else {
+      // Weak field (Mercury) — partial shield, partial impact
+      this._scheduleWeakFieldImpact(key, pos, radius, delay);
     }
   }
 
@@ -332,45 +467,8 @@ export class SolarStormSimulation {
       if (!this._active) return;
 
       // Reveal pre-created field lines now that CME has arrived
-      if (this._fieldLinesByPlanet[key]) {
-        for (const line of this._fieldLinesByPlanet[key]) {
-          line.visible = true;
-        }
-      }
-
-      // Create aurora curtain geometry at north and south poles
-      const auroraRadius = radius * 0.85;
-      const auroraHeight = radius * 0.4;
-      const segments = 32;
-
-      for (const pole of [1, -1]) {
-        const auroraGeo = new THREE.CylinderGeometry(
-          auroraRadius * 0.3, auroraRadius, auroraHeight, segments, 4, true
-        );
-        const auroraColor = key === 'earth' ? new THREE.Color(0.2, 1.0, 0.4) :
-                            key === 'jupiter' ? new THREE.Color(1.0, 0.5, 0.2) :
-                            new THREE.Color(0.3, 0.8, 0.9);
-
-        const auroraMat = new THREE.ShaderMaterial({
-          vertexShader: auroraVertexShader,
-          fragmentShader: auroraFragmentShader,
-          uniforms: {
-            uTime: { value: 0 },
-            uIntensity: { value: 0 },
-            uColor: { value: auroraColor },
-          },
-          transparent: true,
-          side: THREE.DoubleSide,
-          depthWrite: false,
-          blending: THREE.AdditiveBlending,
-        });
-
-        const auroraMesh = new THREE.Mesh(auroraGeo, auroraMat);
-        auroraMesh.position.set(pos.x, pos.y + pole * radius * 0.8, pos.z);
-        if (pole === -1) auroraMesh.rotation.x = Math.PI;
-        this._scene.add(auroraMesh);
-        this._auroras.push({ mesh: auroraMesh, key, startTime: this._elapsed });
-      }
+      this._revealFieldLines(key);
+      this._createAurora(key, pos, radius);
 
       // Animate aurora intensity: ramp up, sustain, fade
       let auroraTime = 0;
@@ -379,7 +477,9 @@ export class SolarStormSimulation {
         const rampUp = smoothstep(0, 1, auroraTime);
         const fadeOut = 1.0 - smoothstep(6, 10, auroraTime);
         const flicker = Math.sin(auroraTime * 4) * 0.15 + 0.85;
-        const intensity = rampUp * fadeOut * flicker * Math.min(field.strength * 0.3, 0.8);
+        const glow = Math.max(0, rampUp * fadeOut * flicker);
+        const intensity = glow * Math.min(field.strength * 0.3, 0.8);
+        if (key === 'earth') this._auroraOval?.setBrightness(glow);
 
         for (const aurora of this._auroras) {
           if (aurora.key === key && aurora.mesh.material.uniforms) {
@@ -397,6 +497,47 @@ export class SolarStormSimulation {
     this._intervals.push(timer);
   }
 
+  /** Aurora curtains at a planet's north and south poles, dark until lit; Earth's oval if there is one */
+  _createAurora(key, pos, radius) {
+    if (key === 'earth' && this._auroraOval) {
+      this._auroraOval.setBrightness(0);
+      this._auroraOval.setVisible(true);
+      return;
+    }
+    const auroraRadius = radius * 0.85;
+    const auroraHeight = radius * 0.4;
+    const segments = 32;
+
+    for (const pole of [1, -1]) {
+      const auroraGeo = new THREE.CylinderGeometry(
+        auroraRadius * 0.3, auroraRadius, auroraHeight, segments, 4, true
+      );
+      const auroraColor = key === 'earth' ? new THREE.Color(0.2, 1.0, 0.4) :
+                          key === 'jupiter' ? new THREE.Color(1.0, 0.5, 0.2) :
+                          new THREE.Color(0.3, 0.8, 0.9);
+
+      const auroraMat = new THREE.ShaderMaterial({
+        vertexShader: auroraVertexShader,
+        fragmentShader: auroraFragmentShader,
+        uniforms: {
+          uTime: { value: 0 },
+          uIntensity: { value: 0 },
+          uColor: { value: auroraColor },
+        },
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+      });
+
+      const auroraMesh = new THREE.Mesh(auroraGeo, auroraMat);
+      auroraMesh.position.set(pos.x, pos.y + pole * radius * 0.8, pos.z);
+      if (pole === -1) auroraMesh.rotation.x = Math.PI;
+      this._scene.add(auroraMesh);
+      this._auroras.push({ mesh: auroraMesh, key, pole, radius, startTime: this._elapsed });
+    }
+  }
+
   _scheduleAtmosphericImpact(key, pos, radius, delay) {
     const timer = setTimeout(() => {
       if (!this._active) return;
@@ -536,6 +677,10 @@ export class SolarStormSimulation {
 
   update(delta) {
     if (!this._active) return;
+    if (this._replay) {
+      this._updateReplay(delta);
+      return;
+    }
     this._elapsed += delta;
     this._stormTime += delta;
 
@@ -560,13 +705,15 @@ export class SolarStormSimulation {
     // Update flux rope
     this._fluxRope.update(delta);
 
-    // Update particle system
-    if (this._particleSystem && this._particleSystem.material.uniforms) {
+    if (this._forecast && this._cmeActive) {
+      this._updateForecast();
+    } else if (this._particleSystem && this._particleSystem.material.uniforms) {
+      // Update particle system
       this._particleSystem.material.uniforms.uTime.value = this._elapsed;
     }
 
     // Update shockwave expansion
-    if (this._shockwaveMesh && this._cmeActive) {
+    if (this._shockwaveMesh && this._cmeActive && !this._forecast) {
       const timeSinceCME = this._elapsed - this._cmeStartTime;
       const expansion = timeSinceCME * 5;
       this._shockwaveMesh.scale.set(expansion, expansion, expansion * 0.3);
@@ -587,9 +734,9 @@ export class SolarStormSimulation {
         // Dynamic bow shock compression during CME impact
         if (this._cmeActive) {
           const timeSinceCME = this._elapsed - this._cmeStartTime;
-          const planetPos = this._getPlanetPos(mag.key);
-          const dist = planetPos.length();
-          const arrivalTime = (dist / 200) * this._cmeDuration * 0.7;
+          const arrivalTime = this._forecast
+            ? this._forecastArrivalTime(mag.key)
+            : (this._getPlanetPos(mag.key).length() / 200) * this._cmeDuration * 0.7;
 
           if (timeSinceCME > arrivalTime && timeSinceCME < arrivalTime + 8) {
             const impactPhase = (timeSinceCME - arrivalTime) / 8;
@@ -617,14 +764,196 @@ export class SolarStormSimulation {
     }
 
     // Check if CME has finished
-    if (this._cmeActive && this._elapsed - this._cmeStartTime > this._cmeDuration + 10) {
+    const endTime = this._forecast ? this._forecast.endTime : this._cmeDuration + 10;
+    if (this._cmeActive && this._elapsed - this._cmeStartTime > endTime) {
       this._cmeActive = false;
+      if (this._forecast) this._disposeCME();
+    }
+  }
+
+  /** Seconds after launch a forecast CME is shown reaching a planet, Infinity if it misses */
+  _forecastArrivalTime(key) {
+    const arrival = this._forecast.arrivals.find(a => a.key === key);
+    return arrival && arrival.hit ? arrival.hours / this._forecast.hoursPerSecond : Infinity;
+  }
+
+  /** Move a forecast CME along the model's track and strike the planets it reaches */
+  _updateForecast() {
+    const forecast = this._forecast;
+    const hours = this._forecastHours();
+    if (this._particleSystem) {
+      this._particleSystem.material.uniforms.uTime.value = this._cmeStartTime + hours * forecast.visualPerHour;
+    }
+    if (this._shockwaveMesh) {
+      const { distanceAU } = getDBMKinematics(forecast.cme, hours);
+      const expansion = heliocentricToScene({ x: distanceAU, y: 0, z: 0 }).length() / 10;
+      this._shockwaveMesh.scale.set(expansion, expansion, expansion * 0.3);
+      const timeSinceCME = this._elapsed - this._cmeStartTime;
+      this._shockwaveMesh.material.opacity = Math.max(0, 0.15 * (1 - timeSinceCME / forecast.endTime));
+    }
+    for (const arrival of forecast.arrivals) {
+      if (arrival.hit && !forecast.fired.has(arrival.key) && hours >= arrival.hours) {
+        forecast.fired.add(arrival.key);
+        this._scheduleImpact(arrival.key, 0);
+      }
     }
   }
 
-  _dispatchMilestone(type, i18nKey) {
+  _startReplay({ samples, event }) {
+    const impacts = {};
+    for (const key of Object.keys(MAGNETIC_FIELDS)) {
+      if (!this._planetData[key]) continue;
+      impacts[key] = getCMEArrivalJD(event, distanceAU(key, event.eruptionJD));
+    }
+    // Earth's aurora starts with the first strong Kp once the shock is in
+    const storming = samples.find(s => s.jd >= event.arrivalJD - 3 / 24 && s.kp >= 5);
+
+    this._replay = {
+      samples,
+      event,
+      jd: Math.min(event.startJD, event.eruptionJD - 2 / 24),
+      endJD: Math.max(event.endJD, ...Object.values(impacts)) + REPLAY_TAIL_DAYS,
+      hoursPerSecond: REPLAY_HOURS_PER_SECOND,
+      impacts,
+      fired: new Set(),
+      milestoneJDs: {
+        cmeStart: [event.eruptionJD, 'storm.replayEruption'],
+        halfAU: [getCMEArrivalJD(event, 0.5), 'storm.replayHalfAU'],
+        earthProximity: [getL1ArrivalJD(event), 'storm.replayL1'],
+        auroraStart: [Math.max(storming ? storming.jd : event.arrivalJD, event.arrivalJD), 'storm.replayAurora'],
+      },
+      launched: false,
+      visualPerDay: 0,
+    };
+  }
+
+  /**
+   * Launch the replay's CME at Earth, timing the particle cloud so that it
+   * reaches Earth's distance in the scene when the shock did.
+   */
+  _launchReplayCME() {
+    const { event } = this._replay;
+    const earth = this._getPlanetPos('earth');
+    this._replay.visualPerDay = this._visualTimeTo(earth.length()) / (event.arrivalJD - event.eruptionJD);
+    this._replay.launched = true;
+    this._launchCME(new THREE.Vector3(earth.x, 0, earth.z).normalize());
+  }
+
+  /**
+   * Particle time for the cloud's mean proton to get a distance from the Sun.
+   * @param {number} distance - scene units
+   * @returns {number} seconds of shader time
+   */
+  _visualTimeTo(distance) {
+    // Solve distance = v·T·(1 − T/4D), the shader's decelerating flight, for T
+    const k = MEAN_PROTON_SPEED / (4 * this._cmeDuration);
+    const disc = MEAN_PROTON_SPEED * MEAN_PROTON_SPEED - 4 * k * distance;
+    return disc > 0 ? (MEAN_PROTON_SPEED - Math.sqrt(disc)) / (2 * k) : this._cmeDuration * 0.8;
+  }
+
+  /** The CME reaches a planet: auroras, an atmospheric flash or a partial one */
+  _replayImpact(key) {
+    const field = MAGNETIC_FIELDS[key];
+    const pos = this._getPlanetPos(key);
+    const radius = this._planetData[key].displayRadius;
+    if (field.hasField && field.strength >= 0.5) {
+      this._revealFieldLines(key);
+      this._createAurora(key, pos, radius);
+    } else if (!field.hasField) {
+      this._scheduleAtmosphericImpact(key, pos, radius, 0);
+    } else {
+      this._scheduleWeakFieldImpact(key, pos, radius, 0);
+    }
+  }
+
+  _updateReplay(delta) {
+    const replay = this._replay;
+    const { samples, event } = replay;
+    this._elapsed += delta;
+    const lastJD = replay.jd;
+    replay.jd = Math.min(replay.jd + delta * replay.hoursPerSecond / 24, replay.endJD);
+    const jd = replay.jd;
+
+    for (const [type, [at, i18nKey]] of Object.entries(replay.milestoneJDs)) {
+      if (!this._milestones[type] && jd >= at) {
+        this._milestones[type] = true;
+        this._dispatchMilestone(type, i18nKey, at);
+      }
+    }
+
+    const distances = {};
+    const positions = {};
+    for (const key of Object.keys(replay.impacts)) {
+      distances[key] = distanceAU(key, jd);
+      positions[key] = this._getPlanetPos(key);
+    }
+
+    if (!replay.launched && jd >= event.eruptionJD) this._launchReplayCME();
+    if (this._cmeActive) {
+      const visualTime = (jd - event.eruptionJD) * replay.visualPerDay;
+      this._fluxRope.update((jd - lastJD) * replay.visualPerDay);
+      if (this._particleSystem) {
+        this._particleSystem.material.uniforms.uTime.value = this._cmeStartTime + visualTime;
+      }
+      // The shock ring sits where the measured speed has carried the front
+      const frontAU = getCMEFrontAU(event, jd);
+      const lastAU = Math.max(...Object.values(distances));
+      if (this._shockwaveMesh) {
+        const expansion = heliocentricToScene({ x: frontAU, y: 0, z: 0 }).length() / 10;
+        this._shockwaveMesh.scale.set(expansion, expansion, expansion * 0.3);
+        this._shockwaveMesh.material.opacity = Math.max(0, 0.15 * (1 - frontAU / lastAU));
+      }
+      if (frontAU > lastAU) {
+        this._disposeCME();
+        this._cmeActive = false;
+      }
+    }
+
+    for (const [key, at] of Object.entries(replay.impacts)) {
+      if (!replay.fired.has(key) && jd >= at) {
+        replay.fired.add(key);
+        this._replayImpact(key);
+      }
+    }
+
+    for (const mag of this._magnetospheres) {
+      const uniforms = mag.mesh.material.uniforms;
+      uniforms.uTime.value = this._elapsed;
+      const compression = getCompression(samples, jd, distances[mag.key], mag.key === 'earth');
+      const squeeze = Math.min(Math.max(1 - compression, 0), 0.8);
+      mag.mesh.scale.setScalar(THREE.MathUtils.clamp(1 - (1 - compression) * DRAWN_SQUEEZE, 0.5, 1.2));
+      uniforms.uImpactStrength.value = squeeze;
+      uniforms.uIntensity.value = Math.min(mag.field.strength * 0.12 + squeeze * 0.4, 1.0);
+      mag.mesh.position.copy(positions[mag.key]);
+    }
+
+    for (const [key, lines] of Object.entries(this._fieldLinesByPlanet)) {
+      const offset = positions[key].clone().sub(this._fieldLineOrigins[key]);
+      for (const line of lines) line.position.copy(offset);
+    }
+
+    // Kp lights Earth's aurora and sizes its oval; the giants' follow the wind's pressure on them
+    const kp = sampleSolarWind(samples, jd).kp;
+    if (this._auroraOval && replay.fired.has('earth')) {
+      this._auroraOval.setKp(kp);
+      this._auroraOval.setBrightness(OVAL_MIN_BRIGHTNESS + (1 - OVAL_MIN_BRIGHTNESS) * getAuroraIntensity(kp));
+    }
+    for (const aurora of this._auroras) {
+      const brightness = aurora.key === 'earth'
+        ? getAuroraIntensity(kp)
+        : getPressureAuroraIntensity(samples, jd, distances[aurora.key]);
+      const flicker = Math.sin(this._elapsed * 4) * 0.15 + 0.85;
+      const uniforms = aurora.mesh.material.uniforms;
+      uniforms.uIntensity.value = brightness * flicker * 0.8;
+      uniforms.uTime.value = this._elapsed;
+      const pos = positions[aurora.key];
+      aurora.mesh.position.set(pos.x, pos.y + aurora.pole * aurora.radius * 0.8, pos.z);
+    }
+  }
+
+  _dispatchMilestone(type, i18nKey, jd = null) {
     const event = new CustomEvent('storm-milestone', {
-      detail: { type, i18nKey },
+      detail: { type, i18nKey, jd },
       bubbles: true,
     });
     document.dispatchEvent(event);
@@ -670,6 +999,7 @@ export class SolarStormSimulation {
     }
     this._fieldLines = [];
     this._fieldLinesByPlanet = {};
+    this._fieldLineOrigins = {};
 
     for (const aurora of this._auroras) {
       if (aurora.mesh.parent) this._scene.remove(aurora.mesh);
@@ -677,6 +1007,10 @@ export class SolarStormSimulation {
       aurora.mesh.material.dispose();
     }
     this._auroras = [];
+    if (this._auroraOval) {
+      this._auroraOval.setVisible(false);
+      this._auroraOval.setBrightness(1);
+    }
 
     for (const effect of this._impactEffects) {
       if (effect.parent) this._scene.remove(effect);
@@ -687,6 +1021,12 @@ export class SolarStormSimulation {
   }
 }
 
+/** A planet's distance from the Sun (AU) */
+function distanceAU(key, jd) {
+  const { x, y, z } = getPlanetHeliocentricAU(key, jd);
+  return Math.hypot(x, y, z);
+}
+
 // Helper smoothstep for JS
 function smoothstep(edge0, edge1, x) {
   const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
@@ -22,7 +22,7 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { SOLAR_SYSTEM, PLANET_ORDER } from '../data/solarSystem.js';
 import {
-  sunVertexShader, sunFragmentShader,
+  sunVertexShader, sunFragmentShader, sunspotFragmentShader, DEFAULT_SUNSPOT_UNIFORMS,
   coronaVertexShader, coronaFragmentShader,
   coronaShellVertexShader, coronaShellFragmentShader,
   prominenceVertexShader, prominenceFragmentShader,
@@ -32,9 +32,26 @@ import {
   ringVertexShader, ringFragmentShader,
   cityLightsVertexShader, cityLightsFragmentShader,
 } from '../shaders/atmosphereShader.js';
-import { getPlanetHeliocentricAU, getCurrentDateStr, dateToJulian, julianToDateStr } from './OrbitalMechanics.js';
+import {
+  getPlanetHeliocentricAU, getCurrentDateStr, dateToJulian, julianToDateStr, getPlanetPosition,
+  getSmallBodyOrbitPath, getPlanetOrbitPath, heliocentricToScene, auToTrueScene,
+  setDistanceBlend, TRUE_SCALE_UNITS_PER_AU, ELEMENTS_VALID_JD, setEphemerisBackend, DEG_TO_RAD, KM_PER_AU,
+} from './OrbitalMechanics.js';
+import { dateToJulianDay } from '../utils/skyFormat.js';
+import { getSmallBody, estimateDiameterKm } from './SmallBodies.js';
 import { AsteroidBelt } from './AsteroidBelt.js';
-import { ISSTracker } from './ISSTracker.js';
+import { CometTails } from './CometTails.js';
+import { ISSTracker, getInertialQuaternion, getEarthFixedQuaternion, setWorldQuaternion } from './ISSTracker.js';
+import { EclipseShadows } from './EclipseShadows.js';
+import { AuroraOval } from './AuroraOval.js';
+import { HeliosphericField } from './HeliosphericField.js';
+import { getSolarActivity, getCMEChance, MAX_PROMINENCES, SPOT_BAND_HALF_WIDTH } from './SolarCycle.js';
+import { CMEFluxRope } from './CMEFluxRope.js';
+import { hasRotationModel, getBodyQuaternion } from './RotationModels.js';
+import { getSatellites } from './Satellites.js';
+import { SkyDomeView } from './SkyDomeView.js';
+import { NBodySandbox } from './NBodySandbox.js';
+import { getMoonOffset, getMoonOrbitPath, getMoonElements } from './MoonEphemeris.js';
 import { DWARF_PLANETS, DWARF_PLANET_ORDER } from '../data/dwarfPlanets.js';
 import { ASTEROIDS, ASTEROID_ORDER } from '../data/asteroids.js';
 import {
@@ -51,6 +68,55 @@ import {
 } from '../textures/proceduralTextures.js';
 import { loadAllTextures } from '../textures/textureLoader.js';
 
+/** Simulation rate inside the sky view: one minute per second at 1x */
+const SKY_DOME_DAYS_PER_SECOND = 1 / 1440;
+
+/** Moon orbit rings: vertex count, and how far the clock moves before they are redrawn (days) */
+const MOON_ORBIT_SEGMENTS = 128;
+const MOON_ORBIT_REFRESH_DAYS = 5;
+
+/** Prominences shown during a solar storm, whatever the cycle */
+const STORM_PROMINENCES = 4;
+
+/** Spot noise threshold at the quietest and most active Sun: lower means more spots */
+const SPOT_THRESHOLD_QUIET = 0.8;
+const SPOT_THRESHOLD_ACTIVE = 0.45;
+
+/** How far the clock moves before solar cycle mode looks the activity up again (days) */
+const SOLAR_ACTIVITY_STEP_DAYS = 1;
+
+const _identityQuat = new THREE.Quaternion();
+const _earthInertialQuat = new THREE.Quaternion();
+const _earthQuat = new THREE.Quaternion();
+const _bodyQuat = new THREE.Quaternion();
+const _toward = new THREE.Vector3();
+
+/**
+ * Scale modes — how far distances and body sizes are blended from the
+ * artistic layout (0) toward their true values (1).
+ */
+export const SCALE_MODES = {
+  artistic: { distance: 0, size: 0 },
+  trueDistance: { distance: 1, size: 0 },
+  true: { distance: 1, size: 1 },
+};
+
+/** Length of the animated switch between scale modes (seconds) */
+const SCALE_TRANSITION_SECONDS = 2.5;
+
+/** Body radii in the data files are in Earth radii */
+const EARTH_RADIUS_KM = 6371;
+
+/** Nucleus radius assumed for an added comet or asteroid without a magnitude (km) */
+const SMALL_BODY_DEFAULT_RADIUS_KM = 2.5;
+
+/** Camera clipping and zoom-out limit in the artistic layout and at full true scale */
+const ARTISTIC_CAMERA = { near: 0.1, far: 3000, maxDistance: 800 };
+const TRUE_SCALE_CAMERA = { near: 1e-5, far: 12000, maxDistance: 5000 };
+
+/** The overview camera pulls back this much further at true distances */
+const TRUE_DISTANCE_OVERVIEW_SCALE = 3;
+
 const TEXTURE_GENERATORS = {
   mercury: generateMercuryTexture,
   venus: generateVenusTexture,
@@ -104,7 +170,12 @@ export class SolarSystemScene {
     // Real-time orbital mode
     this._simDate = getCurrentDateStr();
     this._simJD = dateToJulian(this._simDate); // cached Julian date — avoids string roundtrip each frame
-    this._daysPerSecond = 1; // 1 day per second at 1x speed
+    this._daysPerSecond = 1; // 1 day per second at 1x speed; negative speeds run time backward
+    this._realTime = false; // clock locked to the device's time, ignoring the speed
+
+    // Observer-on-Earth sky view (built on first use)
+    this.skyDome = null;
+    this._savedDaysPerSecond = 1;
 
     // Dwarf planets
     this.dwarfPlanets = {};
@@ -113,9 +184,44 @@ export class SolarSystemScene {
     // Asteroid belts
     this.asteroidBelt = null;
 
+    // Asteroids and comets added from orbital elements, by key
+    this.smallBodies = {};
+
+    // Scale mode (see SCALE_MODES), the current blend and any switch in progress
+    this.scaleMode = 'artistic';
+    this._scale = { ...SCALE_MODES.artistic };
+    this._scaleTransition = null;
+    this._orbitMorphs = {}; // key → { artistic, true } vertex arrays of the orbit line
+
+    // Floating origin: the heliocentric scene point drawn at (0, 0, 0). The
+    // scene is offset by -origin so coordinates near the camera stay small
+    this._origin = new THREE.Vector3();
+
     // ISS
     this.issTracker = null;
 
+    // Eclipse shadow cones, ground path and the Moon's reddening
+    this.eclipseShadows = null;
+
+    // Earth's auroral oval, shown by the storm panel and during storms
+    this.auroraOval = null;
+
+    // Parker spiral and current sheet, built the first time they are shown
+    this.heliosphere = null;
+    // Date the planets were last placed for, which a replay can hold apart from the clock
+    this._planetsJD = null;
+
+    // Solar cycle mode: the activity last applied, the date it was for and
+    // the date CME odds were last rolled to. Null while the mode is off
+    this._solarCycle = null;
+    // The CME flux rope solar cycle mode launches, made the first time it is on
+    this._eruption = null;
+    // Set while a solar storm wants its prominences
+    this._stormProminences = false;
+
+    // N-body sandbox, while it replaces Keplerian playback
+    this.nBody = null;
+
     this._init();
   }
 
@@ -139,6 +245,8 @@ export class SolarSystemScene {
       antialias: true,
       alpha: false,
       powerPreference: 'high-performance',
+      // Depth precision from a true-size ISS orbit out to the heliopause
+      logarithmicDepthBuffer: true,
     });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -198,10 +306,10 @@ export class SolarSystemScene {
     this._createAsteroidOrbits();
     this.onProgress(85);
 
-    // Sync planets to today's real positions
-    this.syncPlanetsToDate(this._simDate);
-    this._syncDwarfPlanetsToDate(this._simDate);
-    this._syncAsteroidsToDate(this._simDate);
+    // Sync planets to the simulation clock (today, unless a link set it)
+    this.syncPlanetsToDate(this._simJD);
+    this._syncDwarfPlanetsToDate(this._simJD);
+    this._syncAsteroidsToDate(this._simJD);
 
     // Post-processing bloom (desktop only)
     this.composer = null;
@@ -235,6 +343,16 @@ export class SolarSystemScene {
     const earthPlanet = this.planets.earth;
     if (earthPlanet) {
       this.issTracker = new ISSTracker(earthPlanet.mesh, earthPlanet.data.displayRadius);
+      this.auroraOval = new AuroraOval(earthPlanet.mesh, earthPlanet.data.displayRadius);
+      const luna = this.moonMeshes.earth?.[0];
+      if (luna) {
+        this.eclipseShadows = new EclipseShadows(this.scene, {
+          earth: earthPlanet.mesh,
+          earthRadius: earthPlanet.data.displayRadius,
+          moon: luna.mesh,
+          moonRadius: luna.mesh.geometry.parameters.radius,
+        });
+      }
     }
 
     this.onProgress(100);
@@ -381,6 +499,9 @@ export class SolarSystemScene {
         uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
       },
       vertexShader: /* glsl */`
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+
         attribute float baseSize;
         attribute float seed;
         attribute vec3 color;
@@ -397,13 +518,17 @@ export class SolarSystemScene {
           vAlpha = twinkle;
           gl_PointSize = baseSize * twinkle * uPixelRatio;
           gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
         }
       `,
       fragmentShader: /* glsl */`
+        #include <logdepthbuf_pars_fragment>
+
         varying vec3 vColor;
         varying float vAlpha;
 
         void main() {
+          #include <logdepthbuf_fragment>
           // Circular soft disc
           float d = length(gl_PointCoord - vec2(0.5));
           if (d > 0.5) discard;
@@ -424,6 +549,11 @@ export class SolarSystemScene {
   _createSun() {
     const sunData = SOLAR_SYSTEM.sun;
 
+    // Where spots form and how many, shared by the shader Sun and the spot overlay
+    this._sunspotUniforms = Object.fromEntries(
+      Object.entries(DEFAULT_SUNSPOT_UNIFORMS).map(([name, value]) => [name, { value }]),
+    );
+
     // Sun surface — photo-realistic texture with emissive glow, or shader fallback
     const sunGeo = new THREE.SphereGeometry(sunData.displayRadius, 64, 64);
     let sunMat;
@@ -438,6 +568,7 @@ export class SolarSystemScene {
         uniforms: {
           uTime: { value: 0 },
           uChromosphereStrength: { value: 0.6 },
+          ...this._sunspotUniforms,
         },
       });
     }
@@ -445,6 +576,26 @@ export class SolarSystemScene {
     this.sun.userData = { key: 'sun', type: 'planet' };
     this.scene.add(this.sun);
 
+    // The texture's spots never change, so solar cycle mode draws its own over it
+    this.sunspots = null;
+    if (this.textures.sun) {
+      this.sunspots = new THREE.Mesh(
+        new THREE.SphereGeometry(sunData.displayRadius * 1.002, 64, 64),
+        new THREE.ShaderMaterial({
+          vertexShader: coronaVertexShader,
+          fragmentShader: sunspotFragmentShader,
+          uniforms: {
+            uTime: { value: 0 },
+            ...this._sunspotUniforms,
+          },
+          transparent: true,
+          depthWrite: false,
+        }),
+      );
+      this.sunspots.visible = false;
+      this.sun.add(this.sunspots);
+    }
+
     // Corona glow (inner)
     const coronaGeo = new THREE.SphereGeometry(sunData.displayRadius * 1.25, 64, 64);
     const coronaMat = new THREE.ShaderMaterial({
@@ -452,14 +603,17 @@ export class SolarSystemScene {
       fragmentShader: coronaFragmentShader,
       uniforms: {
         uTime: { value: 0 },
+        uBrightness: { value: 1 },
       },
       transparent: true,
       side: THREE.BackSide,
       depthWrite: false,
     });
     this.corona = new THREE.Mesh(coronaGeo, coronaMat);
-    // Corona haze removed — sun_8k.jpg texture provides realistic photosphere appearance
-    // this.scene.add(this.corona);
+    // Corona haze hidden — sun_8k.jpg texture provides realistic photosphere
+    // appearance; solar cycle mode shows it as bright as the cycle makes it
+    this.corona.visible = false;
+    this.scene.add(this.corona);
 
     // Corona shells removed — sun_8k.jpg texture provides realistic appearance
     const shellConfigs = [];
@@ -502,14 +656,15 @@ export class SolarSystemScene {
 
   _createProminences(sunRadius) {
     this.prominences = [];
-    const promCount = 4;
-    for (let i = 0; i < promCount; i++) {
+    // Enough for the most active Sun; as many are shown as the moment calls for
+    for (let i = 0; i < MAX_PROMINENCES; i++) {
       const pointCount = 40;
       const positions = new Float32Array(pointCount * 3);
       const progress = new Float32Array(pointCount);
 
-      // Random arc on sun surface
-      const baseAngle = (i / promCount) * Math.PI * 2 + Math.random() * 0.5;
+      // Random arc on sun surface, a golden angle on from the last so any
+      // first few are spread around the Sun
+      const baseAngle = i * Math.PI * (3 - Math.sqrt(5)) + Math.random() * 0.5;
       const baseLat = (Math.random() - 0.5) * 1.2;
       const arcSpan = 0.3 + Math.random() * 0.4;
       const arcHeight = sunRadius * (0.3 + Math.random() * 0.5);
@@ -543,7 +698,7 @@ export class SolarSystemScene {
       });
 
       const points = new THREE.Points(geo, mat);
-      points.visible = false; // Hidden by default — shown only during solar storm
+      points.visible = false; // Hidden by default — shown during solar storms and in solar cycle mode
       this.scene.add(points);
       this.prominences.push({ mesh: points, ageSpeed: 0.02 + Math.random() * 0.03 });
     }
@@ -551,10 +706,83 @@ export class SolarSystemScene {
 
   /** Show or hide solar prominences (called when storm activates/deactivates). */
   setProminencesVisible(visible) {
+    this._stormProminences = visible;
+    this._showProminences();
+  }
+
+  /** Show a storm's prominences or the cycle's, whichever are more */
+  _showProminences() {
     if (!this.prominences) return;
-    for (const prom of this.prominences) {
-      prom.mesh.visible = visible;
+    const count = Math.max(
+      this._stormProminences ? STORM_PROMINENCES : 0,
+      this._solarCycle?.activity?.prominences ?? 0,
+    );
+    this.prominences.forEach((prom, i) => {
+      prom.mesh.visible = i < count;
+    });
+  }
+
+  /**
+   * Let the solar cycle on the simulation date set the Sun's spots,
+   * prominences and corona, and launch CMEs as often as it would.
+   * @param {boolean} on
+   */
+  setSolarCycleMode(on) {
+    if (on === this.solarCycleMode) return;
+    if (on) {
+      this._solarCycle = { activity: null, jd: null, rolledJD: this.planetsJD };
+      if (!this._eruption) this._eruption = new CMEFluxRope(this.scene);
+      this._updateSolarCycle(0);
+    } else {
+      this._solarCycle = null;
+      this._eruption.deactivate();
+      this._applySolarActivity(null);
+    }
+  }
+
+  get solarCycleMode() {
+    return !!this._solarCycle;
+  }
+
+  /** Follow the clock through the cycle and roll for a CME */
+  _updateSolarCycle(delta) {
+    const state = this._solarCycle;
+    const jd = this.planetsJD;
+    if (state.jd === null || Math.abs(jd - state.jd) >= SOLAR_ACTIVITY_STEP_DAYS) {
+      state.jd = jd;
+      state.activity = getSolarActivity(jd);
+      this._applySolarActivity(state.activity);
+    }
+
+    // One CME in flight at a time, and none while a storm has the stage
+    const days = jd - state.rolledJD;
+    state.rolledJD = jd;
+    if (state.activity && !this._stormProminences && !this._eruption.isActive() &&
+        Math.random() < getCMEChance(state.activity.cmesPerDay, days)) {
+      // Mostly out along the ecliptic, where the active regions face
+      const direction = new THREE.Vector3(Math.random() - 0.5, (Math.random() - 0.5) * 0.3, Math.random() - 0.5);
+      this._eruption.activate(new THREE.Vector3(0, 0, 0), direction.normalize());
+    }
+    this._eruption.update(delta);
+  }
+
+  /**
+   * Draw the Sun for an activity level, or as it looks outside solar cycle mode.
+   * @param {import('./SolarCycle.js').SolarActivity|null} activity
+   */
+  _applySolarActivity(activity) {
+    const u = this._sunspotUniforms;
+    if (activity) {
+      u.uSpotLatitude.value = Math.sin(activity.spotLatitude * DEG_TO_RAD);
+      u.uSpotWidth.value = Math.sin(SPOT_BAND_HALF_WIDTH * DEG_TO_RAD);
+      u.uSpotThreshold.value = THREE.MathUtils.lerp(SPOT_THRESHOLD_QUIET, SPOT_THRESHOLD_ACTIVE, activity.activity);
+      this.corona.material.uniforms.uBrightness.value = activity.coronaBrightness;
+    } else {
+      for (const [name, value] of Object.entries(DEFAULT_SUNSPOT_UNIFORMS)) u[name].value = value;
     }
+    if (this.sunspots) this.sunspots.visible = !!activity;
+    this.corona.visible = !!activity;
+    this._showProminences();
   }
 
   _createLighting() {
@@ -717,7 +945,7 @@ export class SolarSystemScene {
           uniforms: {
             uColor: { value: new THREE.Color(atm.color) },
             uIntensity: { value: atm.intensity },
-            uSunPosition: { value: new THREE.Vector3(0, 0, 0) },
+            uSunPosition: { value: this.scene.position }, // the Sun sits at the scene origin
             uThickness: { value: atm.thickness },
           },
           transparent: true,
@@ -764,7 +992,7 @@ export class SolarSystemScene {
           fragmentShader: cityLightsFragmentShader,
           uniforms: {
             uCityMap: { value: cityTexture },
-            uSunPosition: { value: new THREE.Vector3(0, 0, 0) },
+            uSunPosition: { value: this.scene.position }, // the Sun sits at the scene origin
           },
           transparent: true,
           blending: THREE.AdditiveBlending,
@@ -785,8 +1013,9 @@ export class SolarSystemScene {
       if (planetData.moons && planetData.moons.length > 0) {
         for (let mi = 0; mi < planetData.moons.length; mi++) {
           const moonData = planetData.moons[mi];
+          // Counter-rotated every frame so it stays aligned with the ecliptic
+          // while following the planet; the moon inside is placed from its ephemeris
           const moonGroup = new THREE.Group();
-          moonGroup.rotation.y = mi * 2.1 + Math.random() * Math.PI;
           planetMesh.add(moonGroup);
 
           // Correct ratio: (moonRealRadius / planetRealRadius) * planetDisplayRadius
@@ -824,8 +1053,8 @@ export class SolarSystemScene {
           // Moon orbit line
           const moonOrbitGeo = new THREE.BufferGeometry();
           const moonOrbitPoints = [];
-          for (let a = 0; a <= 64; a++) {
-            const angle = (a / 64) * Math.PI * 2;
+          for (let a = 0; a <= MOON_ORBIT_SEGMENTS; a++) {
+            const angle = (a / MOON_ORBIT_SEGMENTS) * Math.PI * 2;
             moonOrbitPoints.push(
               Math.cos(angle) * moonDist,
               0,
@@ -839,13 +1068,16 @@ export class SolarSystemScene {
             opacity: 0.1,
           });
           const moonOrbitLine = new THREE.Line(moonOrbitGeo, moonOrbitMat);
-          planetMesh.add(moonOrbitLine);
+          moonGroup.add(moonOrbitLine);
 
           moonMeshes.push({
             mesh: moonMesh,
             group: moonGroup,
             data: moonData,
             orbitLine: moonOrbitLine,
+            displayDist: moonDist,
+            minDist,
+            orbitJD: null,
           });
         }
       }
@@ -1065,8 +1297,9 @@ export class SolarSystemScene {
       if (planetData.moons && planetData.moons.length > 0) {
         for (let mi = 0; mi < planetData.moons.length; mi++) {
           const moonData = planetData.moons[mi];
+          // Counter-rotated every frame so it stays aligned with the ecliptic
+          // while following the planet; the moon inside is placed from its ephemeris
           const moonGroup = new THREE.Group();
-          moonGroup.rotation.y = mi * 2.1 + Math.random() * Math.PI;
           planetMesh.add(moonGroup);
 
           const moonRadius = Math.max(0.12, (moonData.radius / planetData.radius) * planetData.displayRadius);
@@ -1089,7 +1322,7 @@ export class SolarSystemScene {
           moonMesh.userData = { key: `${key}_moon_${mi}`, type: 'moon', parentKey: key, moonIndex: mi };
           moonGroup.add(moonMesh);
 
-          moonMeshes.push({ mesh: moonMesh, group: moonGroup, data: moonData });
+          moonMeshes.push({ mesh: moonMesh, group: moonGroup, data: moonData, displayDist: moonDist, minDist });
         }
       }
 
@@ -1148,6 +1381,8 @@ export class SolarSystemScene {
       const newRotY = Math.atan2(-posAU.y, posAU.x);
       if (!isFinite(newRotY)) continue;
       planet.orbitGroup.rotation.y = newRotY;
+      planet.helioAU = posAU;
+      this._placeOnOrbit(planet);
     }
   }
 
@@ -1194,6 +1429,84 @@ export class SolarSystemScene {
       const newRotY = Math.atan2(-posAU.y, posAU.x);
       if (!isFinite(newRotY)) continue;
       asteroid.orbitGroup.rotation.y = newRotY;
+      asteroid.helioAU = posAU;
+      this._placeOnOrbit(asteroid);
+    }
+  }
+
+  /**
+   * Show an asteroid or comet added from orbital elements (see SmallBodies).
+   * Its elements must already be registered. Re-adding a key replaces the body.
+   * Comets get a coma and ion and dust tails.
+   * @param {{ key: string, kind: string, displayRadius: number }} body
+   */
+  addSmallBody(body) {
+    if (!this.asteroidBelt) return;
+    if (this.smallBodies[body.key]) this.removeSmallBody(body.key);
+
+    const mesh = this.asteroidBelt.createSmallBodyMesh(body.key, body.displayRadius);
+    this._setBodySize(mesh, this._sizeFactor(body.key));
+    this.scene.add(mesh);
+
+    const orbitAU = getSmallBodyOrbitPath(body.key);
+    const orbitGeo = new THREE.BufferGeometry();
+    orbitGeo.setAttribute('position', new THREE.Float32BufferAttribute(orbitAU.length * 3, 3));
+    const orbitMat = new THREE.LineDashedMaterial({
+      color: 0x99aa77,
+      transparent: true,
+      opacity: 0.15,
+      dashSize: 0.8,
+      gapSize: 0.6,
+    });
+    const orbitLine = new THREE.Line(orbitGeo, orbitMat);
+    orbitLine.visible = this.showOrbits;
+    this.scene.add(orbitLine);
+    this.orbitLines[body.key] = orbitLine;
+
+    const tails = body.kind === 'comet' ? new CometTails(this.scene) : null;
+
+    this.smallBodies[body.key] = { mesh, orbitLine, orbitAU, tails, data: body };
+    this._updateSmallBodyOrbit(this.smallBodies[body.key]);
+    this._syncSmallBodiesToDate(this._simJD);
+  }
+
+  /** Remove an added asteroid or comet and free its GPU resources */
+  removeSmallBody(key) {
+    const entry = this.smallBodies[key];
+    if (!entry) return;
+    for (const obj of [entry.mesh, entry.orbitLine]) {
+      this.scene.remove(obj);
+      obj.geometry.dispose();
+      if (obj.material.map) obj.material.map.dispose();
+      obj.material.dispose();
+    }
+    if (entry.tails) entry.tails.dispose();
+    delete this.orbitLines[key];
+    delete this.smallBodies[key];
+    if (this.selectedPlanet === key) this.selectedPlanet = null;
+  }
+
+  /** Redraw an added body's orbit line for the current scale blend */
+  _updateSmallBodyOrbit(entry) {
+    const attr = entry.orbitLine.geometry.getAttribute('position');
+    entry.orbitAU.forEach((p, i) => {
+      const v = heliocentricToScene(p);
+      attr.setXYZ(i, v.x, v.y, v.z);
+    });
+    attr.needsUpdate = true;
+    entry.orbitLine.geometry.computeBoundingSphere();
+    entry.orbitLine.computeLineDistances();
+  }
+
+  /** @param {number} jd */
+  _syncSmallBodiesToDate(jd) {
+    for (const [key, entry] of Object.entries(this.smallBodies)) {
+      entry.mesh.position.copy(getPlanetPosition(key, jd));
+      if (!entry.tails) continue;
+      // Direction of motion from the position a day later
+      const velocity = getPlanetPosition(key, jd + 1).sub(entry.mesh.position);
+      const helio = getPlanetHeliocentricAU(key, jd);
+      entry.tails.setState(entry.mesh.position, velocity, Math.hypot(helio.x, helio.y, helio.z));
     }
   }
 
@@ -1204,13 +1517,15 @@ export class SolarSystemScene {
 
   /** Get world position of a planet */
   getPlanetWorldPosition(key) {
-    if (key === 'sun') return new THREE.Vector3(0, 0, 0);
+    if (key === 'sun') return this.sun.getWorldPosition(new THREE.Vector3());
     const planet = this.planets[key] || this.dwarfPlanets[key];
     if (planet) {
       const worldPos = new THREE.Vector3();
       planet.mesh.getWorldPosition(worldPos);
       return worldPos;
     }
+    const smallBody = this.smallBodies[key];
+    if (smallBody) return smallBody.mesh.getWorldPosition(new THREE.Vector3());
     // Check notable asteroids
     if (this.asteroidBelt) {
       const asteroid = this.asteroidBelt.getNotableAsteroid(key);
@@ -1223,24 +1538,65 @@ export class SolarSystemScene {
     return new THREE.Vector3(0, 0, 0);
   }
 
-  /** Focus camera on a planet with cinematic cubic Bezier arc */
-  focusOnPlanet(key) {
+  /**
+   * Position of a body in the scene's own heliocentric frame, for objects
+   * added straight to the scene. Unlike world positions it does not move
+   * with the floating origin.
+   * @param {string} key
+   */
+  getPlanetScenePosition(key) {
+    return this.getPlanetWorldPosition(key).add(this._origin);
+  }
+
+  /** Heliocentric scene point → world position under the current floating origin */
+  _toWorld(point) {
+    return point.clone().sub(this._origin);
+  }
+
+  /**
+   * Move the floating origin. The camera shifts with the world, so the view
+   * does not change.
+   * @param {THREE.Vector3} origin - heliocentric scene point
+   */
+  _setOrigin(origin) {
+    const shift = this._origin.clone().sub(origin);
+    if (shift.lengthSq() === 0) return;
+    this._origin.copy(origin);
+    this.scene.position.copy(origin).negate();
+    this.camera.position.add(shift);
+    this.controls.target.add(shift);
+  }
+
+  /**
+   * Keep the floating origin on the focused body, or on the Sun in overview.
+   * Held still while anything else drives the camera along a precomputed path.
+   */
+  _updateFloatingOrigin() {
+    if (this.isTransitioning || !this.controls.enabled || this.isSkyDomeActive) return;
+    const focus = this.selectedPlanet && !this._missionMode
+      ? this.getPlanetScenePosition(this.selectedPlanet)
+      : new THREE.Vector3();
+    this._setOrigin(focus);
+  }
+
+  /**
+   * Focus camera on a planet with cinematic cubic Bezier arc.
+   * @param {string} key
+   * @param {{ x: number, y: number, z: number }} [viewDir] - ecliptic unit vector to view from (e.g. toward Earth)
+   */
+  focusOnPlanet(key, viewDir) {
     const worldPos = this.getPlanetWorldPosition(key);
-    const planetData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key];
+    const planetData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key] || this.smallBodies[key]?.data;
     if (!planetData) return;
-    const radius = planetData.displayRadius;
     // Dwarf planets and asteroids are tiny — get camera closer for visibility
-    const isDwarf = DWARF_PLANETS[key] !== undefined;
-    const isAsteroid = ASTEROIDS[key] !== undefined;
-    const distance = (isDwarf || isAsteroid) ? radius * 3 + 2 : radius * 5 + 3;
+    const distance = this._focusDistance(key);
 
     this.startCameraPos.copy(this.camera.position);
     this.startLookAt.copy(this.controls.target);
-    this.targetCameraPos = new THREE.Vector3(
-      worldPos.x + distance * 0.7,
-      worldPos.y + distance * 0.4,
-      worldPos.z + distance * 0.7
-    );
+    const offset = viewDir
+      ? new THREE.Vector3(viewDir.x, viewDir.z, viewDir.y).setLength(distance)
+      : new THREE.Vector3(distance * 0.7, distance * 0.4, distance * 0.7);
+    this.targetCameraPos = worldPos.clone().add(offset);
     this.targetLookAt = worldPos.clone();
 
     // Slower cinematic transition duration
@@ -1278,7 +1634,7 @@ export class SolarSystemScene {
     this.controls.autoRotate = false;
 
     // Dynamic min-distance based on planet size
-    this.controls.minDistance = Math.max(2, radius * 1.8);
+    this.controls.minDistance = this._focusMinDistance(key);
   }
 
   /** Focus camera on a moon with cinematic arc */
@@ -1333,8 +1689,8 @@ export class SolarSystemScene {
   goToOverview() {
     this.startCameraPos.copy(this.camera.position);
     this.startLookAt.copy(this.controls.target);
-    this.targetCameraPos = new THREE.Vector3(40, 30, 80);
-    this.targetLookAt = new THREE.Vector3(0, 0, 0);
+    this.targetCameraPos = this._toWorld(new THREE.Vector3(40, 30, 80).multiplyScalar(this._overviewScale()));
+    this.targetLookAt = this._toWorld(new THREE.Vector3(0, 0, 0));
 
     // Slower cinematic transition
     const cameraDist = this.startCameraPos.distanceTo(this.targetCameraPos);
@@ -1366,7 +1722,7 @@ export class SolarSystemScene {
     this.controls.autoRotateSpeed = 0.3;
 
     // Reset min-distance for overview
-    this.controls.minDistance = 5;
+    this.controls.minDistance = this._overviewMinDistance();
   }
 
   /** Focus on asteroid belt region — elevated view centered on ~54 AU (Ceres orbit) */
@@ -1374,8 +1730,8 @@ export class SolarSystemScene {
     this.startCameraPos.copy(this.camera.position);
     this.startLookAt.copy(this.controls.target);
     // Target a region in the asteroid belt (between Mars and Jupiter)
-    this.targetCameraPos = new THREE.Vector3(30, 35, 55);
-    this.targetLookAt = new THREE.Vector3(0, 0, 0);
+    this.targetCameraPos = this._toWorld(new THREE.Vector3(30, 35, 55).multiplyScalar(this._overviewScale()));
+    this.targetLookAt = this._toWorld(new THREE.Vector3(0, 0, 0));
 
     const cameraDist = this.startCameraPos.distanceTo(this.targetCameraPos);
     this.transitionDuration = THREE.MathUtils.clamp(cameraDist / 40, 1.5, 4.0);
@@ -1402,13 +1758,38 @@ export class SolarSystemScene {
 
     this.controls.autoRotate = true;
     this.controls.autoRotateSpeed = 0.2;
-    this.controls.minDistance = 5;
+    this.controls.minDistance = this._overviewMinDistance();
   }
 
+  /** @param {number} speed - multiple of the base rate; negative runs time backward */
   setAnimationSpeed(speed) {
     this.animationSpeed = speed;
   }
 
+  /**
+   * Lock the clock to the device's time (the speed is ignored while locked).
+   * @param {boolean} on
+   */
+  setRealTime(on) {
+    this._realTime = on;
+  }
+
+  /**
+   * The simulation Julian Day moved by `days`, stopping the clock at the
+   * edge of the span the orbital elements are valid for. A clock already
+   * outside it (an eclipse centuries away, say) may only run back toward it.
+   * @param {number} days
+   * @returns {number}
+   */
+  _advanceWithinElements(days) {
+    const limit = days > 0 ? ELEMENTS_VALID_JD.max : ELEMENTS_VALID_JD.min;
+    const next = this._simJD + days;
+    if ((next - limit) * days <= 0) return next;
+    this.animationSpeed = 0;
+    if (this.onTimeLimit) this.onTimeLimit();
+    return (this._simJD - limit) * days < 0 ? limit : this._simJD;
+  }
+
   toggleOrbits() {
     this.showOrbits = !this.showOrbits;
     Object.values(this.orbitLines).forEach(line => {
@@ -1423,6 +1804,330 @@ export class SolarSystemScene {
     return this.showLabels;
   }
 
+  /**
+   * Switch between the artistic layout, true distances with enlarged bodies,
+   * and full true scale. Bodies, orbits, belts and the camera glide to the
+   * new layout over SCALE_TRANSITION_SECONDS.
+   * @param {'artistic'|'trueDistance'|'true'} mode
+   */
+  setScaleMode(mode) {
+    if (!SCALE_MODES[mode] || mode === this.scaleMode) return;
+    this.scaleMode = mode;
+    this._buildOrbitMorphs();
+    // A camera flight aimed at the old layout would end in the wrong place
+    this.isTransitioning = false;
+    this._cinematicSweepActive = false;
+    this.controls.enabled = true;
+    this._scaleTransition = { from: { ...this._scale }, to: SCALE_MODES[mode], progress: 0 };
+  }
+
+  /** Advance an animated scale switch */
+  _updateScaleTransition(delta) {
+    const tr = this._scaleTransition;
+    tr.progress = Math.min(1, tr.progress + delta / SCALE_TRANSITION_SECONDS);
+    const eased = tr.progress * tr.progress * (3 - 2 * tr.progress);
+
+    const before = this._cameraFrame();
+    this._scale.distance = THREE.MathUtils.lerp(tr.from.distance, tr.to.distance, eased);
+    this._scale.size = THREE.MathUtils.lerp(tr.from.size, tr.to.size, eased);
+    this._applyScale();
+    this._reframeCamera(before, this._cameraFrame());
+
+    if (tr.progress >= 1) {
+      this._scaleTransition = null;
+      if (this.onScaleModeChange) this.onScaleModeChange(this.scaleMode);
+    }
+  }
+
+  /** Reposition and resize everything for the current scale blend */
+  _applyScale() {
+    const { distance, size } = this._scale;
+    setDistanceBlend(distance);
+
+    const sunFactor = this._sizeFactor('sun');
+    this.sun.scale.setScalar(sunFactor);
+    this.corona.scale.setScalar(sunFactor);
+    for (const shell of this.coronaShells) shell.scale.setScalar(sunFactor);
+    for (const prom of this.prominences) prom.mesh.scale.setScalar(sunFactor);
+
+    const orbiting = [
+      ...Object.entries(this.planets).filter(([key]) => key !== 'sun'),
+      ...Object.entries(this.dwarfPlanets),
+      ...ASTEROID_ORDER.map(key => [key, this.asteroidBelt?.getNotableAsteroid(key)]),
+    ];
+    for (const [key, entry] of orbiting) {
+      if (!entry) continue;
+      this._setBodySize(entry.mesh, this._sizeFactor(key));
+      this._placeOnOrbit(entry);
+    }
+
+    for (const [key, entry] of Object.entries(this.smallBodies)) {
+      this._setBodySize(entry.mesh, this._sizeFactor(key));
+      this._updateSmallBodyOrbit(entry);
+    }
+    this._syncSmallBodiesToDate(this._simJD);
+
+    for (const [key, morph] of Object.entries(this._orbitMorphs)) {
+      const line = this.orbitLines[key];
+      if (!line) continue;
+      const attr = line.geometry.getAttribute('position');
+      for (let i = 0; i < attr.array.length; i++) {
+        attr.array[i] = morph.artistic[i] + (morph.true[i] - morph.artistic[i]) * distance;
+      }
+      attr.needsUpdate = true;
+      line.geometry.computeBoundingSphere();
+      line.computeLineDistances();
+    }
+
+    if (this.asteroidBelt) this.asteroidBelt.setDistanceBlend(distance, TRUE_SCALE_UNITS_PER_AU);
+
+    // Moon distances depend on the size blend; redraw their orbits too
+    for (const moons of [...Object.values(this.moonMeshes), ...Object.values(this.dwarfMoonMeshes)]) {
+      for (const moon of moons) moon.orbitJD = null;
+    }
+    this._syncMoonsToDate(this._simJD);
+
+    if (this.nBody) this.nBody.refreshScale();
+    if (this.heliosphere) this.heliosphere.refreshScale();
+
+    // Clip planes span from a true-size Earth up close to the Kuiper belt;
+    // near is blended logarithmically so depth precision degrades gradually
+    this.camera.near = ARTISTIC_CAMERA.near * Math.pow(TRUE_SCALE_CAMERA.near / ARTISTIC_CAMERA.near, size);
+    this.camera.far = THREE.MathUtils.lerp(ARTISTIC_CAMERA.far, TRUE_SCALE_CAMERA.far, distance);
+    this.camera.updateProjectionMatrix();
+    this.controls.maxDistance = THREE.MathUtils.lerp(ARTISTIC_CAMERA.maxDistance, TRUE_SCALE_CAMERA.maxDistance, distance);
+    this.controls.minDistance = this.selectedPlanet && !this.selectedMoonEntry
+      ? this._focusMinDistance(this.selectedPlanet)
+      : this._overviewMinDistance();
+  }
+
+  /**
+   * Body radius in scene units at true scale.
+   * @param {string} key
+   */
+  _trueRadius(key) {
+    const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key];
+    let radiusKm;
+    if (data) {
+      radiusKm = data.radius * EARTH_RADIUS_KM;
+    } else {
+      const diameter = estimateDiameterKm(getSmallBody(key)?.H ?? null);
+      radiusKm = diameter ? (diameter.min + diameter.max) / 4 : SMALL_BODY_DEFAULT_RADIUS_KM;
+    }
+    return radiusKm / KM_PER_AU * TRUE_SCALE_UNITS_PER_AU;
+  }
+
+  /** Mesh scale that takes a body from its display radius toward its true radius */
+  _sizeFactor(key) {
+    const size = this._scale.size;
+    if (size === 0) return 1;
+    const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key] || this.smallBodies[key]?.data;
+    if (!data) return 1;
+    return 1 + (this._trueRadius(key) / data.displayRadius - 1) * size;
+  }
+
+  /** Scale a mesh by a size factor on top of the scale it was built with */
+  _setBodySize(mesh, factor) {
+    if (!mesh.userData.baseScale) mesh.userData.baseScale = mesh.scale.clone();
+    mesh.scale.copy(mesh.userData.baseScale).multiplyScalar(factor);
+  }
+
+  /**
+   * Radius of a body as currently drawn, in scene units.
+   * @param {string} key
+   */
+  getBodyRadius(key) {
+    const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key] || this.smallBodies[key]?.data;
+    return data ? data.displayRadius * this._sizeFactor(key) : 0;
+  }
+
+  /**
+   * Place a body inside its orbit group: at the artistic orbit radius, blended
+   * toward its true distance from the Sun and height off the ecliptic.
+   * @param {{ mesh: THREE.Mesh, tiltGroup: THREE.Group, data: Object, helioAU?: Object }} entry
+   */
+  _placeOnOrbit(entry) {
+    const p = entry.helioAU;
+    const d = this._scale.distance;
+    if (!p || d === 0) {
+      entry.mesh.position.set(entry.data.orbitRadius, 0, 0);
+      return;
+    }
+    const r = THREE.MathUtils.lerp(entry.data.orbitRadius, Math.hypot(p.x, p.y) * TRUE_SCALE_UNITS_PER_AU, d);
+    const h = p.z * TRUE_SCALE_UNITS_PER_AU * d;
+    // Counter the tilt group's rotation so the height stays perpendicular to the ecliptic
+    const tilt = entry.tiltGroup.rotation.x;
+    entry.mesh.position.set(r, h * Math.cos(tilt), -h * Math.sin(tilt));
+  }
+
+  /**
+   * Pair every orbit line's artistic shape with the true orbit, point for
+   * point, so the lines can morph between them. The artistic points are
+   * resampled at the true points' directions from the Sun.
+   */
+  _buildOrbitMorphs() {
+    const keys = [...PLANET_ORDER.filter(k => k !== 'sun'), ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER];
+    for (const key of keys) {
+      const line = this.orbitLines[key];
+      const data = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key];
+      if (!line || !data) continue;
+      const count = line.geometry.getAttribute('position').count;
+      const path = getPlanetOrbitPath(key, this._simJD, count - 1);
+      if (path.length !== count) continue;
+
+      // Planet orbits are drawn as circles, the others as centred ellipses
+      const e = SOLAR_SYSTEM[key] ? 0 : data.eccentricity || 0;
+      const cosT = Math.cos(line.rotation.x);
+      const sinT = Math.sin(line.rotation.x);
+      const artistic = new Float32Array(count * 3);
+      const truePoints = new Float32Array(count * 3);
+      path.forEach((point, i) => {
+        // Into the line's local frame (undo its x rotation)
+        const w = auToTrueScene(point);
+        const x = w.x;
+        const y = w.y * cosT + w.z * sinT;
+        const z = -w.y * sinT + w.z * cosT;
+        truePoints.set([x, y, z], i * 3);
+
+        const angle = Math.atan2(z, x);
+        const r = data.orbitRadius * (1 - e * e) / (1 + e * Math.cos(angle));
+        artistic.set([Math.cos(angle) * r, 0, Math.sin(angle) * r], i * 3);
+      });
+      this._orbitMorphs[key] = { artistic, true: truePoints };
+    }
+  }
+
+  /** What the camera is framing: a body (and its focus distance) or the whole system */
+  _cameraFrame() {
+    const key = this.selectedMoonEntry ? null : this.selectedPlanet;
+    if (key) return { anchor: this.getPlanetWorldPosition(key), distance: this._focusDistance(key) };
+    return { anchor: this.scene.position.clone(), distance: this._overviewScale() };
+  }
+
+  /** Carry the camera along with what it frames as the layout changes */
+  _reframeCamera(before, after) {
+    if (this.isSkyDomeActive || this._missionMode) return;
+    const ratio = after.distance / before.distance;
+    const camOffset = this.camera.position.clone().sub(before.anchor).multiplyScalar(ratio);
+    const targetOffset = this.controls.target.clone().sub(before.anchor).multiplyScalar(ratio);
+    this.camera.position.copy(after.anchor).add(camOffset);
+    this.controls.target.copy(after.anchor).add(targetOffset);
+  }
+
+  /** Camera distance when focused on a body */
+  _focusDistance(key) {
+    const radius = this.getBodyRadius(key);
+    // The fixed margin keeps tiny bodies in view; it fades out at true size
+    const margin = 1 - this._scale.size;
+    const small = DWARF_PLANETS[key] !== undefined || ASTEROIDS[key] !== undefined || this.smallBodies[key] !== undefined;
+    return small ? radius * 3 + 2 * margin : radius * 5 + 3 * margin;
+  }
+
+  _focusMinDistance(key) {
+    return Math.max(2 * (1 - this._scale.size), this.getBodyRadius(key) * 1.8);
+  }
+
+  _overviewMinDistance() {
+    return THREE.MathUtils.lerp(5, 0.001, this._scale.size);
+  }
+
+  /** How much further out the overview camera sits than in the artistic layout */
+  _overviewScale() {
+    return THREE.MathUtils.lerp(1, TRUE_DISTANCE_OVERVIEW_SCALE, this._scale.distance);
+  }
+
+  /**
+   * Jump the simulation clock to a Julian Day and resync every body.
+   * @param {number} jd
+   */
+  setSimJD(jd) {
+    this._simJD = jd;
+    this._simDate = julianToDateStr(jd);
+    this.syncPlanetsToDate(jd);
+    this._syncDwarfPlanetsToDate(jd);
+    this._syncAsteroidsToDate(jd);
+    this._syncSmallBodiesToDate(jd);
+    if (this.onDateUpdate) this.onDateUpdate(this._simDate);
+  }
+
+  /**
+   * Switch planet and Moon positions to another ephemeris backend, loading
+   * it first if needed, and resync every body to the clock.
+   * @param {string} key - one of getEphemerisBackends()
+   * @returns {Promise<boolean>} false if no such backend is registered
+   */
+  async setEphemeris(key) {
+    if (!(await setEphemerisBackend(key))) return false;
+    for (const moon of this.moonMeshes.earth || []) moon.orbitJD = null;
+    this.setSimJD(this._simJD);
+    return true;
+  }
+
+  /**
+   * Show or hide the eclipse shadow cones and central line. The Moon
+   * reddens in Earth's shadow either way.
+   * @param {boolean} on
+   */
+  setEclipseMode(on) {
+    if (this.eclipseShadows) this.eclipseShadows.setVisible(on);
+  }
+
+  /**
+   * Show the interplanetary magnetic field for a wind speed and point in the
+   * solar cycle, or hide it.
+   * @param {{ windSpeed: number, phase: number }|null} params - km/s, and 0 to 1 from one minimum to the next
+   */
+  setHeliosphere(params) {
+    if (!params) {
+      if (this.heliosphere) this.heliosphere.setVisible(false);
+      return;
+    }
+    if (!this.heliosphere) {
+      this.heliosphere = new HeliosphericField(this, params);
+    } else if (params.windSpeed !== this.heliosphere.params.windSpeed || params.phase !== this.heliosphere.params.phase) {
+      this.heliosphere.setParams(params);
+    }
+    this.heliosphere.setVisible(true);
+  }
+
+  /**
+   * Draw a solar eclipse's central line on Earth, or clear it.
+   * @param {import('./Eclipses.js').Eclipse|null} eclipse
+   */
+  showEclipse(eclipse) {
+    if (this.eclipseShadows) this.eclipseShadows.setPath(eclipse && eclipse.type === 'solar' ? eclipse : null);
+  }
+
+  /** Whether the observer-on-Earth sky view is showing */
+  get isSkyDomeActive() {
+    return !!this.skyDome && this.skyDome.isActive;
+  }
+
+  /**
+   * Switch to the observer-on-Earth sky view. The clock slows to one
+   * minute per second at 1x so the sky turns at a watchable rate.
+   * @param {{ lat: number, lon: number }} observer
+   * @param {function} [announceFn]
+   */
+  enterSkyDome(observer, announceFn) {
+    if (!this.skyDome) {
+      this.skyDome = new SkyDomeView(this.renderer, this.controls, announceFn, () => {
+        this._daysPerSecond = this._savedDaysPerSecond;
+      });
+    }
+    if (this.skyDome.isActive) return;
+    this._savedDaysPerSecond = this._daysPerSecond;
+    this._daysPerSecond = SKY_DOME_DAYS_PER_SECOND;
+    this.controls.autoRotate = false;
+    this.skyDome.enter(observer);
+    this.skyDome.update(this._simJD);
+  }
+
+  /** Leave the sky view and return to the heliocentric camera. */
+  exitSkyDome() {
+    if (this.skyDome) this.skyDome.exit();
+  }
+
   /** Enter mission mode — freeze normal orbit animation. */
   enterMissionMode() {
     this._missionMode = true;
@@ -1434,12 +2139,34 @@ export class SolarSystemScene {
     this._missionMode = false;
   }
 
+  /**
+   * Hand the Sun and planets to an N-body integrator seeded from the
+   * current date. The clock stops; the sandbox runs its own time.
+   * @returns {NBodySandbox}
+   */
+  enterNBodyMode() {
+    if (!this.nBody) {
+      this.nBody = new NBodySandbox(this, this._simJD);
+      this.controls.autoRotate = false;
+    }
+    return this.nBody;
+  }
+
+  /** Leave the N-body sandbox and put every body back on its Keplerian orbit. */
+  exitNBodyMode() {
+    if (!this.nBody) return;
+    this.nBody.dispose();
+    this.nBody = null;
+    this.setSimJD(this._simJD);
+  }
+
   /**
    * Sync all planet orbitGroup rotations to real Keplerian positions for a date.
    * This makes visible planets align with trajectory waypoints.
    */
   syncPlanetsToDate(dateStr) {
-    if (!dateStr) return;
+    // The N-body sandbox places the planets itself
+    if (!dateStr || this.nBody) return;
     const planetKeys = PLANET_ORDER.filter(k => k !== 'sun');
     for (const key of planetKeys) {
       const planet = this.planets[key];
@@ -1452,9 +2179,116 @@ export class SolarSystemScene {
       const newRotY = Math.atan2(-posAU.y, posAU.x);
       if (!isFinite(newRotY)) continue; // NaN guard — hold previous valid rotation
       planet.orbitGroup.rotation.y = newRotY;
+      planet.helioAU = posAU;
+      this._placeOnOrbit(planet);
+    }
+    this._planetsJD = typeof dateStr === 'number' ? dateStr : dateToJulian(dateStr);
+    this._syncMoonsToDate(dateStr);
+  }
+
+  /** Julian Day the planets are drawn at: the clock's, a replay's or the N-body sandbox's */
+  get planetsJD() {
+    if (this.nBody) return this.nBody.jd;
+    return this._planetsJD ?? this._simJD;
+  }
+
+  /**
+   * Place every moon from its ephemeris. Directions are real; distances keep
+   * the exaggerated display scale (offset / a × display distance), blended
+   * toward true distances as bodies shrink to true size, and clamped clear
+   * of the parent's surface.
+   */
+  _syncMoonsToDate(dateStr) {
+    const jd = typeof dateStr === 'number' ? dateStr : dateToJulian(dateStr);
+    const size = this._scale.size;
+    const toDisplay = (v, scale, moon, target) => {
+      // Ecliptic (x, y, z) → scene (x, z, y), as for planet positions
+      target.set(v.x, v.z, v.y).multiplyScalar(scale);
+      if (target.length() < moon.minDist) target.setLength(moon.minDist);
+      return target;
+    };
+
+    const sync = (parentKey, moons) => {
+      // Moons sit inside the parent's mesh, so undo its size factor to reach true distances
+      const parentFactor = this._sizeFactor(parentKey);
+      for (const moon of moons) {
+        const elements = getMoonElements(parentKey, moon.data.name);
+        if (!elements) continue;
+        const a = elements.a;
+        const scale = size === 0 ? moon.displayDist / a
+          : THREE.MathUtils.lerp(moon.displayDist / a, TRUE_SCALE_UNITS_PER_AU / KM_PER_AU, size) / parentFactor;
+        toDisplay(getMoonOffset(parentKey, moon.data.name, jd), scale, moon, moon.mesh.position);
+
+        const path = moon.orbitLine && (moon.orbitJD === null || Math.abs(jd - moon.orbitJD) > MOON_ORBIT_REFRESH_DAYS)
+          ? getMoonOrbitPath(parentKey, moon.data.name, jd, MOON_ORBIT_SEGMENTS)
+          : null;
+
+        if (path) {
+          const attr = moon.orbitLine.geometry.getAttribute('position');
+          const p = new THREE.Vector3();
+          path.forEach((point, i) => {
+            toDisplay(point, scale, moon, p);
+            attr.setXYZ(i, p.x, p.y, p.z);
+          });
+          attr.needsUpdate = true;
+          moon.orbitLine.geometry.computeBoundingSphere();
+          moon.orbitJD = jd;
+        }
+      }
+    };
+
+    for (const key of Object.keys(this.moonMeshes)) sync(key, this.moonMeshes[key]);
+    for (const key of Object.keys(this.dwarfMoonMeshes)) sync(key, this.dwarfMoonMeshes[key]);
+  }
+
+  /**
+   * Turn Earth to its sidereal angle for the simulation time, with its pole
+   * and the Sun where they really are relative to it.
+   */
+  _orientEarth() {
+    const earth = this.planets.earth;
+    if (!earth) return;
+    getInertialQuaternion(earth.helioAU || getPlanetHeliocentricAU('earth', this._simJD), _earthInertialQuat);
+    setWorldQuaternion(earth.mesh, getEarthFixedQuaternion(_earthInertialQuat, this._simJD, _earthQuat));
+  }
+
+  /**
+   * Turn the planets, Ceres, Pluto and Luna to their IAU orientation for the
+   * simulation time: the right pole and prime meridian, with the Sun on the
+   * right side of the terminator and Luna's near side toward Earth.
+   */
+  _orientBodies() {
+    const jd = this._simJD;
+    for (const [key, entry] of [...Object.entries(this.planets), ...Object.entries(this.dwarfPlanets)]) {
+      if (key === 'earth' || !entry.helioAU || !hasRotationModel(key)) continue;
+      _toward.set(-entry.helioAU.x, -entry.helioAU.y, -entry.helioAU.z);
+      setWorldQuaternion(entry.mesh, getBodyQuaternion(key, jd, _toward, _bodyQuat));
+    }
+
+    // Luna's offset is in scene axes, ecliptic (x, y, z) drawn as (x, z, y)
+    const luna = this.moonMeshes.earth?.[0];
+    if (luna) {
+      const p = luna.mesh.position;
+      _toward.set(-p.x, -p.z, -p.y);
+      setWorldQuaternion(luna.mesh, getBodyQuaternion('moon', jd, _toward, _bodyQuat));
     }
   }
 
+  /** Redraw satellites after the catalogue changed */
+  refreshSatellites() {
+    if (this.issTracker) this.issTracker.setSatellites(getSatellites());
+  }
+
+  /** Cancel each parent's spin, tilt and orbit rotation so moon offsets stay in the ecliptic frame */
+  _alignMoonGroups() {
+    const align = (parent, moons) => {
+      if (!parent || !moons || moons.length === 0) return;
+      for (const moon of moons) setWorldQuaternion(moon.group, _identityQuat);
+    };
+    for (const key of Object.keys(this.moonMeshes)) align(this.planets[key], this.moonMeshes[key]);
+    for (const key of Object.keys(this.dwarfMoonMeshes)) align(this.dwarfPlanets[key], this.dwarfMoonMeshes[key]);
+  }
+
   _onResize() {
     const w = window.innerWidth;
     const h = window.innerHeight;
@@ -1468,6 +2302,7 @@ export class SolarSystemScene {
     if (this._bloomPass) {
       this._bloomPass.resolution.set(w, h);
     }
+    if (this.skyDome) this.skyDome.resize(w, h);
   }
 
   _onMouseMove(event) {
@@ -1488,6 +2323,7 @@ export class SolarSystemScene {
   }
 
   _onClick(event) {
+    if (this.isSkyDomeActive) return;
     this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
@@ -1513,6 +2349,7 @@ export class SolarSystemScene {
         if (asteroid) clickable.push(asteroid.mesh);
       }
     }
+    for (const entry of Object.values(this.smallBodies)) clickable.push(entry.mesh);
     // Add moons
     for (const key of Object.keys(this.moonMeshes)) {
       for (const moon of this.moonMeshes[key]) {
@@ -1549,7 +2386,7 @@ export class SolarSystemScene {
 
   /** Double-click: if a planet is hit focus on it; otherwise pivot orbit around clicked point */
   _onDblClick(event) {
-    if (this.selectedPlanet || this.isTransitioning) return;
+    if (this.selectedPlanet || this.isTransitioning || this.isSkyDomeActive) return;
 
     this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -1615,6 +2452,7 @@ export class SolarSystemScene {
         if (asteroid) clickable.push(asteroid.mesh);
       }
     }
+    for (const entry of Object.values(this.smallBodies)) clickable.push(entry.mesh);
 
     const intersects = this.raycaster.intersectObjects(clickable, false);
     const prevHovered = this.hoveredPlanet;
@@ -1646,6 +2484,7 @@ export class SolarSystemScene {
   _startCinematicSweep() {
     // 15-second cinematic sweep: start close to Earth, pull back to overview
     this._cinematicSweepActive = true;
+    this._setOrigin(new THREE.Vector3()); // the sweep path is heliocentric
 
     // Get Earth's world position at load time
     const earthPos = this.getPlanetWorldPosition('earth');
@@ -1698,6 +2537,14 @@ export class SolarSystemScene {
     const elapsed = this.clock.getElapsedTime();
     const speed = this.animationSpeed;
 
+    if (this._scaleTransition) this._updateScaleTransition(delta);
+
+    // At true distances the camera can roam past the sky spheres; carry them along
+    const skyFollow = this._scale.distance;
+    for (const sky of [this.starfield, this._milkyWayMesh, this.particleStars]) {
+      if (sky) sky.position.copy(this.camera.position).add(this._origin).multiplyScalar(skyFollow);
+    }
+
     // Subtle starfield drift
     if (this.starfield) {
       this.starfield.rotation.y += 0.00002 * speed;
@@ -1705,7 +2552,7 @@ export class SolarSystemScene {
 
     // Milky Way fade-in based on camera distance
     if (this._milkyWayMat) {
-      const dist = this.camera.position.length();
+      const dist = this.camera.position.distanceTo(this.scene.position) / this._overviewScale();
       const t = THREE.MathUtils.clamp((dist - 400) / 300, 0, 1);
       this._milkyWayMat.opacity = t * 0.55;
     }
@@ -1722,6 +2569,9 @@ export class SolarSystemScene {
     if (this.sun.material.uniforms) {
       this.sun.material.uniforms.uTime.value = elapsed;
     }
+    if (this.sunspots && this.sunspots.visible) {
+      this.sunspots.material.uniforms.uTime.value = elapsed;
+    }
     if (this.corona && this.corona.material.uniforms) {
       this.corona.material.uniforms.uTime.value = elapsed;
     }
@@ -1749,13 +2599,21 @@ export class SolarSystemScene {
     }
 
     // Advance simulation date and sync Keplerian positions
-    if (!this._missionMode && speed > 0) {
-      const daysAdvanced = Math.min(delta * speed * this._daysPerSecond, 30);
-      this._simJD += daysAdvanced; // advance Julian date numerically — no string parse/format roundtrip
+    if (this.nBody) {
+      this.nBody.update(delta);
+      this._syncMoonsToDate(this.nBody.jd);
+    } else if (!this._missionMode && (speed !== 0 || this._realTime)) {
+      if (this._realTime) {
+        this._simJD = dateToJulianDay(new Date());
+      } else {
+        const days = THREE.MathUtils.clamp(delta * speed * this._daysPerSecond, -30, 30);
+        this._simJD = this._advanceWithinElements(days); // numerically — no string parse/format roundtrip
+      }
       this._simDate = julianToDateStr(this._simJD);
       this.syncPlanetsToDate(this._simJD);
       this._syncDwarfPlanetsToDate(this._simJD);
       this._syncAsteroidsToDate(this._simJD);
+      this._syncSmallBodiesToDate(this._simJD);
 
       // Fire date update callback
       if (this.onDateUpdate) this.onDateUpdate(this._simDate);
@@ -1765,33 +2623,36 @@ export class SolarSystemScene {
     const planetKeys = PLANET_ORDER.filter(k => k !== 'sun');
     for (const key of planetKeys) {
       const planet = this.planets[key];
-      if (!planet) continue;
+      if (!planet || hasRotationModel(key)) continue;
 
       // Self rotation
       const rotSpeed = planet.data.rotationSpeed || 0.005;
       planet.mesh.rotation.y += rotSpeed * delta * speed * 3;
-
-      // Rotate moons
-      if (this.moonMeshes[key]) {
-        for (const moon of this.moonMeshes[key]) {
-          moon.group.rotation.y += (moon.data.speed || 0.03) * delta * speed * 3;
-        }
-      }
     }
 
-    // Dwarf planet self-rotation and moons
+    // Dwarf planet self-rotation
     for (const key of DWARF_PLANET_ORDER) {
       const planet = this.dwarfPlanets[key];
-      if (!planet) continue;
+      if (!planet || hasRotationModel(key)) continue;
       const rotSpeed = planet.data.rotationSpeed || 0.005;
       planet.mesh.rotation.y += rotSpeed * delta * speed * 3;
-      if (this.dwarfMoonMeshes[key]) {
-        for (const moon of this.dwarfMoonMeshes[key]) {
-          moon.group.rotation.y += (moon.data.speed || 0.03) * delta * speed * 3;
-        }
-      }
     }
 
+    // Added asteroid and comet self-rotation
+    for (const entry of Object.values(this.smallBodies)) {
+      entry.mesh.rotation.y += 0.005 * delta * speed * 3;
+      if (entry.tails) entry.tails.update(elapsed);
+    }
+
+    // Earth turns by sidereal time so satellites pass over the right ground
+    this._orientEarth();
+
+    // Moons are positioned by date in _syncMoonsToDate; keep their frames ecliptic-aligned
+    this._alignMoonGroups();
+
+    // Everything else with an IAU model turns by it too
+    this._orientBodies();
+
     // Rotate Earth clouds slightly faster
     if (this.earthClouds) {
       this.earthClouds.rotation.y += 0.0005 * speed;
@@ -1804,19 +2665,34 @@ export class SolarSystemScene {
 
     // Update ISS
     if (this.issTracker) {
-      this.issTracker.update(delta * speed, elapsed, this.camera);
+      this.issTracker.update(this._simJD, _earthInertialQuat, this.camera);
+    }
+
+    // Fit eclipse shadows to where Earth and the Moon are drawn
+    if (this.eclipseShadows) {
+      this.eclipseShadows.update(this._simJD);
+    }
+
+    // Turn the interplanetary field with the Sun and mark the planets' sectors
+    if (this.heliosphere && this.heliosphere.visible) {
+      this.heliosphere.update(delta);
+    }
+
+    // Sun's activity for the date, and the odd CME
+    if (this._solarCycle) {
+      this._updateSolarCycle(delta);
     }
 
     // Proximity-based orbit line fading
     if (this.showOrbits) {
-      const allOrbitKeys = [...planetKeys, ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER];
+      const allOrbitKeys = [...planetKeys, ...DWARF_PLANET_ORDER, ...ASTEROID_ORDER, ...Object.keys(this.smallBodies)];
       for (const key of allOrbitKeys) {
         const orbitLine = this.orbitLines[key];
         if (!orbitLine) continue;
         const planetWorldPos = this.getPlanetWorldPosition(key);
         const camDist = this.camera.position.distanceTo(planetWorldPos);
-        const pData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key];
-        const radius = pData ? pData.displayRadius : 1;
+        const pData = SOLAR_SYSTEM[key] || DWARF_PLANETS[key] || ASTEROIDS[key] || this.smallBodies[key]?.data;
+        const radius = pData ? this.getBodyRadius(key) : 1;
         orbitLine.material.opacity = 0.15 * THREE.MathUtils.clamp(camDist / (radius * 15), 0, 1);
       }
     }
@@ -1920,6 +2796,16 @@ export class SolarSystemScene {
       this.controls.target.lerp(newTarget, 0.015);
     }
 
+    // Observer sky view replaces the heliocentric render entirely
+    if (this.isSkyDomeActive) {
+      this.skyDome.update(this._simJD);
+      this.skyDome.render();
+      if (this.onFrame) this.onFrame(delta);
+      return;
+    }
+
+    this._updateFloatingOrigin();
+
     // Hover check
     this._checkHover();
 
@@ -1982,6 +2868,10 @@ export class SolarSystemScene {
 
     if (this.asteroidBelt) this.asteroidBelt.dispose();
     if (this.issTracker) this.issTracker.dispose();
+    if (this.eclipseShadows) this.eclipseShadows.dispose();
+    if (this.auroraOval) this.auroraOval.dispose();
+    if (this.heliosphere) this.heliosphere.dispose();
+    if (this.skyDome) this.skyDome.dispose();
     if (this.earthCityLights) {
       this.earthCityLights.geometry.dispose();
       const mat = this.earthCityLights.material;
@@ -0,0 +1,355 @@
+/**
+ * Solar-wind time series for storm replays: parse OMNI or DSCOVR CSV files
+ * (speed, density, Bz, Kp), find the CME's shock in them, and work out what
+ * the storm did — when it left the Sun, when it reached each planet, how
+ * hard it squeezed each magnetosphere and how bright Earth's aurora got.
+ *
+ * The data are taken as measured at Earth (OMNI's convention; DSCOVR sits
+ * at L1, an hour or less upstream). The CME is taken to cross the Solar
+ * System at the top speed measured behind its shock.
+ */
+import { dateToJulianDay } from '../utils/skyFormat.js';
+import { KM_PER_AU } from './OrbitalMechanics.js';
+
+/** L1's distance upstream of Earth (km) */
+const L1_KM = 1.5e6;
+
+/** Proton mass × 1 cm⁻³ × (1 km/s)² in nPa */
+const PRESSURE_NPA = 1.6726e-6;
+
+/** Undisturbed solar wind at Earth */
+export const QUIET_SOLAR_WIND = { speed: 400, density: 5, bz: 0 };
+
+/** How far back a speed jump is looked for when finding the shock (days) */
+const SHOCK_WINDOW_DAYS = 2 / 24;
+
+/** How long after the shock the CME's speed is taken from (days) */
+const CME_SPEED_WINDOW_DAYS = 1;
+
+/**
+ * Header names each column is recognised by, lower-cased with everything
+ * but letters and digits removed. Names longer than a letter match as
+ * prefixes, so "Flow speed, km/s" and "BZ, nT (GSM)" are found too.
+ */
+const COLUMN_NAMES = {
+  time: ['time', 'timetag', 'epoch', 'datetime', 'date', 'timestamp'],
+  year: ['year', 'yr', 'yyyy'],
+  doy: ['doy', 'day', 'dayofyear'],
+  hour: ['hr', 'hour'],
+  minute: ['mn', 'min', 'minute'],
+  speed: ['speed', 'flowspeed', 'bulkspeed', 'plasmaspeed', 'vsw', 'v'],
+  density: ['density', 'protondensity', 'np', 'n'],
+  bz: ['bz', 'bzgsm', 'bzgse'],
+  kp: ['kp', 'kpindex'],
+};
+
+/** Values at or beyond these are fill values (OMNI writes 9999.9 and the like) */
+const FILL_LIMITS = { speed: [1, 3500], density: [0, 900], bz: [-900, 900], kp: [0, 90] };
+
+/**
+ * @typedef {Object} SolarWindSample
+ * @property {number} jd
+ * @property {number} speed - km/s
+ * @property {number} density - protons per cm³
+ * @property {number} bz - nT, GSM
+ * @property {number} kp
+ */
+
+/**
+ * @typedef {Object} StormEvent
+ * @property {number} startJD - first sample
+ * @property {number} endJD - last sample
+ * @property {number} arrivalJD - the CME's shock at Earth
+ * @property {number} eruptionJD - the CME left the Sun
+ * @property {number} cmeSpeed - km/s
+ * @property {number} peakKp
+ * @property {number} minBz - nT
+ * @property {number} peakPressure - nPa
+ */
+
+// ==================== Parsing ====================
+
+function normalizeHeader(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function findColumns(header) {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_NAMES)) {
+    const index = names.findIndex(name => aliases.some(alias =>
+      name === alias || (alias.length > 1 && name.startsWith(alias))));
+    if (index >= 0 && !Object.values(columns).includes(index)) columns[field] = index;
+  }
+  return columns;
+}
+
+/** "2003-10-29 06:00:00.000" or ISO 8601 → Julian Day, as UTC unless a zone is given */
+function parseTime(text) {
+  const iso = text.trim().replace(' ', 'T');
+  const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+  return Number.isFinite(ms) ? dateToJulianDay(new Date(ms)) : NaN;
+}
+
+function rowTime(cells, columns) {
+  if (columns.time !== undefined) return parseTime(cells[columns.time]);
+  const year = parseInt(cells[columns.year], 10);
+  const doy = parseInt(cells[columns.doy], 10);
+  const hour = parseFloat(cells[columns.hour] ?? '0');
+  const minute = columns.minute !== undefined ? parseFloat(cells[columns.minute]) : 0;
+  if (![year, doy, hour, minute].every(Number.isFinite)) return NaN;
+  return dateToJulianDay(new Date(Date.UTC(year, 0, doy, hour, minute)));
+}
+
+function readValue(cells, index, field) {
+  const value = parseFloat(cells[index]);
+  const [min, max] = FILL_LIMITS[field];
+  return Number.isFinite(value) && value >= min && value <= max ? value : null;
+}
+
+/** Fill gaps in one field by interpolating between the good values around them */
+function fillGaps(rows, field) {
+  const good = rows.map((r, i) => (r[field] === null ? -1 : i)).filter(i => i >= 0);
+  if (good.length === 0) return false;
+  let g = 0;
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i][field] !== null) continue;
+    while (g < good.length - 1 && good[g + 1] < i) g++;
+    const before = good[g] < i ? good[g] : null;
+    const after = good[g] > i ? good[g] : good[g + 1] ?? null;
+    if (before === null || after === null) {
+      rows[i][field] = rows[before ?? after][field];
+    } else {
+      const t = (rows[i].jd - rows[before].jd) / (rows[after].jd - rows[before].jd);
+      rows[i][field] = rows[before][field] + (rows[after][field] - rows[before][field]) * t;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read a solar-wind CSV. The header row names the columns: a time (one
+ * date-time column, or OMNI's year, day-of-year, hour and minute), speed,
+ * density, Bz and Kp, in any order and among any others. Commas,
+ * semicolons or tabs separate values, or else spaces; lines starting with
+ * "#" are comments. Fill values and gaps are interpolated over, and Kp
+ * written as ten times its value (OMNI's "Kp*10") is scaled back.
+ * @param {string} text
+ * @returns {{ samples: SolarWindSample[]|null, error: string|null }} error is 'columns' or 'format'
+ */
+export function parseSolarWindCSV(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length < 3) return { samples: null, error: 'format' };
+  const split = (line) => (/[,;\t]/.test(line) ? line.split(/\s*[,;\t]\s*/) : line.split(/\s+/));
+
+  const columns = findColumns(split(lines[0]));
+  const hasTime = columns.time !== undefined ||
+    (columns.year !== undefined && columns.doy !== undefined && columns.hour !== undefined);
+  if (!hasTime || ['speed', 'density', 'bz', 'kp'].some(f => columns[f] === undefined)) {
+    return { samples: null, error: 'columns' };
+  }
+
+  const rows = [];
+  for (const line of lines.slice(1)) {
+    const cells = split(line);
+    const jd = rowTime(cells, columns);
+    if (!Number.isFinite(jd)) continue;
+    rows.push({
+      jd,
+      speed: readValue(cells, columns.speed, 'speed'),
+      density: readValue(cells, columns.density, 'density'),
+      bz: readValue(cells, columns.bz, 'bz'),
+      kp: readValue(cells, columns.kp, 'kp'),
+    });
+  }
+  rows.sort((a, b) => a.jd - b.jd);
+  if (rows.length < 2 || rows[rows.length - 1].jd === rows[0].jd) return { samples: null, error: 'format' };
+  if (!['speed', 'density', 'bz', 'kp'].every(f => fillGaps(rows, f))) return { samples: null, error: 'format' };
+
+  if (rows.some(r => r.kp > 9)) {
+    for (const r of rows) r.kp /= 10;
+  }
+  return { samples: rows, error: null };
+}
+
+// ==================== Storm ====================
+
+/**
+ * Dynamic pressure of the solar wind, ρv².
+ * @param {{ speed: number, density: number }} wind
+ * @returns {number} nPa
+ */
+export function getDynamicPressure({ speed, density }) {
+  return PRESSURE_NPA * density * speed * speed;
+}
+
+/**
+ * Earth's magnetopause stand-off distance from the Shue et al. (1998)
+ * model: pushed in by pressure, eroded further when Bz turns south.
+ * @param {{ speed: number, density: number, bz: number }} wind
+ * @returns {number} Earth radii
+ */
+export function getMagnetopauseStandoff(wind) {
+  const pressure = Math.max(getDynamicPressure(wind), 0.01);
+  return (10.22 + 1.29 * Math.tanh(0.184 * (wind.bz + 8.14))) * Math.pow(pressure, -1 / 6.6);
+}
+
+function indexAt(samples, jd) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].jd <= jd) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * The solar wind at Earth at a moment: speed, density and Bz interpolated,
+ * Kp held from the sample before. Outside the series the nearest end holds.
+ * @param {SolarWindSample[]} samples
+ * @param {number} jd
+ * @returns {SolarWindSample}
+ */
+export function sampleSolarWind(samples, jd) {
+  if (jd <= samples[0].jd) return { ...samples[0], jd };
+  const last = samples[samples.length - 1];
+  if (jd >= last.jd) return { ...last, jd };
+  const i = indexAt(samples, jd);
+  const a = samples[i];
+  const b = samples[i + 1];
+  const t = (jd - a.jd) / (b.jd - a.jd);
+  return {
+    jd,
+    speed: a.speed + (b.speed - a.speed) * t,
+    density: a.density + (b.density - a.density) * t,
+    bz: a.bz + (b.bz - a.bz) * t,
+    kp: a.kp,
+  };
+}
+
+/**
+ * The solar wind at another distance from the Sun: what passed Earth when
+ * this parcel left Earth's distance, thinned as 1/r².
+ * @param {SolarWindSample[]} samples
+ * @param {number} jd
+ * @param {number} distanceAU
+ * @returns {SolarWindSample}
+ */
+export function sampleSolarWindAt(samples, jd, distanceAU) {
+  const delay = (speed) => (distanceAU - 1) * KM_PER_AU / speed / 86400;
+  // The parcel's speed sets its delay; one refinement settles it
+  const first = sampleSolarWind(samples, jd - delay(sampleSolarWind(samples, jd).speed));
+  const wind = sampleSolarWind(samples, jd - delay(first.speed));
+  return { ...wind, jd, density: wind.density / (distanceAU * distanceAU), bz: wind.bz / distanceAU };
+}
+
+/**
+ * How far a magnetosphere at some distance is squeezed relative to quiet
+ * times: Earth's from the Shue model, the others from pressure balance
+ * alone (stand-off ∝ pressure^−1/6).
+ * @param {SolarWindSample[]} samples
+ * @param {number} jd
+ * @param {number} distanceAU
+ * @param {boolean} earth
+ * @returns {number} stand-off now / quiet stand-off, below 1 when squeezed
+ */
+export function getCompression(samples, jd, distanceAU, earth) {
+  const wind = sampleSolarWindAt(samples, jd, distanceAU);
+  if (earth) return getMagnetopauseStandoff(wind) / getMagnetopauseStandoff(QUIET_SOLAR_WIND);
+  const quiet = getDynamicPressure(QUIET_SOLAR_WIND) / (distanceAU * distanceAU);
+  return Math.pow(getDynamicPressure(wind) / quiet, -1 / 6);
+}
+
+/**
+ * Find the CME in a series: its shock is the sharpest rise in speed, its
+ * speed the fastest wind in the day behind the shock, and its launch the
+ * time it would have taken at that speed to cross 1 AU.
+ * @param {SolarWindSample[]} samples
+ * @returns {StormEvent}
+ */
+export function analyzeSolarWind(samples) {
+  let shock = 0;
+  let floor = samples[0].speed;
+  let bestJump = -Infinity;
+  let from = 0;
+  for (let i = 1; i < samples.length; i++) {
+    while (samples[i].jd - samples[from].jd > SHOCK_WINDOW_DAYS) from++;
+    let slowest = Infinity;
+    for (let j = from; j < i; j++) slowest = Math.min(slowest, samples[j].speed);
+    if (samples[i].speed - slowest > bestJump) {
+      bestJump = samples[i].speed - slowest;
+      floor = slowest;
+      shock = i;
+    }
+  }
+  // The shock is where the rise passes halfway, not where it tops out
+  while (shock > 0 && samples[shock - 1].speed >= floor + bestJump / 2) shock--;
+
+  const arrivalJD = samples[shock].jd;
+  const behind = samples.filter(s => s.jd >= arrivalJD && s.jd <= arrivalJD + CME_SPEED_WINDOW_DAYS);
+  const cmeSpeed = Math.max(...behind.map(s => s.speed));
+  return {
+    startJD: samples[0].jd,
+    endJD: samples[samples.length - 1].jd,
+    arrivalJD,
+    eruptionJD: arrivalJD - KM_PER_AU / cmeSpeed / 86400,
+    cmeSpeed,
+    peakKp: Math.max(...samples.map(s => s.kp)),
+    minBz: Math.min(...samples.map(s => s.bz)),
+    peakPressure: Math.max(...samples.map(getDynamicPressure)),
+  };
+}
+
+/**
+ * When the CME reaches a distance from the Sun.
+ * @param {StormEvent} event
+ * @param {number} distanceAU
+ * @returns {number} Julian Day
+ */
+export function getCMEArrivalJD(event, distanceAU) {
+  return event.eruptionJD + distanceAU * KM_PER_AU / event.cmeSpeed / 86400;
+}
+
+/**
+ * How far from the Sun the CME's front has got.
+ * @param {StormEvent} event
+ * @param {number} jd
+ * @returns {number} AU, 0 before the eruption
+ */
+export function getCMEFrontAU(event, jd) {
+  return Math.max(0, (jd - event.eruptionJD) * 86400 * event.cmeSpeed / KM_PER_AU);
+}
+
+/**
+ * When the CME's shock passed the L1 monitors, upstream of Earth.
+ * @param {StormEvent} event
+ * @returns {number} Julian Day
+ */
+export function getL1ArrivalJD(event) {
+  return event.arrivalJD - L1_KM / event.cmeSpeed / 86400;
+}
+
+/**
+ * Brightness of Earth's aurora for a Kp: nothing much below Kp 3, full at 9.
+ * @param {number} kp
+ * @returns {number} 0–1
+ */
+export function getAuroraIntensity(kp) {
+  return Math.min(1, Math.max(0, (kp - 3) / 6));
+}
+
+/**
+ * Brightness of a giant planet's aurora, which follows how hard the solar
+ * wind pushes on it: full at thirty times the quiet pressure.
+ * @param {SolarWindSample[]} samples
+ * @param {number} jd
+ * @param {number} distanceAU
+ * @returns {number} 0–1
+ */
+export function getPressureAuroraIntensity(samples, jd, distanceAU) {
+  const wind = sampleSolarWindAt(samples, jd, distanceAU);
+  const ratio = getDynamicPressure(wind) * distanceAU * distanceAU / getDynamicPressure(QUIET_SOLAR_WIND);
+  return Math.min(1, Math.max(0, Math.log10(ratio) / Math.log10(30)));
+}
@@ -1,18 +1,25 @@
 /** Atmospheric glow shader for planets */
 
 export const atmosphereVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec3 vNormal;
   varying vec3 vWorldPosition;
 
   void main() {
-    vNormal = normalize(normalMatrix * normal);
+    // World-space normal, to match the world-space Sun and camera directions
+    vNormal = normalize(mat3(modelMatrix) * normal);
     vec4 worldPos = modelMatrix * vec4(position, 1.0);
     vWorldPosition = worldPos.xyz;
     gl_Position = projectionMatrix * viewMatrix * worldPos;
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const atmosphereFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec3 vNormal;
   varying vec3 vWorldPosition;
   uniform vec3 uColor;
@@ -21,6 +28,7 @@ export const atmosphereFragmentShader = `
   uniform float uThickness;
 
   void main() {
+    #include <logdepthbuf_fragment>
     vec3 viewDir = normalize(cameraPosition - vWorldPosition);
     vec3 sunDir = normalize(uSunPosition - vWorldPosition);
 
@@ -50,6 +58,9 @@ export const atmosphereFragmentShader = `
 
 /** Ring shader for Saturn/Uranus/Neptune */
 export const ringVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec2 vUv;
   varying vec3 vWorldPosition;
   varying vec3 vNormal;
@@ -60,10 +71,13 @@ export const ringVertexShader = `
     vec4 worldPos = modelMatrix * vec4(position, 1.0);
     vWorldPosition = worldPos.xyz;
     gl_Position = projectionMatrix * viewMatrix * worldPos;
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const ringFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec2 vUv;
   varying vec3 vWorldPosition;
   varying vec3 vNormal;
@@ -75,6 +89,7 @@ export const ringFragmentShader = `
   uniform float uPlanetRadius;
 
   void main() {
+    #include <logdepthbuf_fragment>
     // Radial distance from center
     float dist = length(vUv - 0.5) * 2.0;
 
@@ -117,20 +132,27 @@ export const ringFragmentShader = `
 
 /** City lights shader — only visible on the night side */
 export const cityLightsVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec3 vNormal;
   varying vec3 vWorldPosition;
   varying vec2 vUv;
 
   void main() {
     vUv = uv;
-    vNormal = normalize(normalMatrix * normal);
+    // World-space normal, so the terminator follows the Sun rather than the camera
+    vNormal = normalize(mat3(modelMatrix) * normal);
     vec4 worldPos = modelMatrix * vec4(position, 1.0);
     vWorldPosition = worldPos.xyz;
     gl_Position = projectionMatrix * viewMatrix * worldPos;
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const cityLightsFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   uniform sampler2D uCityMap;
   uniform vec3 uSunPosition;
   varying vec3 vNormal;
@@ -138,6 +160,7 @@ export const cityLightsFragmentShader = `
   varying vec2 vUv;
 
   void main() {
+    #include <logdepthbuf_fragment>
     vec4 city = texture2D(uCityMap, vUv);
     vec3 sunDir = normalize(uSunPosition - vWorldPosition);
     float sunFacing = dot(vNormal, sunDir);
@@ -0,0 +1,95 @@
+/**
+ * GPU particle shaders for comet tails.
+ * Features:
+ * - Ion (plasma) tail streaming straight away from the Sun
+ * - Dust tail curving back along the orbit as grains fall behind the nucleus
+ * - Particles flowing outward from the coma, fading with distance
+ * - Length and brightness driven by heliocentric distance from the CPU side
+ */
+
+// ============== Comet Tail Particle Shaders ==============
+
+export const cometTailVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
+  attribute float aOffset; // 0 = nucleus, 1 = tail end
+  attribute vec2 aSpread;  // unit-disc offset across the tail
+  attribute float aSeed;
+
+  uniform float uTime;
+  uniform vec3 uAntiSun;   // unit vector, Sun → comet
+  uniform vec3 uLag;       // unit vector opposite the orbital motion
+  uniform float uLength;   // scene units
+  uniform float uCurvature;
+  uniform float uSpread;
+  uniform float uFlow;     // tail lengths per second
+  uniform float uRipple;   // streamer waviness (ion tail)
+  uniform float uSize;
+  uniform float uBrightness;
+
+  varying float vAlpha;
+  varying float vS;
+
+  void main() {
+    // Particles leave the coma and drift down the tail, then respawn
+    float s = fract(aOffset + uTime * uFlow * (0.6 + aSeed * 0.8));
+    vS = s;
+
+    vec3 axis = normalize(uAntiSun);
+    vec3 helper = abs(axis.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    vec3 side = normalize(cross(axis, helper));
+    vec3 up = cross(axis, side);
+
+    // Dust grains lag behind the nucleus: bend the axis back along the orbit
+    vec3 lag = uLag - dot(uLag, axis) * axis;
+    float lagLen = length(lag);
+    lag = lagLen > 1e-4 ? lag / lagLen : vec3(0.0);
+
+    float along = s * uLength;
+    vec3 pos = axis * along + lag * uCurvature * s * s * uLength;
+
+    // Tail widens away from the coma
+    float width = uSpread * uLength * (0.04 + s);
+    pos += (side * aSpread.x + up * aSpread.y) * width;
+
+    // Plasma streamers ripple in the solar wind
+    float ripple = sin(s * 14.0 - uTime * 2.0 + aSeed * 6.2831);
+    pos += side * ripple * uRipple * s * uLength;
+
+    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
+
+    float distScale = 300.0 / length(mvPosition.xyz);
+    gl_PointSize = clamp(uSize * distScale * (1.0 - s * 0.4), 0.5, 10.0);
+
+    // Bright near the head, fading down the tail
+    float fadeIn = smoothstep(0.0, 0.04, s);
+    float fadeOut = pow(1.0 - s, 1.6);
+    vAlpha = fadeIn * fadeOut * uBrightness * (0.5 + aSeed * 0.5);
+  }
+`;
+
+export const cometTailFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
+  uniform vec3 uColor;
+  uniform vec3 uTipColor;
+
+  varying float vAlpha;
+  varying float vS;
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    float dist = length(gl_PointCoord - vec2(0.5));
+    if (dist > 0.5) discard;
+
+    float core = 1.0 - smoothstep(0.0, 0.15, dist);
+    float glow = 1.0 - smoothstep(0.1, 0.5, dist);
+    float softEdge = core * 0.3 + glow * 0.7;
+
+    vec3 color = mix(uColor, uTipColor, smoothstep(0.0, 1.0, vS));
+    gl_FragColor = vec4(color, vAlpha * softEdge);
+  }
+`;
@@ -11,6 +11,9 @@
 // ============== CME Particle Shaders ==============
 
 export const cmeVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   attribute float aEnergy;
   attribute float aStartTime;
   attribute vec3 aVelocity;
@@ -61,6 +64,7 @@ export const cmeVertexShader = `
 
     vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
     gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
 
     // Size: electrons are smaller, protons medium, helium larger
     float baseSize = aType < 0.5 ? 2.0 : (aType < 1.5 ? 1.2 : 3.0);
@@ -78,6 +82,8 @@ export const cmeVertexShader = `
 `;
 
 export const cmeFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying float vEnergy;
   varying float vAge;
   varying float vAlpha;
@@ -85,6 +91,7 @@ export const cmeFragmentShader = `
   varying float vSpeed;
 
   void main() {
+    #include <logdepthbuf_fragment>
     float dist = length(gl_PointCoord - vec2(0.5));
     if (dist > 0.5) discard;
 
@@ -134,6 +141,9 @@ export const cmeFragmentShader = `
 // ============== Magnetosphere Bow Shock Shaders ==============
 
 export const magnetosphereVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec3 vNormal;
   varying vec3 vViewDir;
   varying float vFacing;
@@ -146,10 +156,13 @@ export const magnetosphereVertexShader = `
     vViewDir = normalize(cameraPosition - worldPos.xyz);
     vFacing = dot(vNormal, vViewDir);
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const magnetosphereFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec3 vNormal;
   varying vec3 vViewDir;
   varying float vFacing;
@@ -208,6 +221,7 @@ export const magnetosphereFragmentShader = `
   }
 
   void main() {
+    #include <logdepthbuf_fragment>
     float fresnel = 1.0 - abs(vFacing);
 
     // Energy flow patterns along field lines
@@ -248,6 +262,9 @@ export const magnetosphereFragmentShader = `
 // ============== Aurora Shader ==============
 
 export const auroraVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec3 vPosition;
   varying vec3 vNormal;
   uniform float uTime;
@@ -263,10 +280,13 @@ export const auroraVertexShader = `
     pos.y += wave;
 
     gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const auroraFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec3 vPosition;
   varying vec3 vNormal;
   uniform float uTime;
@@ -274,6 +294,7 @@ export const auroraFragmentShader = `
   uniform vec3 uColor;
 
   void main() {
+    #include <logdepthbuf_fragment>
     // Curtain effect: vertical streaks
     float curtain = pow(abs(sin(vPosition.x * 20.0 + uTime * 3.0)), 0.5);
     float height = smoothstep(0.0, 1.0, abs(vPosition.y));
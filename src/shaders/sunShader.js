@@ -1,7 +1,7 @@
 /**
  * Ultra-realistic sun shaders with:
  * - Procedural granulation (convection cells)
- * - Sunspot simulation
+ * - Sunspot simulation, in a band of latitude the solar cycle moves
  * - Limb darkening with wavelength dependence
  * - Volumetric corona with streamers and prominences
  * - Noise-driven surface turbulence
@@ -71,9 +71,34 @@ const NOISE_GLSL = `
   }
 `;
 
+// ============== Sunspot band ==============
+// Where spots form and how many: the band's centre and half-width (sine of
+// latitude) and the noise level a spot needs. Solar cycle mode sets them
+// from the date; the defaults are a middling Sun.
+const SUNSPOT_GLSL = `
+  uniform float uSpotLatitude;
+  uniform float uSpotWidth;
+  uniform float uSpotThreshold;
+
+  float sunspotBand(float latitude) {
+    return smoothstep(uSpotLatitude - uSpotWidth, uSpotLatitude, latitude) *
+      smoothstep(uSpotLatitude + uSpotWidth, uSpotLatitude, latitude);
+  }
+`;
+
+/** Uniform values for SUNSPOT_GLSL before the solar cycle sets them */
+export const DEFAULT_SUNSPOT_UNIFORMS = {
+  uSpotLatitude: 0.35,
+  uSpotWidth: 0.3,
+  uSpotThreshold: 0.55,
+};
+
 // ============== Sun Surface Shader ==============
 
 export const sunVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec2 vUv;
   varying vec3 vNormal;
   varying vec3 vPosition;
@@ -100,10 +125,13 @@ export const sunVertexShader = `
 
     vec3 newPos = position + normal * displacement;
     gl_Position = projectionMatrix * modelViewMatrix * vec4(newPos, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const sunFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec2 vUv;
   varying vec3 vNormal;
   varying vec3 vPosition;
@@ -113,6 +141,7 @@ export const sunFragmentShader = `
   uniform float uChromosphereStrength;
 
   ${NOISE_GLSL}
+  ${SUNSPOT_GLSL}
 
   // Voronoi-like pattern for granulation cells
   float voronoi(vec3 p) {
@@ -133,6 +162,7 @@ export const sunFragmentShader = `
   }
 
   void main() {
+    #include <logdepthbuf_fragment>
     vec3 pos = vPosition * 2.0;
     float t = uTime * 0.12;
 
@@ -147,14 +177,14 @@ export const sunFragmentShader = `
     float combined = noise1 * 0.5 + noise2 * 0.3 + noise3 * 0.2;
 
     // === Sunspot simulation ===
-    // Sunspots appear in active regions near the equator
+    // Sunspots appear in active regions in a band either side of the equator
     float latitude = abs(vPosition.y / length(vPosition));
-    float sunspotBand = smoothstep(0.05, 0.35, latitude) * smoothstep(0.6, 0.35, latitude);
+    float band = sunspotBand(latitude);
     float spotNoise = snoise(pos * 1.5 + vec3(t * 0.02, 0.0, t * 0.01));
-    float sunspot = smoothstep(0.55, 0.65, spotNoise) * sunspotBand;
+    float sunspot = smoothstep(uSpotThreshold, uSpotThreshold + 0.1, spotNoise) * band;
 
     // === Solar active regions (bright plage) ===
-    float plage = smoothstep(0.3, 0.5, spotNoise) * sunspotBand * 0.3;
+    float plage = smoothstep(uSpotThreshold - 0.25, uSpotThreshold - 0.05, spotNoise) * band * 0.3;
 
     // === Color palette (photosphere) ===
     vec3 umbra = vec3(0.35, 0.08, 0.01);     // Dark sunspot center
@@ -170,7 +200,7 @@ export const sunFragmentShader = `
     color = mix(color, hotSpot, smoothstep(0.3, 0.6, combined) * 0.3);
 
     // Apply sunspots
-    vec3 spotColor = mix(penumbra, umbra, smoothstep(0.55, 0.75, spotNoise));
+    vec3 spotColor = mix(penumbra, umbra, smoothstep(uSpotThreshold, uSpotThreshold + 0.2, spotNoise));
     color = mix(color, spotColor, sunspot * 0.85);
 
     // === Limb darkening (wavelength-dependent) ===
@@ -198,9 +228,53 @@ export const sunFragmentShader = `
   }
 `;
 
+// ============== Sunspot Overlay ==============
+// Draws the spots over the photo texture, just above the surface; runs on
+// coronaVertexShader. Matches the surface shader's spots and plage.
+
+export const sunspotFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
+  varying vec3 vNormal;
+  varying vec3 vPosition;
+  varying vec3 vViewDir;
+  uniform float uTime;
+
+  ${NOISE_GLSL}
+  ${SUNSPOT_GLSL}
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    vec3 pos = vPosition * 2.0;
+    float t = uTime * 0.12;
+
+    float latitude = abs(vPosition.y / length(vPosition));
+    float band = sunspotBand(latitude);
+    float spotNoise = snoise(pos * 1.5 + vec3(t * 0.02, 0.0, t * 0.01));
+    float sunspot = smoothstep(uSpotThreshold, uSpotThreshold + 0.1, spotNoise) * band;
+    float plage = smoothstep(uSpotThreshold - 0.25, uSpotThreshold - 0.05, spotNoise) * band * 0.3;
+
+    vec3 umbra = vec3(0.35, 0.08, 0.01);
+    vec3 penumbra = vec3(0.65, 0.25, 0.05);
+    vec3 brightPlage = vec3(1.0, 0.92, 0.65);
+    vec3 spotColor = mix(penumbra, umbra, smoothstep(uSpotThreshold, uSpotThreshold + 0.2, spotNoise));
+
+    // Darker toward the limb, like the photosphere beneath
+    float cosTheta = max(dot(vNormal, vViewDir), 0.0);
+    float limb = 0.3 + 0.7 * pow(cosTheta, 0.5);
+
+    vec3 color = mix(brightPlage, spotColor, step(0.001, sunspot)) * limb;
+    float alpha = sunspot * 0.85 + plage * (1.0 - sunspot);
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
 // ============== Corona Glow (inner atmosphere) ==============
 
 export const coronaVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec2 vUv;
   varying vec3 vNormal;
   varying vec3 vPosition;
@@ -213,19 +287,24 @@ export const coronaVertexShader = `
     vec4 worldPos = modelMatrix * vec4(position, 1.0);
     vViewDir = normalize(cameraPosition - worldPos.xyz);
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const coronaFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec2 vUv;
   varying vec3 vNormal;
   varying vec3 vPosition;
   varying vec3 vViewDir;
   uniform float uTime;
+  uniform float uBrightness;
 
   ${NOISE_GLSL}
 
   void main() {
+    #include <logdepthbuf_fragment>
     float fresnel = 1.0 - abs(dot(vNormal, vViewDir));
 
     // Noise-modulated corona with streamer structure
@@ -251,7 +330,7 @@ export const coronaFragmentShader = `
     // Brighten streamer areas
     color += vec3(0.2, 0.15, 0.05) * streamerBeam;
 
-    float alpha = glow * 0.7 * pulse;
+    float alpha = glow * 0.7 * pulse * uBrightness;
     gl_FragColor = vec4(color, alpha);
   }
 `;
@@ -260,6 +339,9 @@ export const coronaFragmentShader = `
 // Used on concentric BackSide spheres for depth effect
 
 export const coronaShellVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   varying vec3 vNormal;
   varying vec3 vViewDir;
   varying vec3 vPosition;
@@ -272,10 +354,13 @@ export const coronaShellVertexShader = `
     vWorldPos = worldPos.xyz;
     vViewDir = normalize(cameraPosition - worldPos.xyz);
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const coronaShellFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying vec3 vNormal;
   varying vec3 vViewDir;
   varying vec3 vPosition;
@@ -288,6 +373,7 @@ export const coronaShellFragmentShader = `
   ${NOISE_GLSL}
 
   void main() {
+    #include <logdepthbuf_fragment>
     float fresnel = 1.0 - abs(dot(vNormal, vViewDir));
     float t = uTime * 0.08;
 
@@ -328,6 +414,9 @@ export const coronaShellFragmentShader = `
 // For arc-like prominences rising from the surface
 
 export const prominenceVertexShader = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+
   attribute float aProgress;
   varying float vProgress;
   varying float vAlpha;
@@ -349,14 +438,18 @@ export const prominenceVertexShader = `
 
     gl_PointSize = mix(2.0, 5.0, sin(aProgress * 3.14159)) * fadeFactor;
     gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    #include <logdepthbuf_vertex>
   }
 `;
 
 export const prominenceFragmentShader = `
+  #include <logdepthbuf_pars_fragment>
+
   varying float vProgress;
   varying float vAlpha;
 
   void main() {
+    #include <logdepthbuf_fragment>
     float dist = length(gl_PointCoord - vec2(0.5));
     if (dist > 0.5) discard;
     float soft = 1.0 - smoothstep(0.1, 0.5, dist);
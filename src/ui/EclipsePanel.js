@@ -0,0 +1,106 @@
+/**
+ * Eclipses panel — the solar and lunar eclipses of a year, each with its
+ * kind, magnitude and, for solar eclipses, where it is greatest or, for
+ * lunar ones, how long the Moon spends in Earth's umbra.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { findEclipses } from '../scene/Eclipses.js';
+import { dateToJulian, getEphemerisBackend } from '../scene/OrbitalMechanics.js';
+import { julianToDate, dateToJulianDay } from '../utils/skyFormat.js';
+import '../styles/events.css';
+import '../styles/eclipses.css';
+
+/** Years the panel searches — the Moon's series and ΔT are poor far outside them */
+export const ECLIPSE_YEAR_RANGE = { min: 1600, max: 2400 };
+
+/** Eclipses of the last search, reused while only the selection changes */
+let cache = { year: null, backend: null, eclipses: [] };
+
+/**
+ * Eclipses of a year, searched once per year and ephemeris backend.
+ * @param {number} year
+ * @returns {import('../scene/Eclipses.js').Eclipse[]}
+ */
+export function getYearEclipses(year) {
+  const backend = getEphemerisBackend();
+  if (cache.year !== year || cache.backend !== backend) {
+    cache = { year, backend, eclipses: findEclipses(dateToJulian(`${year}-01-01`), dateToJulian(`${year + 1}-01-01`)) };
+  }
+  return cache.eclipses;
+}
+
+/** Julian Day → "8 Apr 2024, 19:17" in the device time zone. */
+function formatLocalDateTime(jd) {
+  return julianToDate(jd).toLocaleString(getLang() === 'tr' ? 'tr-TR' : 'en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function formatLatLon(lat, lon) {
+  return `${Math.abs(lat).toFixed(1)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(1)}° ${lon >= 0 ? 'E' : 'W'}`;
+}
+
+/** Minutes between two contacts, or null when either is missing */
+function minutesBetween(a, b) {
+  return a != null && b != null ? Math.round((b - a) * 1440) : null;
+}
+
+/** Detail line for one eclipse */
+function describeEclipse(eclipse) {
+  const parts = [`${t('eclipses.magnitude')} ${eclipse.magnitude.toFixed(3)}`];
+  if (eclipse.type === 'solar') {
+    parts.push(`γ ${eclipse.gamma.toFixed(3)}`);
+    if (eclipse.point) parts.push(formatLatLon(eclipse.point.lat, eclipse.point.lon));
+  } else {
+    const { u1, u2, u3, u4, p1, p4 } = eclipse.contacts;
+    const totality = minutesBetween(u2, u3);
+    const umbral = minutesBetween(u1, u4);
+    if (totality !== null) parts.push(`${t('eclipses.totality')} ${totality} min`);
+    if (umbral !== null) parts.push(`${t('eclipses.umbral')} ${umbral} min`);
+    else parts.push(`${t('eclipses.penumbral')} ${minutesBetween(p1, p4)} min`);
+  }
+  return parts.join(' · ');
+}
+
+function renderEclipseItem(eclipse, index, selected, nowJD) {
+  const past = eclipse.jd < nowJD;
+  return `
+    <li>
+      <button class="event-item eclipse-item eclipse-item--${eclipse.type}${index === selected ? ' active' : ''}${past ? ' past' : ''}"
+        data-index="${index}" aria-pressed="${index === selected}">
+        <span class="event-date">${formatLocalDateTime(eclipse.jd)}${past ? ` · ${t('eclipses.past')}` : ''}</span>
+        <span class="event-title">${t(`eclipses.${eclipse.type}.${eclipse.kind}`)}</span>
+        <span class="event-detail">${describeEclipse(eclipse)}</span>
+      </button>
+    </li>`;
+}
+
+/**
+ * Render the year picker and the year's eclipses.
+ * @param {number} year
+ * @param {boolean} [invalid=false] - show the invalid-year message
+ * @param {number} [selected=-1] - index of the eclipse being shown
+ * @returns {string} HTML string
+ */
+export function renderEclipsePanel(year, invalid = false, selected = -1) {
+  const eclipses = getYearEclipses(year);
+  const nowJD = dateToJulianDay(new Date());
+
+  return `
+    <form class="observer-form events-form eclipses-form" id="eclipses-form" novalidate>
+      <label>${t('eclipses.year')} <input type="number" id="eclipses-year" value="${year}"
+        min="${ECLIPSE_YEAR_RANGE.min}" max="${ECLIPSE_YEAR_RANGE.max}" step="1" required></label>
+      <button type="submit" class="observer-btn">${t('eclipses.search')}</button>
+      <div class="observer-error${invalid ? '' : ' hidden'}" id="eclipses-error" role="alert">${t('eclipses.invalidYear')}</div>
+    </form>
+
+    ${eclipses.length
+      ? `<ul class="event-list">${eclipses.map((e, i) => renderEclipseItem(e, i, selected, nowJD)).join('')}</ul>`
+      : `<p class="events-note">${t('eclipses.none')}</p>`}
+
+    <p class="events-note">${t('eclipses.hint')}</p>`;
+}
@@ -0,0 +1,106 @@
+/**
+ * Events panel — conjunctions, oppositions, greatest elongations,
+ * perihelion/aphelion and retrograde stations between two dates.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { findPlanetEvents, PLANET_EVENT_CATEGORIES } from '../scene/PlanetEvents.js';
+import { dateToJulian, julianToDateStr } from '../scene/OrbitalMechanics.js';
+import { julianToDate, formatDegrees } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/events.css';
+
+const INNER_PLANETS = ['mercury', 'venus'];
+
+/** Default search window: one year from a "YYYY-MM-DD" date */
+export function getDefaultEventRange(fromDate) {
+  return { from: fromDate, to: julianToDateStr(dateToJulian(fromDate) + 365) };
+}
+
+function bodyName(key) {
+  return getLocalizedPlanet(key)?.name || key;
+}
+
+/** Julian Day → "21 Nov 2025, 21:34" in the device time zone. */
+function formatLocalDateTime(jd) {
+  return julianToDate(jd).toLocaleString(getLang() === 'tr' ? 'tr-TR' : 'en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/** Title and detail line for one event */
+function describeEvent(event) {
+  const [a, b] = event.bodies;
+  switch (event.type) {
+    case 'conjunction':
+      if (b === 'sun') {
+        const kind = !INNER_PLANETS.includes(a)
+          ? 'events.solarConjunction'
+          : event.inferior ? 'events.inferiorConjunction' : 'events.superiorConjunction';
+        return { title: `${bodyName(a)} · ${t(kind)}`, detail: `${formatDegrees(event.value)} ${t('events.fromSun')}` };
+      }
+      return {
+        title: `${bodyName(a)} – ${bodyName(b)} · ${t('events.conjunction')}`,
+        detail: `${formatDegrees(event.value)} ${t('events.apart')}`,
+      };
+    case 'opposition':
+      return { title: `${bodyName(a)} · ${t('events.opposition')}`, detail: `${event.value.toFixed(2)} AU ${t('events.fromEarth')}` };
+    case 'elongation':
+      return {
+        title: `${bodyName(a)} · ${t(event.east ? 'events.elongationEast' : 'events.elongationWest')}`,
+        detail: `${formatDegrees(event.value)} ${t('events.fromSun')} (${event.east ? t('skyPlanner.evening') : t('skyPlanner.morning')})`,
+      };
+    case 'perihelion':
+    case 'aphelion':
+      return { title: `${bodyName(a)} · ${t(`events.${event.type}`)}`, detail: `${event.value.toFixed(3)} AU ${t('events.fromSun')}` };
+    default:
+      return { title: `${bodyName(a)} · ${t(`events.${event.type}`)}`, detail: '' };
+  }
+}
+
+function renderEventItem(event) {
+  const { title, detail } = describeEvent(event);
+  return `
+    <li>
+      <button class="event-item" data-jd="${event.jd}" data-type="${escapeHTML(event.type)}"
+        data-bodies="${escapeHTML(event.bodies.join(','))}">
+        <span class="event-date">${formatLocalDateTime(event.jd)}</span>
+        <span class="event-title">${escapeHTML(title)}</span>
+        ${detail ? `<span class="event-detail">${escapeHTML(detail)}</span>` : ''}
+      </button>
+    </li>`;
+}
+
+/**
+ * Render the search form and the events found.
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @param {string} category - 'all' or a PLANET_EVENT_CATEGORIES key
+ * @param {boolean} [invalid=false] - show the invalid-range message
+ * @returns {string} HTML string
+ */
+export function renderEventsPanel(from, to, category, invalid = false) {
+  const types = category === 'all' ? undefined : PLANET_EVENT_CATEGORIES[category];
+  const events = invalid ? [] : findPlanetEvents(dateToJulian(from), dateToJulian(to), types);
+  const options = ['all', ...Object.keys(PLANET_EVENT_CATEGORIES)].map(c =>
+    `<option value="${c}"${c === category ? ' selected' : ''}>${t(`events.category.${c}`)}</option>`).join('');
+
+  return `
+    <form class="observer-form events-form" id="events-form" novalidate>
+      <label>${t('events.from')} <input type="date" id="events-from" value="${escapeHTML(from)}" required></label>
+      <label>${t('events.to')} <input type="date" id="events-to" value="${escapeHTML(to)}" required></label>
+      <label>${t('events.show')} <select id="events-category">${options}</select></label>
+      <button type="submit" class="observer-btn">${t('events.search')}</button>
+      <div class="observer-error${invalid ? '' : ' hidden'}" id="events-error" role="alert">${t('events.invalidRange')}</div>
+    </form>
+
+    ${events.length
+      ? `<ul class="event-list">${events.map(renderEventItem).join('')}</ul>`
+      : `<p class="events-note">${t('events.none')}</p>`}
+
+    <p class="events-note">${t('events.hint')}</p>`;
+}
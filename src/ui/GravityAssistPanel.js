@@ -0,0 +1,203 @@
+/**
+ * Gravity-assist sandbox panel — set a launch date, a burn and a spacecraft,
+ * launch from Earth and watch the probe's heliocentric speed change at each
+ * planet it passes, tallied in an on-screen HUD.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { MISSIONS } from '../data/missions.js';
+import { dateToJulian, ELEMENTS_VALID_JD } from '../scene/OrbitalMechanics.js';
+import { getLaunchDeltaV, getProbeMotion } from '../scene/GravityAssist.js';
+import { julianToDate } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/events.css';
+import '../styles/transfer.css';
+import '../styles/gravity-assist.css';
+
+/** Largest launch v∞ offered (km/s) */
+export const MAX_LAUNCH_VINF = 15;
+
+/** Simulation speeds offered (days per second) */
+export const GRAVITY_SPEEDS = [10, 30, 60, 120, 365];
+
+function bodyName(key) {
+  return getLocalizedPlanet(key)?.name || key;
+}
+
+function locale() {
+  return getLang() === 'tr' ? 'tr-TR' : 'en-GB';
+}
+
+/** Julian Day → "18 Jul 2020" */
+function formatDate(jd) {
+  return julianToDate(jd).toLocaleDateString(locale(), { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function formatNumber(value, digits) {
+  return value.toLocaleString(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/** "+1.23" / "−0.45" */
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : '−'}${formatNumber(Math.abs(value), 2)}`;
+}
+
+/**
+ * Starting settings: prograde at 9 km/s — about what a Hohmann transfer to
+ * Jupiter needs — from a date, in Voyager 1.
+ * @param {string} launchDate - "YYYY-MM-DD"
+ * @returns {{ launchDate: string, vInf: number, heading: number, craft: string }}
+ */
+export function getDefaultGravityAssistSettings(launchDate) {
+  return { launchDate, vInf: 9, heading: 0, craft: MISSIONS[0].id };
+}
+
+/**
+ * Whether settings can be launched: a date the ephemeris covers, a burn in
+ * range and a known spacecraft.
+ * @param {{ launchDate: string, vInf: number, heading: number, craft: string }} settings
+ * @returns {boolean}
+ */
+export function isValidGravityAssistSettings({ launchDate, vInf, heading, craft }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(launchDate)) return false;
+  const jd = dateToJulian(launchDate);
+  return jd >= ELEMENTS_VALID_JD.min && jd < ELEMENTS_VALID_JD.max &&
+    vInf >= 0 && vInf <= MAX_LAUNCH_VINF &&
+    heading >= -180 && heading <= 180 &&
+    MISSIONS.some(m => m.id === craft);
+}
+
+/**
+ * The mission whose spacecraft model and colour the probe takes.
+ * @param {string} craft - mission id
+ */
+export function getGravityAssistCraft(craft) {
+  return MISSIONS.find(m => m.id === craft) ?? MISSIONS[0];
+}
+
+function renderStat(label, value) {
+  return `<div class="transfer-stat"><span class="transfer-stat-label">${label}</span><span class="transfer-stat-value">${value}</span></div>`;
+}
+
+/**
+ * Launch Δv formatted for the panel's read-out.
+ * @param {number} vInf - km/s
+ */
+export function formatLaunchDeltaV(vInf) {
+  return `${formatNumber(getLaunchDeltaV(vInf), 2)} km/s`;
+}
+
+/**
+ * v∞ formatted for the slider's read-out.
+ * @param {number} vInf - km/s
+ */
+export function formatVInf(vInf) {
+  return `${formatNumber(vInf, 1)} km/s`;
+}
+
+/** Heading in words, for the slider's read-out */
+export function describeHeading(heading) {
+  const directions = [
+    [0, 'gravity.prograde'], [90, 'gravity.outward'], [180, 'gravity.retrograde'],
+    [-180, 'gravity.retrograde'], [-90, 'gravity.inward'],
+  ];
+  const [, key] = directions.reduce((a, b) => (Math.abs(b[0] - heading) < Math.abs(a[0] - heading) ? b : a));
+  return `${heading}° · ${t(key)}`;
+}
+
+/**
+ * Render the sandbox controls, with pause and speed while a probe is in
+ * flight.
+ * @param {{ launchDate: string, vInf: number, heading: number, craft: string }} settings
+ * @param {boolean} invalid - show the invalid-settings message
+ * @param {boolean} flying - a probe is up and has not crashed or run out of ephemeris
+ * @param {boolean} playing - the simulation is running
+ * @param {number} speed - days per second
+ * @returns {string} HTML string
+ */
+export function renderGravityAssistPanel(settings, invalid, flying, playing, speed) {
+  const craftOptions = MISSIONS.map(m =>
+    `<option value="${m.id}"${m.id === settings.craft ? ' selected' : ''}>${escapeHTML(m.name)}</option>`).join('');
+  const speedOptions = GRAVITY_SPEEDS.map(s =>
+    `<option value="${s}"${s === speed ? ' selected' : ''}>${s} ${t('gravity.daysPerSecond')}</option>`).join('');
+
+  return `
+    <form class="observer-form events-form gravity-form" id="gravity-form" novalidate>
+      <label>${t('gravity.launchDate')} <input type="date" id="gravity-date" value="${escapeHTML(settings.launchDate)}" required></label>
+      <label>${t('gravity.craft')} <select id="gravity-craft">${craftOptions}</select></label>
+      <label class="gravity-slider">
+        <span>${t('gravity.vInf')} <output id="gravity-vinf-value">${formatVInf(settings.vInf)}</output></span>
+        <input type="range" id="gravity-vinf" min="0" max="${MAX_LAUNCH_VINF}" step="0.1" value="${settings.vInf}">
+      </label>
+      <label class="gravity-slider">
+        <span>${t('gravity.heading')} <output id="gravity-heading-value">${describeHeading(settings.heading)}</output></span>
+        <input type="range" id="gravity-heading" min="-180" max="180" step="1" value="${settings.heading}">
+      </label>
+      <p class="gravity-burn">${t('gravity.launchDeltaV')}: <span id="gravity-burn-value">${formatLaunchDeltaV(settings.vInf)}</span></p>
+      <button type="submit" class="observer-btn">${t('gravity.launch')}</button>
+      <div class="observer-error${invalid ? '' : ' hidden'}" id="gravity-error" role="alert">${t('gravity.invalid')}</div>
+    </form>
+
+    ${flying ? `
+      <div class="gravity-flight">
+        <button type="button" class="observer-btn" id="gravity-play" aria-pressed="${playing}">
+          ${playing ? t('gravity.pause') : t('gravity.resume')}
+        </button>
+        <label class="observer-form">${t('gravity.speed')} <select id="gravity-speed">${speedOptions}</select></label>
+      </div>` : ''}
+
+    <p class="events-note">${t('gravity.hint')}</p>`;
+}
+
+/**
+ * A finished flyby in words, for screen readers.
+ * @param {import('../scene/GravityAssist.js').Flyby} flyby
+ * @returns {string}
+ */
+export function describeFlyby(flyby) {
+  return `${bodyName(flyby.body)} ${t('gravity.flyby')}: ${formatSigned(flyby.speedOut - flyby.speedIn)} km/s`;
+}
+
+function renderStatus(probe, escaping) {
+  if (probe.status === 'crashed') {
+    return `${t('gravity.crashed')}: ${escapeHTML(bodyName(probe.crashedInto))}`;
+  }
+  if (probe.status === 'ended') return t('gravity.ended');
+  return escaping ? t('gravity.escaping') : t('gravity.bound');
+}
+
+/**
+ * The HUD: where the probe is, what its launch cost and what every flyby
+ * gave or took.
+ * @param {import('../scene/GravityAssist.js').Probe} probe
+ * @returns {string} HTML string
+ */
+export function renderGravityAssistHud(probe) {
+  const { distanceAU, speed, escaping } = getProbeMotion(probe);
+  const done = probe.flybys.filter(f => f.speedOut !== null);
+  const gained = done.reduce((sum, f) => sum + f.speedOut - f.speedIn, 0);
+  const free = done.reduce((sum, f) => sum + f.deltaV, 0);
+
+  const rows = probe.flybys.map(f => `
+    <li class="gravity-flyby${f.speedOut === null ? ' gravity-flyby--open' : ''}">
+      <span class="gravity-flyby-body">${escapeHTML(bodyName(f.body))}</span>
+      <span>${formatDate(f.jd)}</span>
+      <span>${formatNumber(Math.round(f.closestKm), 0)} km</span>
+      <span class="gravity-flyby-dv">${f.speedOut === null ? '…' : `${formatSigned(f.speedOut - f.speedIn)} km/s`}</span>
+    </li>`).join('');
+
+  return `
+    <div class="transfer-stats">
+      ${renderStat(t('gravity.date'), formatDate(probe.jd))}
+      ${renderStat(t('gravity.day'), formatNumber(Math.floor(probe.jd - probe.launchJD), 0))}
+      ${renderStat(t('gravity.distance'), `${formatNumber(distanceAU, 2)} AU`)}
+      ${renderStat(t('gravity.heliocentricSpeed'), `${formatNumber(speed, 2)} km/s`)}
+      ${renderStat(t('gravity.launchDeltaV'), formatLaunchDeltaV(probe.vInf))}
+      ${renderStat(t('gravity.flybyGain'), `${formatSigned(gained)} km/s`)}
+      ${renderStat(t('gravity.flybyDeltaV'), `${formatNumber(free, 2)} km/s`)}
+      ${renderStat(t('gravity.status'), renderStatus(probe, escaping))}
+    </div>
+    ${rows
+      ? `<ol class="gravity-flybys" aria-label="${t('gravity.flybys')}">${rows}</ol>`
+      : `<p class="gravity-none">${t('gravity.noFlybys')}</p>`}`;
+}
@@ -29,6 +29,16 @@ import { t, getLang } from '../i18n/i18n.js';
 import { PLANET_LAYERS } from '../data/planetLayers.js';
 import { MINERAL_INFO, MINERAL_INFO_TR } from '../data/mineralInfo.js';
 import { escapeHTML, sanitizeHTML } from '../utils/sanitize.js';
+import { getSkyPosition, getPlanetHeliocentricAU, getGeocentricEquatorial, julianToDateStr } from '../scene/OrbitalMechanics.js';
+import { getCentralMeridian } from '../scene/RotationModels.js';
+import { getSmallBody, getSmallBodyOrbitInfo, estimateDiameterKm } from '../scene/SmallBodies.js';
+import {
+  CYCLES, RECORD_END_JD, SPOT_BAND_HALF_WIDTH,
+  getCycleAt, getSunspotNumber, getSpotLatitude, getSolarActivity, jdToYear, yearToJD,
+} from '../scene/SolarCycle.js';
+import { getObserverLocation } from '../utils/observer.js';
+import { formatRA, formatDec, formatDegrees, compassPoint, formatJulianUT } from '../utils/skyFormat.js';
+import { renderISSPositionGrid, renderPassList, renderSatelliteSection } from './SatellitePanel.js';
 
 function getMineralTooltip(mineralName) {
   const lang = getLang();
@@ -93,7 +103,12 @@ function compactStat(label, value) {
     </div>`;
 }
 
-export function renderPlanetInfo(key) {
+/**
+ * @param {string} key
+ * @param {number} [jd] - simulation Julian Day; enables the sky position section
+ * @param {{ solarCycleMode?: boolean }} [options] - whether the Sun follows the solar cycle
+ */
+export function renderPlanetInfo(key, jd, { solarCycleMode = false } = {}) {
   const data = getLocalizedPlanet(key);
   if (!data) return '';
 
@@ -134,6 +149,16 @@ export function renderPlanetInfo(key) {
 
   html += `</div></div>`;
 
+  // Sky Position (as seen from Earth at the simulation time)
+  if (key !== 'earth' && typeof jd === 'number') {
+    html += renderSkyPositionSection(key, jd);
+  }
+
+  // Solar cycle (Sun)
+  if (key === 'sun' && typeof jd === 'number') {
+    html += renderSolarCycleSection(jd, solarCycleMode);
+  }
+
   // Physical Attributes
   if (data.physicalAttributes) {
     html += `<div class="info-section fade-in">
@@ -333,6 +358,61 @@ export function renderMoonInfo(planetKey, moonIndex) {
   return html;
 }
 
+function renderSkyPositionSection(key, jd) {
+  const grid = renderSkyPositionGrid(key, jd);
+  if (!grid) return '';
+  return `<div class="info-section fade-in sky-position">
+    <h3>${t('sky.title')}</h3>
+    <div class="sky-time">${t('sky.computedFor')}: <span id="sky-position-time">${formatJulianUT(jd)}</span></div>
+    <div class="info-grid" id="sky-position-grid">${grid}</div>
+    ${renderObserverForm()}
+  </div>`;
+}
+
+/** Latitude/longitude form for the saved observer location */
+function renderObserverForm() {
+  const { lat, lon } = getObserverLocation();
+  return `<form class="observer-form" id="observer-form" novalidate>
+      <span class="observer-label">${t('sky.observer')}</span>
+      <label>${t('sky.lat')} <input type="number" id="observer-lat" min="-90" max="90" step="0.01" value="${lat}" required></label>
+      <label>${t('sky.lon')} <input type="number" id="observer-lon" min="-180" max="180" step="0.01" value="${lon}" required></label>
+      <button type="submit" class="observer-btn">${t('sky.setLocation')}</button>
+      <button type="button" class="observer-btn" id="observer-locate">${t('sky.locate')}</button>
+      <div class="observer-error hidden" id="observer-error" role="alert">${t('sky.invalidLocation')}</div>
+    </form>`;
+}
+
+/** Bodies whose central meridian observers sketch and time features by */
+const CENTRAL_MERIDIAN_BODIES = ['mars', 'jupiter'];
+
+/**
+ * Stat cells for a body's geocentric sky position: RA/Dec (J2000), distance,
+ * altitude/azimuth for the saved observer location, and for Mars and
+ * Jupiter the central meridian.
+ * Re-rendered in place while the simulation clock runs.
+ * @param {string} key
+ * @param {number} jd
+ * @returns {string} empty when the body has no ephemeris
+ */
+export function renderSkyPositionGrid(key, jd) {
+  const pos = getSkyPosition(key, jd, getObserverLocation());
+  if (!pos) return '';
+  const lightMin = pos.lightTime * 1440;
+  const horizon = pos.altitude >= 0 ? t('sky.aboveHorizon') : t('sky.belowHorizon');
+
+  let html = '';
+  html += stat(t('sky.ra'), formatRA(pos.ra));
+  html += stat(t('sky.dec'), formatDec(pos.dec));
+  html += stat(t('sky.distance'), `${pos.distance.toFixed(3)} <span class="unit">AU · ${lightMin.toFixed(1)} ${t('sky.lightMin')}</span>`, true);
+  html += stat(t('sky.altitude'), `${formatDegrees(pos.altitude)} <span class="unit">${horizon}</span>`);
+  html += stat(t('sky.azimuth'), `${formatDegrees(pos.azimuth)} <span class="unit">${compassPoint(pos.azimuth)}</span>`);
+  if (CENTRAL_MERIDIAN_BODIES.includes(key)) {
+    const system = key === 'jupiter' ? ` · ${t('sky.systemII')}` : '';
+    html += stat(t('sky.centralMeridian'), `${formatDegrees(getCentralMeridian(key, jd))} <span class="unit">W${system}</span>`, true);
+  }
+  return html;
+}
+
 function stat(label, value, fullWidth = false) {
   return `
     <div class="info-stat${fullWidth ? ' full-width' : ''}">
@@ -341,10 +421,225 @@ function stat(label, value, fullWidth = false) {
     </div>`;
 }
 
+// ==================== Solar Cycle ====================
+
+/** Chart size (SVG units): the sunspot curve above, the butterfly diagram below */
+const CYCLE_CHART = { width: 240, height: 120, curveBottom: 68, wingsTop: 78, wingsBottom: 116 };
+
+/** Latitude either side of the equator the butterfly diagram shows (degrees) */
+const CYCLE_CHART_LATITUDE = 35;
+
+/** Years shown either side of the current cycle */
+const CYCLE_CHART_MARGIN = 1.5;
+
+const CYCLE_CHART_STEPS = 120;
+
+/**
+ * The Sun's cycle on the date, and the switch that lets it drive the Sun.
+ * @param {number} jd
+ * @param {boolean} on - solar cycle mode
+ */
+function renderSolarCycleSection(jd, on) {
+  return `<div class="info-section fade-in solar-cycle">
+    <h3>${t('cycle.title')}</h3>
+    <div id="solar-cycle-chart">${renderSolarCycleChart(jd)}</div>
+    <button type="button" class="observer-btn" id="solar-cycle-toggle" aria-pressed="${on}">
+      ${on ? t('cycle.modeOff') : t('cycle.modeOn')}
+    </button>
+    <p class="solar-cycle-note">${t('cycle.hint')}</p>
+  </div>`;
+}
+
+/**
+ * Where the date falls in its solar cycle: the cycle's sunspot number and
+ * butterfly diagram with the date marked, and the activity it brings.
+ * Re-rendered in place while the simulation clock runs.
+ * @param {number} jd
+ * @returns {string}
+ */
+export function renderSolarCycleChart(jd) {
+  const activity = getSolarActivity(jd);
+  const cycle = getCycleAt(jd);
+  if (!activity || !cycle) return `<p class="solar-cycle-note">${t('cycle.noRecord')}</p>`;
+
+  const { width, curveBottom, wingsTop, wingsBottom } = CYCLE_CHART;
+  const y0 = cycle.start - CYCLE_CHART_MARGIN;
+  const y1 = cycle.end + CYCLE_CHART_MARGIN;
+  const shown = CYCLES.filter(c => c.end > y0 && c.start < y1);
+  const top = Math.max(...shown.map(c => c.peak)) * 1.1;
+  const x = (year) => ((year - y0) / (y1 - y0) * width).toFixed(1);
+  const ySpots = (n) => (curveBottom - n / top * (curveBottom - 4)).toFixed(1);
+  const equator = (wingsTop + wingsBottom) / 2;
+  const yLat = (lat) => (equator - lat / CYCLE_CHART_LATITUDE * (wingsBottom - wingsTop) / 2).toFixed(1);
+
+  // Sunspot number from one year to another, gaps where there is none
+  const curve = (from, to) => {
+    let d = '';
+    if (to <= from) return d;
+    let drawing = false;
+    for (let i = 0; i <= CYCLE_CHART_STEPS; i++) {
+      const year = from + (to - from) * i / CYCLE_CHART_STEPS;
+      const n = getSunspotNumber(yearToJD(year));
+      if (n === null) { drawing = false; continue; }
+      d += `${drawing ? 'L' : 'M'}${x(year)},${ySpots(n)}`;
+      drawing = true;
+    }
+    return d;
+  };
+  const modelFrom = Math.min(Math.max(jdToYear(RECORD_END_JD), y0), y1);
+
+  // Each cycle's band of spot latitudes, north and south
+  let wings = '';
+  for (const c of shown) {
+    const from = Math.max(c.start, y0);
+    const to = Math.min(c.end, y1);
+    const edge = [];
+    for (let i = 0; i <= 24; i++) {
+      const year = from + (to - from) * i / 24;
+      edge.push({ year, lat: getSpotLatitude(c, yearToJD(year)) });
+    }
+    const outline = sign => [
+      ...edge.map(p => `${x(p.year)},${yLat(sign * (p.lat + SPOT_BAND_HALF_WIDTH))}`),
+      ...edge.slice().reverse().map(p => `${x(p.year)},${yLat(sign * (p.lat - SPOT_BAND_HALF_WIDTH))}`),
+    ].join(' ');
+    const cls = `solar-cycle-wing${c.predicted ? ' solar-cycle-wing--predicted' : ''}`;
+    wings += `<polygon class="${cls}" points="${outline(1)}"/><polygon class="${cls}" points="${outline(-1)}"/>`;
+  }
+
+  const nowX = x(jdToYear(jd));
+  const stage = t(`cycle.stage.${activity.stage}`);
+  const label = `${t('cycle.cycle')} ${activity.cycle} · ${stage} · ${t('cycle.sunspotNumber')} ${Math.round(activity.sunspotNumber)}`;
+  const modelled = activity.modelled ? ` <span class="unit">${t('cycle.modelled')}</span>` : '';
+
+  let html = `<svg class="solar-cycle-chart" viewBox="0 0 ${width} ${CYCLE_CHART.height}" role="img" aria-label="${escapeHTML(label)}">
+      <text class="solar-cycle-axis" x="2" y="10">${t('cycle.chartSunspots')}</text>
+      <text class="solar-cycle-axis" x="2" y="${wingsTop + 6}">${t('cycle.chartLatitude')}</text>
+      <line class="solar-cycle-equator" x1="0" y1="${equator}" x2="${width}" y2="${equator}"/>
+      ${wings}
+      <path class="solar-cycle-curve" d="${curve(y0, modelFrom)}"/>
+      <path class="solar-cycle-curve solar-cycle-curve--model" d="${curve(modelFrom, y1)}"/>
+      <line class="solar-cycle-now" x1="${nowX}" y1="0" x2="${nowX}" y2="${wingsBottom}"/>
+      <circle class="solar-cycle-dot" cx="${nowX}" cy="${ySpots(activity.sunspotNumber)}" r="3"/>
+    </svg>
+    <div class="solar-cycle-years"><span>${Math.ceil(y0)}</span><span>${Math.floor(y1)}</span></div>`;
+
+  html += `<div class="info-grid">`;
+  html += stat(t('cycle.cycle'), `${activity.cycle}${modelled}`);
+  html += stat(t('cycle.stage'), `${stage} <span class="unit">${Math.round(activity.phase * 100)}%</span>`);
+  html += stat(t('cycle.sunspotNumber'), Math.round(activity.sunspotNumber).toString());
+  html += stat(t('cycle.spotLatitude'), `±${activity.spotLatitude.toFixed(0)}°`);
+  html += stat(t('cycle.cmeRate'), `${activity.cmesPerDay.toFixed(1)} <span class="unit">${t('cycle.perDay')}</span>`, true);
+  html += `</div>`;
+  return html;
+}
+
+// ==================== Added Asteroids and Comets ====================
+
+/** "40–100 m" or "1.2–2.7 km" */
+function formatDiameterRange(range) {
+  if (range.max < 1) return `${Math.round(range.min * 1000)}–${Math.round(range.max * 1000)} <span class="unit">m</span>`;
+  return `${range.min.toFixed(1)}–${range.max.toFixed(1)} <span class="unit">km</span>`;
+}
+
+/**
+ * Render the info panel for an asteroid or comet added from orbital elements.
+ * @param {string} key
+ * @param {number} [jd] - simulation Julian Day for the position and sky sections
+ * @returns {string} HTML string
+ */
+export function renderSmallBodyInfo(key, jd) {
+  const body = getSmallBody(key);
+  if (!body) return '';
+  const el = body.elements;
+  const orbit = getSmallBodyOrbitInfo(body);
+  const au = (v) => `${v.toFixed(4)} <span class="unit">AU</span>`;
+  const unbound = t('smallBodies.unbound');
+  let kindLabel = t(`smallBodies.${body.kind}`);
+  if (orbit.interstellar) kindLabel += ` · ${t('smallBodies.interstellar')}`;
+  else if (orbit.open) kindLabel += ` · ${t(orbit.a === null ? 'smallBodies.parabolicOrbit' : 'smallBodies.openOrbit')}`;
+
+  let html = `
+    <div class="info-header fade-in">
+      <div class="subtitle">${kindLabel}</div>
+      <h1>${escapeHTML(body.name)}</h1>
+      ${body.designation !== body.name ? `<div class="subtitle">${escapeHTML(body.designation)}</div>` : ''}
+    </div>`;
+
+  html += `<div class="info-section fade-in">
+    <h3>${t('smallBodies.orbit')}</h3>
+    <div class="info-grid">`;
+  html += stat(t('smallBodies.a'), orbit.a === null ? '∞' : au(orbit.a));
+  html += stat(t('smallBodies.e'), el.e.toFixed(5));
+  html += stat(t('smallBodies.q'), au(el.q));
+  html += stat(t('smallBodies.Q'), orbit.open ? unbound : au(orbit.Q));
+  html += stat(t('smallBodies.i'), formatDegrees(el.i));
+  html += stat(t('smallBodies.node'), formatDegrees(el.node));
+  html += stat(t('smallBodies.peri'), formatDegrees(el.peri));
+  if (orbit.open) {
+    html += stat(t('smallBodies.period'), unbound);
+    html += stat(t('smallBodies.vInfinity'), `${orbit.vInfinity.toFixed(1)} <span class="unit">km/s</span>`);
+    // An open orbit passes perihelion only once
+    html += stat(t('smallBodies.perihelion'), julianToDateStr(el.tp));
+  } else {
+    html += stat(t('smallBodies.period'), `${orbit.periodYears.toFixed(2)} <span class="unit">${t('smallBodies.years')}</span>`);
+    if (typeof jd === 'number') {
+      const periodDays = 360 / orbit.meanMotion;
+      const next = el.tp + Math.ceil((jd - el.tp) / periodDays) * periodDays;
+      html += stat(t('smallBodies.nextPerihelion'), julianToDateStr(next));
+    }
+  }
+  html += stat(t('smallBodies.epoch'), julianToDateStr(el.epoch));
+  html += `</div></div>`;
+
+  if (typeof jd === 'number') {
+    const helio = getPlanetHeliocentricAU(key, jd);
+    const geo = getGeocentricEquatorial(key, jd);
+    html += `<div class="info-section fade-in">
+      <h3>${t('smallBodies.position')}</h3>
+      <div class="info-grid">
+        ${stat(t('smallBodies.fromSun'), au(Math.hypot(helio.x, helio.y, helio.z)))}
+        ${geo ? stat(t('smallBodies.fromEarth'), au(geo.distance)) : ''}
+      </div>
+    </div>`;
+  }
+
+  if (body.H !== null) {
+    const diameter = estimateDiameterKm(body.H);
+    html += `<div class="info-section fade-in">
+      <h3>${t('info.quickFacts')}</h3>
+      <div class="info-grid">
+        ${stat(t('smallBodies.H'), body.H.toFixed(1))}
+        ${body.kind === 'asteroid' && diameter ? stat(t('smallBodies.diameter'), formatDiameterRange(diameter)) : ''}
+      </div>
+    </div>`;
+  }
+
+  if (typeof jd === 'number') {
+    html += renderSkyPositionSection(key, jd);
+  }
+
+  html += `
+    <div class="small-body-actions fade-in">
+      <button class="observer-btn" id="small-body-link" data-key="${escapeHTML(key)}">${t('smallBodies.copyLink')}</button>
+      <button class="observer-btn" id="small-body-remove" data-key="${escapeHTML(key)}">${t('smallBodies.remove')}</button>
+    </div>`;
+
+  return html;
+}
+
 // ISS photo: NASA/ESA public domain image taken from Atlantis during STS-132 (May 2010)
 const ISS_PHOTO_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/04/International_Space_Station_after_undocking_of_STS-132.jpg/1200px-International_Space_Station_after_undocking_of_STS-132.jpg';
 
-export function renderISSInfo() {
+/**
+ * Render the ISS panel: live position (SGP4 when elements are loaded),
+ * passes over the observer, quick facts, and the satellite loader.
+ * @param {number} [jd] - simulation time; position and passes are left out without it
+ * @param {{ satelliteKey?: string|null, days?: number }} [passOptions] - pass list settings
+ * @param {string} [satelliteInput] - text kept in the loader after a failed load
+ * @param {string|null} [satelliteError]
+ * @returns {string} HTML string
+ */
+export function renderISSInfo(jd, passOptions = {}, satelliteInput = '', satelliteError = null) {
   let html = '';
 
   // Header
@@ -366,6 +661,23 @@ export function renderISSInfo() {
   // Tagline
   html += `<p class="info-tagline fade-in">${escapeHTML(t('iss.tagline'))}</p>`;
 
+  // Live position
+  if (jd !== undefined) {
+    html += `
+    <div class="info-section fade-in">
+      <h3>${t('iss.now')}</h3>
+      <div class="sky-time">${t('sky.computedFor')}: <span id="iss-position-time">${formatJulianUT(jd)}</span></div>
+      <div class="info-grid" id="iss-position-grid">${renderISSPositionGrid(jd)}</div>
+    </div>`;
+
+    html += `
+    <div class="info-section fade-in">
+      <h3>${t('passes.title')}</h3>
+      ${renderObserverForm()}
+      <div id="pass-list">${renderPassList(jd, passOptions.satelliteKey ?? null, passOptions.days ?? 3)}</div>
+    </div>`;
+  }
+
   // Quick stats
   html += `
     <div class="info-section fade-in">
@@ -392,6 +704,8 @@ export function renderISSInfo() {
   }
   html += `</div></div>`;
 
+  html += `<div id="satellite-section">${renderSatelliteSection(satelliteInput, satelliteError)}</div>`;
+
   return html;
 }
 
@@ -3,7 +3,7 @@
  */
 import { MISSIONS } from '../data/missions.js';
 import { getLang, t } from '../i18n/i18n.js';
-import { getWaypointProgressPositions } from '../scene/OrbitalMechanics.js';
+import { getWaypointProgressPositions } from '../scene/MissionTrajectory.js';
 import { escapeHTML, sanitizeHTML } from '../utils/sanitize.js';
 
 export function renderMissionList() {
@@ -0,0 +1,209 @@
+/**
+ * N-body "what-if" panel — run the Sun and planets under their mutual
+ * gravity from the scene's date, then change the system: make a body
+ * heavier or lighter, delete it, fling it, or send in a rogue planet. A
+ * read-out shows how well energy is kept and which bodies are still bound.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { PLANET_ORDER } from '../data/solarSystem.js';
+import { getEnergyDrift, getOrbitStates, getPrimary } from '../scene/NBody.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/events.css';
+import '../styles/transfer.css';
+import '../styles/gravity-assist.css';
+import '../styles/nbody.css';
+
+/** Simulation speeds offered (days per second) */
+export const NBODY_SPEEDS = [10, 30, 60, 120, 365];
+
+/** Mass multipliers offered for the selected body */
+export const NBODY_MASS_FACTORS = [0.5, 2, 10];
+
+/** Largest fling (km/s) */
+export const MAX_FLING_DV = 50;
+
+/** Largest rogue mass (Earth masses) — about the Sun's */
+export const MAX_ROGUE_MASS = 333000;
+
+/** Largest rogue speed (km/s) */
+export const MAX_ROGUE_SPEED = 100;
+
+/** Largest rogue miss distance (AU) */
+export const MAX_ROGUE_MISS = 40;
+
+const PLANET_KEYS = PLANET_ORDER.filter(k => k !== 'sun');
+
+/** Display name of a body, numbering added rogues */
+export function nBodyName(key) {
+  const rogue = /^rogue-(\d+)$/.exec(key);
+  if (rogue) return `${t('nbody.rogue')} ${rogue[1]}`;
+  return getLocalizedPlanet(key)?.name || key;
+}
+
+function locale() {
+  return getLang() === 'tr' ? 'tr-TR' : 'en-GB';
+}
+
+function formatNumber(value, digits) {
+  return value.toLocaleString(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/** Relative energy drift as "+2.1e-9" */
+function formatDrift(drift) {
+  return `${drift >= 0 ? '+' : '−'}${Math.abs(drift).toExponential(1)}`;
+}
+
+/**
+ * Starting settings: Jupiter selected, a 5 km/s prograde fling, and a rogue
+ * of Jupiter's mass coming in slowly to pass 5 AU from the Sun.
+ * @returns {{ body: string, deltaV: number, heading: number, rogue: { mass: number, speed: number, missAU: number, longitude: number, look: string } }}
+ */
+export function getDefaultNBodySettings() {
+  return {
+    body: 'jupiter',
+    deltaV: 5,
+    heading: 0,
+    rogue: { mass: 318, speed: 5, missAU: 5, longitude: 0, look: 'jupiter' },
+  };
+}
+
+/**
+ * Whether a rogue can be sent in: a positive mass up to the Sun's, a speed
+ * and miss distance in range and a planet to look like.
+ * @param {{ mass: number, speed: number, missAU: number, longitude: number, look: string }} rogue
+ * @returns {boolean}
+ */
+export function isValidRogue({ mass, speed, missAU, longitude, look }) {
+  return mass > 0 && mass <= MAX_ROGUE_MASS &&
+    speed >= 0 && speed <= MAX_ROGUE_SPEED &&
+    missAU >= 0 && missAU <= MAX_ROGUE_MISS &&
+    longitude >= 0 && longitude < 360 &&
+    PLANET_KEYS.includes(look);
+}
+
+/**
+ * Whether a fling can be given.
+ * @param {number} deltaV - km/s
+ */
+export function isValidFling(deltaV) {
+  return deltaV > 0 && deltaV <= MAX_FLING_DV;
+}
+
+/** Heading in words, for the slider's read-out */
+export function describeFlingHeading(heading) {
+  const directions = [
+    [0, 'nbody.prograde'], [90, 'nbody.outward'], [180, 'nbody.retrograde'],
+    [-180, 'nbody.retrograde'], [-90, 'nbody.inward'],
+  ];
+  const [, key] = directions.reduce((a, b) => (Math.abs(b[0] - heading) < Math.abs(a[0] - heading) ? b : a));
+  return `${heading}° · ${t(key)}`;
+}
+
+/**
+ * Render the sandbox controls. The read-out goes in #nbody-readout,
+ * rendered separately so it can update while the controls keep focus.
+ * @param {ReturnType<typeof getDefaultNBodySettings>} settings
+ * @param {import('../scene/NBody.js').NBodySystem} system
+ * @param {boolean} invalid - show the invalid-input message
+ * @param {boolean} playing - the simulation is running
+ * @param {number} speed - days per second
+ * @returns {string} HTML string
+ */
+export function renderNBodyPanel(settings, system, invalid, playing, speed) {
+  const speedOptions = NBODY_SPEEDS.map(s =>
+    `<option value="${s}"${s === speed ? ' selected' : ''}>${s} ${t('gravity.daysPerSecond')}</option>`).join('');
+  const bodyOptions = system.bodies.map(b =>
+    `<option value="${escapeHTML(b.key)}"${b.key === settings.body ? ' selected' : ''}>${escapeHTML(nBodyName(b.key))}</option>`).join('');
+  const lookOptions = PLANET_KEYS.map(k =>
+    `<option value="${k}"${k === settings.rogue.look ? ' selected' : ''}>${escapeHTML(nBodyName(k))}</option>`).join('');
+  const massButtons = NBODY_MASS_FACTORS.map(f =>
+    `<button type="button" class="observer-btn nbody-mass-btn" data-factor="${f}">${t('nbody.mass')} ×${formatNumber(f, f < 1 ? 1 : 0)}</button>`).join('');
+  const { rogue } = settings;
+
+  return `
+    <div class="gravity-flight">
+      <button type="button" class="observer-btn" id="nbody-play" aria-pressed="${playing}">
+        ${playing ? t('gravity.pause') : t('gravity.resume')}
+      </button>
+      <label class="observer-form">${t('gravity.speed')} <select id="nbody-speed">${speedOptions}</select></label>
+      <button type="button" class="observer-btn" id="nbody-reset">${t('nbody.reset')}</button>
+    </div>
+
+    <div class="observer-error${invalid ? '' : ' hidden'}" id="nbody-error" role="alert">${t('nbody.invalid')}</div>
+
+    <form class="observer-form events-form nbody-form" id="nbody-body-form" novalidate>
+      <h3 class="nbody-heading">${t('nbody.changeBody')}</h3>
+      <label>${t('nbody.body')} <select id="nbody-body">${bodyOptions}</select></label>
+      <div class="nbody-actions">
+        ${massButtons}
+        <button type="button" class="observer-btn nbody-delete" id="nbody-delete">${t('nbody.delete')}</button>
+      </div>
+      <label>${t('nbody.flingDeltaV')} <input type="number" id="nbody-dv" min="0" max="${MAX_FLING_DV}" step="0.5" value="${settings.deltaV}"> km/s</label>
+      <label class="gravity-slider">
+        <span>${t('gravity.heading')} <output id="nbody-heading-value">${describeFlingHeading(settings.heading)}</output></span>
+        <input type="range" id="nbody-heading" min="-180" max="180" step="1" value="${settings.heading}">
+      </label>
+      <button type="submit" class="observer-btn">${t('nbody.fling')}</button>
+    </form>
+
+    <form class="observer-form events-form nbody-form" id="nbody-rogue-form" novalidate>
+      <h3 class="nbody-heading">${t('nbody.addRogue')}</h3>
+      <label>${t('nbody.rogueMass')} <input type="number" id="nbody-rogue-mass" min="0" max="${MAX_ROGUE_MASS}" step="any" value="${rogue.mass}"></label>
+      <label>${t('nbody.rogueSpeed')} <input type="number" id="nbody-rogue-speed" min="0" max="${MAX_ROGUE_SPEED}" step="any" value="${rogue.speed}"> km/s</label>
+      <label>${t('nbody.rogueMiss')} <input type="number" id="nbody-rogue-miss" min="0" max="${MAX_ROGUE_MISS}" step="any" value="${rogue.missAU}"> AU</label>
+      <label>${t('nbody.rogueLongitude')} <input type="number" id="nbody-rogue-lon" min="0" max="359" step="1" value="${rogue.longitude}">°</label>
+      <label>${t('nbody.rogueLook')} <select id="nbody-rogue-look">${lookOptions}</select></label>
+      <button type="submit" class="observer-btn">${t('nbody.send')}</button>
+    </form>
+
+    <div id="nbody-readout" class="nbody-readout">${renderNBodyReadout(system)}</div>
+
+    <p class="events-note">${t('nbody.hint')}</p>`;
+}
+
+function renderStat(label, value) {
+  return `<div class="transfer-stat"><span class="transfer-stat-label">${label}</span><span class="transfer-stat-value">${value}</span></div>`;
+}
+
+/**
+ * The read-out: time run, energy drift, what everything orbits and which
+ * bodies are still bound to it.
+ * @param {import('../scene/NBody.js').NBodySystem} system
+ * @returns {string} HTML string
+ */
+export function renderNBodyReadout(system) {
+  const primary = getPrimary(system);
+  const orbits = getOrbitStates(system);
+  const escaping = orbits.filter(o => !o.bound).length;
+  const drift = getEnergyDrift(system);
+
+  const rows = orbits.map(o => `
+    <li class="nbody-orbit${o.bound ? '' : ' nbody-orbit--escaping'}">
+      <span class="nbody-orbit-body">${escapeHTML(nBodyName(o.key))}</span>
+      <span>${formatNumber(o.distanceAU, 2)} AU</span>
+      <span>e ${o.bound ? formatNumber(o.eccentricity, 3) : '≥ 1'}</span>
+      <span>${o.bound ? t('nbody.bound') : t('nbody.escaping')}</span>
+    </li>`).join('');
+  const merges = system.merges.map(m =>
+    `<li>${escapeHTML(describeMerge(m))}</li>`).join('');
+
+  return `
+    <div class="transfer-stats">
+      ${renderStat(t('nbody.elapsed'), `${formatNumber(system.time / 365.25, 1)} ${t('nbody.years')}`)}
+      ${renderStat(t('nbody.energyDrift'), formatDrift(drift))}
+      ${renderStat(t('nbody.primary'), primary ? escapeHTML(nBodyName(primary.key)) : '—')}
+      ${renderStat(t('nbody.stability'), escaping === 0 ? t('nbody.stable') : `${escaping} ${t('nbody.unbound')}`)}
+    </div>
+    ${rows ? `<ol class="nbody-orbits" aria-label="${t('nbody.orbits')}">${rows}</ol>` : ''}
+    ${merges ? `<ul class="nbody-merges" aria-label="${t('nbody.merges')}">${merges}</ul>` : ''}`;
+}
+
+/**
+ * A collision in words, for the read-out and screen readers.
+ * @param {{ key: string, into: string, time: number }} merge
+ * @returns {string}
+ */
+export function describeMerge(merge) {
+  return `${nBodyName(merge.key)} → ${nBodyName(merge.into)}: ${t('nbody.merged')} (${formatNumber(merge.time / 365.25, 1)} ${t('nbody.years')})`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Satellite sections of the ISS panel — the ISS's live position from SGP4,
+ * passes over the observer, a form for pasting or loading TLE/OMM elements,
+ * and the list of loaded satellites with their ground-track switches.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import {
+  getISS, getSatellite, getSatellites, getSatelliteState, getElementsAge,
+} from '../scene/Satellites.js';
+import { findSatellitePasses } from '../scene/SatellitePasses.js';
+import { getObserverLocation } from '../utils/observer.js';
+import { julianToDate, compassPoint, formatJulianUT } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/satellites.css';
+
+/** Satellites listed by name; the rest are only counted */
+const LIST_LIMIT = 50;
+
+/** Elements further than this from the shown date (days) get a warning */
+const STALE_ELEMENTS_DAYS = 14;
+
+/** Lengths of the pass search offered (days) */
+export const PASS_DAY_OPTIONS = [1, 3, 7];
+
+function stat(label, value, fullWidth = false) {
+  return `
+    <div class="info-stat${fullWidth ? ' full-width' : ''}">
+      <div class="label">${label}</div>
+      <div class="value">${value}</div>
+    </div>`;
+}
+
+function formatLatLon(deg, positive, negative) {
+  return `${Math.abs(deg).toFixed(2)}° ${deg >= 0 ? positive : negative}`;
+}
+
+/** Julian Day → "21 Nov" or "21:34:05" in the device time zone */
+function formatLocal(jd, part) {
+  const options = part === 'date'
+    ? { day: 'numeric', month: 'short', weekday: 'short' }
+    : { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+  return julianToDate(jd).toLocaleString(getLang() === 'tr' ? 'tr-TR' : 'en-GB', options);
+}
+
+function formatDirection(azimuth) {
+  return `${compassPoint(azimuth)} ${Math.round(azimuth)}°`;
+}
+
+/**
+ * Stat cells for the ISS's position at a moment, or a note when there are
+ * no elements to compute it from. Re-rendered in place as the clock runs.
+ * @param {number} jd
+ * @returns {string} HTML string
+ */
+export function renderISSPositionGrid(jd) {
+  const iss = getISS();
+  if (!iss) return `<p class="satellite-note full-width">${t('iss.illustrative')}</p>`;
+  const state = getSatelliteState(iss, jd);
+  if (!state) return `<p class="satellite-note full-width">${t('iss.propagationFailed')}</p>`;
+
+  const age = getElementsAge(iss, jd);
+  let html = '';
+  html += stat(t('iss.latitude'), formatLatLon(state.lat, 'N', 'S'));
+  html += stat(t('iss.longitude'), formatLatLon(state.lon, 'E', 'W'));
+  html += stat(t('iss.altitude'), `${state.altitude.toFixed(0)} <span class="unit">km</span>`);
+  html += stat(t('iss.speed'), `${state.speed.toFixed(2)} <span class="unit">km/s</span>`);
+  html += stat(t('iss.elementsAge'), `${age.toFixed(1)} <span class="unit">${t('iss.days')}</span>`, true);
+  if (Math.abs(age) > STALE_ELEMENTS_DAYS) {
+    html += `<p class="satellite-note full-width">${t('iss.staleElements')}</p>`;
+  }
+  return html;
+}
+
+function renderPassItem(pass) {
+  const point = (label, p, detail) => `
+          <div class="pass-point">
+            <span class="pass-label">${label}</span>
+            <span class="pass-time">${formatLocal(p.jd, 'time')}</span>
+            <span class="pass-detail">${detail}</span>
+          </div>`;
+  return `
+        <li class="pass-item${pass.visible ? ' visible' : ''}">
+          <div class="pass-header">
+            <span class="pass-date">${formatLocal(pass.start.jd, 'date')}</span>
+            <span class="pass-visibility">${t(pass.visible ? 'passes.visible' : 'passes.notVisible')}</span>
+          </div>
+          <div class="pass-points">
+            ${point(t('passes.rise'), pass.start, formatDirection(pass.start.azimuth))}
+            ${point(t('passes.max'), pass.max, `${Math.round(pass.max.elevation)}° · ${formatDirection(pass.max.azimuth)}`)}
+            ${point(t('passes.set'), pass.end, formatDirection(pass.end.azimuth))}
+          </div>
+        </li>`;
+}
+
+/**
+ * Passes of a loaded satellite over the saved observer location, with the
+ * satellite and search-length pickers.
+ * @param {number} jd - start of the search
+ * @param {string|null} satelliteKey - falls back to the ISS, then the first satellite
+ * @param {number} days
+ * @returns {string} HTML string
+ */
+export function renderPassList(jd, satelliteKey, days) {
+  const sats = getSatellites();
+  if (sats.length === 0) return `<p class="satellite-note">${t('passes.noElements')}</p>`;
+  const sat = getSatellite(satelliteKey || '') || getISS() || sats[0];
+
+  const choices = sats.slice(0, LIST_LIMIT);
+  if (!choices.includes(sat)) choices.unshift(sat);
+  const satOptions = choices.map(s =>
+    `<option value="${escapeHTML(s.key)}"${s === sat ? ' selected' : ''}>${escapeHTML(s.name)}</option>`).join('');
+  const dayOptions = PASS_DAY_OPTIONS.map(d =>
+    `<option value="${d}"${d === days ? ' selected' : ''}>${d}</option>`).join('');
+
+  const passes = findSatellitePasses(sat, jd, jd + days, getObserverLocation());
+  const visibleCount = passes.filter(p => p.visible).length;
+
+  return `
+      <div class="observer-form pass-controls">
+        <label>${t('passes.satellite')} <select id="pass-satellite">${satOptions}</select></label>
+        <label>${t('passes.days')} <select id="pass-days">${dayOptions}</select></label>
+        <button type="button" class="observer-btn" id="pass-update">${t('passes.update')}</button>
+      </div>
+      <div class="sky-time">${t('passes.from')}: ${formatJulianUT(jd)}</div>
+      ${passes.length
+        ? `<p class="satellite-note">${passes.length} ${t('passes.found')} · ${visibleCount} ${t('passes.visibleCount')}</p>
+      <ul class="pass-list">${passes.map(renderPassItem).join('')}</ul>`
+        : `<p class="satellite-note">${t('passes.none')}</p>`}
+      <p class="satellite-note">${t('passes.hint')}</p>`;
+}
+
+/**
+ * Render the paste/load form and the list of loaded satellites.
+ * @param {string} [input=''] - text to keep in the box (after a failed load)
+ * @param {string|null} [error=null] - from parseSatelliteText
+ * @returns {string} HTML string
+ */
+export function renderSatelliteSection(input = '', error = null) {
+  const sats = getSatellites();
+  const rows = sats.slice(0, LIST_LIMIT).map(sat => `
+        <li class="satellite-row">
+          <span class="satellite-name">${escapeHTML(sat.name)}
+            <span class="satellite-id">#${sat.noradId}</span></span>
+          <button class="satellite-track${sat.track ? ' active' : ''}" data-key="${escapeHTML(sat.key)}"
+            aria-pressed="${sat.track}">${t('satellites.track')}</button>
+          <button class="satellite-delete" data-key="${escapeHTML(sat.key)}"
+            aria-label="${escapeHTML(`${t('satellites.remove')} ${sat.name}`)}" title="${t('satellites.remove')}">&times;</button>
+        </li>`).join('');
+  const more = sats.length > LIST_LIMIT
+    ? `<p class="satellite-note">+${sats.length - LIST_LIMIT} ${t('satellites.more')}</p>`
+    : '';
+  const list = sats.length
+    ? `<ul class="satellite-list">${rows}</ul>${more}
+      <button class="observer-btn" id="satellite-clear">${t('satellites.removeAll')}</button>`
+    : `<p class="satellite-note">${t('satellites.none')}</p>`;
+  const errorText = error ? t(`satellites.error.${error}`) : '';
+
+  return `
+    <div class="info-section fade-in satellite-section">
+      <h3>${t('satellites.title')}</h3>
+      <form class="satellite-form" id="satellite-form" novalidate>
+        <label for="satellite-input">${t('satellites.inputLabel')}</label>
+        <textarea id="satellite-input" rows="4" spellcheck="false" autocomplete="off"
+          placeholder="${escapeHTML(t('satellites.placeholder'))}">${escapeHTML(input)}</textarea>
+        <label class="satellite-file">${t('satellites.file')}
+          <input type="file" id="satellite-file" accept=".txt,.tle,.3le,.json,.xml,.kvn">
+        </label>
+        <div class="observer-error${error ? '' : ' hidden'}" id="satellite-error" role="alert">${errorText}</div>
+        <button type="submit" class="observer-btn">${t('satellites.load')}</button>
+      </form>
+      <h4 class="satellite-heading">${t('satellites.list')} (${sats.length})</h4>
+      ${list}
+      <p class="satellite-note">${t('satellites.hint')}</p>
+    </div>`;
+}
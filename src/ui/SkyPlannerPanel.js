@@ -0,0 +1,157 @@
+/**
+ * "Tonight's Sky" planner panel — rise, transit and set times, brightness,
+ * elongation and constellation for every body, for the saved observer site.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { getNightPlan } from '../scene/SkyPlanner.js';
+import { findMoonEvents } from '../scene/MoonEvents.js';
+import { getObserverLocation } from '../utils/observer.js';
+import { julianToDate, formatDegrees } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/sky.css';
+
+/** Today's civil date in the device time zone, "YYYY-MM-DD". */
+export function getLocalDateStr() {
+  const d = new Date();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${m}-${day}`;
+}
+
+/** Julian Day → "21:34" in the device time zone. */
+function formatLocalTime(jd) {
+  if (jd === null) return '—';
+  return julianToDate(jd).toLocaleTimeString(getLang() === 'tr' ? 'tr-TR' : 'en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/** Julian Day → "Fri 21 Nov" in the device time zone. */
+function formatLocalDay(jd) {
+  return julianToDate(jd).toLocaleDateString(getLang() === 'tr' ? 'tr-TR' : 'en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+  });
+}
+
+function formatMagnitude(mag) {
+  if (mag === null) return '—';
+  return mag < 0 ? `−${Math.abs(mag).toFixed(1)}` : mag.toFixed(1);
+}
+
+function renderBodyCard(body) {
+  const name = getLocalizedPlanet(body.key)?.name || body.key;
+  const observable = body.bestTime !== null;
+
+  let times;
+  if (body.alwaysUp) {
+    times = `<div class="sky-body-note">${t('skyPlanner.alwaysUp')}</div>`;
+  } else if (body.neverUp) {
+    times = `<div class="sky-body-note">${t('skyPlanner.neverUp')}</div>`;
+  } else {
+    times = `
+      <div class="sky-body-times">
+        <div><span class="label">${t('skyPlanner.rise')}</span><span class="value">${formatLocalTime(body.rise)}</span></div>
+        <div><span class="label">${t('skyPlanner.transit')}</span><span class="value">${formatLocalTime(body.transit)}</span></div>
+        <div><span class="label">${t('skyPlanner.set')}</span><span class="value">${formatLocalTime(body.set)}</span></div>
+        <div><span class="label">${t('skyPlanner.maxAlt')}</span><span class="value">${formatDegrees(body.maxAltitude)}</span></div>
+      </div>`;
+  }
+
+  const best = observable
+    ? `${t('skyPlanner.best')}: ${formatLocalTime(body.bestTime)} · ${formatDegrees(body.bestAltitude)}`
+    : t('skyPlanner.notVisible');
+
+  return `
+    <div class="sky-body-card${observable ? '' : ' not-visible'}" data-planet="${escapeHTML(body.key)}">
+      <div class="sky-body-head">
+        <button class="sky-body-name" data-planet="${escapeHTML(body.key)}">${escapeHTML(name)}</button>
+        <span class="sky-body-mag">${t('skyPlanner.magnitude')} ${formatMagnitude(body.magnitude)}</span>
+      </div>
+      <div class="sky-body-meta">
+        ${escapeHTML(t(`constellation.${body.constellation}`))} ·
+        ${formatDegrees(body.elongation)} ${t('skyPlanner.fromSun')}
+        (${body.east ? t('skyPlanner.evening') : t('skyPlanner.morning')})
+      </div>
+      ${times}
+      <div class="sky-body-best">${best}</div>
+    </div>`;
+}
+
+/** Nights offered for the moon event scan */
+export const MOON_EVENT_NIGHTS = [1, 3, 7, 14];
+
+function renderMoonEvent(event) {
+  const moon = getLocalizedPlanet(event.planet)?.moons?.[event.moonIndex]?.name || event.moon;
+  return `
+    <li>
+      <button class="moon-event${event.observable ? ' observable' : ''}"
+        data-jd="${event.mid}" data-planet="${escapeHTML(event.planet)}">
+        <span class="moon-event-time">${formatLocalDay(event.start)} ${formatLocalTime(event.start)}–${formatLocalTime(event.end)}</span>
+        <span class="moon-event-name">${escapeHTML(moon)} · ${t(`moonEvents.${event.type}`)}</span>
+        <span class="moon-event-vis">${event.observable ? t('moonEvents.observable') : t('moonEvents.notObservable')}</span>
+      </button>
+    </li>`;
+}
+
+function renderMoonEvents(plan, observer, nights) {
+  const events = findMoonEvents(plan.start, plan.start + nights, observer);
+  const options = MOON_EVENT_NIGHTS.map(n =>
+    `<option value="${n}"${n === nights ? ' selected' : ''}>${n}</option>`).join('');
+
+  return `
+    <section class="moon-events" aria-labelledby="moon-events-title">
+      <div class="moon-events-head">
+        <h3 id="moon-events-title">${t('moonEvents.title')}</h3>
+        <label>${t('moonEvents.nights')} <select id="moon-events-nights">${options}</select></label>
+      </div>
+      ${events.length
+        ? `<ul class="moon-event-list">${events.map(renderMoonEvent).join('')}</ul>`
+        : `<p class="sky-planner-note">${t('moonEvents.none')}</p>`}
+      <p class="sky-planner-note">${t('moonEvents.hint')}</p>
+    </section>`;
+}
+
+/**
+ * Render the planner: date/location controls, one card per body, then the
+ * Jupiter and Saturn moon events of the coming nights.
+ * @param {string} dateStr - "YYYY-MM-DD" evening to plan
+ * @param {number} [moonEventNights=1] - nights to scan for moon events
+ * @returns {string} HTML string
+ */
+export function renderSkyPlanner(dateStr, moonEventNights = 1) {
+  const observer = getObserverLocation();
+  const plan = getNightPlan(dateStr, observer);
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const darkness = plan.sun.darkStart !== null && plan.sun.darkEnd !== null
+    ? `${formatLocalTime(plan.sun.darkStart)} – ${formatLocalTime(plan.sun.darkEnd)}`
+    : t('skyPlanner.noDarkness');
+
+  return `
+    <form class="observer-form sky-planner-form" id="sky-planner-form" novalidate>
+      <label>${t('skyPlanner.date')} <input type="date" id="sky-planner-date" value="${escapeHTML(dateStr)}" required></label>
+      <label>${t('sky.lat')} <input type="number" id="sky-planner-lat" min="-90" max="90" step="0.01" value="${observer.lat}" required></label>
+      <label>${t('sky.lon')} <input type="number" id="sky-planner-lon" min="-180" max="180" step="0.01" value="${observer.lon}" required></label>
+      <button type="submit" class="observer-btn">${t('skyPlanner.update')}</button>
+      <div class="observer-error hidden" id="sky-planner-error" role="alert">${t('sky.invalidLocation')}</div>
+    </form>
+
+    <div class="sky-sun-summary">
+      <div><span class="label">${t('skyPlanner.sunset')}</span><span class="value">${formatLocalTime(plan.sun.set)}</span></div>
+      <div><span class="label">${t('skyPlanner.darkness')}</span><span class="value">${darkness}</span></div>
+      <div><span class="label">${t('skyPlanner.sunrise')}</span><span class="value">${formatLocalTime(plan.sun.rise)}</span></div>
+    </div>
+    <p class="sky-planner-note">${t('skyPlanner.timesIn')} ${escapeHTML(timeZone)}</p>
+
+    <div class="sky-body-list">
+      ${plan.bodies.map(renderBodyCard).join('')}
+    </div>
+
+    ${renderMoonEvents(plan, observer, moonEventNights)}
+
+    <p class="sky-planner-note">${t('skyPlanner.accuracy')}</p>`;
+}
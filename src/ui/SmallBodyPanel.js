@@ -0,0 +1,51 @@
+/**
+ * "Add asteroid or comet" panel — paste osculating elements in MPC one-line
+ * or JPL SBDB JSON format, and manage the bodies added so far.
+ */
+import { t } from '../i18n/i18n.js';
+import { getSmallBodies } from '../scene/SmallBodies.js';
+import { COMET_PRESETS } from '../data/comets.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/smallBodies.css';
+
+/**
+ * Render the paste form and the list of added bodies.
+ * @param {string} [input=''] - text to keep in the box (after a failed add)
+ * @param {string|null} [error=null] - 'format', from parseSmallBodyText
+ * @returns {string} HTML string
+ */
+export function renderSmallBodyPanel(input = '', error = null) {
+  const bodies = getSmallBodies();
+  const list = bodies.length
+    ? `<ul class="small-body-list">${bodies.map(body => `
+        <li class="small-body-row">
+          <button class="small-body-item" data-key="${escapeHTML(body.key)}">
+            <span class="small-body-name">${escapeHTML(body.name)}</span>
+            <span class="small-body-kind">${t(`smallBodies.${body.kind}`)}</span>
+          </button>
+          <button class="small-body-delete" data-key="${escapeHTML(body.key)}"
+            aria-label="${escapeHTML(`${t('smallBodies.remove')} ${body.name}`)}" title="${t('smallBodies.remove')}">&times;</button>
+        </li>`).join('')}
+      </ul>`
+    : `<p class="small-bodies-note">${t('smallBodies.none')}</p>`;
+
+  const presets = COMET_PRESETS.map((preset, i) =>
+    `<button class="small-body-preset" data-preset="${i}">${escapeHTML(preset.name)}</button>`).join('');
+
+  return `
+    <form class="small-body-form" id="small-body-form" novalidate>
+      <label for="small-body-input">${t('smallBodies.inputLabel')}</label>
+      <textarea id="small-body-input" rows="5" spellcheck="false" autocomplete="off"
+        placeholder="${escapeHTML(t('smallBodies.placeholder'))}">${escapeHTML(input)}</textarea>
+      <div class="observer-error${error ? '' : ' hidden'}" id="small-body-error" role="alert">${error ? t(`smallBodies.error.${error}`) : ''}</div>
+      <button type="submit" class="observer-btn">${t('smallBodies.add')}</button>
+    </form>
+
+    <h3 class="small-bodies-heading">${t('smallBodies.presets')}</h3>
+    <div class="small-body-presets">${presets}</div>
+
+    <h3 class="small-bodies-heading">${t('smallBodies.list')}</h3>
+    ${list}
+
+    <p class="small-bodies-note">${t('smallBodies.hint')}</p>`;
+}
@@ -0,0 +1,407 @@
+/**
+ * Solar storm panel — start the scripted storm, launch a CME of your own
+ * and forecast its arrivals with the drag-based model, or replay a real
+ * storm from solar-wind data: a bundled preset or a local OMNI/DSCOVR CSV
+ * file. An on-screen HUD follows the CME or the replayed wind. The aurora
+ * section tells an observer whether Earth's oval reaches them at some Kp,
+ * and a layer of the interplanetary field shows which sector each planet is in.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { STORM_PRESETS } from '../data/solarStorms.js';
+import {
+  sampleSolarWind, getDynamicPressure, getMagnetopauseStandoff, getCMEFrontAU,
+} from '../scene/SolarWind.js';
+import { getDragParameter, getDBMKinematics } from '../scene/DragBasedModel.js';
+import { getPlanetHeliocentricAU, getSkyPosition, DEG_TO_RAD } from '../scene/OrbitalMechanics.js';
+import {
+  getAuroraVisibility, getMagneticLatitude, getMinimumKp, MAX_KP,
+} from '../scene/AuroraOval.js';
+import {
+  getSheetTilt, getSpiralAngle, WIND_SPEED_RANGE,
+} from '../scene/HeliosphericField.js';
+import { getObserverLocation } from '../utils/observer.js';
+import { formatJulianUT } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/events.css';
+import '../styles/storm.css';
+
+/** Replay speeds offered (hours of data per second) */
+export const STORM_REPLAY_SPEEDS = [1, 3, 6, 24, 72];
+
+/** Kp from which a geomagnetic storm is under way (G1) */
+const STORM_KP = 5;
+
+/** Ranges the CME launcher accepts: speeds in km/s, angles in degrees, mass in 10¹² kg */
+export const CME_LIMITS = {
+  speed: [100, 3500],
+  width: [10, 120],
+  mass: [0.1, 100],
+  windSpeed: [250, 800],
+  latitude: [-90, 90],
+};
+
+/** The launcher's mass unit (kg) */
+const MASS_UNIT = 1e12;
+
+/** Sun altitude below which the sky is dark enough for a faint aurora (degrees) — nautical twilight's end */
+const DARK_SUN_ALTITUDE = -12;
+
+function locale() {
+  return getLang() === 'tr' ? 'tr-TR' : 'en-GB';
+}
+
+function formatNumber(value, digits) {
+  return value.toLocaleString(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function renderStat(label, value) {
+  return `<div class="storm-stat"><span class="storm-stat-label">${label}</span><span class="storm-stat-value">${value}</span></div>`;
+}
+
+function planetName(key) {
+  return getLocalizedPlanet(key)?.name || key;
+}
+
+/**
+ * Starting launcher settings: a fast, fairly wide CME of ten billion tonnes
+ * aimed at where Earth is, through a typical slow wind.
+ * @param {number} jd - date Earth's direction is taken for
+ * @returns {{ longitude: number, latitude: number, speed: number, width: number, mass: number, windSpeed: number }}
+ */
+export function getDefaultCMESettings(jd) {
+  const earth = getPlanetHeliocentricAU('earth', jd);
+  const longitude = Math.round((Math.atan2(earth.y, earth.x) / DEG_TO_RAD + 360) % 360) % 360;
+  return { longitude, latitude: 0, speed: 1000, width: 60, mass: 10, windSpeed: 400 };
+}
+
+/**
+ * Whether the launcher settings are in range.
+ * @param {ReturnType<typeof getDefaultCMESettings>} settings
+ * @returns {boolean}
+ */
+export function isValidCMESettings(settings) {
+  const { longitude } = settings;
+  return longitude >= 0 && longitude < 360 &&
+    Object.entries(CME_LIMITS).every(([field, [min, max]]) => settings[field] >= min && settings[field] <= max);
+}
+
+/**
+ * Launcher settings as the drag-based model takes them.
+ * @param {ReturnType<typeof getDefaultCMESettings>} settings
+ * @returns {import('../scene/DragBasedModel.js').CMEParameters}
+ */
+export function toCMEParameters(settings) {
+  return { ...settings, mass: settings.mass * MASS_UNIT };
+}
+
+/**
+ * Starting aurora settings: a G1 storm, seen from the saved observer site.
+ * @returns {{ kp: number, lat: number, lon: number }}
+ */
+export function getDefaultAuroraSettings() {
+  const { lat, lon } = getObserverLocation();
+  return { kp: STORM_KP, lat, lon };
+}
+
+/**
+ * Starting field layer settings: hidden, a typical slow wind, early in a cycle's rise.
+ * @returns {{ visible: boolean, windSpeed: number, phase: number }}
+ */
+export function getDefaultHeliosphereSettings() {
+  return { visible: false, windSpeed: 400, phase: 0.2 };
+}
+
+/**
+ * @typedef {Object} StormReplay
+ * @property {string} name - preset name or file name
+ * @property {boolean} approximate - a preset rebuilt from the storm's timeline, not measured data
+ * @property {import('../scene/SolarWind.js').SolarWindSample[]} samples
+ * @property {import('../scene/SolarWind.js').StormEvent} event
+ */
+
+/**
+ * Render the panel: the ways to start a storm, or while a replay runs,
+ * what the data say about it and the replay controls.
+ * @param {StormReplay|null} replay - the replay running, if any
+ * @param {Object<string, number>} arrivals - CME arrival Julian Day by planet key
+ * @param {number} speed - hours of data per second
+ * @param {string|null} error - 'columns', 'format' or 'read' after a file failed to load
+ * @param {ReturnType<typeof getDefaultCMESettings>} cme - launcher settings
+ * @param {boolean} cmeInvalid - show the launcher's invalid-input message
+ * @param {{ settings: ReturnType<typeof getDefaultAuroraSettings>, kp: number, jd: number, invalid: boolean }} aurora -
+ *   the aurora section: its settings, the Kp in force (the data's during a replay), the date and whether to show its invalid-input message
+ * @param {{ settings: ReturnType<typeof getDefaultHeliosphereSettings>, sectors: Object<string, { polarity: string, crossing: boolean }> }} field -
+ *   the field layer's settings and each planet's sector
+ * @returns {string} HTML string
+ */
+export function renderStormPanel(replay, arrivals, speed, error, cme, cmeInvalid, aurora, field) {
+  if (replay) {
+    return renderReplaySummary(replay, arrivals, speed) + renderAuroraForecast(aurora, true) + renderHeliosphereControls(field);
+  }
+
+  const presets = STORM_PRESETS.map(preset =>
+    `<button type="button" class="storm-preset" data-preset="${escapeHTML(preset.id)}">${escapeHTML(replayTitle(preset))}</button>`).join('');
+  return `
+    <p class="events-note">${t('storm.intro')}</p>
+    <button type="button" class="observer-btn" id="storm-scripted">${t('storm.scripted')}</button>
+
+    <form class="observer-form events-form storm-form" id="storm-cme-form" novalidate>
+      <h3 class="storm-heading">${t('storm.launchCME')}</h3>
+      ${renderCMEInput('longitude', t('storm.cmeLongitude'), cme.longitude, [0, 359], 1, '°')}
+      ${renderCMEInput('latitude', t('storm.cmeLatitude'), cme.latitude, CME_LIMITS.latitude, 1, '°')}
+      ${renderCMEInput('speed', t('storm.cmeInitialSpeed'), cme.speed, CME_LIMITS.speed, 10, 'km/s')}
+      ${renderCMEInput('width', t('storm.cmeWidth'), cme.width, CME_LIMITS.width, 1, '°')}
+      ${renderCMEInput('mass', t('storm.cmeMass'), cme.mass, CME_LIMITS.mass, 'any', '× 10¹² kg')}
+      ${renderCMEInput('windSpeed', t('storm.ambientWind'), cme.windSpeed, CME_LIMITS.windSpeed, 10, 'km/s')}
+      <button type="submit" class="observer-btn">${t('storm.launch')}</button>
+      <div class="observer-error${cmeInvalid ? '' : ' hidden'}" id="storm-cme-error" role="alert">${t('storm.cmeInvalid')}</div>
+    </form>
+    <p class="events-note">${t('storm.dbmHint')}</p>
+    ${renderAuroraForecast(aurora, false)}
+    ${renderHeliosphereControls(field)}
+
+    <h3 class="storm-heading">${t('storm.replay')}</h3>
+    <div class="storm-presets">${presets}</div>
+    <p class="events-note">${t('storm.presetsNote')}</p>
+    <label class="observer-form storm-file">${t('storm.loadFile')}
+      <input type="file" id="storm-file" accept=".csv,.txt,text/csv,text/plain">
+    </label>
+    <div class="observer-error${error ? '' : ' hidden'}" id="storm-error" role="alert">${error ? t(`storm.error.${error}`) : ''}</div>
+    <p class="events-note">${t('storm.fileHint')}</p>`;
+}
+
+function renderCMEInput(field, label, value, [min, max], step, unit) {
+  return `<label>${label} <input type="number" id="storm-cme-${field}" min="${min}" max="${max}" step="${step}" value="${value}"> ${unit}</label>`;
+}
+
+/** A replay's name, flagged when it is an approximate preset */
+function replayTitle({ name, approximate }) {
+  return approximate ? `${name} (${t('storm.approximate')})` : name;
+}
+
+function renderReplaySummary(replay, arrivals, speed) {
+  const { event, approximate } = replay;
+  // Times read off a rebuilt curve are estimates, not the record
+  const when = jd => `${approximate ? '≈ ' : ''}${formatJulianUT(jd)}`;
+  const speedOptions = STORM_REPLAY_SPEEDS.map(s =>
+    `<option value="${s}"${s === speed ? ' selected' : ''}>${s} ${t('storm.hoursPerSecond')}</option>`).join('');
+  const rows = Object.entries(arrivals).sort((a, b) => a[1] - b[1]).map(([key, jd]) => `
+    <li class="storm-arrival">
+      <span class="storm-arrival-body">${escapeHTML(planetName(key))}</span>
+      <span>${when(jd)}</span>
+    </li>`).join('');
+  const transitHours = (event.arrivalJD - event.eruptionJD) * 24;
+
+  return `
+    <h3 class="storm-heading">${escapeHTML(replayTitle(replay))}</h3>
+    ${approximate ? `<p class="events-note">${t('storm.approximateNote')}</p>` : ''}
+    <div class="storm-controls">
+      <label class="observer-form">${t('gravity.speed')} <select id="storm-speed">${speedOptions}</select></label>
+      <button type="button" class="observer-btn" id="storm-stop">${t('storm.stop')}</button>
+    </div>
+    <div class="storm-stats">
+      ${renderStat(t('storm.eruption'), when(event.eruptionJD))}
+      ${renderStat(t('storm.earthArrival'), when(event.arrivalJD))}
+      ${renderStat(t('storm.cmeSpeed'), `${formatNumber(event.cmeSpeed, 0)} km/s`)}
+      ${renderStat(t('storm.transit'), `${formatNumber(transitHours, 1)} ${t('storm.hours')}`)}
+      ${renderStat(t('storm.peakKp'), formatNumber(event.peakKp, 1))}
+      ${renderStat(t('storm.minBz'), `${formatNumber(event.minBz, 1)} nT`)}
+      ${renderStat(t('storm.peakPressure'), `${formatNumber(event.peakPressure, 1)} nPa`)}
+    </div>
+    <h3 class="storm-heading">${t('storm.arrivals')}</h3>
+    <ol class="storm-arrivals">${rows}</ol>
+    <p class="events-note">${t('storm.replayHint')}</p>`;
+}
+
+/**
+ * The aurora section: a Kp to try (or the replay's), the observer's site
+ * and the read-out, rendered separately into #storm-aurora-readout.
+ * @param {{ settings: ReturnType<typeof getDefaultAuroraSettings>, kp: number, jd: number, invalid: boolean }} aurora
+ * @param {boolean} fromData - Kp comes from a replay
+ * @returns {string} HTML string
+ */
+function renderAuroraForecast({ settings, kp, jd, invalid }, fromData) {
+  const kpControl = fromData
+    ? `<p class="events-note">${t('storm.auroraKpFromData')}</p>`
+    : `<label class="storm-slider">
+        <span>Kp <output id="storm-aurora-kp-value">${formatNumber(settings.kp, 0)}</output></span>
+        <input type="range" id="storm-aurora-kp" min="0" max="${MAX_KP}" step="1" value="${settings.kp}">
+      </label>`;
+  return `
+    <form class="observer-form events-form storm-form" id="storm-aurora-form" novalidate>
+      <h3 class="storm-heading">${t('storm.auroraForecast')}</h3>
+      ${kpControl}
+      <label>${t('storm.observerLatitude')} <input type="number" id="storm-aurora-lat" min="-90" max="90" step="any" value="${settings.lat}">°</label>
+      <label>${t('storm.observerLongitude')} <input type="number" id="storm-aurora-lon" min="-180" max="180" step="any" value="${settings.lon}">°</label>
+      <div class="storm-actions">
+        <button type="submit" class="observer-btn">${t('storm.auroraCheck')}</button>
+        <button type="button" class="observer-btn" id="storm-aurora-earth">${t('storm.showEarth')}</button>
+      </div>
+      <div class="observer-error${invalid ? '' : ' hidden'}" id="storm-aurora-error" role="alert">${t('storm.auroraInvalid')}</div>
+    </form>
+    <div id="storm-aurora-readout">${renderAuroraReadout(kp, settings, jd)}</div>
+    <p class="events-note">${t('storm.auroraHint')}</p>`;
+}
+
+/**
+ * Whether an observer could see the aurora at a Kp: how far their sky is
+ * from the oval, the Kp it takes, and whether it is dark there.
+ * @param {number} kp
+ * @param {{ lat: number, lon: number }} site - degrees, east longitude positive
+ * @param {number} jd - moment the sky is judged for
+ * @returns {string} HTML string
+ */
+export function renderAuroraReadout(kp, site, jd) {
+  const visibility = getAuroraVisibility(kp, site.lat, site.lon);
+  const needed = getMinimumKp(site.lat, site.lon);
+  const sunAltitude = getSkyPosition('sun', jd, site)?.altitude ?? 0;
+  const sky = sunAltitude > 0 ? 'daylight' : sunAltitude > DARK_SUN_ALTITUDE ? 'twilight' : 'dark';
+  const minimum = (value) => (value === null ? t('storm.auroraOutOfReach') : `Kp ${formatNumber(value, 1)}`);
+
+  return `
+    <div class="storm-stats">
+      ${renderStat(t('storm.auroraVerdict'), `${t(`storm.aurora.${visibility}`)} (Kp ${formatNumber(kp, 1)})`)}
+      ${renderStat(t('storm.sky'), `${t(`storm.sky.${sky}`)} · ${formatJulianUT(jd)}`)}
+      ${renderStat(t('storm.magneticLatitude'), `${formatNumber(getMagneticLatitude(site.lat, site.lon), 1)}°`)}
+      ${renderStat(t('storm.auroraHorizonKp'), minimum(needed.horizon))}
+      ${renderStat(t('storm.auroraOverheadKp'), minimum(needed.overhead))}
+    </div>`;
+}
+
+/**
+ * The read-out in words, for screen readers.
+ * @param {number} kp
+ * @param {{ lat: number, lon: number }} site
+ * @returns {string}
+ */
+export function describeAuroraVisibility(kp, site) {
+  return `${t('storm.auroraVerdict')}: ${t(`storm.aurora.${getAuroraVisibility(kp, site.lat, site.lon)}`)} (Kp ${formatNumber(kp, 1)})`;
+}
+
+/**
+ * A point in the solar cycle in words, for the slider's read-out.
+ * @param {number} phase - 0 to 1 from one minimum to the next
+ * @returns {string}
+ */
+export function describeCyclePhase(phase) {
+  const stage = phase < 0.1 || phase >= 0.9 ? 'minimum'
+    : phase < 0.32 ? 'rising'
+      : phase < 0.5 ? 'maximum'
+        : 'declining';
+  return `${formatNumber(phase * 100, 0)}% · ${t(`storm.cycle.${stage}`)}`;
+}
+
+/**
+ * The field layer's controls: show or hide it, the wind speed and the
+ * cycle phase. Each planet's sector goes in #storm-imf-readout.
+ * @param {{ settings: ReturnType<typeof getDefaultHeliosphereSettings>, sectors: Object<string, { polarity: string, crossing: boolean }> }} field
+ * @returns {string} HTML string
+ */
+function renderHeliosphereControls({ settings, sectors }) {
+  const [minSpeed, maxSpeed] = WIND_SPEED_RANGE;
+  return `
+    <form class="observer-form events-form storm-form" id="storm-imf-form" novalidate>
+      <h3 class="storm-heading">${t('storm.imf')}</h3>
+      <button type="button" class="observer-btn" id="storm-imf-toggle" aria-pressed="${settings.visible}">
+        ${settings.visible ? t('storm.imfHide') : t('storm.imfShow')}
+      </button>
+      <label class="storm-slider">
+        <span>${t('storm.windSpeed')} <output id="storm-imf-speed-value">${formatNumber(settings.windSpeed, 0)} km/s</output></span>
+        <input type="range" id="storm-imf-speed" min="${minSpeed}" max="${maxSpeed}" step="10" value="${settings.windSpeed}">
+      </label>
+      <label class="storm-slider">
+        <span>${t('storm.cyclePhase')} <output id="storm-imf-phase-value">${describeCyclePhase(settings.phase)}</output></span>
+        <input type="range" id="storm-imf-phase" min="0" max="100" step="1" value="${Math.round(settings.phase * 100)}">
+      </label>
+    </form>
+    <div id="storm-imf-readout">${renderHeliosphereReadout(settings, sectors)}</div>
+    <p class="events-note">${t('storm.imfHint')}</p>`;
+}
+
+/**
+ * The field's shape for the settings and, while it is shown, the sector
+ * each planet is in, with those crossing the current sheet picked out.
+ * @param {ReturnType<typeof getDefaultHeliosphereSettings>} settings
+ * @param {Object<string, { polarity: string, crossing: boolean }>} sectors - by planet key
+ * @returns {string} HTML string
+ */
+export function renderHeliosphereReadout(settings, sectors) {
+  const rows = settings.visible ? Object.entries(sectors).map(([key, { polarity, crossing }]) => `
+    <li class="storm-arrival${crossing ? ' storm-arrival--hit' : ''}">
+      <span class="storm-arrival-body">${escapeHTML(planetName(key))}</span>
+      <span><span class="storm-sector storm-sector--${polarity}" aria-hidden="true"></span>${t(`storm.sector.${polarity}`)}${crossing ? ` · ${t('storm.crossing')}` : ''}</span>
+    </li>`).join('') : '';
+
+  return `
+    <div class="storm-stats">
+      ${renderStat(t('storm.spiralAngle'), `${formatNumber(getSpiralAngle(1, settings.windSpeed), 0)}°`)}
+      ${renderStat(t('storm.sheetTilt'), `${formatNumber(getSheetTilt(settings.phase), 0)}°`)}
+    </div>
+    ${rows ? `<ol class="storm-arrivals" aria-label="${t('storm.sectors')}">${rows}</ol>` : ''}`;
+}
+
+/**
+ * What the storm is doing at a moment of the replay.
+ * @param {StormReplay} replay
+ * @param {number} jd
+ * @param {boolean} finished - the replay has run to its end
+ * @returns {string} i18n key
+ */
+function getStormPhase({ samples, event }, jd, finished) {
+  if (finished) return 'storm.phase.ended';
+  if (jd < event.eruptionJD) return 'storm.phase.quiet';
+  if (jd < event.arrivalJD) return 'storm.phase.transit';
+  if (jd > event.endJD) return 'storm.phase.outward';
+  return sampleSolarWind(samples, jd).kp >= STORM_KP ? 'storm.phase.storm' : 'storm.phase.recovery';
+}
+
+/**
+ * The replay HUD: the date, the storm's phase and the solar wind at Earth.
+ * @param {StormReplay} replay
+ * @param {number} jd
+ * @param {boolean} finished
+ * @returns {string} HTML string
+ */
+export function renderStormHud(replay, jd, finished) {
+  const wind = sampleSolarWind(replay.samples, jd);
+  return `
+    <div class="storm-stats">
+      ${renderStat(t('gravity.date'), formatJulianUT(jd))}
+      ${renderStat(t('storm.phase'), t(getStormPhase(replay, jd, finished)))}
+      ${renderStat(t('storm.windSpeed'), `${formatNumber(wind.speed, 0)} km/s`)}
+      ${renderStat(t('storm.density'), `${formatNumber(wind.density, 1)} cm⁻³`)}
+      ${renderStat('Bz', `${formatNumber(wind.bz, 1)} nT`)}
+      ${renderStat('Kp', formatNumber(wind.kp, 1))}
+      ${renderStat(t('storm.pressure'), `${formatNumber(getDynamicPressure(wind), 1)} nPa`)}
+      ${renderStat(t('storm.standoff'), `${formatNumber(getMagnetopauseStandoff(wind), 1)} R⊕`)}
+      ${renderStat(t('storm.cmeFront'), `${formatNumber(getCMEFrontAU(replay.event, jd), 2)} AU`)}
+    </div>`;
+}
+
+/**
+ * The forecast HUD: how far the CME has got and when the model has it
+ * reaching each planet, hits first.
+ * @param {{ cme: import('../scene/DragBasedModel.js').CMEParameters, launchJD: number, arrivals: import('../scene/DragBasedModel.js').CMEArrival[], hours: number }} forecast
+ * @returns {string} HTML string
+ */
+export function renderCMEForecastHud({ cme, arrivals, hours }) {
+  const lastHours = Math.max(...arrivals.map(a => a.hours));
+  const now = getDBMKinematics(cme, Math.min(hours, lastHours));
+  const rows = [...arrivals].sort((a, b) => b.hit - a.hit || a.hours - b.hours).map(a => `
+    <li class="storm-arrival${a.hit ? ' storm-arrival--hit' : ''}">
+      <span class="storm-arrival-body">${escapeHTML(planetName(a.key))}</span>
+      <span>${a.hit
+        ? `${formatNumber(a.hours, 1)} ${t('storm.hours')} · ${formatNumber(a.speed, 0)} km/s${hours >= a.hours ? ' ✓' : ''}`
+        : `${t('storm.missed')} ${formatNumber(a.offset - cme.width / 2, 0)}°`}</span>
+    </li>`).join('');
+
+  return `
+    <div class="storm-stats">
+      ${renderStat(t('storm.sinceLaunch'), `${formatNumber(Math.min(hours, lastHours), 1)} ${t('storm.hours')}`)}
+      ${renderStat(t('storm.cmeFront'), `${formatNumber(now.distanceAU, 2)} AU`)}
+      ${renderStat(t('storm.cmeSpeed'), `${formatNumber(now.speed, 0)} km/s`)}
+      ${renderStat(t('storm.drag'), `${formatNumber(getDragParameter(cme) * 1e7, 2)} × 10⁻⁷ km⁻¹`)}
+    </div>
+    <ol class="storm-arrivals" aria-label="${t('storm.predictedArrivals')}">${rows}</ol>`;
+}
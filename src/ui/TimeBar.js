@@ -0,0 +1,35 @@
+/**
+ * Time machine bar — the simulation's date and time, steps from an hour to
+ * an orbit of the focused body either way, reverse, now, and lock to real
+ * time.
+ */
+import { t } from '../i18n/i18n.js';
+import { ELEMENTS_VALID_JD } from '../scene/OrbitalMechanics.js';
+import { TIME_STEP_UNITS, toDateTimeInputValue } from '../utils/timeControl.js';
+import '../styles/timebar.css';
+
+/**
+ * Render the bar's controls.
+ * @param {number} jd - simulation clock
+ * @param {{ stepUnit: string, reversed: boolean, live: boolean }} state
+ * @returns {string} HTML string
+ */
+export function renderTimeBar(jd, { stepUnit, reversed, live }) {
+  const units = TIME_STEP_UNITS.map(u =>
+    `<option value="${u}"${u === stepUnit ? ' selected' : ''}>${t(`time.step.${u}`)}</option>`).join('');
+
+  return `
+    <button type="button" class="time-btn${reversed ? ' active' : ''}" id="time-reverse"
+      aria-pressed="${reversed}" aria-label="${t('time.reverse')}" title="${t('time.reverse')}">&#9664;&#9664;</button>
+    <button type="button" class="time-btn" id="time-step-back"
+      aria-label="${t('time.stepBack')}" title="${t('time.stepBack')}">&minus;</button>
+    <select id="time-step-unit" aria-label="${t('time.stepSize')}">${units}</select>
+    <button type="button" class="time-btn" id="time-step-forward"
+      aria-label="${t('time.stepForward')}" title="${t('time.stepForward')}">+</button>
+    <input type="datetime-local" id="time-input" step="60" value="${toDateTimeInputValue(jd)}"
+      min="${toDateTimeInputValue(ELEMENTS_VALID_JD.min)}" max="${toDateTimeInputValue(ELEMENTS_VALID_JD.max)}"
+      aria-label="${t('time.date')}" title="${t('time.range')}">
+    <button type="button" class="time-btn" id="time-now">${t('time.now')}</button>
+    <button type="button" class="time-btn${live ? ' active' : ''}" id="time-live"
+      aria-pressed="${live}" title="${t('time.liveHint')}">${t('time.live')}</button>`;
+}
@@ -0,0 +1,441 @@
+/**
+ * Transfer planner — pick two planets and departure and arrival windows; a
+ * porkchop plot maps the launch energy (C3) and the arrival v∞ of every
+ * Lambert transfer between them, and a picked transfer is compared with
+ * the Hohmann ellipse.
+ */
+import { t, getLang } from '../i18n/i18n.js';
+import { getLocalizedPlanet } from '../i18n/localizedData.js';
+import { PLANET_ORDER } from '../data/solarSystem.js';
+import { getHohmannTransfer } from '../scene/Lambert.js';
+import { dateToJulian, julianToDateStr, ELEMENTS_VALID_JD } from '../scene/OrbitalMechanics.js';
+import { julianToDate } from '../utils/skyFormat.js';
+import { escapeHTML } from '../utils/sanitize.js';
+import '../styles/events.css';
+import '../styles/transfer.css';
+
+/** Bodies the planner offers */
+export const TRANSFER_BODIES = PLANET_ORDER.filter(k => k !== 'sun');
+
+/** Longest departure or arrival window (days) */
+export const MAX_TRANSFER_WINDOW_DAYS = 20 * 365;
+
+/** Colour of the transfer arc and craft */
+export const TRANSFER_COLOR = '#4fc3f7';
+
+/** Colour map from low C3 (bright) to the top of the scale */
+const C3_COLORS = [[253, 231, 37], [94, 201, 98], [33, 145, 140], [59, 82, 139], [68, 1, 84]];
+
+/** Plot margins (CSS px) left for the axes */
+const PLOT_MARGIN = { left: 46, right: 8, top: 8, bottom: 34 };
+
+function bodyName(key) {
+  return getLocalizedPlanet(key)?.name || key;
+}
+
+function locale() {
+  return getLang() === 'tr' ? 'tr-TR' : 'en-GB';
+}
+
+/** Julian Day → "18 Jul 2020" */
+function formatDate(jd) {
+  return julianToDate(jd).toLocaleDateString(locale(), { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Windows for a pair of bodies: departures over one synodic period (at most
+ * three years) from a date, arrivals from half to one and a half Hohmann
+ * flight times after them, kept inside the span of the orbital elements.
+ * @param {string} from
+ * @param {string} to
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @returns {{ from: string, to: string, depart: { from: string, to: string }, arrive: { from: string, to: string } }}
+ */
+export function getDefaultTransferPlan(from, to, startDate) {
+  const hohmann = getHohmannTransfer(from, to);
+  const start = dateToJulian(startDate);
+  const departEnd = start + Math.min(hohmann?.synodicDays ?? 365, 3 * 365);
+  const tof = hohmann?.tof ?? 365;
+  const clamp = (jd) => Math.min(jd, ELEMENTS_VALID_JD.max);
+  return {
+    from,
+    to,
+    depart: { from: startDate, to: julianToDateStr(clamp(departEnd)) },
+    arrive: { from: julianToDateStr(clamp(start + tof / 2)), to: julianToDateStr(clamp(departEnd + tof * 1.5)) },
+  };
+}
+
+/**
+ * Whether a plan can be searched: two different bodies, and windows that
+ * run forward, are no longer than MAX_TRANSFER_WINDOW_DAYS, overlap in
+ * time of flight, and lie in the span of the orbital elements.
+ * @param {{ from: string, to: string, depart: { from: string, to: string }, arrive: { from: string, to: string } }} plan
+ * @returns {boolean}
+ */
+export function isValidTransferPlan(plan) {
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const dates = [plan.depart.from, plan.depart.to, plan.arrive.from, plan.arrive.to];
+  if (plan.from === plan.to || !dates.every(isDate)) return false;
+  const [d0, d1, a0, a1] = dates.map(dateToJulian);
+  const inRange = (jd) => jd >= ELEMENTS_VALID_JD.min && jd <= ELEMENTS_VALID_JD.max;
+  return d1 > d0 && a1 > a0 && a1 > d0 &&
+    d1 - d0 <= MAX_TRANSFER_WINDOW_DAYS && a1 - a0 <= MAX_TRANSFER_WINDOW_DAYS &&
+    [d0, d1, a0, a1].every(inRange);
+}
+
+/**
+ * What the mission renderer shows for a transfer: its timeline and the
+ * planets at departure.
+ * @param {import('../scene/Lambert.js').Transfer} transfer
+ */
+export function getTransferMission(transfer) {
+  const departDate = julianToDateStr(transfer.departJD);
+  return {
+    name: `${bodyName(transfer.from)} → ${bodyName(transfer.to)}`,
+    color: TRANSFER_COLOR,
+    launchDate: departDate,
+    waypoints: [
+      { body: transfer.from, date: departDate, event: t('transfer.departure') },
+      { body: transfer.to, date: julianToDateStr(transfer.arriveJD), event: t('transfer.arrival') },
+    ],
+  };
+}
+
+// ==================== Porkchop Plot ====================
+
+/** 1, 2 or 5 × a power of ten, near a rough step */
+function niceStep(rough) {
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const f = rough / power;
+  return (f < 1.5 ? 1 : f < 3.5 ? 2 : f < 7.5 ? 5 : 10) * power;
+}
+
+/** Smallest finite value of a grid */
+function gridMin(values) {
+  let min = Infinity;
+  for (const v of values) if (v < min) min = v;
+  return min;
+}
+
+/**
+ * Colour scale and contour levels of a porkchop: C3 from its minimum up to
+ * four times it (at least 30 km²/s² more), arrival v∞ over a similar span.
+ * @param {import('../scene/Lambert.js').Porkchop} porkchop
+ * @returns {{ c3Min: number, c3Max: number, c3Levels: number[], vInfLevels: number[] }}
+ */
+export function getPorkchopScale(porkchop) {
+  const c3Min = gridMin(porkchop.c3);
+  const c3Max = Math.max(c3Min * 4, c3Min + 30);
+  const vMin = gridMin(porkchop.vInf);
+  const vMax = Math.max(vMin * 2.5, vMin + 4);
+  const levels = (min, max, count) => {
+    if (!Number.isFinite(min)) return [];
+    const step = niceStep((max - min) / count);
+    const out = [];
+    for (let l = Math.ceil(min / step) * step; l <= max; l += step) out.push(l);
+    return out;
+  };
+  return { c3Min, c3Max, c3Levels: levels(c3Min, c3Max, 6), vInfLevels: levels(vMin, vMax, 4) };
+}
+
+/** Plot area of the canvas in CSS px */
+function plotRect(canvas) {
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  return {
+    x: PLOT_MARGIN.left,
+    y: PLOT_MARGIN.top,
+    w: width - PLOT_MARGIN.left - PLOT_MARGIN.right,
+    h: height - PLOT_MARGIN.top - PLOT_MARGIN.bottom,
+  };
+}
+
+/** Grid position (fractional column, row) → canvas px; nodes sit at cell centres */
+function gridToCanvas(rect, size, col, row) {
+  return { x: rect.x + (col + 0.5) / size * rect.w, y: rect.y + rect.h - (row + 0.5) / size * rect.h };
+}
+
+/** Departure and arrival Julian Day → grid position */
+function datesToGrid(porkchop, departJD, arriveJD) {
+  const { departures: d, arrivals: a } = porkchop;
+  return {
+    col: (departJD - d[0]) / (d[d.length - 1] - d[0]) * (d.length - 1),
+    row: (arriveJD - a[0]) / (a[a.length - 1] - a[0]) * (a.length - 1),
+  };
+}
+
+function c3Color(value, scale) {
+  const f = Math.max(0, (value - scale.c3Min) / (scale.c3Max - scale.c3Min)) * (C3_COLORS.length - 1);
+  const i = Math.min(Math.floor(f), C3_COLORS.length - 2);
+  const k = f - i;
+  return C3_COLORS[i].map((c, j) => Math.round(c + (C3_COLORS[i + 1][j] - c) * k));
+}
+
+/**
+ * Contour segments of a grid at one level (marching squares), in grid
+ * coordinates. Squares touching a missing value are skipped.
+ */
+function contourSegments(values, size, level) {
+  const segments = [];
+  const at = (c, r) => values[r * size + c];
+  const cross = (c1, r1, v1, c2, r2, v2) => {
+    const k = (level - v1) / (v2 - v1);
+    return { col: c1 + (c2 - c1) * k, row: r1 + (r2 - r1) * k };
+  };
+  for (let r = 0; r < size - 1; r++) {
+    for (let c = 0; c < size - 1; c++) {
+      const a = at(c, r), b = at(c + 1, r), d = at(c + 1, r + 1), e = at(c, r + 1);
+      if (Number.isNaN(a + b + d + e)) continue;
+      const points = [];
+      if ((a < level) !== (b < level)) points.push(cross(c, r, a, c + 1, r, b));
+      if ((b < level) !== (d < level)) points.push(cross(c + 1, r, b, c + 1, r + 1, d));
+      if ((e < level) !== (d < level)) points.push(cross(c, r + 1, e, c + 1, r + 1, d));
+      if ((a < level) !== (e < level)) points.push(cross(c, r, a, c, r + 1, e));
+      for (let i = 0; i + 1 < points.length; i += 2) segments.push([points[i], points[i + 1]]);
+    }
+  }
+  return segments;
+}
+
+function strokeContours(ctx, rect, porkchop, values, levels, style) {
+  const size = porkchop.departures.length;
+  ctx.strokeStyle = style.stroke;
+  ctx.fillStyle = style.label;
+  ctx.setLineDash(style.dash);
+  for (const level of levels) {
+    const segments = contourSegments(values, size, level);
+    if (!segments.length) continue;
+    ctx.beginPath();
+    for (const [p, q] of segments) {
+      const a = gridToCanvas(rect, size, p.col, p.row);
+      const b = gridToCanvas(rect, size, q.col, q.row);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    }
+    ctx.stroke();
+    const [p] = segments[Math.floor(segments.length / 2)];
+    const at = gridToCanvas(rect, size, p.col, p.row);
+    ctx.fillText(String(+level.toFixed(1)), at.x + 2, at.y - 2);
+  }
+  ctx.setLineDash([]);
+}
+
+function drawAxes(ctx, rect, porkchop) {
+  const size = porkchop.departures.length;
+  const tick = (jd) => julianToDate(jd).toLocaleDateString(locale(), { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  ctx.fillStyle = '#9aa4b8';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+  ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let i = 0; i < 5; i++) {
+    const col = i / 4 * (size - 1);
+    const { x } = gridToCanvas(rect, size, col, 0);
+    ctx.fillText(tick(porkchop.departures[Math.round(col)]), x, rect.y + rect.h + 4);
+  }
+  ctx.fillText(t('transfer.departure'), rect.x + rect.w / 2, rect.y + rect.h + 18);
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i < 5; i++) {
+    const row = i / 4 * (size - 1);
+    const { y } = gridToCanvas(rect, size, 0, row);
+    ctx.fillText(tick(porkchop.arrivals[Math.round(row)]), rect.x - 4, y);
+  }
+  ctx.save();
+  ctx.translate(10, rect.y + rect.h / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText(t('transfer.arrival'), 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Draw a porkchop plot: C3 as colour and solid contours, arrival v∞ as
+ * dashed contours, departure dates across and arrival dates up, and a
+ * crosshair on the selected transfer.
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('../scene/Lambert.js').Porkchop} porkchop
+ * @param {import('../scene/Lambert.js').Transfer|null} selected
+ */
+export function drawPorkchop(canvas, porkchop, selected) {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(canvas.clientWidth * dpr);
+  canvas.height = Math.round(canvas.clientHeight * dpr);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+  ctx.font = '10px system-ui, sans-serif';
+
+  const rect = plotRect(canvas);
+  const size = porkchop.departures.length;
+  const scale = getPorkchopScale(porkchop);
+
+  // One pixel per grid node, arrivals upward, scaled up smoothly
+  const image = document.createElement('canvas');
+  image.width = size;
+  image.height = size;
+  const imageCtx = image.getContext('2d');
+  const pixels = imageCtx.createImageData(size, size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const value = porkchop.c3[row * size + col];
+      if (!(value <= scale.c3Max)) continue;
+      const o = ((size - 1 - row) * size + col) * 4;
+      const [r, g, b] = c3Color(value, scale);
+      pixels.data[o] = r;
+      pixels.data[o + 1] = g;
+      pixels.data[o + 2] = b;
+      pixels.data[o + 3] = 200;
+    }
+  }
+  imageCtx.putImageData(pixels, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(image, rect.x, rect.y, rect.w, rect.h);
+
+  ctx.lineWidth = 1;
+  strokeContours(ctx, rect, porkchop, porkchop.c3, scale.c3Levels,
+    { stroke: 'rgba(255, 255, 255, 0.7)', label: '#fff', dash: [] });
+  strokeContours(ctx, rect, porkchop, porkchop.vInf, scale.vInfLevels,
+    { stroke: 'rgba(255, 138, 128, 0.8)', label: '#ff8a80', dash: [4, 3] });
+  drawAxes(ctx, rect, porkchop);
+
+  if (selected) {
+    const { col, row } = datesToGrid(porkchop, selected.departJD, selected.arriveJD);
+    const { x, y } = gridToCanvas(rect, size, col, row);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x, rect.y);
+    ctx.lineTo(x, rect.y + rect.h);
+    ctx.moveTo(rect.x, y);
+    ctx.lineTo(rect.x + rect.w, y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Departure and arrival dates under a point on the plot.
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('../scene/Lambert.js').Porkchop} porkchop
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{ departJD: number, arriveJD: number } | null} null outside the plot
+ */
+export function porkchopDatesAt(canvas, porkchop, clientX, clientY) {
+  const bounds = canvas.getBoundingClientRect();
+  const rect = plotRect(canvas);
+  const x = clientX - bounds.left - rect.x;
+  const y = clientY - bounds.top - rect.y;
+  if (x < 0 || y < 0 || x > rect.w || y > rect.h) return null;
+  const size = porkchop.departures.length;
+  const clampGrid = (v) => Math.max(0, Math.min(size - 1, v));
+  const col = clampGrid(x / rect.w * size - 0.5);
+  const row = clampGrid((rect.h - y) / rect.h * size - 0.5);
+  const { departures: d, arrivals: a } = porkchop;
+  return {
+    departJD: d[0] + (d[size - 1] - d[0]) * col / (size - 1),
+    arriveJD: a[0] + (a[size - 1] - a[0]) * row / (size - 1),
+  };
+}
+
+// ==================== Panel ====================
+
+function bodyOptions(selected) {
+  return TRANSFER_BODIES.map(key =>
+    `<option value="${key}"${key === selected ? ' selected' : ''}>${escapeHTML(bodyName(key))}</option>`).join('');
+}
+
+function renderStat(label, value) {
+  return `<div class="transfer-stat"><span class="transfer-stat-label">${label}</span><span class="transfer-stat-value">${value}</span></div>`;
+}
+
+/**
+ * The selected transfer beside the Hohmann transfer, re-rendered on its own
+ * when the selection changes.
+ * @param {{ from: string, to: string }} plan
+ * @param {import('../scene/Lambert.js').Transfer|null} selected
+ * @param {boolean} playing
+ * @returns {string} HTML string
+ */
+export function renderTransferDetails(plan, selected, playing) {
+  const hohmann = getHohmannTransfer(plan.from, plan.to);
+  const hohmannHtml = hohmann ? `
+    <h3 class="transfer-subtitle">${t('transfer.hohmann')}</h3>
+    <div class="transfer-stats">
+      ${renderStat(t('transfer.flightTime'), `${Math.round(hohmann.tof)} ${t('transfer.days')}`)}
+      ${renderStat('C3', `${hohmann.c3.toFixed(1)} km²/s²`)}
+      ${renderStat(t('transfer.vInfArrive'), `${hohmann.vInfArrive.toFixed(2)} km/s`)}
+      ${renderStat(t('transfer.synodic'), `${Math.round(hohmann.synodicDays)} ${t('transfer.days')}`)}
+    </div>` : '';
+
+  if (!selected) return `<p class="events-note">${t('transfer.pick')}</p>${hohmannHtml}`;
+
+  return `
+    <h3 class="transfer-subtitle">${t('transfer.selected')}</h3>
+    <div class="transfer-stats">
+      ${renderStat(t('transfer.departure'), formatDate(selected.departJD))}
+      ${renderStat(t('transfer.arrival'), formatDate(selected.arriveJD))}
+      ${renderStat(t('transfer.flightTime'), `${Math.round(selected.tof)} ${t('transfer.days')}`)}
+      ${renderStat('C3', `${selected.c3.toFixed(1)} km²/s²`)}
+      ${renderStat(t('transfer.vInfDepart'), `${selected.vInfDepart.toFixed(2)} km/s`)}
+      ${renderStat(t('transfer.vInfArrive'), `${selected.vInfArrive.toFixed(2)} km/s`)}
+    </div>
+    <button type="button" class="observer-btn" id="transfer-play" aria-pressed="${playing}">
+      ${playing ? t('transfer.pause') : t('transfer.fly')}
+    </button>
+    ${hohmannHtml}`;
+}
+
+/**
+ * Render the planner: bodies and windows, the porkchop plot (drawn
+ * afterwards with drawPorkchop) and the selected transfer.
+ * @param {{ from: string, to: string, depart: { from: string, to: string }, arrive: { from: string, to: string } }} plan
+ * @param {boolean} invalid - show the invalid-plan message
+ * @param {import('../scene/Lambert.js').Porkchop|null} porkchop
+ * @param {import('../scene/Lambert.js').Transfer|null} selected
+ * @param {boolean} playing - the craft is flying
+ * @returns {string} HTML string
+ */
+export function renderTransferPanel(plan, invalid, porkchop, selected, playing) {
+  const scale = porkchop && porkchop.best ? getPorkchopScale(porkchop) : null;
+  const stops = C3_COLORS.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ');
+
+  return `
+    <form class="observer-form events-form transfer-form" id="transfer-form" novalidate>
+      <label>${t('transfer.from')} <select id="transfer-from">${bodyOptions(plan.from)}</select></label>
+      <label>${t('transfer.to')} <select id="transfer-to">${bodyOptions(plan.to)}</select></label>
+      <fieldset class="transfer-window">
+        <legend>${t('transfer.departWindow')}</legend>
+        <input type="date" id="transfer-depart-from" value="${escapeHTML(plan.depart.from)}" aria-label="${t('transfer.departWindow')} · ${t('transfer.windowStart')}" required>
+        <input type="date" id="transfer-depart-to" value="${escapeHTML(plan.depart.to)}" aria-label="${t('transfer.departWindow')} · ${t('transfer.windowEnd')}" required>
+      </fieldset>
+      <fieldset class="transfer-window">
+        <legend>${t('transfer.arriveWindow')}</legend>
+        <input type="date" id="transfer-arrive-from" value="${escapeHTML(plan.arrive.from)}" aria-label="${t('transfer.arriveWindow')} · ${t('transfer.windowStart')}" required>
+        <input type="date" id="transfer-arrive-to" value="${escapeHTML(plan.arrive.to)}" aria-label="${t('transfer.arriveWindow')} · ${t('transfer.windowEnd')}" required>
+      </fieldset>
+      <button type="submit" class="observer-btn">${t('transfer.compute')}</button>
+      <div class="observer-error${invalid ? '' : ' hidden'}" id="transfer-error" role="alert">${t('transfer.invalid')}</div>
+    </form>
+
+    ${scale ? `
+      <canvas id="transfer-porkchop" class="transfer-porkchop" tabindex="0" role="img"
+        aria-label="${t('transfer.plotLabel')}"></canvas>
+      <div class="transfer-legend">
+        <span>C3 ${scale.c3Min.toFixed(1)}</span>
+        <span class="transfer-legend-bar" style="background: linear-gradient(to right, ${stops});"></span>
+        <span>${scale.c3Max.toFixed(0)} km²/s²</span>
+        <span class="transfer-legend-vinf">- - ${t('transfer.vInfArrive')} (km/s)</span>
+      </div>
+      <button type="button" class="observer-btn" id="transfer-best">${t('transfer.best')}</button>
+      <div id="transfer-details">${renderTransferDetails(plan, selected, playing)}</div>`
+    : `<p class="events-note">${t('transfer.none')}</p>`}
+
+    <p class="events-note">${t('transfer.hint')}</p>`;
+}
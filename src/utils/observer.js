@@ -0,0 +1,45 @@
+/**
+ * Observer location for sky calculations (altitude/azimuth, rise/set).
+ * Persisted in localStorage; values are range-checked on read so a
+ * corrupted entry falls back to the default site.
+ */
+import { storageGet, storageSet } from './storage.js';
+
+const STORAGE_KEY = 'ozmos-observer';
+
+/** Default site: Istanbul */
+export const DEFAULT_OBSERVER = { lat: 41.01, lon: 28.98 };
+
+/**
+ * Validate a latitude/longitude pair in degrees.
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+export function isValidObserver(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+/**
+ * Read the saved observer location.
+ * @returns {{ lat: number, lon: number }} degrees, east longitude positive
+ */
+export function getObserverLocation() {
+  const raw = storageGet(STORAGE_KEY);
+  if (!raw) return { ...DEFAULT_OBSERVER };
+  const [lat, lon] = raw.split(',').map(Number);
+  return isValidObserver(lat, lon) ? { lat, lon } : { ...DEFAULT_OBSERVER };
+}
+
+/**
+ * Save the observer location. Invalid coordinates are ignored.
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean} true if saved
+ */
+export function setObserverLocation(lat, lon) {
+  if (!isValidObserver(lat, lon)) return false;
+  storageSet(STORAGE_KEY, `${lat.toFixed(4)},${lon.toFixed(4)}`);
+  return true;
+}
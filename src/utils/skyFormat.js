@@ -0,0 +1,82 @@
+/**
+ * Formatting helpers for sky coordinates and ephemeris times.
+ */
+
+const JD_UNIX_EPOCH = 2440587.5;
+
+/**
+ * Right ascension in degrees → "05h 59m 12s".
+ * @param {number} raDeg
+ * @returns {string}
+ */
+export function formatRA(raDeg) {
+  let totalSec = Math.round((((raDeg % 360) + 360) % 360) / 15 * 3600);
+  if (totalSec >= 86400) totalSec -= 86400;
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+}
+
+/**
+ * Declination (or any signed angle) in degrees → "+22° 03′ 11″".
+ * @param {number} deg
+ * @returns {string}
+ */
+export function formatDec(deg) {
+  const sign = deg < 0 ? '−' : '+';
+  const totalSec = Math.round(Math.abs(deg) * 3600);
+  const d = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  return `${sign}${d}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`;
+}
+
+/**
+ * Angle in degrees with one decimal → "58.4°".
+ * @param {number} deg
+ * @returns {string}
+ */
+export function formatDegrees(deg) {
+  return `${deg.toFixed(1)}°`;
+}
+
+/**
+ * Azimuth in degrees → 16-point compass direction ("NE", "SSW", …).
+ * @param {number} azDeg - measured from north through east
+ * @returns {string}
+ */
+export function compassPoint(azDeg) {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  const idx = Math.round((((azDeg % 360) + 360) % 360) / 22.5) % 16;
+  return points[idx];
+}
+
+/**
+ * Julian Day → JavaScript Date.
+ * @param {number} jd
+ * @returns {Date}
+ */
+export function julianToDate(jd) {
+  return new Date((jd - JD_UNIX_EPOCH) * 86400000);
+}
+
+/**
+ * JavaScript Date → Julian Day.
+ * @param {Date} date
+ * @returns {number}
+ */
+export function dateToJulianDay(date) {
+  return date.getTime() / 86400000 + JD_UNIX_EPOCH;
+}
+
+/**
+ * Julian Day → "2024-12-07 21:30 UT".
+ * @param {number} jd
+ * @returns {string}
+ */
+export function formatJulianUT(jd) {
+  const iso = julianToDate(jd).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UT`;
+}
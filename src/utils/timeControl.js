@@ -0,0 +1,119 @@
+/**
+ * Time machine helpers: steps of the simulation clock (calendar months and
+ * years, or one orbit of a body), the date-time input's local format, and
+ * the time kept in the URL query — ?t=2024-04-08T18:17Z&speed=-3, or
+ * ?live=1 when the clock follows real time.
+ */
+import { ELEMENTS_VALID_JD } from '../scene/OrbitalMechanics.js';
+import { julianToDate, dateToJulianDay } from './skyFormat.js';
+
+/** Step sizes offered by the time bar */
+export const TIME_STEP_UNITS = ['hour', 'day', 'month', 'year', 'orbit'];
+
+/**
+ * Whether a Julian Day lies in the span the orbital elements are valid for.
+ * @param {number} jd
+ * @returns {boolean}
+ */
+export function isInElementsRange(jd) {
+  return Number.isFinite(jd) && jd >= ELEMENTS_VALID_JD.min && jd <= ELEMENTS_VALID_JD.max;
+}
+
+/** Julian Day → Date on the nearest minute, so float error doesn't show as 06:59 for 07:00 */
+function toMinute(jd) {
+  return new Date(Math.round(julianToDate(jd).getTime() / 60000) * 60000);
+}
+
+/** Add whole calendar months in UTC, keeping the day where the month allows */
+function addMonths(jd, months) {
+  const date = julianToDate(jd);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return dateToJulianDay(date);
+}
+
+/**
+ * Move a Julian Day one step forward or back. Months and years follow the
+ * calendar, so 31 January steps to the last day of February.
+ * @param {number} jd
+ * @param {string} unit - one of TIME_STEP_UNITS
+ * @param {number} direction - 1 or -1
+ * @param {number} orbitDays - length of an 'orbit' step
+ * @returns {number}
+ */
+export function stepJulianDay(jd, unit, direction, orbitDays) {
+  switch (unit) {
+    case 'hour': return jd + direction / 24;
+    case 'month': return addMonths(jd, direction);
+    case 'year': return addMonths(jd, 12 * direction);
+    case 'orbit': return jd + direction * orbitDays;
+    default: return jd + direction;
+  }
+}
+
+/**
+ * Julian Day → "2024-04-08T21:17", the value of a datetime-local input, in
+ * the device time zone.
+ * @param {number} jd
+ * @returns {string}
+ */
+export function toDateTimeInputValue(jd) {
+  const d = toMinute(jd);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Value of a datetime-local input → Julian Day.
+ * @param {string} value
+ * @returns {number|null} null if it is not a complete date and time
+ */
+export function fromDateTimeInputValue(value) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return null;
+  const date = new Date(value); // no offset → local time
+  return isNaN(date.getTime()) ? null : dateToJulianDay(date);
+}
+
+/**
+ * Time state from a URL query string. Values that don't parse, or dates
+ * outside the elements' span, come back null.
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ jd: number|null, speed: number|null, live: boolean }}
+ */
+export function readTimeParams(search) {
+  const params = new URLSearchParams(search);
+  const t = params.get('t');
+  const time = t && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?Z)?$/.test(t) ? Date.parse(t) : NaN;
+  const jd = isNaN(time) ? null : dateToJulianDay(new Date(time));
+  const speed = params.has('speed') ? Number(params.get('speed')) : NaN;
+  return {
+    jd: jd !== null && isInElementsRange(jd) ? jd : null,
+    speed: Number.isFinite(speed) ? speed : null,
+    live: params.get('live') === '1',
+  };
+}
+
+/**
+ * A URL query string with the time state written in and any other
+ * parameters kept.
+ * @param {string} search - current query string
+ * @param {{ jd: number, speed: number, live: boolean }} state
+ * @returns {string} '' or '?…'
+ */
+export function writeTimeParams(search, { jd, speed, live }) {
+  const params = new URLSearchParams(search);
+  params.delete('t');
+  params.delete('speed');
+  params.delete('live');
+  if (live) {
+    params.set('live', '1');
+  } else {
+    params.set('t', `${toMinute(jd).toISOString().slice(0, 16)}Z`);
+    params.set('speed', String(speed));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
@@ -0,0 +1,54 @@
+/**
+ * Arithmetic on plain { x, y, z } vectors, the form the ephemeris and
+ * trajectory code passes positions and velocities around in. Every helper
+ * returns a new object and leaves its arguments alone.
+ */
+
+/**
+ * @typedef {{ x: number, y: number, z: number }} Vec3
+ */
+
+/** @returns {Vec3} a + b */
+export function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+/** @returns {Vec3} a − b */
+export function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+/** @returns {Vec3} v · k */
+export function scale(v, k) {
+  return { x: v.x * k, y: v.y * k, z: v.z * k };
+}
+
+/** @returns {Vec3} a + k·b */
+export function addScaled(a, b, k) {
+  return { x: a.x + b.x * k, y: a.y + b.y * k, z: a.z + b.z * k };
+}
+
+/** @returns {number} a · b */
+export function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/** @returns {Vec3} a × b */
+export function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+/** @returns {number} |v| */
+export function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+/** @returns {Vec3} v scaled to unit length; a zero vector comes back unchanged */
+export function normalize(v) {
+  const len = length(v) || 1;
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GRAVITY_BODIES, getExcessVelocity, getFlybyChange } from '../src/scene/GravityAssist.js';
+import { KM_S_PER_AU_DAY } from '../src/scene/Lambert.js';
+import { KM_PER_AU } from '../src/scene/OrbitalMechanics.js';
+
+const jupiter = GRAVITY_BODIES.find(b => b.key === 'jupiter');
+
+// A pass 5 Jupiter radii from the centre at v∞ = 6 km/s, entered and left
+// where the hyperbola crosses the sphere of influence.
+const rp = 5 * 71492 / KM_PER_AU;
+const vInf = 6 / KM_S_PER_AU_DAY;
+const e = 1 + rp * vInf * vInf / jupiter.mu;
+const expectedTurn = 2 * Math.asin(1 / e) * 180 / Math.PI;
+
+const semiLatus = rp * (1 + e);
+const h = Math.sqrt(jupiter.mu * semiLatus);
+const soi = 5.2 * jupiter.soiFactor;
+const nuSoi = Math.acos((semiLatus / soi - 1) / e);
+
+/** State on the hyperbola at true anomaly ν, in its perifocal frame */
+function stateAt(nu) {
+  const r = semiLatus / (1 + e * Math.cos(nu));
+  return {
+    r: { x: r * Math.cos(nu), y: r * Math.sin(nu), z: 0 },
+    v: { x: -jupiter.mu / h * Math.sin(nu), y: jupiter.mu / h * (e + Math.cos(nu)), z: 0 },
+  };
+}
+const entry = stateAt(-nuSoi);
+const exit = stateAt(nuSoi);
+
+test('v∞ is the asymptote, not the velocity on the sphere of influence', () => {
+  const vInfIn = getExcessVelocity(entry.r, entry.v, jupiter.mu, false);
+  const onSphere = Math.hypot(entry.v.x, entry.v.y) * KM_S_PER_AU_DAY;
+  assert.ok(onSphere > 6.1);
+  assert.ok(Math.abs(Math.hypot(vInfIn.x, vInfIn.y, vInfIn.z) * KM_S_PER_AU_DAY - 6) < 1e-6);
+});
+
+test('a flyby turns v∞ by 2 asin(1/e) and changes the heliocentric velocity by 2 v∞ sin(δ/2)', () => {
+  const { turnAngle, deltaV } = getFlybyChange(
+    getExcessVelocity(entry.r, entry.v, jupiter.mu, false),
+    getExcessVelocity(exit.r, exit.v, jupiter.mu, true),
+  );
+  assert.ok(Math.abs(turnAngle - expectedTurn) < 1e-4, `${turnAngle} vs ${expectedTurn}`);
+  assert.ok(Math.abs(deltaV - 2 * 6 * Math.sin(expectedTurn * Math.PI / 360)) < 1e-6);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNightPlan } from '../src/scene/SkyPlanner.js';
+import { getSkyPosition } from '../src/scene/OrbitalMechanics.js';
+
+// Venus near greatest eastern elongation, seen from 40° N: it is highest in
+// the evening twilight and sinking by the time astronomical darkness begins.
+const observer = { lat: 40, lon: -75 };
+const plan = getNightPlan('2020-03-24', observer);
+
+test('a body that peaks in twilight gets its best view at the start of darkness', () => {
+  const venus = plan.bodies.find(b => b.key === 'venus');
+  const atSunset = getSkyPosition('venus', plan.sun.set, observer).altitude;
+
+  assert.ok(atSunset > venus.bestAltitude + 10, 'Venus should be well higher at sunset');
+  assert.ok(venus.bestTime >= plan.sun.darkStart);
+  assert.ok(venus.bestTime - plan.sun.darkStart < 10 / 1440);
+});
+
+test('every best-view time falls inside the astronomical-dark window', () => {
+  for (const body of plan.bodies) {
+    if (body.bestTime === null) continue;
+    assert.ok(body.bestTime >= plan.sun.darkStart && body.bestTime <= plan.sun.darkEnd, body.key);
+  }
+});